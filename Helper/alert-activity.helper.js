@@ -0,0 +1,179 @@
+/**
+ * ======================================
+ * ALERT ACTIVITY HELPER
+ * ======================================
+ *
+ * Every alert keeps a timeline (AlertActivity): its creation, comments with
+ * attachments, and each status, assignee and priority change with who made
+ * it (createdBy null = a scheduled job or automation) and when.
+ *
+ * Changes are recorded by the code that makes them. Recording never fails
+ * the change itself; errors are only logged.
+ */
+
+const { prisma } = require('../config/db');
+
+const MINUTE_MS = 60 * 1000;
+const ALERT_ACTIVITY_TYPES = ['created', 'comment', 'status_change', 'assignment', 'priority_change', 'escalation'];
+const CLOSED_ALERT_STATUSES = ['resolved', 'dismissed'];
+
+const toValue = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * Store timeline entries
+ *
+ * @param {Array|Object} entries - { alertId, type, fromValue, toValue, message, attachments, metadata, createdBy }
+ * @param {Object} client - Prisma client or transaction client
+ */
+const recordAlertActivity = async (entries, client = prisma) => {
+    const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+    if (!list.length) return;
+
+    try {
+        await client.alertActivity.createMany({
+            data: list.map((entry) => ({
+                alertId: entry.alertId,
+                type: entry.type,
+                fromValue: toValue(entry.fromValue),
+                toValue: toValue(entry.toValue),
+                message: entry.message || null,
+                attachments: entry.attachments || undefined,
+                metadata: entry.metadata || undefined,
+                createdBy: entry.createdBy || null
+            }))
+        });
+    } catch (err) {
+        console.error('Record Alert Activity Error:', err);
+    }
+};
+
+/**
+ * Timeline entries for the status, assignee and priority differences
+ * between an alert before and after an update
+ *
+ * @param {Object} before - Alert before the update
+ * @param {Object} after - Alert after the update
+ * @param {Object} options
+ * @param {Number} options.userId - Who made the change
+ * @param {String} options.note - Kept on the status change
+ * @returns {Array}
+ */
+const diffAlertActivity = (before, after, { userId = null, note = null } = {}) => {
+    const entries = [];
+    const base = { alertId: after.id, createdBy: userId };
+
+    if (after.status !== before.status) {
+        entries.push({ ...base, type: 'status_change', fromValue: before.status, toValue: after.status, message: note });
+    }
+    if ((after.assignedTo || null) !== (before.assignedTo || null)) {
+        entries.push({ ...base, type: 'assignment', fromValue: before.assignedTo, toValue: after.assignedTo });
+    }
+    if (after.priority !== before.priority) {
+        entries.push({ ...base, type: 'priority_change', fromValue: before.priority, toValue: after.priority });
+    }
+
+    return entries;
+};
+
+/**
+ * How long an alert waited for someone and who closed it, from its full timeline
+ */
+const summarizeTimeline = (alert, activities, now) => {
+    const firstAssignment = activities.find((entry) => entry.type === 'assignment' && entry.toValue);
+    const hadAssigneeAtCreation = !firstAssignment && alert.assignedTo;
+    const assignedAt = firstAssignment ? firstAssignment.createdAt : (hadAssigneeAtCreation ? alert.createdAt : null);
+
+    // Minutes spent in each status, from the status changes in order
+    const minutesInStatus = {};
+    let currentStatus = 'pending';
+    let since = alert.createdAt;
+    for (const entry of activities.filter((item) => item.type === 'status_change')) {
+        minutesInStatus[currentStatus] = (minutesInStatus[currentStatus] || 0) + (entry.createdAt - since) / MINUTE_MS;
+        currentStatus = entry.toValue;
+        since = entry.createdAt;
+    }
+    if (!CLOSED_ALERT_STATUSES.includes(currentStatus)) {
+        minutesInStatus[currentStatus] = (minutesInStatus[currentStatus] || 0) + (now - since) / MINUTE_MS;
+    }
+    Object.keys(minutesInStatus).forEach((status) => {
+        minutesInStatus[status] = Math.max(0, Math.round(minutesInStatus[status]));
+    });
+
+    const closing = CLOSED_ALERT_STATUSES.includes(alert.status)
+        ? [...activities].reverse().find((entry) => entry.type === 'status_change' && entry.toValue === alert.status)
+        : null;
+
+    return {
+        firstAssignedAt: assignedAt,
+        unassignedMinutes: Math.max(0, Math.round(((assignedAt || now) - alert.createdAt) / MINUTE_MS)),
+        assignments: activities.filter((entry) => entry.type === 'assignment').length,
+        comments: activities.filter((entry) => entry.type === 'comment').length,
+        escalations: activities.filter((entry) => entry.type === 'escalation').length,
+        minutesInStatus,
+        closedAt: closing ? closing.createdAt : null,
+        closedStatus: closing ? alert.status : null,
+        closedBy: closing?.actor ? { id: closing.actor.id, username: closing.actor.username } : null
+    };
+};
+
+/**
+ * Timeline of one alert, filtered, with a summary over the whole timeline
+ *
+ * @param {Object} alert - Alert (id, status, assignedTo, createdAt)
+ * @param {Object} filters
+ * @param {String[]} filters.types - Activity types to return
+ * @param {Number} filters.userId - Only entries made by this user
+ * @param {Date} filters.from
+ * @param {Date} filters.to
+ * @param {String} filters.order - asc (default) | desc
+ * @returns {Object} { items, summary }
+ */
+const getAlertTimeline = async (alert, { types = null, userId = null, from = null, to = null, order = 'asc' } = {}, now = new Date()) => {
+    const activities = await prisma.alertActivity.findMany({
+        where: { alertId: alert.id },
+        include: { actor: { select: { id: true, username: true, email: true } } },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    // Assignment values are user ids; show who they are
+    const userIds = new Set();
+    activities
+        .filter((entry) => entry.type === 'assignment')
+        .forEach((entry) => [entry.fromValue, entry.toValue].forEach((value) => value && userIds.add(parseInt(value, 10))));
+    const users = userIds.size
+        ? await prisma.user.findMany({ where: { id: { in: [...userIds] } }, select: { id: true, username: true, email: true } })
+        : [];
+    const userById = new Map(users.map((user) => [String(user.id), user]));
+
+    const items = activities
+        .filter((entry) => !types || types.includes(entry.type))
+        .filter((entry) => !userId || entry.createdBy === userId)
+        .filter((entry) => (!from || entry.createdAt >= from) && (!to || entry.createdAt <= to))
+        .map((entry) => ({
+            id: entry.id,
+            type: entry.type,
+            fromValue: entry.fromValue,
+            toValue: entry.toValue,
+            ...(entry.type === 'assignment' ? {
+                fromUser: entry.fromValue ? userById.get(entry.fromValue) || null : null,
+                toUser: entry.toValue ? userById.get(entry.toValue) || null : null
+            } : {}),
+            message: entry.message,
+            attachments: entry.attachments || [],
+            metadata: entry.metadata || null,
+            actor: entry.actor ? { id: entry.actor.id, username: entry.actor.username, email: entry.actor.email } : null,
+            createdAt: entry.createdAt.toISOString()
+        }));
+
+    return {
+        items: order === 'desc' ? items.reverse() : items,
+        summary: summarizeTimeline(alert, activities, now)
+    };
+};
+
+module.exports = {
+    ALERT_ACTIVITY_TYPES,
+    recordAlertActivity,
+    diffAlertActivity,
+    getAlertTimeline
+};
@@ -0,0 +1,320 @@
+/**
+ * ======================================
+ * ALERT SLA HELPER
+ * ======================================
+ *
+ * An AlertSlaPolicy sets, for one alert type and priority, how long an alert
+ * may stay "pending" (acknowledge target) and how long it may stay open
+ * (resolve target). A hostel policy overrides the all-hostels one.
+ *
+ * The SLA job stamps each new open alert with its policy and deadlines
+ * (counted from createdAt), then escalates breaches. Each target escalates
+ * an alert once:
+ *   - priority goes up one level (low -> medium -> high -> urgent)
+ *   - the alert is reassigned to the hostel manager (Hostel.managedBy)
+ *   - the escalation is kept on metadata.slaEscalations, the alert timeline
+ *     and the activity log
+ *
+ * Deadlines are fixed once stamped, so the higher priority given by an
+ * escalation does not pull the resolve deadline forward.
+ *
+ * An alert counts as acknowledged once it leaves "pending" (acknowledgedAt,
+ * or resolvedAt for alerts closed straight away).
+ */
+
+const { prisma } = require('../config/db');
+const { writeLog } = require('./audit.helper');
+const { recordAlertActivity } = require('./alert-activity.helper');
+
+const MINUTE_MS = 60 * 1000;
+const ALERT_TYPES = ['bill', 'rent', 'payable', 'receivable', 'maintenance'];
+const ALERT_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const OPEN_ALERT_STATUSES = ['pending', 'in_progress'];
+const NEXT_PRIORITY = { low: 'medium', medium: 'high', high: 'urgent', urgent: 'urgent' };
+const SLA_STAGES = ['acknowledge', 'resolve'];
+
+/**
+ * Most specific active policy for an alert: the alert's hostel first, then
+ * the all-hostels policy. Policies only cover alerts raised after them.
+ */
+const findSlaPolicy = (policies, alert) => {
+    const candidates = policies.filter((policy) =>
+        policy.isActive
+        && policy.type === alert.type
+        && policy.priority === alert.priority
+        && policy.createdAt <= alert.createdAt
+        && (policy.hostelId === null || policy.hostelId === alert.hostelId)
+    );
+
+    return candidates.find((policy) => policy.hostelId !== null)
+        || candidates.find((policy) => policy.hostelId === null)
+        || null;
+};
+
+/**
+ * Fields to set when an alert moves to another status
+ */
+const acknowledgementFields = (alert, toStatus, now = new Date()) => {
+    if (!toStatus || toStatus === 'pending' || alert.acknowledgedAt) return {};
+    return { acknowledgedAt: now };
+};
+
+/**
+ * Give new open alerts their SLA policy and deadlines
+ * @returns {Number} Alerts stamped
+ */
+const stampAlertDeadlines = async (now) => {
+    const policies = await prisma.alertSlaPolicy.findMany({ where: { isActive: true } });
+    if (!policies.length) return 0;
+
+    const earliest = new Date(Math.min(...policies.map((policy) => policy.createdAt.getTime())));
+    const alerts = await prisma.alert.findMany({
+        where: {
+            slaPolicyId: null,
+            status: { in: OPEN_ALERT_STATUSES },
+            createdAt: { gte: earliest }
+        },
+        select: { id: true, type: true, priority: true, hostelId: true, createdAt: true }
+    });
+
+    let stamped = 0;
+    for (const alert of alerts) {
+        const policy = findSlaPolicy(policies, alert);
+        if (!policy) continue;
+
+        const created = alert.createdAt.getTime();
+        const result = await prisma.alert.updateMany({
+            where: { id: alert.id, slaPolicyId: null },
+            data: {
+                slaPolicyId: policy.id,
+                acknowledgeDueAt: policy.acknowledgeMinutes ? new Date(created + policy.acknowledgeMinutes * MINUTE_MS) : null,
+                resolveDueAt: policy.resolveMinutes ? new Date(created + policy.resolveMinutes * MINUTE_MS) : null
+            }
+        });
+        stamped += result.count;
+    }
+
+    return stamped;
+};
+
+/**
+ * Escalate one breached alert: bump its priority and hand it to the hostel manager
+ * @returns {Boolean} Whether this run escalated it
+ */
+const escalateAlert = async (alert, stage, now) => {
+    const breachField = stage === 'acknowledge' ? 'acknowledgeBreachedAt' : 'resolveBreachedAt';
+    const managerId = alert.hostel?.managedBy || null;
+    const toPriority = NEXT_PRIORITY[alert.priority] || alert.priority;
+    const toAssignee = managerId || alert.assignedTo;
+
+    const metadata = alert.metadata && typeof alert.metadata === 'object' && !Array.isArray(alert.metadata)
+        ? alert.metadata
+        : {};
+    const escalations = Array.isArray(metadata.slaEscalations) ? metadata.slaEscalations : [];
+
+    // Claim the breach so a concurrent run cannot escalate twice
+    const claimed = await prisma.alert.updateMany({
+        where: {
+            id: alert.id,
+            [breachField]: null,
+            status: stage === 'acknowledge' ? 'pending' : { in: OPEN_ALERT_STATUSES }
+        },
+        data: {
+            [breachField]: now,
+            priority: toPriority,
+            assignedTo: toAssignee,
+            escalationCount: { increment: 1 },
+            lastEscalatedAt: now,
+            metadata: {
+                ...metadata,
+                slaEscalations: [...escalations, {
+                    stage,
+                    at: now.toISOString(),
+                    fromPriority: alert.priority,
+                    toPriority,
+                    fromAssignee: alert.assignedTo,
+                    toAssignee
+                }]
+            }
+        }
+    });
+    if (!claimed.count) return false;
+
+    await recordAlertActivity([
+        {
+            alertId: alert.id,
+            type: 'escalation',
+            fromValue: alert.priority,
+            toValue: toPriority,
+            message: `Missed the ${stage} SLA`,
+            metadata: { stage }
+        },
+        toAssignee !== alert.assignedTo
+            ? { alertId: alert.id, type: 'assignment', fromValue: alert.assignedTo, toValue: toAssignee, message: 'Reassigned to the hostel manager on SLA breach' }
+            : null
+    ]);
+
+    const changes = [];
+    if (toPriority !== alert.priority) changes.push(`priority ${alert.priority} -> ${toPriority}`);
+    if (toAssignee !== alert.assignedTo) changes.push(`reassigned to hostel manager #${toAssignee}`);
+    if (!managerId) changes.push('hostel has no manager to reassign to');
+
+    await writeLog({
+        userId: null,
+        action: "escalate",
+        module: "alerts",
+        description: `Alert #${alert.id} missed its ${stage} SLA; ${changes.join(', ') || 'no change'}`
+    });
+
+    return true;
+};
+
+/**
+ * Stamp SLA deadlines on new alerts and escalate the ones that missed them
+ *
+ * @param {Object} options
+ * @param {Date} options.now
+ * @returns {Object} { stamped, acknowledgeBreaches, resolveBreaches }
+ */
+const processAlertSla = async ({ now = new Date() } = {}) => {
+    const stamped = await stampAlertDeadlines(now);
+
+    const select = {
+        id: true,
+        priority: true,
+        assignedTo: true,
+        metadata: true,
+        hostel: { select: { managedBy: true } }
+    };
+
+    const acknowledgeBreaches = await prisma.alert.findMany({
+        where: {
+            status: 'pending',
+            acknowledgedAt: null,
+            acknowledgeBreachedAt: null,
+            acknowledgeDueAt: { lt: now }
+        },
+        select
+    });
+
+    let acknowledged = 0;
+    for (const alert of acknowledgeBreaches) {
+        if (await escalateAlert(alert, 'acknowledge', now)) acknowledged += 1;
+    }
+
+    // Re-read so a just-escalated alert carries its new priority and metadata
+    const resolveBreaches = await prisma.alert.findMany({
+        where: {
+            status: { in: OPEN_ALERT_STATUSES },
+            resolveBreachedAt: null,
+            resolveDueAt: { lt: now }
+        },
+        select
+    });
+
+    let resolved = 0;
+    for (const alert of resolveBreaches) {
+        if (await escalateAlert(alert, 'resolve', now)) resolved += 1;
+    }
+
+    return { stamped, acknowledgeBreaches: acknowledged, resolveBreaches: resolved };
+};
+
+/**
+ * SLA state of one alert for one target
+ * @returns {String|null} met | breached | pending (still within target), or null without a target
+ */
+const slaOutcome = (alert, stage, now) => {
+    const dueAt = stage === 'acknowledge' ? alert.acknowledgeDueAt : alert.resolveDueAt;
+    if (!dueAt) return null;
+
+    const breachedAt = stage === 'acknowledge' ? alert.acknowledgeBreachedAt : alert.resolveBreachedAt;
+    const doneAt = stage === 'acknowledge' ? (alert.acknowledgedAt || alert.resolvedAt) : alert.resolvedAt;
+    const isDone = stage === 'acknowledge' ? alert.status !== 'pending' : alert.status === 'resolved';
+
+    if (doneAt) return doneAt <= dueAt ? 'met' : 'breached';
+    if (isDone) return breachedAt ? 'breached' : 'met';
+    if (stage === 'resolve' && alert.status === 'dismissed') return null;
+    return dueAt < now ? 'breached' : 'pending';
+};
+
+/**
+ * SLA deadlines and outcomes of one alert, for alert details
+ */
+const describeAlertSla = (alert, now = new Date()) => {
+    if (!alert.slaPolicyId) return null;
+
+    return {
+        policyId: alert.slaPolicyId,
+        acknowledgeDueAt: alert.acknowledgeDueAt,
+        acknowledgedAt: alert.acknowledgedAt,
+        acknowledge: slaOutcome(alert, 'acknowledge', now),
+        resolveDueAt: alert.resolveDueAt,
+        resolve: slaOutcome(alert, 'resolve', now),
+        escalationCount: alert.escalationCount,
+        lastEscalatedAt: alert.lastEscalatedAt
+    };
+};
+
+const emptyStageMetrics = () => ({ met: 0, breached: 0, pending: 0, complianceRate: null, averageMinutes: null });
+
+/**
+ * SLA compliance of the alerts matching a where-clause
+ *
+ * @param {Object} where - Alert where-clause
+ * @param {Date} now
+ * @returns {Object} { tracked, escalated, acknowledge, resolve }
+ */
+const getSlaMetrics = async (where, now = new Date()) => {
+    const alerts = await prisma.alert.findMany({
+        where: { ...where, slaPolicyId: { not: null } },
+        select: {
+            status: true,
+            createdAt: true,
+            acknowledgedAt: true,
+            resolvedAt: true,
+            acknowledgeDueAt: true,
+            resolveDueAt: true,
+            acknowledgeBreachedAt: true,
+            resolveBreachedAt: true,
+            escalationCount: true
+        }
+    });
+
+    const metrics = { tracked: alerts.length, escalated: 0, acknowledge: emptyStageMetrics(), resolve: emptyStageMetrics() };
+    const minutes = { acknowledge: [], resolve: [] };
+
+    for (const alert of alerts) {
+        if (alert.escalationCount > 0) metrics.escalated += 1;
+
+        for (const stage of SLA_STAGES) {
+            const outcome = slaOutcome(alert, stage, now);
+            if (!outcome) continue;
+            metrics[stage][outcome] += 1;
+
+            const doneAt = stage === 'acknowledge' ? (alert.acknowledgedAt || alert.resolvedAt) : alert.resolvedAt;
+            if (doneAt) minutes[stage].push((doneAt - alert.createdAt) / MINUTE_MS);
+        }
+    }
+
+    for (const stage of SLA_STAGES) {
+        const { met, breached } = metrics[stage];
+        if (met + breached) {
+            metrics[stage].complianceRate = Math.round((met / (met + breached)) * 1000) / 10;
+        }
+        if (minutes[stage].length) {
+            metrics[stage].averageMinutes = Math.round(minutes[stage].reduce((sum, value) => sum + value, 0) / minutes[stage].length);
+        }
+    }
+
+    return metrics;
+};
+
+module.exports = {
+    ALERT_TYPES,
+    ALERT_PRIORITIES,
+    acknowledgementFields,
+    processAlertSla,
+    describeAlertSla,
+    getSlaMetrics
+};
@@ -0,0 +1,62 @@
+/**
+ * ======================================
+ * ALLOCATION HELPER
+ * ======================================
+ *
+ * Bed and occupancy bookkeeping shared by everything that puts a tenant
+ * into a bed (allocateTenant, booking check-in).
+ */
+
+/**
+ * Mark a bed occupied and add it to the room, floor and hostel
+ * occupiedBeds counters. A reservation on the bed is taken up. A room whose
+ * beds are all taken, or that was only held for reserved beds, becomes
+ * "occupied". Must run inside the transaction that creates the allocation.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} ids - { hostelId, floorId, roomId, bedId }
+ */
+const occupyBed = async (tx, { hostelId, floorId, roomId, bedId }) => {
+    await tx.bed.update({
+        where: { id: bedId },
+        data: {
+            status: 'occupied',
+            reservedById: null,
+            reservationExpiry: null
+            // currentTenantId removed - we now use Allocation to track tenants
+        }
+    });
+
+    await tx.room.update({
+        where: { id: roomId },
+        data: { occupiedBeds: { increment: 1 } }
+    });
+
+    await tx.floor.update({
+        where: { id: floorId },
+        data: { occupiedBeds: { increment: 1 } }
+    });
+
+    await tx.hostel.update({
+        where: { id: hostelId },
+        data: { occupiedBeds: { increment: 1 } }
+    });
+
+    const roomData = await tx.room.findUnique({
+        where: { id: roomId },
+        select: { occupiedBeds: true, totalBeds: true, status: true }
+    });
+
+    const reservedBeds = roomData.status === 'reserved'
+        ? await tx.bed.count({ where: { roomId, status: 'reserved' } })
+        : null;
+
+    if (roomData.occupiedBeds >= roomData.totalBeds || reservedBeds === 0) {
+        await tx.room.update({
+            where: { id: roomId },
+            data: { status: 'occupied' }
+        });
+    }
+};
+
+module.exports = { occupyBed };
@@ -0,0 +1,346 @@
+/**
+ * ======================================
+ * AVAILABILITY CALENDAR HELPER
+ * ======================================
+ *
+ * Builds a day-by-day grid of bed states for a date range and rolls it up
+ * to room, floor and hostel level. A day stands for the night starting on
+ * it, so a stay from the 3rd to the 5th takes the 3rd and the 4th.
+ *
+ * Bed state per day, in order of precedence:
+ *   occupied    - an allocation covers the night (or a checked-in booking)
+ *   maintenance - bed or room under maintenance (from today on), or an
+ *                 open work order scheduled for that day (scheduledFor up to
+ *                 expectedCompletionDate)
+ *   booked      - a pending/confirmed booking for the bed, or a live bed reservation
+ *   free        - none of the above
+ *
+ * Active allocations without a check-out date are open-ended; their
+ * expectedCheckOutDate is used while it is still in the future.
+ * Bookings made for a room or hostel without a bed are reported per day as
+ * unassignedBookings, since they do not hold a particular bed yet.
+ */
+
+const { prisma } = require('../config/db');
+const { startOfUtcDay } = require('../utils/normalize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 92;
+
+// Higher wins when several things fall on the same night
+const STATE_PRECEDENCE = { free: 0, booked: 1, maintenance: 2, occupied: 3 };
+const BED_STATES = Object.keys(STATE_PRECEDENCE);
+const OCCUPYING_ALLOCATION_STATUSES = ['active', 'checked_out', 'transferred'];
+const HOLDING_BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in'];
+const OPEN_WORK_ORDER_STATUSES = ['open', 'assigned', 'in_progress', 'on_hold'];
+
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+// Day indexes [from, to) of a stay within the range, clipped to it
+const dayIndexRange = (start, end, rangeStart, dayCount) => {
+    const from = Math.max(Math.round((startOfUtcDay(start) - rangeStart) / DAY_MS), 0);
+    const to = end === null
+        ? dayCount
+        : Math.min(Math.round((startOfUtcDay(end) - rangeStart) / DAY_MS), dayCount);
+    return [from, to];
+};
+
+const emptyCounts = () => ({ free: 0, booked: 0, occupied: 0, maintenance: 0, total: 0, unassignedBookings: 0 });
+
+const addCounts = (target, source) => {
+    for (const key of Object.keys(target)) {
+        target[key] += source[key] || 0;
+    }
+};
+
+/**
+ * Parse and validate the requested range (endDate inclusive)
+ *
+ * @returns {Object} { start, dayCount } or { error }
+ */
+const parseCalendarRange = (startDate, endDate) => {
+    const start = startOfUtcDay(startDate || new Date());
+    const end = endDate ? startOfUtcDay(endDate) : new Date(start.getTime() + 29 * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        return { error: 'Invalid startDate or endDate' };
+    }
+    if (end < start) {
+        return { error: 'endDate must be on or after startDate' };
+    }
+
+    const dayCount = Math.round((end - start) / DAY_MS) + 1;
+    if (dayCount > MAX_RANGE_DAYS) {
+        return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { start, dayCount };
+};
+
+/**
+ * BUILD AVAILABILITY CALENDAR
+ * ===========================
+ * @param {Object} params
+ * @param {Number} params.hostelId
+ * @param {Number} params.floorId - Optional, limit to one floor
+ * @param {Number} params.roomId - Optional, limit to one room
+ * @param {Date} params.start - First day (UTC midnight)
+ * @param {Number} params.dayCount - Number of days
+ * @returns {Object} { range, hostel, floors, rooms, beds }
+ */
+const buildAvailabilityCalendar = async ({ hostelId, floorId = null, roomId = null, start, dayCount }) => {
+    const rangeEnd = new Date(start.getTime() + dayCount * DAY_MS);
+    const today = startOfUtcDay(new Date());
+    const todayIndex = Math.round((today - start) / DAY_MS);
+    const days = Array.from({ length: dayCount }, (_, i) => toDayKey(new Date(start.getTime() + i * DAY_MS)));
+
+    const roomWhere = { hostelId };
+    if (floorId) roomWhere.floorId = floorId;
+    if (roomId) roomWhere.id = roomId;
+
+    const rooms = await prisma.room.findMany({
+        where: roomWhere,
+        select: {
+            id: true,
+            roomNumber: true,
+            floorId: true,
+            status: true,
+            floor: { select: { id: true, floorNumber: true, floorName: true } },
+            beds: {
+                select: { id: true, bedNumber: true, status: true, reservationExpiry: true },
+                orderBy: { bedNumber: 'asc' }
+            }
+        },
+        orderBy: [{ floorId: 'asc' }, { roomNumber: 'asc' }]
+    });
+
+    const roomIds = rooms.map((room) => room.id);
+    const bedIds = rooms.flatMap((room) => room.beds.map((bed) => bed.id));
+
+    const [allocations, bookings, workOrders] = await Promise.all([
+        prisma.allocation.findMany({
+            where: {
+                bedId: { in: bedIds },
+                status: { in: OCCUPYING_ALLOCATION_STATUSES },
+                checkInDate: { lt: rangeEnd },
+                OR: [
+                    { checkOutDate: null },
+                    { checkOutDate: { gt: start } }
+                ]
+            },
+            select: {
+                id: true,
+                bedId: true,
+                status: true,
+                checkInDate: true,
+                checkOutDate: true,
+                expectedCheckOutDate: true,
+                tenant: { select: { id: true, name: true } }
+            }
+        }),
+        prisma.booking.findMany({
+            where: {
+                hostelId,
+                status: { in: HOLDING_BOOKING_STATUSES },
+                checkInDate: { lt: rangeEnd },
+                checkOutDate: { gt: start },
+                OR: [
+                    { bedId: { in: bedIds } },
+                    { bedId: null, roomId: { in: roomIds } },
+                    ...(floorId || roomId ? [] : [{ bedId: null, roomId: null }])
+                ]
+            },
+            select: {
+                id: true,
+                bookingCode: true,
+                bedId: true,
+                roomId: true,
+                status: true,
+                checkInDate: true,
+                checkOutDate: true,
+                customerName: true,
+                tenant: { select: { id: true, name: true } }
+            }
+        }),
+        prisma.maintenanceWorkOrder.findMany({
+            where: {
+                roomId: { in: roomIds },
+                status: { in: OPEN_WORK_ORDER_STATUSES },
+                scheduledFor: { lt: rangeEnd }
+            },
+            select: { id: true, roomId: true, bedId: true, scheduledFor: true, expectedCompletionDate: true }
+        })
+    ]);
+
+    // Per-bed grids
+    const bedGrids = new Map();
+    for (const room of rooms) {
+        for (const bed of room.beds) {
+            bedGrids.set(bed.id, { states: new Array(dayCount).fill('free'), stays: [] });
+        }
+    }
+
+    const mark = (grid, [from, to], state) => {
+        for (let i = from; i < to; i++) {
+            if (STATE_PRECEDENCE[state] > STATE_PRECEDENCE[grid.states[i]]) {
+                grid.states[i] = state;
+            }
+        }
+    };
+
+    for (const allocation of allocations) {
+        const grid = bedGrids.get(allocation.bedId);
+        if (!grid) continue;
+
+        let end = allocation.checkOutDate;
+        if (!end && allocation.status === 'active' && allocation.expectedCheckOutDate && allocation.expectedCheckOutDate > today) {
+            end = allocation.expectedCheckOutDate;
+        }
+
+        mark(grid, dayIndexRange(allocation.checkInDate, end || null, start, dayCount), 'occupied');
+        grid.stays.push({
+            type: 'allocation',
+            id: allocation.id,
+            status: allocation.status,
+            from: allocation.checkInDate,
+            to: end || null,
+            guest: allocation.tenant?.name || null
+        });
+    }
+
+    const unassignedByRoom = new Map();
+    const unassignedHostel = new Array(dayCount).fill(0);
+
+    for (const booking of bookings) {
+        const indexes = dayIndexRange(booking.checkInDate, booking.checkOutDate, start, dayCount);
+        const grid = booking.bedId ? bedGrids.get(booking.bedId) : null;
+
+        if (grid) {
+            mark(grid, indexes, booking.status === 'checked_in' ? 'occupied' : 'booked');
+            grid.stays.push({
+                type: 'booking',
+                id: booking.id,
+                bookingCode: booking.bookingCode,
+                status: booking.status,
+                from: booking.checkInDate,
+                to: booking.checkOutDate,
+                guest: booking.tenant?.name || booking.customerName || null
+            });
+            continue;
+        }
+
+        let counts = unassignedHostel;
+        if (booking.roomId) {
+            if (!unassignedByRoom.has(booking.roomId)) {
+                unassignedByRoom.set(booking.roomId, new Array(dayCount).fill(0));
+            }
+            counts = unassignedByRoom.get(booking.roomId);
+        }
+        for (let i = indexes[0]; i < indexes[1]; i++) counts[i] += 1;
+    }
+
+    const fromToday = [Math.max(todayIndex, 0), dayCount];
+
+    for (const room of rooms) {
+        const scheduled = workOrders.filter((order) => order.roomId === room.id);
+
+        for (const bed of room.beds) {
+            const grid = bedGrids.get(bed.id);
+
+            if (bed.status === 'under_maintenance' || room.status === 'under_maintenance') {
+                mark(grid, fromToday, 'maintenance');
+            }
+
+            for (const order of scheduled) {
+                if (order.bedId && order.bedId !== bed.id) continue;
+                const first = startOfUtcDay(order.scheduledFor);
+                const last = order.expectedCompletionDate && order.expectedCompletionDate > first
+                    ? startOfUtcDay(order.expectedCompletionDate)
+                    : first;
+                mark(grid, dayIndexRange(first, new Date(last.getTime() + DAY_MS), start, dayCount), 'maintenance');
+            }
+
+            if (bed.status === 'reserved' && bed.reservationExpiry && bed.reservationExpiry > today) {
+                const expiry = new Date(startOfUtcDay(bed.reservationExpiry).getTime() + DAY_MS);
+                mark(grid, [fromToday[0], dayIndexRange(today, expiry, start, dayCount)[1]], 'booked');
+            }
+        }
+    }
+
+    // Roll-ups
+    const countGrid = (states) => states.map((state) => ({ ...emptyCounts(), [state]: 1, total: 1 }));
+    const sumGrids = (grids) => days.map((_, i) => {
+        const counts = emptyCounts();
+        for (const grid of grids) addCounts(counts, grid[i]);
+        return counts;
+    });
+
+    const bedRows = [];
+    const roomRows = [];
+    const floorGrids = new Map();
+
+    for (const room of rooms) {
+        const bedCountGrids = room.beds.map((bed) => {
+            const grid = bedGrids.get(bed.id);
+            bedRows.push({
+                bedId: bed.id,
+                bedNumber: bed.bedNumber,
+                roomId: room.id,
+                roomNumber: room.roomNumber,
+                floorId: room.floorId,
+                states: grid.states,
+                stays: grid.stays
+            });
+            return countGrid(grid.states);
+        });
+
+        const roomDays = sumGrids(bedCountGrids);
+        const unassigned = unassignedByRoom.get(room.id);
+        if (unassigned) {
+            roomDays.forEach((counts, i) => { counts.unassignedBookings = unassigned[i]; });
+        }
+
+        roomRows.push({
+            roomId: room.id,
+            roomNumber: room.roomNumber,
+            floorId: room.floorId,
+            days: roomDays
+        });
+
+        if (!floorGrids.has(room.floorId)) {
+            floorGrids.set(room.floorId, { floor: room.floor, grids: [] });
+        }
+        floorGrids.get(room.floorId).grids.push(roomDays);
+    }
+
+    const floorRows = [...floorGrids.values()].map(({ floor, grids }) => ({
+        floorId: floor.id,
+        floorNumber: floor.floorNumber,
+        floorName: floor.floorName,
+        days: sumGrids(grids)
+    }));
+
+    const hostelDays = sumGrids(floorRows.map((floor) => floor.days));
+    hostelDays.forEach((counts, i) => { counts.unassignedBookings += unassignedHostel[i]; });
+
+    return {
+        range: {
+            startDate: days[0],
+            endDate: days[days.length - 1],
+            days
+        },
+        hostel: {
+            hostelId,
+            days: hostelDays.map((counts, i) => ({ date: days[i], ...counts }))
+        },
+        floors: floorRows,
+        rooms: roomRows,
+        beds: bedRows
+    };
+};
+
+module.exports = {
+    BED_STATES,
+    parseCalendarRange,
+    buildAvailabilityCalendar
+};
@@ -0,0 +1,948 @@
+/**
+ * ======================================
+ * BANK RECONCILIATION HELPER
+ * ======================================
+ *
+ * Bank statements (CSV or OFX) are imported per hostel BankAccount as
+ * BankStatementLines (+ money in, - money out). Lines already imported,
+ * by OFX FITID or by a hash of the CSV row, are skipped, so overlapping
+ * statements can be imported safely.
+ *
+ * MATCHING
+ * ========
+ * A line is matched to one record of the same hostel with the same amount,
+ * booked within bank_match_window_days of the line:
+ *
+ *   money in   PaymentReceipt (received by bank_transfer, upi or cheque), a
+ *              Transaction with no receipt, or a paid Payment with no
+ *              Transaction of its own
+ *   money out  Expense, or a Transaction paid out by bank (e.g. deposit refunds)
+ *
+ * One transfer recorded against several charges is split into a Transaction
+ * per charge under a single receipt for the amount received, so the receipt
+ * is what the bank line is matched to; its transactions are not offered on
+ * their own.
+ *
+ * Candidates are scored out of 100: 50 for the amount, 35 when the line's
+ * reference or description carries the record's bank reference
+ * (transactionId / gatewayRef / receipt number or reference), and up to 15 the closer
+ * the dates are. Auto-matching only suggests: a line gets the best candidate
+ * when it is the only one with that score, and staff confirm it, pick
+ * another record by hand, or set the line aside as ignored.
+ *
+ * Each Payment, Transaction, Expense and PaymentReceipt can be matched to
+ * one line at most.
+ *
+ * ====================================
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * bank_match_window_days - Days either side of the statement date a record can be booked (default: 3)
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount } = require('../utils/normalize');
+const { getTransactionCashMovements } = require('./general-ledger.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BANK_PAYMENT_METHODS = ['bank_transfer', 'upi', 'cheque'];
+const LINE_STATUSES = ['unmatched', 'suggested', 'matched', 'ignored'];
+const MATCH_TYPES = ['payment', 'transaction', 'expense', 'receipt'];
+const DATE_FORMATS = ['DMY', 'MDY', 'YMD'];
+
+const SCORE_AMOUNT = 50;
+const SCORE_REFERENCE = 35;
+const SCORE_DATE = 15;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header names banks use for each column, compared lower-case without punctuation
+const COLUMN_ALIASES = {
+    date: ['date', 'transaction date', 'txn date', 'tran date', 'posting date', 'post date', 'value date', 'booking date'],
+    description: ['description', 'narration', 'details', 'particulars', 'transaction details', 'memo', 'remarks'],
+    reference: ['reference', 'ref', 'ref no', 'reference no', 'reference number', 'cheque no', 'chq no', 'chq ref no',
+        'cheque number', 'instrument no', 'transaction id', 'utr', 'utr no'],
+    amount: ['amount', 'transaction amount', 'txn amount'],
+    type: ['type', 'dr cr', 'cr dr', 'debit credit', 'transaction type'],
+    debit: ['debit', 'debits', 'withdrawal', 'withdrawals', 'withdrawal amt', 'debit amount', 'paid out', 'dr'],
+    credit: ['credit', 'credits', 'deposit', 'deposits', 'deposit amt', 'credit amount', 'paid in', 'cr'],
+    balance: ['balance', 'running balance', 'closing balance', 'available balance']
+};
+
+const normalizeHeader = (value) => String(value || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const normalizeReference = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toPeriod = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Parse "1,234.50", "(1,234.50)", "1234.50 DR" and the like; null when empty
+ */
+const parseAmount = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const negative = /^-|^\(.*\)$|\bdr\.?$/i.test(text);
+    const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (!Number.isFinite(number)) return null;
+    return roundAmount(negative ? -number : number);
+};
+
+/**
+ * Parse a statement date; numeric dates follow dateFormat (DMY unless told otherwise)
+ */
+const parseStatementDate = (value, dateFormat = 'DMY') => {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+    // 12-Oct-2026, 12 Oct 26
+    match = text.match(/^(\d{1,2})[\s\-/.]([A-Za-z]{3})[A-Za-z]*[\s\-/.,]+(\d{2,4})/);
+    if (match) {
+        const month = MONTHS.indexOf(match[2].toLowerCase());
+        const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+        return month >= 0 ? new Date(year, month, Number(match[1])) : null;
+    }
+
+    match = text.match(/^(\d{1,4})[\-/.](\d{1,2})[\-/.](\d{1,4})/);
+    if (!match) return null;
+
+    let [first, second, third] = match.slice(1).map(Number);
+    let day;
+    let month;
+    let year;
+    if (match[1].length === 4 || dateFormat === 'YMD') {
+        [year, month, day] = [first, second, third];
+    } else if (dateFormat === 'MDY') {
+        [month, day, year] = [first, second, third];
+    } else {
+        [day, month, year] = [first, second, third];
+    }
+    if (year < 100) year += 2000;
+
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ */
+const parseCsvRows = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ), ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+/**
+ * Find the header row (banks often put account details above it) and the
+ * column of each field
+ */
+const findCsvColumns = (rows, mapping = null) => {
+    for (let index = 0; index < Math.min(rows.length, 25); index += 1) {
+        const headers = rows[index].map(normalizeHeader);
+        const columns = {};
+
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const wanted = mapping?.[field] ? [normalizeHeader(mapping[field])] : aliases;
+            const column = headers.findIndex((header) => wanted.includes(header));
+            if (column >= 0) columns[field] = column;
+        });
+
+        if (columns.date !== undefined && (columns.amount !== undefined || columns.debit !== undefined || columns.credit !== undefined)) {
+            return { headerIndex: index, columns };
+        }
+    }
+    throw new Error('Could not find the date and amount columns; send a column mapping');
+};
+
+/**
+ * Parse a CSV statement
+ *
+ * @param {String} text
+ * @param {Object} options
+ * @param {String} options.dateFormat - DMY | MDY | YMD for numeric dates (default: DMY)
+ * @param {Object} options.mapping - { date, description, reference, amount, type, debit, credit, balance } header names
+ * @returns {Object} { lines, periodStart, periodEnd, openingBalance, closingBalance }
+ */
+const parseCsvStatement = (text, { dateFormat = 'DMY', mapping = null } = {}) => {
+    const rows = parseCsvRows(text);
+    const { headerIndex, columns } = findCsvColumns(rows, mapping);
+    const cell = (row, field) => (columns[field] !== undefined ? String(row[columns[field]] ?? '').trim() : '');
+
+    const lines = [];
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+        const postedAt = parseStatementDate(cell(row, 'date'), dateFormat);
+        // Totals and footer rows have no date
+        if (!postedAt) return;
+
+        let amount;
+        if (columns.amount !== undefined) {
+            amount = parseAmount(cell(row, 'amount'));
+            const type = cell(row, 'type').toLowerCase();
+            if (amount !== null && (type.startsWith('d') || type === 'withdrawal')) amount = -Math.abs(amount);
+            if (amount !== null && (type.startsWith('c') || type === 'deposit')) amount = Math.abs(amount);
+        } else {
+            amount = roundAmount((Math.abs(parseAmount(cell(row, 'credit')) || 0)) - (Math.abs(parseAmount(cell(row, 'debit')) || 0)));
+        }
+        if (!amount) return;
+
+        lines.push({
+            row: headerIndex + offset + 2,
+            postedAt,
+            amount,
+            description: cell(row, 'description') || null,
+            reference: cell(row, 'reference') || null,
+            balance: parseAmount(cell(row, 'balance'))
+        });
+    });
+
+    // Statements list newest first or oldest first; put them in date order
+    if (lines.length > 1 && lines[0].postedAt > lines[lines.length - 1].postedAt) lines.reverse();
+
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+    return {
+        lines,
+        periodStart: first?.postedAt || null,
+        periodEnd: last?.postedAt || null,
+        openingBalance: first && first.balance !== null ? roundAmount(first.balance - first.amount) : null,
+        closingBalance: last && last.balance !== null ? last.balance : null
+    };
+};
+
+const ofxTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+};
+
+const parseOfxDate = (value) => {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Parse an OFX statement (SGML OFX 1.x or XML OFX 2.x)
+ *
+ * @returns {Object} { accountId, lines, periodStart, periodEnd, openingBalance, closingBalance }
+ */
+const parseOfxStatement = (text) => {
+    const lines = text.split(/<STMTTRN>/i).slice(1).map((chunk, index) => {
+        const block = chunk.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0];
+        const postedAt = parseOfxDate(ofxTag(block, 'DTPOSTED'));
+        const amount = parseAmount(ofxTag(block, 'TRNAMT'));
+        if (!postedAt || !amount) return null;
+
+        const name = ofxTag(block, 'NAME');
+        const memo = ofxTag(block, 'MEMO');
+        return {
+            row: index + 1,
+            externalId: ofxTag(block, 'FITID'),
+            postedAt,
+            amount,
+            description: [name, memo].filter(Boolean).join(' - ') || null,
+            reference: ofxTag(block, 'CHECKNUM') || ofxTag(block, 'REFNUM') || null,
+            balance: null
+        };
+    }).filter(Boolean);
+
+    lines.sort((a, b) => a.postedAt - b.postedAt);
+
+    const closing = text.match(/<LEDGERBAL>[\s\S]*?<BALAMT>([^<\r\n]+)/i);
+    const closingBalance = closing ? parseAmount(closing[1]) : null;
+    const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+        accountId: ofxTag(text, 'ACCTID'),
+        lines,
+        periodStart: parseOfxDate(ofxTag(text, 'DTSTART')) || lines[0]?.postedAt || null,
+        periodEnd: parseOfxDate(ofxTag(text, 'DTEND')) || lines[lines.length - 1]?.postedAt || null,
+        openingBalance: closingBalance !== null ? roundAmount(closingBalance - total) : null,
+        closingBalance
+    };
+};
+
+const detectFormat = (fileName, text) => {
+    if (/\.(ofx|qfx)$/i.test(fileName || '')) return 'ofx';
+    if (/\.csv$/i.test(fileName || '')) return 'csv';
+    return /OFXHEADER|<OFX>/i.test(text.slice(0, 2000)) ? 'ofx' : 'csv';
+};
+
+/**
+ * Stable id for a line without one of its own; the occurrence count keeps
+ * two identical lines on the same day apart
+ */
+const hashLine = (line, occurrence) => crypto
+    .createHash('sha1')
+    .update([toPeriod(line.postedAt), line.postedAt.getDate(), line.amount, line.description || '', line.reference || '', occurrence].join('|'))
+    .digest('hex');
+
+/**
+ * Import a statement file into a bank account and auto-match its lines
+ *
+ * @param {Number} bankAccountId
+ * @param {Object} options
+ * @param {String|Buffer} options.content - File content
+ * @param {String} options.fileName
+ * @param {String} options.format - csv | ofx (default: from the file name or content)
+ * @param {String} options.dateFormat - DMY | MDY | YMD for CSV dates
+ * @param {Object} options.mapping - CSV column header names
+ * @param {Number} options.userId
+ * @returns {Object} { statement, imported, duplicates, suggested }
+ */
+const importBankStatement = async (bankAccountId, { content, fileName = null, format = null, dateFormat = 'DMY', mapping = null, userId = null }) => {
+    const account = await prisma.bankAccount.findUnique({ where: { id: bankAccountId } });
+    if (!account) throw new Error('Bank account not found');
+    if (!account.isActive) throw new Error('This bank account is inactive');
+
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+    if (!text.trim()) throw new Error('The statement file is empty');
+    if (format && !['csv', 'ofx'].includes(format)) throw new Error('format must be csv or ofx');
+    if (!DATE_FORMATS.includes(dateFormat)) throw new Error(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}`);
+
+    const resolvedFormat = format || detectFormat(fileName, text);
+    const parsed = resolvedFormat === 'ofx' ? parseOfxStatement(text) : parseCsvStatement(text, { dateFormat, mapping });
+    if (!parsed.lines.length) throw new Error('No transactions were found in the statement');
+
+    // An OFX file names its account; refuse one meant for another account
+    const statementDigits = String(parsed.accountId || '').replace(/\D/g, '');
+    const accountDigits = account.accountNumber.replace(/\D/g, '');
+    if (statementDigits && accountDigits && !statementDigits.endsWith(accountDigits.slice(-4))) {
+        throw new Error(`This statement is for account ${parsed.accountId}, not ${account.accountNumber}`);
+    }
+
+    const occurrences = new Map();
+    const lines = parsed.lines.map((line) => {
+        const key = `${line.postedAt.getTime()}|${line.amount}|${line.description}|${line.reference}`;
+        const occurrence = (occurrences.get(key) || 0) + 1;
+        occurrences.set(key, occurrence);
+        return { ...line, externalId: String(line.externalId || hashLine(line, occurrence)).slice(0, 100) };
+    });
+
+    const existing = await prisma.bankStatementLine.findMany({
+        where: { bankAccountId, externalId: { in: lines.map((line) => line.externalId) } },
+        select: { externalId: true }
+    });
+    const seen = new Set(existing.map((line) => line.externalId));
+    const fresh = lines.filter((line) => {
+        if (seen.has(line.externalId)) return false;
+        seen.add(line.externalId);
+        return true;
+    });
+
+    const statement = await prisma.$transaction(async (tx) => {
+        const created = await tx.bankStatement.create({
+            data: {
+                bankAccountId,
+                fileName: fileName ? String(fileName).slice(0, 255) : null,
+                format: resolvedFormat,
+                periodStart: parsed.periodStart,
+                periodEnd: parsed.periodEnd,
+                openingBalance: parsed.openingBalance,
+                closingBalance: parsed.closingBalance,
+                lineCount: fresh.length,
+                duplicateCount: lines.length - fresh.length,
+                importedBy: userId
+            }
+        });
+
+        if (fresh.length) {
+            await tx.bankStatementLine.createMany({
+                data: fresh.map((line) => ({
+                    statementId: created.id,
+                    bankAccountId,
+                    externalId: line.externalId,
+                    postedAt: line.postedAt,
+                    amount: line.amount,
+                    description: line.description ? line.description.slice(0, 500) : null,
+                    reference: line.reference ? line.reference.slice(0, 150) : null,
+                    balance: line.balance
+                })),
+                skipDuplicates: true
+            });
+        }
+        return created;
+    });
+
+    const { suggested } = await autoMatchLines({ bankAccountId, statementId: statement.id });
+    return { statement, imported: fresh.length, duplicates: lines.length - fresh.length, suggested };
+};
+
+/**
+ * Bank references a record carries
+ */
+const recordReferences = (type, record) => {
+    const values = type === 'transaction'
+        ? [record.gatewayRef, record.orderId, record.merchantTxnId, record.payment?.transactionId, record.payment?.receiptNumber, record.receipt?.receiptNumber]
+        : type === 'payment'
+            ? [record.transactionId, record.receiptNumber]
+            : type === 'receipt'
+                ? [record.reference, record.receiptNumber]
+                : [];
+    return values.map(normalizeReference).filter((value) => value.length >= 4);
+};
+
+const referenceMatches = (line, references) => {
+    const lineReference = normalizeReference(line.reference);
+    const lineDescription = normalizeReference(line.description);
+    return references.some((reference) => reference === lineReference
+        || (reference.length >= 6 && (lineDescription.includes(reference) || (lineReference.length >= 6 && lineReference.includes(reference)))));
+};
+
+const isMatched = (record) => Boolean(record.bankLine);
+
+// Transactions recorded under a receipt are matched through the receipt
+const hasLiveReceipt = (record) => Boolean(record.receipt && !record.receipt.voidedAt);
+
+// A receipt counts as matched when it, its payment or one of its transactions is
+const isReceiptMatched = (receipt) => isMatched(receipt)
+    || Boolean(receipt.payment?.bankLine)
+    || receipt.transactions.some((transaction) => transaction.bankLine);
+
+const receiptMatchInclude = {
+    bankLine: { select: { id: true } },
+    payment: { select: { bankLine: { select: { id: true } } } },
+    transactions: { select: { id: true, bankLine: { select: { id: true } } } },
+    tenant: { select: { id: true, name: true } }
+};
+
+/**
+ * Records a line could be matched to, best first
+ *
+ * @param {Object} line - BankStatementLine with bankAccount
+ * @param {Object} options
+ * @param {Number} options.windowDays
+ * @param {Boolean} options.anyAmount - Also list records of other amounts (for matching by hand)
+ * @returns {Array} [{ matchType, record, score, referenceMatch, dayDiff }]
+ */
+const findMatchCandidates = async (line, { windowDays, anyAmount = false, client = prisma } = {}) => {
+    const hostelId = line.bankAccount.hostelId;
+    const amount = roundAmount(Math.abs(line.amount));
+    const from = new Date(line.postedAt.getTime() - windowDays * DAY_MS);
+    const to = new Date(line.postedAt.getTime() + (windowDays + 1) * DAY_MS);
+    const amountFilter = anyAmount ? {} : { amount: { gte: amount - 0.005, lte: amount + 0.005 } };
+
+    const candidates = [];
+    const bookedOn = (type, record) => {
+        if (type === 'transaction') return record.payment?.paymentDate || record.createdAt;
+        if (type === 'receipt') return record.issuedAt;
+        return type === 'payment' ? record.paymentDate : record.date;
+    };
+
+    const transactions = await client.transaction.findMany({
+        where: {
+            ...amountFilter,
+            status: 'completed',
+            paymentMethod: { in: BANK_PAYMENT_METHODS },
+            OR: [{ hostelId }, { hostelId: null, payment: { hostelId } }],
+            AND: [{ OR: [{ createdAt: { gte: from, lt: to } }, { payment: { paymentDate: { gte: from, lt: to } } }] }]
+        },
+        include: {
+            bankLine: { select: { id: true } },
+            payment: { select: { id: true, paymentDate: true, transactionId: true, receiptNumber: true, paymentType: true, bankLine: { select: { id: true } } } },
+            receipt: { select: { receiptNumber: true, voidedAt: true } },
+            tenant: { select: { id: true, name: true } }
+        }
+    });
+
+    // Money in or out as booked on the general ledger; the type name otherwise
+    const movements = await getTransactionCashMovements(transactions.map((transaction) => transaction.id));
+    const direction = (transaction) => {
+        const movement = movements.get(transaction.id);
+        if (movement) return Math.sign(movement);
+        return /paid|refund/i.test(transaction.transactionType || '') ? -1 : 1;
+    };
+    transactions
+        .filter((transaction) => !isMatched(transaction) && !transaction.payment?.bankLine && !hasLiveReceipt(transaction))
+        .filter((transaction) => direction(transaction) === Math.sign(line.amount))
+        .forEach((record) => candidates.push({ matchType: 'transaction', record }));
+
+    if (line.amount > 0) {
+        const receipts = await client.paymentReceipt.findMany({
+            where: {
+                ...amountFilter,
+                hostelId,
+                voidedAt: null,
+                paymentMethod: { in: BANK_PAYMENT_METHODS },
+                issuedAt: { gte: from, lt: to }
+            },
+            include: receiptMatchInclude
+        });
+        receipts.filter((receipt) => !isReceiptMatched(receipt)).forEach((record) => candidates.push({ matchType: 'receipt', record }));
+
+        const payments = await client.payment.findMany({
+            where: {
+                ...amountFilter,
+                hostelId,
+                status: 'paid',
+                paymentMethod: { in: BANK_PAYMENT_METHODS },
+                paymentDate: { gte: from, lt: to },
+                transactions: { none: {} },
+                receipts: { none: { voidedAt: null } }
+            },
+            include: { bankLine: { select: { id: true } }, tenant: { select: { id: true, name: true } } }
+        });
+        payments.filter((payment) => !isMatched(payment)).forEach((record) => candidates.push({ matchType: 'payment', record }));
+    } else {
+        const expenses = await client.expense.findMany({
+            where: { ...amountFilter, hostelId, date: { gte: from, lt: to } },
+            include: { bankLine: { select: { id: true } } }
+        });
+        expenses.filter((expense) => !isMatched(expense)).forEach((record) => candidates.push({ matchType: 'expense', record }));
+    }
+
+    return candidates.map((candidate) => {
+        const booked = bookedOn(candidate.matchType, candidate.record);
+        const dayDiff = Math.round(Math.abs(booked - line.postedAt) / DAY_MS);
+        const referenceMatch = referenceMatches(line, recordReferences(candidate.matchType, candidate.record));
+        const amountMatch = Math.abs(roundAmount(candidate.record.amount) - amount) < 0.01;
+
+        const score = (amountMatch ? SCORE_AMOUNT : 0)
+            + (referenceMatch ? SCORE_REFERENCE : 0)
+            + SCORE_DATE * Math.max(0, 1 - dayDiff / (windowDays + 1));
+        const { bankLine, ...record } = candidate.record;
+        return { matchType: candidate.matchType, record, score: Math.round(score * 10) / 10, amountMatch, referenceMatch, dayDiff };
+    }).sort((a, b) => b.score - a.score);
+};
+
+const readWindowDays = async (client = prisma) => {
+    const days = await getNumericSetting('bank_match_window_days', 3, client);
+    return days >= 0 ? Math.round(days) : 3;
+};
+
+const matchFields = (matchType, recordId) => ({
+    matchType,
+    paymentId: matchType === 'payment' ? recordId : null,
+    transactionId: matchType === 'transaction' ? recordId : null,
+    expenseId: matchType === 'expense' ? recordId : null,
+    receiptId: matchType === 'receipt' ? recordId : null
+});
+
+const CLEARED_MATCH = {
+    matchType: null,
+    paymentId: null,
+    transactionId: null,
+    expenseId: null,
+    receiptId: null,
+    matchScore: null,
+    matchNote: null,
+    matchedBy: null,
+    matchedAt: null
+};
+
+const isUniqueViolation = (error) => error?.code === 'P2002';
+
+/**
+ * Suggest matches for unmatched lines
+ *
+ * @param {Object} options
+ * @param {Number} options.bankAccountId
+ * @param {Number} options.statementId - Only this statement's lines
+ * @returns {Object} { checked, suggested }
+ */
+const autoMatchLines = async ({ bankAccountId, statementId = null }) => {
+    const windowDays = await readWindowDays();
+    const lines = await prisma.bankStatementLine.findMany({
+        where: { bankAccountId, status: 'unmatched', ...(statementId ? { statementId } : {}) },
+        include: { bankAccount: { select: { hostelId: true } } },
+        orderBy: [{ postedAt: 'asc' }, { id: 'asc' }]
+    });
+
+    let suggested = 0;
+    for (const line of lines) {
+        const candidates = await findMatchCandidates(line, { windowDays });
+        const [best, runnerUp] = candidates;
+        if (!best) continue;
+
+        // Two equally good records: leave the choice to staff
+        if (runnerUp && runnerUp.score === best.score) {
+            await prisma.bankStatementLine.update({
+                where: { id: line.id },
+                data: { matchNote: `${candidates.filter((candidate) => candidate.score === best.score).length} records match equally well` }
+            });
+            continue;
+        }
+
+        try {
+            const claimed = await prisma.bankStatementLine.updateMany({
+                where: { id: line.id, status: 'unmatched' },
+                data: {
+                    ...matchFields(best.matchType, best.record.id),
+                    status: 'suggested',
+                    matchScore: best.score,
+                    matchNote: best.referenceMatch ? 'Amount and reference match' : `Amount matches, ${best.dayDiff} day(s) apart`
+                }
+            });
+            suggested += claimed.count;
+        } catch (error) {
+            // Taken by another line in the meantime
+            if (!isUniqueViolation(error)) throw error;
+        }
+    }
+
+    return { checked: lines.length, suggested };
+};
+
+/**
+ * Confirm suggested matches
+ *
+ * @param {Object} options
+ * @param {Number[]} options.lineIds - These lines (default: every suggested line of the account)
+ * @param {Number} options.bankAccountId
+ * @param {Number} options.minScore - Only suggestions scoring at least this
+ * @returns {Number} Lines confirmed
+ */
+const confirmSuggestedMatches = async ({ lineIds = null, bankAccountId = null, minScore = null, userId = null }) => {
+    const where = { status: 'suggested' };
+    if (lineIds) where.id = { in: lineIds };
+    if (bankAccountId) where.bankAccountId = bankAccountId;
+    if (minScore !== null) where.matchScore = { gte: minScore };
+
+    const result = await prisma.bankStatementLine.updateMany({
+        where,
+        data: { status: 'matched', matchedBy: userId, matchedAt: new Date() }
+    });
+    return result.count;
+};
+
+const findMatchRecord = (matchType, recordId) => {
+    const bankLine = { select: { id: true } };
+    if (matchType === 'payment') {
+        return prisma.payment.findUnique({ where: { id: recordId }, include: { bankLine, receipts: { where: { voidedAt: null }, select: { bankLine } } } });
+    }
+    if (matchType === 'transaction') {
+        return prisma.transaction.findUnique({ where: { id: recordId }, include: { bankLine, payment: { select: { hostelId: true } }, receipt: { select: { voidedAt: true, bankLine } } } });
+    }
+    if (matchType === 'receipt') {
+        return prisma.paymentReceipt.findUnique({ where: { id: recordId }, include: receiptMatchInclude });
+    }
+    return prisma.expense.findUnique({ where: { id: recordId }, include: { bankLine } });
+};
+
+/**
+ * Another line the money is already matched to: a receipt and the payment
+ * and transactions recorded under it are one deposit
+ */
+const linkedBankLine = (matchType, record, lineId) => {
+    const lines = matchType === 'receipt'
+        ? [record.payment?.bankLine, ...record.transactions.map((transaction) => transaction.bankLine)]
+        : matchType === 'transaction'
+            ? [hasLiveReceipt(record) ? record.receipt.bankLine : null]
+            : matchType === 'payment'
+                ? (record.receipts || []).map((receipt) => receipt.bankLine)
+                : [];
+    return lines.find((bankLine) => bankLine && bankLine.id !== lineId) || null;
+};
+
+/**
+ * Match a line to a record by hand
+ *
+ * @param {Number} lineId
+ * @param {Object} options
+ * @param {String} options.matchType - payment | transaction | expense | receipt
+ * @param {Number} options.recordId
+ * @param {String} options.note
+ * @returns {Object} BankStatementLine
+ */
+const matchLineManually = async (lineId, { matchType, recordId, note = null, userId = null }) => {
+    if (!MATCH_TYPES.includes(matchType)) throw new Error(`matchType must be one of: ${MATCH_TYPES.join(', ')}`);
+
+    const line = await prisma.bankStatementLine.findUnique({ where: { id: lineId }, include: { bankAccount: true } });
+    if (!line) throw new Error('Statement line not found');
+
+    const record = await findMatchRecord(matchType, recordId);
+    if (!record) throw new Error(`${matchType.charAt(0).toUpperCase() + matchType.slice(1)} not found`);
+    if (matchType === 'receipt' && record.voidedAt) throw new Error('This receipt is voided');
+
+    const recordHostelId = record.hostelId ?? record.payment?.hostelId ?? null;
+    if (recordHostelId && recordHostelId !== line.bankAccount.hostelId) {
+        throw new Error(`This ${matchType} belongs to another hostel`);
+    }
+    if (record.bankLine && record.bankLine.id !== lineId) {
+        throw new Error(`This ${matchType} is already matched to statement line #${record.bankLine.id}; unmatch it first`);
+    }
+    const linkedLine = linkedBankLine(matchType, record, lineId);
+    if (linkedLine) {
+        throw new Error(`This ${matchType} is covered by statement line #${linkedLine.id} through its receipt; unmatch that line first`);
+    }
+
+    const difference = roundAmount(Math.abs(line.amount) - Math.abs(record.amount || 0));
+    const notes = [note, difference ? `Differs from the statement by ${difference}` : null].filter(Boolean);
+
+    try {
+        return await prisma.bankStatementLine.update({
+            where: { id: lineId },
+            data: {
+                ...CLEARED_MATCH,
+                ...matchFields(matchType, recordId),
+                status: 'matched',
+                matchNote: notes.length ? notes.join('; ').slice(0, 500) : null,
+                matchedBy: userId,
+                matchedAt: new Date()
+            }
+        });
+    } catch (error) {
+        if (isUniqueViolation(error)) throw new Error(`This ${matchType} was just matched to another statement line`);
+        throw error;
+    }
+};
+
+/**
+ * Undo a suggestion, a match or an ignore
+ */
+const unmatchLine = async (lineId) => {
+    const line = await prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+    if (!line) throw new Error('Statement line not found');
+    if (line.status === 'unmatched') throw new Error('This line is not matched');
+
+    return prisma.bankStatementLine.update({ where: { id: lineId }, data: { ...CLEARED_MATCH, status: 'unmatched' } });
+};
+
+/**
+ * Set a bank-only line aside (bank charges, interest, transfers between own accounts)
+ */
+const ignoreLine = async (lineId, { reason, userId = null }) => {
+    const line = await prisma.bankStatementLine.findUnique({ where: { id: lineId } });
+    if (!line) throw new Error('Statement line not found');
+    if (line.status === 'matched') throw new Error('Unmatch this line before ignoring it');
+
+    return prisma.bankStatementLine.update({
+        where: { id: lineId },
+        data: { ...CLEARED_MATCH, status: 'ignored', matchNote: String(reason).slice(0, 500), matchedBy: userId, matchedAt: new Date() }
+    });
+};
+
+/**
+ * Unreconciled items of a bank account by month
+ *
+ * Bank side: statement lines not yet matched (a suggestion still counts
+ * until confirmed). Book side: bank receipts, transactions recorded without a
+ * receipt and payments of the hostel not matched to any line. Expenses do not
+ * record how they were paid, so only those matched show up here.
+ *
+ * @param {Number} bankAccountId
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @returns {Object} { account, periods, unmatchedLines, unmatchedRecords, totals, statementBalance }
+ */
+const getReconciliationReport = async (bankAccountId, { from, to }) => {
+    const account = await prisma.bankAccount.findUnique({ where: { id: bankAccountId } });
+    if (!account) throw new Error('Bank account not found');
+
+    const [lines, receipts, transactions, payments, lastStatement] = await Promise.all([
+        prisma.bankStatementLine.findMany({
+            where: { bankAccountId, postedAt: { gte: from, lte: to } },
+            orderBy: [{ postedAt: 'asc' }, { id: 'asc' }]
+        }),
+        prisma.paymentReceipt.findMany({
+            where: {
+                hostelId: account.hostelId,
+                voidedAt: null,
+                paymentMethod: { in: BANK_PAYMENT_METHODS },
+                issuedAt: { gte: from, lte: to },
+                bankLine: { is: null }
+            },
+            include: receiptMatchInclude,
+            orderBy: { issuedAt: 'asc' }
+        }),
+        prisma.transaction.findMany({
+            where: {
+                status: 'completed',
+                paymentMethod: { in: BANK_PAYMENT_METHODS },
+                OR: [{ hostelId: account.hostelId }, { hostelId: null, payment: { hostelId: account.hostelId } }],
+                createdAt: { gte: from, lte: to },
+                bankLine: { is: null }
+            },
+            include: {
+                payment: { select: { id: true, paymentType: true, bankLine: { select: { id: true } } } },
+                receipt: { select: { voidedAt: true } },
+                tenant: { select: { id: true, name: true } }
+            },
+            orderBy: { createdAt: 'asc' }
+        }),
+        prisma.payment.findMany({
+            where: {
+                hostelId: account.hostelId,
+                status: 'paid',
+                paymentMethod: { in: BANK_PAYMENT_METHODS },
+                paymentDate: { gte: from, lte: to },
+                transactions: { none: {} },
+                receipts: { none: { voidedAt: null } },
+                bankLine: { is: null }
+            },
+            include: { tenant: { select: { id: true, name: true } } },
+            orderBy: { paymentDate: 'asc' }
+        }),
+        prisma.bankStatement.findFirst({
+            where: { bankAccountId, periodEnd: { lte: to }, closingBalance: { not: null } },
+            orderBy: { periodEnd: 'desc' }
+        })
+    ]);
+
+    const movements = await getTransactionCashMovements(transactions.map((transaction) => transaction.id));
+    const signed = (transaction) => {
+        const movement = movements.get(transaction.id);
+        if (movement) return Math.sign(movement) * Math.abs(transaction.amount || 0);
+        return /paid|refund/i.test(transaction.transactionType || '') ? -Math.abs(transaction.amount || 0) : Math.abs(transaction.amount || 0);
+    };
+
+    // A matched line whose record was deleted is open again
+    const isOpen = (line) => line.status === 'unmatched' || line.status === 'suggested'
+        || (line.status === 'matched' && !line.paymentId && !line.transactionId && !line.expenseId && !line.receiptId);
+
+    const unmatchedLines = lines.filter(isOpen);
+    const unmatchedRecords = [
+        ...receipts
+            .filter((receipt) => !isReceiptMatched(receipt))
+            .map((receipt) => ({
+                matchType: 'receipt',
+                id: receipt.id,
+                date: receipt.issuedAt,
+                amount: roundAmount(receipt.amount || 0),
+                paymentMethod: receipt.paymentMethod,
+                reference: receipt.reference || receipt.receiptNumber,
+                description: [`Receipt ${receipt.receiptNumber}`, receipt.tenant?.name].filter(Boolean).join(' - ')
+            })),
+        ...transactions
+            .filter((transaction) => !transaction.payment?.bankLine && !hasLiveReceipt(transaction))
+            .map((transaction) => ({
+                matchType: 'transaction',
+                id: transaction.id,
+                date: transaction.createdAt,
+                amount: roundAmount(signed(transaction)),
+                paymentMethod: transaction.paymentMethod,
+                reference: transaction.gatewayRef || transaction.orderId || null,
+                description: [transaction.transactionType, transaction.tenant?.name].filter(Boolean).join(' - ')
+            })),
+        ...payments.map((payment) => ({
+            matchType: 'payment',
+            id: payment.id,
+            date: payment.paymentDate,
+            amount: roundAmount(payment.amount || 0),
+            paymentMethod: payment.paymentMethod,
+            reference: payment.transactionId || payment.receiptNumber || null,
+            description: [payment.paymentType, payment.tenant?.name].filter(Boolean).join(' - ')
+        }))
+    ].sort((a, b) => a.date - b.date);
+
+    const periods = new Map();
+    const periodRow = (date) => {
+        const key = toPeriod(date);
+        if (!periods.has(key)) {
+            periods.set(key, {
+                period: key,
+                bankIn: 0,
+                bankOut: 0,
+                matched: 0,
+                ignored: 0,
+                unmatchedLines: 0,
+                unmatchedLineAmount: 0,
+                unmatchedRecords: 0,
+                unmatchedRecordAmount: 0
+            });
+        }
+        return periods.get(key);
+    };
+
+    lines.forEach((line) => {
+        const row = periodRow(line.postedAt);
+        if (line.amount > 0) row.bankIn = roundAmount(row.bankIn + line.amount);
+        else row.bankOut = roundAmount(row.bankOut - line.amount);
+
+        if (isOpen(line)) {
+            row.unmatchedLines += 1;
+            row.unmatchedLineAmount = roundAmount(row.unmatchedLineAmount + line.amount);
+        } else if (line.status === 'ignored') {
+            row.ignored += 1;
+        } else {
+            row.matched += 1;
+        }
+    });
+    unmatchedRecords.forEach((record) => {
+        const row = periodRow(record.date);
+        row.unmatchedRecords += 1;
+        row.unmatchedRecordAmount = roundAmount(row.unmatchedRecordAmount + record.amount);
+    });
+
+    return {
+        account,
+        from,
+        to,
+        periods: [...periods.values()].sort((a, b) => a.period.localeCompare(b.period)),
+        unmatchedLines,
+        unmatchedRecords,
+        totals: {
+            lines: lines.length,
+            unmatchedLines: unmatchedLines.length,
+            unmatchedLineAmount: roundAmount(unmatchedLines.reduce((sum, line) => sum + line.amount, 0)),
+            unmatchedRecords: unmatchedRecords.length,
+            unmatchedRecordAmount: roundAmount(unmatchedRecords.reduce((sum, record) => sum + record.amount, 0))
+        },
+        statementBalance: lastStatement
+            ? { statementId: lastStatement.id, asOf: lastStatement.periodEnd, closingBalance: lastStatement.closingBalance }
+            : null
+    };
+};
+
+module.exports = {
+    LINE_STATUSES,
+    MATCH_TYPES,
+    DATE_FORMATS,
+    parseCsvStatement,
+    parseOfxStatement,
+    importBankStatement,
+    readWindowDays,
+    findMatchCandidates,
+    autoMatchLines,
+    confirmSuggestedMatches,
+    matchLineManually,
+    unmatchLine,
+    ignoreLine,
+    getReconciliationReport
+};
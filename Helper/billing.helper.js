@@ -0,0 +1,413 @@
+/**
+ * ======================================
+ * RENT BILLING HELPER
+ * ======================================
+ *
+ * Creates the expected rent for a billing month as a pending Payment
+ * (a "rent charge") for every allocation that occupied a bed during that month.
+ * Charges always carry a dueDate, which is how they are told apart from
+ * payments recorded by hand after the money arrived.
+ *
+ * PRORATION
+ * =========
+ * A month is billed by nights: the check-in day is billed, the check-out day
+ * is not. Partial months are charged rent * billedDays / daysInMonth.
+ *
+ * Each charge is posted to the tenant ledger; any advance credit the tenant
+ * holds is applied to it immediately (see ledger.helper.js).
+ *
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * rent_due_day - Day of the month rent falls due (default: 5)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount, startOfUtcDay } = require('../utils/normalize');
+const {
+    postLedgerEntry,
+    settleOpenCharges,
+    refreshAllocationPaymentStatus,
+    syncTenantBalances
+} = require('./ledger.helper');
+const { syncChargeJournal } = require('./general-ledger.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RENT_DUE_DAY = 5;
+
+// Checked-out allocations are still billed for the nights they used in their last month
+const BILLABLE_ALLOCATION_STATUSES = ['active', 'checked_out'];
+
+/**
+ * Format a date as a billing month key ("2025-10"), in UTC like the month boundaries
+ */
+const toBillingMonth = (date = new Date()) => {
+    const d = new Date(date);
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a "YYYY-MM" billing month into its UTC boundaries
+ * @returns {Object|null} { forMonth, start, end (exclusive), daysInMonth }
+ */
+const parseBillingMonth = (forMonth) => {
+    const match = /^(\d{4})-(\d{2})$/.exec(forMonth || '');
+    if (!match) return null;
+
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    if (month < 1 || month > 12) return null;
+
+    const start = new Date(Date.UTC(year, month - 1, 1));
+    const end = new Date(Date.UTC(year, month, 1));
+
+    return {
+        forMonth,
+        start,
+        end,
+        daysInMonth: Math.round((end - start) / DAY_MS)
+    };
+};
+
+/**
+ * Work out the billable slice of a month for an allocation
+ * @returns {Object|null} null when the allocation did not occupy the bed that month
+ */
+const computeProratedRent = (allocation, monthlyRent, period) => {
+    const checkIn = startOfUtcDay(allocation.checkInDate);
+    const from = checkIn > period.start ? checkIn : period.start;
+
+    let to = period.end;
+    if (allocation.checkOutDate) {
+        const checkOut = startOfUtcDay(allocation.checkOutDate);
+        if (checkOut < to) to = checkOut;
+    }
+
+    const billedDays = Math.round((to - from) / DAY_MS);
+    if (billedDays <= 0) return null;
+
+    const prorated = billedDays < period.daysInMonth;
+
+    return {
+        startDate: from,
+        endDate: new Date(to.getTime() - DAY_MS),
+        billedDays,
+        daysInMonth: period.daysInMonth,
+        prorated,
+        amount: prorated
+            ? roundAmount((monthlyRent * billedDays) / period.daysInMonth)
+            : roundAmount(monthlyRent)
+    };
+};
+
+/**
+ * Payment data of a rent charge for a slice of a month
+ */
+const buildRentCharge = (allocation, period, slice, monthlyRent, dueDate) => ({
+    tenantId: allocation.tenantId,
+    allocationId: allocation.id,
+    hostelId: allocation.hostelId,
+    amount: slice.amount,
+    paymentType: 'rent',
+    paymentMethod: null,
+    paymentDate: null,
+    forMonth: period.forMonth,
+    forPeriod: {
+        startDate: slice.startDate,
+        endDate: slice.endDate,
+        billedDays: slice.billedDays,
+        daysInMonth: slice.daysInMonth,
+        monthlyRent
+    },
+    dueDate,
+    status: 'pending',
+    remarks: slice.prorated
+        ? `Rent invoice ${period.forMonth} (prorated ${slice.billedDays}/${slice.daysInMonth} days)`
+        : `Rent invoice ${period.forMonth}`
+});
+
+/**
+ * Create a rent charge and post it to the tenant ledger and general ledger
+ */
+const postRentCharge = async (tx, allocation, chargeData, { userId = null } = {}) => {
+    const charge = await tx.payment.create({ data: chargeData });
+
+    await postLedgerEntry(tx, {
+        tenantId: allocation.tenantId,
+        hostelId: allocation.hostelId,
+        allocationId: allocation.id,
+        paymentId: charge.id,
+        entryType: 'charge',
+        amount: chargeData.amount,
+        description: chargeData.remarks,
+        createdBy: userId
+    });
+    await syncChargeJournal(tx, charge.id, { createdBy: userId });
+
+    return charge;
+};
+
+/**
+ * Lock an allocation row for the rest of the transaction, so that runs
+ * billing the same allocation (a manual run overlapping the scheduled one,
+ * a checkout) wait for each other instead of both creating a charge
+ */
+const lockAllocationForBilling = (tx, allocationId) => tx.allocation.update({
+    where: { id: allocationId },
+    data: { updatedAt: new Date() },
+    select: { id: true }
+});
+
+/**
+ * GENERATE RENT INVOICES
+ * ======================
+ * Creates one pending rent charge per billable allocation for a month,
+ * posts it to the tenant ledger and refreshes the allocation payment status.
+ * Allocations that already have any rent payment for that month are skipped,
+ * so running it twice for the same month is safe; the check is repeated with
+ * the allocation locked, so overlapping runs are safe too.
+ *
+ * @param {Object} options
+ * @param {String} options.forMonth - Billing month "YYYY-MM"
+ * @param {Number} options.hostelId - Limit to one hostel (optional)
+ * @param {Object} options.hostelScope - Hostel relation filter for scoped users (optional)
+ * @param {Boolean} options.dryRun - Only compute the charges, do not write them
+ * @returns {Object} { forMonth, dryRun, created, skipped, totalAmount }
+ */
+const generateRentInvoices = async ({ forMonth, hostelId = null, hostelScope = {}, dryRun = false } = {}) => {
+    const period = parseBillingMonth(forMonth);
+    if (!period) {
+        throw new Error('forMonth must be in YYYY-MM format');
+    }
+
+    const where = {
+        status: { in: BILLABLE_ALLOCATION_STATUSES },
+        checkInDate: { lt: period.end },
+        OR: [
+            { checkOutDate: null },
+            { checkOutDate: { gt: period.start } }
+        ]
+    };
+
+    if (hostelId) {
+        where.hostelId = hostelId;
+    } else if (Object.keys(hostelScope).length) {
+        where.hostel = hostelScope;
+    }
+
+    const allocations = await prisma.allocation.findMany({
+        where,
+        include: {
+            tenant: { select: { id: true, name: true, monthlyRent: true } },
+            payments: {
+                where: { paymentType: 'rent', forMonth: period.forMonth },
+                select: { id: true, status: true }
+            }
+        },
+        orderBy: { id: 'asc' }
+    });
+
+    const rentDueDay = await getNumericSetting('rent_due_day', DEFAULT_RENT_DUE_DAY);
+    const dueDay = Math.min(Math.max(Math.floor(rentDueDay), 1), period.daysInMonth);
+    const monthDueDate = new Date(period.start.getTime() + (dueDay - 1) * DAY_MS);
+
+    const created = [];
+    const skipped = [];
+
+    for (const allocation of allocations) {
+        if (allocation.payments.length) {
+            skipped.push({ allocationId: allocation.id, tenantId: allocation.tenantId, reason: 'Rent already billed or recorded for this month' });
+            continue;
+        }
+
+        const monthlyRent = allocation.rentAmount || allocation.tenant?.monthlyRent || 0;
+        if (monthlyRent <= 0) {
+            skipped.push({ allocationId: allocation.id, tenantId: allocation.tenantId, reason: 'No rent amount on allocation or tenant' });
+            continue;
+        }
+
+        const slice = computeProratedRent(allocation, monthlyRent, period);
+        if (!slice || slice.amount <= 0) {
+            skipped.push({ allocationId: allocation.id, tenantId: allocation.tenantId, reason: 'No billable nights in this month' });
+            continue;
+        }
+
+        // A tenant who checks in after the due day owes from their check-in date
+        const dueDate = slice.startDate > monthDueDate ? slice.startDate : monthDueDate;
+
+        const chargeData = buildRentCharge(allocation, period, slice, monthlyRent, dueDate);
+
+        if (dryRun) {
+            created.push({ ...chargeData, tenantName: allocation.tenant?.name || null });
+            continue;
+        }
+
+        const charge = await prisma.$transaction(async (tx) => {
+            await lockAllocationForBilling(tx, allocation.id);
+            const billed = await tx.payment.count({
+                where: { allocationId: allocation.id, paymentType: 'rent', forMonth: period.forMonth }
+            });
+            if (billed) return null;
+
+            const newCharge = await postRentCharge(tx, allocation, chargeData);
+
+            // Advance credit held by the tenant settles the new charge straight away
+            await settleOpenCharges(tx, allocation.tenantId);
+            await refreshAllocationPaymentStatus(tx, allocation.id);
+            await syncTenantBalances(tx, allocation.tenantId);
+
+            return tx.payment.findUnique({ where: { id: newCharge.id } });
+        });
+
+        if (!charge) {
+            skipped.push({ allocationId: allocation.id, tenantId: allocation.tenantId, reason: 'Rent already billed or recorded for this month' });
+            continue;
+        }
+
+        created.push({ ...charge, tenantName: allocation.tenant?.name || null });
+    }
+
+    return {
+        forMonth: period.forMonth,
+        dryRun,
+        created,
+        skipped,
+        totalAmount: roundAmount(created.reduce((sum, charge) => sum + charge.amount, 0))
+    };
+};
+
+/**
+ * FINAL MONTH RENT
+ * ================
+ * Re-bills an allocation's last month to its checkout date. The month may
+ * already have been billed in full (the scheduled run bills it on the 1st),
+ * or not at all yet; either way the tenant ends up charged for the nights
+ * they stayed, before the deposit is settled against their dues. Months
+ * billed after the last night are cancelled.
+ *
+ * A reduced charge keeps what was paid on it up to its new amount; anything
+ * paid beyond that becomes advance credit on the tenant ledger and is applied
+ * to other open charges.
+ *
+ * Must run inside the checkout transaction, after checkOutDate is set.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Number} allocationId
+ * @param {Object} options
+ * @param {Number} options.userId - Acting user
+ * @returns {Array} [{ forMonth, chargeId, previousAmount, amount }] for the charges created or changed
+ */
+const billFinalMonthRent = async (tx, allocationId, { userId = null } = {}) => {
+    await lockAllocationForBilling(tx, allocationId);
+
+    const allocation = await tx.allocation.findUnique({
+        where: { id: allocationId },
+        include: { tenant: { select: { monthlyRent: true } } }
+    });
+    if (!allocation || !allocation.checkOutDate) return [];
+
+    const monthlyRent = allocation.rentAmount || allocation.tenant?.monthlyRent || 0;
+    const checkOut = startOfUtcDay(allocation.checkOutDate);
+    const lastNight = new Date(Math.max(checkOut.getTime() - DAY_MS, startOfUtcDay(allocation.checkInDate).getTime()));
+    const finalMonth = toBillingMonth(lastNight);
+
+    const charges = await tx.payment.findMany({
+        where: {
+            allocationId,
+            paymentType: 'rent',
+            dueDate: { not: null },
+            forMonth: { gte: finalMonth },
+            status: { not: 'waived' }
+        },
+        orderBy: { id: 'asc' }
+    });
+    const months = [...new Set([finalMonth, ...charges.map((charge) => charge.forMonth)])].sort();
+
+    const changes = [];
+    for (const forMonth of months) {
+        const period = parseBillingMonth(forMonth);
+        if (!period) continue;
+
+        const slice = monthlyRent > 0 ? computeProratedRent(allocation, monthlyRent, period) : null;
+        const charge = charges.find((item) => item.forMonth === forMonth);
+
+        if (!charge) {
+            if (!slice || slice.amount <= 0) continue;
+
+            // Rent recorded by hand for the month is left as it is, as in generateRentInvoices
+            const recorded = await tx.payment.count({ where: { allocationId, paymentType: 'rent', forMonth } });
+            if (recorded) continue;
+
+            const created = await postRentCharge(
+                tx,
+                allocation,
+                buildRentCharge(allocation, period, slice, monthlyRent, checkOut > slice.startDate ? checkOut : slice.startDate),
+                { userId }
+            );
+            changes.push({ forMonth, chargeId: created.id, previousAmount: 0, amount: created.amount });
+            continue;
+        }
+
+        const amount = slice ? slice.amount : 0;
+        const previousAmount = roundAmount(charge.amount || 0);
+        if (amount === previousAmount) continue;
+
+        const amountPaid = roundAmount(Math.min(charge.amountPaid || 0, amount));
+        let status = charge.status === 'overdue' ? 'overdue' : 'pending';
+        if (amount <= 0) status = 'waived';
+        else if (amountPaid >= amount) status = 'paid';
+        else if (amountPaid > 0) status = 'partial';
+
+        const remarks = slice
+            ? `Rent invoice ${forMonth} (to checkout, ${slice.billedDays}/${slice.daysInMonth} days)`
+            : `Rent invoice ${forMonth} - cancelled, checked out before the month`;
+
+        await tx.payment.update({
+            where: { id: charge.id },
+            data: {
+                amount,
+                amountPaid,
+                status,
+                remarks,
+                forPeriod: slice ? {
+                    startDate: slice.startDate,
+                    endDate: slice.endDate,
+                    billedDays: slice.billedDays,
+                    daysInMonth: slice.daysInMonth,
+                    monthlyRent
+                } : charge.forPeriod ?? undefined
+            }
+        });
+
+        await postLedgerEntry(tx, {
+            tenantId: allocation.tenantId,
+            hostelId: allocation.hostelId,
+            allocationId,
+            paymentId: charge.id,
+            entryType: 'adjustment',
+            amount: roundAmount(amount - previousAmount),
+            description: remarks,
+            createdBy: userId
+        });
+        await syncChargeJournal(tx, charge.id, { createdBy: userId });
+
+        changes.push({ forMonth, chargeId: charge.id, previousAmount, amount });
+    }
+
+    if (changes.length) {
+        await settleOpenCharges(tx, allocation.tenantId);
+        await refreshAllocationPaymentStatus(tx, allocationId);
+        await syncTenantBalances(tx, allocation.tenantId);
+    }
+
+    return changes;
+};
+
+module.exports = {
+    toBillingMonth,
+    parseBillingMonth,
+    computeProratedRent,
+    lockAllocationForBilling,
+    generateRentInvoices,
+    billFinalMonthRent
+};
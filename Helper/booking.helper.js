@@ -0,0 +1,50 @@
+/**
+ * ======================================
+ * BOOKING HELPER
+ * ======================================
+ *
+ * Shared by the booking controller and the waitlist, which both create bookings.
+ */
+
+const { prisma } = require('../config/db');
+
+/**
+ * Generate the next free booking code for the current month ("BK25100001")
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {String}
+ */
+const generateBookingCode = async (client = prisma) => {
+    const prefix = 'BK';
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    
+    // Get the count of all bookings for this month (not just today)
+    const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59, 999);
+    
+    let sequence = 1;
+    let bookingCode = '';
+    let isUnique = false;
+    
+    // Loop until we find a unique code
+    while (!isUnique) {
+        bookingCode = `${prefix}${year}${month}${String(sequence).padStart(4, '0')}`;
+        
+        // Check if this code already exists
+        const existingBooking = await client.booking.findUnique({
+            where: { bookingCode: bookingCode }
+        });
+        
+        if (!existingBooking) {
+            isUnique = true;
+        } else {
+            sequence++;
+        }
+    }
+    
+    return bookingCode;
+};
+
+module.exports = { generateBookingCode };
@@ -0,0 +1,322 @@
+/**
+ * ======================================
+ * CASH SHIFT HELPER
+ * ======================================
+ *
+ * Front-desk cash is accounted for per collector through cash drawer shifts:
+ *
+ *   open       the collector opens a drawer at a hostel with an opening float
+ *   collect    every cash payment they record issues a receipt tied to the shift
+ *   close      they count the drawer; the variance is counted - (float + cash receipts)
+ *   approved   a manager other than the collector signs the count off
+ *
+ * A collector has at most one open shift. Staff cannot take cash without one;
+ * other roles' cash is tied to their shift when they have one open.
+ *
+ * Receipts voided while the shift is open (the payment was deleted) drop out
+ * of the expected cash. The figures are fixed at close.
+ *
+ * ====================================
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * cash_variance_tolerance - Variance (either way) allowed without an explanation at close and sign-off (default: 0)
+ */
+
+const { prisma } = require('../config/db');
+const { Prisma } = require('@prisma/client');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount } = require('../utils/normalize');
+const { createWithSequenceNumber } = require('./sequence.helper');
+
+const getOpenShift = (userId, client = prisma) => client.cashShift.findFirst({
+    where: { userId, status: 'open' },
+    orderBy: { openedAt: 'desc' }
+});
+
+/**
+ * Cash shift a cash payment is taken into
+ *
+ * Call it with the transaction client that records the payment: the shift
+ * row is claimed while still open, so a close running alongside waits for
+ * the payment and one that got there first makes this fail.
+ *
+ * @param {Object} options
+ * @param {Number} options.userId - Collector
+ * @param {Number} options.hostelId - Hostel the payment is for
+ * @param {Boolean} options.required - Refuse cash without an open shift
+ * @returns {Object|null} CashShift
+ */
+const resolveCashShift = async ({ userId, hostelId, required = false }, client = prisma) => {
+    const shift = userId ? await getOpenShift(userId, client) : null;
+
+    if (!shift) {
+        if (required) throw new Error('Open a cash shift before collecting cash');
+        return null;
+    }
+    if (shift.hostelId !== hostelId) {
+        throw new Error(`Your open cash shift ${shift.shiftNumber} is for another hostel; close it before collecting cash here`);
+    }
+
+    const claimed = await client.cashShift.updateMany({
+        where: { id: shift.id, status: 'open' },
+        data: { updatedAt: new Date() }
+    });
+    if (!claimed.count) throw new Error(`Cash shift ${shift.shiftNumber} was closed in the meantime; open a new shift to collect cash`);
+
+    return shift;
+};
+
+/**
+ * Open a cash drawer shift
+ *
+ * @param {Object} data
+ * @param {Number} data.hostelId
+ * @param {Number} data.userId - Collector
+ * @param {Number} data.openingFloat - Cash in the drawer at the start
+ * @param {String} data.note
+ * @returns {Object} CashShift
+ */
+const openCashShift = async ({ hostelId, userId, openingFloat = 0, note = null }) => {
+    const float = roundAmount(Number(openingFloat) || 0);
+    if (float < 0) throw new Error('The opening float cannot be negative');
+
+    const open = await getOpenShift(userId);
+    if (open) throw new Error(`Shift ${open.shiftNumber} is still open; close it first`);
+
+    return createWithSequenceNumber(prisma.cashShift, 'shiftNumber', 'CS', {
+        data: {
+            hostelId,
+            userId,
+            openingFloat: float,
+            openNote: note ? String(note).slice(0, 500) : null
+        }
+    });
+};
+
+/**
+ * Cash taken into a shift so far
+ *
+ * @returns {Object} { cashCollected, receiptCount, voidedCount }
+ */
+const summarizeShiftCash = async (shiftId, client = prisma) => {
+    const [collected, voidedCount] = await Promise.all([
+        client.paymentReceipt.aggregate({
+            where: { cashShiftId: shiftId, voidedAt: null },
+            _sum: { amount: true },
+            _count: { _all: true }
+        }),
+        client.paymentReceipt.count({ where: { cashShiftId: shiftId, voidedAt: { not: null } } })
+    ]);
+
+    return {
+        cashCollected: roundAmount(collected._sum.amount || 0),
+        receiptCount: collected._count._all,
+        voidedCount
+    };
+};
+
+/**
+ * Total of a denomination count ({ "5000": 2, "1000": 7 })
+ */
+const countDenominations = (denominations) => {
+    let total = 0;
+    for (const [note, count] of Object.entries(denominations)) {
+        const value = Number(note);
+        const pieces = Number(count);
+        if (!Number.isFinite(value) || value <= 0 || !Number.isInteger(pieces) || pieces < 0) {
+            throw new Error(`Invalid denomination count: ${note} x ${count}`);
+        }
+        total += value * pieces;
+    }
+    return roundAmount(total);
+};
+
+/**
+ * Close a shift with the counted cash
+ *
+ * @param {Number} shiftId
+ * @param {Object} data
+ * @param {Number} data.countedCash - Cash in the drawer (may be left out when denominations are sent)
+ * @param {Object} data.denominations - { note value: pieces }
+ * @param {String} data.note - Required when the variance is over the tolerance
+ * @param {Number} data.closedBy
+ * @returns {Object} CashShift
+ */
+const closeCashShift = async (shiftId, { countedCash = null, denominations = null, note = null, closedBy = null }) => {
+    const tolerance = await getNumericSetting('cash_variance_tolerance', 0);
+
+    return prisma.$transaction(async (tx) => {
+        // Lock the shift before counting its receipts so a cash payment being
+        // recorded into it finishes first and is part of the expected cash
+        await tx.cashShift.updateMany({ where: { id: shiftId, status: 'open' }, data: { updatedAt: new Date() } });
+
+        const shift = await tx.cashShift.findUnique({ where: { id: shiftId } });
+        if (!shift) throw new Error('Cash shift not found');
+        if (shift.status !== 'open') throw new Error(`This shift is already ${shift.status}`);
+
+        let counted = countedCash !== null && countedCash !== undefined && countedCash !== '' ? roundAmount(Number(countedCash)) : null;
+        if (denominations) {
+            const total = countDenominations(denominations);
+            if (counted !== null && counted !== total) {
+                throw new Error(`countedCash ${counted} does not match the denominations, which add up to ${total}`);
+            }
+            counted = total;
+        }
+        if (counted === null || !Number.isFinite(counted) || counted < 0) {
+            throw new Error('countedCash or denominations are required');
+        }
+
+        const { cashCollected } = await summarizeShiftCash(shiftId, tx);
+        const expectedCash = roundAmount(shift.openingFloat + cashCollected);
+        const variance = roundAmount(counted - expectedCash);
+
+        if (Math.abs(variance) > tolerance && !(note && String(note).trim())) {
+            throw new Error(`The drawer is ${variance < 0 ? 'short' : 'over'} by ${Math.abs(variance)}; add a note explaining it`);
+        }
+
+        // The status check in the where clause keeps two closes from racing
+        const closed = await tx.cashShift.updateMany({
+            where: { id: shiftId, status: 'open' },
+            data: {
+                status: 'closed',
+                closedAt: new Date(),
+                closedBy,
+                cashCollected,
+                expectedCash,
+                countedCash: counted,
+                variance,
+                denominations: denominations || Prisma.DbNull,
+                closeNote: note ? String(note).trim() : null
+            }
+        });
+        if (!closed.count) throw new Error('This shift was closed in the meantime');
+
+        return tx.cashShift.findUnique({ where: { id: shiftId } });
+    });
+};
+
+/**
+ * Manager sign-off of a closed shift
+ *
+ * @param {Number} shiftId
+ * @param {Object} data
+ * @param {Number} data.approvedBy - Cannot be the collector
+ * @param {String} data.note - Required when the variance is over the tolerance
+ * @returns {Object} CashShift
+ */
+const approveCashShift = async (shiftId, { approvedBy, note = null }) => {
+    const shift = await prisma.cashShift.findUnique({ where: { id: shiftId } });
+    if (!shift) throw new Error('Cash shift not found');
+    if (shift.status !== 'closed') {
+        throw new Error(shift.status === 'open' ? 'Close the shift before signing it off' : 'This shift is already signed off');
+    }
+    if (shift.userId === approvedBy) throw new Error('A shift must be signed off by someone other than its collector');
+
+    const tolerance = await getNumericSetting('cash_variance_tolerance', 0);
+    if (Math.abs(shift.variance || 0) > tolerance && !(note && String(note).trim())) {
+        throw new Error('A note is required to sign off a shift with a variance');
+    }
+
+    const approved = await prisma.cashShift.updateMany({
+        where: { id: shiftId, status: 'closed' },
+        data: {
+            status: 'approved',
+            approvedBy,
+            approvedAt: new Date(),
+            approvalNote: note ? String(note).trim().slice(0, 500) : null
+        }
+    });
+    if (!approved.count) throw new Error('This shift was signed off in the meantime');
+
+    return prisma.cashShift.findUnique({ where: { id: shiftId } });
+};
+
+/**
+ * Closed shifts per collector: cash taken, shortages and overages
+ *
+ * @param {Object} filters
+ * @param {Number} filters.hostelId
+ * @param {Number} filters.userId
+ * @param {Date} filters.from - Shifts opened from
+ * @param {Date} filters.to - Shifts opened until
+ * @returns {Object} { collectors, totals, openShifts }
+ */
+const getCollectorVarianceReport = async ({ hostelId = null, userId = null, from = null, to = null } = {}) => {
+    const where = {};
+    if (hostelId) where.hostelId = hostelId;
+    if (userId) where.userId = userId;
+    if (from || to) {
+        where.openedAt = {};
+        if (from) where.openedAt.gte = from;
+        if (to) where.openedAt.lte = to;
+    }
+
+    const [shifts, openShifts] = await Promise.all([
+        prisma.cashShift.findMany({
+            where: { ...where, status: { in: ['closed', 'approved'] } },
+            include: { collector: { select: { id: true, username: true } } },
+            orderBy: { openedAt: 'asc' }
+        }),
+        prisma.cashShift.count({ where: { ...where, status: 'open' } })
+    ]);
+
+    const byCollector = new Map();
+    shifts.forEach((shift) => {
+        if (!byCollector.has(shift.userId)) {
+            byCollector.set(shift.userId, {
+                userId: shift.userId,
+                username: shift.collector?.username || null,
+                shifts: 0,
+                pendingSignOff: 0,
+                cashCollected: 0,
+                shortShifts: 0,
+                shortTotal: 0,
+                overShifts: 0,
+                overTotal: 0,
+                netVariance: 0,
+                largestShortage: 0
+            });
+        }
+
+        const row = byCollector.get(shift.userId);
+        const variance = shift.variance || 0;
+        row.shifts += 1;
+        if (shift.status === 'closed') row.pendingSignOff += 1;
+        row.cashCollected = roundAmount(row.cashCollected + (shift.cashCollected || 0));
+        row.netVariance = roundAmount(row.netVariance + variance);
+        if (variance < 0) {
+            row.shortShifts += 1;
+            row.shortTotal = roundAmount(row.shortTotal - variance);
+            row.largestShortage = Math.max(row.largestShortage, roundAmount(-variance));
+        } else if (variance > 0) {
+            row.overShifts += 1;
+            row.overTotal = roundAmount(row.overTotal + variance);
+        }
+    });
+
+    // Largest shortages first
+    const collectors = [...byCollector.values()].sort((a, b) => b.shortTotal - a.shortTotal || a.netVariance - b.netVariance);
+
+    return {
+        collectors,
+        totals: {
+            shifts: shifts.length,
+            pendingSignOff: collectors.reduce((sum, row) => sum + row.pendingSignOff, 0),
+            cashCollected: roundAmount(collectors.reduce((sum, row) => sum + row.cashCollected, 0)),
+            shortTotal: roundAmount(collectors.reduce((sum, row) => sum + row.shortTotal, 0)),
+            overTotal: roundAmount(collectors.reduce((sum, row) => sum + row.overTotal, 0)),
+            netVariance: roundAmount(collectors.reduce((sum, row) => sum + row.netVariance, 0))
+        },
+        openShifts
+    };
+};
+
+module.exports = {
+    getOpenShift,
+    resolveCashShift,
+    openCashShift,
+    summarizeShiftCash,
+    closeCashShift,
+    approveCashShift,
+    getCollectorVarianceReport
+};
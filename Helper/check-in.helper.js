@@ -0,0 +1,375 @@
+/**
+ * ======================================
+ * BOOKING CHECK-IN HELPER
+ * ======================================
+ *
+ * Converts a confirmed booking into an active allocation:
+ *
+ * 1. The tenant is the booking's tenant, a tenant chosen at the desk, an
+ *    existing tenant with the walk-in's CNIC, or a new Tenant created from
+ *    customerName / customerPhone / customerCnic / customerEmail.
+ * 2. The allocation is created on the booked bed (or one picked at the desk)
+ *    and the bed, room, floor and hostel occupancy is updated.
+ * 3. The advance paid on the booking becomes credit on the tenant ledger, so
+ *    it settles the first invoice:
+ *    - advance payments recorded for a walk-in (no tenant yet) are moved to
+ *      the tenant and posted as credit;
+ *    - advance payments recorded for a known tenant are already credit and
+ *      are only linked to the allocation;
+ *    - advancePaid entered on the booking without a payment record is
+ *      recorded now as a paid booking advance with its own receipt.
+ *    Deposits paid with the booking are added to Tenant.securityDeposit.
+ */
+
+const { prisma } = require('../config/db');
+const { roundAmount } = require('../utils/normalize');
+const { occupyBed } = require('./allocation.helper');
+const { postLedgerEntry, settleOpenCharges, syncTenantBalances } = require('./ledger.helper');
+const { issueReceipt, attachReceiptToPayment } = require('./receipt.helper');
+const { syncTransactionJournal } = require('./general-ledger.helper');
+
+const CHECK_IN_BOOKING_STATUSES = ['confirmed'];
+const CHECK_IN_BED_STATUSES = ['available', 'reserved'];
+
+/**
+ * Find or create the tenant for a booking
+ */
+const resolveBookingTenant = async (tx, booking, { tenantId, rentAmount, checkInDate }) => {
+    const chosenTenantId = booking.tenantId || tenantId || null;
+
+    if (chosenTenantId) {
+        const tenant = await tx.tenant.findUnique({ where: { id: chosenTenantId } });
+        if (!tenant) {
+            throw new Error('Tenant not found');
+        }
+        return { tenant, created: false };
+    }
+
+    if (booking.customerCnic) {
+        const existing = await tx.tenant.findUnique({ where: { cnicNumber: booking.customerCnic } });
+        if (existing) {
+            return { tenant: existing, created: false };
+        }
+    }
+
+    if (!booking.customerName || !booking.customerPhone) {
+        throw new Error('Booking has no tenant and no customer name and phone to create one from');
+    }
+
+    // Email is unique on tenants; leave it out if another tenant already uses it
+    let email = booking.customerEmail || null;
+    if (email && await tx.tenant.findUnique({ where: { email }, select: { id: true } })) {
+        email = null;
+    }
+
+    const tenant = await tx.tenant.create({
+        data: {
+            name: booking.customerName,
+            phone: booking.customerPhone,
+            cnicNumber: booking.customerCnic || null,
+            email,
+            monthlyRent: rentAmount,
+            leaseStartDate: checkInDate,
+            status: 'active',
+            notes: booking.bookingCode ? `Created at check-in of booking ${booking.bookingCode}` : 'Created at booking check-in'
+        }
+    });
+
+    return { tenant, created: true };
+};
+
+/**
+ * Carry the booking's advance over to the tenant ledger
+ */
+const carryBookingAdvance = async (tx, booking, { tenant, allocation, userId }) => {
+    const payments = await tx.payment.findMany({
+        where: { bookingId: booking.id, status: 'paid' },
+        orderBy: { id: 'asc' }
+    });
+
+    const bookingLabel = booking.bookingCode ? ` ${booking.bookingCode}` : '';
+    let credited = 0;
+    let deposit = 0;
+    let recorded = 0;
+
+    for (const payment of payments) {
+        const amount = Number(payment.amountPaid || payment.amount) || 0;
+        recorded += Number(payment.amount) || 0;
+
+        await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+                tenantId: payment.tenantId || tenant.id,
+                allocationId: allocation.id
+            }
+        });
+
+        // Already on the ledger when the tenant was known at payment time
+        if (payment.tenantId) continue;
+
+        if (payment.paymentType === 'deposit') {
+            deposit += amount;
+            continue;
+        }
+
+        if (amount > 0) {
+            await postLedgerEntry(tx, {
+                tenantId: tenant.id,
+                hostelId: allocation.hostelId,
+                allocationId: allocation.id,
+                paymentId: payment.id,
+                entryType: 'credit',
+                amount: -amount,
+                description: `Booking advance${bookingLabel}`,
+                reference: payment.receiptNumber || null,
+                entryDate: payment.paymentDate || undefined,
+                createdBy: userId
+            });
+            credited += amount;
+
+            // The advance moves from booking advances to the tenant's account
+            const transactions = await tx.transaction.findMany({ where: { paymentId: payment.id }, select: { id: true } });
+            for (const transaction of transactions) {
+                await syncTransactionJournal(tx, transaction.id, { createdBy: userId || null });
+            }
+        }
+    }
+
+    // advancePaid typed on the booking without a payment record
+    const unrecorded = roundAmount((booking.advancePaid || 0) - recorded);
+    let advancePayment = null;
+
+    if (unrecorded > 0) {
+        const receivedOn = booking.bookingDate || booking.createdAt || new Date();
+        const paymentMethod = booking.paymentMethod || 'cash';
+
+        const receipt = await issueReceipt(tx, {
+            hostelId: allocation.hostelId,
+            tenantId: tenant.id,
+            amount: unrecorded,
+            paymentMethod,
+            source: 'manual',
+            reference: booking.transactionId || booking.bookingCode || null,
+            issuedBy: userId,
+            issuedAt: receivedOn
+        });
+
+        advancePayment = await tx.payment.create({
+            data: {
+                tenantId: tenant.id,
+                hostelId: allocation.hostelId,
+                allocationId: allocation.id,
+                bookingId: booking.id,
+                collectedBy: userId,
+                amount: unrecorded,
+                amountPaid: unrecorded,
+                paymentType: 'rent',
+                paymentMethod,
+                paymentDate: receivedOn,
+                transactionId: booking.transactionId || null,
+                receiptNumber: receipt.receiptNumber,
+                status: 'paid',
+                remarks: `Booking advance${bookingLabel} recorded at check-in`
+            }
+        });
+
+        await attachReceiptToPayment(tx, receipt, advancePayment.id);
+
+        const advanceTransaction = await tx.transaction.create({
+            data: {
+                paymentId: advancePayment.id,
+                receiptId: receipt.id,
+                tenantId: tenant.id,
+                hostelId: allocation.hostelId,
+                gateway: 'manual',
+                transactionType: 'rent_received',
+                amount: unrecorded,
+                currency: 'PKR',
+                fee: 0,
+                gatewayRef: booking.transactionId || null,
+                status: 'completed',
+                responseCode: '200',
+                responseMessage: `Booking advance${bookingLabel}`,
+                paymentMethod
+            }
+        });
+        await syncTransactionJournal(tx, advanceTransaction.id, { createdBy: userId || null });
+
+        await postLedgerEntry(tx, {
+            tenantId: tenant.id,
+            hostelId: allocation.hostelId,
+            allocationId: allocation.id,
+            paymentId: advancePayment.id,
+            entryType: 'credit',
+            amount: -unrecorded,
+            description: `Booking advance${bookingLabel}`,
+            reference: receipt.receiptNumber,
+            entryDate: receivedOn,
+            createdBy: userId
+        });
+        credited += unrecorded;
+    }
+
+    if (deposit > 0) {
+        await tx.tenant.update({
+            where: { id: tenant.id },
+            data: { securityDeposit: { increment: deposit } }
+        });
+    }
+
+    return {
+        credited: roundAmount(credited),
+        deposit: roundAmount(deposit),
+        linkedPayments: payments.map((payment) => payment.id),
+        advancePaymentId: advancePayment?.id || null
+    };
+};
+
+/**
+ * CONVERT BOOKING TO ALLOCATION
+ * =============================
+ * @param {Number} bookingId
+ * @param {Object} options
+ * @param {Number} options.bedId - Bed to use when the booking has none
+ * @param {Number} options.tenantId - Existing tenant for a walk-in booking
+ * @param {Number} options.rentAmount - Monthly rent (default: room price per bed)
+ * @param {Number} options.depositAmount - Agreed deposit (default: 0)
+ * @param {Date} options.checkInDate - Default: now
+ * @param {Date} options.expectedCheckOutDate - Default: booking check-out date
+ * @param {String} options.notes
+ * @param {Number} options.userId - Staff member checking the guest in
+ * @returns {Object} { allocationId, tenantId, tenantCreated, advance }
+ */
+const convertBookingToAllocation = async (bookingId, options = {}) => {
+    const booking = await prisma.booking.findUnique({ where: { id: bookingId } });
+    if (!booking) {
+        throw new Error('Booking not found');
+    }
+    if (booking.allocationId) {
+        throw new Error('Booking has already been checked in');
+    }
+    if (!CHECK_IN_BOOKING_STATUSES.includes(booking.status)) {
+        throw new Error(`Only confirmed bookings can be checked in (booking is ${booking.status})`);
+    }
+    if (!booking.hostelId) {
+        throw new Error('Booking has no hostel');
+    }
+    if (!options.userId) {
+        throw new Error('A staff user is required to check in a booking');
+    }
+
+    const bedId = booking.bedId || options.bedId;
+    if (!bedId) {
+        throw new Error('Booking has no bed; choose a bed to check in to');
+    }
+
+    const bed = await prisma.bed.findUnique({
+        where: { id: bedId },
+        include: { room: { select: { id: true, hostelId: true, floorId: true, pricePerBed: true } } }
+    });
+    if (!bed || bed.room.hostelId !== booking.hostelId) {
+        throw new Error('Bed not found in the booked hostel');
+    }
+    if (!CHECK_IN_BED_STATUSES.includes(bed.status)) {
+        throw new Error(`Bed is ${bed.status}, cannot check in`);
+    }
+
+    const rentAmount = options.rentAmount !== undefined && options.rentAmount !== null && options.rentAmount !== ''
+        ? Number(options.rentAmount)
+        : bed.room.pricePerBed;
+    if (!Number.isFinite(rentAmount) || rentAmount < 0) {
+        throw new Error('Invalid rent amount');
+    }
+
+    const depositAmount = options.depositAmount ? Number(options.depositAmount) : 0;
+    if (!Number.isFinite(depositAmount) || depositAmount < 0) {
+        throw new Error('Invalid deposit amount');
+    }
+
+    const checkInDate = options.checkInDate ? new Date(options.checkInDate) : new Date();
+    if (Number.isNaN(checkInDate.getTime())) {
+        throw new Error('Invalid check-in date');
+    }
+
+    const expectedCheckOutDate = options.expectedCheckOutDate
+        ? new Date(options.expectedCheckOutDate)
+        : booking.checkOutDate;
+
+    return prisma.$transaction(async (tx) => {
+        const { tenant, created } = await resolveBookingTenant(tx, booking, {
+            tenantId: options.tenantId ? parseInt(options.tenantId, 10) : null,
+            rentAmount,
+            checkInDate
+        });
+
+        if (tenant.status !== 'active') {
+            throw new Error(`Tenant is ${tenant.status}, cannot allocate`);
+        }
+
+        const activeAllocation = await tx.allocation.findFirst({
+            where: { tenantId: tenant.id, status: 'active' },
+            select: { id: true }
+        });
+        if (activeAllocation) {
+            throw new Error('Tenant already has an active allocation. Please check out from current bed first.');
+        }
+
+        const allocation = await tx.allocation.create({
+            data: {
+                hostelId: booking.hostelId,
+                floorId: bed.room.floorId,
+                roomId: bed.room.id,
+                bedId: bed.id,
+                tenantId: tenant.id,
+                allocatedById: options.userId,
+                checkInDate,
+                expectedCheckOutDate,
+                rentAmount,
+                depositAmount,
+                notes: options.notes || (booking.bookingCode ? `Checked in from booking ${booking.bookingCode}` : null)
+            }
+        });
+
+        await occupyBed(tx, {
+            hostelId: booking.hostelId,
+            floorId: bed.room.floorId,
+            roomId: bed.room.id,
+            bedId: bed.id
+        });
+
+        // Claim the booking; a concurrent check-in of the same booking fails here
+        const claimed = await tx.booking.updateMany({
+            where: { id: booking.id, allocationId: null, status: { in: CHECK_IN_BOOKING_STATUSES } },
+            data: {
+                status: 'checked_in',
+                tenantId: tenant.id,
+                roomId: bed.room.id,
+                bedId: bed.id,
+                allocationId: allocation.id
+            }
+        });
+        if (!claimed.count) {
+            throw new Error('Booking has already been checked in');
+        }
+
+        const advance = await carryBookingAdvance(tx, booking, {
+            tenant,
+            allocation,
+            userId: options.userId
+        });
+
+        await settleOpenCharges(tx, tenant.id);
+        await syncTenantBalances(tx, tenant.id);
+
+        return {
+            allocationId: allocation.id,
+            tenantId: tenant.id,
+            tenantCreated: created,
+            advance
+        };
+    }, { timeout: 15000 });
+};
+
+module.exports = {
+    convertBookingToAllocation
+};
@@ -0,0 +1,408 @@
+/**
+ * ======================================
+ * SECURITY DEPOSIT HELPER
+ * ======================================
+ *
+ * Settles a tenant's security deposit when an allocation is checked out.
+ *
+ * The deposit held is what was paid as "deposit" against the allocation,
+ * falling back to Tenant.securityDeposit for deposits recorded without one.
+ * It is used, in this order, for:
+ *
+ *   1. Unpaid dues  - open charges on the tenant ledger, oldest first
+ *   2. Deductions   - damages, cleaning, key loss, etc. listed at checkout
+ *
+ * Whatever is left is refunded and recorded as a payable Transaction
+ * ("refund_paid"). Deductions larger than the deposit are billed to the
+ * tenant as a new pending charge. Unpaid dues the deposit could not cover
+ * stay open on the ledger.
+ */
+
+const { prisma } = require('../config/db');
+const { roundAmount } = require('../utils/normalize');
+const {
+    OPEN_CHARGE_STATUSES,
+    postLedgerEntry,
+    applyToOpenCharges,
+    refreshAllocationPaymentStatus,
+    syncTenantBalances
+} = require('./ledger.helper');
+const {
+    syncChargeJournal,
+    syncTransactionJournal,
+    syncDepositSettlementJournal
+} = require('./general-ledger.helper');
+
+// Deduction types staff can enter; unpaid_dues lines are added automatically
+const MANUAL_DEDUCTION_TYPES = ['damage', 'cleaning', 'key_loss', 'other'];
+
+/**
+ * Validate deductions entered at checkout
+ * @param {Array} deductions - [{ type, description, amount }]
+ * @returns {Array} Normalised deductions
+ */
+const normalizeDeductions = (deductions) => {
+    if (deductions === undefined || deductions === null || deductions === '') return [];
+
+    const list = typeof deductions === 'string' ? JSON.parse(deductions) : deductions;
+    if (!Array.isArray(list)) {
+        throw new Error('Deductions must be an array');
+    }
+
+    return list.map((item, index) => {
+        const type = item?.type || 'other';
+        const amount = roundAmount(item?.amount);
+
+        if (!MANUAL_DEDUCTION_TYPES.includes(type)) {
+            throw new Error(`Deduction ${index + 1}: type must be one of ${MANUAL_DEDUCTION_TYPES.join(', ')}`);
+        }
+        if (!(amount > 0)) {
+            throw new Error(`Deduction ${index + 1}: amount must be greater than 0`);
+        }
+        if (!item?.description || !String(item.description).trim()) {
+            throw new Error(`Deduction ${index + 1}: description is required`);
+        }
+
+        return { type, description: String(item.description).trim(), amount };
+    });
+};
+
+/**
+ * Deposit currently held for an allocation
+ */
+const getDepositHeld = async (client, allocation) => {
+    const [tenant, linked] = await Promise.all([
+        client.tenant.findUnique({
+            where: { id: allocation.tenantId },
+            select: { securityDeposit: true }
+        }),
+        client.payment.aggregate({
+            where: { allocationId: allocation.id, paymentType: 'deposit', status: 'paid' },
+            _sum: { amountPaid: true }
+        })
+    ]);
+
+    const tenantDeposit = Math.max(roundAmount(tenant?.securityDeposit || 0), 0);
+    const linkedDeposit = roundAmount(linked._sum.amountPaid || 0);
+
+    return linkedDeposit > 0 ? Math.min(linkedDeposit, tenantDeposit) : tenantDeposit;
+};
+
+/**
+ * COMPUTE DEPOSIT SETTLEMENT
+ * ==========================
+ * Works out how the deposit would be used without changing anything.
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} allocation - Allocation row
+ * @param {Object} options
+ * @param {Array} options.deductions - Normalised manual deductions
+ * @param {Boolean} options.deductUnpaidDues - Use the deposit for open charges (default: true)
+ * @returns {Object} Settlement plan
+ */
+const computeDepositSettlement = async (client, allocation, { deductions = [], deductUnpaidDues = true } = {}) => {
+    const depositHeld = await getDepositHeld(client, allocation);
+
+    const openCharges = deductUnpaidDues
+        ? await client.payment.findMany({
+            where: { tenantId: allocation.tenantId, status: { in: OPEN_CHARGE_STATUSES }, dueDate: { not: null } },
+            orderBy: [{ dueDate: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }],
+            select: { id: true, paymentType: true, forMonth: true, amount: true, amountPaid: true, dueDate: true }
+        })
+        : [];
+
+    let available = depositHeld;
+    const lines = [];
+
+    for (const charge of openCharges) {
+        const outstanding = roundAmount((charge.amount || 0) - (charge.amountPaid || 0));
+        if (outstanding <= 0) continue;
+
+        const coveredAmount = Math.min(available, outstanding);
+        available = roundAmount(available - coveredAmount);
+
+        lines.push({
+            type: 'unpaid_dues',
+            description: `Unpaid ${charge.paymentType || 'charge'}${charge.forMonth ? ` ${charge.forMonth}` : ''} (#${charge.id})`,
+            amount: outstanding,
+            coveredAmount,
+            paymentId: charge.id
+        });
+    }
+
+    for (const deduction of deductions) {
+        const coveredAmount = Math.min(available, deduction.amount);
+        available = roundAmount(available - coveredAmount);
+        lines.push({ ...deduction, coveredAmount, paymentId: null });
+    }
+
+    const sum = (items, field) => roundAmount(items.reduce((total, item) => total + item[field], 0));
+    const dueLines = lines.filter((line) => line.type === 'unpaid_dues');
+    const otherLines = lines.filter((line) => line.type !== 'unpaid_dues');
+
+    return {
+        allocationId: allocation.id,
+        tenantId: allocation.tenantId,
+        hostelId: allocation.hostelId,
+        depositHeld,
+        deductions: lines,
+        totalDeductions: sum(lines, 'amount'),
+        appliedToDues: sum(dueLines, 'coveredAmount'),
+        retainedForDamages: sum(otherLines, 'coveredAmount'),
+        shortfallAmount: roundAmount(sum(otherLines, 'amount') - sum(otherLines, 'coveredAmount')),
+        remainingDues: roundAmount(sum(dueLines, 'amount') - sum(dueLines, 'coveredAmount')),
+        refundAmount: available
+    };
+};
+
+/**
+ * SETTLE DEPOSIT
+ * ==============
+ * Applies a settlement plan. Must run inside the checkout transaction.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} allocation - Allocation being checked out
+ * @param {Object} options - computeDepositSettlement options plus
+ *                           refundMethod, remarks, userId, settledAt
+ * @returns {Object} DepositSettlement with deductions
+ */
+const settleDeposit = async (tx, allocation, options = {}) => {
+    const { refundMethod = 'cash', remarks = null, userId = null } = options;
+    const settledAt = options.settledAt ? new Date(options.settledAt) : new Date();
+    const reference = `DEP-${allocation.id}`;
+
+    const existing = await tx.depositSettlement.findUnique({
+        where: { allocationId: allocation.id },
+        select: { id: true }
+    });
+    if (existing) {
+        throw new Error('Deposit has already been settled for this allocation');
+    }
+
+    const plan = await computeDepositSettlement(tx, allocation, options);
+
+    // 1. Unpaid dues settled from the deposit
+    if (plan.appliedToDues > 0) {
+        const { applications } = await applyToOpenCharges(tx, {
+            tenantId: allocation.tenantId,
+            amount: plan.appliedToDues,
+            settlement: { paymentDate: settledAt, collectedBy: userId }
+        });
+
+        for (const application of applications) {
+            await postLedgerEntry(tx, {
+                tenantId: allocation.tenantId,
+                hostelId: application.hostelId || allocation.hostelId,
+                allocationId: application.allocationId,
+                paymentId: application.chargeId,
+                entryType: 'payment',
+                amount: -application.applied,
+                description: 'Settled from security deposit',
+                reference,
+                entryDate: settledAt,
+                createdBy: userId
+            });
+
+            if (application.allocationId && application.allocationId !== allocation.id) {
+                await refreshAllocationPaymentStatus(tx, application.allocationId);
+            }
+        }
+    }
+
+    // 2. Deductions the deposit could not cover are billed to the tenant
+    let shortfallPaymentId = null;
+    if (plan.shortfallAmount > 0) {
+        const shortfall = await tx.payment.create({
+            data: {
+                tenantId: allocation.tenantId,
+                allocationId: allocation.id,
+                hostelId: allocation.hostelId,
+                amount: plan.shortfallAmount,
+                paymentType: 'other',
+                paymentMethod: null,
+                paymentDate: null,
+                dueDate: settledAt,
+                status: 'pending',
+                remarks: 'Checkout deductions not covered by security deposit'
+            }
+        });
+        shortfallPaymentId = shortfall.id;
+
+        await postLedgerEntry(tx, {
+            tenantId: allocation.tenantId,
+            hostelId: allocation.hostelId,
+            allocationId: allocation.id,
+            paymentId: shortfall.id,
+            entryType: 'charge',
+            amount: plan.shortfallAmount,
+            description: shortfall.remarks,
+            reference,
+            entryDate: settledAt,
+            createdBy: userId
+        });
+        await syncChargeJournal(tx, shortfall.id, { createdBy: userId || null });
+    }
+
+    // 3. Refund the balance (money going out)
+    let refundTransaction = null;
+    if (plan.refundAmount > 0) {
+        refundTransaction = await tx.transaction.create({
+            data: {
+                tenantId: allocation.tenantId,
+                hostelId: allocation.hostelId,
+                gateway: 'manual',
+                transactionType: 'refund_paid',
+                amount: plan.refundAmount,
+                currency: 'PKR',
+                fee: 0,
+                orderId: reference,
+                status: 'completed',
+                responseCode: '200',
+                responseMessage: 'Security deposit refund',
+                paymentMethod: refundMethod
+            }
+        });
+    }
+
+    // 4. Release the deposit
+    if (plan.depositHeld > 0) {
+        await tx.tenant.update({
+            where: { id: allocation.tenantId },
+            data: { securityDeposit: { decrement: plan.depositHeld } }
+        });
+    }
+
+    const settlement = await tx.depositSettlement.create({
+        data: {
+            allocationId: allocation.id,
+            tenantId: allocation.tenantId,
+            hostelId: allocation.hostelId,
+            depositHeld: plan.depositHeld,
+            totalDeductions: plan.totalDeductions,
+            appliedToDues: plan.appliedToDues,
+            retainedForDamages: plan.retainedForDamages,
+            refundAmount: plan.refundAmount,
+            shortfallAmount: plan.shortfallAmount,
+            refundMethod: plan.refundAmount > 0 ? refundMethod : null,
+            refundTransactionId: refundTransaction?.id || null,
+            remarks,
+            settledBy: userId,
+            settledAt,
+            deductions: {
+                create: plan.deductions.map((line) => ({
+                    type: line.type,
+                    description: line.description,
+                    amount: line.amount,
+                    coveredAmount: line.coveredAmount,
+                    paymentId: line.paymentId || (line.amount > line.coveredAmount ? shortfallPaymentId : null)
+                }))
+            }
+        },
+        include: { deductions: true }
+    });
+
+    // Deposit used at checkout, then the refund (booked against the deposit once linked)
+    await syncDepositSettlementJournal(tx, settlement.id, { createdBy: userId || null });
+    if (refundTransaction) {
+        await syncTransactionJournal(tx, refundTransaction.id, { createdBy: userId || null });
+    }
+
+    await refreshAllocationPaymentStatus(tx, allocation.id);
+    await syncTenantBalances(tx, allocation.tenantId);
+
+    return { ...settlement, remainingDues: plan.remainingDues };
+};
+
+/**
+ * DEPOSITS HELD
+ * =============
+ * Deposits still owed back to tenants: active allocations, plus checked-out
+ * allocations whose deposit has not been settled yet.
+ *
+ * @param {Object} options
+ * @param {Number} options.hostelId - Limit to one hostel (optional)
+ * @param {Object} options.hostelScope - Hostel relation filter for scoped users (optional)
+ * @returns {Object} { hostels: [{ hostelId, hostelName, totalHeld, count, tenants }], totalHeld, count }
+ */
+const getDepositsHeld = async ({ hostelId = null, hostelScope = {} } = {}) => {
+    const where = {
+        tenant: { securityDeposit: { gt: 0 } },
+        OR: [
+            { status: 'active' },
+            { status: 'checked_out', depositSettlement: { is: null } }
+        ]
+    };
+
+    if (hostelId) {
+        where.hostelId = hostelId;
+    } else if (Object.keys(hostelScope).length) {
+        where.hostel = hostelScope;
+    }
+
+    const allocations = await prisma.allocation.findMany({
+        where,
+        orderBy: [{ checkInDate: 'desc' }, { id: 'desc' }],
+        select: {
+            id: true,
+            status: true,
+            checkInDate: true,
+            checkOutDate: true,
+            depositAmount: true,
+            tenantId: true,
+            hostel: { select: { id: true, name: true } },
+            room: { select: { roomNumber: true } },
+            bed: { select: { bedNumber: true } },
+            tenant: { select: { id: true, name: true, phone: true, securityDeposit: true } }
+        }
+    });
+
+    // A tenant's deposit is counted once, against their latest allocation
+    const seenTenants = new Set();
+    const hostels = new Map();
+
+    for (const allocation of allocations) {
+        if (seenTenants.has(allocation.tenantId)) continue;
+        seenTenants.add(allocation.tenantId);
+
+        const key = allocation.hostel.id;
+        if (!hostels.has(key)) {
+            hostels.set(key, { hostelId: key, hostelName: allocation.hostel.name, totalHeld: 0, count: 0, tenants: [] });
+        }
+
+        const group = hostels.get(key);
+        const held = roundAmount(allocation.tenant.securityDeposit);
+        group.totalHeld = roundAmount(group.totalHeld + held);
+        group.count += 1;
+        group.tenants.push({
+            tenantId: allocation.tenant.id,
+            tenantName: allocation.tenant.name,
+            phone: allocation.tenant.phone,
+            allocationId: allocation.id,
+            allocationStatus: allocation.status,
+            room: allocation.room?.roomNumber || null,
+            bed: allocation.bed?.bedNumber || null,
+            checkInDate: allocation.checkInDate,
+            checkOutDate: allocation.checkOutDate,
+            agreedDeposit: allocation.depositAmount,
+            depositHeld: held,
+            awaitingSettlement: allocation.status === 'checked_out'
+        });
+    }
+
+    const groups = Array.from(hostels.values());
+
+    return {
+        hostels: groups,
+        totalHeld: roundAmount(groups.reduce((sum, group) => sum + group.totalHeld, 0)),
+        count: groups.reduce((sum, group) => sum + group.count, 0)
+    };
+};
+
+module.exports = {
+    MANUAL_DEDUCTION_TYPES,
+    normalizeDeductions,
+    getDepositHeld,
+    computeDepositSettlement,
+    settleDeposit,
+    getDepositsHeld
+};
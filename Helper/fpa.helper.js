@@ -0,0 +1,95 @@
+/**
+ * ======================================
+ * FP&A SNAPSHOT HELPER
+ * ======================================
+ *
+ * Stores the monthly FPA row (income, expense, profit, break-even and cash
+ * flow ratio) for a hostel, or for all hostels when hostelId is null. The
+ * figures use the same rules as generateFPASummary: income is paid payments
+ * by paymentDate, expenses by date, and 60% of expenses are treated as fixed.
+ */
+
+const { prisma } = require('../config/db');
+
+const FIXED_COST_SHARE = 0.6;
+const VARIABLE_COST_SHARE = 0.4;
+
+const formatAmount = (value) => {
+    const numeric = Number(value || 0);
+    if (!Number.isFinite(numeric)) return 0;
+    return Number(numeric.toFixed(2));
+};
+
+// Month range in server local time, as used by the FP&A reports
+const buildDateRange = (year, month) => ({
+    start: new Date(year, month - 1, 1, 0, 0, 0, 0),
+    end: new Date(year, month, 1, 0, 0, 0, 0)
+});
+
+/**
+ * Compute the stored FP&A figures for a month
+ *
+ * @param {Object} params - { month (1-12), year, hostelId? }
+ * @returns {Object} FPA row data
+ */
+const computeFPARecord = async ({ month, year, hostelId = null }) => {
+    const { start, end } = buildDateRange(year, month);
+    const hostelFilter = hostelId ? { hostelId } : {};
+
+    const [payments, expenses] = await Promise.all([
+        prisma.payment.aggregate({
+            _sum: { amount: true },
+            where: { status: 'paid', paymentDate: { gte: start, lt: end }, ...hostelFilter }
+        }),
+        prisma.expense.aggregate({
+            _sum: { amount: true },
+            where: { date: { gte: start, lt: end }, ...hostelFilter }
+        })
+    ]);
+
+    const totalIncome = formatAmount(payments._sum.amount);
+    const totalExpense = formatAmount(expenses._sum.amount);
+
+    const fixedCosts = formatAmount(totalExpense * FIXED_COST_SHARE);
+    const variableCosts = formatAmount(totalExpense * VARIABLE_COST_SHARE);
+    const contributionMarginRatio = totalIncome > 0
+        ? formatAmount(((totalIncome - variableCosts) / totalIncome) * 100)
+        : 0;
+
+    return {
+        month: month.toString(),
+        year,
+        totalIncome,
+        totalExpense,
+        profit: formatAmount(totalIncome - totalExpense),
+        breakeven: contributionMarginRatio > 0
+            ? formatAmount(fixedCosts / (contributionMarginRatio / 100))
+            : 0,
+        cashflowRatio: totalExpense > 0 ? formatAmount(totalIncome / totalExpense) : 0,
+        ...(hostelId ? { hostelId } : {})
+    };
+};
+
+/**
+ * Create or update the FPA row for its month, year and hostel.
+ * Looked up with findFirst because the unique key does not match null hostels.
+ */
+const saveFPARecord = async (fpaData) => {
+    const existing = await prisma.fPA.findFirst({
+        where: {
+            month: fpaData.month,
+            year: fpaData.year,
+            hostelId: fpaData.hostelId || null
+        },
+        select: { id: true }
+    });
+
+    return existing
+        ? prisma.fPA.update({ where: { id: existing.id }, data: fpaData })
+        : prisma.fPA.create({ data: fpaData });
+};
+
+module.exports = {
+    computeFPARecord,
+    saveFPARecord
+};
@@ -0,0 +1,675 @@
+/**
+ * ======================================
+ * GENERAL LEDGER HELPER
+ * ======================================
+ *
+ * Double-entry books behind Payment, Transaction, Expense and the vendor
+ * documents. Each hostel has its own chart of accounts (LedgerAccount),
+ * created on first use; money without a hostel is booked on a chart with
+ * hostelId null. Every JournalEntry balances: its debits equal its credits.
+ *
+ * POSTING RULES
+ * =============
+ *   charge           Dr Tenant receivables      Cr revenue by paymentType (a deposit charge: Deposits held)
+ *   receipt          Dr Cash / Bank / Gateway   Cr Tenant receivables (charges and tenant money),
+ *                    (gateway fee to charges)      Deposits held (deposits), Booking advances
+ *                                                 (bookings without a tenant) or revenue
+ *   deposit refund   Dr Deposits held           Cr Cash / Bank
+ *   gateway refund   Dr the receipt's account   Cr Payment gateway clearing
+ *   deposit checkout Dr Deposits held           Cr Tenant receivables (dues) and Other income (damages)
+ *   tenant adjustment  Tenant receivables against Discounts & adjustments
+ *   expense          Dr expense by category     Cr Cash
+ *   vendor bill      Dr expense                 Cr Accounts payable
+ *   vendor payment   Dr Accounts payable        Cr Cash / Bank
+ *
+ * Expenses raised from purchase orders are carried by the order's vendor
+ * bill instead, so they are not booked twice. Manual transactions with no
+ * payment are booked by their transactionType: money received, money paid,
+ * refunds or owner capital; any other type is left off the books.
+ *
+ * SYNCING
+ * =======
+ * Journals are never edited. The sync functions work out what a source
+ * document should have on the books now and compare it with its current
+ * journal: when they differ, the current journal is reversed and the new
+ * one posted, both dated on the day of the change. A document that was
+ * deleted or voided is simply reversed. Running a sync again is a no-op,
+ * which is what scripts/backfill-general-ledger.js relies on.
+ */
+
+const { prisma } = require('../config/db');
+const { roundAmount } = require('../utils/normalize');
+const { createWithSequenceNumber } = require('./sequence.helper');
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+// System accounts every chart starts with
+const DEFAULT_ACCOUNTS = [
+    { systemKey: 'cash', code: '1000', name: 'Cash on hand', type: 'asset' },
+    { systemKey: 'bank', code: '1010', name: 'Bank accounts', type: 'asset' },
+    { systemKey: 'gateway_clearing', code: '1020', name: 'Payment gateway clearing', type: 'asset' },
+    { systemKey: 'receivables', code: '1200', name: 'Tenant receivables', type: 'asset' },
+    { systemKey: 'payables', code: '2000', name: 'Accounts payable', type: 'liability' },
+    { systemKey: 'deposits_held', code: '2100', name: 'Security deposits held', type: 'liability' },
+    { systemKey: 'booking_advances', code: '2200', name: 'Booking advances', type: 'liability' },
+    { systemKey: 'owner_equity', code: '3000', name: "Owner's capital", type: 'equity' },
+    { systemKey: 'rent_revenue', code: '4000', name: 'Rent revenue', type: 'revenue' },
+    { systemKey: 'maintenance_revenue', code: '4100', name: 'Maintenance charges', type: 'revenue' },
+    { systemKey: 'utility_revenue', code: '4200', name: 'Utility recoveries', type: 'revenue' },
+    { systemKey: 'late_fee_revenue', code: '4300', name: 'Late fees', type: 'revenue' },
+    { systemKey: 'other_revenue', code: '4900', name: 'Other income', type: 'revenue' },
+    { systemKey: 'adjustments', code: '4950', name: 'Discounts & adjustments', type: 'revenue' },
+    { systemKey: 'bank_charges', code: '5900', name: 'Bank & gateway charges', type: 'expense' },
+    { systemKey: 'other_expense', code: '5990', name: 'Other expenses', type: 'expense' }
+];
+
+// Expense category accounts are numbered from here, e.g. "expense:utilities" -> 5100
+const EXPENSE_CODE_START = 5100;
+const EXPENSE_CODE_END = 5899;
+
+const CASH_ACCOUNT_KEYS = ['cash', 'bank', 'gateway_clearing'];
+
+const REVENUE_ACCOUNT_BY_PAYMENT_TYPE = {
+    rent: 'rent_revenue',
+    deposit: 'deposits_held',
+    maintenance: 'maintenance_revenue',
+    electricity: 'utility_revenue',
+    water: 'utility_revenue',
+    late_fee: 'late_fee_revenue',
+    other: 'other_revenue'
+};
+
+// Manual transaction types, matched on the start of Transaction.transactionType
+const RECEIVED_TRANSACTION_TYPES = ['rent', 'deposit', 'advance', 'dues', 'maintenance', 'other_received'];
+const PAID_TRANSACTION_TYPES = ['salary_paid', 'vendor_paid', 'maintenance_paid', 'utility_paid', 'other_paid'];
+const CAPITAL_TRANSACTION_TYPES = ['capital', 'owner_investment', 'owner_contribution', 'investment'];
+const POSTED_TRANSACTION_STATUSES = ['completed', 'refunded'];
+
+const cashAccountFor = (paymentMethod) => {
+    if (paymentMethod === 'cash' || !paymentMethod) return 'cash';
+    if (paymentMethod === 'stripe' || paymentMethod === 'online') return 'gateway_clearing';
+    return 'bank';
+};
+
+const revenueAccountFor = (paymentType) => REVENUE_ACCOUNT_BY_PAYMENT_TYPE[paymentType] || 'other_revenue';
+
+const slugify = (value) => String(value || 'general').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'general';
+
+const expenseAccountKey = (category) => `expense:${slugify(category)}`;
+
+/**
+ * Create the system accounts a hostel's chart is missing
+ *
+ * @param {Number|null} hostelId - null for money not tied to a hostel
+ * @returns {Object[]} LedgerAccount rows of the chart
+ */
+const ensureChartOfAccounts = async (hostelId = null, client = prisma) => {
+    const existing = await client.ledgerAccount.findMany({ where: { hostelId: hostelId || null } });
+    const keys = new Set(existing.map((account) => account.systemKey));
+    const codes = new Set(existing.map((account) => account.code));
+
+    const missing = DEFAULT_ACCOUNTS.filter((account) => !keys.has(account.systemKey) && !codes.has(account.code));
+    for (const account of missing) {
+        existing.push(await client.ledgerAccount.create({ data: { ...account, hostelId: hostelId || null } }));
+    }
+    return existing;
+};
+
+/**
+ * Resolve a system key ("cash", "expense:utilities", ...) to the hostel's account,
+ * creating expense category accounts as they are first used
+ */
+const resolveAccount = async (client, hostelId, key, cache) => {
+    const cacheKey = `${hostelId || 0}:${key}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let account = await client.ledgerAccount.findFirst({ where: { hostelId: hostelId || null, systemKey: key } });
+    if (!account && key.startsWith('expense:')) {
+        const category = key.slice('expense:'.length).replace(/_/g, ' ');
+        const last = await client.ledgerAccount.findFirst({
+            where: { hostelId: hostelId || null, type: 'expense', code: { gte: String(EXPENSE_CODE_START), lte: String(EXPENSE_CODE_END) } },
+            orderBy: { code: 'desc' },
+            select: { code: true }
+        });
+        const code = last ? parseInt(last.code, 10) + 10 : EXPENSE_CODE_START;
+        if (code > EXPENSE_CODE_END) throw new Error('No expense account codes left; merge some expense categories');
+
+        account = await client.ledgerAccount.create({
+            data: {
+                hostelId: hostelId || null,
+                systemKey: key,
+                code: String(code),
+                name: category.charAt(0).toUpperCase() + category.slice(1),
+                type: 'expense'
+            }
+        });
+    }
+    if (!account) {
+        await ensureChartOfAccounts(hostelId, client);
+        account = await client.ledgerAccount.findFirst({ where: { hostelId: hostelId || null, systemKey: key } });
+    }
+    if (!account) throw new Error(`Ledger account "${key}" not found`);
+
+    cache.set(cacheKey, account);
+    return account;
+};
+
+/**
+ * Post a balanced journal entry
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} entry
+ * @param {Number} entry.hostelId
+ * @param {Date} entry.entryDate
+ * @param {String} entry.memo
+ * @param {String} entry.sourceType - charge, transaction, expense, vendor_bill, ..., manual
+ * @param {Number} entry.sourceId
+ * @param {Array} entry.lines - [{ account (system key) | accountId, debit?, credit?, description? }]
+ * @param {Number} entry.createdBy
+ * @returns {Object} JournalEntry with lines
+ */
+const postJournal = async (client, { hostelId = null, entryDate = new Date(), memo, sourceType, sourceId = null, lines, createdBy = null, reversalOfId = null }) => {
+    const cache = new Map();
+    const resolved = [];
+    for (const line of lines) {
+        const debit = roundAmount(line.debit || 0);
+        const credit = roundAmount(line.credit || 0);
+        if (debit < 0 || credit < 0 || (debit > 0 && credit > 0)) {
+            throw new Error('Each journal line is either a debit or a credit of more than zero');
+        }
+        if (!debit && !credit) continue;
+
+        let accountId = line.accountId;
+        if (!accountId) {
+            accountId = (await resolveAccount(client, hostelId, line.account, cache)).id;
+        }
+        resolved.push({ accountId, debit, credit, description: line.description ? String(line.description).slice(0, 500) : null });
+    }
+
+    const debits = roundAmount(resolved.reduce((sum, line) => sum + line.debit, 0));
+    const credits = roundAmount(resolved.reduce((sum, line) => sum + line.credit, 0));
+    if (!resolved.length || debits <= 0) throw new Error('A journal entry needs at least one debit and one credit');
+    if (debits !== credits) throw new Error(`Journal entry does not balance: debits ${debits}, credits ${credits}`);
+
+    return createWithSequenceNumber(client.journalEntry, 'entryNumber', 'JE', {
+        data: {
+            hostelId: hostelId || null,
+            entryDate: new Date(entryDate),
+            memo: String(memo || sourceType).slice(0, 500),
+            sourceType,
+            sourceId,
+            reversalOfId,
+            createdBy,
+            lines: { create: resolved }
+        },
+        include: { lines: true }
+    }, { digits: 6 });
+};
+
+/**
+ * Post the mirror image of a journal entry
+ */
+const reverseJournal = async (client, entryId, { entryDate = new Date(), memo = null, createdBy = null } = {}) => {
+    const entry = await client.journalEntry.findUnique({ where: { id: entryId }, include: { lines: true } });
+    if (!entry) throw new Error('Journal entry not found');
+    if (entry.reversedAt) throw new Error(`Journal entry ${entry.entryNumber} is already reversed`);
+    if (entry.reversalOfId) throw new Error('A reversal cannot be reversed; post a new entry instead');
+
+    const claimed = await client.journalEntry.updateMany({
+        where: { id: entryId, reversedAt: null },
+        data: { reversedAt: new Date() }
+    });
+    if (!claimed.count) throw new Error('The journal entry was reversed by someone else');
+
+    return postJournal(client, {
+        hostelId: entry.hostelId,
+        entryDate,
+        memo: memo || `Reversal of ${entry.entryNumber}`,
+        sourceType: entry.sourceType,
+        sourceId: entry.sourceId,
+        reversalOfId: entry.id,
+        createdBy,
+        lines: entry.lines.map((line) => ({ accountId: line.accountId, debit: line.credit, credit: line.debit, description: line.description }))
+    });
+};
+
+const lineSignature = (lines) => lines
+    .filter((line) => line.debit || line.credit)
+    .map((line) => `${line.accountId}:${roundAmount(line.debit || 0)}:${roundAmount(line.credit || 0)}`)
+    .sort()
+    .join('|');
+
+/**
+ * Bring a source document's journal in line with what it should post
+ *
+ * @param {Object} client
+ * @param {String} sourceType
+ * @param {Number} sourceId
+ * @param {Object|null} desired - { hostelId, entryDate, memo, lines } or null for nothing on the books
+ * @returns {Object|null} The journal entry now in effect
+ */
+const syncSourceJournal = async (client, sourceType, sourceId, desired, { createdBy = null, changedAt = new Date() } = {}) => {
+    const current = await client.journalEntry.findFirst({
+        where: { sourceType, sourceId, reversalOfId: null, reversedAt: null },
+        include: { lines: true }
+    });
+
+    if (desired) {
+        const cache = new Map();
+        const lines = [];
+        for (const line of desired.lines) {
+            const account = await resolveAccount(client, desired.hostelId, line.account, cache);
+            lines.push({ ...line, accountId: account.id });
+        }
+        desired = { ...desired, lines };
+
+        if (current && (current.hostelId || null) === (desired.hostelId || null) && lineSignature(current.lines) === lineSignature(lines)) {
+            return current;
+        }
+    }
+
+    if (current) {
+        await reverseJournal(client, current.id, { entryDate: changedAt, memo: `Reversal of ${current.entryNumber}: ${current.memo}`.slice(0, 500), createdBy });
+    }
+    if (!desired || !lineSignature(desired.lines)) return null;
+
+    return postJournal(client, {
+        ...desired,
+        // First posting keeps the document's date; corrections are booked when they happen
+        entryDate: current ? changedAt : desired.entryDate,
+        sourceType,
+        sourceId,
+        createdBy
+    });
+};
+
+/**
+ * Account a receipt of this payment is credited to
+ */
+const receiptAccountFor = (payment) => {
+    if (!payment) return null;
+    if (payment.dueDate) return 'receivables';
+    if (payment.paymentType === 'deposit') return 'deposits_held';
+    if (payment.tenantId) return 'receivables';
+    if (payment.bookingId) return 'booking_advances';
+    return revenueAccountFor(payment.paymentType);
+};
+
+const startsWithAny = (value, prefixes) => prefixes.some((prefix) => value.startsWith(prefix));
+
+/**
+ * Sync the journal of a billed charge (a Payment with a dueDate). A waived
+ * charge keeps only what was paid on it.
+ */
+const syncChargeJournal = async (client, paymentId, options = {}) => {
+    const charge = await client.payment.findUnique({ where: { id: paymentId } });
+    const amount = !charge || !charge.dueDate
+        ? 0
+        : roundAmount(charge.status === 'waived' ? charge.amountPaid || 0 : charge.amount || 0);
+
+    const label = charge ? `${charge.paymentType || 'charge'}${charge.forMonth ? ` ${charge.forMonth}` : ''}` : '';
+    return syncSourceJournal(client, 'charge', paymentId, amount > 0 ? {
+        hostelId: charge.hostelId,
+        entryDate: charge.createdAt || new Date(),
+        memo: `Charge #${charge.id}: ${label}`,
+        lines: [
+            { account: 'receivables', debit: amount },
+            { account: revenueAccountFor(charge.paymentType), credit: amount, description: label }
+        ]
+    } : null, options);
+};
+
+/**
+ * Sync the journal of a Transaction: money received, a deposit refund or a
+ * manual entry booked by its type
+ */
+const syncTransactionJournal = async (client, transactionId, options = {}) => {
+    const transaction = await client.transaction.findUnique({
+        where: { id: transactionId },
+        include: { payment: true, depositRefund: { select: { id: true } } }
+    });
+
+    let desired = null;
+    const amount = roundAmount(transaction?.amount || 0);
+    if (transaction && amount > 0 && POSTED_TRANSACTION_STATUSES.includes(transaction.status)) {
+        const cashAccount = cashAccountFor(transaction.paymentMethod);
+        const fee = Math.min(roundAmount(transaction.fee || 0), amount);
+        const type = String(transaction.transactionType || '').toLowerCase();
+        const entryDate = transaction.payment?.paymentDate || transaction.createdAt || new Date();
+        const base = { hostelId: transaction.hostelId ?? transaction.payment?.hostelId ?? null, entryDate };
+
+        const received = (creditAccount, memo) => ({
+            ...base,
+            memo,
+            lines: [
+                { account: cashAccount, debit: roundAmount(amount - fee) },
+                { account: 'bank_charges', debit: fee },
+                { account: creditAccount, credit: amount }
+            ]
+        });
+        const paid = (debitAccount, memo) => ({
+            ...base,
+            memo,
+            lines: [
+                { account: debitAccount, debit: amount },
+                { account: cashAccount, credit: amount }
+            ]
+        });
+
+        if (transaction.payment) {
+            desired = received(receiptAccountFor(transaction.payment), `Received ${type || 'payment'} for payment #${transaction.payment.id}`);
+        } else if (transaction.depositRefund) {
+            desired = paid('deposits_held', 'Security deposit refund');
+        } else if (startsWithAny(type, CAPITAL_TRANSACTION_TYPES)) {
+            desired = received('owner_equity', `Owner capital (${type})`);
+        } else if (type.startsWith('refund')) {
+            desired = paid('adjustments', `Refund: ${type}`);
+        } else if (startsWithAny(type, PAID_TRANSACTION_TYPES)) {
+            desired = paid('other_expense', `Paid: ${type}`);
+        } else if (startsWithAny(type, RECEIVED_TRANSACTION_TYPES)) {
+            desired = received(type.startsWith('deposit') ? 'deposits_held' : 'other_revenue', `Received: ${type}`);
+        }
+    }
+
+    return syncSourceJournal(client, 'transaction', transactionId, desired, options);
+};
+
+/**
+ * Sync the journal of money sent back through the gateway for a transaction
+ *
+ * @param {Number} refundedAmount - Total refunded so far
+ */
+const syncGatewayRefundJournal = async (client, transactionId, refundedAmount, options = {}) => {
+    const transaction = await client.transaction.findUnique({ where: { id: transactionId }, include: { payment: true } });
+    const amount = roundAmount(refundedAmount || 0);
+
+    return syncSourceJournal(client, 'transaction_refund', transactionId, transaction && amount > 0 ? {
+        hostelId: transaction.hostelId ?? transaction.payment?.hostelId ?? null,
+        entryDate: new Date(),
+        memo: `Refund of transaction #${transaction.id}`,
+        lines: [
+            { account: receiptAccountFor(transaction.payment) || 'other_revenue', debit: amount },
+            { account: cashAccountFor(transaction.paymentMethod), credit: amount }
+        ]
+    } : null, options);
+};
+
+/**
+ * Sync the journal of a checkout: deposit used for dues and kept for damages
+ * (the refund itself is its Transaction)
+ */
+const syncDepositSettlementJournal = async (client, settlementId, options = {}) => {
+    const settlement = await client.depositSettlement.findUnique({ where: { id: settlementId } });
+    const applied = roundAmount(settlement?.appliedToDues || 0);
+    const retained = roundAmount(settlement?.retainedForDamages || 0);
+
+    return syncSourceJournal(client, 'deposit_settlement', settlementId, settlement && applied + retained > 0 ? {
+        hostelId: settlement.hostelId,
+        entryDate: settlement.settledAt,
+        memo: `Deposit settled at checkout (allocation #${settlement.allocationId})`,
+        lines: [
+            { account: 'deposits_held', debit: roundAmount(applied + retained) },
+            { account: 'receivables', credit: applied, description: 'Applied to unpaid dues' },
+            { account: 'other_revenue', credit: retained, description: 'Kept for damages and deductions' }
+        ]
+    } : null, options);
+};
+
+/**
+ * Post a manual adjustment or credit from the tenant ledger
+ *
+ * @param {Object} entry - TenantLedgerEntry (negative amounts reduce what the tenant owes)
+ */
+const postTenantAdjustmentJournal = async (client, entry, options = {}) => {
+    const amount = roundAmount(Math.abs(entry.amount || 0));
+    const increasesDues = entry.amount > 0;
+
+    return syncSourceJournal(client, 'tenant_adjustment', entry.id, amount > 0 ? {
+        hostelId: entry.hostelId,
+        entryDate: entry.entryDate || new Date(),
+        memo: `Tenant #${entry.tenantId} ${entry.entryType}: ${entry.description || ''}`.trim(),
+        lines: increasesDues
+            ? [{ account: 'receivables', debit: amount }, { account: 'adjustments', credit: amount }]
+            : [{ account: 'adjustments', debit: amount }, { account: 'receivables', credit: amount }]
+    } : null, options);
+};
+
+/**
+ * Sync the journal of an expense, paid from cash, by category
+ */
+const syncExpenseJournal = async (client, expenseId, options = {}) => {
+    const expense = await client.expense.findUnique({
+        where: { id: expenseId },
+        include: { purchaseOrder: { select: { id: true } } }
+    });
+    const amount = roundAmount(expense?.amount || 0);
+
+    // Purchase order expenses are booked through the order's vendor bill
+    return syncSourceJournal(client, 'expense', expenseId, expense && !expense.purchaseOrder && amount > 0 ? {
+        hostelId: expense.hostelId,
+        entryDate: expense.date,
+        memo: `Expense: ${expense.title}`,
+        lines: [
+            { account: expenseAccountKey(expense.category), debit: amount, description: expense.title },
+            { account: 'cash', credit: amount }
+        ]
+    } : null, options);
+};
+
+/**
+ * Sync the journal of a vendor bill; cancelled bills come off the books
+ */
+const syncVendorBillJournal = async (client, billId, options = {}) => {
+    const bill = await client.vendorBill.findUnique({
+        where: { id: billId },
+        include: {
+            vendor: { select: { name: true, category: true } },
+            purchaseOrder: { select: { demand: { select: { category: true } } } }
+        }
+    });
+    const amount = bill && bill.status !== 'cancelled' ? roundAmount(bill.amount) : 0;
+
+    // Same category as the expense the purchase order posts on delivery
+    const category = bill?.purchaseOrder
+        ? bill.purchaseOrder.demand.category || 'Purchases'
+        : bill?.vendor?.category || 'Vendor services';
+
+    return syncSourceJournal(client, 'vendor_bill', billId, amount > 0 ? {
+        hostelId: bill.hostelId,
+        entryDate: bill.billDate,
+        memo: `Vendor bill ${bill.billNumber} from ${bill.vendor.name}`,
+        lines: [
+            { account: expenseAccountKey(category), debit: amount, description: bill.description },
+            { account: 'payables', credit: amount }
+        ]
+    } : null, options);
+};
+
+/**
+ * Sync the journal of a payment to a vendor; voided payments come off the books
+ */
+const syncVendorPaymentJournal = async (client, paymentId, options = {}) => {
+    const payment = await client.vendorPayment.findUnique({ where: { id: paymentId }, include: { vendor: { select: { name: true } } } });
+    const amount = payment && !payment.voidedAt ? roundAmount(payment.amount) : 0;
+
+    return syncSourceJournal(client, 'vendor_payment', paymentId, amount > 0 ? {
+        hostelId: payment.hostelId,
+        entryDate: payment.paymentDate,
+        memo: `Vendor payment ${payment.paymentNumber} to ${payment.vendor.name}`,
+        lines: [
+            { account: 'payables', debit: amount },
+            { account: cashAccountFor(payment.paymentMethod), credit: amount }
+        ]
+    } : null, options);
+};
+
+/**
+ * Debit and credit totals per account
+ *
+ * @param {Object} filters - { hostelId, from, to } on JournalEntry.entryDate
+ * @returns {Object[]} [{ account, debit, credit, balance }] where balance follows the account's normal side
+ */
+const getAccountBalances = async ({ hostelId = null, from = null, to = null } = {}) => {
+    const entryWhere = {};
+    if (hostelId) entryWhere.hostelId = hostelId;
+    if (from || to) {
+        entryWhere.entryDate = {};
+        if (from) entryWhere.entryDate.gte = from;
+        if (to) entryWhere.entryDate.lte = to;
+    }
+
+    const [sums, accounts] = await Promise.all([
+        prisma.journalLine.groupBy({
+            by: ['accountId'],
+            where: { entry: entryWhere },
+            _sum: { debit: true, credit: true }
+        }),
+        prisma.ledgerAccount.findMany({
+            where: hostelId ? { hostelId } : {},
+            orderBy: [{ code: 'asc' }, { id: 'asc' }]
+        })
+    ]);
+    const sumsByAccount = new Map(sums.map((row) => [row.accountId, row._sum]));
+
+    // Without a hostel the charts are consolidated by account code
+    const rows = new Map();
+    for (const account of accounts) {
+        const sum = sumsByAccount.get(account.id) || {};
+        const key = hostelId ? account.id : `${account.code}:${account.type}`;
+        const row = rows.get(key) || {
+            code: account.code,
+            name: account.name,
+            type: account.type,
+            systemKey: account.systemKey,
+            accountIds: [],
+            debit: 0,
+            credit: 0
+        };
+        row.accountIds.push(account.id);
+        row.debit = roundAmount(row.debit + (sum.debit || 0));
+        row.credit = roundAmount(row.credit + (sum.credit || 0));
+        rows.set(key, row);
+    }
+
+    return [...rows.values()].map((row) => ({
+        ...row,
+        balance: DEBIT_NORMAL_TYPES.includes(row.type) ? roundAmount(row.debit - row.credit) : roundAmount(row.credit - row.debit)
+    }));
+};
+
+const sumBalances = (rows) => roundAmount(rows.reduce((total, row) => total + row.balance, 0));
+
+/**
+ * Trial balance: every account's net debit or credit up to a date
+ */
+const getTrialBalance = async ({ hostelId = null, asOf = new Date() } = {}) => {
+    const balances = await getAccountBalances({ hostelId, to: asOf });
+    const accounts = balances
+        .filter((row) => row.debit || row.credit)
+        .map(({ accountIds, ...row }) => {
+            const net = roundAmount(row.debit - row.credit);
+            return { ...row, debitBalance: net > 0 ? net : 0, creditBalance: net < 0 ? -net : 0 };
+        });
+
+    const totalDebit = roundAmount(accounts.reduce((total, row) => total + row.debitBalance, 0));
+    const totalCredit = roundAmount(accounts.reduce((total, row) => total + row.creditBalance, 0));
+    return { asOf, accounts, totalDebit, totalCredit, isBalanced: totalDebit === totalCredit };
+};
+
+/**
+ * Profit and loss for a period
+ */
+const getProfitAndLoss = async ({ hostelId = null, from = null, to = new Date() } = {}) => {
+    const balances = await getAccountBalances({ hostelId, from, to });
+    const pick = (type) => balances
+        .filter((row) => row.type === type && (row.debit || row.credit))
+        .map(({ accountIds, ...row }) => ({ code: row.code, name: row.name, systemKey: row.systemKey, amount: row.balance }));
+
+    const revenue = pick('revenue');
+    const expenses = pick('expense');
+    const totalRevenue = roundAmount(revenue.reduce((total, row) => total + row.amount, 0));
+    const totalExpenses = roundAmount(expenses.reduce((total, row) => total + row.amount, 0));
+
+    return { from, to, revenue, expenses, totalRevenue, totalExpenses, netIncome: roundAmount(totalRevenue - totalExpenses) };
+};
+
+/**
+ * Balance sheet at a date; earnings not yet closed to capital show as
+ * current earnings under equity
+ */
+const getBalanceSheet = async ({ hostelId = null, asOf = new Date() } = {}) => {
+    const balances = await getAccountBalances({ hostelId, to: asOf });
+    const pick = (type) => balances
+        .filter((row) => row.type === type && (row.debit || row.credit))
+        .map(({ accountIds, ...row }) => ({ code: row.code, name: row.name, systemKey: row.systemKey, amount: row.balance }));
+
+    const assets = pick('asset');
+    const liabilities = pick('liability');
+    const equity = pick('equity');
+    const currentEarnings = roundAmount(
+        sumBalances(balances.filter((row) => row.type === 'revenue')) - sumBalances(balances.filter((row) => row.type === 'expense'))
+    );
+
+    const totalAssets = roundAmount(assets.reduce((total, row) => total + row.amount, 0));
+    const totalLiabilities = roundAmount(liabilities.reduce((total, row) => total + row.amount, 0));
+    const totalEquity = roundAmount(equity.reduce((total, row) => total + row.amount, 0) + currentEarnings);
+
+    return {
+        asOf,
+        assets,
+        liabilities,
+        equity,
+        currentEarnings,
+        totalAssets,
+        totalLiabilities,
+        totalEquity,
+        isBalanced: totalAssets === roundAmount(totalLiabilities + totalEquity)
+    };
+};
+
+/**
+ * Net cash movement (into cash, bank and gateway accounts) booked for each transaction
+ *
+ * @param {Number[]} transactionIds
+ * @returns {Map} transactionId -> signed amount; transactions with nothing booked are left out
+ */
+const getTransactionCashMovements = async (transactionIds) => {
+    if (!transactionIds.length) return new Map();
+
+    const lines = await prisma.journalLine.findMany({
+        where: {
+            entry: { sourceType: { in: ['transaction', 'transaction_refund'] }, sourceId: { in: transactionIds } },
+            account: { systemKey: { in: CASH_ACCOUNT_KEYS } }
+        },
+        select: { debit: true, credit: true, entry: { select: { sourceId: true, sourceType: true } } }
+    });
+
+    const movements = new Map();
+    lines.forEach((line) => {
+        // The receipt itself, not what was refunded later
+        if (line.entry.sourceType !== 'transaction') return;
+        const id = line.entry.sourceId;
+        movements.set(id, roundAmount((movements.get(id) || 0) + line.debit - line.credit));
+    });
+    return movements;
+};
+
+module.exports = {
+    ACCOUNT_TYPES,
+    ensureChartOfAccounts,
+    postJournal,
+    reverseJournal,
+    syncChargeJournal,
+    syncTransactionJournal,
+    syncGatewayRefundJournal,
+    syncDepositSettlementJournal,
+    postTenantAdjustmentJournal,
+    syncExpenseJournal,
+    syncVendorBillJournal,
+    syncVendorPaymentJournal,
+    getTrialBalance,
+    getProfitAndLoss,
+    getBalanceSheet,
+    getTransactionCashMovements
+};
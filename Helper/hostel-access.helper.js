@@ -0,0 +1,90 @@
+/**
+ * ======================================
+ * HOSTEL ACCESS HELPER
+ * ======================================
+ *
+ * Which hostels a caller may manage. Admins reach every hostel, an owner
+ * the hostels of their Owner profile and a manager the hostels they manage.
+ * Other roles are limited by their routes, not here.
+ *
+ * The role is read by name from req.userRole, which the auth middleware sets
+ * to the caller's UserRole record.
+ */
+
+const { prisma } = require('../config/db');
+
+// Hostel fields canAccessHostel needs
+const hostelAccessSelect = {
+    id: true,
+    managedBy: true,
+    owner: { select: { userId: true } }
+};
+
+const callerRole = (req) => {
+    if (req.isAdmin === true) return 'admin';
+    return req.userRole?.roleName?.toLowerCase() || null;
+};
+
+/**
+ * Hostel filter for lists, e.g. where: { hostel: buildHostelScopeFilter(req) }
+ *
+ * @param {Object} req - Authenticated request
+ * @returns {Object} Prisma Hostel where clause ({} when unrestricted)
+ */
+const buildHostelScopeFilter = (req) => {
+    const role = callerRole(req);
+    if (role === 'owner') {
+        return { owner: { userId: req.userId } };
+    }
+    if (role === 'manager') {
+        return { managedBy: req.userId };
+    }
+    return {};
+};
+
+/**
+ * Whether the caller may manage a hostel already loaded with hostelAccessSelect
+ *
+ * @param {Object} req - Authenticated request
+ * @param {Object} hostel - { managedBy, owner: { userId } }
+ * @returns {Boolean}
+ */
+const canAccessHostel = (req, hostel) => {
+    const role = callerRole(req);
+    if (role === 'owner') return hostel?.owner?.userId === req.userId;
+    if (role === 'manager') return hostel?.managedBy === req.userId;
+    return true;
+};
+
+/**
+ * Load a hostel and check the caller may manage it
+ *
+ * @param {Object} req - Authenticated request
+ * @param {Number} hostelId
+ * @param {Object} options
+ * @param {Object} options.select - Extra hostel fields to return
+ * @returns {Object} { ok: true, hostel } or { ok: false, status, message }
+ */
+const ensureHostelAccess = async (req, hostelId, { select = {} } = {}) => {
+    const hostel = await prisma.hostel.findUnique({
+        where: { id: hostelId },
+        select: { ...select, ...hostelAccessSelect }
+    });
+
+    if (!hostel) {
+        return { ok: false, status: 404, message: 'Hostel not found' };
+    }
+
+    if (!canAccessHostel(req, hostel)) {
+        return { ok: false, status: 403, message: 'You are not allowed to manage this hostel' };
+    }
+
+    return { ok: true, hostel };
+};
+
+module.exports = {
+    hostelAccessSelect,
+    buildHostelScopeFilter,
+    canAccessHostel,
+    ensureHostelAccess
+};
@@ -0,0 +1,400 @@
+/**
+ * ======================================
+ * HOSTEL LAYOUT HELPER
+ * ======================================
+ *
+ * Builds floors, rooms and beds from a declarative layout in one
+ * transaction, keeping the Hostel and Floor totalFloors / totalRooms /
+ * totalBeds counters in step.
+ *
+ * Layout shape:
+ * {
+ *   floors: [{
+ *     floorNumber: 1,                // or floorNumbers: [1, 2, 3] to repeat the floor
+ *     floorName, description, amenities,
+ *     rooms: [{
+ *       count: 10,                   // rooms in this group (or roomNumber for one room)
+ *       roomNumberPattern: '{floor}{nn}',
+ *       startNumber: 1,              // defaults to the next number on the floor
+ *       roomType: 'double',
+ *       bedsPerRoom: 2,
+ *       bedType: 'single',           // or bedTypes: ['bunk_lower', 'bunk_upper'], cycled
+ *       bedNumberPattern: '{room}-B{n}',
+ *       beds: [{ bedNumber, bedType }], // explicit beds instead of the pattern
+ *       pricePerBed, amenities, hasAttachedBathroom, furnishing, notes
+ *     }]
+ *   }]
+ * }
+ *
+ * Pattern tokens: {floor}, {n}, {nn}, {nnn} (zero padded) and, for beds,
+ * {room} and {letter} (A, B, C...).
+ *
+ * A floor that already exists is reused and its new rooms are added to it.
+ * A room number that already exists in the hostel is a conflict, and a plan
+ * with conflicts is never applied.
+ */
+
+const { prisma } = require('../config/db');
+
+const ROOM_TYPES = ['single', 'double', 'triple', 'quad', 'dormitory', 'suite'];
+const BED_TYPES = ['single', 'bunk_upper', 'bunk_lower', 'double', 'queen', 'king'];
+const FURNISHING_TYPES = ['furnished', 'semi_furnished', 'unfurnished'];
+
+const DEFAULT_ROOM_PATTERN = '{floor}{nn}';
+const DEFAULT_BED_PATTERN = '{room}-B{n}';
+const MAX_LAYOUT_ROOMS = 500;
+const MAX_LAYOUT_BEDS = 5000;
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+const fillPattern = (pattern, tokens) => pattern
+    .replace(/\{floor\}/g, tokens.floor ?? '')
+    .replace(/\{room\}/g, tokens.room ?? '')
+    .replace(/\{letter\}/g, tokens.n ? String.fromCharCode(64 + ((tokens.n - 1) % 26) + 1) : '')
+    .replace(/\{nnn\}/g, pad(tokens.n, 3))
+    .replace(/\{nn\}/g, pad(tokens.n, 2))
+    .replace(/\{n\}/g, String(tokens.n));
+
+const toWholeNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const parsed = Number(value);
+    return Number.isInteger(parsed) ? parsed : NaN;
+};
+
+/**
+ * Turn one room group into concrete rooms with their beds
+ * @returns {Object} { rooms } or { error }
+ */
+const expandRoomGroup = (group, floorNumber, nextNumber, label) => {
+    const roomType = group.roomType;
+    if (!ROOM_TYPES.includes(roomType)) {
+        return { error: `${label}: roomType must be one of: ${ROOM_TYPES.join(', ')}` };
+    }
+
+    const explicitBeds = Array.isArray(group.beds) ? group.beds : null;
+    const bedsPerRoom = explicitBeds ? explicitBeds.length : toWholeNumber(group.bedsPerRoom);
+    if (!Number.isInteger(bedsPerRoom) || bedsPerRoom < 1) {
+        return { error: `${label}: bedsPerRoom must be a whole number of at least 1` };
+    }
+
+    const pricePerBed = Number(group.pricePerBed);
+    if (group.pricePerBed === undefined || group.pricePerBed === null || !Number.isFinite(pricePerBed) || pricePerBed < 0) {
+        return { error: `${label}: pricePerBed must be zero or more` };
+    }
+
+    if (group.furnishing && !FURNISHING_TYPES.includes(group.furnishing)) {
+        return { error: `${label}: furnishing must be one of: ${FURNISHING_TYPES.join(', ')}` };
+    }
+
+    const bedTypes = Array.isArray(group.bedTypes) && group.bedTypes.length ? group.bedTypes : [group.bedType || 'single'];
+    const invalidBedType = [...bedTypes, ...(explicitBeds || []).map((bed) => bed.bedType || 'single')]
+        .find((type) => !BED_TYPES.includes(type));
+    if (invalidBedType) {
+        return { error: `${label}: bedType must be one of: ${BED_TYPES.join(', ')}` };
+    }
+
+    let roomNumbers;
+    if (group.roomNumber !== undefined && group.roomNumber !== null && group.roomNumber !== '') {
+        roomNumbers = [String(group.roomNumber)];
+    } else {
+        const count = toWholeNumber(group.count ?? 1);
+        const startNumber = toWholeNumber(group.startNumber) ?? nextNumber;
+        if (!Number.isInteger(count) || count < 1) {
+            return { error: `${label}: count must be a whole number of at least 1` };
+        }
+        if (!Number.isInteger(startNumber) || startNumber < 0) {
+            return { error: `${label}: startNumber must be a whole number` };
+        }
+        const pattern = group.roomNumberPattern || DEFAULT_ROOM_PATTERN;
+        roomNumbers = Array.from({ length: count }, (_, i) => fillPattern(pattern, { floor: floorNumber, n: startNumber + i }));
+        nextNumber = startNumber + count;
+    }
+
+    const bedPattern = group.bedNumberPattern || DEFAULT_BED_PATTERN;
+    const rooms = roomNumbers.map((roomNumber) => ({
+        roomNumber,
+        roomType,
+        totalBeds: bedsPerRoom,
+        pricePerBed,
+        amenities: Array.isArray(group.amenities) ? group.amenities : [],
+        hasAttachedBathroom: group.hasAttachedBathroom === true,
+        furnishing: group.furnishing || 'furnished',
+        notes: group.notes || null,
+        beds: explicitBeds
+            ? explicitBeds.map((bed, i) => ({
+                bedNumber: bed.bedNumber ? String(bed.bedNumber) : fillPattern(bedPattern, { room: roomNumber, floor: floorNumber, n: i + 1 }),
+                bedType: bed.bedType || 'single'
+            }))
+            : Array.from({ length: bedsPerRoom }, (_, i) => ({
+                bedNumber: fillPattern(bedPattern, { room: roomNumber, floor: floorNumber, n: i + 1 }),
+                bedType: bedTypes[i % bedTypes.length]
+            }))
+    }));
+
+    return { rooms, nextNumber };
+};
+
+/**
+ * Expand a layout into floors / rooms / beds and check it against the hostel
+ *
+ * @param {Number} hostelId - Hostel the layout is built into
+ * @param {Object} layout - Declarative layout (see file header)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} { floors, totals, conflicts, errors }
+ */
+const planHostelLayout = async (hostelId, layout, client = prisma) => {
+    const errors = [];
+    const conflicts = [];
+
+    const floorSpecs = Array.isArray(layout?.floors) ? layout.floors : [];
+    if (!floorSpecs.length) {
+        errors.push('layout.floors must list at least one floor');
+    }
+
+    // floorNumbers repeats one floor spec across several floors
+    const expandedFloors = [];
+    floorSpecs.forEach((spec, index) => {
+        const numbers = Array.isArray(spec.floorNumbers) ? spec.floorNumbers : [spec.floorNumber];
+        numbers.forEach((value) => {
+            const floorNumber = toWholeNumber(value);
+            if (!Number.isInteger(floorNumber)) {
+                errors.push(`floors[${index}]: floorNumber must be a whole number`);
+                return;
+            }
+            expandedFloors.push({ spec, index, floorNumber });
+        });
+    });
+
+    const [existingFloors, existingRooms] = await Promise.all([
+        client.floor.findMany({
+            where: { hostelId },
+            select: { id: true, floorNumber: true, floorName: true }
+        }),
+        client.room.findMany({
+            where: { hostelId },
+            select: { roomNumber: true }
+        })
+    ]);
+    const floorsByNumber = new Map(existingFloors.map((floor) => [floor.floorNumber, floor]));
+    const takenRoomNumbers = new Set(existingRooms.map((room) => room.roomNumber));
+
+    const seenFloors = new Set();
+    const plannedRoomNumbers = new Set();
+    const floors = [];
+
+    for (const { spec, index, floorNumber } of expandedFloors) {
+        if (seenFloors.has(floorNumber)) {
+            errors.push(`Floor ${floorNumber} appears more than once in the layout`);
+            continue;
+        }
+        seenFloors.add(floorNumber);
+
+        const existing = floorsByNumber.get(floorNumber) || null;
+        const rooms = [];
+        let nextNumber = 1;
+
+        (Array.isArray(spec.rooms) ? spec.rooms : []).forEach((group, groupIndex) => {
+            const expanded = expandRoomGroup(group, floorNumber, nextNumber, `floors[${index}].rooms[${groupIndex}]`);
+            if (expanded.error) {
+                errors.push(expanded.error);
+                return;
+            }
+            nextNumber = expanded.nextNumber ?? nextNumber;
+
+            expanded.rooms.forEach((room) => {
+                if (takenRoomNumbers.has(room.roomNumber)) {
+                    conflicts.push({ floorNumber, roomNumber: room.roomNumber, reason: 'Room number already exists in this hostel' });
+                } else if (plannedRoomNumbers.has(room.roomNumber)) {
+                    conflicts.push({ floorNumber, roomNumber: room.roomNumber, reason: 'Room number appears more than once in the layout' });
+                }
+                plannedRoomNumbers.add(room.roomNumber);
+
+                const bedNumbers = new Set(room.beds.map((bed) => bed.bedNumber));
+                if (bedNumbers.size !== room.beds.length) {
+                    conflicts.push({ floorNumber, roomNumber: room.roomNumber, reason: 'Bed numbers repeat within the room' });
+                }
+                rooms.push(room);
+            });
+        });
+
+        floors.push({
+            floorId: existing?.id || null,
+            isNew: !existing,
+            floorNumber,
+            floorName: existing?.floorName || spec.floorName || `Floor ${floorNumber}`,
+            description: spec.description || null,
+            amenities: Array.isArray(spec.amenities) ? spec.amenities : [],
+            totalRooms: rooms.length,
+            totalBeds: rooms.reduce((sum, room) => sum + room.totalBeds, 0),
+            rooms
+        });
+    }
+
+    const totals = {
+        newFloors: floors.filter((floor) => floor.isNew).length,
+        existingFloors: floors.filter((floor) => !floor.isNew).length,
+        rooms: floors.reduce((sum, floor) => sum + floor.totalRooms, 0),
+        beds: floors.reduce((sum, floor) => sum + floor.totalBeds, 0)
+    };
+
+    if (totals.rooms > MAX_LAYOUT_ROOMS || totals.beds > MAX_LAYOUT_BEDS) {
+        errors.push(`A layout can create at most ${MAX_LAYOUT_ROOMS} rooms and ${MAX_LAYOUT_BEDS} beds at once`);
+    }
+    if (!errors.length && totals.rooms === 0 && totals.newFloors === 0) {
+        errors.push('The layout does not add any floors or rooms');
+    }
+
+    return { floors, totals, conflicts, errors };
+};
+
+/**
+ * Build a planned layout inside one transaction
+ *
+ * @param {Number} hostelId
+ * @param {Object} layout - Declarative layout (see file header)
+ * @returns {Object} The plan plus the created floor and room ids
+ */
+const applyHostelLayout = async (hostelId, layout) => {
+    return prisma.$transaction(async (tx) => {
+        // Plan again inside the transaction so rooms added meanwhile are caught
+        const plan = await planHostelLayout(hostelId, layout, tx);
+        if (plan.errors.length || plan.conflicts.length) {
+            const roomNumbers = [...new Set(plan.conflicts.map((conflict) => conflict.roomNumber))];
+            const error = new Error(plan.errors[0] || `Layout conflicts with rooms ${roomNumbers.slice(0, 10).join(', ')}${roomNumbers.length > 10 ? '...' : ''}; run a dry run to see all conflicts`);
+            error.plan = plan;
+            throw error;
+        }
+
+        for (const floor of plan.floors) {
+            if (floor.isNew) {
+                const created = await tx.floor.create({
+                    data: {
+                        hostelId,
+                        floorNumber: floor.floorNumber,
+                        floorName: floor.floorName,
+                        description: floor.description,
+                        amenities: floor.amenities
+                    }
+                });
+                floor.floorId = created.id;
+            }
+
+            for (const room of floor.rooms) {
+                const createdRoom = await tx.room.create({
+                    data: {
+                        hostelId,
+                        floorId: floor.floorId,
+                        roomNumber: room.roomNumber,
+                        roomType: room.roomType,
+                        totalBeds: room.totalBeds,
+                        pricePerBed: room.pricePerBed,
+                        amenities: room.amenities,
+                        hasAttachedBathroom: room.hasAttachedBathroom,
+                        furnishing: room.furnishing,
+                        notes: room.notes
+                    },
+                    select: { id: true }
+                });
+                room.roomId = createdRoom.id;
+
+                await tx.bed.createMany({
+                    data: room.beds.map((bed) => ({
+                        roomId: createdRoom.id,
+                        bedNumber: bed.bedNumber,
+                        bedType: bed.bedType
+                    }))
+                });
+            }
+
+            if (floor.totalRooms) {
+                await tx.floor.update({
+                    where: { id: floor.floorId },
+                    data: {
+                        totalRooms: { increment: floor.totalRooms },
+                        totalBeds: { increment: floor.totalBeds }
+                    }
+                });
+            }
+        }
+
+        await tx.hostel.update({
+            where: { id: hostelId },
+            data: {
+                totalFloors: { increment: plan.totals.newFloors },
+                totalRooms: { increment: plan.totals.rooms },
+                totalBeds: { increment: plan.totals.beds }
+            }
+        });
+
+        return plan;
+    }, { timeout: 60000 });
+};
+
+/**
+ * Export a hostel's active floors, rooms and beds as a layout that
+ * applyHostelLayout can build into another hostel
+ *
+ * @param {Number} hostelId
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Layout with one explicit entry per room
+ */
+const exportHostelLayout = async (hostelId, client = prisma) => {
+    const floors = await client.floor.findMany({
+        where: { hostelId, status: 'active' },
+        select: {
+            floorNumber: true,
+            floorName: true,
+            description: true,
+            amenities: true,
+            rooms: {
+                select: {
+                    roomNumber: true,
+                    roomType: true,
+                    totalBeds: true,
+                    pricePerBed: true,
+                    amenities: true,
+                    hasAttachedBathroom: true,
+                    furnishing: true,
+                    beds: {
+                        select: { bedNumber: true, bedType: true },
+                        orderBy: { bedNumber: 'asc' }
+                    }
+                },
+                orderBy: { roomNumber: 'asc' }
+            }
+        },
+        orderBy: { floorNumber: 'asc' }
+    });
+
+    return {
+        floors: floors.map((floor) => ({
+            floorNumber: floor.floorNumber,
+            floorName: floor.floorName,
+            description: floor.description,
+            amenities: Array.isArray(floor.amenities) ? floor.amenities : [],
+            rooms: floor.rooms.map((room) => {
+                const entry = {
+                    roomNumber: room.roomNumber,
+                    roomType: room.roomType,
+                    pricePerBed: room.pricePerBed,
+                    amenities: Array.isArray(room.amenities) ? room.amenities : [],
+                    hasAttachedBathroom: room.hasAttachedBathroom,
+                    furnishing: room.furnishing
+                };
+                // A room without bed rows yet keeps its capacity
+                if (room.beds.length) {
+                    entry.beds = room.beds;
+                } else {
+                    entry.bedsPerRoom = room.totalBeds;
+                }
+                return entry;
+            })
+        }))
+    };
+};
+
+module.exports = {
+    planHostelLayout,
+    applyHostelLayout,
+    exportHostelLayout
+};
@@ -0,0 +1,269 @@
+/**
+ * ======================================
+ * LATE FEE HELPER
+ * ======================================
+ *
+ * Finds rent charges that are still unpaid after their grace period,
+ * marks them overdue and, for tenants with Tenant.lateFeesFine = "Yes",
+ * raises a penalty line of Tenant.lateFeesPercentage of the charge.
+ *
+ * A penalty line is a pending Payment with paymentType "late_fee", so it
+ * shows up in receivables and tenant dues like any other charge. The LateFee
+ * row links it to the charge it was raised on and records waivers/reversals.
+ * At most one late fee is raised per charge. Penalties and their waivers
+ * are posted to the tenant ledger.
+ *
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * late_fee_grace_days - Days after the due date before a charge is late (default: 5)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount } = require('../utils/normalize');
+const {
+    postLedgerEntry,
+    settleOpenCharges,
+    refreshAllocationPaymentStatus,
+    syncTenantBalances
+} = require('./ledger.helper');
+const { syncChargeJournal } = require('./general-ledger.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 5;
+
+const LATE_FEE_CHARGE_TYPES = ['rent'];
+const UNPAID_CHARGE_STATUSES = ['pending', 'partial', 'overdue'];
+
+const isLateFeeEnabled = (tenant) =>
+    typeof tenant?.lateFeesFine === 'string' && tenant.lateFeesFine.trim().toLowerCase() === 'yes';
+
+/**
+ * ASSESS LATE FEES
+ * ================
+ * @param {Object} options
+ * @param {Date} options.asOf - Assessment date (default: now)
+ * @param {Number} options.hostelId - Limit to one hostel (optional)
+ * @param {Object} options.hostelScope - Hostel relation filter for scoped users (optional)
+ * @param {Boolean} options.dryRun - Only report what would change
+ * @returns {Object} { asOf, graceDays, markedOverdue, lateFees, totalLateFees }
+ */
+const assessLateFees = async ({ asOf = new Date(), hostelId = null, hostelScope = {}, dryRun = false } = {}) => {
+    const assessedAt = new Date(asOf);
+    if (Number.isNaN(assessedAt.getTime())) {
+        throw new Error('Invalid assessment date');
+    }
+
+    const graceDays = Math.max(Math.floor(await getNumericSetting('late_fee_grace_days', DEFAULT_GRACE_DAYS)), 0);
+    const cutoff = new Date(assessedAt.getTime() - graceDays * DAY_MS);
+
+    const where = {
+        paymentType: { in: LATE_FEE_CHARGE_TYPES },
+        status: { in: UNPAID_CHARGE_STATUSES },
+        dueDate: { lt: cutoff }
+    };
+
+    if (hostelId) {
+        where.hostelId = hostelId;
+    } else if (Object.keys(hostelScope).length) {
+        where.hostel = hostelScope;
+    }
+
+    const charges = await prisma.payment.findMany({
+        where,
+        include: {
+            tenant: { select: { id: true, name: true, lateFeesFine: true, lateFeesPercentage: true } },
+            lateFees: { select: { id: true } }
+        },
+        orderBy: { dueDate: 'asc' }
+    });
+
+    const markedOverdue = [];
+    const lateFees = [];
+
+    for (const charge of charges) {
+        const daysLate = Math.floor((assessedAt - charge.dueDate) / DAY_MS);
+        const percentage = Number(charge.tenant?.lateFeesPercentage) || 0;
+        const shouldCharge = charge.tenantId
+            && isLateFeeEnabled(charge.tenant)
+            && percentage > 0
+            && charge.lateFees.length === 0;
+        const penaltyAmount = shouldCharge ? roundAmount((charge.amount * percentage) / 100) : 0;
+
+        if (charge.status !== 'overdue') {
+            markedOverdue.push({ chargeId: charge.id, tenantId: charge.tenantId, forMonth: charge.forMonth, daysLate });
+        }
+
+        if (penaltyAmount > 0) {
+            lateFees.push({
+                chargeId: charge.id,
+                tenantId: charge.tenantId,
+                tenantName: charge.tenant?.name || null,
+                forMonth: charge.forMonth,
+                chargeAmount: charge.amount,
+                percentage,
+                daysLate,
+                amount: penaltyAmount
+            });
+        }
+
+        if (dryRun || (charge.status === 'overdue' && penaltyAmount <= 0)) {
+            continue;
+        }
+
+        await prisma.$transaction(async (tx) => {
+            if (charge.status !== 'overdue') {
+                await tx.payment.update({
+                    where: { id: charge.id },
+                    data: { status: 'overdue' }
+                });
+
+                if (charge.allocationId) {
+                    await tx.allocation.update({
+                        where: { id: charge.allocationId },
+                        data: { paymentStatus: 'overdue' }
+                    });
+                }
+            }
+
+            if (penaltyAmount <= 0) return;
+
+            const penalty = await tx.payment.create({
+                data: {
+                    tenantId: charge.tenantId,
+                    allocationId: charge.allocationId,
+                    hostelId: charge.hostelId,
+                    amount: penaltyAmount,
+                    paymentType: 'late_fee',
+                    paymentMethod: null,
+                    paymentDate: null,
+                    forMonth: charge.forMonth,
+                    dueDate: assessedAt,
+                    status: 'pending',
+                    remarks: `Late fee ${percentage}% on ${charge.forMonth || 'charge'} #${charge.id} (${daysLate} days late)`
+                }
+            });
+
+            await tx.lateFee.create({
+                data: {
+                    tenantId: charge.tenantId,
+                    hostelId: charge.hostelId,
+                    chargeId: charge.id,
+                    penaltyPaymentId: penalty.id,
+                    amount: penaltyAmount,
+                    percentage,
+                    daysLate,
+                    graceDays
+                }
+            });
+
+            await postLedgerEntry(tx, {
+                tenantId: charge.tenantId,
+                hostelId: charge.hostelId,
+                allocationId: charge.allocationId,
+                paymentId: penalty.id,
+                entryType: 'charge',
+                amount: penaltyAmount,
+                description: penalty.remarks,
+                entryDate: assessedAt
+            });
+            await syncChargeJournal(tx, penalty.id);
+
+            await settleOpenCharges(tx, charge.tenantId);
+            await syncTenantBalances(tx, charge.tenantId);
+        });
+    }
+
+    return {
+        asOf: assessedAt,
+        graceDays,
+        dryRun,
+        markedOverdue,
+        lateFees,
+        totalLateFees: roundAmount(lateFees.reduce((sum, fee) => sum + fee.amount, 0))
+    };
+};
+
+/**
+ * RESOLVE LATE FEE (waive or reverse)
+ * ===================================
+ * Cancels the penalty line and takes it off the tenant's dues.
+ * "waived" forgives a valid fee, "reversed" undoes a fee raised in error.
+ *
+ * @param {Number} lateFeeId
+ * @param {Object} options
+ * @param {String} options.status - "waived" | "reversed"
+ * @param {Number} options.userId - Acting user
+ * @param {String} options.reason - Why the fee was cancelled
+ * @returns {Object} Updated LateFee
+ */
+const resolveLateFee = async (lateFeeId, { status, userId, reason }) => {
+    if (!['waived', 'reversed'].includes(status)) {
+        throw new Error('Late fee can only be waived or reversed');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const lateFee = await tx.lateFee.findUnique({
+            where: { id: lateFeeId },
+            include: { penalty: true }
+        });
+
+        if (!lateFee) {
+            throw new Error('Late fee not found');
+        }
+
+        if (lateFee.status !== 'applied') {
+            throw new Error(`Late fee is already ${lateFee.status}`);
+        }
+
+        if (lateFee.penalty.status === 'paid') {
+            throw new Error('Late fee has already been paid and must be refunded instead');
+        }
+
+        await tx.payment.update({
+            where: { id: lateFee.penaltyPaymentId },
+            data: {
+                status: 'waived',
+                remarks: `${lateFee.penalty.remarks || 'Late fee'} - ${status}${reason ? `: ${reason}` : ''}`
+            }
+        });
+
+        // Only the unsettled part comes off; anything already paid stays paid
+        const unpaid = roundAmount(lateFee.penalty.amount - (lateFee.penalty.amountPaid || 0));
+        if (unpaid > 0) {
+            await postLedgerEntry(tx, {
+                tenantId: lateFee.tenantId,
+                hostelId: lateFee.hostelId,
+                allocationId: lateFee.penalty.allocationId,
+                paymentId: lateFee.penaltyPaymentId,
+                entryType: 'adjustment',
+                amount: -unpaid,
+                description: `Late fee ${status}${reason ? `: ${reason}` : ''}`,
+                createdBy: userId
+            });
+        }
+        // The waived charge comes off the revenue it was booked to
+        await syncChargeJournal(tx, lateFee.penaltyPaymentId, { createdBy: userId || null });
+
+        await refreshAllocationPaymentStatus(tx, lateFee.penalty.allocationId);
+        await syncTenantBalances(tx, lateFee.tenantId);
+
+        return tx.lateFee.update({
+            where: { id: lateFeeId },
+            data: {
+                status,
+                resolvedBy: userId || null,
+                resolvedAt: new Date(),
+                resolutionReason: reason || null
+            },
+            include: {
+                resolver: { select: { id: true, username: true, email: true } }
+            }
+        });
+    });
+};
+
+module.exports = {
+    assessLateFees,
+    resolveLateFee
+};
@@ -0,0 +1,224 @@
+/**
+ * ======================================
+ * TENANT LEDGER HELPER
+ * ======================================
+ *
+ * Every change to what a tenant owes is posted as a TenantLedgerEntry:
+ *
+ *   charge      (+) rent invoices, late fees and other billed charges
+ *   payment     (-) money received against the tenant's dues
+ *   adjustment  (+/-) waivers, reversals, refunds and manual corrections
+ *   credit      (-) prepaid amounts brought forward (e.g. booking advances)
+ *
+ * The running sum is the tenant's balance: positive means money is owed,
+ * negative means the tenant holds advance credit. Tenant.totalDue and
+ * Tenant.totalPaid are derived from the ledger by syncTenantBalances() and
+ * must not be incremented by hand.
+ *
+ * Charges are Payment rows with a dueDate; Payment.amountPaid tracks how much
+ * of each has been settled. Incoming money and credit are applied to the oldest open
+ * charges first. Security deposits are held separately and never posted here.
+ *
+ * All functions take a Prisma transaction client so they can run inside
+ * the caller's $transaction.
+ */
+
+const { roundAmount } = require('../utils/normalize');
+
+const OPEN_CHARGE_STATUSES = ['pending', 'partial', 'overdue'];
+const LEDGER_ENTRY_TYPES = ['charge', 'payment', 'adjustment', 'credit'];
+
+/**
+ * Post a single ledger entry
+ */
+const postLedgerEntry = (tx, { tenantId, hostelId, allocationId, paymentId, entryType, amount, description, reference, entryDate, createdBy }) => {
+    return tx.tenantLedgerEntry.create({
+        data: {
+            tenantId,
+            hostelId: hostelId || null,
+            allocationId: allocationId || null,
+            paymentId: paymentId || null,
+            entryType,
+            amount: roundAmount(amount),
+            description: description || null,
+            reference: reference || null,
+            entryDate: entryDate ? new Date(entryDate) : new Date(),
+            createdBy: createdBy || null
+        }
+    });
+};
+
+/**
+ * Sum the ledger by entry type
+ * @returns {Object} { charge, payment, adjustment, credit, balance }
+ */
+const getLedgerTotals = async (tx, tenantId) => {
+    const groups = await tx.tenantLedgerEntry.groupBy({
+        by: ['entryType'],
+        where: { tenantId },
+        _sum: { amount: true }
+    });
+
+    const totals = LEDGER_ENTRY_TYPES.reduce((acc, type) => {
+        const group = groups.find((g) => g.entryType === type);
+        acc[type] = roundAmount(group?._sum.amount || 0);
+        return acc;
+    }, {});
+
+    totals.balance = roundAmount(totals.charge + totals.payment + totals.adjustment + totals.credit);
+    return totals;
+};
+
+/**
+ * Credit that has been posted but not yet applied to any charge
+ */
+const getAvailableCredit = async (tx, tenantId) => {
+    const [totals, openCharges] = await Promise.all([
+        getLedgerTotals(tx, tenantId),
+        tx.payment.findMany({
+            where: { tenantId, status: { in: OPEN_CHARGE_STATUSES }, dueDate: { not: null } },
+            select: { amount: true, amountPaid: true }
+        })
+    ]);
+
+    const outstanding = openCharges.reduce(
+        (sum, charge) => sum + Math.max((charge.amount || 0) - (charge.amountPaid || 0), 0),
+        0
+    );
+
+    return Math.max(roundAmount(outstanding - totals.balance), 0);
+};
+
+/**
+ * Apply an amount to the tenant's open charges, oldest due date first
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options
+ * @param {Number} options.tenantId
+ * @param {Number} options.amount - Amount available to apply
+ * @param {Object} options.settlement - Payment details copied onto charges (paymentMethod, paymentDate, collectedBy, transactionId)
+ * @returns {Object} { applications: [{ chargeId, allocationId, hostelId, applied, status }], remaining }
+ */
+const applyToOpenCharges = async (tx, { tenantId, amount, settlement = null }) => {
+    let remaining = roundAmount(amount);
+    const applications = [];
+
+    if (remaining <= 0) {
+        return { applications, remaining: 0 };
+    }
+
+    const charges = await tx.payment.findMany({
+        where: { tenantId, status: { in: OPEN_CHARGE_STATUSES }, dueDate: { not: null } },
+        orderBy: [{ dueDate: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    for (const charge of charges) {
+        if (remaining <= 0) break;
+
+        const outstanding = roundAmount((charge.amount || 0) - (charge.amountPaid || 0));
+        if (outstanding <= 0) continue;
+
+        const applied = Math.min(remaining, outstanding);
+        const amountPaid = roundAmount((charge.amountPaid || 0) + applied);
+        const fullyPaid = amountPaid >= roundAmount(charge.amount);
+        const status = fullyPaid ? 'paid' : (charge.status === 'overdue' ? 'overdue' : 'partial');
+
+        const data = { amountPaid, status };
+        if (settlement) {
+            if (settlement.paymentMethod) data.paymentMethod = settlement.paymentMethod;
+            if (settlement.collectedBy) data.collectedBy = settlement.collectedBy;
+            if (settlement.transactionId && !charge.transactionId) data.transactionId = settlement.transactionId;
+            data.paymentDate = settlement.paymentDate || new Date();
+        }
+
+        await tx.payment.update({ where: { id: charge.id }, data });
+
+        applications.push({
+            chargeId: charge.id,
+            allocationId: charge.allocationId,
+            hostelId: charge.hostelId,
+            paymentType: charge.paymentType,
+            forMonth: charge.forMonth,
+            applied: roundAmount(applied),
+            status
+        });
+
+        remaining = roundAmount(remaining - applied);
+    }
+
+    return { applications, remaining };
+};
+
+/**
+ * Apply any unapplied credit (advance payments, credits, negative adjustments)
+ * to open charges. Call after posting a new charge or credit.
+ */
+const settleOpenCharges = async (tx, tenantId) => {
+    const credit = await getAvailableCredit(tx, tenantId);
+    if (credit <= 0) {
+        return { applications: [], remaining: 0 };
+    }
+    return applyToOpenCharges(tx, { tenantId, amount: credit });
+};
+
+/**
+ * Recompute Allocation.paymentStatus from its charges
+ */
+const refreshAllocationPaymentStatus = async (tx, allocationId) => {
+    if (!allocationId) return null;
+
+    const openCharges = await tx.payment.findMany({
+        where: { allocationId, status: { in: OPEN_CHARGE_STATUSES }, dueDate: { not: null } },
+        select: { status: true, amountPaid: true }
+    });
+
+    let paymentStatus = 'paid';
+    if (openCharges.some((c) => c.status === 'overdue')) {
+        paymentStatus = 'overdue';
+    } else if (openCharges.some((c) => c.status === 'partial' || (c.amountPaid || 0) > 0)) {
+        paymentStatus = 'partial';
+    } else if (openCharges.length) {
+        paymentStatus = 'pending';
+    }
+
+    await tx.allocation.update({
+        where: { id: allocationId },
+        data: { paymentStatus }
+    });
+
+    return paymentStatus;
+};
+
+/**
+ * Derive Tenant.totalDue and Tenant.totalPaid from the ledger
+ * @returns {Object} { balance, totalDue, totalPaid, advanceCredit }
+ */
+const syncTenantBalances = async (tx, tenantId) => {
+    const totals = await getLedgerTotals(tx, tenantId);
+    const totalDue = Math.max(totals.balance, 0);
+    const totalPaid = roundAmount(-(totals.payment + totals.credit));
+
+    await tx.tenant.update({
+        where: { id: tenantId },
+        data: { totalDue, totalPaid }
+    });
+
+    return {
+        balance: totals.balance,
+        totalDue,
+        totalPaid,
+        advanceCredit: Math.max(-totals.balance, 0)
+    };
+};
+
+module.exports = {
+    OPEN_CHARGE_STATUSES,
+    LEDGER_ENTRY_TYPES,
+    postLedgerEntry,
+    getLedgerTotals,
+    getAvailableCredit,
+    applyToOpenCharges,
+    settleOpenCharges,
+    refreshAllocationPaymentStatus,
+    syncTenantBalances
+};
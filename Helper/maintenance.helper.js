@@ -0,0 +1,320 @@
+/**
+ * ======================================
+ * MAINTENANCE WORK ORDER HELPER
+ * ======================================
+ *
+ * A work order covers a room, or one bed in it. Opening an order takes its
+ * unit out of service:
+ *
+ * - Bed order: an available bed goes "under_maintenance". An occupied or
+ *   reserved bed keeps its status (the work is done around the tenant) and
+ *   the order does not hold it.
+ * - Room order: the room goes "under_maintenance", so its free beds cannot
+ *   be booked; occupied beds stay occupied.
+ *
+ * holdsUnit records whether the order took its unit out of service. When a
+ * holding order is completed or cancelled the unit is released, unless
+ * another open order still holds it: a bed goes back to "available" and a
+ * room to "reserved" / "occupied" / "vacant" from its beds. Released beds
+ * are offered to the waitlist.
+ *
+ * Status flow:
+ *   open -> assigned -> in_progress -> completed
+ *   on_hold from any open status; cancelled from any open status
+ *   completed -> in_progress reopens a job that was not fixed (a note is required)
+ * Completing an order raised from an Alert resolves that alert; reopening
+ * the order reopens the alert. Reopening does not take the unit out of
+ * service again. reopenCount feeds the vendor scorecard.
+ */
+
+const { prisma } = require('../config/db');
+const { roundAmount } = require('../utils/normalize');
+const { offerFreedBedSafely } = require('./waitlist.helper');
+const { recordAlertActivity } = require('./alert-activity.helper');
+const { createWithSequenceNumber } = require('./sequence.helper');
+
+const WORK_ORDER_STATUSES = ['open', 'assigned', 'in_progress', 'on_hold', 'completed', 'cancelled'];
+const OPEN_WORK_ORDER_STATUSES = ['open', 'assigned', 'in_progress', 'on_hold'];
+const PHOTO_STAGES = ['before', 'during', 'after'];
+
+const STATUS_TRANSITIONS = {
+    open: ['assigned', 'in_progress', 'on_hold', 'cancelled'],
+    assigned: ['open', 'in_progress', 'on_hold', 'cancelled'],
+    in_progress: ['on_hold', 'completed', 'cancelled'],
+    on_hold: ['open', 'assigned', 'in_progress', 'cancelled'],
+    completed: ['in_progress'],
+    cancelled: []
+};
+
+/**
+ * Price parts and labour lines and total them
+ *
+ * @param {Array} parts - [{ name, quantity, unitCost }]
+ * @param {Array} labour - [{ description, hours, rate }] or [{ description, amount }]
+ * @returns {Object} { parts, labour, partsCost, labourCost, totalCost } or { error }
+ */
+const computeWorkOrderCosts = (parts = [], labour = []) => {
+    if (!Array.isArray(parts) || !Array.isArray(labour)) {
+        return { error: 'parts and labour must be lists' };
+    }
+
+    const pricedParts = [];
+    for (const part of parts) {
+        const quantity = Number(part?.quantity ?? 1);
+        const unitCost = Number(part?.unitCost);
+        if (!part?.name || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitCost) || unitCost < 0) {
+            return { error: 'Each part needs a name, a quantity above zero and a unitCost of zero or more' };
+        }
+        pricedParts.push({ name: String(part.name), quantity, unitCost, total: roundAmount(quantity * unitCost) });
+    }
+
+    const pricedLabour = [];
+    for (const line of labour) {
+        const hours = line?.hours === undefined ? null : Number(line.hours);
+        const rate = line?.rate === undefined ? null : Number(line.rate);
+        const amount = hours !== null && rate !== null ? hours * rate : Number(line?.amount);
+        if (!Number.isFinite(amount) || amount < 0 || (hours !== null && hours < 0) || (rate !== null && rate < 0)) {
+            return { error: 'Each labour line needs hours and rate, or an amount, of zero or more' };
+        }
+        pricedLabour.push({
+            description: line.description ? String(line.description) : null,
+            hours,
+            rate,
+            total: roundAmount(amount)
+        });
+    }
+
+    const partsCost = roundAmount(pricedParts.reduce((sum, part) => sum + part.total, 0));
+    const labourCost = roundAmount(pricedLabour.reduce((sum, line) => sum + line.total, 0));
+
+    return {
+        parts: pricedParts,
+        labour: pricedLabour,
+        partsCost,
+        labourCost,
+        totalCost: roundAmount(partsCost + labourCost)
+    };
+};
+
+/**
+ * Take a work order's unit out of service
+ * @returns {Boolean} Whether the order holds the unit
+ */
+const holdUnit = async (tx, { roomId, bedId }) => {
+    if (bedId) {
+        const held = await tx.bed.updateMany({
+            where: { id: bedId, status: { in: ['available', 'under_maintenance'] } },
+            data: { status: 'under_maintenance' }
+        });
+        return held.count > 0;
+    }
+
+    await tx.room.update({
+        where: { id: roomId },
+        data: { status: 'under_maintenance' }
+    });
+    return true;
+};
+
+/**
+ * Put a unit back in service once no other open order holds it
+ * @returns {Number[]} Beds that became available
+ */
+const releaseUnit = async (tx, order) => {
+    const otherHolds = await tx.maintenanceWorkOrder.count({
+        where: {
+            id: { not: order.id },
+            holdsUnit: true,
+            status: { in: OPEN_WORK_ORDER_STATUSES },
+            roomId: order.roomId,
+            bedId: order.bedId || null
+        }
+    });
+    if (otherHolds) {
+        return [];
+    }
+
+    if (order.bedId) {
+        const released = await tx.bed.updateMany({
+            where: { id: order.bedId, status: 'under_maintenance' },
+            data: { status: 'available' }
+        });
+        return released.count ? [order.bedId] : [];
+    }
+
+    const room = await tx.room.findUnique({
+        where: { id: order.roomId },
+        select: { status: true, occupiedBeds: true, beds: { select: { id: true, status: true } } }
+    });
+    if (!room || room.status !== 'under_maintenance') {
+        return [];
+    }
+
+    const reservedBeds = room.beds.filter((bed) => bed.status === 'reserved').length;
+    await tx.room.update({
+        where: { id: order.roomId },
+        data: { status: reservedBeds ? 'reserved' : (room.occupiedBeds > 0 ? 'occupied' : 'vacant') }
+    });
+
+    return room.beds.filter((bed) => bed.status === 'available').map((bed) => bed.id);
+};
+
+const historyEntry = (from, to, userId, note) => ({
+    from,
+    to,
+    at: new Date().toISOString(),
+    by: userId || null,
+    note: note || null
+});
+
+/**
+ * Open a work order and take its unit out of service
+ *
+ * @param {Object} data - hostelId, roomId, bedId, alertId, title, description, category,
+ *                        priority, scheduledFor, expectedCompletionDate, notes,
+ *                        assignedEmployeeId, assignedVendorId
+ * @param {Object} options
+ * @param {Number} options.userId - User opening the order
+ * @returns {Object} MaintenanceWorkOrder
+ */
+const openWorkOrder = async (data, { userId = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const isAssigned = Boolean(data.assignedEmployeeId || data.assignedVendorId);
+        const status = isAssigned ? 'assigned' : 'open';
+        const holdsUnit = await holdUnit(tx, { roomId: data.roomId, bedId: data.bedId || null });
+
+        // Numbered "WO25100001" per month
+        return createWithSequenceNumber(tx.maintenanceWorkOrder, 'workOrderNumber', 'WO', {
+            data: {
+                ...data,
+                status,
+                holdsUnit,
+                assignedAt: isAssigned ? new Date() : null,
+                statusHistory: [historyEntry(null, status, userId, holdsUnit ? 'Unit put under maintenance' : null)],
+                createdBy: userId
+            }
+        });
+    });
+};
+
+/**
+ * Move a work order to another status
+ *
+ * @param {Number} workOrderId
+ * @param {String} toStatus
+ * @param {Object} options
+ * @param {Number} options.userId
+ * @param {String} options.note - Kept on the status history
+ * @param {String} options.resolution - What was done (completion)
+ * @returns {Object} { workOrder, releasedBedIds }
+ */
+const changeWorkOrderStatus = async (workOrderId, toStatus, { userId = null, note = null, resolution = null } = {}) => {
+    if (!WORK_ORDER_STATUSES.includes(toStatus)) {
+        throw new Error(`status must be one of: ${WORK_ORDER_STATUSES.join(', ')}`);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+        const order = await tx.maintenanceWorkOrder.findUnique({ where: { id: workOrderId } });
+        if (!order) {
+            throw new Error('Work order not found');
+        }
+        if (!STATUS_TRANSITIONS[order.status].includes(toStatus)) {
+            throw new Error(`A work order cannot move from ${order.status} to ${toStatus}`);
+        }
+        if (toStatus === 'assigned' && !order.assignedEmployeeId && !order.assignedVendorId) {
+            throw new Error('Assign an employee or vendor first');
+        }
+        const isReopening = order.status === 'completed';
+        if (isReopening && !note) {
+            throw new Error('Give a note on why the work order is reopened');
+        }
+
+        const now = new Date();
+        const data = {
+            status: toStatus,
+            statusHistory: [...(Array.isArray(order.statusHistory) ? order.statusHistory : []), historyEntry(order.status, toStatus, userId, note)]
+        };
+        if (toStatus === 'in_progress' && !order.startedAt) data.startedAt = now;
+        if (toStatus === 'completed') {
+            data.completedAt = now;
+            data.completedBy = userId;
+            if (resolution) data.resolution = resolution;
+        }
+        if (toStatus === 'cancelled') data.cancelledAt = now;
+        if (isReopening) {
+            data.completedAt = null;
+            data.completedBy = null;
+            data.reopenCount = { increment: 1 };
+            data.lastReopenedAt = now;
+        }
+
+        // Claim the transition so a concurrent change cannot apply twice
+        const claimed = await tx.maintenanceWorkOrder.updateMany({
+            where: { id: workOrderId, status: order.status },
+            data
+        });
+        if (!claimed.count) {
+            throw new Error('The work order was changed by someone else; please retry');
+        }
+
+        let releasedBedIds = [];
+        const isClosing = toStatus === 'completed' || toStatus === 'cancelled';
+        if (isClosing && order.holdsUnit) {
+            releasedBedIds = await releaseUnit(tx, order);
+        }
+
+        if (toStatus === 'completed' && order.alertId) {
+            const alert = await tx.alert.findUnique({ where: { id: order.alertId }, select: { status: true } });
+            const resolved = await tx.alert.updateMany({
+                where: { id: order.alertId, status: { in: ['pending', 'in_progress'] } },
+                data: { status: 'resolved', resolvedBy: userId, resolvedAt: now }
+            });
+            if (resolved.count) {
+                await recordAlertActivity({
+                    alertId: order.alertId,
+                    type: 'status_change',
+                    fromValue: alert.status,
+                    toValue: 'resolved',
+                    message: `Work order ${order.workOrderNumber} completed`,
+                    createdBy: userId
+                }, tx);
+            }
+        }
+
+        if (isReopening && order.alertId) {
+            const reopened = await tx.alert.updateMany({
+                where: { id: order.alertId, status: 'resolved' },
+                data: { status: 'in_progress', resolvedBy: null, resolvedAt: null }
+            });
+            if (reopened.count) {
+                await recordAlertActivity({
+                    alertId: order.alertId,
+                    type: 'status_change',
+                    fromValue: 'resolved',
+                    toValue: 'in_progress',
+                    message: `Work order ${order.workOrderNumber} reopened: ${note}`,
+                    createdBy: userId
+                }, tx);
+            }
+        }
+
+        const workOrder = await tx.maintenanceWorkOrder.findUnique({ where: { id: workOrderId } });
+        return { workOrder, releasedBedIds };
+    });
+
+    for (const bedId of result.releasedBedIds) {
+        await offerFreedBedSafely(bedId, { userId });
+    }
+
+    return result;
+};
+
+module.exports = {
+    WORK_ORDER_STATUSES,
+    OPEN_WORK_ORDER_STATUSES,
+    PHOTO_STAGES,
+    STATUS_TRANSITIONS,
+    computeWorkOrderCosts,
+    openWorkOrder,
+    changeWorkOrderStatus
+};
@@ -0,0 +1,387 @@
+/**
+ * ======================================
+ * OCCUPANCY RECONCILIATION HELPER
+ * ======================================
+ *
+ * Room, Floor and Hostel occupiedBeds are kept with increment / decrement
+ * across allocation, transfer and checkout, so a path that fails partway
+ * leaves them wrong. This helper recomputes them from active Allocation
+ * rows and reports what disagrees:
+ *
+ * - counter_mismatch             occupiedBeds / totalRooms / totalBeds / totalFloors
+ *                                differ from the rooms, beds and allocations
+ * - room_status_mismatch         Room.status does not follow from its beds
+ * - bed_occupied_without_allocation  Bed is "occupied" with no active allocation
+ * - bed_not_marked_occupied      Bed has an active allocation but another status
+ * - allocation_location_mismatch Allocation roomId / floorId / hostelId differ
+ *                                from where its bed actually is
+ * - multiple_active_allocations  More than one active allocation on one bed
+ * - tenant_multiple_active_allocations  More than one active allocation for one tenant
+ *
+ * A bed counts as occupied when it has at least one active allocation.
+ * Issues marked repairable are fixed by reconcileHostelOccupancy with
+ * { repair: true }; the others need someone to decide which allocation is
+ * right. Rooms under maintenance keep their status.
+ *
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * occupancy_auto_repair - 1 to let the occupancy_check job repair what it finds (default: 0)
+ */
+
+const { prisma } = require('../config/db');
+
+/**
+ * Status a room should have given its occupied and reserved beds
+ */
+const expectedRoomStatus = (room, occupiedBeds, reservedBeds) => {
+    if (room.status === 'under_maintenance') return 'under_maintenance';
+    if (room.status === 'reserved' && reservedBeds > 0) return 'reserved';
+    return occupiedBeds > 0 ? 'occupied' : 'vacant';
+};
+
+/**
+ * Compare a hostel's stored occupancy with its allocations
+ *
+ * @param {Number} hostelId
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} { hostel, issues, repairs } - repairs are the updates
+ *          that bring the stored values in line
+ */
+const inspectHostelOccupancy = async (hostelId, client = prisma) => {
+    const hostel = await client.hostel.findUnique({
+        where: { id: hostelId },
+        select: {
+            id: true,
+            name: true,
+            totalFloors: true,
+            totalRooms: true,
+            totalBeds: true,
+            occupiedBeds: true
+        }
+    });
+    if (!hostel) {
+        throw new Error('Hostel not found');
+    }
+
+    const [floors, rooms] = await Promise.all([
+        client.floor.findMany({
+            where: { hostelId },
+            select: { id: true, floorNumber: true, totalRooms: true, totalBeds: true, occupiedBeds: true }
+        }),
+        client.room.findMany({
+            where: { hostelId },
+            select: {
+                id: true,
+                floorId: true,
+                roomNumber: true,
+                status: true,
+                totalBeds: true,
+                occupiedBeds: true,
+                beds: { select: { id: true, bedNumber: true, status: true } }
+            }
+        })
+    ]);
+
+    const roomIds = rooms.map((room) => room.id);
+    // Allocations filed under this hostel or sitting on one of its beds
+    const allocations = await client.allocation.findMany({
+        where: {
+            status: 'active',
+            OR: [{ hostelId }, { bed: { roomId: { in: roomIds } } }]
+        },
+        select: {
+            id: true,
+            hostelId: true,
+            floorId: true,
+            roomId: true,
+            bedId: true,
+            tenantId: true,
+            bed: { select: { roomId: true, room: { select: { floorId: true, hostelId: true } } } }
+        }
+    });
+
+    const issues = [];
+    const repairs = { allocations: [], beds: [], rooms: [], floors: [], hostel: null };
+
+    // Allocations
+    const allocationsByBed = new Map();
+    const allocationsByTenant = new Map();
+    allocations.forEach((allocation) => {
+        const actual = {
+            roomId: allocation.bed.roomId,
+            floorId: allocation.bed.room.floorId,
+            hostelId: allocation.bed.room.hostelId
+        };
+
+        if (actual.hostelId !== allocation.hostelId) {
+            issues.push({
+                type: 'allocation_location_mismatch',
+                allocationId: allocation.id,
+                bedId: allocation.bedId,
+                message: `Allocation #${allocation.id} is filed under hostel #${allocation.hostelId} but its bed is in hostel #${actual.hostelId}`,
+                repairable: false
+            });
+        } else if (actual.roomId !== allocation.roomId || actual.floorId !== allocation.floorId) {
+            issues.push({
+                type: 'allocation_location_mismatch',
+                allocationId: allocation.id,
+                bedId: allocation.bedId,
+                stored: { roomId: allocation.roomId, floorId: allocation.floorId },
+                expected: { roomId: actual.roomId, floorId: actual.floorId },
+                message: `Allocation #${allocation.id} points at room #${allocation.roomId} / floor #${allocation.floorId} but its bed is in room #${actual.roomId} / floor #${actual.floorId}`,
+                repairable: true
+            });
+            repairs.allocations.push({ id: allocation.id, data: { roomId: actual.roomId, floorId: actual.floorId } });
+        }
+
+        if (actual.hostelId === hostelId) {
+            allocationsByBed.set(allocation.bedId, [...(allocationsByBed.get(allocation.bedId) || []), allocation.id]);
+        }
+        if (allocation.hostelId === hostelId) {
+            allocationsByTenant.set(allocation.tenantId, [...(allocationsByTenant.get(allocation.tenantId) || []), allocation.id]);
+        }
+    });
+
+    allocationsByBed.forEach((allocationIds, bedId) => {
+        if (allocationIds.length > 1) {
+            issues.push({
+                type: 'multiple_active_allocations',
+                bedId,
+                allocationIds,
+                message: `Bed #${bedId} has ${allocationIds.length} active allocations`,
+                repairable: false
+            });
+        }
+    });
+
+    allocationsByTenant.forEach((allocationIds, tenantId) => {
+        if (allocationIds.length > 1) {
+            issues.push({
+                type: 'tenant_multiple_active_allocations',
+                tenantId,
+                allocationIds,
+                message: `Tenant #${tenantId} has ${allocationIds.length} active allocations`,
+                repairable: false
+            });
+        }
+    });
+
+    // Beds and rooms
+    const floorTotals = new Map(floors.map((floor) => [floor.id, { totalRooms: 0, totalBeds: 0, occupiedBeds: 0 }]));
+    const hostelTotals = { totalFloors: floors.length, totalRooms: rooms.length, totalBeds: 0, occupiedBeds: 0 };
+
+    rooms.forEach((room) => {
+        let occupiedBeds = 0;
+        let reservedBeds = 0;
+
+        room.beds.forEach((bed) => {
+            const isAllocated = allocationsByBed.has(bed.id);
+            let status = bed.status;
+
+            if (isAllocated) {
+                occupiedBeds += 1;
+                if (bed.status !== 'occupied') {
+                    // A bed under maintenance with a tenant in it needs a person to look at it
+                    const repairable = bed.status !== 'under_maintenance';
+                    issues.push({
+                        type: 'bed_not_marked_occupied',
+                        bedId: bed.id,
+                        roomId: room.id,
+                        stored: bed.status,
+                        expected: 'occupied',
+                        message: `Bed ${bed.bedNumber} in room ${room.roomNumber} has an active allocation but is "${bed.status}"`,
+                        repairable
+                    });
+                    if (repairable) {
+                        repairs.beds.push({ id: bed.id, data: { status: 'occupied', reservedById: null, reservationExpiry: null } });
+                        status = 'occupied';
+                    }
+                }
+            } else if (bed.status === 'occupied') {
+                issues.push({
+                    type: 'bed_occupied_without_allocation',
+                    bedId: bed.id,
+                    roomId: room.id,
+                    stored: 'occupied',
+                    expected: 'available',
+                    message: `Bed ${bed.bedNumber} in room ${room.roomNumber} is occupied with no active allocation`,
+                    repairable: true
+                });
+                repairs.beds.push({ id: bed.id, data: { status: 'available' } });
+                status = 'available';
+            }
+
+            if (status === 'reserved') reservedBeds += 1;
+        });
+
+        const roomData = {};
+        if (room.occupiedBeds !== occupiedBeds) {
+            issues.push({
+                type: 'counter_mismatch',
+                entity: 'room',
+                entityId: room.id,
+                field: 'occupiedBeds',
+                stored: room.occupiedBeds,
+                expected: occupiedBeds,
+                message: `Room ${room.roomNumber} occupiedBeds is ${room.occupiedBeds}, expected ${occupiedBeds}`,
+                repairable: true
+            });
+            roomData.occupiedBeds = occupiedBeds;
+        }
+
+        const status = expectedRoomStatus(room, occupiedBeds, reservedBeds);
+        if (room.status !== status) {
+            issues.push({
+                type: 'room_status_mismatch',
+                entity: 'room',
+                entityId: room.id,
+                stored: room.status,
+                expected: status,
+                message: `Room ${room.roomNumber} is "${room.status}", expected "${status}"`,
+                repairable: true
+            });
+            roomData.status = status;
+        }
+
+        if (Object.keys(roomData).length) {
+            repairs.rooms.push({ id: room.id, data: roomData });
+        }
+
+        const floorTotal = floorTotals.get(room.floorId);
+        if (floorTotal) {
+            floorTotal.totalRooms += 1;
+            floorTotal.totalBeds += room.totalBeds;
+            floorTotal.occupiedBeds += occupiedBeds;
+        }
+        hostelTotals.totalBeds += room.totalBeds;
+        hostelTotals.occupiedBeds += occupiedBeds;
+    });
+
+    // Floors and hostel
+    const compareCounters = (entity, record, expected, label) => {
+        const data = {};
+        Object.entries(expected).forEach(([field, value]) => {
+            const stored = record[field] ?? 0;
+            if (stored !== value) {
+                issues.push({
+                    type: 'counter_mismatch',
+                    entity,
+                    entityId: record.id,
+                    field,
+                    stored,
+                    expected: value,
+                    message: `${label} ${field} is ${stored}, expected ${value}`,
+                    repairable: true
+                });
+                data[field] = value;
+            }
+        });
+        return Object.keys(data).length ? data : null;
+    };
+
+    floors.forEach((floor) => {
+        const data = compareCounters('floor', floor, floorTotals.get(floor.id), `Floor ${floor.floorNumber}`);
+        if (data) repairs.floors.push({ id: floor.id, data });
+    });
+
+    repairs.hostel = compareCounters('hostel', hostel, hostelTotals, 'Hostel');
+
+    return { hostel, issues, repairs };
+};
+
+/**
+ * Check one hostel and optionally repair what can be repaired
+ *
+ * @param {Number} hostelId
+ * @param {Object} options
+ * @param {Boolean} options.repair - Write the repairable fixes
+ * @returns {Object} { hostelId, hostelName, issues, summary }
+ */
+const reconcileHostelOccupancy = async (hostelId, { repair = false } = {}) => {
+    const run = async (client) => {
+        const { hostel, issues, repairs } = await inspectHostelOccupancy(hostelId, client);
+
+        if (repair) {
+            for (const { id, data } of repairs.allocations) {
+                await client.allocation.update({ where: { id }, data });
+            }
+            for (const { id, data } of repairs.beds) {
+                await client.bed.update({ where: { id }, data });
+            }
+            for (const { id, data } of repairs.rooms) {
+                await client.room.update({ where: { id }, data });
+            }
+            for (const { id, data } of repairs.floors) {
+                await client.floor.update({ where: { id }, data });
+            }
+            if (repairs.hostel) {
+                await client.hostel.update({ where: { id: hostelId }, data: repairs.hostel });
+            }
+        }
+
+        const repairable = issues.filter((issue) => issue.repairable).length;
+        return {
+            hostelId: hostel.id,
+            hostelName: hostel.name,
+            issues: issues.map((issue) => ({ ...issue, repaired: repair && issue.repairable })),
+            summary: {
+                issues: issues.length,
+                repairable,
+                repaired: repair ? repairable : 0,
+                needsReview: issues.length - repairable
+            }
+        };
+    };
+
+    // Repairs are computed and written in one transaction so the counters
+    // are set from the same allocations they were checked against
+    return repair ? prisma.$transaction(run, { timeout: 30000 }) : run(prisma);
+};
+
+/**
+ * Check every hostel in a filter, one hostel at a time
+ *
+ * @param {Object} options
+ * @param {Object} options.where - Hostel where-clause (access scope)
+ * @param {Boolean} options.repair
+ * @returns {Object} { checkedAt, repair, hostels, summary }
+ */
+const reconcileOccupancy = async ({ where = {}, repair = false } = {}) => {
+    const hostels = await prisma.hostel.findMany({
+        where,
+        select: { id: true },
+        orderBy: { id: 'asc' }
+    });
+
+    const results = [];
+    for (const hostel of hostels) {
+        results.push(await reconcileHostelOccupancy(hostel.id, { repair }));
+    }
+
+    const summary = results.reduce((totals, result) => ({
+        hostels: totals.hostels + 1,
+        hostelsWithIssues: totals.hostelsWithIssues + (result.summary.issues ? 1 : 0),
+        issues: totals.issues + result.summary.issues,
+        repairable: totals.repairable + result.summary.repairable,
+        repaired: totals.repaired + result.summary.repaired,
+        needsReview: totals.needsReview + result.summary.needsReview
+    }), { hostels: 0, hostelsWithIssues: 0, issues: 0, repairable: 0, repaired: 0, needsReview: 0 });
+
+    const issuesByType = {};
+    results.forEach((result) => result.issues.forEach((issue) => {
+        issuesByType[issue.type] = (issuesByType[issue.type] || 0) + 1;
+    }));
+
+    return {
+        checkedAt: new Date().toISOString(),
+        repair,
+        summary: { ...summary, issuesByType },
+        hostels: results
+    };
+};
+
+module.exports = {
+    inspectHostelOccupancy,
+    reconcileHostelOccupancy,
+    reconcileOccupancy
+};
@@ -0,0 +1,379 @@
+/**
+ * ======================================
+ * PREVENTIVE MAINTENANCE HELPER
+ * ======================================
+ *
+ * A PreventiveMaintenancePlan repeats a task for a hostel, floor or room
+ * (e.g. monthly water-tank cleaning). Occurrence n is due on
+ * startDate + n x intervalCount periods; months are added from startDate
+ * each time, so a plan starting on the 31st stays at the end of the month.
+ *
+ * Each occurrence becomes one maintenance Alert (maintenanceType
+ * "preventive", dueDate = the occurrence's due date, preventivePlanId set)
+ * leadDays before it is due. Resolving the alert completes the occurrence.
+ * A new plan, or a plan whose schedule changes, starts from the first
+ * occurrence due today or later, so past dates are not raised as overdue.
+ *
+ * Compliance of an occurrence:
+ *   on_time  - alert resolved by dueDate + graceDays
+ *   late     - resolved after that
+ *   overdue  - still open after that
+ *   skipped  - alert dismissed
+ *   upcoming - still open and not yet past dueDate + graceDays
+ * complianceRate = on_time / (on_time + late + overdue)
+ */
+
+const { prisma } = require('../config/db');
+const { startOfUtcDay } = require('../utils/normalize');
+const { recordAlertActivity } = require('./alert-activity.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAINTENANCE_FREQUENCIES = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+const MAX_LEAD_DAYS = 365;
+const MAX_OCCURRENCES_PER_RUN = 24;
+const MAX_OCCURRENCE_SEARCH = 20000;
+
+const addUtcMonths = (date, months) => {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target;
+};
+
+/**
+ * Due date of occurrence n of a plan (n = 0 is startDate)
+ */
+const occurrenceDate = (plan, n) => {
+    const start = startOfUtcDay(plan.startDate);
+    const steps = n * (plan.intervalCount || 1);
+
+    switch (plan.frequency) {
+        case 'daily':
+            return new Date(start.getTime() + steps * DAY_MS);
+        case 'weekly':
+            return new Date(start.getTime() + steps * 7 * DAY_MS);
+        case 'monthly':
+            return addUtcMonths(start, steps);
+        case 'quarterly':
+            return addUtcMonths(start, steps * 3);
+        case 'yearly':
+            return addUtcMonths(start, steps * 12);
+        default:
+            throw new Error(`Unknown frequency ${plan.frequency}`);
+    }
+};
+
+/**
+ * Index and due date of the first occurrence on or after a date,
+ * or { index, dueDate: null } once the plan has ended
+ */
+const firstOccurrenceFrom = (plan, fromDate) => {
+    const from = startOfUtcDay(fromDate);
+    const end = plan.endDate ? startOfUtcDay(plan.endDate) : null;
+
+    for (let n = 0; n < MAX_OCCURRENCE_SEARCH; n++) {
+        const dueDate = occurrenceDate(plan, n);
+        if (end && dueDate > end) return { index: n, dueDate: null };
+        if (dueDate >= from) return { index: n, dueDate };
+    }
+    return { index: MAX_OCCURRENCE_SEARCH, dueDate: null };
+};
+
+/**
+ * Check a plan before it is saved
+ *
+ * @param {Object} plan - Plan fields after merging an update into the stored plan
+ * @returns {String|null} Error message, or null when the plan is valid
+ */
+const validatePreventivePlan = (plan) => {
+    if (!plan.name) return 'name is required';
+    if (!MAINTENANCE_FREQUENCIES.includes(plan.frequency)) {
+        return `frequency must be one of: ${MAINTENANCE_FREQUENCIES.join(', ')}`;
+    }
+    if (!Number.isInteger(plan.intervalCount) || plan.intervalCount < 1 || plan.intervalCount > 100) {
+        return 'intervalCount must be a whole number from 1 to 100';
+    }
+    if (!(plan.startDate instanceof Date) || Number.isNaN(plan.startDate.getTime())) return 'startDate is required';
+    if (plan.endDate && (Number.isNaN(plan.endDate.getTime()) || startOfUtcDay(plan.endDate) < startOfUtcDay(plan.startDate))) {
+        return 'endDate must be on or after startDate';
+    }
+    if (!Number.isInteger(plan.leadDays) || plan.leadDays < 0 || plan.leadDays > MAX_LEAD_DAYS) {
+        return `leadDays must be a whole number from 0 to ${MAX_LEAD_DAYS}`;
+    }
+    if (!Number.isInteger(plan.graceDays) || plan.graceDays < 0) return 'graceDays must be a whole number of zero or more';
+    return null;
+};
+
+/**
+ * Where the next occurrence of a plan falls, counting from today. Used when
+ * a plan is created or its schedule changes.
+ *
+ * @param {Object} plan
+ * @param {Date} lastDueDate - Due date of the last alert already raised, if any
+ * @param {Date} now
+ * @returns {Object} { occurrenceCount, nextDueDate }
+ */
+const scheduleNextOccurrence = (plan, lastDueDate = null, now = new Date()) => {
+    let from = startOfUtcDay(now);
+    if (lastDueDate) {
+        const dayAfterLast = new Date(startOfUtcDay(lastDueDate).getTime() + DAY_MS);
+        if (dayAfterLast > from) from = dayAfterLast;
+    }
+    const { index, dueDate } = firstOccurrenceFrom(plan, from);
+    return { occurrenceCount: index, nextDueDate: dueDate };
+};
+
+const describeLocation = (plan) => {
+    if (plan.room) return `Room ${plan.room.roomNumber}`;
+    if (plan.floor) return plan.floor.floorName || `Floor ${plan.floor.floorNumber}`;
+    return plan.hostel?.name || 'Whole hostel';
+};
+
+/**
+ * Raise the alerts of one plan whose lead time has started
+ *
+ * @param {Object} plan - Plan with hostel, floor and room selected
+ * @param {Date} now
+ * @returns {Array} Created alerts ({ id, dueDate })
+ */
+const generatePlanAlerts = async (plan, now = new Date()) => {
+    const created = [];
+    const end = plan.endDate ? startOfUtcDay(plan.endDate) : null;
+    let index = plan.occurrenceCount;
+    let dueDate = plan.nextDueDate ? startOfUtcDay(plan.nextDueDate) : null;
+
+    while (
+        dueDate
+        && dueDate.getTime() - plan.leadDays * DAY_MS <= now.getTime()
+        && created.length < MAX_OCCURRENCES_PER_RUN
+    ) {
+        // The alert is due at the end of the day, so it is not overdue on the day itself
+        const alertDueDate = new Date(dueDate.getTime() + DAY_MS - 1);
+        const existing = await prisma.alert.findFirst({
+            where: { preventivePlanId: plan.id, dueDate: alertDueDate },
+            select: { id: true }
+        });
+
+        if (!existing) {
+            const alert = await prisma.alert.create({
+                data: {
+                    type: 'maintenance',
+                    maintenanceType: 'preventive',
+                    status: 'pending',
+                    priority: plan.priority,
+                    title: `${plan.name} - ${describeLocation(plan)}`.slice(0, 500),
+                    description: plan.description || null,
+                    hostelId: plan.hostelId,
+                    roomId: plan.roomId || null,
+                    dueDate: alertDueDate,
+                    assignedTo: plan.assignedTo || null,
+                    createdBy: plan.createdBy || null,
+                    preventivePlanId: plan.id,
+                    metadata: {
+                        preventivePlanId: plan.id,
+                        occurrence: index,
+                        floorId: plan.floorId || null,
+                        category: plan.category || null
+                    }
+                },
+                select: { id: true, dueDate: true }
+            });
+            await recordAlertActivity([
+                { alertId: alert.id, type: 'created', toValue: 'pending', message: `Raised by preventive plan "${plan.name}"`, metadata: { preventivePlanId: plan.id } },
+                plan.assignedTo ? { alertId: alert.id, type: 'assignment', toValue: plan.assignedTo } : null
+            ]);
+            created.push(alert);
+        }
+
+        index += 1;
+        dueDate = occurrenceDate(plan, index);
+        if (end && dueDate > end) dueDate = null;
+    }
+
+    await prisma.preventiveMaintenancePlan.update({
+        where: { id: plan.id },
+        data: {
+            occurrenceCount: index,
+            nextDueDate: dueDate,
+            ...(created.length ? { lastGeneratedAt: now } : {})
+        }
+    });
+
+    return created;
+};
+
+/**
+ * Raise upcoming preventive maintenance alerts for every active plan
+ *
+ * @param {Object} options
+ * @param {Date} options.now
+ * @returns {Object} { plans, alerts: [{ planId, alertId, dueDate }] }
+ */
+const processPreventivePlans = async ({ now = new Date() } = {}) => {
+    const plans = await prisma.preventiveMaintenancePlan.findMany({
+        where: {
+            isActive: true,
+            nextDueDate: { not: null, lte: new Date(now.getTime() + MAX_LEAD_DAYS * DAY_MS) }
+        },
+        include: {
+            hostel: { select: { name: true } },
+            floor: { select: { floorNumber: true, floorName: true } },
+            room: { select: { roomNumber: true } }
+        },
+        orderBy: { nextDueDate: 'asc' }
+    });
+
+    const alerts = [];
+    let processed = 0;
+    for (const plan of plans) {
+        if (startOfUtcDay(plan.nextDueDate).getTime() - plan.leadDays * DAY_MS > now.getTime()) continue;
+
+        try {
+            const created = await generatePlanAlerts(plan, now);
+            created.forEach((alert) => alerts.push({ planId: plan.id, alertId: alert.id, dueDate: alert.dueDate }));
+            processed += 1;
+        } catch (err) {
+            console.error(`Preventive plan #${plan.id} failed:`, err);
+        }
+    }
+
+    return { plans: processed, alerts };
+};
+
+/**
+ * Compliance outcome of one preventive alert
+ */
+const classifyOccurrence = (alert, graceDays, now) => {
+    const deadline = new Date(startOfUtcDay(alert.dueDate).getTime() + (graceDays + 1) * DAY_MS);
+    if (alert.status === 'resolved') {
+        return alert.resolvedAt && alert.resolvedAt < deadline ? 'on_time' : 'late';
+    }
+    if (alert.status === 'dismissed') return 'skipped';
+    return now >= deadline ? 'overdue' : 'upcoming';
+};
+
+const emptyCompliance = () => ({ due: 0, on_time: 0, late: 0, overdue: 0, skipped: 0, upcoming: 0, complianceRate: null });
+
+const finishCompliance = (counts) => {
+    const measured = counts.on_time + counts.late + counts.overdue;
+    counts.due = measured + counts.skipped;
+    counts.complianceRate = measured ? Math.round((counts.on_time / measured) * 10000) / 100 : null;
+    return counts;
+};
+
+/**
+ * Compliance per plan for occurrences due in a date range
+ *
+ * @param {Object} options
+ * @param {Object} options.planWhere - PreventiveMaintenancePlan where-clause (scope / filters)
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {Date} options.now
+ * @returns {Object} { from, to, totals, plans }
+ */
+const getPreventiveCompliance = async ({ planWhere = {}, from, to, now = new Date() }) => {
+    const plans = await prisma.preventiveMaintenancePlan.findMany({
+        where: planWhere,
+        select: {
+            id: true,
+            name: true,
+            frequency: true,
+            intervalCount: true,
+            graceDays: true,
+            isActive: true,
+            hostelId: true,
+            floorId: true,
+            roomId: true,
+            nextDueDate: true,
+            hostel: { select: { name: true } },
+            floor: { select: { floorNumber: true, floorName: true } },
+            room: { select: { roomNumber: true } },
+            alerts: {
+                where: { dueDate: { gte: startOfUtcDay(from), lte: to } },
+                select: { id: true, status: true, dueDate: true, resolvedAt: true },
+                orderBy: { dueDate: 'asc' }
+            }
+        },
+        orderBy: [{ hostelId: 'asc' }, { name: 'asc' }]
+    });
+
+    const totals = emptyCompliance();
+    const rows = plans.map((plan) => {
+        const counts = emptyCompliance();
+        const overdueAlerts = [];
+
+        plan.alerts.forEach((alert) => {
+            const outcome = classifyOccurrence(alert, plan.graceDays, now);
+            counts[outcome] += 1;
+            totals[outcome] += 1;
+            if (outcome === 'overdue') overdueAlerts.push({ alertId: alert.id, dueDate: alert.dueDate });
+        });
+
+        return {
+            planId: plan.id,
+            name: plan.name,
+            frequency: plan.frequency,
+            intervalCount: plan.intervalCount,
+            isActive: plan.isActive,
+            hostelId: plan.hostelId,
+            hostel: plan.hostel?.name || null,
+            location: describeLocation(plan),
+            nextDueDate: plan.nextDueDate,
+            ...finishCompliance(counts),
+            overdueAlerts
+        };
+    });
+
+    return {
+        from: startOfUtcDay(from),
+        to,
+        totals: finishCompliance(totals),
+        plans: rows
+    };
+};
+
+/**
+ * Overdue preventive alerts grouped by plan, for the overdue alerts view
+ *
+ * @param {Object} alertWhere - Alert where-clause of the overdue view
+ * @returns {Object} { overdue, plans: [{ planId, name, overdue, oldestDueDate }] }
+ */
+const summarizeOverduePreventive = async (alertWhere) => {
+    const groups = await prisma.alert.groupBy({
+        by: ['preventivePlanId'],
+        where: { ...alertWhere, preventivePlanId: { not: null } },
+        _count: { _all: true },
+        _min: { dueDate: true }
+    });
+
+    const plans = groups.length
+        ? await prisma.preventiveMaintenancePlan.findMany({
+            where: { id: { in: groups.map((group) => group.preventivePlanId) } },
+            select: { id: true, name: true, hostelId: true }
+        })
+        : [];
+    const planById = new Map(plans.map((plan) => [plan.id, plan]));
+
+    return {
+        overdue: groups.reduce((sum, group) => sum + group._count._all, 0),
+        plans: groups
+            .map((group) => ({
+                planId: group.preventivePlanId,
+                name: planById.get(group.preventivePlanId)?.name || null,
+                hostelId: planById.get(group.preventivePlanId)?.hostelId || null,
+                overdue: group._count._all,
+                oldestDueDate: group._min.dueDate
+            }))
+            .sort((a, b) => a.oldestDueDate - b.oldestDueDate)
+    };
+};
+
+module.exports = {
+    MAINTENANCE_FREQUENCIES,
+    occurrenceDate,
+    validatePreventivePlan,
+    scheduleNextOccurrence,
+    processPreventivePlans,
+    getPreventiveCompliance,
+    summarizeOverduePreventive
+};
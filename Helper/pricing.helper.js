@@ -0,0 +1,243 @@
+/**
+ * ======================================
+ * PRICING HELPER
+ * ======================================
+ *
+ * Prices a stay in a bed from Room.pricePerBed (the monthly rate) and the
+ * active PricingRule rows that apply to it. A stay is priced by nights: the
+ * check-in day is charged, the check-out day is not.
+ *
+ * 1. base_rate rules adjust or replace the monthly rate (e.g. a per
+ *    HostelCategory override).
+ * 2. Each night costs monthly rate / days in that night's month, the same
+ *    proration rent billing uses.
+ * 3. A seasonal rule and then a day_of_week rule (weekday / weekend rates)
+ *    adjust each night they cover.
+ * 4. A long_stay rule adjusts the whole stay once it reaches minNights; the
+ *    tier with the highest minNights reached wins (e.g. monthly over weekly).
+ *
+ * A rule applies where every scope field it sets (hostelId, roomId, roomType,
+ * hostelCategory) matches. When several rules of one type apply, the highest
+ * priority wins, then the most specific (room > hostel > room type > category),
+ * then the newest.
+ */
+
+const { prisma } = require('../config/db');
+const { roundAmount, startOfUtcDay } = require('../utils/normalize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUOTE_NIGHTS = 731;
+
+const PRICING_RULE_TYPES = ['base_rate', 'seasonal', 'day_of_week', 'long_stay'];
+const ADJUSTMENT_TYPES = ['percentage', 'fixed_amount', 'set_rate'];
+
+const toDayKey = (date) => date.toISOString().slice(0, 10);
+
+const daysInUtcMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+const specificity = (rule) => (rule.roomId ? 8 : 0) + (rule.hostelId ? 4 : 0) + (rule.roomType ? 2 : 0) + (rule.hostelCategory ? 1 : 0);
+
+const byPrecedence = (a, b) => (b.priority - a.priority) || (specificity(b) - specificity(a)) || (b.id - a.id);
+
+const applyAdjustment = (rate, rule) => {
+    let adjusted = rate;
+    if (rule.adjustmentType === 'percentage') adjusted = rate * (1 + rule.value / 100);
+    if (rule.adjustmentType === 'fixed_amount') adjusted = rate + rule.value;
+    if (rule.adjustmentType === 'set_rate') adjusted = rule.value;
+    return Math.max(adjusted, 0);
+};
+
+const ruleSummary = (rule) => ({ id: rule.id, name: rule.name, ruleType: rule.ruleType });
+
+/**
+ * Check a pricing rule before it is saved
+ *
+ * @param {Object} rule - Rule fields after merging an update into the stored rule
+ * @returns {String|null} Error message, or null when the rule is valid
+ */
+const validatePricingRule = (rule) => {
+    if (!rule.name) return 'name is required';
+    if (!PRICING_RULE_TYPES.includes(rule.ruleType)) {
+        return `ruleType must be one of: ${PRICING_RULE_TYPES.join(', ')}`;
+    }
+    if (!ADJUSTMENT_TYPES.includes(rule.adjustmentType)) {
+        return `adjustmentType must be one of: ${ADJUSTMENT_TYPES.join(', ')}`;
+    }
+    if (!Number.isFinite(rule.value)) return 'value must be a number';
+    if (rule.adjustmentType === 'set_rate' && rule.value < 0) return 'A set rate cannot be negative';
+    if (rule.adjustmentType === 'percentage' && rule.value < -100) return 'A percentage cannot take off more than 100';
+
+    if (rule.ruleType === 'seasonal') {
+        if (!rule.startDate || !rule.endDate) return 'Seasonal rules need startDate and endDate';
+        if (startOfUtcDay(rule.endDate) < startOfUtcDay(rule.startDate)) return 'endDate must be on or after startDate';
+    }
+
+    if (rule.ruleType === 'day_of_week') {
+        const days = rule.daysOfWeek;
+        if (!Array.isArray(days) || !days.length || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return 'daysOfWeek must be a list of days 0-6 (0 = Sunday)';
+        }
+    }
+
+    if (rule.ruleType === 'long_stay') {
+        if (!Number.isInteger(rule.minNights) || rule.minNights < 1) return 'Long-stay rules need minNights of at least 1';
+        if (rule.adjustmentType === 'set_rate') return 'Long-stay rules take a percentage or fixed amount';
+    }
+
+    return null;
+};
+
+/**
+ * QUOTE STAY
+ * ==========
+ * @param {Object} params
+ * @param {Number} params.bedId - Bed to price (or roomId)
+ * @param {Number} params.roomId - Room to price when no bed is chosen yet
+ * @param {Date} params.checkInDate
+ * @param {Date} params.checkOutDate
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Quote with nightly breakdown, subtotal, longStay and total
+ */
+const quoteStay = async ({ bedId = null, roomId = null, checkInDate, checkOutDate }, client = prisma) => {
+    const checkIn = startOfUtcDay(checkInDate);
+    const checkOut = startOfUtcDay(checkOutDate);
+
+    if (Number.isNaN(checkIn.getTime()) || Number.isNaN(checkOut.getTime())) {
+        throw new Error('Invalid check-in or check-out date');
+    }
+
+    const nights = Math.round((checkOut - checkIn) / DAY_MS);
+    if (nights < 1) {
+        throw new Error('Check-out date must be after check-in date');
+    }
+    if (nights > MAX_QUOTE_NIGHTS) {
+        throw new Error(`A quote cannot cover more than ${MAX_QUOTE_NIGHTS} nights`);
+    }
+
+    let pricedRoomId = roomId;
+    if (bedId) {
+        const bed = await client.bed.findUnique({ where: { id: bedId }, select: { id: true, roomId: true } });
+        if (!bed) {
+            throw new Error('Bed not found');
+        }
+        if (roomId && bed.roomId !== roomId) {
+            throw new Error('Bed does not belong to the selected room');
+        }
+        pricedRoomId = bed.roomId;
+    }
+    if (!pricedRoomId) {
+        throw new Error('A bed or room is required for a quote');
+    }
+
+    const room = await client.room.findUnique({
+        where: { id: pricedRoomId },
+        select: {
+            id: true,
+            roomNumber: true,
+            roomType: true,
+            pricePerBed: true,
+            hostelId: true,
+            hostel: { select: { id: true, name: true, category: true } }
+        }
+    });
+    if (!room) {
+        throw new Error('Room not found');
+    }
+
+    const categories = Array.isArray(room.hostel.category) ? room.hostel.category : [];
+
+    const rules = (await client.pricingRule.findMany({
+        where: {
+            isActive: true,
+            AND: [
+                { OR: [{ hostelId: null }, { hostelId: room.hostelId }] },
+                { OR: [{ roomId: null }, { roomId: room.id }] },
+                { OR: [{ roomType: null }, { roomType: room.roomType }] }
+            ]
+        }
+    }))
+        .filter((rule) => !rule.hostelCategory || categories.includes(rule.hostelCategory))
+        .sort(byPrecedence);
+
+    const rulesOfType = (type) => rules.filter((rule) => rule.ruleType === type);
+    const applied = new Map();
+
+    // 1. Monthly rate
+    const baseRule = rulesOfType('base_rate')[0] || null;
+    const monthlyRate = baseRule ? applyAdjustment(room.pricePerBed, baseRule) : room.pricePerBed;
+    if (baseRule) applied.set(baseRule.id, ruleSummary(baseRule));
+
+    // 2-3. Nights
+    const seasonalRules = rulesOfType('seasonal');
+    const dayRules = rulesOfType('day_of_week');
+    const nightly = [];
+
+    for (let i = 0; i < nights; i++) {
+        const night = new Date(checkIn.getTime() + i * DAY_MS);
+        let rate = monthlyRate / daysInUtcMonth(night);
+        const nightRules = [];
+
+        const season = seasonalRules.find((rule) => startOfUtcDay(rule.startDate) <= night && night <= startOfUtcDay(rule.endDate));
+        if (season) {
+            rate = applyAdjustment(rate, season);
+            nightRules.push(season.id);
+            applied.set(season.id, ruleSummary(season));
+        }
+
+        const weekday = night.getUTCDay();
+        const dayRule = dayRules.find((rule) => Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.includes(weekday));
+        if (dayRule) {
+            rate = applyAdjustment(rate, dayRule);
+            nightRules.push(dayRule.id);
+            applied.set(dayRule.id, ruleSummary(dayRule));
+        }
+
+        nightly.push({ date: toDayKey(night), rate: roundAmount(rate), rules: nightRules });
+    }
+
+    const subtotal = roundAmount(nightly.reduce((sum, night) => sum + night.rate, 0));
+
+    // 4. Long stay
+    const longStayRule = rulesOfType('long_stay')
+        .filter((rule) => rule.minNights <= nights)
+        .sort((a, b) => (b.minNights - a.minNights) || byPrecedence(a, b))[0] || null;
+
+    let longStay = null;
+    let total = subtotal;
+    if (longStayRule) {
+        total = roundAmount(applyAdjustment(subtotal, longStayRule));
+        longStay = {
+            ruleId: longStayRule.id,
+            name: longStayRule.name,
+            minNights: longStayRule.minNights,
+            amount: roundAmount(total - subtotal)
+        };
+        applied.set(longStayRule.id, ruleSummary(longStayRule));
+    }
+
+    return {
+        hostelId: room.hostelId,
+        roomId: room.id,
+        roomNumber: room.roomNumber,
+        roomType: room.roomType,
+        bedId: bedId || null,
+        checkInDate: toDayKey(checkIn),
+        checkOutDate: toDayKey(checkOut),
+        nights,
+        pricePerBed: room.pricePerBed,
+        monthlyRate: roundAmount(monthlyRate),
+        nightly,
+        subtotal,
+        longStay,
+        total,
+        appliedRules: [...applied.values()],
+        quotedAt: new Date().toISOString()
+    };
+};
+
+module.exports = {
+    PRICING_RULE_TYPES,
+    ADJUSTMENT_TYPES,
+    validatePricingRule,
+    quoteStay
+};
@@ -0,0 +1,618 @@
+/**
+ * ======================================
+ * PURCHASING HELPER
+ * ======================================
+ *
+ * Purchase demand -> approval -> vendor quotes -> purchase order -> delivery
+ *
+ * Approval depends on the demand's estimated total:
+ *   - up to purchase_auto_approve_limit: approved when raised
+ *   - up to purchase_owner_approval_limit: manager approval
+ *   - above it: manager and owner approval (an owner's approval covers both)
+ *
+ * Quotes are requested from the vendors assigned to the demand's Service
+ * (VendorServiceAssignment) for its hostel or for all hostels. A purchase
+ * order is issued from one received quote; the others are declined. A quote
+ * above the approved estimate by more than purchase_quote_tolerance_percent
+ * needs the demand re-estimated and approved again.
+ *
+ * Delivering an order posts an Expense and a VendorBill for the delivered
+ * amount (see vendor-ledger.helper.js). A demand raised from an alert resolves it.
+ *
+ * Demand status flow:
+ *   pending_approval -> approved -> quoting -> ordered -> delivered
+ *   pending_approval -> rejected -> pending_approval (re-estimated)
+ *   cancelled from any status before delivered
+ *
+ * ====================================
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * purchase_auto_approve_limit       - Demands up to this total need no approval (default: 0)
+ * purchase_owner_approval_limit     - Demands above this total also need owner approval (default: 50000)
+ * purchase_quote_tolerance_percent  - How far a quote may exceed the approved estimate (default: 10)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount } = require('../utils/normalize');
+const { recordAlertActivity } = require('./alert-activity.helper');
+const { createVendorBill } = require('./vendor-ledger.helper');
+const { createWithSequenceNumber } = require('./sequence.helper');
+
+const DEMAND_STATUSES = ['pending_approval', 'approved', 'rejected', 'quoting', 'ordered', 'delivered', 'cancelled'];
+const OPEN_DEMAND_STATUSES = ['pending_approval', 'approved', 'rejected', 'quoting', 'ordered'];
+const QUOTABLE_DEMAND_STATUSES = ['approved', 'quoting'];
+
+/**
+ * Price the line items of a demand and total them
+ *
+ * @param {Array} items - [{ description, quantity, unit, estimatedUnitCost }]
+ * @returns {Object} { items, estimatedTotal } or { error }
+ */
+const priceDemandItems = (items) => {
+    if (!Array.isArray(items) || !items.length) {
+        return { error: 'At least one line item is required' };
+    }
+
+    const priced = [];
+    for (const item of items) {
+        const quantity = Number(item?.quantity ?? 1);
+        const unitCost = Number(item?.estimatedUnitCost);
+        if (!item?.description || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitCost) || unitCost < 0) {
+            return { error: 'Each item needs a description, a quantity above zero and an estimatedUnitCost of zero or more' };
+        }
+        priced.push({
+            description: String(item.description),
+            quantity,
+            unit: item.unit ? String(item.unit) : null,
+            estimatedUnitCost: unitCost,
+            total: roundAmount(quantity * unitCost)
+        });
+    }
+
+    return { items: priced, estimatedTotal: roundAmount(priced.reduce((sum, item) => sum + item.total, 0)) };
+};
+
+/**
+ * Price the lines of a vendor quote; a quote may also give only a total
+ *
+ * @param {Array} items - [{ description, quantity, unitPrice }]
+ * @param {Number} totalAmount - Used when no lines are given
+ * @returns {Object} { items, totalAmount } or { error }
+ */
+const priceQuoteItems = (items, totalAmount) => {
+    if (!Array.isArray(items) || !items.length) {
+        const total = Number(totalAmount);
+        if (!Number.isFinite(total) || total < 0) {
+            return { error: 'Quote items or a totalAmount of zero or more is required' };
+        }
+        return { items: null, totalAmount: roundAmount(total) };
+    }
+
+    const priced = [];
+    for (const item of items) {
+        const quantity = Number(item?.quantity ?? 1);
+        const unitPrice = Number(item?.unitPrice);
+        if (!item?.description || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitPrice) || unitPrice < 0) {
+            return { error: 'Each quote item needs a description, a quantity above zero and a unitPrice of zero or more' };
+        }
+        priced.push({ description: String(item.description), quantity, unitPrice, total: roundAmount(quantity * unitPrice) });
+    }
+
+    return { items: priced, totalAmount: roundAmount(priced.reduce((sum, item) => sum + item.total, 0)) };
+};
+
+/**
+ * Which approvals a demand of this total needs
+ * @returns {Object} { autoApprove, requiresOwnerApproval }
+ */
+const getApprovalRequirement = async (amount, client = prisma) => {
+    const autoApproveLimit = await getNumericSetting('purchase_auto_approve_limit', 0, client);
+    const ownerApprovalLimit = await getNumericSetting('purchase_owner_approval_limit', 50000, client);
+
+    return {
+        autoApprove: amount <= autoApproveLimit,
+        requiresOwnerApproval: amount > ownerApprovalLimit
+    };
+};
+
+const historyEntry = (from, to, userId, note) => ({
+    from,
+    to,
+    at: new Date().toISOString(),
+    by: userId || null,
+    note: note || null
+});
+
+const appendHistory = (demand, entry) => [...(Array.isArray(demand.statusHistory) ? demand.statusHistory : []), entry];
+
+/**
+ * Fields that (re)start approval of a demand with this total
+ */
+const approvalFields = async (estimatedTotal, fromStatus, userId, client = prisma) => {
+    const { autoApprove, requiresOwnerApproval } = await getApprovalRequirement(estimatedTotal, client);
+    const status = autoApprove ? 'approved' : 'pending_approval';
+
+    return {
+        status,
+        requiresOwnerApproval: autoApprove ? false : requiresOwnerApproval,
+        managerApprovedBy: null,
+        managerApprovedAt: null,
+        ownerApprovedBy: null,
+        ownerApprovedAt: null,
+        rejectedBy: null,
+        rejectedAt: null,
+        rejectionReason: null,
+        historyEntry: historyEntry(fromStatus, status, userId, autoApprove ? 'Within the auto-approve limit' : null)
+    };
+};
+
+/**
+ * Raise a purchase demand
+ *
+ * @param {Object} data - hostelId, serviceId, alertId, title, description, category, priority,
+ *                        items, neededBy, notes
+ * @param {Object} options
+ * @param {Number} options.userId
+ * @returns {Object} PurchaseDemand
+ */
+const createPurchaseDemand = async (data, { userId = null } = {}) => {
+    const priced = priceDemandItems(data.items);
+    if (priced.error) throw new Error(priced.error);
+
+    return prisma.$transaction(async (tx) => {
+        const { historyEntry: entry, ...approval } = await approvalFields(priced.estimatedTotal, null, userId, tx);
+
+        return createWithSequenceNumber(tx.purchaseDemand, 'demandNumber', 'PD', {
+            data: {
+                ...data,
+                items: priced.items,
+                estimatedTotal: priced.estimatedTotal,
+                ...approval,
+                statusHistory: [entry],
+                requestedBy: userId
+            }
+        });
+    });
+};
+
+/**
+ * Change the items of a demand awaiting approval or rejected; approval starts over
+ */
+const reviseDemandItems = async (demandId, items, { userId = null, note = null } = {}) => {
+    const priced = priceDemandItems(items);
+    if (priced.error) throw new Error(priced.error);
+
+    return prisma.$transaction(async (tx) => {
+        const demand = await tx.purchaseDemand.findUnique({ where: { id: demandId } });
+        if (!demand) throw new Error('Purchase demand not found');
+        if (!['pending_approval', 'rejected', 'approved', 'quoting'].includes(demand.status)) {
+            throw new Error(`A ${demand.status} demand cannot be changed`);
+        }
+
+        const { historyEntry: entry, ...approval } = await approvalFields(priced.estimatedTotal, demand.status, userId, tx);
+        entry.note = note || entry.note || 'Items changed; approval restarted';
+
+        const claimed = await tx.purchaseDemand.updateMany({
+            where: { id: demandId, status: demand.status },
+            data: {
+                items: priced.items,
+                estimatedTotal: priced.estimatedTotal,
+                ...approval,
+                statusHistory: appendHistory(demand, entry)
+            }
+        });
+        if (!claimed.count) throw new Error('The demand was changed by someone else; please retry');
+
+        return tx.purchaseDemand.findUnique({ where: { id: demandId } });
+    });
+};
+
+/**
+ * Record a manager or owner approval; the demand is approved once every
+ * required level has approved it
+ *
+ * @param {Number} demandId
+ * @param {Object} options
+ * @param {String} options.level - manager | owner (an owner approval also covers manager)
+ * @param {Number} options.userId
+ * @param {String} options.note
+ * @returns {Object} PurchaseDemand
+ */
+const approvePurchaseDemand = async (demandId, { level, userId = null, note = null }) => {
+    return prisma.$transaction(async (tx) => {
+        const demand = await tx.purchaseDemand.findUnique({ where: { id: demandId } });
+        if (!demand) throw new Error('Purchase demand not found');
+        if (demand.status !== 'pending_approval') {
+            throw new Error(`Only demands awaiting approval can be approved (this one is ${demand.status})`);
+        }
+
+        const now = new Date();
+        const data = {};
+        if (level === 'owner') {
+            if (!demand.managerApprovedAt) {
+                data.managerApprovedBy = userId;
+                data.managerApprovedAt = now;
+            }
+            data.ownerApprovedBy = userId;
+            data.ownerApprovedAt = now;
+        } else {
+            if (demand.managerApprovedAt) {
+                throw new Error('Already approved by a manager; waiting for owner approval');
+            }
+            data.managerApprovedBy = userId;
+            data.managerApprovedAt = now;
+        }
+
+        const ownerDone = !demand.requiresOwnerApproval || Boolean(demand.ownerApprovedAt || data.ownerApprovedAt);
+        if (ownerDone) {
+            data.status = 'approved';
+            data.statusHistory = appendHistory(demand, historyEntry(demand.status, 'approved', userId, note || `Approved (${level})`));
+        } else {
+            data.statusHistory = appendHistory(demand, historyEntry(demand.status, demand.status, userId, note || 'Manager approved; waiting for owner approval'));
+        }
+
+        const claimed = await tx.purchaseDemand.updateMany({
+            where: { id: demandId, status: 'pending_approval', updatedAt: demand.updatedAt },
+            data
+        });
+        if (!claimed.count) throw new Error('The demand was changed by someone else; please retry');
+
+        return tx.purchaseDemand.findUnique({ where: { id: demandId } });
+    });
+};
+
+/**
+ * Move a demand to rejected or cancelled. Cancelling an ordered demand also
+ * cancels its purchase order.
+ */
+const closePurchaseDemand = async (demandId, toStatus, { userId = null, reason = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const demand = await tx.purchaseDemand.findUnique({ where: { id: demandId } });
+        if (!demand) throw new Error('Purchase demand not found');
+
+        const allowed = toStatus === 'rejected' ? ['pending_approval'] : OPEN_DEMAND_STATUSES;
+        if (!allowed.includes(demand.status)) {
+            throw new Error(`A ${demand.status} demand cannot be ${toStatus}`);
+        }
+
+        const now = new Date();
+        const data = {
+            status: toStatus,
+            statusHistory: appendHistory(demand, historyEntry(demand.status, toStatus, userId, reason))
+        };
+        if (toStatus === 'rejected') {
+            data.rejectedBy = userId;
+            data.rejectedAt = now;
+            data.rejectionReason = reason || null;
+        }
+
+        const claimed = await tx.purchaseDemand.updateMany({
+            where: { id: demandId, status: demand.status },
+            data
+        });
+        if (!claimed.count) throw new Error('The demand was changed by someone else; please retry');
+
+        if (toStatus === 'cancelled') {
+            await tx.purchaseOrder.updateMany({
+                where: { demandId, status: 'issued' },
+                data: { status: 'cancelled', cancelledAt: now }
+            });
+            await tx.purchaseQuote.updateMany({
+                where: { demandId, status: { in: ['requested', 'received'] } },
+                data: { status: 'declined' }
+            });
+        }
+
+        return tx.purchaseDemand.findUnique({ where: { id: demandId } });
+    });
+};
+
+/**
+ * Active vendors that can quote for a demand: those assigned to its service
+ * for its hostel or for all hostels
+ *
+ * @returns {Array} Vendors ({ id, name, companyName, email, phone })
+ */
+const findQuoteVendors = async (demand, client = prisma) => {
+    if (!demand.serviceId) return [];
+
+    const assignments = await client.vendorServiceAssignment.findMany({
+        where: {
+            serviceId: demand.serviceId,
+            isActive: true,
+            OR: [{ hostelId: demand.hostelId }, { hostelId: null }],
+            vendor: { status: 'active' }
+        },
+        include: { vendor: { select: { id: true, name: true, companyName: true, email: true, phone: true } } }
+    });
+
+    const byId = new Map();
+    assignments.forEach((assignment) => byId.set(assignment.vendor.id, assignment.vendor));
+    return [...byId.values()];
+};
+
+/**
+ * Ask vendors for quotes on an approved demand
+ *
+ * @param {Number} demandId
+ * @param {Object} options
+ * @param {Number[]} options.vendorIds - Defaults to every vendor assigned to the service
+ * @param {Number} options.userId
+ * @returns {Object} { demand, quotes } - quotes created by this request
+ */
+const requestQuotes = async (demandId, { vendorIds = null, userId = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const demand = await tx.purchaseDemand.findUnique({ where: { id: demandId } });
+        if (!demand) throw new Error('Purchase demand not found');
+        if (!QUOTABLE_DEMAND_STATUSES.includes(demand.status)) {
+            throw new Error(`Quotes can only be requested for approved demands (this one is ${demand.status})`);
+        }
+
+        let targets;
+        if (demand.serviceId) {
+            const eligible = await findQuoteVendors(demand, tx);
+            const eligibleIds = eligible.map((vendor) => vendor.id);
+            targets = vendorIds && vendorIds.length ? vendorIds : eligibleIds;
+            const notAssigned = targets.filter((id) => !eligibleIds.includes(id));
+            if (notAssigned.length) {
+                throw new Error(`Vendor(s) ${notAssigned.join(', ')} are not assigned to this demand's service`);
+            }
+        } else {
+            if (!vendorIds || !vendorIds.length) {
+                throw new Error('vendorIds are required when the demand has no service');
+            }
+            const vendors = await tx.vendor.findMany({
+                where: { id: { in: vendorIds }, status: 'active', OR: [{ hostelId: demand.hostelId }, { hostelId: null }] },
+                select: { id: true }
+            });
+            if (vendors.length !== new Set(vendorIds).size) {
+                throw new Error('Every vendor must be active and serve this hostel');
+            }
+            targets = vendors.map((vendor) => vendor.id);
+        }
+        if (!targets.length) {
+            throw new Error('No active vendors are assigned to this demand\'s service');
+        }
+
+        const existing = await tx.purchaseQuote.findMany({ where: { demandId }, select: { vendorId: true } });
+        const existingIds = new Set(existing.map((quote) => quote.vendorId));
+        const newIds = [...new Set(targets)].filter((id) => !existingIds.has(id));
+
+        if (newIds.length) {
+            await tx.purchaseQuote.createMany({
+                data: newIds.map((vendorId) => ({ demandId, vendorId }))
+            });
+        }
+
+        if (demand.status === 'approved') {
+            await tx.purchaseDemand.update({
+                where: { id: demandId },
+                data: {
+                    status: 'quoting',
+                    statusHistory: appendHistory(demand, historyEntry('approved', 'quoting', userId, `Quotes requested from ${newIds.length} vendor(s)`))
+                }
+            });
+        }
+
+        const quotes = await tx.purchaseQuote.findMany({
+            where: { demandId, vendorId: { in: newIds } },
+            include: { vendor: { select: { id: true, name: true, email: true, phone: true } } }
+        });
+
+        return { demand: await tx.purchaseDemand.findUnique({ where: { id: demandId } }), quotes };
+    });
+};
+
+/**
+ * Record a vendor's quote
+ *
+ * @param {Number} quoteId
+ * @param {Object} data - items | totalAmount, deliveryDays, validUntil, notes, attachments
+ * @returns {Object} PurchaseQuote
+ */
+const recordQuote = async (quoteId, data) => {
+    const priced = priceQuoteItems(data.items, data.totalAmount);
+    if (priced.error) throw new Error(priced.error);
+
+    const quote = await prisma.purchaseQuote.findUnique({
+        where: { id: quoteId },
+        include: { demand: { select: { status: true } } }
+    });
+    if (!quote) throw new Error('Quote not found');
+    if (!['requested', 'received'].includes(quote.status) || !QUOTABLE_DEMAND_STATUSES.includes(quote.demand.status)) {
+        throw new Error('This quote can no longer be changed');
+    }
+
+    return prisma.purchaseQuote.update({
+        where: { id: quoteId },
+        data: {
+            status: 'received',
+            items: priced.items ?? undefined,
+            totalAmount: priced.totalAmount,
+            deliveryDays: data.deliveryDays ?? null,
+            validUntil: data.validUntil ?? null,
+            notes: data.notes ?? quote.notes,
+            ...(data.attachments ? { attachments: data.attachments } : {}),
+            receivedAt: new Date()
+        }
+    });
+};
+
+/**
+ * Issue the purchase order for a demand from one received quote
+ *
+ * @param {Number} demandId
+ * @param {Object} options
+ * @param {Number} options.quoteId
+ * @param {Date} options.expectedDeliveryDate - Defaults to today + the quote's deliveryDays
+ * @param {String} options.notes
+ * @param {Number} options.userId
+ * @returns {Object} PurchaseOrder
+ */
+const issuePurchaseOrder = async (demandId, { quoteId, expectedDeliveryDate = null, notes = null, userId = null }) => {
+    const tolerance = await getNumericSetting('purchase_quote_tolerance_percent', 10);
+
+    return prisma.$transaction(async (tx) => {
+        const demand = await tx.purchaseDemand.findUnique({ where: { id: demandId } });
+        if (!demand) throw new Error('Purchase demand not found');
+        if (!QUOTABLE_DEMAND_STATUSES.includes(demand.status)) {
+            throw new Error(`A purchase order can only be issued for an approved demand (this one is ${demand.status})`);
+        }
+
+        const quote = await tx.purchaseQuote.findUnique({ where: { id: quoteId } });
+        if (!quote || quote.demandId !== demandId) throw new Error('Quote not found for this demand');
+        if (quote.status !== 'received') throw new Error('Only a received quote can be accepted');
+
+        const now = new Date();
+        if (quote.validUntil && quote.validUntil < now) {
+            throw new Error('This quote has expired');
+        }
+
+        const ceiling = roundAmount(demand.estimatedTotal * (1 + tolerance / 100));
+        if (quote.totalAmount > ceiling) {
+            throw new Error(`The quote (${quote.totalAmount}) exceeds the approved estimate (${demand.estimatedTotal}) by more than ${tolerance}%; revise the demand and approve it again`);
+        }
+
+        const claimed = await tx.purchaseDemand.updateMany({
+            where: { id: demandId, status: demand.status },
+            data: {
+                status: 'ordered',
+                statusHistory: appendHistory(demand, historyEntry(demand.status, 'ordered', userId, `Quote #${quote.id} accepted`))
+            }
+        });
+        if (!claimed.count) throw new Error('The demand was changed by someone else; please retry');
+
+        await tx.purchaseQuote.update({ where: { id: quote.id }, data: { status: 'accepted' } });
+        await tx.purchaseQuote.updateMany({
+            where: { demandId, id: { not: quote.id }, status: { in: ['requested', 'received'] } },
+            data: { status: 'declined' }
+        });
+
+        const expected = expectedDeliveryDate
+            || (quote.deliveryDays ? new Date(now.getTime() + quote.deliveryDays * 24 * 60 * 60 * 1000) : null);
+
+        return createWithSequenceNumber(tx.purchaseOrder, 'poNumber', 'PO', {
+            data: {
+                demandId,
+                quoteId: quote.id,
+                vendorId: quote.vendorId,
+                hostelId: demand.hostelId,
+                items: quote.items || demand.items,
+                totalAmount: quote.totalAmount,
+                expectedDeliveryDate: expected,
+                issuedBy: userId,
+                notes
+            }
+        });
+    });
+};
+
+/**
+ * Receive a purchase order: post the Expense and the vendor's bill and
+ * close the demand
+ *
+ * @param {Number} orderId
+ * @param {Object} options
+ * @param {Date} options.deliveredAt - Defaults to now
+ * @param {Number} options.amount - Invoiced amount, defaults to the order total
+ * @param {String} options.notes
+ * @param {Number} options.userId
+ * @returns {Object} { purchaseOrder, expense, bill }
+ */
+const receivePurchaseOrder = async (orderId, { deliveredAt = null, amount = null, notes = null, userId = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const order = await tx.purchaseOrder.findUnique({
+            where: { id: orderId },
+            include: { demand: true, vendor: { select: { id: true, name: true } } }
+        });
+        if (!order) throw new Error('Purchase order not found');
+        if (order.status !== 'issued') throw new Error(`A ${order.status} purchase order cannot be received`);
+
+        const postedAmount = roundAmount(amount ?? order.totalAmount);
+        if (!Number.isFinite(postedAmount) || postedAmount < 0) throw new Error('amount must be zero or more');
+
+        const when = deliveredAt || new Date();
+
+        // Claim the order so it is only received once
+        const claimed = await tx.purchaseOrder.updateMany({
+            where: { id: orderId, status: 'issued' },
+            data: { status: 'delivered' }
+        });
+        if (!claimed.count) throw new Error('The purchase order was changed by someone else; please retry');
+
+        const expense = await tx.expense.create({
+            data: {
+                title: `${order.poNumber} - ${order.demand.title}`.slice(0, 191),
+                category: order.demand.category || 'Purchases',
+                amount: postedAmount,
+                type: 'expense',
+                date: when,
+                hostelId: order.hostelId
+            }
+        });
+
+        // Nothing to pay for a delivery posted at zero
+        const bill = postedAmount > 0 ? await createVendorBill({
+            vendorId: order.vendorId,
+            hostelId: order.hostelId,
+            purchaseOrderId: order.id,
+            description: `${order.poNumber} - ${order.demand.title}`,
+            billDate: when,
+            amount: postedAmount
+        }, { userId, client: tx }) : null;
+
+        const purchaseOrder = await tx.purchaseOrder.update({
+            where: { id: orderId },
+            data: {
+                deliveredAt: when,
+                receivedBy: userId,
+                deliveredAmount: postedAmount,
+                deliveryNotes: notes,
+                expenseId: expense.id
+            }
+        });
+
+        await tx.purchaseDemand.update({
+            where: { id: order.demandId },
+            data: {
+                status: 'delivered',
+                statusHistory: appendHistory(order.demand, historyEntry(order.demand.status, 'delivered', userId, `${order.poNumber} received`))
+            }
+        });
+
+        if (order.demand.alertId) {
+            const alert = await tx.alert.findUnique({ where: { id: order.demand.alertId }, select: { status: true } });
+            const resolved = await tx.alert.updateMany({
+                where: { id: order.demand.alertId, status: { in: ['pending', 'in_progress'] } },
+                data: { status: 'resolved', resolvedBy: userId, resolvedAt: when }
+            });
+            if (resolved.count) {
+                await recordAlertActivity({
+                    alertId: order.demand.alertId,
+                    type: 'status_change',
+                    fromValue: alert.status,
+                    toValue: 'resolved',
+                    message: `Purchase order ${order.poNumber} delivered`,
+                    createdBy: userId
+                }, tx);
+            }
+        }
+
+        return { purchaseOrder, expense, bill };
+    });
+};
+
+module.exports = {
+    DEMAND_STATUSES,
+    getApprovalRequirement,
+    createPurchaseDemand,
+    reviseDemandItems,
+    approvePurchaseDemand,
+    closePurchaseDemand,
+    findQuoteVendors,
+    requestQuotes,
+    recordQuote,
+    issuePurchaseOrder,
+    receivePurchaseOrder
+};
@@ -0,0 +1,330 @@
+/**
+ * ======================================
+ * PAYMENT RECEIPT HELPER
+ * ======================================
+ *
+ * Issues receipt numbers from a gap-free sequence per hostel and year,
+ * formatted as H{hostelId}-{year}-{000145}, and renders receipt PDFs.
+ *
+ * GAP-FREE NUMBERING
+ * ==================
+ * The next number is taken by incrementing ReceiptSequence.lastNumber inside
+ * the same database transaction that records the payment. The row lock
+ * serialises concurrent payments for a hostel, and a rolled back payment
+ * rolls back its number too. Receipts are never deleted: when the payment
+ * behind a receipt is removed the receipt is voided and keeps its number.
+ *
+ * One receipt covers one receipt of money, which may settle several charges;
+ * its lines are the Transactions linked to it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SEQUENCE_PAD = 6;
+
+/**
+ * Format a receipt number ("H3-2026-000145")
+ */
+const formatReceiptNumber = (hostelId, year, sequence) =>
+    `H${hostelId}-${year}-${String(sequence).padStart(SEQUENCE_PAD, '0')}`;
+
+/**
+ * Take the next number from the hostel's sequence for the year. The upsert
+ * creates the row for a hostel's first receipt of the year or locks and
+ * increments it. On MySQL Prisma runs it as a read then a write, so when two
+ * first payments both try to create the row the loser increments the row
+ * the winner created (a duplicate-key insert does not abort a MySQL
+ * transaction).
+ */
+const nextReceiptSequence = async (tx, hostelId, year) => {
+    const where = { hostelId_year: { hostelId, year } };
+    const increment = { lastNumber: { increment: 1 } };
+
+    try {
+        const sequence = await tx.receiptSequence.upsert({
+            where,
+            create: { hostelId, year, lastNumber: 1 },
+            update: increment
+        });
+        return sequence.lastNumber;
+    } catch (error) {
+        if (error?.code !== 'P2002') throw error;
+        const sequence = await tx.receiptSequence.update({ where, data: increment });
+        return sequence.lastNumber;
+    }
+};
+
+/**
+ * ISSUE RECEIPT
+ * =============
+ * Must be called inside the transaction that records the payment.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data
+ * @param {Number} data.hostelId - Hostel whose sequence is used (required)
+ * @param {Number} data.tenantId
+ * @param {Number} data.paymentId - Payment row the money was recorded on
+ * @param {Number} data.amount - Total received
+ * @param {String} data.paymentMethod
+ * @param {String} data.source - "manual" | "stripe"
+ * @param {String} data.reference - External reference (receipt book, bank, gateway)
+ * @param {Number} data.issuedBy - Collecting user
+ * @param {Date} data.issuedAt
+ * @param {Number} data.cashShiftId - Cash drawer shift the money was taken into
+ * @param {Number[]} data.transactionIds - Transactions covered by the receipt
+ * @returns {Object} PaymentReceipt
+ */
+const issueReceipt = async (tx, {
+    hostelId,
+    tenantId = null,
+    paymentId = null,
+    amount,
+    paymentMethod = null,
+    source = 'manual',
+    reference = null,
+    issuedBy = null,
+    issuedAt = new Date(),
+    cashShiftId = null,
+    transactionIds = []
+}) => {
+    if (!hostelId) {
+        throw new Error('A hostel is required to issue a receipt');
+    }
+
+    const issuedOn = new Date(issuedAt);
+    const year = issuedOn.getUTCFullYear();
+    const sequence = await nextReceiptSequence(tx, hostelId, year);
+    const receiptNumber = formatReceiptNumber(hostelId, year, sequence);
+
+    const receipt = await tx.paymentReceipt.create({
+        data: {
+            receiptNumber,
+            hostelId,
+            year,
+            sequence,
+            tenantId,
+            paymentId,
+            amount: Math.round((Number(amount) || 0) * 100) / 100,
+            paymentMethod,
+            source,
+            reference: reference ? String(reference).slice(0, 255) : null,
+            issuedBy,
+            issuedAt: issuedOn,
+            cashShiftId
+        }
+    });
+
+    if (transactionIds.length) {
+        await tx.transaction.updateMany({
+            where: { id: { in: transactionIds } },
+            data: { receiptId: receipt.id }
+        });
+    }
+
+    // Payment rows keep the number of the first receipt issued against them
+    if (paymentId) {
+        await tx.payment.updateMany({
+            where: { id: paymentId, receiptNumber: null },
+            data: { receiptNumber }
+        });
+    }
+
+    return receipt;
+};
+
+/**
+ * Link a receipt issued before its payment row existed to that payment
+ */
+const attachReceiptToPayment = async (tx, receipt, paymentId) => {
+    await tx.paymentReceipt.update({
+        where: { id: receipt.id },
+        data: { paymentId }
+    });
+
+    await tx.payment.updateMany({
+        where: { id: paymentId, receiptNumber: null },
+        data: { receiptNumber: receipt.receiptNumber }
+    });
+};
+
+/**
+ * Void the receipts of a payment that is about to be deleted
+ *
+ * A receipt that also covers other payments' Transactions (one receipt of
+ * money settling several charges) is replaced: the old number is voided and
+ * a new receipt is issued for the lines that remain, keeping the original
+ * date, collector and cash shift.
+ *
+ * @returns {Array} [{ voided, replacement }] receipt numbers
+ */
+const voidReceiptsForPayment = async (tx, paymentId, reason) => {
+    const transactions = await tx.transaction.findMany({
+        where: { paymentId, receiptId: { not: null } },
+        select: { receiptId: true }
+    });
+
+    const receiptIds = [...new Set(transactions.map((t) => t.receiptId))];
+    const receipts = await tx.paymentReceipt.findMany({
+        where: {
+            voidedAt: null,
+            OR: [{ paymentId }, { id: { in: receiptIds } }]
+        },
+        include: {
+            transactions: {
+                where: { OR: [{ paymentId: null }, { paymentId: { not: paymentId } }] },
+                select: { id: true, paymentId: true, amount: true }
+            }
+        }
+    });
+
+    const results = [];
+    for (const receipt of receipts) {
+        let replacement = null;
+        if (receipt.transactions.length) {
+            const keptPaymentId = receipt.paymentId && receipt.paymentId !== paymentId
+                ? receipt.paymentId
+                : receipt.transactions.find((t) => t.paymentId)?.paymentId || null;
+
+            replacement = await issueReceipt(tx, {
+                hostelId: receipt.hostelId,
+                tenantId: receipt.tenantId,
+                paymentId: keptPaymentId,
+                amount: receipt.transactions.reduce((sum, t) => sum + (t.amount || 0), 0),
+                paymentMethod: receipt.paymentMethod,
+                source: receipt.source,
+                reference: receipt.reference,
+                issuedBy: receipt.issuedBy,
+                issuedAt: receipt.issuedAt,
+                cashShiftId: receipt.cashShiftId,
+                transactionIds: receipt.transactions.map((t) => t.id)
+            });
+
+            // The payment that showed the old number shows the new one
+            await tx.payment.updateMany({
+                where: { receiptNumber: receipt.receiptNumber, id: { not: paymentId } },
+                data: { receiptNumber: replacement.receiptNumber }
+            });
+        }
+
+        const voidReason = [reason, replacement ? `replaced by ${replacement.receiptNumber}` : null].filter(Boolean).join('; ');
+
+        // The bank line matched to the old receipt no longer agrees with it
+        await tx.bankStatementLine.updateMany({
+            where: { receiptId: receipt.id },
+            data: {
+                status: 'unmatched',
+                matchType: null,
+                receiptId: null,
+                matchScore: null,
+                matchedBy: null,
+                matchedAt: null,
+                matchNote: `Receipt ${receipt.receiptNumber} was voided`
+            }
+        });
+
+        await tx.paymentReceipt.update({
+            where: { id: receipt.id },
+            data: {
+                voidedAt: new Date(),
+                voidReason: voidReason ? voidReason.slice(0, 500) : null
+            }
+        });
+
+        results.push({ voided: receipt.receiptNumber, replacement: replacement?.receiptNumber || null });
+    }
+
+    return results;
+};
+
+const formatMoney = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-GB') : '-');
+
+// Only local image files under the project (e.g. /uploads/...) can be embedded
+const resolveLogoPath = (logo) => {
+    if (!logo || /^https?:\/\//i.test(logo)) return null;
+    const filePath = path.join(__dirname, '..', String(logo).replace(/^\/+/, ''));
+    return /\.(png|jpe?g)$/i.test(filePath) && fs.existsSync(filePath) ? filePath : null;
+};
+
+/**
+ * RENDER RECEIPT PDF
+ * ==================
+ * @param {PDFDocument} doc - pdfkit document (caller pipes and ends it)
+ * @param {Object} receipt - PaymentReceipt with hostel, tenant, issuer and transactions.payment
+ * @param {Object} branding - { companyName, companyLogo, primaryPhone, primaryEmail }
+ */
+const renderReceiptPdf = (doc, receipt, branding = {}) => {
+    const logoPath = resolveLogoPath(branding.companyLogo);
+    if (logoPath) {
+        doc.image(logoPath, 50, 45, { fit: [60, 60] });
+    }
+
+    doc.fontSize(18).text(branding.companyName || receipt.hostel?.name || 'Hostel Management', { align: 'center' });
+    if (branding.companyName && receipt.hostel?.name) {
+        doc.fontSize(11).text(receipt.hostel.name, { align: 'center' });
+    }
+    const contact = [branding.primaryPhone, branding.primaryEmail].filter(Boolean).join('  |  ');
+    if (contact) {
+        doc.fontSize(9).text(contact, { align: 'center' });
+    }
+
+    doc.moveDown();
+    doc.fontSize(14).text('PAYMENT RECEIPT', { align: 'center' });
+    if (receipt.voidedAt) {
+        doc.fillColor('red').fontSize(12).text(`VOID - ${receipt.voidReason || 'payment removed'}`, { align: 'center' }).fillColor('black');
+    }
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Receipt No: ${receipt.receiptNumber}`);
+    doc.text(`Date: ${formatDate(receipt.issuedAt)}`);
+    doc.text(`Received from: ${receipt.tenant?.name || '-'}${receipt.tenant?.phone ? ` (${receipt.tenant.phone})` : ''}`);
+    doc.text(`Payment method: ${receipt.paymentMethod || '-'}`);
+    if (receipt.reference) {
+        doc.text(`Reference: ${receipt.reference}`);
+    }
+    doc.moveDown();
+
+    // Lines
+    const tableTop = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Description', 50, tableTop);
+    doc.text('Period', 300, tableTop);
+    doc.text('Amount', 430, tableTop, { width: 110, align: 'right' });
+    doc.font('Helvetica');
+    doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).stroke();
+    doc.moveDown(0.5);
+
+    const lines = receipt.transactions?.length
+        ? receipt.transactions
+        : [{ amount: receipt.amount, payment: receipt.payment }];
+
+    lines.forEach((line) => {
+        const y = doc.y;
+        const type = line.payment?.paymentType || 'payment';
+        const label = type.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+        doc.text(line.payment?.id ? `${label} (#${line.payment.id})` : label, 50, y, { width: 240 });
+        doc.text(line.payment?.forMonth || '-', 300, y);
+        doc.text(formatMoney(line.amount), 430, y, { width: 110, align: 'right' });
+        doc.moveDown(0.3);
+    });
+
+    doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).stroke();
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text(`Total received: ${formatMoney(receipt.amount)}`, 50, doc.y, { width: 490, align: 'right' });
+    doc.font('Helvetica');
+
+    doc.moveDown(2);
+    doc.fontSize(9).text(`Issued by: ${receipt.issuer?.username || (receipt.source === 'stripe' ? 'Online payment (Stripe)' : '-')}`);
+    doc.text(`Generated on: ${new Date().toLocaleString()}`, { align: 'right' });
+};
+
+module.exports = {
+    formatReceiptNumber,
+    issueReceipt,
+    attachReceiptToPayment,
+    voidReceiptsForPayment,
+    renderReceiptPdf
+};
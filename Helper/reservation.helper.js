@@ -0,0 +1,155 @@
+/**
+ * ======================================
+ * RESERVATION EXPIRY HELPER
+ * ======================================
+ *
+ * Releases holds that were never taken up:
+ *
+ * 1. Beds with status "reserved" whose reservationExpiry has passed go back
+ *    to "available" and lose their reservedById / reservationExpiry.
+ * 2. Bookings still "pending" with nothing paid are marked "expired" once
+ *    they are older than the hold window. A bed reserved for such a booking
+ *    is released the same way cancelBooking releases it.
+ *
+ * Releasing a bed also undoes what the hold did to its room: a room marked
+ * "reserved" goes back to "vacant" or "occupied" (from its occupiedBeds)
+ * once none of its beds are reserved. Reservations never add to the
+ * occupiedBeds counters of rooms, floors or hostels, so those are left alone.
+ *
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * booking_hold_hours - Hours an unpaid pending booking is held (default: 24)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_HOLD_HOURS = 24;
+
+/**
+ * Where-clause for beds whose reservation has lapsed
+ */
+const expiredReservationFilter = (now = new Date()) => ({
+    status: 'reserved',
+    reservationExpiry: { lt: now }
+});
+
+/**
+ * Release a reserved bed and restore its room's status.
+ * Returns false when the bed is no longer reserved.
+ */
+const releaseBedReservation = async (tx, bedId) => {
+    const released = await tx.bed.updateMany({
+        where: { id: bedId, status: 'reserved' },
+        data: {
+            status: 'available',
+            reservedById: null,
+            reservationExpiry: null
+        }
+    });
+
+    if (!released.count) {
+        return false;
+    }
+
+    const bed = await tx.bed.findUnique({
+        where: { id: bedId },
+        select: {
+            roomId: true,
+            room: { select: { status: true, occupiedBeds: true } }
+        }
+    });
+
+    if (bed.room.status === 'reserved') {
+        const stillReserved = await tx.bed.count({
+            where: { roomId: bed.roomId, status: 'reserved' }
+        });
+
+        if (!stillReserved) {
+            await tx.room.update({
+                where: { id: bed.roomId },
+                data: { status: bed.room.occupiedBeds > 0 ? 'occupied' : 'vacant' }
+            });
+        }
+    }
+
+    return true;
+};
+
+/**
+ * EXPIRE RESERVATIONS
+ * ===================
+ * @param {Object} options
+ * @param {Date} options.now - Reference time (default: now)
+ * @param {Boolean} options.dryRun - Only list what would be released
+ * @returns {Object} { holdHours, releasedBeds, expiredBookings }
+ */
+const expireReservations = async ({ now = new Date(), dryRun = false } = {}) => {
+    const holdHours = Math.max(await getNumericSetting('booking_hold_hours', DEFAULT_HOLD_HOURS), 0);
+    const holdCutoff = new Date(now.getTime() - holdHours * HOUR_MS);
+
+    // 1. Lapsed bed reservations
+    const lapsedBeds = await prisma.bed.findMany({
+        where: expiredReservationFilter(now),
+        select: { id: true, bedNumber: true, roomId: true, reservedById: true, reservationExpiry: true }
+    });
+
+    const releasedBeds = [];
+    for (const bed of lapsedBeds) {
+        if (dryRun || await prisma.$transaction((tx) => releaseBedReservation(tx, bed.id))) {
+            releasedBeds.push({ ...bed, reason: 'reservation_expired' });
+        }
+    }
+
+    // 2. Unpaid pending bookings past the hold window
+    const staleBookings = await prisma.booking.findMany({
+        where: {
+            status: 'pending',
+            paymentStatus: 'pending',
+            OR: [{ advancePaid: null }, { advancePaid: { lte: 0 } }],
+            createdAt: { lt: holdCutoff }
+        },
+        select: { id: true, bookingCode: true, bedId: true, hostelId: true, createdAt: true, remarks: true }
+    });
+
+    const expiredBookings = [];
+    for (const booking of staleBookings) {
+        if (dryRun) {
+            expiredBookings.push({ id: booking.id, bookingCode: booking.bookingCode, bedId: booking.bedId, createdAt: booking.createdAt });
+            continue;
+        }
+
+        const bedReleased = await prisma.$transaction(async (tx) => {
+            // Skip bookings paid or changed since they were read
+            const expired = await tx.booking.updateMany({
+                where: { id: booking.id, status: 'pending', paymentStatus: 'pending' },
+                data: {
+                    status: 'expired',
+                    remarks: booking.remarks
+                        ? `${booking.remarks}\nExpired: unpaid after ${holdHours} hour hold`
+                        : `Expired: unpaid after ${holdHours} hour hold`
+                }
+            });
+
+            if (!expired.count) return null;
+
+            return booking.bedId ? releaseBedReservation(tx, booking.bedId) : false;
+        });
+
+        if (bedReleased === null) continue;
+
+        expiredBookings.push({ id: booking.id, bookingCode: booking.bookingCode, bedId: booking.bedId, createdAt: booking.createdAt });
+        if (bedReleased) {
+            releasedBeds.push({ id: booking.bedId, reason: 'booking_expired', bookingId: booking.id });
+        }
+    }
+
+    return { holdHours, dryRun, releasedBeds, expiredBookings };
+};
+
+module.exports = {
+    expiredReservationFilter,
+    releaseBedReservation,
+    expireReservations
+};
@@ -0,0 +1,305 @@
+/**
+ * ======================================
+ * SCHEDULED JOB DEFINITIONS
+ * ======================================
+ *
+ * Recurring operations run by the scheduler (see scheduler.helper.js).
+ * Each definition is stored as a ScheduledJob row under its key the first
+ * time the scheduler starts; admins can then change the interval or disable
+ * the job without a deploy.
+ *
+ * A handler receives { now, trigger } and returns a small JSON summary that
+ * is kept on the JobRun. Handlers must be safe to run again: a failed or
+ * manual run is followed by the next scheduled one.
+ */
+
+const { prisma } = require('../config/db');
+const { generateRentInvoices, toBillingMonth } = require('./billing.helper');
+const { assessLateFees } = require('./late-fee.helper');
+const { computeFPARecord, saveFPARecord } = require('./fpa.helper');
+const { expireReservations } = require('./reservation.helper');
+const { processWaitlist } = require('./waitlist.helper');
+const { reconcileOccupancy } = require('./occupancy.helper');
+const { processPreventivePlans } = require('./preventive-maintenance.helper');
+const { processAlertSla } = require('./alert-sla.helper');
+const { processVendorContracts } = require('./vendor-contract.helper');
+const { refreshVendorScores } = require('./vendor-score.helper');
+const { recordAlertActivity } = require('./alert-activity.helper');
+const { getNumericSetting } = require('./setting.helper');
+
+const OPEN_ALERT_STATUSES = ['pending', 'in_progress'];
+const ESCALATE_PRIORITIES = ['low', 'medium'];
+
+/**
+ * Bill rent for the current month. Allocations already billed are skipped,
+ * so running daily also picks up tenants who checked in since the last run.
+ */
+const runRentInvoices = async ({ now }) => {
+    const result = await generateRentInvoices({ forMonth: toBillingMonth(now) });
+
+    return {
+        forMonth: result.forMonth,
+        created: result.created.length,
+        skipped: result.skipped.length,
+        totalAmount: result.totalAmount
+    };
+};
+
+/**
+ * Mark late charges overdue and raise late fees
+ */
+const runLateFees = async ({ now }) => {
+    const result = await assessLateFees({ asOf: now });
+
+    return {
+        markedOverdue: result.markedOverdue.length,
+        lateFees: result.lateFees.length,
+        totalLateFees: result.totalLateFees
+    };
+};
+
+/**
+ * Flag open alerts that are past their due date. Each alert is flagged once:
+ * metadata.overdueSince is stamped and low/medium priority is raised to high.
+ */
+const runOverdueAlerts = async ({ now }) => {
+    const alerts = await prisma.alert.findMany({
+        where: {
+            status: { in: OPEN_ALERT_STATUSES },
+            dueDate: { lt: now }
+        },
+        select: { id: true, priority: true, metadata: true }
+    });
+
+    let flagged = 0;
+    for (const alert of alerts) {
+        const metadata = alert.metadata && typeof alert.metadata === 'object' && !Array.isArray(alert.metadata)
+            ? alert.metadata
+            : {};
+        if (metadata.overdueSince) continue;
+
+        await prisma.alert.update({
+            where: { id: alert.id },
+            data: {
+                metadata: { ...metadata, overdueSince: now.toISOString() },
+                ...(ESCALATE_PRIORITIES.includes(alert.priority) ? { priority: 'high' } : {})
+            }
+        });
+        if (ESCALATE_PRIORITIES.includes(alert.priority)) {
+            await recordAlertActivity({ alertId: alert.id, type: 'priority_change', fromValue: alert.priority, toValue: 'high', message: 'Past its due date' });
+        }
+        flagged += 1;
+    }
+
+    return { overdue: alerts.length, flagged };
+};
+
+/**
+ * Give new alerts their SLA deadlines and escalate the ones that missed them
+ */
+const runAlertSla = async ({ now }) => processAlertSla({ now });
+
+/**
+ * Release lapsed bed reservations and expire unpaid pending bookings
+ */
+const runReservationExpiry = async ({ now }) => {
+    const result = await expireReservations({ now });
+
+    return {
+        holdHours: result.holdHours,
+        releasedBeds: result.releasedBeds.length,
+        expiredBookings: result.expiredBookings.length
+    };
+};
+
+/**
+ * Pass lapsed waitlist offers on and offer free beds to waiting prospects
+ */
+const runWaitlistOffers = async ({ now }) => {
+    const result = await processWaitlist({ now });
+
+    return {
+        lapsedOffers: result.lapsedOffers.length,
+        expiredEntries: result.expiredEntries,
+        offers: result.offers.length
+    };
+};
+
+/**
+ * Raise the maintenance alerts of preventive plans whose next occurrence is
+ * within its lead time
+ */
+const runPreventiveMaintenance = async ({ now }) => {
+    const result = await processPreventivePlans({ now });
+
+    return {
+        plans: result.plans,
+        alerts: result.alerts.length
+    };
+};
+
+/**
+ * Remind managers of vendor contracts nearing their end date, then renew or
+ * expire the contracts that reached it
+ */
+const runVendorContracts = async ({ now }) => {
+    const result = await processVendorContracts({ now });
+
+    return {
+        alerts: result.alerts.length,
+        renewed: result.renewed.length,
+        expired: result.expired.length
+    };
+};
+
+/**
+ * Recompute vendor scorecards for the current and previous month and the
+ * rolling performance score used to rank vendors
+ */
+const runVendorScores = async ({ now }) => refreshVendorScores({ now });
+
+/**
+ * Check occupancy counters against active allocations for every hostel;
+ * repairs only when the occupancy_auto_repair setting is 1
+ */
+const runOccupancyCheck = async () => {
+    const repair = (await getNumericSetting('occupancy_auto_repair', 0)) === 1;
+    const result = await reconcileOccupancy({ repair });
+
+    return {
+        repair,
+        hostels: result.summary.hostels,
+        issues: result.summary.issues,
+        repaired: result.summary.repaired,
+        needsReview: result.summary.needsReview
+    };
+};
+
+/**
+ * Refresh the FPA rows of the current and previous month, per hostel and
+ * for all hostels together. The previous month is included so late entries
+ * made after month end are picked up.
+ */
+const runFPASnapshots = async ({ now }) => {
+    const current = { month: now.getMonth() + 1, year: now.getFullYear() };
+    const previous = current.month === 1
+        ? { month: 12, year: current.year - 1 }
+        : { month: current.month - 1, year: current.year };
+
+    const hostels = await prisma.hostel.findMany({ select: { id: true } });
+    const hostelIds = [null, ...hostels.map((hostel) => hostel.id)];
+
+    let saved = 0;
+    for (const period of [previous, current]) {
+        for (const hostelId of hostelIds) {
+            await saveFPARecord(await computeFPARecord({ ...period, hostelId }));
+            saved += 1;
+        }
+    }
+
+    return { months: [previous, current], hostels: hostels.length, saved };
+};
+
+/**
+ * Job definitions
+ * key             - ScheduledJob.key
+ * intervalMinutes - Default interval, used when the job is first stored
+ * lockMinutes     - How long a run may hold the lock before another instance may take over
+ */
+const JOB_DEFINITIONS = [
+    {
+        key: 'rent_invoices',
+        name: 'Generate rent invoices',
+        description: 'Bills rent for the current month for every active allocation not yet billed.',
+        intervalMinutes: 24 * 60,
+        lockMinutes: 60,
+        handler: runRentInvoices
+    },
+    {
+        key: 'late_fees',
+        name: 'Assess late fees',
+        description: 'Marks rent charges past their grace period overdue and raises late fees.',
+        intervalMinutes: 24 * 60,
+        lockMinutes: 60,
+        handler: runLateFees
+    },
+    {
+        key: 'overdue_alerts',
+        name: 'Flag overdue alerts',
+        description: 'Flags open alerts past their due date and raises their priority to high.',
+        intervalMinutes: 60,
+        lockMinutes: 15,
+        handler: runOverdueAlerts
+    },
+    {
+        key: 'alert_sla',
+        name: 'Escalate alert SLA breaches',
+        description: 'Stamps new alerts with their SLA deadlines; alerts not acknowledged or resolved in time are raised one priority level and reassigned to the hostel manager.',
+        intervalMinutes: 15,
+        lockMinutes: 10,
+        handler: runAlertSla
+    },
+    {
+        key: 'reservation_expiry',
+        name: 'Expire reservations',
+        description: 'Releases beds whose reservation has lapsed and expires unpaid pending bookings past the hold window.',
+        intervalMinutes: 15,
+        lockMinutes: 15,
+        handler: runReservationExpiry
+    },
+    {
+        key: 'waitlist_offers',
+        name: 'Process waitlist',
+        description: 'Passes lapsed waitlist offers to the next prospect and offers free beds to waiting prospects.',
+        intervalMinutes: 15,
+        lockMinutes: 15,
+        handler: runWaitlistOffers
+    },
+    {
+        key: 'preventive_maintenance',
+        name: 'Raise preventive maintenance alerts',
+        description: 'Creates a maintenance alert for each preventive plan occurrence that is within the plan\'s lead days.',
+        intervalMinutes: 6 * 60,
+        lockMinutes: 30,
+        handler: runPreventiveMaintenance
+    },
+    {
+        key: 'vendor_contracts',
+        name: 'Process vendor contracts',
+        description: 'Raises renewal alerts for vendor contracts within their notice days, auto-renews contracts that reached their end date and expires the rest.',
+        intervalMinutes: 24 * 60,
+        lockMinutes: 30,
+        handler: runVendorContracts
+    },
+    {
+        key: 'vendor_scores',
+        name: 'Refresh vendor scorecards',
+        description: 'Scores vendors for the current and previous month from work orders, reopened jobs, response times, bill disputes and manual ratings, and updates their ranking score.',
+        intervalMinutes: 24 * 60,
+        lockMinutes: 30,
+        handler: runVendorScores
+    },
+    {
+        key: 'occupancy_check',
+        name: 'Check occupancy counters',
+        description: 'Recomputes bed, room, floor and hostel occupancy from active allocations and reports mismatches; repairs them when occupancy_auto_repair is 1.',
+        intervalMinutes: 24 * 60,
+        lockMinutes: 30,
+        handler: runOccupancyCheck
+    },
+    {
+        key: 'fpa_snapshots',
+        name: 'Refresh FP&A snapshots',
+        description: 'Recomputes the FP&A rows of the current and previous month for each hostel.',
+        intervalMinutes: 24 * 60,
+        lockMinutes: 30,
+        handler: runFPASnapshots
+    }
+];
+
+const getJobDefinition = (key) => JOB_DEFINITIONS.find((definition) => definition.key === key) || null;
+
+module.exports = {
+    JOB_DEFINITIONS,
+    getJobDefinition
+};
@@ -0,0 +1,253 @@
+/**
+ * ======================================
+ * JOB SCHEDULER
+ * ======================================
+ *
+ * Runs the jobs in scheduled-jobs.helper.js inside the API process. Every
+ * minute each instance looks for enabled jobs whose nextRunAt has passed.
+ *
+ * LOCKING
+ * =======
+ * Several API instances may share the database, so a job is claimed with a
+ * conditional update on ScheduledJob (lockedBy / lockedUntil). Only the
+ * instance whose update matched runs it. The lock expires after the job's
+ * lockMinutes, so a crashed instance does not block the job forever; its
+ * unfinished run is then marked failed.
+ *
+ * Every run, scheduled or manual, is recorded as a JobRun with its outcome.
+ * Set DISABLE_SCHEDULER=true to keep an instance from running scheduled jobs
+ * (manual triggers through the API still work).
+ */
+
+const os = require('os');
+const { prisma } = require('../config/db');
+const { JOB_DEFINITIONS, getJobDefinition } = require('./scheduled-jobs.helper');
+
+const MINUTE_MS = 60 * 1000;
+const TICK_MS = MINUTE_MS;
+const DEFAULT_LOCK_MINUTES = 30;
+const MAX_ERROR_LENGTH = 5000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Store any job definition that has no ScheduledJob row yet. Existing rows
+ * keep their interval and enabled flag; name and description follow the code.
+ */
+const syncJobDefinitions = async () => {
+    const now = new Date();
+
+    for (const definition of JOB_DEFINITIONS) {
+        await prisma.scheduledJob.upsert({
+            where: { key: definition.key },
+            create: {
+                key: definition.key,
+                name: definition.name,
+                description: definition.description,
+                intervalMinutes: definition.intervalMinutes,
+                nextRunAt: now
+            },
+            update: {
+                name: definition.name,
+                description: definition.description
+            }
+        });
+    }
+};
+
+/**
+ * Claim the job for this instance. Returns false when another instance holds
+ * a lock that has not expired. A scheduled run also requires the job to be
+ * still enabled and due: another instance may have run it and moved
+ * nextRunAt on since the due jobs were listed.
+ */
+const acquireLock = async (job, definition, now, trigger = 'schedule') => {
+    const lockMinutes = definition.lockMinutes || DEFAULT_LOCK_MINUTES;
+
+    const claimed = await prisma.scheduledJob.updateMany({
+        where: {
+            id: job.id,
+            ...(trigger === 'schedule' ? { isEnabled: true, nextRunAt: { lte: now } } : {}),
+            OR: [
+                { lockedUntil: null },
+                { lockedUntil: { lt: now } }
+            ]
+        },
+        data: {
+            lockedBy: INSTANCE_ID,
+            lockedUntil: new Date(now.getTime() + lockMinutes * MINUTE_MS)
+        }
+    });
+
+    if (!claimed.count) {
+        return false;
+    }
+
+    // A run still "running" under an expired lock was abandoned by its instance
+    await prisma.jobRun.updateMany({
+        where: { jobId: job.id, status: 'running' },
+        data: {
+            status: 'failed',
+            finishedAt: now,
+            error: 'Abandoned: the instance running this job stopped before it finished'
+        }
+    });
+
+    return true;
+};
+
+const formatError = (error) =>
+    String(error?.stack || error?.message || error).slice(0, MAX_ERROR_LENGTH);
+
+/**
+ * RUN JOB
+ * =======
+ * @param {String} key - Job key
+ * @param {Object} options
+ * @param {String} options.trigger - "schedule" | "manual"
+ * @param {Number} options.userId - User who triggered a manual run
+ * @returns {Object} { run, skipped, lockedBy }
+ */
+const runJob = async (key, { trigger = 'schedule', userId = null } = {}) => {
+    const definition = getJobDefinition(key);
+    if (!definition) {
+        throw new Error(`Unknown job "${key}"`);
+    }
+
+    let job = await prisma.scheduledJob.findUnique({ where: { key } });
+    if (!job) {
+        await syncJobDefinitions();
+        job = await prisma.scheduledJob.findUnique({ where: { key } });
+    }
+
+    const startedAt = new Date();
+    if (!(await acquireLock(job, definition, startedAt, trigger))) {
+        const current = await prisma.scheduledJob.findUnique({
+            where: { id: job.id },
+            select: { lockedBy: true }
+        });
+        return { run: null, skipped: true, lockedBy: current?.lockedBy || null };
+    }
+
+    let run = await prisma.jobRun.create({
+        data: {
+            jobId: job.id,
+            trigger,
+            status: 'running',
+            instanceId: INSTANCE_ID,
+            triggeredBy: userId,
+            startedAt
+        }
+    });
+
+    let status = 'succeeded';
+    let result = null;
+    let error = null;
+
+    try {
+        result = await definition.handler({ now: startedAt, trigger });
+    } catch (err) {
+        console.error(`⏰ Job "${key}" failed:`, err);
+        status = 'failed';
+        error = formatError(err);
+    }
+
+    const finishedAt = new Date();
+
+    try {
+        run = await prisma.jobRun.update({
+            where: { id: run.id },
+            data: {
+                status,
+                finishedAt,
+                durationMs: finishedAt - startedAt,
+                result: result ?? undefined,
+                error
+            }
+        });
+    } finally {
+        // Manual runs leave the schedule as it was
+        await prisma.scheduledJob.updateMany({
+            where: { id: job.id, lockedBy: INSTANCE_ID },
+            data: {
+                lockedBy: null,
+                lockedUntil: null,
+                lastRunAt: startedAt,
+                lastStatus: status,
+                ...(trigger === 'schedule'
+                    ? { nextRunAt: new Date(startedAt.getTime() + job.intervalMinutes * MINUTE_MS) }
+                    : {})
+            }
+        });
+    }
+
+    return { run, skipped: false, lockedBy: null };
+};
+
+/**
+ * Run every enabled job that is due, one after another
+ */
+const runDueJobs = async () => {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        const dueJobs = await prisma.scheduledJob.findMany({
+            where: {
+                isEnabled: true,
+                nextRunAt: { lte: new Date() }
+            },
+            select: { key: true },
+            orderBy: { nextRunAt: 'asc' }
+        });
+
+        for (const job of dueJobs) {
+            if (!getJobDefinition(job.key)) continue;
+            await runJob(job.key, { trigger: 'schedule' });
+        }
+    } catch (err) {
+        console.error('⏰ Scheduler tick failed:', err.message);
+    } finally {
+        ticking = false;
+    }
+};
+
+/**
+ * Start the scheduler loop (called once from app.js)
+ */
+const startScheduler = async () => {
+    if (timer || process.env.DISABLE_SCHEDULER === 'true') {
+        return;
+    }
+
+    try {
+        await syncJobDefinitions();
+    } catch (err) {
+        console.error('⏰ Could not register scheduled jobs:', err.message);
+    }
+
+    timer = setInterval(runDueJobs, TICK_MS);
+    timer.unref();
+    console.log(`⏰ Scheduler started on ${INSTANCE_ID}`);
+
+    runDueJobs();
+};
+
+const stopScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    INSTANCE_ID,
+    syncJobDefinitions,
+    runJob,
+    runDueJobs,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,83 @@
+/**
+ * ======================================
+ * SEQUENCE NUMBER HELPER
+ * ======================================
+ *
+ * Document numbers run per month under a short code: WO25100001 for the
+ * first work order of October 2025. The next number is the highest one
+ * issued this month plus one.
+ *
+ * Two requests can read the same highest number, so every numbered model
+ * keeps its number column unique and records are created through
+ * createWithSequenceNumber, which takes the next number again when the
+ * insert collides. Inside a transaction the read may not see the row that
+ * won, so a retry never goes below the number that collided.
+ */
+
+const DEFAULT_DIGITS = 4;
+const MAX_ATTEMPTS = 5;
+
+const sequencePrefix = (code, date = new Date()) => (
+    `${code}${date.getFullYear().toString().slice(-2)}${String(date.getMonth() + 1).padStart(2, '0')}`
+);
+
+/**
+ * Next free number for the current month, e.g. "WO25100001"
+ *
+ * @param {Object} delegate - Prisma model delegate (client.maintenanceWorkOrder)
+ * @param {String} field - Unique number column
+ * @param {String} code - Prefix code ("WO")
+ * @param {Object} options
+ * @param {Number} options.digits - Width of the running number (default: 4)
+ * @param {Number} options.minimum - Lowest running number to hand out
+ * @returns {String}
+ */
+const generateSequenceNumber = async (delegate, field, code, { digits = DEFAULT_DIGITS, minimum = 1 } = {}) => {
+    const prefix = sequencePrefix(code);
+
+    const last = await delegate.findFirst({
+        where: { [field]: { startsWith: prefix } },
+        orderBy: { [field]: 'desc' },
+        select: { [field]: true }
+    });
+
+    const next = last ? (parseInt(last[field].slice(prefix.length), 10) || 0) + 1 : 1;
+    return `${prefix}${String(Math.max(next, minimum)).padStart(digits, '0')}`;
+};
+
+const isSequenceCollision = (error, field) => {
+    if (error?.code !== 'P2002') return false;
+    const target = [].concat(error.meta?.target || []).join(',');
+    return !target || target.includes(field);
+};
+
+/**
+ * Create a record under the next free number, taking a new number when a
+ * concurrent request claimed it first
+ *
+ * @param {Object} delegate - Prisma model delegate (tx.maintenanceWorkOrder)
+ * @param {String} field - Unique number column
+ * @param {String} code - Prefix code ("WO")
+ * @param {Object} args - create() arguments; the number is added to args.data
+ * @param {Object} options
+ * @param {Number} options.digits - Width of the running number (default: 4)
+ * @returns {Object} The created record
+ */
+const createWithSequenceNumber = async (delegate, field, code, args, { digits = DEFAULT_DIGITS } = {}) => {
+    let minimum = 1;
+
+    for (let attempt = 1; ; attempt++) {
+        const number = await generateSequenceNumber(delegate, field, code, { digits, minimum });
+        try {
+            return await delegate.create({ ...args, data: { ...args.data, [field]: number } });
+        } catch (error) {
+            if (!isSequenceCollision(error, field) || attempt >= MAX_ATTEMPTS) throw error;
+            minimum = (parseInt(number.slice(sequencePrefix(code).length), 10) || 0) + 1;
+        }
+    }
+};
+
+module.exports = {
+    generateSequenceNumber,
+    createWithSequenceNumber
+};
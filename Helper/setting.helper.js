@@ -0,0 +1,25 @@
+const { prisma } = require('../config/db');
+
+/**
+ * Read a numeric value from the key-value Setting table.
+ * Falls back to the given default when the key is missing or not a number.
+ *
+ * @param {String} key - Setting key (e.g. "rent_due_day")
+ * @param {Number} fallback - Value used when the setting is absent or invalid
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Number}
+ */
+const getNumericSetting = async (key, fallback, client = prisma) => {
+    try {
+        const setting = await client.setting.findUnique({ where: { key } });
+        if (!setting) return fallback;
+
+        const value = Number(setting.value);
+        return Number.isFinite(value) ? value : fallback;
+    } catch (err) {
+        console.warn(`⚠️ Could not read setting "${key}":`, err.message);
+        return fallback;
+    }
+};
+
+module.exports = { getNumericSetting };
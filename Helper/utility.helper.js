@@ -0,0 +1,332 @@
+/**
+ * ======================================
+ * UTILITY METERING HELPER
+ * ======================================
+ *
+ * Electricity and water are metered per room (sub-meter) or per floor
+ * (shared meter). Each reading covers the period since the previous one:
+ *
+ *   amount = (currentReading - previousReading) * unitRate + fixedCharge
+ *
+ * The amount is split among the tenants whose allocations overlap the
+ * period, weighted by the nights each one occupied a bed served by the
+ * meter (check-in night counted, check-out night not). Billing a reading
+ * creates one pending charge per tenant, of the meter's utility type, and
+ * posts it to the tenant ledger.
+ *
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * electricity_unit_rate - Default tariff per unit when a meter has none
+ * water_unit_rate       - Default tariff per unit when a meter has none
+ * utility_due_days      - Days after billing that utility charges fall due (default: 7)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount, startOfUtcDay } = require('../utils/normalize');
+const { toBillingMonth } = require('./billing.helper');
+const {
+    postLedgerEntry,
+    settleOpenCharges,
+    refreshAllocationPaymentStatus,
+    syncTenantBalances
+} = require('./ledger.helper');
+const { syncChargeJournal } = require('./general-ledger.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DUE_DAYS = 7;
+
+const UNIT_RATE_SETTINGS = {
+    electricity: 'electricity_unit_rate',
+    water: 'water_unit_rate'
+};
+
+// Allocations that may have occupied a bed during a past period
+const SPLIT_ALLOCATION_STATUSES = ['active', 'checked_out', 'transferred'];
+
+/**
+ * Tariff for a meter: its own unit rate, else the setting for its utility
+ */
+const resolveUnitRate = async (meter, client = prisma) => {
+    if (meter.unitRate !== null && meter.unitRate !== undefined) {
+        return Number(meter.unitRate);
+    }
+    return getNumericSetting(UNIT_RATE_SETTINGS[meter.utilityType], 0, client);
+};
+
+/**
+ * Nights an allocation occupied its bed within [start, end)
+ */
+const countOccupiedNights = (allocation, start, end) => {
+    const checkIn = startOfUtcDay(allocation.checkInDate);
+    const from = checkIn > start ? checkIn : start;
+
+    let to = end;
+    if (allocation.checkOutDate) {
+        const checkOut = startOfUtcDay(allocation.checkOutDate);
+        if (checkOut < to) to = checkOut;
+    }
+
+    return Math.max(Math.round((to - from) / DAY_MS), 0);
+};
+
+/**
+ * SPLIT READING
+ * =============
+ * Shares of a reading's amount per overlapping allocation, weighted by
+ * nights occupied. Shares are rounded to cents; the rounding difference
+ * goes to the largest share so they always add up to the total.
+ *
+ * @returns {Object} { totalOccupiedDays, shares: [{ allocationId, tenantId, tenantName, roomNumber, daysOccupied, share }] }
+ */
+const splitMeterReading = async (meter, reading, client = prisma) => {
+    const periodStart = startOfUtcDay(reading.periodStart);
+    const periodEnd = startOfUtcDay(reading.periodEnd);
+
+    const where = {
+        hostelId: meter.hostelId,
+        status: { in: SPLIT_ALLOCATION_STATUSES },
+        checkInDate: { lt: periodEnd },
+        OR: [
+            { checkOutDate: null },
+            { checkOutDate: { gt: periodStart } }
+        ]
+    };
+
+    if (meter.scope === 'room') {
+        where.roomId = meter.roomId;
+    } else {
+        where.floorId = meter.floorId;
+    }
+
+    const allocations = await client.allocation.findMany({
+        where,
+        select: {
+            id: true,
+            tenantId: true,
+            checkInDate: true,
+            checkOutDate: true,
+            tenant: { select: { name: true } },
+            room: { select: { roomNumber: true } }
+        },
+        orderBy: { id: 'asc' }
+    });
+
+    const occupants = allocations
+        .map((allocation) => ({
+            allocationId: allocation.id,
+            tenantId: allocation.tenantId,
+            tenantName: allocation.tenant?.name || null,
+            roomNumber: allocation.room?.roomNumber || null,
+            daysOccupied: countOccupiedNights(allocation, periodStart, periodEnd)
+        }))
+        .filter((occupant) => occupant.daysOccupied > 0);
+
+    const totalOccupiedDays = occupants.reduce((sum, occupant) => sum + occupant.daysOccupied, 0);
+    if (!totalOccupiedDays) {
+        return { totalOccupiedDays: 0, shares: [] };
+    }
+
+    const shares = occupants.map((occupant) => ({
+        ...occupant,
+        share: roundAmount((reading.totalAmount * occupant.daysOccupied) / totalOccupiedDays)
+    }));
+
+    const difference = roundAmount(reading.totalAmount - shares.reduce((sum, s) => sum + s.share, 0));
+    if (difference !== 0) {
+        const largest = shares.reduce((max, s) => (s.share > max.share ? s : max), shares[0]);
+        largest.share = roundAmount(largest.share + difference);
+    }
+
+    return { totalOccupiedDays, shares };
+};
+
+/**
+ * RECORD METER READING
+ * ====================
+ * The period runs from the previous reading (or periodStart for the first
+ * one) up to readingDate.
+ *
+ * @param {Object} meter - UtilityMeter
+ * @param {Object} data - { currentReading, readingDate?, previousReading?, periodStart?, photoUrl?, notes?, userId? }
+ * @returns {Object} MeterReading
+ */
+const recordMeterReading = async (meter, data) => {
+    if (!meter.isActive) {
+        throw new Error('Meter is inactive');
+    }
+
+    const currentReading = Number(data.currentReading);
+    if (!Number.isFinite(currentReading)) {
+        throw new Error('A valid current reading is required');
+    }
+
+    const lastReading = await prisma.meterReading.findFirst({
+        where: { meterId: meter.id },
+        orderBy: { periodEnd: 'desc' }
+    });
+
+    const previousReading = data.previousReading !== undefined && data.previousReading !== null && data.previousReading !== ''
+        ? Number(data.previousReading)
+        : lastReading?.currentReading;
+    if (!Number.isFinite(previousReading)) {
+        throw new Error('previousReading is required for the first reading of a meter');
+    }
+
+    const startValue = data.periodStart || lastReading?.periodEnd;
+    if (!startValue) {
+        throw new Error('periodStart is required for the first reading of a meter');
+    }
+
+    const periodStart = startOfUtcDay(startValue);
+    const periodEnd = startOfUtcDay(data.readingDate || new Date());
+
+    if (Number.isNaN(periodStart.getTime()) || Number.isNaN(periodEnd.getTime())) {
+        throw new Error('Invalid reading period');
+    }
+    if (periodEnd <= periodStart) {
+        throw new Error('Reading date must be after the start of the period');
+    }
+    if (lastReading && periodStart < startOfUtcDay(lastReading.periodEnd)) {
+        throw new Error('Reading period overlaps the previous reading');
+    }
+    if (currentReading < previousReading) {
+        throw new Error('Current reading cannot be lower than the previous reading');
+    }
+
+    const unitRate = await resolveUnitRate(meter);
+    const unitsConsumed = roundAmount(currentReading - previousReading);
+    const fixedCharge = Number(meter.fixedCharge) || 0;
+
+    return prisma.meterReading.create({
+        data: {
+            meterId: meter.id,
+            periodStart,
+            periodEnd,
+            previousReading,
+            currentReading,
+            unitsConsumed,
+            unitRate,
+            fixedCharge,
+            totalAmount: roundAmount(unitsConsumed * unitRate + fixedCharge),
+            photoUrl: data.photoUrl || null,
+            notes: data.notes || null,
+            recordedBy: data.userId || null
+        }
+    });
+};
+
+/**
+ * BILL METER READING
+ * ==================
+ * Creates the tenants' shares as pending charges. A reading is billed once.
+ *
+ * @param {Number} readingId
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { reading, totalOccupiedDays, charges, dryRun }
+ */
+const billMeterReading = async (readingId, { dryRun = false } = {}) => {
+    const reading = await prisma.meterReading.findUnique({
+        where: { id: readingId },
+        include: { meter: true }
+    });
+
+    if (!reading) {
+        throw new Error('Meter reading not found');
+    }
+    if (reading.status === 'billed') {
+        throw new Error('Meter reading has already been billed');
+    }
+
+    const { meter } = reading;
+    const { totalOccupiedDays, shares } = await splitMeterReading(meter, reading);
+
+    if (!shares.length) {
+        throw new Error('No tenant occupied this meter during the period; nothing to bill');
+    }
+
+    const billedAt = new Date();
+    const dueDays = Math.max(Math.floor(await getNumericSetting('utility_due_days', DEFAULT_DUE_DAYS)), 0);
+    const dueDate = new Date(startOfUtcDay(billedAt).getTime() + dueDays * DAY_MS);
+    const forMonth = toBillingMonth(new Date(reading.periodEnd.getTime() - DAY_MS));
+    const label = meter.utilityType === 'water' ? 'Water' : 'Electricity';
+
+    const charges = shares
+        .filter((share) => share.share > 0)
+        .map((share) => ({
+            tenantId: share.tenantId,
+            allocationId: share.allocationId,
+            hostelId: meter.hostelId,
+            amount: share.share,
+            paymentType: meter.utilityType,
+            paymentMethod: null,
+            paymentDate: null,
+            forMonth,
+            forPeriod: {
+                startDate: reading.periodStart,
+                endDate: new Date(reading.periodEnd.getTime() - DAY_MS),
+                daysOccupied: share.daysOccupied,
+                totalOccupiedDays,
+                unitsConsumed: reading.unitsConsumed,
+                unitRate: reading.unitRate,
+                meterId: meter.id
+            },
+            dueDate,
+            status: 'pending',
+            meterReadingId: reading.id,
+            remarks: `${label} ${reading.unitsConsumed} units (${share.daysOccupied}/${totalOccupiedDays} occupied days)`
+        }));
+
+    if (dryRun) {
+        return { reading, totalOccupiedDays, charges, dryRun };
+    }
+
+    const created = await prisma.$transaction(async (tx) => {
+        // Guard against two people billing the same reading at once
+        const claimed = await tx.meterReading.updateMany({
+            where: { id: reading.id, status: 'recorded' },
+            data: { status: 'billed', billedAt, split: shares }
+        });
+        if (!claimed.count) {
+            throw new Error('Meter reading has already been billed');
+        }
+
+        const rows = [];
+        for (const chargeData of charges) {
+            const charge = await tx.payment.create({ data: chargeData });
+
+            await postLedgerEntry(tx, {
+                tenantId: chargeData.tenantId,
+                hostelId: chargeData.hostelId,
+                allocationId: chargeData.allocationId,
+                paymentId: charge.id,
+                entryType: 'charge',
+                amount: chargeData.amount,
+                description: chargeData.remarks
+            });
+            await syncChargeJournal(tx, charge.id);
+
+            await settleOpenCharges(tx, chargeData.tenantId);
+            await refreshAllocationPaymentStatus(tx, chargeData.allocationId);
+            await syncTenantBalances(tx, chargeData.tenantId);
+
+            rows.push(charge);
+        }
+        return rows;
+    }, { timeout: 30000 });
+
+    return {
+        reading: { ...reading, status: 'billed', billedAt, split: shares },
+        totalOccupiedDays,
+        charges: created,
+        dryRun
+    };
+};
+
+module.exports = {
+    resolveUnitRate,
+    countOccupiedNights,
+    splitMeterReading,
+    recordMeterReading,
+    billMeterReading
+};
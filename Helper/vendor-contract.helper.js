@@ -0,0 +1,483 @@
+/**
+ * ======================================
+ * VENDOR CONTRACT HELPER
+ * ======================================
+ *
+ * A VendorContract covers a vendor for one hostel (or every hostel) between
+ * startDate and endDate, with SLA terms and a rate card: the agreed rate and
+ * unit for each Service (defaulting to Service.price / priceUnit). A vendor
+ * cannot have two contracts for the same hostel scope over the same dates.
+ *
+ * RENEWALS
+ * ========
+ * The vendor_contracts job raises a "payable" alert for the hostel manager
+ * once per term, renewalNoticeDays before endDate. When a contract reaches
+ * its endDate it is renewed for renewalTermMonths (default: the length of
+ * the original term) if autoRenew is set, and expires otherwise.
+ *
+ * RATE CHECKS
+ * ===========
+ * Vendor bill lines that name a serviceId are priced against the contract
+ * covering the bill (its vendor, hostel and bill date). A line billed above
+ * the contracted rate by more than vendor_rate_tolerance_percent flags the
+ * bill as overcharged and raises a "payable" alert for the difference.
+ *
+ * ====================================
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * vendor_contract_renewal_notice_days - Days before endDate to raise the renewal alert (default: 30)
+ * vendor_rate_tolerance_percent       - How far a billed price may exceed the contracted rate (default: 0)
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { roundAmount } = require('../utils/normalize');
+const { recordAlertActivity } = require('./alert-activity.helper');
+const { createWithSequenceNumber } = require('./sequence.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONTRACT_STATUSES = ['draft', 'active', 'expired', 'terminated'];
+const LIVE_CONTRACT_STATUSES = ['draft', 'active'];
+
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+};
+
+/**
+ * Next end date of a contract renewed from its current end date
+ */
+const nextEndDate = (contract) => {
+    if (contract.renewalTermMonths) return addMonths(contract.endDate, contract.renewalTermMonths);
+
+    const history = Array.isArray(contract.renewalHistory) ? contract.renewalHistory : [];
+    const originalEnd = history.length ? new Date(history[0].fromEndDate) : contract.endDate;
+    return new Date(contract.endDate.getTime() + (originalEnd - contract.startDate));
+};
+
+/**
+ * Validate a rate card; rates and units left out come from the Service
+ *
+ * @param {Array} rates - [{ serviceId, rate?, priceUnit?, notes? }]
+ * @returns {Array} Rate rows to create
+ */
+const priceRateCard = async (rates, client = prisma) => {
+    if (!Array.isArray(rates)) throw new Error('rates must be a list of { serviceId, rate?, priceUnit? }');
+
+    const serviceIds = rates.map((entry) => parseInt(entry?.serviceId, 10));
+    if (serviceIds.some(Number.isNaN)) throw new Error('Each rate needs a serviceId');
+    if (new Set(serviceIds).size !== serviceIds.length) throw new Error('A service can only appear once on a rate card');
+
+    const services = await client.service.findMany({
+        where: { id: { in: serviceIds } },
+        select: { id: true, name: true, price: true, priceUnit: true }
+    });
+    const servicesById = new Map(services.map((service) => [service.id, service]));
+
+    return rates.map((entry, index) => {
+        const service = servicesById.get(serviceIds[index]);
+        if (!service) throw new Error(`Service #${serviceIds[index]} not found`);
+
+        const rate = entry.rate !== undefined && entry.rate !== null && entry.rate !== '' ? Number(entry.rate) : service.price;
+        if (rate === null || rate === undefined || !Number.isFinite(rate) || rate < 0) {
+            throw new Error(`Give a rate for ${service.name}; the service has no list price`);
+        }
+
+        return {
+            serviceId: service.id,
+            rate: roundAmount(rate),
+            priceUnit: entry.priceUnit || service.priceUnit || null,
+            notes: entry.notes || null
+        };
+    });
+};
+
+/**
+ * Another live contract of the vendor for the same hostel scope and dates
+ */
+const findOverlappingContract = (client, { vendorId, hostelId, startDate, endDate, excludeId = null }) =>
+    client.vendorContract.findFirst({
+        where: {
+            vendorId,
+            hostelId: hostelId || null,
+            status: { in: LIVE_CONTRACT_STATUSES },
+            startDate: { lte: endDate },
+            endDate: { gte: startDate },
+            ...(excludeId ? { id: { not: excludeId } } : {})
+        },
+        select: { id: true, contractNumber: true }
+    });
+
+const assertContractDates = async (client, contract, excludeId = null) => {
+    if (!(contract.startDate instanceof Date) || Number.isNaN(contract.startDate.getTime())
+        || !(contract.endDate instanceof Date) || Number.isNaN(contract.endDate.getTime())) {
+        throw new Error('startDate and endDate are required');
+    }
+    if (contract.endDate <= contract.startDate) throw new Error('endDate must be after startDate');
+
+    const overlap = await findOverlappingContract(client, { ...contract, excludeId });
+    if (overlap) {
+        throw new Error(`Contract ${overlap.contractNumber} already covers this vendor for these dates`);
+    }
+};
+
+/**
+ * Create a contract with its rate card
+ *
+ * @param {Object} data - vendorId, hostelId, title, status (draft|active), startDate, endDate, autoRenew,
+ *                        renewalTermMonths, renewalNoticeDays, slaTerms, terms, attachments, notes
+ * @param {Array} rates - [{ serviceId, rate?, priceUnit?, notes? }]
+ * @param {Object} options
+ * @param {Number} options.userId
+ * @returns {Object} VendorContract
+ */
+const createVendorContract = async (data, rates = [], { userId = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const vendor = await tx.vendor.findUnique({ where: { id: data.vendorId }, select: { id: true } });
+        if (!vendor) throw new Error('Vendor not found');
+
+        await assertContractDates(tx, data);
+        const rateRows = await priceRateCard(rates, tx);
+
+        return createWithSequenceNumber(tx.vendorContract, 'contractNumber', 'VC', {
+            data: {
+                ...data,
+                createdBy: userId,
+                rates: { create: rateRows }
+            }
+        });
+    });
+};
+
+/**
+ * Update a live contract; a new rate card replaces the old one. Moving the
+ * end date re-arms the renewal alert.
+ */
+const updateVendorContract = async (contractId, data, rates = undefined) => {
+    return prisma.$transaction(async (tx) => {
+        const contract = await tx.vendorContract.findUnique({ where: { id: contractId } });
+        if (!contract) throw new Error('Vendor contract not found');
+        if (!LIVE_CONTRACT_STATUSES.includes(contract.status)) {
+            throw new Error(`A ${contract.status} contract cannot be changed; renew it instead`);
+        }
+
+        const merged = { ...contract, ...data };
+        await assertContractDates(tx, merged, contractId);
+
+        const update = { ...data };
+        if (data.endDate && data.endDate.getTime() !== contract.endDate.getTime()) {
+            update.renewalAlertedAt = null;
+        }
+
+        if (rates !== undefined) {
+            const rateRows = await priceRateCard(rates, tx);
+            await tx.vendorContractRate.deleteMany({ where: { contractId } });
+            if (rateRows.length) {
+                await tx.vendorContractRate.createMany({ data: rateRows.map((row) => ({ ...row, contractId })) });
+            }
+        }
+
+        return tx.vendorContract.update({ where: { id: contractId }, data: update });
+    });
+};
+
+/**
+ * Extend a contract by one term, or to a given end date
+ */
+const renewVendorContract = async (contractId, { endDate = null, userId = null, automatic = false, client = prisma } = {}) => {
+    const contract = await client.vendorContract.findUnique({ where: { id: contractId } });
+    if (!contract) throw new Error('Vendor contract not found');
+    if (!['active', 'expired'].includes(contract.status)) {
+        throw new Error(`A ${contract.status} contract cannot be renewed`);
+    }
+
+    const toEndDate = endDate || nextEndDate(contract);
+    if (toEndDate <= contract.endDate) throw new Error('The new endDate must be after the current one');
+
+    // An expired contract must not be renewed over a contract that replaced it
+    const overlap = await findOverlappingContract(client, {
+        vendorId: contract.vendorId,
+        hostelId: contract.hostelId,
+        startDate: contract.endDate,
+        endDate: toEndDate,
+        excludeId: contract.id
+    });
+    if (overlap) throw new Error(`Contract ${overlap.contractNumber} already covers this vendor for the renewal period`);
+
+    const history = Array.isArray(contract.renewalHistory) ? contract.renewalHistory : [];
+    const claimed = await client.vendorContract.updateMany({
+        where: { id: contractId, endDate: contract.endDate, status: contract.status },
+        data: {
+            status: 'active',
+            endDate: toEndDate,
+            renewalAlertedAt: null,
+            renewalCount: { increment: 1 },
+            renewalHistory: [...history, {
+                at: new Date().toISOString(),
+                fromEndDate: contract.endDate.toISOString(),
+                toEndDate: toEndDate.toISOString(),
+                automatic,
+                by: userId
+            }]
+        }
+    });
+    if (!claimed.count) throw new Error('The contract was changed by someone else; please retry');
+
+    return client.vendorContract.findUnique({ where: { id: contractId } });
+};
+
+/**
+ * End a contract early
+ */
+const terminateVendorContract = async (contractId, { userId = null, reason = null } = {}) => {
+    const contract = await prisma.vendorContract.findUnique({ where: { id: contractId } });
+    if (!contract) throw new Error('Vendor contract not found');
+    if (!LIVE_CONTRACT_STATUSES.includes(contract.status)) {
+        throw new Error(`A ${contract.status} contract cannot be terminated`);
+    }
+
+    return prisma.vendorContract.update({
+        where: { id: contractId },
+        data: { status: 'terminated', terminatedAt: new Date(), terminatedBy: userId, terminationReason: reason }
+    });
+};
+
+/**
+ * Contract that governs a vendor's prices for a hostel on a date: one for
+ * that hostel first, then one for every hostel. Expired contracts still
+ * govern dates inside their term; terminated ones only up to termination.
+ */
+const findGoverningContract = async (vendorId, hostelId, date, client = prisma) => {
+    const contracts = await client.vendorContract.findMany({
+        where: {
+            vendorId,
+            status: { in: ['active', 'expired', 'terminated'] },
+            startDate: { lte: date },
+            endDate: { gte: date },
+            OR: [{ hostelId: hostelId || null }, { hostelId: null }]
+        },
+        include: { rates: { include: { service: { select: { id: true, name: true } } } } },
+        orderBy: { startDate: 'desc' }
+    });
+
+    const inForce = contracts.filter((contract) => contract.status !== 'terminated' || contract.terminatedAt > date);
+    return inForce.find((contract) => contract.hostelId !== null) || inForce[0] || null;
+};
+
+/**
+ * Price a bill's lines against the contracted rates
+ *
+ * @param {Object} bill - VendorBill (vendorId, hostelId, billDate, items)
+ * @returns {Object} { contractId, rateStatus, overchargeAmount, rateCheck }
+ */
+const checkBillRates = async (bill, client = prisma) => {
+    const lines = Array.isArray(bill.items) ? bill.items : [];
+    const contract = await findGoverningContract(bill.vendorId, bill.hostelId, bill.billDate, client);
+    if (!contract || !lines.some((line) => line?.serviceId)) {
+        return { contractId: contract?.id || null, rateStatus: 'unchecked', overchargeAmount: null, rateCheck: Prisma.DbNull };
+    }
+
+    const tolerance = await getNumericSetting('vendor_rate_tolerance_percent', 0, client);
+    const ratesByService = new Map(contract.rates.map((rate) => [rate.serviceId, rate]));
+
+    let checked = 0;
+    let overcharge = 0;
+    const results = lines.map((line, index) => {
+        const serviceId = parseInt(line?.serviceId, 10);
+        const rate = Number.isNaN(serviceId) ? null : ratesByService.get(serviceId);
+        if (!rate) {
+            return { line: index, serviceId: Number.isNaN(serviceId) ? null : serviceId, status: Number.isNaN(serviceId) ? 'no_service' : 'not_in_contract' };
+        }
+
+        checked += 1;
+        const quantity = Number(line.quantity ?? 1);
+        const unitPrice = Number(line.unitPrice);
+        const ceiling = roundAmount(rate.rate * (1 + tolerance / 100));
+        const lineOvercharge = unitPrice > ceiling ? roundAmount((unitPrice - rate.rate) * quantity) : 0;
+        overcharge = roundAmount(overcharge + lineOvercharge);
+
+        return {
+            line: index,
+            serviceId,
+            service: rate.service?.name || null,
+            contractedRate: rate.rate,
+            priceUnit: rate.priceUnit,
+            billedUnitPrice: unitPrice,
+            quantity,
+            overcharge: lineOvercharge,
+            status: lineOvercharge > 0 ? 'overcharged' : 'ok'
+        };
+    });
+
+    return {
+        contractId: contract.id,
+        rateStatus: !checked ? 'unchecked' : (overcharge > 0 ? 'overcharged' : 'within_contract'),
+        overchargeAmount: overcharge > 0 ? overcharge : null,
+        rateCheck: { contractNumber: contract.contractNumber, tolerancePercent: tolerance, lines: results }
+    };
+};
+
+/**
+ * Check a bill against its contract and store the result; a bill that
+ * becomes overcharged raises an alert
+ *
+ * @returns {Object} VendorBill
+ */
+const applyBillRateCheck = async (billId, { client = prisma, now = new Date() } = {}) => {
+    const bill = await client.vendorBill.findUnique({
+        where: { id: billId },
+        include: { vendor: { select: { name: true } }, hostel: { select: { managedBy: true } } }
+    });
+    if (!bill) throw new Error('Vendor bill not found');
+
+    const result = await checkBillRates(bill, client);
+    const updated = await client.vendorBill.update({
+        where: { id: billId },
+        data: { ...result, rateCheckedAt: now }
+    });
+
+    if (result.rateStatus === 'overcharged' && bill.rateStatus !== 'overcharged') {
+        const alert = await client.alert.create({
+            data: {
+                type: 'payable',
+                status: 'pending',
+                priority: 'high',
+                title: `Overcharge of ${result.overchargeAmount} on bill ${bill.billNumber} from ${bill.vendor.name}`.slice(0, 500),
+                description: `Billed above the rates of contract ${result.rateCheck.contractNumber}.`,
+                hostelId: bill.hostelId,
+                amount: result.overchargeAmount,
+                dueDate: bill.dueDate,
+                assignedTo: bill.hostel?.managedBy || null,
+                metadata: {
+                    vendorBillId: bill.id,
+                    vendorContractId: result.contractId,
+                    overchargedLines: result.rateCheck.lines.filter((line) => line.status === 'overcharged')
+                }
+            },
+            select: { id: true, assignedTo: true }
+        });
+        await recordAlertActivity([
+            { alertId: alert.id, type: 'created', toValue: 'pending', message: `Vendor bill ${bill.billNumber} is above the contracted rates`, metadata: { vendorBillId: bill.id } },
+            alert.assignedTo ? { alertId: alert.id, type: 'assignment', toValue: alert.assignedTo } : null
+        ], client);
+    }
+
+    return updated;
+};
+
+/**
+ * Active rate card of a vendor for a hostel on a date
+ * @returns {Object|null} { contract, rates }
+ */
+const getVendorRateCard = async (vendorId, { hostelId = null, date = new Date() } = {}) => {
+    const contract = await findGoverningContract(vendorId, hostelId, date);
+    if (!contract || contract.status !== 'active') return null;
+
+    const { rates, ...details } = contract;
+    return {
+        contract: details,
+        rates: rates.map((rate) => ({
+            serviceId: rate.serviceId,
+            service: rate.service?.name || null,
+            rate: rate.rate,
+            priceUnit: rate.priceUnit,
+            notes: rate.notes
+        }))
+    };
+};
+
+/**
+ * Raise renewal alerts for contracts nearing their end date, then renew or
+ * expire the contracts that reached it
+ *
+ * @returns {Object} { alerts, renewed, expired }
+ */
+const processVendorContracts = async ({ now = new Date() } = {}) => {
+    const defaultNoticeDays = await getNumericSetting('vendor_contract_renewal_notice_days', 30);
+    const result = { alerts: [], renewed: [], expired: [] };
+
+    const upcoming = await prisma.vendorContract.findMany({
+        where: { status: 'active', renewalAlertedAt: null, endDate: { gte: now } },
+        include: {
+            vendor: { select: { id: true, name: true } },
+            hostel: { select: { id: true, managedBy: true } }
+        }
+    });
+
+    for (const contract of upcoming) {
+        const noticeDays = contract.renewalNoticeDays ?? defaultNoticeDays;
+        if (contract.endDate.getTime() - noticeDays * DAY_MS > now.getTime()) continue;
+
+        // Claim the term so a concurrent run cannot raise a second alert
+        const claimed = await prisma.vendorContract.updateMany({
+            where: { id: contract.id, renewalAlertedAt: null, endDate: contract.endDate },
+            data: { renewalAlertedAt: now }
+        });
+        if (!claimed.count) continue;
+
+        const endsOn = contract.endDate.toISOString().slice(0, 10);
+        const alert = await prisma.alert.create({
+            data: {
+                type: 'payable',
+                status: 'pending',
+                priority: 'medium',
+                title: `Contract ${contract.contractNumber} with ${contract.vendor.name} ${contract.autoRenew ? 'auto-renews' : 'expires'} on ${endsOn}`.slice(0, 500),
+                description: contract.autoRenew
+                    ? `"${contract.title}" renews automatically on ${endsOn} unless it is terminated first.`
+                    : `"${contract.title}" ends on ${endsOn}. Renew it or arrange another vendor.`,
+                hostelId: contract.hostelId,
+                dueDate: contract.endDate,
+                assignedTo: contract.hostel?.managedBy || null,
+                metadata: { vendorContractId: contract.id, autoRenew: contract.autoRenew }
+            },
+            select: { id: true, assignedTo: true }
+        });
+        await recordAlertActivity([
+            { alertId: alert.id, type: 'created', toValue: 'pending', message: `Renewal reminder for contract ${contract.contractNumber}`, metadata: { vendorContractId: contract.id } },
+            alert.assignedTo ? { alertId: alert.id, type: 'assignment', toValue: alert.assignedTo } : null
+        ]);
+        result.alerts.push(alert.id);
+    }
+
+    const ended = await prisma.vendorContract.findMany({
+        where: { status: 'active', endDate: { lt: now } },
+        select: { id: true, autoRenew: true, endDate: true }
+    });
+
+    for (const contract of ended) {
+        if (contract.autoRenew) {
+            try {
+                await renewVendorContract(contract.id, { automatic: true });
+                result.renewed.push(contract.id);
+                continue;
+            } catch (err) {
+                console.error(`Auto-renew of vendor contract #${contract.id} failed:`, err.message);
+            }
+        }
+
+        const expired = await prisma.vendorContract.updateMany({
+            where: { id: contract.id, status: 'active', endDate: contract.endDate },
+            data: { status: 'expired' }
+        });
+        if (expired.count) result.expired.push(contract.id);
+    }
+
+    return result;
+};
+
+module.exports = {
+    CONTRACT_STATUSES,
+    createVendorContract,
+    updateVendorContract,
+    renewVendorContract,
+    terminateVendorContract,
+    applyBillRateCheck,
+    getVendorRateCard,
+    processVendorContracts
+};
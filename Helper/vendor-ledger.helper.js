@@ -0,0 +1,577 @@
+/**
+ * ======================================
+ * VENDOR LEDGER HELPER
+ * ======================================
+ *
+ * What the hostel owes its vendors is kept as documents:
+ *   - VendorBill: one invoice from a vendor. Its due date follows the
+ *     vendor's paymentTerms (prepaid/cod: the bill date, netN: N days later)
+ *     unless one is given.
+ *   - VendorPayment: money paid to a vendor, applied to specific bills
+ *     through VendorPaymentAllocation. Whatever is not applied stays as
+ *     vendor credit: it pays the vendor's next bills as they are recorded,
+ *     or can be applied to open bills by hand.
+ *
+ * Vendor.totalPayable (bills not cancelled), totalPaid (payments not voided)
+ * and balance are recomputed from these records after every change.
+ *
+ * Bills may carry line items; lines naming a serviceId are checked against
+ * the vendor's contract rates whenever the bill is recorded or changed
+ * (see vendor-contract.helper).
+ *
+ * AGING
+ * =====
+ * Outstanding bill amounts are bucketed by days past their due date:
+ * current (not due yet), 0-30, 31-60, 61-90 and 90+.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/db');
+const { roundAmount } = require('../utils/normalize');
+const { applyBillRateCheck } = require('./vendor-contract.helper');
+const { syncVendorBillJournal, syncVendorPaymentJournal } = require('./general-ledger.helper');
+const { createWithSequenceNumber } = require('./sequence.helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAYMENT_TERM_DAYS = { prepaid: 0, cod: 0, net15: 15, net30: 30, net45: 45, net60: 60 };
+const OPEN_BILL_STATUSES = ['open', 'partially_paid'];
+const AGING_BUCKETS = ['current', '0-30', '31-60', '61-90', '90+'];
+
+/**
+ * Due date of a bill under a vendor's payment terms (net30 when unset)
+ */
+const computeDueDate = (billDate, paymentTerms) => {
+    const days = PAYMENT_TERM_DAYS[paymentTerms] ?? PAYMENT_TERM_DAYS.net30;
+    return new Date(new Date(billDate).getTime() + days * DAY_MS);
+};
+
+const billStatusFor = (amount, amountPaid) => {
+    if (amountPaid <= 0) return 'open';
+    return amountPaid >= amount ? 'paid' : 'partially_paid';
+};
+
+const outstandingOf = (bill) => roundAmount(bill.amount - bill.amountPaid);
+
+/**
+ * Recompute a vendor's totals from its bills and payments
+ * @returns {Object} { totalPayable, totalPaid, balance }
+ */
+const syncVendorBalance = async (vendorId, client = prisma) => {
+    const [billed, paid] = await Promise.all([
+        client.vendorBill.aggregate({
+            where: { vendorId, status: { not: 'cancelled' } },
+            _sum: { amount: true }
+        }),
+        client.vendorPayment.aggregate({
+            where: { vendorId, voidedAt: null },
+            _sum: { amount: true }
+        })
+    ]);
+
+    const totals = {
+        totalPayable: roundAmount(billed._sum.amount || 0),
+        totalPaid: roundAmount(paid._sum.amount || 0)
+    };
+    totals.balance = roundAmount(totals.totalPayable - totals.totalPaid);
+
+    await client.vendor.update({ where: { id: vendorId }, data: totals });
+    return totals;
+};
+
+/**
+ * Part of a payment not applied to any bill yet
+ */
+const unappliedAmount = async (payment, client = prisma) => {
+    const applied = await client.vendorPaymentAllocation.aggregate({
+        where: { paymentId: payment.id },
+        _sum: { amount: true }
+    });
+    return roundAmount(payment.amount - (applied._sum.amount || 0));
+};
+
+/**
+ * Apply up to `available` of a payment to a vendor's open bills
+ *
+ * @param {Object} tx - Transaction client
+ * @param {Object} payment - VendorPayment
+ * @param {Number} available - Unapplied amount of the payment
+ * @param {Array|null} requested - [{ billId, amount? }]; null applies to the oldest due bills first
+ * @returns {Array} Allocations created
+ */
+const allocatePayment = async (tx, payment, available, requested = null) => {
+    if (requested && !requested.length) return [];
+
+    const bills = await tx.vendorBill.findMany({
+        where: {
+            vendorId: payment.vendorId,
+            status: { in: OPEN_BILL_STATUSES },
+            ...(requested ? { id: { in: requested.map((entry) => entry.billId) } } : {})
+        },
+        orderBy: [{ dueDate: 'asc' }, { id: 'asc' }]
+    });
+
+    const plan = [];
+    if (requested) {
+        const billsById = new Map(bills.map((bill) => [bill.id, bill]));
+        for (const entry of requested) {
+            const bill = billsById.get(entry.billId);
+            if (!bill) throw new Error(`Bill #${entry.billId} is not an open bill of this vendor`);
+
+            const amount = roundAmount(entry.amount ?? outstandingOf(bill));
+            if (!(amount > 0)) throw new Error('Each allocation amount must be more than zero');
+            if (amount > outstandingOf(bill)) {
+                throw new Error(`Bill ${bill.billNumber} only has ${outstandingOf(bill)} outstanding`);
+            }
+            plan.push({ bill, amount });
+        }
+
+        const total = roundAmount(plan.reduce((sum, item) => sum + item.amount, 0));
+        if (total > available) {
+            throw new Error(`Allocations (${total}) exceed the payment's unapplied amount (${available})`);
+        }
+    } else {
+        let remaining = available;
+        for (const bill of bills) {
+            if (remaining <= 0) break;
+            const amount = roundAmount(Math.min(remaining, outstandingOf(bill)));
+            if (amount <= 0) continue;
+            plan.push({ bill, amount });
+            remaining = roundAmount(remaining - amount);
+        }
+    }
+
+    const allocations = [];
+    for (const { bill, amount } of plan) {
+        const amountPaid = roundAmount(bill.amountPaid + amount);
+        await tx.vendorBill.update({
+            where: { id: bill.id },
+            data: { amountPaid, status: billStatusFor(bill.amount, amountPaid) }
+        });
+        allocations.push(await tx.vendorPaymentAllocation.create({
+            data: { paymentId: payment.id, billId: bill.id, amount }
+        }));
+    }
+
+    return allocations;
+};
+
+/**
+ * Take allocations off their bills, e.g. when a payment is voided or a bill cancelled
+ */
+const releaseAllocations = async (tx, where) => {
+    const allocations = await tx.vendorPaymentAllocation.findMany({ where, include: { bill: true } });
+
+    const releasedByBill = new Map();
+    allocations.forEach((allocation) => {
+        const entry = releasedByBill.get(allocation.billId) || { bill: allocation.bill, amount: 0 };
+        entry.amount = roundAmount(entry.amount + allocation.amount);
+        releasedByBill.set(allocation.billId, entry);
+    });
+
+    for (const { bill, amount } of releasedByBill.values()) {
+        const amountPaid = Math.max(0, roundAmount(bill.amountPaid - amount));
+        await tx.vendorBill.update({
+            where: { id: bill.id },
+            data: {
+                amountPaid,
+                ...(bill.status === 'cancelled' ? {} : { status: billStatusFor(bill.amount, amountPaid) })
+            }
+        });
+    }
+
+    await tx.vendorPaymentAllocation.deleteMany({ where });
+    return allocations.length;
+};
+
+/**
+ * Apply a vendor's unused payment credit to one bill, oldest payment first
+ */
+const applyVendorCredit = async (tx, billId) => {
+    const bill = await tx.vendorBill.findUnique({ where: { id: billId } });
+    const payments = await tx.vendorPayment.findMany({
+        where: { vendorId: bill.vendorId, voidedAt: null },
+        orderBy: [{ paymentDate: 'asc' }, { id: 'asc' }]
+    });
+
+    let outstanding = outstandingOf(bill);
+    for (const payment of payments) {
+        if (outstanding <= 0) break;
+        const available = await unappliedAmount(payment, tx);
+        if (available <= 0) continue;
+
+        const amount = roundAmount(Math.min(available, outstanding));
+        await allocatePayment(tx, payment, available, [{ billId, amount }]);
+        outstanding = roundAmount(outstanding - amount);
+    }
+};
+
+/**
+ * Validate bill lines and work out their total
+ *
+ * @param {Array} items - [{ serviceId?, description, quantity, unitPrice }]
+ * @returns {Object} { items, total }
+ */
+const normalizeBillItems = (items) => {
+    if (!Array.isArray(items)) throw new Error('items must be a list of { serviceId?, description, quantity, unitPrice }');
+
+    const lines = items.map((item, index) => {
+        const quantity = Number(item?.quantity ?? 1);
+        const unitPrice = Number(item?.unitPrice);
+        if (!Number.isFinite(quantity) || quantity <= 0) throw new Error(`Line ${index + 1}: quantity must be more than zero`);
+        if (!Number.isFinite(unitPrice) || unitPrice < 0) throw new Error(`Line ${index + 1}: unitPrice is required`);
+
+        const serviceId = item.serviceId !== undefined && item.serviceId !== null && item.serviceId !== ''
+            ? parseInt(item.serviceId, 10)
+            : null;
+        if (Number.isNaN(serviceId)) throw new Error(`Line ${index + 1}: serviceId must be a number`);
+        if (!serviceId && !item.description) throw new Error(`Line ${index + 1}: give a serviceId or a description`);
+
+        return {
+            serviceId,
+            description: item.description ? String(item.description).slice(0, 255) : null,
+            quantity,
+            unitPrice: roundAmount(unitPrice),
+            amount: roundAmount(quantity * unitPrice)
+        };
+    });
+
+    return { items: lines, total: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)) };
+};
+
+/**
+ * Record a vendor bill; any vendor credit is applied to it straight away
+ * and its lines are checked against the vendor's contract rates
+ *
+ * @param {Object} data - vendorId, hostelId, purchaseOrderId, vendorInvoiceNumber, description,
+ *                        billDate, dueDate, amount (defaults to the total of items), items,
+ *                        attachments, notes
+ * @param {Object} options
+ * @param {Number} options.userId
+ * @param {Object} options.client - Transaction to post the bill in (one is opened otherwise)
+ * @returns {Object} VendorBill
+ */
+const createVendorBill = async (data, { userId = null, client = null } = {}) => {
+    const post = async (tx) => {
+        const vendor = await tx.vendor.findUnique({ where: { id: data.vendorId }, select: { id: true, paymentTerms: true } });
+        if (!vendor) throw new Error('Vendor not found');
+
+        const lines = data.items ? normalizeBillItems(data.items) : null;
+        const amount = roundAmount(data.amount ?? lines?.total);
+        if (!Number.isFinite(amount) || amount <= 0) throw new Error('Bill amount must be more than zero');
+
+        const billDate = data.billDate ? new Date(data.billDate) : new Date();
+        const dueDate = data.dueDate ? new Date(data.dueDate) : computeDueDate(billDate, vendor.paymentTerms);
+        if (dueDate < billDate) throw new Error('dueDate cannot be before billDate');
+
+        const bill = await createWithSequenceNumber(tx.vendorBill, 'billNumber', 'VB', {
+            data: {
+                vendorId: vendor.id,
+                hostelId: data.hostelId || null,
+                purchaseOrderId: data.purchaseOrderId || null,
+                vendorInvoiceNumber: data.vendorInvoiceNumber || null,
+                description: String(data.description).slice(0, 500),
+                billDate,
+                dueDate,
+                paymentTerms: data.dueDate ? null : (vendor.paymentTerms || 'net30'),
+                amount,
+                items: lines?.items,
+                attachments: data.attachments || undefined,
+                notes: data.notes || null,
+                createdBy: userId
+            }
+        });
+
+        await applyVendorCredit(tx, bill.id);
+        await syncVendorBalance(vendor.id, tx);
+        await applyBillRateCheck(bill.id, { client: tx });
+        await syncVendorBillJournal(tx, bill.id, { createdBy: userId });
+        return tx.vendorBill.findUnique({ where: { id: bill.id } });
+    };
+
+    return client ? post(client) : prisma.$transaction(post);
+};
+
+/**
+ * Change a bill's details, lines or amount. The amount cannot drop below
+ * what has been paid; moving the bill date re-derives a due date that came
+ * from terms. New lines without an amount set the amount to their total.
+ */
+const updateVendorBill = async (billId, data) => {
+    return prisma.$transaction(async (tx) => {
+        const bill = await tx.vendorBill.findUnique({ where: { id: billId } });
+        if (!bill) throw new Error('Vendor bill not found');
+        if (bill.status === 'cancelled') throw new Error('A cancelled bill cannot be changed');
+
+        const update = {};
+        ['vendorInvoiceNumber', 'description', 'notes', 'attachments', 'hostelId'].forEach((key) => {
+            if (data[key] !== undefined) update[key] = data[key];
+        });
+
+        if (data.items !== undefined) {
+            const lines = data.items ? normalizeBillItems(data.items) : null;
+            update.items = lines ? lines.items : Prisma.DbNull;
+            if (lines && data.amount === undefined) data = { ...data, amount: lines.total };
+        }
+
+        if (data.amount !== undefined) {
+            const amount = roundAmount(data.amount);
+            if (!Number.isFinite(amount) || amount <= 0) throw new Error('Bill amount must be more than zero');
+            if (amount < bill.amountPaid) {
+                throw new Error(`${bill.amountPaid} has already been paid on this bill; void or move those payments first`);
+            }
+            update.amount = amount;
+            update.status = billStatusFor(amount, bill.amountPaid);
+        }
+
+        const billDate = data.billDate ? new Date(data.billDate) : bill.billDate;
+        if (data.billDate) update.billDate = billDate;
+        if (data.dueDate) {
+            update.dueDate = new Date(data.dueDate);
+            update.paymentTerms = null;
+        } else if (data.billDate && bill.paymentTerms) {
+            update.dueDate = computeDueDate(billDate, bill.paymentTerms);
+        }
+        if ((update.dueDate || bill.dueDate) < billDate) throw new Error('dueDate cannot be before billDate');
+
+        await tx.vendorBill.update({ where: { id: billId }, data: update });
+
+        // A larger amount can take vendor credit that was waiting for a bill
+        if (update.amount !== undefined) {
+            await applyVendorCredit(tx, billId);
+            await syncVendorBalance(bill.vendorId, tx);
+        }
+
+        if (['items', 'billDate', 'hostelId'].some((key) => update[key] !== undefined)) {
+            await applyBillRateCheck(billId, { client: tx });
+        }
+        await syncVendorBillJournal(tx, billId);
+
+        return tx.vendorBill.findUnique({ where: { id: billId } });
+    });
+};
+
+/**
+ * Cancel a bill. Payments applied to it become vendor credit again.
+ */
+const cancelVendorBill = async (billId, { userId = null, reason = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const bill = await tx.vendorBill.findUnique({ where: { id: billId } });
+        if (!bill) throw new Error('Vendor bill not found');
+        if (bill.status === 'cancelled') throw new Error('This bill is already cancelled');
+
+        await tx.vendorBill.update({
+            where: { id: billId },
+            data: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId, cancelReason: reason }
+        });
+        await releaseAllocations(tx, { billId });
+        await syncVendorBalance(bill.vendorId, tx);
+        await syncVendorBillJournal(tx, billId, { createdBy: userId });
+        return tx.vendorBill.findUnique({ where: { id: billId } });
+    });
+};
+
+/**
+ * Record a payment to a vendor
+ *
+ * @param {Object} data - vendorId, hostelId, amount, paymentDate, paymentMethod, referenceNumber, notes
+ * @param {Array|null} allocations - [{ billId, amount? }] to apply it to; null applies it to
+ *                                   the oldest due bills, [] keeps it all as credit
+ * @param {Object} options
+ * @param {Number} options.userId
+ * @returns {Object} VendorPayment with allocations
+ */
+const recordVendorPayment = async (data, allocations = null, { userId = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const vendor = await tx.vendor.findUnique({ where: { id: data.vendorId }, select: { id: true } });
+        if (!vendor) throw new Error('Vendor not found');
+
+        const amount = roundAmount(data.amount);
+        if (!Number.isFinite(amount) || amount <= 0) throw new Error('Payment amount must be more than zero');
+
+        const payment = await createWithSequenceNumber(tx.vendorPayment, 'paymentNumber', 'VP', {
+            data: {
+                vendorId: vendor.id,
+                hostelId: data.hostelId || null,
+                amount,
+                paymentDate: data.paymentDate ? new Date(data.paymentDate) : new Date(),
+                paymentMethod: data.paymentMethod || null,
+                referenceNumber: data.referenceNumber || null,
+                notes: data.notes || null,
+                recordedBy: userId
+            }
+        });
+
+        await allocatePayment(tx, payment, amount, allocations);
+        await syncVendorBalance(vendor.id, tx);
+        await syncVendorPaymentJournal(tx, payment.id, { createdBy: userId });
+
+        return tx.vendorPayment.findUnique({
+            where: { id: payment.id },
+            include: { allocations: { include: { bill: { select: { id: true, billNumber: true, status: true } } } } }
+        });
+    });
+};
+
+/**
+ * Apply the unapplied part of a payment to bills
+ *
+ * @param {Number} paymentId
+ * @param {Array|null} allocations - [{ billId, amount? }]; null applies to the oldest due bills
+ * @returns {Object} { allocations, unapplied }
+ */
+const applyVendorPayment = async (paymentId, allocations = null) => {
+    return prisma.$transaction(async (tx) => {
+        const payment = await tx.vendorPayment.findUnique({ where: { id: paymentId } });
+        if (!payment) throw new Error('Vendor payment not found');
+        if (payment.voidedAt) throw new Error('A voided payment cannot be applied');
+
+        const available = await unappliedAmount(payment, tx);
+        if (available <= 0) throw new Error('This payment is already fully applied');
+
+        const created = await allocatePayment(tx, payment, available, allocations);
+        return { allocations: created, unapplied: await unappliedAmount(payment, tx) };
+    });
+};
+
+/**
+ * Void a payment: it stops counting and the bills it paid are open again
+ */
+const voidVendorPayment = async (paymentId, { userId = null, reason = null } = {}) => {
+    return prisma.$transaction(async (tx) => {
+        const payment = await tx.vendorPayment.findUnique({ where: { id: paymentId } });
+        if (!payment) throw new Error('Vendor payment not found');
+        if (payment.voidedAt) throw new Error('This payment is already voided');
+
+        const claimed = await tx.vendorPayment.updateMany({
+            where: { id: paymentId, voidedAt: null },
+            data: { voidedAt: new Date(), voidedBy: userId, voidReason: reason }
+        });
+        if (!claimed.count) throw new Error('The payment was changed by someone else; please retry');
+
+        await releaseAllocations(tx, { paymentId });
+        await syncVendorBalance(payment.vendorId, tx);
+        await syncVendorPaymentJournal(tx, paymentId, { createdBy: userId });
+        return tx.vendorPayment.findUnique({ where: { id: paymentId } });
+    });
+};
+
+/**
+ * Aging bucket of a bill's outstanding amount
+ */
+const agingBucket = (dueDate, asOf = new Date()) => {
+    const daysPastDue = Math.floor((asOf - new Date(dueDate)) / DAY_MS);
+    if (daysPastDue < 0) return 'current';
+    if (daysPastDue <= 30) return '0-30';
+    if (daysPastDue <= 60) return '31-60';
+    if (daysPastDue <= 90) return '61-90';
+    return '90+';
+};
+
+/**
+ * Outstanding amounts of open bills per aging bucket
+ *
+ * @param {Array} bills - Open bills ({ amount, amountPaid, dueDate })
+ * @param {Date} asOf
+ * @returns {Object} { current, '0-30', '31-60', '61-90', '90+', outstanding, overdue, oldestDueDate }
+ */
+const summarizeAging = (bills, asOf = new Date()) => {
+    const aging = Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0]));
+    let oldestDueDate = null;
+
+    for (const bill of bills) {
+        const outstanding = outstandingOf(bill);
+        if (outstanding <= 0) continue;
+        const bucket = agingBucket(bill.dueDate, asOf);
+        aging[bucket] = roundAmount(aging[bucket] + outstanding);
+        if (bucket !== 'current' && (!oldestDueDate || bill.dueDate < oldestDueDate)) oldestDueDate = bill.dueDate;
+    }
+
+    const outstanding = roundAmount(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket], 0));
+    return {
+        ...aging,
+        outstanding,
+        overdue: roundAmount(outstanding - aging.current),
+        oldestDueDate
+    };
+};
+
+/**
+ * Bills and payments of one vendor in date order with a running balance
+ *
+ * @returns {Object} { entries, credit, aging }
+ */
+const getVendorStatement = async (vendorId, { from = null, to = null, asOf = new Date() } = {}) => {
+    const [bills, payments] = await Promise.all([
+        prisma.vendorBill.findMany({
+            where: { vendorId, status: { not: 'cancelled' } },
+            orderBy: [{ billDate: 'asc' }, { id: 'asc' }]
+        }),
+        prisma.vendorPayment.findMany({
+            where: { vendorId, voidedAt: null },
+            include: { allocations: { select: { amount: true } } },
+            orderBy: [{ paymentDate: 'asc' }, { id: 'asc' }]
+        })
+    ]);
+
+    const movements = [
+        ...bills.map((bill) => ({
+            date: bill.billDate,
+            type: 'bill',
+            id: bill.id,
+            reference: bill.billNumber,
+            description: bill.description,
+            debit: bill.amount,
+            credit: 0,
+            dueDate: bill.dueDate,
+            status: bill.status
+        })),
+        ...payments.map((payment) => ({
+            date: payment.paymentDate,
+            type: 'payment',
+            id: payment.id,
+            reference: payment.paymentNumber,
+            description: payment.referenceNumber ? `Payment (${payment.referenceNumber})` : 'Payment',
+            debit: 0,
+            credit: payment.amount,
+            unapplied: roundAmount(payment.amount - payment.allocations.reduce((sum, allocation) => sum + allocation.amount, 0))
+        }))
+    ].sort((a, b) => a.date - b.date || (a.type === b.type ? a.id - b.id : (a.type === 'bill' ? -1 : 1)));
+
+    let balance = 0;
+    let openingBalance = 0;
+    const entries = [];
+    for (const movement of movements) {
+        balance = roundAmount(balance + movement.debit - movement.credit);
+        if (from && movement.date < from) {
+            openingBalance = balance;
+            continue;
+        }
+        if (to && movement.date > to) break;
+        entries.push({ ...movement, balance });
+    }
+
+    return {
+        openingBalance,
+        entries,
+        closingBalance: entries.length ? entries[entries.length - 1].balance : openingBalance,
+        credit: roundAmount(payments.reduce((sum, payment) =>
+            sum + payment.amount - payment.allocations.reduce((total, allocation) => total + allocation.amount, 0), 0)),
+        aging: summarizeAging(bills.filter((bill) => OPEN_BILL_STATUSES.includes(bill.status)), asOf)
+    };
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    OPEN_BILL_STATUSES,
+    computeDueDate,
+    syncVendorBalance,
+    createVendorBill,
+    updateVendorBill,
+    cancelVendorBill,
+    recordVendorPayment,
+    applyVendorPayment,
+    voidVendorPayment,
+    agingBucket,
+    summarizeAging,
+    getVendorStatement
+};
@@ -0,0 +1,297 @@
+/**
+ * ======================================
+ * VENDOR SCORECARD HELPER
+ * ======================================
+ *
+ * Vendor scores are computed each month from what actually happened, and
+ * stored as one VendorScoreSnapshot per vendor and month ("2026-10"):
+ *
+ *   onTime    - Work orders completed by their expectedCompletionDate (or the
+ *               linked alert's resolve SLA), of those with a deadline
+ *   quality   - Completed work orders that never had to be reopened
+ *   response  - Average hours from assignment to start; full marks within
+ *               vendor_response_target_hours, less the slower it gets
+ *   invoicing - Vendor bills not flagged as overcharged against the
+ *               contract rates (see vendor-contract.helper)
+ *
+ * Each component is scored 0-5; the automatic score is their weighted mean
+ * over the components that have data. Manual ScoreCard ratings (1-5) from
+ * the same month are blended in at vendor_score_manual_weight. A work order
+ * counts in the month it was (last) completed.
+ *
+ * Vendor.performanceScore is the same blend over the whole scoring window,
+ * from the summed counts of its snapshots, and ranks vendors for a service.
+ *
+ * ====================================
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * vendor_response_target_hours - Assignment-to-start time that still scores 5 (default: 24)
+ * vendor_score_manual_weight   - Share of the blended score taken by manual ratings, 0-1 (default: 0.3)
+ * vendor_score_window_months   - Months of snapshots behind Vendor.performanceScore (default: 6)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SCORE = 5;
+const COMPONENT_WEIGHTS = { onTime: 0.35, quality: 0.25, response: 0.2, invoicing: 0.2 };
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+const toPeriod = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Month range in server local time, as used by the FP&A snapshots
+const periodRange = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    return { start: new Date(year, month - 1, 1), end: new Date(year, month, 1) };
+};
+
+const shiftPeriod = (period, months) => {
+    const { start } = periodRange(period);
+    return toPeriod(new Date(start.getFullYear(), start.getMonth() + months, 1));
+};
+
+const readScoreSettings = async (client = prisma) => {
+    const [responseTargetHours, manualWeight, windowMonths] = await Promise.all([
+        getNumericSetting('vendor_response_target_hours', 24, client),
+        getNumericSetting('vendor_score_manual_weight', 0.3, client),
+        getNumericSetting('vendor_score_window_months', 6, client)
+    ]);
+
+    return {
+        responseTargetHours: responseTargetHours > 0 ? responseTargetHours : 24,
+        manualWeight: Math.min(Math.max(manualWeight, 0), 1),
+        windowMonths: Math.max(Math.round(windowMonths), 1)
+    };
+};
+
+/**
+ * Score a set of counts (one month, or a window summed)
+ *
+ * @param {Object} counts - jobsCompleted, jobsWithDeadline, jobsOnTime, jobsReopened, jobsStarted,
+ *                          avgResponseHours, billsRecorded, billsDisputed, manualScore, manualCount
+ * @returns {Object} { components, autoScore, score }
+ */
+const scoreCounts = (counts, { responseTargetHours, manualWeight }) => {
+    const components = {
+        onTime: counts.jobsWithDeadline ? MAX_SCORE * (counts.jobsOnTime / counts.jobsWithDeadline) : null,
+        quality: counts.jobsCompleted ? MAX_SCORE * (1 - counts.jobsReopened / counts.jobsCompleted) : null,
+        response: counts.jobsStarted && counts.avgResponseHours !== null
+            ? MAX_SCORE * Math.min(1, responseTargetHours / Math.max(counts.avgResponseHours, 0.01))
+            : null,
+        invoicing: counts.billsRecorded ? MAX_SCORE * (1 - counts.billsDisputed / counts.billsRecorded) : null
+    };
+    Object.keys(components).forEach((key) => {
+        if (components[key] !== null) components[key] = roundScore(components[key]);
+    });
+
+    let weighted = 0;
+    let weights = 0;
+    Object.entries(COMPONENT_WEIGHTS).forEach(([key, weight]) => {
+        if (components[key] === null) return;
+        weighted += components[key] * weight;
+        weights += weight;
+    });
+    const autoScore = weights ? roundScore(weighted / weights) : null;
+
+    let score = autoScore;
+    if (counts.manualCount && counts.manualScore !== null) {
+        score = autoScore === null
+            ? counts.manualScore
+            : roundScore(autoScore * (1 - manualWeight) + counts.manualScore * manualWeight);
+    }
+
+    return { components, autoScore, score };
+};
+
+/**
+ * Collect a vendor's counts for one month
+ */
+const collectVendorCounts = async (vendorId, period, client = prisma) => {
+    const { start, end } = periodRange(period);
+
+    const [completed, started, billsRecorded, billsDisputed, manual] = await Promise.all([
+        client.maintenanceWorkOrder.findMany({
+            where: { assignedVendorId: vendorId, status: 'completed', completedAt: { gte: start, lt: end } },
+            select: { completedAt: true, expectedCompletionDate: true, reopenCount: true, alert: { select: { resolveDueAt: true } } }
+        }),
+        client.maintenanceWorkOrder.findMany({
+            where: { assignedVendorId: vendorId, assignedAt: { gte: start, lt: end }, startedAt: { not: null } },
+            select: { assignedAt: true, startedAt: true }
+        }),
+        client.vendorBill.count({ where: { vendorId, billDate: { gte: start, lt: end }, status: { not: 'cancelled' } } }),
+        client.vendorBill.count({ where: { vendorId, billDate: { gte: start, lt: end }, status: { not: 'cancelled' }, rateStatus: 'overcharged' } }),
+        client.scoreCard.aggregate({
+            where: { entityType: 'vendor', entityId: vendorId, createdAt: { gte: start, lt: end } },
+            _avg: { score: true },
+            _count: { _all: true }
+        })
+    ]);
+
+    let jobsWithDeadline = 0;
+    let jobsOnTime = 0;
+    completed.forEach((order) => {
+        const deadline = order.expectedCompletionDate || order.alert?.resolveDueAt || null;
+        if (!deadline) return;
+        jobsWithDeadline += 1;
+        if (order.completedAt <= deadline) jobsOnTime += 1;
+    });
+
+    // A job started before it was (re)assigned responded at once
+    const responseHours = started.map((order) => Math.max(order.startedAt - order.assignedAt, 0) / HOUR_MS);
+
+    return {
+        jobsCompleted: completed.length,
+        jobsWithDeadline,
+        jobsOnTime,
+        jobsReopened: completed.filter((order) => order.reopenCount > 0).length,
+        jobsStarted: started.length,
+        avgResponseHours: responseHours.length
+            ? roundScore(responseHours.reduce((sum, hours) => sum + hours, 0) / responseHours.length)
+            : null,
+        billsRecorded,
+        billsDisputed,
+        manualScore: manual._count._all ? roundScore(manual._avg.score) : null,
+        manualCount: manual._count._all
+    };
+};
+
+/**
+ * Sum monthly snapshots into one set of counts; averages are weighted by
+ * the jobs or ratings behind them
+ */
+const sumSnapshots = (snapshots) => {
+    const totals = {
+        jobsCompleted: 0, jobsWithDeadline: 0, jobsOnTime: 0, jobsReopened: 0, jobsStarted: 0,
+        billsRecorded: 0, billsDisputed: 0, manualCount: 0
+    };
+    let responseHours = 0;
+    let manualPoints = 0;
+
+    snapshots.forEach((snapshot) => {
+        Object.keys(totals).forEach((key) => { totals[key] += snapshot[key] || 0; });
+        if (snapshot.avgResponseHours !== null) responseHours += snapshot.avgResponseHours * snapshot.jobsStarted;
+        if (snapshot.manualScore !== null) manualPoints += snapshot.manualScore * snapshot.manualCount;
+    });
+
+    return {
+        ...totals,
+        avgResponseHours: totals.jobsStarted ? roundScore(responseHours / totals.jobsStarted) : null,
+        manualScore: totals.manualCount ? roundScore(manualPoints / totals.manualCount) : null
+    };
+};
+
+/**
+ * Recompute one vendor's snapshot for a month
+ *
+ * @returns {Object} VendorScoreSnapshot
+ */
+const saveVendorSnapshot = async (vendorId, period, settings, now = new Date()) => {
+    const counts = await collectVendorCounts(vendorId, period);
+    const scored = scoreCounts(counts, settings);
+    const data = { ...counts, ...scored, computedAt: now };
+
+    return prisma.vendorScoreSnapshot.upsert({
+        where: { vendorId_period: { vendorId, period } },
+        update: data,
+        create: { vendorId, period, ...data }
+    });
+};
+
+/**
+ * Recompute Vendor.performanceScore from the snapshots in the window
+ */
+const updatePerformanceScore = async (vendorId, settings, now = new Date()) => {
+    const currentPeriod = toPeriod(now);
+    const snapshots = await prisma.vendorScoreSnapshot.findMany({
+        where: { vendorId, period: { gte: shiftPeriod(currentPeriod, 1 - settings.windowMonths), lte: currentPeriod } }
+    });
+
+    const { score } = scoreCounts(sumSnapshots(snapshots), settings);
+    await prisma.vendor.update({
+        where: { id: vendorId },
+        data: { performanceScore: score, performanceScoredAt: now }
+    });
+    return score;
+};
+
+/**
+ * Refresh the current and previous month's snapshots and the rolling score
+ *
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {Number[]} options.vendorIds - Only these vendors (default: every vendor)
+ * @returns {Object} { vendors, periods, snapshots }
+ */
+const refreshVendorScores = async ({ now = new Date(), vendorIds = null } = {}) => {
+    const settings = await readScoreSettings();
+    const current = toPeriod(now);
+    const periods = [shiftPeriod(current, -1), current];
+
+    const vendors = vendorIds
+        ? vendorIds.map((id) => ({ id }))
+        : await prisma.vendor.findMany({ select: { id: true } });
+
+    let snapshots = 0;
+    for (const vendor of vendors) {
+        for (const period of periods) {
+            await saveVendorSnapshot(vendor.id, period, settings, now);
+            snapshots += 1;
+        }
+        await updatePerformanceScore(vendor.id, settings, now);
+    }
+
+    return { vendors: vendors.length, periods, snapshots };
+};
+
+/**
+ * A vendor's score over the window with its monthly trend
+ *
+ * @param {Number} vendorId
+ * @param {Object} options
+ * @param {Number} options.months - Months of trend to return (default: the scoring window)
+ * @returns {Object} { period, window, trend, settings }
+ */
+const getVendorScorecard = async (vendorId, { months = null, now = new Date() } = {}) => {
+    const settings = await readScoreSettings();
+    const current = toPeriod(now);
+    const trendMonths = months || settings.windowMonths;
+    const from = shiftPeriod(current, 1 - Math.max(trendMonths, settings.windowMonths));
+
+    const snapshots = await prisma.vendorScoreSnapshot.findMany({
+        where: { vendorId, period: { gte: from, lte: current } },
+        orderBy: { period: 'asc' }
+    });
+
+    const windowStart = shiftPeriod(current, 1 - settings.windowMonths);
+    const windowCounts = sumSnapshots(snapshots.filter((snapshot) => snapshot.period >= windowStart));
+    const trendStart = shiftPeriod(current, 1 - trendMonths);
+
+    return {
+        window: {
+            from: windowStart,
+            to: current,
+            ...windowCounts,
+            ...scoreCounts(windowCounts, settings)
+        },
+        trend: snapshots
+            .filter((snapshot) => snapshot.period >= trendStart)
+            .map((snapshot) => ({
+                period: snapshot.period,
+                score: snapshot.score,
+                autoScore: snapshot.autoScore,
+                manualScore: snapshot.manualScore,
+                components: snapshot.components,
+                jobsCompleted: snapshot.jobsCompleted,
+                billsRecorded: snapshot.billsRecorded,
+                computedAt: snapshot.computedAt
+            })),
+        settings: { ...settings, weights: COMPONENT_WEIGHTS }
+    };
+};
+
+module.exports = {
+    refreshVendorScores,
+    getVendorScorecard
+};
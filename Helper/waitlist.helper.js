@@ -0,0 +1,462 @@
+/**
+ * ======================================
+ * WAITLIST HELPER
+ * ======================================
+ *
+ * Prospects who find no bed join the waitlist of a hostel, optionally for a
+ * room type, and give the window in which they could move in. Entries are
+ * served first come, first served.
+ *
+ * When a bed is freed (checkout, transfer, a cancelled booking, a lapsed or
+ * declined offer) it is offered to the first waiting entry it suits:
+ * - the bed's room is of the wanted room type (any, if none was given);
+ * - the hostel type fits the prospect: a "boys" or "girls" prospect fits a
+ *   hostel of that type or a "mixed" one, a "family" prospect only a family
+ *   hostel;
+ * - the move-in window is still open and starts before the offer lapses;
+ * - no pending / confirmed booking holds the bed during the move-in window.
+ *
+ * An offer is a timed reservation on the bed: status "reserved" with
+ * Bed.reservedById (the prospect's user account, or the staff member who
+ * added the entry) and Bed.reservationExpiry set to the end of the offer.
+ * An accepted offer becomes a booking for the bed; a declined or lapsed one
+ * releases the bed and moves on to the next person in line.
+ *
+ * 📝 SETTINGS (key-value Setting table)
+ * ====================================
+ * waitlist_offer_hours - Hours a prospect has to accept an offer (default: 24)
+ */
+
+const { prisma } = require('../config/db');
+const { getNumericSetting } = require('./setting.helper');
+const { startOfUtcDay } = require('../utils/normalize');
+const { releaseBedReservation } = require('./reservation.helper');
+const { quoteStay } = require('./pricing.helper');
+const { generateBookingCode } = require('./booking.helper');
+const { sendWhatsApp, normalizePhone } = require('./whatsapp.helper');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_OFFER_HOURS = 24;
+const HOLDING_BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in'];
+const SWEEP_LIMIT = 200;
+
+/**
+ * Whether a hostel (Hostel.type list) suits a prospect's hostel type
+ */
+const isHostelTypeCompatible = (hostelTypes, wanted) => {
+    if (!wanted) return true;
+    const types = Array.isArray(hostelTypes) ? hostelTypes : [];
+    if (types.includes(wanted)) return true;
+    return wanted !== 'family' && types.includes('mixed');
+};
+
+const getOfferHours = async () => Math.max(await getNumericSetting('waitlist_offer_hours', DEFAULT_OFFER_HOURS), 1);
+
+// Where-clause for waiting entries whose move-in window is still open
+const openWindowFilter = (now) => ({ moveInTo: { gte: startOfUtcDay(now) } });
+
+/**
+ * Whether a pending / confirmed booking holds the bed in the entry's move-in window
+ */
+const hasBookingConflict = async (client, bedId, entry, now) => {
+    const windowStart = entry.moveInFrom > now ? entry.moveInFrom : now;
+    const conflict = await client.booking.findFirst({
+        where: {
+            bedId,
+            status: { in: HOLDING_BOOKING_STATUSES },
+            checkInDate: { lte: entry.moveInTo },
+            checkOutDate: { gt: windowStart }
+        },
+        select: { id: true }
+    });
+    return Boolean(conflict);
+};
+
+/**
+ * Let the prospect know a bed is being held for them.
+ * Best effort: the offer stands whether or not the message goes out.
+ */
+const notifyOffer = async (entry, bed, offerExpiresAt) => {
+    if (!process.env.TWILIO_WHATSAPP_FROM || !entry.customerPhone) return;
+
+    try {
+        await sendWhatsApp(
+            normalizePhone(entry.customerPhone),
+            `Hi ${entry.customerName}, a bed is now available for you at ${bed.room.hostel.name || 'the hostel'} `
+            + `(room ${bed.room.roomNumber}, bed ${bed.bedNumber}). `
+            + `It is held for you until ${offerExpiresAt.toISOString().slice(0, 16).replace('T', ' ')} UTC.`
+        );
+    } catch (err) {
+        console.warn(`⚠️ Could not send waitlist offer #${entry.id}:`, err.message);
+    }
+};
+
+/**
+ * Reserve a bed for an entry and mark the entry offered.
+ * Returns null when the bed or the entry was taken in the meantime.
+ */
+const offerBedToEntry = async (entry, bed, { now, offerHours, userId = null }) => {
+    const offerExpiresAt = new Date(now.getTime() + offerHours * HOUR_MS);
+
+    const offered = await prisma.$transaction(async (tx) => {
+        const reserved = await tx.bed.updateMany({
+            where: { id: bed.id, status: 'available' },
+            data: {
+                status: 'reserved',
+                reservedById: entry.userId || entry.createdBy || userId,
+                reservationExpiry: offerExpiresAt
+            }
+        });
+        if (!reserved.count) return null;
+
+        const claimed = await tx.waitlistEntry.updateMany({
+            where: { id: entry.id, status: 'waiting' },
+            data: {
+                status: 'offered',
+                offeredBedId: bed.id,
+                offeredAt: now,
+                offerExpiresAt,
+                offerCount: { increment: 1 }
+            }
+        });
+        if (!claimed.count) {
+            await tx.bed.update({
+                where: { id: bed.id },
+                data: { status: 'available', reservedById: null, reservationExpiry: null }
+            });
+            return null;
+        }
+
+        return tx.waitlistEntry.findUnique({ where: { id: entry.id } });
+    });
+
+    if (offered) {
+        await notifyOffer(entry, bed, offerExpiresAt);
+    }
+
+    return offered;
+};
+
+const bedSelect = {
+    id: true,
+    bedNumber: true,
+    status: true,
+    room: {
+        select: {
+            id: true,
+            roomNumber: true,
+            roomType: true,
+            status: true,
+            hostelId: true,
+            hostel: { select: { id: true, name: true, type: true } }
+        }
+    }
+};
+
+const isBedOfferable = (bed) => bed && bed.status === 'available' && bed.room.status !== 'under_maintenance';
+
+/**
+ * Offer a freed bed to the first waiting entry it suits
+ *
+ * @param {Number} bedId
+ * @param {Object} options - { now, userId }
+ * @returns {Object|null} The offered entry, or null when nobody was offered the bed
+ */
+const offerFreedBed = async (bedId, { now = new Date(), userId = null } = {}) => {
+    const bed = await prisma.bed.findUnique({ where: { id: bedId }, select: bedSelect });
+    if (!isBedOfferable(bed)) return null;
+
+    const offerHours = await getOfferHours();
+    const offerEnds = new Date(now.getTime() + offerHours * HOUR_MS);
+
+    const candidates = await prisma.waitlistEntry.findMany({
+        where: {
+            hostelId: bed.room.hostelId,
+            status: 'waiting',
+            moveInFrom: { lte: offerEnds },
+            ...openWindowFilter(now),
+            OR: [{ roomType: null }, { roomType: bed.room.roomType }]
+        },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    for (const entry of candidates) {
+        if (!isHostelTypeCompatible(bed.room.hostel.type, entry.hostelType)) continue;
+        if (await hasBookingConflict(prisma, bed.id, entry, now)) continue;
+
+        const offered = await offerBedToEntry(entry, bed, { now, offerHours, userId });
+        if (offered) return offered;
+    }
+
+    return null;
+};
+
+/**
+ * offerFreedBed for callers that have already finished their own work
+ * (checkout, cancellation): a failure is logged, never thrown.
+ */
+const offerFreedBedSafely = async (bedId, options) => {
+    try {
+        return await offerFreedBed(bedId, options);
+    } catch (err) {
+        console.error(`Waitlist offer for bed #${bedId} failed:`, err);
+        return null;
+    }
+};
+
+/**
+ * Find a bed for one waiting entry (a specific bed, or the first suitable one)
+ */
+const findBedForEntry = async (entry, { now, offerHours, bedId = null }) => {
+    if (entry.moveInFrom > new Date(now.getTime() + offerHours * HOUR_MS)) return null;
+
+    const hostel = await prisma.hostel.findUnique({ where: { id: entry.hostelId }, select: { type: true } });
+    if (!hostel || !isHostelTypeCompatible(hostel.type, entry.hostelType)) return null;
+
+    const beds = await prisma.bed.findMany({
+        where: {
+            ...(bedId ? { id: bedId } : {}),
+            status: 'available',
+            room: {
+                hostelId: entry.hostelId,
+                status: { not: 'under_maintenance' },
+                ...(entry.roomType ? { roomType: entry.roomType } : {})
+            }
+        },
+        select: bedSelect,
+        orderBy: [{ roomId: 'asc' }, { id: 'asc' }]
+    });
+
+    for (const bed of beds) {
+        if (!(await hasBookingConflict(prisma, bed.id, entry, now))) return bed;
+    }
+    return null;
+};
+
+/**
+ * Offer a bed to a waiting entry now (staff action)
+ *
+ * @returns {Object} { entry } or { error }
+ */
+const offerBedToWaitingEntry = async (entryId, { bedId = null, now = new Date(), userId = null } = {}) => {
+    const entry = await prisma.waitlistEntry.findUnique({ where: { id: entryId } });
+    if (!entry) return { error: 'Waitlist entry not found', status: 404 };
+    if (entry.status !== 'waiting') return { error: `Entry is ${entry.status}, only waiting entries can be offered a bed` };
+    if (entry.moveInTo < startOfUtcDay(now)) return { error: 'The move-in window of this entry has passed' };
+
+    const offerHours = await getOfferHours();
+    const bed = await findBedForEntry(entry, { now, offerHours, bedId });
+    if (!bed) {
+        return { error: bedId ? 'That bed cannot be offered to this entry' : 'No suitable bed is available for this entry' };
+    }
+
+    const offered = await offerBedToEntry(entry, bed, { now, offerHours, userId });
+    return offered ? { entry: offered } : { error: 'The bed or entry changed in the meantime, try again' };
+};
+
+/**
+ * Release the bed held by an entry's offer, if the hold is still the offer's own
+ */
+const releaseOfferedBed = async (tx, entry) => {
+    if (!entry.offeredBedId || !entry.offerExpiresAt) return false;
+
+    const bed = await tx.bed.findUnique({
+        where: { id: entry.offeredBedId },
+        select: { status: true, reservationExpiry: true }
+    });
+    if (!bed || bed.status !== 'reserved' || !bed.reservationExpiry
+        || bed.reservationExpiry.getTime() !== entry.offerExpiresAt.getTime()) {
+        return false;
+    }
+
+    return releaseBedReservation(tx, entry.offeredBedId);
+};
+
+/**
+ * Close an open offer (declined, lapsed or cancelled) and pass the bed on
+ *
+ * @param {Object} entry - Entry in status "offered"
+ * @param {String} status - declined | expired | cancelled
+ * @returns {Object} { entry, nextOffer } or null when the entry was no longer offered
+ */
+const closeOffer = async (entry, status, { now = new Date(), userId = null, notes = null } = {}) => {
+    const closed = await prisma.$transaction(async (tx) => {
+        const updated = await tx.waitlistEntry.updateMany({
+            where: { id: entry.id, status: 'offered' },
+            data: {
+                status,
+                ...(notes ? { notes: entry.notes ? `${entry.notes}\n${notes}` : notes } : {})
+            }
+        });
+        if (!updated.count) return null;
+
+        await releaseOfferedBed(tx, entry);
+        return true;
+    });
+
+    if (!closed) return null;
+
+    // The bed may also have been released by the reservation expiry job already
+    const nextOffer = entry.offeredBedId ? await offerFreedBedSafely(entry.offeredBedId, { now, userId }) : null;
+    const updatedEntry = await prisma.waitlistEntry.findUnique({ where: { id: entry.id } });
+
+    return { entry: updatedEntry, nextOffer };
+};
+
+/**
+ * Turn an accepted offer into a booking for the offered bed. The bed stays
+ * reserved for the prospect until the day after check-in.
+ *
+ * @param {Number} entryId
+ * @param {Object} options - { checkInDate?, checkOutDate, bookingType?, userId }
+ * @returns {Object} { entry, booking } or { error }
+ */
+const acceptOffer = async (entryId, { checkInDate, checkOutDate, bookingType = 'admin', userId = null, now = new Date() }) => {
+    const entry = await prisma.waitlistEntry.findUnique({ where: { id: entryId } });
+    if (!entry) return { error: 'Waitlist entry not found', status: 404 };
+    if (entry.status !== 'offered') return { error: `Entry is ${entry.status}, there is no open offer to accept` };
+    if (entry.offerExpiresAt <= now) return { error: 'The offer has lapsed' };
+
+    const checkIn = checkInDate
+        ? new Date(checkInDate)
+        : (entry.moveInFrom > now ? entry.moveInFrom : startOfUtcDay(now));
+    const checkOut = checkOutDate ? new Date(checkOutDate) : null;
+
+    if (Number.isNaN(checkIn.getTime()) || !checkOut || Number.isNaN(checkOut.getTime())) {
+        return { error: 'A valid checkOutDate is required (checkInDate defaults to the start of the move-in window)' };
+    }
+    if (startOfUtcDay(checkIn) < startOfUtcDay(now)) {
+        return { error: 'Check-in date cannot be in the past' };
+    }
+
+    const bed = await prisma.bed.findUnique({
+        where: { id: entry.offeredBedId },
+        select: { id: true, status: true, reservationExpiry: true, roomId: true }
+    });
+    if (!bed || bed.status !== 'reserved' || bed.reservationExpiry?.getTime() !== entry.offerExpiresAt.getTime()) {
+        return { error: 'The offered bed is no longer held for this entry' };
+    }
+
+    const pricingQuote = await quoteStay({ bedId: bed.id, checkInDate: checkIn, checkOutDate: checkOut });
+    const bookingCode = await generateBookingCode();
+
+    const booking = await prisma.$transaction(async (tx) => {
+        const accepted = await tx.waitlistEntry.updateMany({
+            where: { id: entry.id, status: 'offered' },
+            data: { status: 'booked' }
+        });
+        if (!accepted.count) {
+            throw new Error('The offer is no longer open');
+        }
+
+        const created = await tx.booking.create({
+            data: {
+                bookingCode,
+                tenantId: entry.tenantId,
+                hostelId: entry.hostelId,
+                roomId: bed.roomId,
+                bedId: bed.id,
+                checkInDate: checkIn,
+                checkOutDate: checkOut,
+                bookingType,
+                status: 'pending',
+                numberOfGuests: entry.numberOfGuests,
+                remarks: `From waitlist entry #${entry.id}`,
+                totalAmount: pricingQuote.total,
+                pricingQuote,
+                advancePaid: 0,
+                paymentStatus: 'pending',
+                customerName: entry.customerName,
+                customerEmail: entry.customerEmail,
+                customerPhone: entry.customerPhone,
+                customerCnic: entry.customerCnic,
+                createdBy: userId
+            }
+        });
+
+        await tx.waitlistEntry.update({
+            where: { id: entry.id },
+            data: { bookingId: created.id }
+        });
+
+        await tx.bed.update({
+            where: { id: bed.id },
+            data: { reservationExpiry: new Date(startOfUtcDay(checkIn).getTime() + DAY_MS) }
+        });
+
+        return created;
+    });
+
+    const updatedEntry = await prisma.waitlistEntry.findUnique({ where: { id: entry.id } });
+    return { entry: updatedEntry, booking };
+};
+
+/**
+ * PROCESS WAITLIST
+ * ================
+ * 1. Lapsed offers are closed as "expired" and their beds passed on.
+ * 2. Waiting entries whose move-in window has passed are expired.
+ * 3. Waiting entries, oldest first, are offered any suitable available bed
+ *    (picks up beds freed without a checkout or cancellation, e.g. after
+ *    maintenance).
+ *
+ * @param {Object} options - { now }
+ * @returns {Object} { lapsedOffers, expiredEntries, offers }
+ */
+const processWaitlist = async ({ now = new Date() } = {}) => {
+    // 1. Lapsed offers
+    const lapsed = await prisma.waitlistEntry.findMany({
+        where: { status: 'offered', offerExpiresAt: { lt: now } },
+        orderBy: { offerExpiresAt: 'asc' }
+    });
+
+    const lapsedOffers = [];
+    for (const entry of lapsed) {
+        const closed = await closeOffer(entry, 'expired', { now, notes: `Offer of bed #${entry.offeredBedId} lapsed` });
+        if (closed) {
+            lapsedOffers.push({ entryId: entry.id, bedId: entry.offeredBedId, nextOfferEntryId: closed.nextOffer?.id || null });
+        }
+    }
+
+    // 2. Move-in window passed
+    const expired = await prisma.waitlistEntry.updateMany({
+        where: { status: 'waiting', moveInTo: { lt: startOfUtcDay(now) } },
+        data: { status: 'expired' }
+    });
+
+    // 3. Offer free beds to whoever is waiting
+    const offerHours = await getOfferHours();
+    const waiting = await prisma.waitlistEntry.findMany({
+        where: {
+            status: 'waiting',
+            moveInFrom: { lte: new Date(now.getTime() + offerHours * HOUR_MS) },
+            ...openWindowFilter(now)
+        },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: SWEEP_LIMIT
+    });
+
+    const offers = [];
+    for (const entry of waiting) {
+        const bed = await findBedForEntry(entry, { now, offerHours });
+        if (!bed) continue;
+
+        const offered = await offerBedToEntry(entry, bed, { now, offerHours });
+        if (offered) {
+            offers.push({ entryId: entry.id, bedId: bed.id });
+        }
+    }
+
+    return { lapsedOffers, expiredEntries: expired.count, offers };
+};
+
+module.exports = {
+    isHostelTypeCompatible,
+    offerFreedBed,
+    offerFreedBedSafely,
+    offerBedToWaitingEntry,
+    closeOffer,
+    acceptOffer,
+    processWaitlist
+};
@@ -3,6 +3,7 @@ const dotenv = require("dotenv");
 const cookieParser = require("cookie-parser");
 const cors = require("cors");
 const { dbConnection } = require("./config/db");
+const { startScheduler } = require("./Helper/scheduler.helper");
 
 const userRoute = require("./routes/api/admin/user.route");
 const userHostelRoute = require("./routes/api/user/hostel.route");
@@ -37,6 +38,23 @@ const accountsRoute = require("./routes/api/admin/accounts.route");
 const expenseRoute = require("./routes/api/admin/expense.route");
 const messRoute = require("./routes/api/admin/mess.route");
 const currencyRoute = require("./routes/api/admin/currency.route");
+const invoiceRoute = require("./routes/api/admin/invoice.route");
+const lateFeeRoute = require("./routes/api/admin/late-fee.route");
+const depositRoute = require("./routes/api/admin/deposit.route");
+const utilityRoute = require("./routes/api/admin/utility.route");
+const jobRoute = require("./routes/api/admin/job.route");
+const pricingRoute = require("./routes/api/admin/pricing.route");
+const waitlistRoute = require("./routes/api/admin/waitlist.route");
+const occupancyRoute = require("./routes/api/admin/occupancy.route");
+const maintenanceRoute = require("./routes/api/admin/maintenance.route");
+const preventiveMaintenanceRoute = require("./routes/api/admin/preventive-maintenance.route");
+const alertSlaRoute = require("./routes/api/admin/alert-sla.route");
+const purchaseRoute = require("./routes/api/admin/purchase.route");
+const vendorLedgerRoute = require("./routes/api/admin/vendor-ledger.route");
+const vendorContractRoute = require("./routes/api/admin/vendor-contract.route");
+const generalLedgerRoute = require("./routes/api/admin/general-ledger.route");
+const bankReconciliationRoute = require("./routes/api/admin/bank-reconciliation.route");
+const cashShiftRoute = require("./routes/api/admin/cash-shift.route");
 
 // Load environment variables
 dotenv.config();
@@ -111,9 +129,29 @@ app.use("/api/admin", accountsRoute);
 app.use("/api/admin", expenseRoute);
 app.use("/api/admin", messRoute);
 app.use("/api/admin", currencyRoute);
+app.use("/api/admin", invoiceRoute);
+app.use("/api/admin", lateFeeRoute);
+app.use("/api/admin", depositRoute);
+app.use("/api/admin", utilityRoute);
+app.use("/api/admin", jobRoute);
+app.use("/api/admin", pricingRoute);
+app.use("/api/admin", waitlistRoute);
+app.use("/api/admin", occupancyRoute);
+app.use("/api/admin", maintenanceRoute);
+app.use("/api/admin", preventiveMaintenanceRoute);
+app.use("/api/admin", alertSlaRoute);
+app.use("/api/admin", purchaseRoute);
+app.use("/api/admin", vendorLedgerRoute);
+app.use("/api/admin", vendorContractRoute);
+app.use("/api/admin", generalLedgerRoute);
+app.use("/api/admin", bankReconciliationRoute);
+app.use("/api/admin", cashShiftRoute);
 
 // Start server
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Server is running on port ${PORT}`);
+
+    // Recurring jobs (see Helper/scheduled-jobs.helper.js)
+    startScheduler();
 });
@@ -1,5 +1,7 @@
 const { prisma } = require('../../config/db');
 const { successResponse, errorResponse } = require('../../Helper/helper');
+const { OPEN_BILL_STATUSES, summarizeAging } = require('../../Helper/vendor-ledger.helper');
+const { getTrialBalance, getBalanceSheet, getProfitAndLoss } = require('../../Helper/general-ledger.helper');
 
 /**
  * =====================================================
@@ -7,7 +9,8 @@ const { successResponse, errorResponse } = require('../../Helper/helper');
  * =====================================================
  *
  * Provides financial overview, payables, and receivables
- * for the Accounts dashboard
+ * for the Accounts dashboard, and the financial statements
+ * from the general ledger (see general-ledger.helper)
  */
 
 const RECEIVABLE_PENDING_STATUSES = ['pending', 'overdue', 'partial'];
@@ -23,19 +26,6 @@ const RECEIVABLE_STATUS_LABELS = {
   paid: 'Paid',
 };
 
-const CAPITAL_TRANSACTION_TYPES = [
-  'capital_investment',
-  'owner_investment',
-  'owner_contribution',
-  'investment',
-  'capital',
-  'deposit',
-  'security_deposit',
-  'refundable_deposit',
-];
-
-const CAPITAL_PAYMENT_TYPES = ['deposit'];
-
 const formatAmount = (value) => {
   const numeric = Number(value || 0);
   if (!Number.isFinite(numeric)) return 0;
@@ -100,7 +90,7 @@ const buildPaymentSearchClause = (searchTerm) => {
   if (!value) return null;
 
   // Check if search term looks like a reference number (e.g., RENT-1001)
-  const referenceMatch = value.match(/^(RENT|DEPOSIT|MAINTENANCE|ELECTRICITY|WATER|OTHER)-?(\d+)$/i);
+  const referenceMatch = value.match(/^(RENT|DEPOSIT|MAINTENANCE|ELECTRICITY|WATER|LATE_FEE|OTHER)-?(\d+)$/i);
   
   return {
     OR: [
@@ -237,43 +227,6 @@ const buildPaymentWhere = ({ hostelId, paymentType, statuses, startDate, endDate
   return where;
 };
 
-const buildCapitalTransactionFilter = ({ hostelId, startDate, endDate }) => {
-  const where = {
-    transactionType: { in: CAPITAL_TRANSACTION_TYPES },
-  };
-
-  if (hostelId) {
-    where.hostelId = hostelId;
-  }
-
-  if (startDate || endDate) {
-    where.createdAt = {};
-    if (startDate) where.createdAt.gte = new Date(startDate);
-    if (endDate) where.createdAt.lte = new Date(endDate);
-  }
-
-  return where;
-};
-
-const buildCapitalPaymentFilter = ({ hostelId, startDate, endDate }) => {
-  const where = {
-    status: 'paid',
-    paymentType: { in: CAPITAL_PAYMENT_TYPES },
-  };
-
-  if (hostelId) {
-    where.hostelId = hostelId;
-  }
-
-  if (startDate || endDate) {
-    where.createdAt = {};
-    if (startDate) where.createdAt.gte = new Date(startDate);
-    if (endDate) where.createdAt.lte = new Date(endDate);
-  }
-
-  return where;
-};
-
 const computePayablesSummary = async ({ hostelId, search, type }) => {
   // For bills summary, exclude laundry
   const billsExpenseFilter = buildExpenseFilter({ hostelId, search, excludeLaundry: true });
@@ -294,9 +247,9 @@ const computePayablesSummary = async ({ hostelId, search, type }) => {
       _sum: { amount: true },
       _count: { _all: true },
     }),
-    prisma.vendor.aggregate({
-      where: vendorFilter,
-      _sum: { totalPayable: true },
+    prisma.vendorBill.aggregate({
+      where: { vendor: vendorFilter, status: { in: OPEN_BILL_STATUSES } },
+      _sum: { amount: true, amountPaid: true },
       _count: { _all: true },
     }),
     prisma.expense.aggregate({
@@ -314,7 +267,8 @@ const computePayablesSummary = async ({ hostelId, search, type }) => {
   const billsAmount = (billsExpenseAgg._sum.amount || 0) + (alertAgg._sum.amount || 0);
   const billsCount = (billsExpenseAgg._count._all || 0) + (alertAgg._count._all || 0);
 
-  const vendorAmount = vendorAgg._sum.totalPayable || 0;
+  // Outstanding on open vendor bills
+  const vendorAmount = (vendorAgg._sum.amount || 0) - (vendorAgg._sum.amountPaid || 0);
   const vendorCount = vendorAgg._count._all || 0;
 
   const laundryAmount = laundryAgg._sum.amount || 0;
@@ -348,6 +302,7 @@ const computePayablesSummary = async ({ hostelId, search, type }) => {
 /**
  * GET /api/admin/accounts/summary
  * Get financial summary (Total Income, Expenses, Profit/Loss, Capital Invested)
+ * from the general ledger
  */
 const getFinancialSummary = async (req, res) => {
   try {
@@ -361,61 +316,34 @@ const getFinancialSummary = async (req, res) => {
       if (endDate) paymentDateFilter.createdAt.lte = new Date(endDate);
     }
 
-    const expenseDateFilter = {};
-    if (startDate || endDate) {
-      expenseDateFilter.date = {};
-      if (startDate) expenseDateFilter.date.gte = new Date(startDate);
-      if (endDate) expenseDateFilter.date.lte = new Date(endDate);
-    }
+    // Income, expenses, capital and receivables come from the general ledger;
+    // the status breakdown still counts the payment rows behind them
+    const periodEnd = endDate ? new Date(endDate) : new Date();
+    const [profitAndLoss, balanceSheet, receivableGroups] = await Promise.all([
+      getProfitAndLoss({
+        hostelId: parsedHostelId,
+        from: startDate ? new Date(startDate) : null,
+        to: periodEnd,
+      }),
+      getBalanceSheet({ hostelId: parsedHostelId, asOf: periodEnd }),
+      prisma.payment.groupBy({
+        by: ['status'],
+        where: {
+          ...(parsedHostelId ? { hostelId: parsedHostelId } : {}),
+          ...paymentDateFilter,
+          status: { in: RECEIVABLE_ALL_STATUSES },
+        },
+        _sum: { amount: true },
+        _count: { _all: true },
+      }),
+    ]);
 
-    const [incomeAgg, expenseAgg, receivableGroups, capitalTransactionsAgg, capitalPaymentsAgg] =
-      await Promise.all([
-        prisma.payment.aggregate({
-          where: {
-            status: 'paid',
-            ...(parsedHostelId ? { hostelId: parsedHostelId } : {}),
-            ...paymentDateFilter,
-          },
-          _sum: { amount: true },
-        }),
-        prisma.expense.aggregate({
-          where: {
-            ...(parsedHostelId ? { hostelId: parsedHostelId } : {}),
-            ...expenseDateFilter,
-          },
-          _sum: { amount: true },
-        }),
-        prisma.payment.groupBy({
-          by: ['status'],
-          where: {
-            ...(parsedHostelId ? { hostelId: parsedHostelId } : {}),
-            ...paymentDateFilter,
-            status: { in: RECEIVABLE_ALL_STATUSES },
-          },
-          _sum: { amount: true },
-          _count: { _all: true },
-        }),
-        prisma.transaction.aggregate({
-          where: buildCapitalTransactionFilter({
-            hostelId: parsedHostelId,
-            startDate,
-            endDate,
-          }),
-          _sum: { amount: true },
-        }),
-        prisma.payment.aggregate({
-          where: buildCapitalPaymentFilter({
-            hostelId: parsedHostelId,
-            startDate,
-            endDate,
-          }),
-          _sum: { amount: true },
-        }),
-      ]);
+    const balanceOf = (rows, systemKey) =>
+      formatAmount(rows.filter((row) => row.systemKey === systemKey).reduce((sum, row) => sum + row.amount, 0));
 
-    const totalIncome = formatAmount(incomeAgg._sum.amount);
-    const totalExpenses = formatAmount(expenseAgg._sum.amount);
-    const profitLoss = formatAmount(totalIncome - totalExpenses);
+    const totalIncome = formatAmount(profitAndLoss.totalRevenue);
+    const totalExpenses = formatAmount(profitAndLoss.totalExpenses);
+    const profitLoss = formatAmount(profitAndLoss.netIncome);
 
     const receivableBreakdown = RECEIVABLE_ALL_STATUSES.reduce((acc, status) => {
       acc[status] = { amount: 0, count: 0 };
@@ -438,9 +366,7 @@ const getFinancialSummary = async (req, res) => {
 
     const receivedTotal = receivableBreakdown.paid?.amount || 0;
 
-    const capitalInvested = formatAmount(
-      (capitalTransactionsAgg._sum.amount || 0) + (capitalPaymentsAgg._sum.amount || 0),
-    );
+    const capitalInvested = balanceOf(balanceSheet.equity, 'owner_equity');
 
     return successResponse(
       res,
@@ -449,8 +375,9 @@ const getFinancialSummary = async (req, res) => {
         totalExpenses,
         profitLoss,
         capitalInvested,
+        depositsHeld: balanceOf(balanceSheet.liabilities, 'deposits_held'),
         badDebt: pendingTotal, // Backwards compatibility with previous field name
-        totalReceivable: formatAmount(pendingTotal),
+        totalReceivable: balanceOf(balanceSheet.assets, 'receivables'),
         totalReceived: formatAmount(receivedTotal),
         isProfit: profitLoss >= 0,
         receivablesBreakdown: receivableBreakdown,
@@ -475,8 +402,9 @@ const getFinancialSummary = async (req, res) => {
  */
 const getPayables = async (req, res) => {
   try {
-    const { type, hostelId, search, page = 1, limit = 20 } = req.query;
+    const { type, hostelId, search, asOf: asOfParam, page = 1, limit = 20 } = req.query;
     const parsedHostelId = parseHostelId(hostelId);
+    const asOf = asOfParam && !Number.isNaN(new Date(asOfParam).getTime()) ? new Date(asOfParam) : new Date();
     const pageNumber = Number.parseInt(page, 10) || 1;
     const limitNumber = Number.parseInt(limit, 10) || 20;
     const skip = (pageNumber - 1) * limitNumber;
@@ -485,6 +413,7 @@ const getPayables = async (req, res) => {
     let payables = [];
     let total = 0;
     let totalAmount = 0;
+    let vendorAging = null;
 
     if (type === 'vendor') {
       const vendorFilter = buildVendorFilter({ hostelId: parsedHostelId, search: normalizedSearch });
@@ -502,12 +431,26 @@ const getPayables = async (req, res) => {
         prisma.vendor.count({ where: vendorFilter }),
       ]);
 
+      // Outstanding amounts come from open vendor bills, aged by days past due
+      const [pageBills, allOpenBills] = await Promise.all([
+        prisma.vendorBill.findMany({
+          where: { vendorId: { in: vendors.map((vendor) => vendor.id) }, status: { in: OPEN_BILL_STATUSES } },
+          select: { vendorId: true, amount: true, amountPaid: true, dueDate: true },
+        }),
+        prisma.vendorBill.findMany({
+          where: { vendor: vendorFilter, status: { in: OPEN_BILL_STATUSES } },
+          select: { amount: true, amountPaid: true, dueDate: true },
+        }),
+      ]);
+      vendorAging = summarizeAging(allOpenBills, asOf);
+
       payables = vendors.map((vendor) => {
-        // Determine status based on balance
+        const aging = summarizeAging(pageBills.filter((bill) => bill.vendorId === vendor.id), asOf);
+
         let status = 'Paid';
-        if (vendor.balance > 0) {
-          status = 'Pending';
-        } else if (vendor.totalPayable > 0 && vendor.totalPaid === 0) {
+        if (aging.overdue > 0) {
+          status = 'Overdue';
+        } else if (aging.outstanding > 0) {
           status = 'Pending';
         }
 
@@ -518,9 +461,19 @@ const getPayables = async (req, res) => {
           title: vendor.name,
           companyName: vendor.companyName,
           category: vendor.category || 'vendor',
-          amount: formatAmount(-Math.abs(vendor.totalPayable || 0)), // Negative amount for payables
+          amount: formatAmount(-Math.abs(aging.outstanding)), // Negative amount for payables
           balance: formatAmount(vendor.balance || 0),
+          totalBilled: formatAmount(vendor.totalPayable || 0),
           totalPaid: formatAmount(vendor.totalPaid || 0),
+          aging: {
+            current: formatAmount(aging.current),
+            '0-30': formatAmount(aging['0-30']),
+            '31-60': formatAmount(aging['31-60']),
+            '61-90': formatAmount(aging['61-90']),
+            '90+': formatAmount(aging['90+']),
+          },
+          overdue: formatAmount(aging.overdue),
+          oldestDueDate: aging.oldestDueDate,
           date: vendor.createdAt,
           hostel: vendor.hostel?.name || null,
           description: vendor.paymentTerms ? `Terms: ${vendor.paymentTerms}` : `Payable to ${vendor.name}`,
@@ -723,6 +676,20 @@ const getPayables = async (req, res) => {
           pages: limitNumber > 0 ? Math.ceil(total / limitNumber) : 1,
         },
         summary,
+        ...(vendorAging
+          ? {
+              aging: {
+                current: formatAmount(vendorAging.current),
+                '0-30': formatAmount(vendorAging['0-30']),
+                '31-60': formatAmount(vendorAging['31-60']),
+                '61-90': formatAmount(vendorAging['61-90']),
+                '90+': formatAmount(vendorAging['90+']),
+                outstanding: formatAmount(vendorAging.outstanding),
+                overdue: formatAmount(vendorAging.overdue),
+                asOf,
+              },
+            }
+          : {}),
         meta: {
           type: type || 'bills',
           hostelId: parsedHostelId,
@@ -801,7 +768,7 @@ const getReceivables = async (req, res) => {
       statuses: RECEIVABLE_ALL_STATUSES,
     });
 
-    const [payments, totalItems, summaryGroups] = await Promise.all([
+    const [payments, totalItems, summaryGroups, lateFeeAgg] = await Promise.all([
       prisma.payment.findMany({
         where: itemsWhere,
         include: {
@@ -834,6 +801,15 @@ const getReceivables = async (req, res) => {
         _sum: { amount: true },
         _count: { _all: true },
       }),
+      prisma.payment.aggregate({
+        where: buildPaymentWhere({
+          ...baseFilterParams,
+          paymentType: 'late_fee',
+          statuses: RECEIVABLE_PENDING_STATUSES,
+        }),
+        _sum: { amount: true },
+        _count: { _all: true },
+      }),
     ]);
 
     const summary = RECEIVABLE_ALL_STATUSES.reduce((acc, statusKey) => {
@@ -862,9 +838,12 @@ const getReceivables = async (req, res) => {
       const statusLabel =
         RECEIVABLE_STATUS_LABELS[statusKey] || RECEIVABLE_STATUS_LABELS.pending;
 
-      // Capitalize payment type for display
+      // Capitalize payment type for display (late_fee -> Late Fee)
       const paymentType = payment.paymentType || 'rent';
-      const capitalizedType = paymentType.charAt(0).toUpperCase() + paymentType.slice(1);
+      const capitalizedType = paymentType
+        .split('_')
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
 
       return {
         id: payment.id,
@@ -884,6 +863,7 @@ const getReceivables = async (req, res) => {
         status: statusLabel,
         rawStatus: statusKey,
         isOverdue: statusKey === 'overdue',
+        isLateFee: paymentType === 'late_fee',
       };
     });
 
@@ -914,6 +894,10 @@ const getReceivables = async (req, res) => {
             pending: formatAmount(pendingTotal),
             received: formatAmount(summary.paid?.amount || 0),
           },
+          lateFees: {
+            outstanding: formatAmount(lateFeeAgg._sum.amount),
+            count: lateFeeAgg._count._all || 0,
+          },
         },
         meta: {
           hostelId: parsedHostelId,
@@ -966,10 +950,71 @@ const getPayablesSummary = async (req, res) => {
   }
 };
 
+const parseDateParam = (value, fallback = null) => {
+  if (!value) return fallback;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed;
+};
+
+/**
+ * GET /api/admin/accounts/trial-balance
+ * Net debit or credit of every ledger account at a date
+ */
+const getTrialBalanceReport = async (req, res) => {
+  try {
+    const asOf = parseDateParam(req.query.asOf, new Date());
+    if (asOf === undefined) return errorResponse(res, 'Invalid asOf date', 400);
+
+    const report = await getTrialBalance({ hostelId: parseHostelId(req.query.hostelId), asOf });
+    return successResponse(res, report, 'Trial balance retrieved successfully');
+  } catch (error) {
+    console.error('Get trial balance error:', error);
+    return errorResponse(res, error.message);
+  }
+};
+
+/**
+ * GET /api/admin/accounts/balance-sheet
+ * Assets, liabilities and equity at a date
+ */
+const getBalanceSheetReport = async (req, res) => {
+  try {
+    const asOf = parseDateParam(req.query.asOf, new Date());
+    if (asOf === undefined) return errorResponse(res, 'Invalid asOf date', 400);
+
+    const report = await getBalanceSheet({ hostelId: parseHostelId(req.query.hostelId), asOf });
+    return successResponse(res, report, 'Balance sheet retrieved successfully');
+  } catch (error) {
+    console.error('Get balance sheet error:', error);
+    return errorResponse(res, error.message);
+  }
+};
+
+/**
+ * GET /api/admin/accounts/profit-and-loss
+ * Revenue and expenses by account for a period
+ */
+const getProfitAndLossReport = async (req, res) => {
+  try {
+    const from = parseDateParam(req.query.startDate);
+    const to = parseDateParam(req.query.endDate, new Date());
+    if (from === undefined || to === undefined) return errorResponse(res, 'Invalid date range', 400);
+    if (from && from > to) return errorResponse(res, 'startDate must be before endDate', 400);
+
+    const report = await getProfitAndLoss({ hostelId: parseHostelId(req.query.hostelId), from, to });
+    return successResponse(res, report, 'Profit and loss retrieved successfully');
+  } catch (error) {
+    console.error('Get profit and loss error:', error);
+    return errorResponse(res, error.message);
+  }
+};
+
 module.exports = {
   getFinancialSummary,
   getPayables,
   getReceivables,
   getPayablesSummary,
+  getTrialBalanceReport,
+  getBalanceSheetReport,
+  getProfitAndLossReport,
 };
-
@@ -0,0 +1,265 @@
+// ===============================
+// Alert SLA Policies Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { ALERT_TYPES, ALERT_PRIORITIES } = require('../../Helper/alert-sla.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+// Policies without a hostel apply everywhere, so only admins manage them
+const ensurePolicyScopeAccess = async (req, hostelId) => {
+    if (!hostelId) {
+        return req.isAdmin === true || req.userRole?.roleName?.toLowerCase() === 'admin'
+            ? { ok: true }
+            : { ok: false, status: 403, message: "Only admins can manage SLA policies for all hostels" };
+    }
+    return ensureHostelAccess(req, hostelId);
+};
+
+const policyInclude = {
+    hostel: { select: { id: true, name: true } },
+    creator: { select: { id: true, username: true } }
+};
+
+const parseOptionalInt = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? NaN : parsed;
+};
+
+/**
+ * Read policy fields from a request body; fields not sent stay undefined
+ */
+const readPolicyFields = (body) => {
+    const fields = {
+        type: body.type,
+        priority: body.priority,
+        hostelId: parseOptionalInt(body.hostelId),
+        acknowledgeMinutes: parseOptionalInt(body.acknowledgeMinutes),
+        resolveMinutes: parseOptionalInt(body.resolveMinutes),
+        isActive: body.isActive === undefined ? undefined : (body.isActive === true || body.isActive === 'true'),
+        notes: body.notes === undefined ? undefined : (body.notes || null)
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Validate a complete policy and check the caller may manage its scope
+ * @returns {Object} { error, status } or { policy }
+ */
+const preparePolicy = async (req, policy, policyId = null) => {
+    if (['hostelId', 'acknowledgeMinutes', 'resolveMinutes'].some((key) => Number.isNaN(policy[key]))) {
+        return { error: "hostelId, acknowledgeMinutes and resolveMinutes must be whole numbers", status: 400 };
+    }
+    if (!ALERT_TYPES.includes(policy.type)) {
+        return { error: `type must be one of: ${ALERT_TYPES.join(', ')}`, status: 400 };
+    }
+    if (!ALERT_PRIORITIES.includes(policy.priority)) {
+        return { error: `priority must be one of: ${ALERT_PRIORITIES.join(', ')}`, status: 400 };
+    }
+    if (!policy.acknowledgeMinutes && !policy.resolveMinutes) {
+        return { error: "acknowledgeMinutes or resolveMinutes is required", status: 400 };
+    }
+    if ((policy.acknowledgeMinutes ?? 1) < 1 || (policy.resolveMinutes ?? 1) < 1) {
+        return { error: "acknowledgeMinutes and resolveMinutes must be at least 1", status: 400 };
+    }
+    if (policy.acknowledgeMinutes && policy.resolveMinutes && policy.acknowledgeMinutes > policy.resolveMinutes) {
+        return { error: "acknowledgeMinutes cannot be longer than resolveMinutes", status: 400 };
+    }
+
+    const access = await ensurePolicyScopeAccess(req, policy.hostelId || null);
+    if (!access.ok) {
+        return { error: access.message, status: access.status };
+    }
+
+    const duplicate = await prisma.alertSlaPolicy.findFirst({
+        where: {
+            type: policy.type,
+            priority: policy.priority,
+            hostelId: policy.hostelId || null,
+            ...(policyId ? { id: { not: policyId } } : {})
+        },
+        select: { id: true }
+    });
+    if (duplicate) {
+        return { error: `SLA policy #${duplicate.id} already covers ${policy.priority} ${policy.type} alerts here`, status: 409 };
+    }
+
+    return { policy };
+};
+
+const toPolicyData = (policy) => ({
+    type: policy.type,
+    priority: policy.priority,
+    hostelId: policy.hostelId || null,
+    acknowledgeMinutes: policy.acknowledgeMinutes || null,
+    resolveMinutes: policy.resolveMinutes || null,
+    isActive: policy.isActive !== false,
+    notes: policy.notes || null
+});
+
+// ===================================
+// CREATE SLA POLICY
+// ===================================
+const createSlaPolicy = async (req, res) => {
+    try {
+        const prepared = await preparePolicy(req, readPolicyFields(req.body));
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, prepared.status);
+        }
+
+        const policy = await prisma.alertSlaPolicy.create({
+            data: {
+                ...toPolicyData(prepared.policy),
+                createdBy: req.userId || null
+            },
+            include: policyInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "alerts",
+            description: `Created SLA policy #${policy.id} for ${policy.priority} ${policy.type} alerts${policy.hostelId ? ` in hostel #${policy.hostelId}` : ''}`
+        });
+
+        return successResponse(res, policy, "SLA policy created successfully", 201);
+    } catch (err) {
+        console.error("Create SLA Policy Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET SLA POLICIES
+// ===================================
+const getSlaPolicies = async (req, res) => {
+    try {
+        const { hostelId, type, priority, isActive } = req.query;
+
+        const where = {};
+        if (type) where.type = type;
+        if (priority) where.priority = priority;
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            // Policies for all hostels apply here too
+            where.OR = [{ hostelId: parsedHostelId }, { hostelId: null }];
+        } else if (Object.keys(hostelScope).length) {
+            where.OR = [{ hostel: hostelScope }, { hostelId: null }];
+        }
+
+        const policies = await prisma.alertSlaPolicy.findMany({
+            where,
+            include: policyInclude,
+            orderBy: [{ type: 'asc' }, { priority: 'desc' }, { hostelId: 'asc' }]
+        });
+
+        return successResponse(res, policies, "SLA policies retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get SLA Policies Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE SLA POLICY
+// ===================================
+// Alerts already stamped keep the deadlines they were given
+const updateSlaPolicy = async (req, res) => {
+    try {
+        const policyId = parseInt(req.params.id, 10);
+        if (Number.isNaN(policyId)) {
+            return errorResponse(res, "Invalid SLA policy id", 400);
+        }
+
+        const existing = await prisma.alertSlaPolicy.findUnique({ where: { id: policyId } });
+        if (!existing) {
+            return errorResponse(res, "SLA policy not found", 404);
+        }
+
+        const currentAccess = await ensurePolicyScopeAccess(req, existing.hostelId);
+        if (!currentAccess.ok) {
+            return errorResponse(res, currentAccess.message, currentAccess.status);
+        }
+
+        const prepared = await preparePolicy(req, { ...existing, ...readPolicyFields(req.body) }, policyId);
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, prepared.status);
+        }
+
+        const policy = await prisma.alertSlaPolicy.update({
+            where: { id: policyId },
+            data: toPolicyData(prepared.policy),
+            include: policyInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "alerts",
+            description: `Updated SLA policy #${policy.id} (${policy.priority} ${policy.type} alerts)`
+        });
+
+        return successResponse(res, policy, "SLA policy updated successfully", 200);
+    } catch (err) {
+        console.error("Update SLA Policy Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// DELETE SLA POLICY
+// ===================================
+const deleteSlaPolicy = async (req, res) => {
+    try {
+        const policyId = parseInt(req.params.id, 10);
+        if (Number.isNaN(policyId)) {
+            return errorResponse(res, "Invalid SLA policy id", 400);
+        }
+
+        const existing = await prisma.alertSlaPolicy.findUnique({ where: { id: policyId } });
+        if (!existing) {
+            return errorResponse(res, "SLA policy not found", 404);
+        }
+
+        const access = await ensurePolicyScopeAccess(req, existing.hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        await prisma.alertSlaPolicy.delete({ where: { id: policyId } });
+
+        await writeLog({
+            userId: req.userId,
+            action: "delete",
+            module: "alerts",
+            description: `Deleted SLA policy #${existing.id} (${existing.priority} ${existing.type} alerts)`
+        });
+
+        return successResponse(res, null, "SLA policy deleted successfully", 200);
+    } catch (err) {
+        console.error("Delete SLA Policy Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createSlaPolicy,
+    getSlaPolicies,
+    updateSlaPolicy,
+    deleteSlaPolicy
+};
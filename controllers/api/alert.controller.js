@@ -1,5 +1,8 @@
 const { prisma } = require('../../config/db');
 const { successResponse, errorResponse } = require('../../Helper/helper');
+const { summarizeOverduePreventive } = require('../../Helper/preventive-maintenance.helper');
+const { acknowledgementFields, describeAlertSla, getSlaMetrics } = require('../../Helper/alert-sla.helper');
+const { ALERT_ACTIVITY_TYPES, recordAlertActivity, diffAlertActivity, getAlertTimeline } = require('../../Helper/alert-activity.helper');
 
 /**
  * =====================================================
@@ -17,6 +20,7 @@ const { successResponse, errorResponse } = require('../../Helper/helper');
  * - room_cleaning
  * - repairs
  * - purchase_demand
+ * - preventive (raised from a PreventiveMaintenancePlan)
  */
 
 // Helper function to format date as "Mon Day, Year"
@@ -228,6 +232,11 @@ const createAlert = async (req, res) => {
             }
         });
 
+        await recordAlertActivity([
+            { alertId: alert.id, type: 'created', toValue: alert.status, message: remarks || null, createdBy },
+            alert.assignedTo ? { alertId: alert.id, type: 'assignment', toValue: alert.assignedTo, createdBy } : null
+        ]);
+
         // Format alert for response
         const formattedAlert = {
             id: alert.id,
@@ -450,12 +459,30 @@ const getAllAlerts = async (req, res) => {
 
 /**
  * @route   GET /api/admin/alerts/:id
- * @desc    Get single alert by ID
+ * @desc    Get single alert by ID, with its activity timeline
  * @access  Admin/Manager
+ *
+ * Query params (timeline filters):
+ * - activityType: comma-separated created|comment|status_change|assignment|priority_change|escalation
+ * - activityBy: user ID
+ * - activityFrom, activityTo: dates
+ * - activityOrder: asc (default) | desc
  */
 const getAlertById = async (req, res) => {
     try {
         const { id } = req.params;
+        const { activityType, activityBy, activityFrom, activityTo, activityOrder } = req.query;
+
+        const types = activityType ? String(activityType).split(',').map((value) => value.trim()).filter(Boolean) : null;
+        const invalidType = types?.find((value) => !ALERT_ACTIVITY_TYPES.includes(value));
+        if (invalidType) {
+            return errorResponse(res, `Invalid activityType. Must be one of: ${ALERT_ACTIVITY_TYPES.join(', ')}`, 400);
+        }
+        const from = activityFrom ? new Date(activityFrom) : null;
+        const to = activityTo ? new Date(activityTo) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return errorResponse(res, 'Invalid activityFrom or activityTo', 400);
+        }
 
         const alert = await prisma.alert.findUnique({
             where: { id: parseInt(id) },
@@ -527,9 +554,20 @@ const getAlertById = async (req, res) => {
             resolvedAt: alert.resolvedAt ? formatDate(alert.resolvedAt) : null,
             remarks: alert.remarks || null,
             metadata: alert.metadata || null,
-            attachments: alert.attachments || null
+            attachments: alert.attachments || null,
+            sla: describeAlertSla(alert)
         };
 
+        const timeline = await getAlertTimeline(alert, {
+            types,
+            userId: activityBy ? parseInt(activityBy) : null,
+            from,
+            to,
+            order: activityOrder === 'desc' ? 'desc' : 'asc'
+        });
+        formattedAlert.activity = timeline.items;
+        formattedAlert.timeline = timeline.summary;
+
         return successResponse(res, formattedAlert, 'Alert fetched successfully', 200);
 
     } catch (error) {
@@ -579,7 +617,10 @@ const updateAlert = async (req, res) => {
         const updateData = {};
 
         if (type) updateData.type = type;
-        if (status) updateData.status = status;
+        if (status) {
+            updateData.status = status;
+            Object.assign(updateData, acknowledgementFields(existingAlert, status));
+        }
         
         // Handle priority update - can come from priority or severity
         if (priority) {
@@ -634,6 +675,12 @@ const updateAlert = async (req, res) => {
             }
         });
 
+        const activity = diffAlertActivity(existingAlert, alert, { userId: req.user?.id || null });
+        if (remarks && remarks !== existingAlert.remarks) {
+            activity.push({ alertId: alert.id, type: 'comment', message: remarks, createdBy: req.user?.id || null });
+        }
+        await recordAlertActivity(activity);
+
         // Format alert for response
         const formattedAlert = {
             id: alert.id,
@@ -700,7 +747,7 @@ const updateAlertStatus = async (req, res) => {
         }
 
         // Build update data
-        const updateData = { status };
+        const updateData = { status, ...acknowledgementFields(existingAlert, status) };
 
         // If status is resolved, add resolvedBy and resolvedAt
         if (status === 'resolved') {
@@ -725,6 +772,8 @@ const updateAlertStatus = async (req, res) => {
             }
         });
 
+        await recordAlertActivity(diffAlertActivity(existingAlert, alert, { userId: req.user?.id || null, note: remarks || null }));
+
         // Format alert for response
         const formattedAlert = {
             id: alert.id,
@@ -796,7 +845,8 @@ const assignAlert = async (req, res) => {
             where: { id: parseInt(id) },
             data: {
                 assignedTo: assignedUserId,
-                status: existingAlert.status === 'pending' ? 'in_progress' : existingAlert.status
+                status: existingAlert.status === 'pending' ? 'in_progress' : existingAlert.status,
+                ...(existingAlert.status === 'pending' ? acknowledgementFields(existingAlert, 'in_progress') : {})
             },
             include: {
                 assignedUser: { select: { id: true, username: true, email: true } },
@@ -805,6 +855,8 @@ const assignAlert = async (req, res) => {
             }
         });
 
+        await recordAlertActivity(diffAlertActivity(existingAlert, alert, { userId: req.user?.id || null }));
+
         // Format alert for response
         const formattedAlert = {
             id: alert.id,
@@ -835,6 +887,62 @@ const assignAlert = async (req, res) => {
     }
 };
 
+/**
+ * @route   POST /api/admin/alerts/:id/comments
+ * @desc    Add a comment, with optional file attachments, to the alert timeline
+ * @access  Admin/Manager
+ */
+const addAlertComment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const message = req.body.message ? String(req.body.message).trim() : '';
+        const files = req.files || [];
+
+        if (!message && !files.length) {
+            return errorResponse(res, 'A message or at least one attachment is required', 400);
+        }
+
+        const existingAlert = await prisma.alert.findUnique({
+            where: { id: parseInt(id) },
+            select: { id: true }
+        });
+
+        if (!existingAlert) {
+            return errorResponse(res, 'Alert not found', 404);
+        }
+
+        const createdBy = req.user?.id || null;
+        const comment = await prisma.alertActivity.create({
+            data: {
+                alertId: existingAlert.id,
+                type: 'comment',
+                message: message || null,
+                attachments: files.length ? files.map((file) => ({
+                    name: file.originalname,
+                    url: `/uploads/alerts/${file.filename}`,
+                    size: file.size,
+                    mimeType: file.mimetype
+                })) : undefined,
+                createdBy
+            },
+            include: { actor: { select: { id: true, username: true, email: true } } }
+        });
+
+        return successResponse(res, {
+            id: comment.id,
+            type: comment.type,
+            message: comment.message,
+            attachments: comment.attachments || [],
+            actor: comment.actor ? { id: comment.actor.id, username: comment.actor.username, email: comment.actor.email } : null,
+            createdAt: comment.createdAt.toISOString()
+        }, 'Comment added successfully', 201);
+
+    } catch (error) {
+        console.error('Add Alert Comment Error:', error);
+        return errorResponse(res, 'Failed to add comment', 500);
+    }
+};
+
 /**
  * @route   DELETE /api/admin/alerts/:id
  * @desc    Delete an alert
@@ -970,6 +1078,9 @@ const getAlertStats = async (req, res) => {
             }
         });
 
+        // SLA compliance of alerts covered by a policy
+        const sla = await getSlaMetrics(where);
+
         return successResponse(res, {
             // Summary cards (Danger, Warning, Info)
             danger,
@@ -1001,7 +1112,8 @@ const getAlertStats = async (req, res) => {
                     acc[item.maintenanceType] = item._count.maintenanceType;
                 }
                 return acc;
-            }, {})
+            }, {}),
+            sla
         }, 'Alert statistics fetched successfully', 200);
 
     } catch (error) {
@@ -1012,12 +1124,12 @@ const getAlertStats = async (req, res) => {
 
 /**
  * @route   GET /api/admin/alerts/overdue
- * @desc    Get all overdue alerts
+ * @desc    Get all overdue alerts, with overdue preventive maintenance summarised per plan
  * @access  Admin/Manager
  */
 const getOverdueAlerts = async (req, res) => {
     try {
-        const { hostelId, page = 1, limit = 20 } = req.query;
+        const { hostelId, source, page = 1, limit = 20 } = req.query;
 
         const where = {
             status: { not: 'resolved' },
@@ -1028,10 +1140,20 @@ const getOverdueAlerts = async (req, res) => {
             where.hostelId = parseInt(hostelId);
         }
 
+        // preventive: raised from a maintenance plan; adhoc: everything else
+        if (source === 'preventive') {
+            where.preventivePlanId = { not: null };
+        } else if (source === 'adhoc') {
+            where.preventivePlanId = null;
+        }
+
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const take = parseInt(limit);
 
         const total = await prisma.alert.count({ where });
+        const preventive = source === 'adhoc'
+            ? { overdue: 0, plans: [] }
+            : await summarizeOverduePreventive(where);
 
         const alerts = await prisma.alert.findMany({
             where,
@@ -1058,6 +1180,7 @@ const getOverdueAlerts = async (req, res) => {
             rawStatus: alert.status || 'pending',
             priority: alert.priority || 'medium',
             type: alert.type,
+            preventivePlanId: alert.preventivePlanId || null,
             hostel: alert.hostel?.name || null,
             room: alert.room?.roomNumber || null,
             tenant: alert.tenant?.name || null,
@@ -1069,6 +1192,7 @@ const getOverdueAlerts = async (req, res) => {
 
         return successResponse(res, {
             alerts: formattedAlerts,
+            preventive,
             pagination: {
                 total,
                 page: parseInt(page),
@@ -1203,6 +1327,7 @@ module.exports = {
     updateAlert,
     updateAlertStatus,
     assignAlert,
+    addAlertComment,
     deleteAlert,
     getAlertStats,
     getOverdueAlerts,
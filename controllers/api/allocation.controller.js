@@ -4,6 +4,10 @@
 
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
+const { normalizeDeductions, settleDeposit } = require('../../Helper/deposit.helper');
+const { billFinalMonthRent } = require('../../Helper/billing.helper');
+const { occupyBed } = require('../../Helper/allocation.helper');
+const { offerFreedBedSafely } = require('../../Helper/waitlist.helper');
 
 const getHostelAccessFilter = (req) => {
     if (req.userRole === 'owner') {
@@ -191,50 +195,8 @@ const allocateTenant = async (req, res) => {
                 }
             });
 
-            // Update bed status (note: currentTenantId still uses User model for backward compatibility)
-            await tx.bed.update({
-                where: { id: bedId },
-                data: {
-                    status: 'occupied'
-                    // currentTenantId removed - we now use Allocation to track tenants
-                }
-            });
-
-            // Update room occupied beds count
-            await tx.room.update({
-                where: { id: roomId },
-                data: {
-                    occupiedBeds: { increment: 1 }
-                }
-            });
-
-            // Update floor occupied beds count
-            await tx.floor.update({
-                where: { id: floorId },
-                data: {
-                    occupiedBeds: { increment: 1 }
-                }
-            });
-
-            // Update hostel occupied beds count
-            await tx.hostel.update({
-                where: { id: hostelId },
-                data: {
-                    occupiedBeds: { increment: 1 }
-                }
-            });
-
-            // Check and update room status if fully occupied
-            const roomData = await tx.room.findUnique({
-                where: { id: roomId }
-            });
-            
-            if (roomData.occupiedBeds >= roomData.totalBeds) {
-                await tx.room.update({
-                    where: { id: parseInt(room) },
-                    data: { status: 'occupied' }
-                });
-            }
+            // Bed status and room/floor/hostel occupancy counters
+            await occupyBed(tx, { hostelId, floorId, roomId, bedId });
 
             return newAllocation;
         });
@@ -271,7 +233,7 @@ const allocateTenant = async (req, res) => {
 const checkOutTenant = async (req, res) => {
     try {
         const { allocationId } = req.params;
-        const { checkOutDate, notes } = req.body;
+        const { checkOutDate, notes, deductions, deductUnpaidDues, refundMethod, depositRemarks } = req.body;
         const parsedAllocationId = parseInt(allocationId, 10);
 
         if (!Number.isFinite(parsedAllocationId)) {
@@ -289,14 +251,18 @@ const checkOutTenant = async (req, res) => {
             return errorResponse(res, "Allocation is not active", 400);
         }
 
+        // Deposit deductions (damages, cleaning, ...) listed at checkout
+        const depositDeductions = normalizeDeductions(deductions);
+        const checkedOutAt = checkOutDate ? new Date(checkOutDate) : new Date();
+
         // Use transaction for consistency
-        await prisma.$transaction(async (tx) => {
+        const depositSettlement = await prisma.$transaction(async (tx) => {
             // Update allocation
             await tx.allocation.update({
                 where: { id: parsedAllocationId },
                 data: {
                     status: 'checked_out',
-                    checkOutDate: checkOutDate ? new Date(checkOutDate) : new Date(),
+                    checkOutDate: checkedOutAt,
                     notes: notes ? (allocation.notes ? `${allocation.notes}\n${notes}` : notes) : allocation.notes
                 }
             });
@@ -348,7 +314,23 @@ const checkOutTenant = async (req, res) => {
                     data: { status: 'occupied' }
                 });
             }
-        });
+
+            // Bill the last month to the checkout date, so the deposit covers the nights actually stayed
+            await billFinalMonthRent(tx, parsedAllocationId, { userId: req.userId || null });
+
+            // Settle the security deposit: unpaid dues, deductions, refund
+            return settleDeposit(tx, allocation, {
+                deductions: depositDeductions,
+                deductUnpaidDues: deductUnpaidDues !== false && deductUnpaidDues !== 'false',
+                refundMethod: refundMethod || 'cash',
+                remarks: depositRemarks || null,
+                userId: req.userId || null,
+                settledAt: checkedOutAt
+            });
+        }, { timeout: 15000 });
+
+        // Offer the freed bed to the waitlist
+        await offerFreedBedSafely(allocation.bedId, { userId: req.userId || null });
 
         const populatedAllocation = await prisma.allocation.findUnique({
             where: { id: parsedAllocationId },
@@ -358,7 +340,12 @@ const checkOutTenant = async (req, res) => {
             }
         });
 
-        return successResponse(res, populatedAllocation, "Tenant checked out successfully", 200);
+        return successResponse(
+            res,
+            { ...populatedAllocation, depositSettlement },
+            "Tenant checked out successfully",
+            200
+        );
     } catch (err) {
         console.error("Check Out Tenant Error:", err);
         return errorResponse(res, err.message, 400);
@@ -488,6 +475,9 @@ const transferTenant = async (req, res) => {
             });
         });
 
+        // Offer the freed bed to the waitlist
+        await offerFreedBedSafely(oldBedId, { userId: req.userId || null });
+
         const populatedAllocation = await prisma.allocation.findUnique({
             where: { id: parsedAllocationId },
             include: {
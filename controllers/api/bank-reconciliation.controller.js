@@ -0,0 +1,756 @@
+const { prisma } = require('../../config/db');
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+  LINE_STATUSES,
+  importBankStatement,
+  readWindowDays,
+  findMatchCandidates,
+  autoMatchLines,
+  confirmSuggestedMatches,
+  matchLineManually,
+  unmatchLine,
+  ignoreLine,
+  getReconciliationReport,
+} = require('../../Helper/bank-reconciliation.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+/**
+ * =====================================================
+ * BANK RECONCILIATION CONTROLLER - Statements & Matching
+ * =====================================================
+ *
+ * Statements are imported per hostel bank account and their lines matched
+ * to the payments, transactions and expenses they settle. Matching and the
+ * report live in bank-reconciliation.helper.js. Owners and managers only
+ * reach the accounts of hostels they manage.
+ */
+
+const parseNullableInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Load a bank account and check the caller manages its hostel
+ * @returns {Object} { ok: true, account } or { ok: false, status, message }
+ */
+const ensureBankAccountAccess = async (req, accountId) => {
+  const account = await prisma.bankAccount.findUnique({ where: { id: accountId } });
+  if (!account) {
+    return { ok: false, status: 404, message: 'Bank account not found' };
+  }
+
+  const access = await ensureHostelAccess(req, account.hostelId);
+  return access.ok ? { ok: true, account } : access;
+};
+
+/**
+ * Check the caller manages the hostel whose bank account a statement line belongs to
+ * @returns {Object} { ok: true, line } or { ok: false, status, message }
+ */
+const ensureLineAccess = async (req, lineId) => {
+  const line = await prisma.bankStatementLine.findUnique({
+    where: { id: lineId },
+    include: { bankAccount: { select: { hostelId: true } } },
+  });
+  if (!line) {
+    return { ok: false, status: 404, message: 'Statement line not found' };
+  }
+
+  const access = await ensureHostelAccess(req, line.bankAccount.hostelId);
+  return access.ok ? { ok: true, line } : access;
+};
+
+/**
+ * Bank account filter for lists: one hostel when hostelId is given, otherwise
+ * every hostel the caller manages
+ * @returns {Object} { where } or { error, status }
+ */
+const resolveAccountFilter = async (req, hostelId) => {
+  if (!hostelId) {
+    const scope = buildHostelScopeFilter(req);
+    return { where: Object.keys(scope).length ? { hostel: scope } : {} };
+  }
+
+  const access = await ensureHostelAccess(req, hostelId);
+  if (!access.ok) {
+    return { error: access.message, status: access.status };
+  }
+  return { where: { hostelId } };
+};
+
+const lineInclude = {
+  payment: { select: { id: true, amount: true, paymentDate: true, paymentMethod: true, paymentType: true, transactionId: true, tenant: { select: { id: true, name: true } } } },
+  transaction: { select: { id: true, amount: true, createdAt: true, paymentMethod: true, transactionType: true, gatewayRef: true, tenant: { select: { id: true, name: true } } } },
+  expense: { select: { id: true, title: true, category: true, amount: true, date: true } },
+  receipt: { select: { id: true, receiptNumber: true, amount: true, issuedAt: true, paymentMethod: true, reference: true, tenant: { select: { id: true, name: true } } } },
+  matcher: { select: { id: true, username: true } },
+};
+
+/**
+ * GET /api/admin/bank-accounts
+ * List bank accounts with their unreconciled line count
+ */
+const listBankAccounts = async (req, res) => {
+  try {
+    const filter = await resolveAccountFilter(req, parseNullableInt(req.query.hostelId));
+    if (filter.error) {
+      return errorResponse(res, filter.error, filter.status);
+    }
+
+    const where = { ...filter.where };
+    if (req.query.includeInactive !== 'true') where.isActive = true;
+
+    const accounts = await prisma.bankAccount.findMany({
+      where,
+      include: {
+        hostel: { select: { id: true, name: true } },
+        statements: { select: { id: true, periodEnd: true, closingBalance: true, importedAt: true }, orderBy: { importedAt: 'desc' }, take: 1 },
+      },
+      orderBy: [{ hostelId: 'asc' }, { name: 'asc' }],
+    });
+
+    const open = await prisma.bankStatementLine.groupBy({
+      by: ['bankAccountId'],
+      where: { bankAccountId: { in: accounts.map((account) => account.id) }, status: { in: ['unmatched', 'suggested'] } },
+      _count: { _all: true },
+    });
+    const openByAccount = new Map(open.map((row) => [row.bankAccountId, row._count._all]));
+
+    return successResponse(res, accounts.map(({ statements, ...account }) => ({
+      ...account,
+      lastStatement: statements[0] || null,
+      unreconciledLines: openByAccount.get(account.id) || 0,
+    })), 'Bank accounts fetched successfully');
+  } catch (error) {
+    console.error('List Bank Accounts Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch bank accounts', 500);
+  }
+};
+
+/**
+ * POST /api/admin/bank-accounts
+ * Add a hostel bank account
+ */
+const createBankAccount = async (req, res) => {
+  try {
+    const { name, bankName, accountNumber, currency, notes } = req.body || {};
+    const hostelId = parseNullableInt(req.body?.hostelId);
+
+    if (!hostelId) {
+      return errorResponse(res, 'hostelId is required', 400);
+    }
+    if (!name || !String(name).trim() || !accountNumber || !String(accountNumber).trim()) {
+      return errorResponse(res, 'name and accountNumber are required', 400);
+    }
+
+    const access = await ensureHostelAccess(req, hostelId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const duplicate = await prisma.bankAccount.findFirst({ where: { hostelId, accountNumber: String(accountNumber).trim() } });
+    if (duplicate) {
+      return errorResponse(res, `Account ${duplicate.accountNumber} is already added as "${duplicate.name}"`, 400);
+    }
+
+    const account = await prisma.bankAccount.create({
+      data: {
+        hostelId,
+        name: String(name).trim().slice(0, 150),
+        bankName: bankName ? String(bankName).trim().slice(0, 150) : null,
+        accountNumber: String(accountNumber).trim().slice(0, 50),
+        currency: currency ? String(currency).trim().toUpperCase().slice(0, 10) : undefined,
+        notes: notes || null,
+      },
+    });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'bank_reconciliation',
+      description: `Added bank account ${account.name} (${account.accountNumber}) to hostel #${hostelId}`,
+    });
+
+    return successResponse(res, account, 'Bank account created successfully', 201);
+  } catch (error) {
+    console.error('Create Bank Account Error:', error);
+    return errorResponse(res, error.message || 'Failed to create bank account', 400);
+  }
+};
+
+/**
+ * PUT /api/admin/bank-accounts/:id
+ * Rename or deactivate a bank account; the account number is fixed once statements are imported
+ */
+const updateBankAccount = async (req, res) => {
+  try {
+    const accountId = parseNullableInt(req.params.id);
+    if (!accountId) {
+      return errorResponse(res, 'Valid bank account id is required', 400);
+    }
+
+    const access = await ensureBankAccountAccess(req, accountId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+    const { account } = access;
+
+    const { name, bankName, accountNumber, currency, notes, isActive } = req.body || {};
+    const data = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) return errorResponse(res, 'name cannot be empty', 400);
+      data.name = String(name).trim().slice(0, 150);
+    }
+    if (bankName !== undefined) data.bankName = bankName ? String(bankName).trim().slice(0, 150) : null;
+    if (currency !== undefined && currency) data.currency = String(currency).trim().toUpperCase().slice(0, 10);
+    if (notes !== undefined) data.notes = notes || null;
+    if (isActive !== undefined) data.isActive = isActive === true || isActive === 'true';
+
+    if (accountNumber !== undefined && String(accountNumber).trim() !== account.accountNumber) {
+      const statements = await prisma.bankStatement.count({ where: { bankAccountId: accountId } });
+      if (statements) {
+        return errorResponse(res, 'The account number cannot be changed once statements are imported', 400);
+      }
+      if (!String(accountNumber).trim()) return errorResponse(res, 'accountNumber cannot be empty', 400);
+      data.accountNumber = String(accountNumber).trim().slice(0, 50);
+    }
+
+    const updated = await prisma.bankAccount.update({ where: { id: accountId }, data });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'bank_reconciliation',
+      description: `Updated bank account ${updated.name} (${updated.accountNumber})`,
+    });
+
+    return successResponse(res, updated, 'Bank account updated successfully');
+  } catch (error) {
+    console.error('Update Bank Account Error:', error);
+    return errorResponse(res, error.message || 'Failed to update bank account', 400);
+  }
+};
+
+/**
+ * POST /api/admin/bank-accounts/:id/statements
+ * Import a CSV or OFX statement (multipart "file", or the text as "content") and auto-match its lines
+ */
+const importStatement = async (req, res) => {
+  try {
+    const accountId = parseNullableInt(req.params.id);
+    if (!accountId) {
+      return errorResponse(res, 'Valid bank account id is required', 400);
+    }
+
+    const access = await ensureBankAccountAccess(req, accountId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const content = req.file ? req.file.buffer : req.body?.content;
+    if (!content) {
+      return errorResponse(res, 'Upload the statement as "file" or send its text as "content"', 400);
+    }
+
+    let mapping = req.body?.mapping || null;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (parseError) {
+        return errorResponse(res, 'mapping must be a JSON object of column names', 400);
+      }
+    }
+
+    const result = await importBankStatement(accountId, {
+      content,
+      fileName: req.file?.originalname || req.body?.fileName || null,
+      format: req.body?.format || null,
+      dateFormat: req.body?.dateFormat || 'DMY',
+      mapping,
+      userId: req.user?.id || null,
+    });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'bank_reconciliation',
+      description: `Imported statement #${result.statement.id} into bank account #${accountId}: ${result.imported} lines, ${result.duplicates} already imported, ${result.suggested} matches suggested`,
+    });
+
+    return successResponse(res, result, 'Statement imported successfully', 201);
+  } catch (error) {
+    console.error('Import Bank Statement Error:', error);
+    return errorResponse(res, error.message || 'Failed to import statement', 400);
+  }
+};
+
+/**
+ * POST /api/admin/bank-accounts/:id/auto-match
+ * Look again for matches for the account's unmatched lines
+ */
+const autoMatchAccount = async (req, res) => {
+  try {
+    const accountId = parseNullableInt(req.params.id);
+    if (!accountId) {
+      return errorResponse(res, 'Valid bank account id is required', 400);
+    }
+
+    const access = await ensureBankAccountAccess(req, accountId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const result = await autoMatchLines({ bankAccountId: accountId });
+    return successResponse(res, result, 'Auto-match completed successfully');
+  } catch (error) {
+    console.error('Auto Match Bank Lines Error:', error);
+    return errorResponse(res, error.message || 'Failed to auto-match statement lines', 400);
+  }
+};
+
+/**
+ * GET /api/admin/bank-accounts/:id/reconciliation
+ * Unreconciled statement lines and bank records by month (default: the last three months)
+ */
+const getAccountReconciliation = async (req, res) => {
+  try {
+    const accountId = parseNullableInt(req.params.id);
+    if (!accountId) {
+      return errorResponse(res, 'Valid bank account id is required', 400);
+    }
+
+    const access = await ensureBankAccountAccess(req, accountId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const fromDate = parseDate(req.query.from);
+    const toDate = parseDate(req.query.to);
+    if (fromDate === undefined || toDate === undefined) {
+      return errorResponse(res, 'Invalid date range', 400);
+    }
+
+    const to = toDate || new Date();
+    const from = fromDate || new Date(to.getFullYear(), to.getMonth() - 2, 1);
+    if (from > to) {
+      return errorResponse(res, 'from must be before to', 400);
+    }
+
+    const report = await getReconciliationReport(accountId, { from, to });
+    return successResponse(res, report, 'Reconciliation report fetched successfully');
+  } catch (error) {
+    console.error('Bank Reconciliation Report Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch reconciliation report', 500);
+  }
+};
+
+/**
+ * GET /api/admin/bank-statements
+ * List imported statements
+ */
+const listStatements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const filter = await resolveAccountFilter(req, parseNullableInt(req.query.hostelId));
+    if (filter.error) {
+      return errorResponse(res, filter.error, filter.status);
+    }
+
+    const where = { bankAccount: filter.where };
+    if (parseNullableInt(req.query.bankAccountId)) where.bankAccountId = parseNullableInt(req.query.bankAccountId);
+
+    const [statements, total] = await Promise.all([
+      prisma.bankStatement.findMany({
+        where,
+        include: {
+          bankAccount: { select: { id: true, name: true, accountNumber: true, hostelId: true } },
+          importer: { select: { id: true, username: true } },
+        },
+        orderBy: { importedAt: 'desc' },
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.bankStatement.count({ where }),
+    ]);
+
+    return successResponse(res, {
+      statements,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Bank statements fetched successfully');
+  } catch (error) {
+    console.error('List Bank Statements Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch bank statements', 500);
+  }
+};
+
+/**
+ * GET /api/admin/bank-statements/:id
+ * Get a statement with its lines and what they are matched to
+ */
+const getStatementById = async (req, res) => {
+  try {
+    const statementId = parseNullableInt(req.params.id);
+    if (!statementId) {
+      return errorResponse(res, 'Valid statement id is required', 400);
+    }
+
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: statementId },
+      include: {
+        bankAccount: { select: { id: true, name: true, accountNumber: true, hostelId: true } },
+        importer: { select: { id: true, username: true } },
+        lines: { include: lineInclude, orderBy: [{ postedAt: 'asc' }, { id: 'asc' }] },
+      },
+    });
+    if (!statement) {
+      return errorResponse(res, 'Bank statement not found', 404);
+    }
+
+    const access = await ensureHostelAccess(req, statement.bankAccount.hostelId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    return successResponse(res, statement, 'Bank statement fetched successfully');
+  } catch (error) {
+    console.error('Get Bank Statement Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch bank statement', 500);
+  }
+};
+
+/**
+ * DELETE /api/admin/bank-statements/:id
+ * Remove a statement imported by mistake; its confirmed matches must be undone first
+ */
+const deleteStatement = async (req, res) => {
+  try {
+    const statementId = parseNullableInt(req.params.id);
+    if (!statementId) {
+      return errorResponse(res, 'Valid statement id is required', 400);
+    }
+
+    const statement = await prisma.bankStatement.findUnique({
+      where: { id: statementId },
+      include: { bankAccount: { select: { hostelId: true } } },
+    });
+    if (!statement) {
+      return errorResponse(res, 'Bank statement not found', 404);
+    }
+
+    const access = await ensureHostelAccess(req, statement.bankAccount.hostelId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const matched = await prisma.bankStatementLine.count({ where: { statementId, status: 'matched' } });
+    if (matched) {
+      return errorResponse(res, `${matched} line(s) of this statement are matched; unmatch them first`, 400);
+    }
+
+    await prisma.bankStatement.delete({ where: { id: statementId } });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'delete',
+      module: 'bank_reconciliation',
+      description: `Deleted statement #${statementId} (${statement.fileName || statement.format}) of bank account #${statement.bankAccountId}`,
+    });
+
+    return successResponse(res, null, 'Bank statement deleted successfully');
+  } catch (error) {
+    console.error('Delete Bank Statement Error:', error);
+    return errorResponse(res, error.message || 'Failed to delete bank statement', 400);
+  }
+};
+
+/**
+ * GET /api/admin/bank-statement-lines
+ * List statement lines by account, status and date
+ */
+const listStatementLines = async (req, res) => {
+  try {
+    const { status, from, to, page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    if (status && !LINE_STATUSES.includes(status)) {
+      return errorResponse(res, `status must be one of: ${LINE_STATUSES.join(', ')}`, 400);
+    }
+
+    const filter = await resolveAccountFilter(req, parseNullableInt(req.query.hostelId));
+    if (filter.error) {
+      return errorResponse(res, filter.error, filter.status);
+    }
+
+    const where = { bankAccount: filter.where };
+    if (status) where.status = status;
+    if (parseNullableInt(req.query.bankAccountId)) where.bankAccountId = parseNullableInt(req.query.bankAccountId);
+    if (parseNullableInt(req.query.statementId)) where.statementId = parseNullableInt(req.query.statementId);
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return errorResponse(res, 'Invalid date range', 400);
+    }
+    if (fromDate || toDate) {
+      where.postedAt = {};
+      if (fromDate) where.postedAt.gte = fromDate;
+      if (toDate) where.postedAt.lte = toDate;
+    }
+
+    const [lines, total] = await Promise.all([
+      prisma.bankStatementLine.findMany({
+        where,
+        include: lineInclude,
+        orderBy: [{ postedAt: 'desc' }, { id: 'desc' }],
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.bankStatementLine.count({ where }),
+    ]);
+
+    return successResponse(res, {
+      lines,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Statement lines fetched successfully');
+  } catch (error) {
+    console.error('List Bank Statement Lines Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch statement lines', 500);
+  }
+};
+
+/**
+ * GET /api/admin/bank-statement-lines/:id/candidates
+ * Records a line could be matched to, best first; anyAmount=true also lists other amounts
+ */
+const getLineCandidates = async (req, res) => {
+  try {
+    const lineId = parseNullableInt(req.params.id);
+    if (!lineId) {
+      return errorResponse(res, 'Valid statement line id is required', 400);
+    }
+
+    const access = await ensureLineAccess(req, lineId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+    const { line } = access;
+
+    const windowDays = parseNullableInt(req.query.windowDays) ?? await readWindowDays();
+    const candidates = await findMatchCandidates(line, {
+      windowDays: Math.min(Math.max(windowDays, 0), 60),
+      anyAmount: req.query.anyAmount === 'true',
+    });
+
+    return successResponse(res, { line, candidates: candidates.slice(0, 50) }, 'Match candidates fetched successfully');
+  } catch (error) {
+    console.error('Bank Line Candidates Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch match candidates', 500);
+  }
+};
+
+/**
+ * POST /api/admin/bank-statement-lines/confirm
+ * Confirm suggested matches: the lines in lineIds, or every suggestion of bankAccountId scoring at least minScore
+ */
+const confirmMatches = async (req, res) => {
+  try {
+    const { lineIds } = req.body || {};
+    const bankAccountId = parseNullableInt(req.body?.bankAccountId);
+    const minScore = req.body?.minScore !== undefined ? Number(req.body.minScore) : null;
+
+    if (lineIds !== undefined && (!Array.isArray(lineIds) || !lineIds.length)) {
+      return errorResponse(res, 'lineIds must be a non-empty array', 400);
+    }
+    if (!lineIds && !bankAccountId) {
+      return errorResponse(res, 'Send lineIds or a bankAccountId', 400);
+    }
+    if (minScore !== null && !Number.isFinite(minScore)) {
+      return errorResponse(res, 'minScore must be a number', 400);
+    }
+
+    const parsedLineIds = lineIds ? lineIds.map((id) => parseNullableInt(id)).filter(Boolean) : null;
+
+    // Every account touched must belong to a hostel the caller manages
+    const accountIds = new Set(bankAccountId ? [bankAccountId] : []);
+    if (parsedLineIds) {
+      const lines = await prisma.bankStatementLine.findMany({
+        where: { id: { in: parsedLineIds } },
+        select: { bankAccountId: true },
+      });
+      lines.forEach((line) => accountIds.add(line.bankAccountId));
+    }
+    for (const accountId of accountIds) {
+      const access = await ensureBankAccountAccess(req, accountId);
+      if (!access.ok) {
+        return errorResponse(res, access.message, access.status);
+      }
+    }
+
+    const confirmed = await confirmSuggestedMatches({
+      lineIds: parsedLineIds,
+      bankAccountId,
+      minScore,
+      userId: req.user?.id || null,
+    });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'bank_reconciliation',
+      description: `Confirmed ${confirmed} suggested bank match(es)${bankAccountId ? ` on bank account #${bankAccountId}` : ''}`,
+    });
+
+    return successResponse(res, { confirmed }, 'Matches confirmed successfully');
+  } catch (error) {
+    console.error('Confirm Bank Matches Error:', error);
+    return errorResponse(res, error.message || 'Failed to confirm matches', 400);
+  }
+};
+
+/**
+ * POST /api/admin/bank-statement-lines/:id/match
+ * Match a line to a payment, transaction or expense by hand; a different amount is noted on the line
+ */
+const matchLine = async (req, res) => {
+  try {
+    const lineId = parseNullableInt(req.params.id);
+    const recordId = parseNullableInt(req.body?.recordId);
+    if (!lineId || !recordId) {
+      return errorResponse(res, 'Valid statement line id and recordId are required', 400);
+    }
+
+    const access = await ensureLineAccess(req, lineId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const line = await matchLineManually(lineId, {
+      matchType: req.body?.matchType,
+      recordId,
+      note: req.body?.note ? String(req.body.note).trim() : null,
+      userId: req.user?.id || null,
+    });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'bank_reconciliation',
+      description: `Matched statement line #${lineId} to ${line.matchType} #${recordId}`,
+    });
+
+    return successResponse(res, line, 'Statement line matched successfully');
+  } catch (error) {
+    console.error('Match Bank Line Error:', error);
+    return errorResponse(res, error.message || 'Failed to match statement line', 400);
+  }
+};
+
+/**
+ * POST /api/admin/bank-statement-lines/:id/unmatch
+ * Undo a suggestion, match or ignore
+ */
+const unmatchStatementLine = async (req, res) => {
+  try {
+    const lineId = parseNullableInt(req.params.id);
+    if (!lineId) {
+      return errorResponse(res, 'Valid statement line id is required', 400);
+    }
+
+    const access = await ensureLineAccess(req, lineId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const line = await unmatchLine(lineId);
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'bank_reconciliation',
+      description: `Unmatched statement line #${lineId}`,
+    });
+
+    return successResponse(res, line, 'Statement line unmatched successfully');
+  } catch (error) {
+    console.error('Unmatch Bank Line Error:', error);
+    return errorResponse(res, error.message || 'Failed to unmatch statement line', 400);
+  }
+};
+
+/**
+ * POST /api/admin/bank-statement-lines/:id/ignore
+ * Set aside a line with no record of its own (bank charges, interest, own transfers)
+ */
+const ignoreStatementLine = async (req, res) => {
+  try {
+    const lineId = parseNullableInt(req.params.id);
+    if (!lineId) {
+      return errorResponse(res, 'Valid statement line id is required', 400);
+    }
+
+    const access = await ensureLineAccess(req, lineId);
+    if (!access.ok) {
+      return errorResponse(res, access.message, access.status);
+    }
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return errorResponse(res, 'A reason is required', 400);
+    }
+
+    const line = await ignoreLine(lineId, { reason: String(reason).trim(), userId: req.user?.id || null });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'bank_reconciliation',
+      description: `Ignored statement line #${lineId}: ${String(reason).trim()}`,
+    });
+
+    return successResponse(res, line, 'Statement line ignored successfully');
+  } catch (error) {
+    console.error('Ignore Bank Line Error:', error);
+    return errorResponse(res, error.message || 'Failed to ignore statement line', 400);
+  }
+};
+
+module.exports = {
+  listBankAccounts,
+  createBankAccount,
+  updateBankAccount,
+  importStatement,
+  autoMatchAccount,
+  getAccountReconciliation,
+  listStatements,
+  getStatementById,
+  deleteStatement,
+  listStatementLines,
+  getLineCandidates,
+  confirmMatches,
+  matchLine,
+  unmatchStatementLine,
+  ignoreStatementLine,
+};
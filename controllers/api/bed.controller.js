@@ -4,6 +4,7 @@
 
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
+const { expiredReservationFilter } = require('../../Helper/reservation.helper');
 
 const getHostelAccessFilter = (req) => {
     if (req.userRole === 'owner') {
@@ -622,7 +623,11 @@ const getAvailableBeds = async (req, res) => {
                 room: {
                     hostelId: parsedHostelId
                 },
-                status: 'available'
+                // Lapsed reservations count as available before the expiry job releases them
+                OR: [
+                    { status: 'available' },
+                    expiredReservationFilter()
+                ]
             },
             include: {
                 room: {
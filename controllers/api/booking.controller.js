@@ -1,41 +1,12 @@
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
-
-// ===================================
-// HELPER: Generate Booking Code
-// ===================================
-const generateBookingCode = async () => {
-    const prefix = 'BK';
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    // Get the count of all bookings for this month (not just today)
-    const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
-    const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0, 23, 59, 59, 999);
-    
-    let sequence = 1;
-    let bookingCode = '';
-    let isUnique = false;
-    
-    // Loop until we find a unique code
-    while (!isUnique) {
-        bookingCode = `${prefix}${year}${month}${String(sequence).padStart(4, '0')}`;
-        
-        // Check if this code already exists
-        const existingBooking = await prisma.booking.findUnique({
-            where: { bookingCode: bookingCode }
-        });
-        
-        if (!existingBooking) {
-            isUnique = true;
-        } else {
-            sequence++;
-        }
-    }
-    
-    return bookingCode;
-};
+const { writeLog } = require('../../Helper/audit.helper');
+const { expiredReservationFilter, releaseBedReservation } = require('../../Helper/reservation.helper');
+const { parseCalendarRange, buildAvailabilityCalendar } = require('../../Helper/availability.helper');
+const { convertBookingToAllocation } = require('../../Helper/check-in.helper');
+const { quoteStay } = require('../../Helper/pricing.helper');
+const { generateBookingCode } = require('../../Helper/booking.helper');
+const { offerFreedBedSafely } = require('../../Helper/waitlist.helper');
 
 // ===================================
 // CREATE BOOKING
@@ -52,7 +23,6 @@ const createBooking = async (req, res) => {
             bookingType = 'online',
             numberOfGuests = 1,
             remarks,
-            totalAmount,
             advancePaid = 0,
             paymentMethod,
             transactionId,
@@ -150,6 +120,21 @@ const createBooking = async (req, res) => {
             }
         }
 
+        // Price the stay on the server; a booking for a whole hostel is priced once it gets a room
+        const pricingQuote = (bedId || roomId)
+            ? await quoteStay({
+                bedId: bedId ? parseInt(bedId) : null,
+                roomId: roomId ? parseInt(roomId) : null,
+                checkInDate: checkIn,
+                checkOutDate: checkOut
+            })
+            : null;
+        const totalAmount = pricingQuote ? pricingQuote.total : null;
+
+        if (totalAmount !== null && parseFloat(advancePaid) > totalAmount) {
+            return errorResponse(res, `Advance paid cannot exceed the quoted total of ${totalAmount}`, 400);
+        }
+
         // Generate booking code
         const bookingCode = await generateBookingCode();
 
@@ -175,7 +160,8 @@ const createBooking = async (req, res) => {
                 status: 'pending',
                 numberOfGuests: parseInt(numberOfGuests),
                 remarks,
-                totalAmount: totalAmount ? parseFloat(totalAmount) : null,
+                totalAmount,
+                pricingQuote: pricingQuote || undefined,
                 advancePaid: parseFloat(advancePaid),
                 paymentStatus,
                 paymentMethod,
@@ -514,7 +500,8 @@ const updateBooking = async (req, res) => {
             checkOutDate,
             numberOfGuests,
             remarks,
-            totalAmount,
+            priceOverride,
+            priceOverrideReason,
             advancePaid,
             paymentMethod,
             transactionId,
@@ -570,15 +557,60 @@ const updateBooking = async (req, res) => {
             updateData.remarks = remarks;
         }
 
-        if (totalAmount !== undefined) {
-            updateData.totalAmount = parseFloat(totalAmount);
+        // The total always comes from the pricing rules; a different price is an override with a reason
+        let override = null;
+        if (priceOverride !== undefined && priceOverride !== null && priceOverride !== '') {
+            const amount = parseFloat(priceOverride);
+            if (isNaN(amount) || amount < 0) {
+                return errorResponse(res, "Price override must be a non-negative number", 400);
+            }
+
+            const reason = typeof priceOverrideReason === 'string' ? priceOverrideReason.trim() : '';
+            if (!reason) {
+                return errorResponse(res, "A reason is required to override the quoted price", 400);
+            }
+
+            const roleName = req.userRole?.roleName?.toLowerCase();
+            if (req.isAdmin !== true && !['admin', 'owner', 'manager'].includes(roleName)) {
+                return errorResponse(res, "Only admins and managers can override the quoted price", 403);
+            }
+
+            override = { amount, reason };
+        }
+
+        if ((checkInDate || checkOutDate) && (existingBooking.bedId || existingBooking.roomId)) {
+            // New dates get a new server quote
+            const pricingQuote = await quoteStay({
+                bedId: existingBooking.bedId,
+                roomId: existingBooking.bedId ? null : existingBooking.roomId,
+                checkInDate: finalCheckIn,
+                checkOutDate: finalCheckOut
+            });
+            updateData.totalAmount = pricingQuote.total;
+            updateData.pricingQuote = pricingQuote;
+        }
+
+        if (override) {
+            // Keep the quote next to the override so the discount stays visible
+            const quote = updateData.pricingQuote || existingBooking.pricingQuote || {};
+            updateData.totalAmount = override.amount;
+            updateData.pricingQuote = {
+                ...quote,
+                override: {
+                    amount: override.amount,
+                    quotedTotal: quote.total ?? existingBooking.totalAmount ?? null,
+                    reason: override.reason,
+                    by: req.userId || null,
+                    at: new Date().toISOString()
+                }
+            };
         }
 
         if (advancePaid !== undefined) {
             updateData.advancePaid = parseFloat(advancePaid);
             
             // Update payment status
-            const finalTotal = totalAmount !== undefined ? parseFloat(totalAmount) : existingBooking.totalAmount;
+            const finalTotal = updateData.totalAmount !== undefined ? updateData.totalAmount : existingBooking.totalAmount;
             const finalAdvance = parseFloat(advancePaid);
             
             if (finalTotal && finalAdvance >= finalTotal) {
@@ -588,6 +620,8 @@ const updateBooking = async (req, res) => {
             } else {
                 updateData.paymentStatus = 'pending';
             }
+        } else if (updateData.totalAmount !== undefined && existingBooking.advancePaid > 0) {
+            updateData.paymentStatus = existingBooking.advancePaid >= updateData.totalAmount ? 'paid' : 'partial';
         }
 
         if (paymentMethod) {
@@ -626,6 +660,15 @@ const updateBooking = async (req, res) => {
             }
         });
 
+        if (override) {
+            await writeLog({
+                userId: req.userId,
+                action: "update",
+                module: "booking",
+                description: `Overrode price of booking ${updatedBooking.bookingCode || `#${updatedBooking.id}`} to ${override.amount} (quoted ${updatedBooking.pricingQuote?.override?.quotedTotal ?? 'n/a'}): ${override.reason}`
+            });
+        }
+
         return successResponse(res, updatedBooking, "Booking updated successfully", 200);
     } catch (err) {
         console.error("Update Booking Error:", err);
@@ -672,12 +715,14 @@ const updateBookingStatus = async (req, res) => {
             return errorResponse(res, "Cannot update cancelled or expired bookings", 400);
         }
 
-        // If checking in, update bed status to occupied
-        if (status === 'checked_in' && existingBooking.bedId) {
-            await prisma.bed.update({
-                where: { id: existingBooking.bedId },
-                data: { status: 'occupied' }
-            });
+        // Checking in creates the allocation
+        if (status === 'checked_in') {
+            return checkInBooking(req, res);
+        }
+
+        // A checked-in booking is checked out through its allocation
+        if (status === 'checked_out' && existingBooking.allocationId) {
+            return errorResponse(res, "Booking was converted to an allocation; check out the allocation instead", 400);
         }
 
         // If checking out, update bed status to available
@@ -694,10 +739,7 @@ const updateBookingStatus = async (req, res) => {
         // Update booking status
         const updatedBooking = await prisma.booking.update({
             where: { id: bookingId },
-            data: { 
-                status,
-                ...(status === 'checked_in' && { checkInDate: new Date() })
-            },
+            data: { status },
             include: {
                 tenant: true,
                 hostel: true,
@@ -713,6 +755,61 @@ const updateBookingStatus = async (req, res) => {
     }
 };
 
+// ===================================
+// CHECK IN BOOKING (convert to allocation)
+// ===================================
+const checkInBooking = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { tenantId, bedId, rentAmount, depositAmount, checkInDate, expectedCheckOutDate, notes } = req.body;
+
+        const bookingId = parseInt(id);
+        if (isNaN(bookingId)) {
+            return errorResponse(res, "Invalid booking ID", 400);
+        }
+
+        const existingBooking = await prisma.booking.findUnique({
+            where: { id: bookingId },
+            select: { id: true }
+        });
+
+        if (!existingBooking) {
+            return errorResponse(res, "Booking not found", 404);
+        }
+
+        const result = await convertBookingToAllocation(bookingId, {
+            tenantId,
+            bedId: bedId ? parseInt(bedId) : null,
+            rentAmount,
+            depositAmount,
+            checkInDate,
+            expectedCheckOutDate,
+            notes,
+            userId: req.userId
+        });
+
+        const booking = await prisma.booking.findUnique({
+            where: { id: bookingId },
+            include: {
+                tenant: true,
+                hostel: true,
+                room: true,
+                bed: true,
+                allocation: true
+            }
+        });
+
+        return successResponse(res, {
+            booking,
+            tenantCreated: result.tenantCreated,
+            advance: result.advance
+        }, "Booking checked in successfully", 200);
+    } catch (err) {
+        console.error("Check In Booking Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
 // ===================================
 // CANCEL BOOKING
 // ===================================
@@ -746,16 +843,9 @@ const cancelBooking = async (req, res) => {
         }
 
         // If bed was reserved, make it available
-        if (existingBooking.bedId) {
-            await prisma.bed.update({
-                where: { id: existingBooking.bedId },
-                data: { 
-                    status: 'available',
-                    reservedById: null,
-                    reservationExpiry: null
-                }
-            });
-        }
+        const bedReleased = existingBooking.bedId
+            ? await prisma.$transaction((tx) => releaseBedReservation(tx, existingBooking.bedId))
+            : false;
 
         // Cancel booking
         const cancelledBooking = await prisma.booking.update({
@@ -772,6 +862,11 @@ const cancelBooking = async (req, res) => {
             }
         });
 
+        // Offer the freed bed to the waitlist
+        if (bedReleased) {
+            await offerFreedBedSafely(existingBooking.bedId, { userId: req.userId || null });
+        }
+
         return successResponse(res, cancelledBooking, "Booking cancelled successfully", 200);
     } catch (err) {
         console.error("Cancel Booking Error:", err);
@@ -912,8 +1007,12 @@ const getAvailableBeds = async (req, res) => {
         const checkIn = new Date(checkInDate);
         const checkOut = new Date(checkOutDate);
 
+        // Beds whose reservation has lapsed count as available before the expiry job releases them
         const where = {
-            status: 'available'
+            OR: [
+                { status: 'available' },
+                expiredReservationFilter()
+            ]
         };
 
         if (roomId) {
@@ -972,6 +1071,49 @@ const getAvailableBeds = async (req, res) => {
     }
 };
 
+// ===================================
+// AVAILABILITY CALENDAR
+// ===================================
+const getAvailabilityCalendar = async (req, res) => {
+    try {
+        const { hostelId, floorId, roomId, startDate, endDate } = req.query;
+
+        const parsedHostelId = parseInt(hostelId);
+        if (isNaN(parsedHostelId)) {
+            return errorResponse(res, "Hostel ID is required", 400);
+        }
+
+        const range = parseCalendarRange(startDate, endDate);
+        if (range.error) {
+            return errorResponse(res, range.error, 400);
+        }
+
+        const hostel = await prisma.hostel.findUnique({
+            where: { id: parsedHostelId },
+            select: { id: true, name: true }
+        });
+
+        if (!hostel) {
+            return errorResponse(res, "Hostel not found", 404);
+        }
+
+        const calendar = await buildAvailabilityCalendar({
+            hostelId: parsedHostelId,
+            floorId: floorId ? parseInt(floorId) : null,
+            roomId: roomId ? parseInt(roomId) : null,
+            start: range.start,
+            dayCount: range.dayCount
+        });
+
+        calendar.hostel.name = hostel.name;
+
+        return successResponse(res, calendar, "Availability calendar retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Availability Calendar Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
 module.exports = {
     createBooking,
     getAllBookings,
@@ -979,9 +1121,11 @@ module.exports = {
     getBookingByCode,
     updateBooking,
     updateBookingStatus,
+    checkInBooking,
     cancelBooking,
     deleteBooking,
     getBookingStatistics,
-    getAvailableBeds
+    getAvailableBeds,
+    getAvailabilityCalendar
 };
 
@@ -0,0 +1,313 @@
+const { prisma } = require('../../config/db');
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+  getOpenShift,
+  openCashShift,
+  summarizeShiftCash,
+  closeCashShift,
+  approveCashShift,
+  getCollectorVarianceReport,
+} = require('../../Helper/cash-shift.helper');
+
+/**
+ * =====================================================
+ * CASH SHIFT CONTROLLER - Front-desk Cash Drawers
+ * =====================================================
+ *
+ * Collectors open a drawer with a float, cash payments they record are tied
+ * to it, and at close they declare the counted cash for a manager to sign
+ * off. Staff only see and close their own shifts.
+ */
+
+const SHIFT_STATUSES = ['open', 'closed', 'approved'];
+
+const parseNullableInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const isStaffOnly = (req) => !req.isAdmin && req.userRole?.roleName === 'staff';
+
+const shiftInclude = {
+  hostel: { select: { id: true, name: true } },
+  collector: { select: { id: true, username: true } },
+  closer: { select: { id: true, username: true } },
+  approver: { select: { id: true, username: true } },
+};
+
+/**
+ * POST /api/admin/cash-shifts/open
+ * Open a cash drawer for the signed-in user
+ */
+const openShift = async (req, res) => {
+  try {
+    const hostelId = parseNullableInt(req.body?.hostelId);
+    const { openingFloat = 0, note } = req.body || {};
+
+    if (!hostelId) {
+      return errorResponse(res, 'hostelId is required', 400);
+    }
+    if (!Number.isFinite(Number(openingFloat))) {
+      return errorResponse(res, 'openingFloat must be a number', 400);
+    }
+
+    const hostel = await prisma.hostel.findUnique({ where: { id: hostelId }, select: { id: true, name: true } });
+    if (!hostel) {
+      return errorResponse(res, 'Hostel not found', 404);
+    }
+
+    const shift = await openCashShift({ hostelId, userId: req.user?.id, openingFloat, note });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'cash_shift',
+      description: `Opened cash shift ${shift.shiftNumber} at ${hostel.name} with a float of ${shift.openingFloat}`,
+    });
+
+    return successResponse(res, shift, 'Cash shift opened successfully', 201);
+  } catch (error) {
+    console.error('Open Cash Shift Error:', error);
+    return errorResponse(res, error.message || 'Failed to open cash shift', 400);
+  }
+};
+
+/**
+ * GET /api/admin/cash-shifts/current
+ * The signed-in user's open shift with the cash expected in the drawer so far
+ */
+const getCurrentShift = async (req, res) => {
+  try {
+    const open = await getOpenShift(req.user?.id);
+    if (!open) {
+      return successResponse(res, null, 'No open cash shift');
+    }
+
+    const shift = await prisma.cashShift.findUnique({ where: { id: open.id }, include: shiftInclude });
+    const summary = await summarizeShiftCash(shift.id);
+
+    return successResponse(res, {
+      ...shift,
+      ...summary,
+      expectedCash: Math.round((shift.openingFloat + summary.cashCollected) * 100) / 100,
+    }, 'Cash shift fetched successfully');
+  } catch (error) {
+    console.error('Get Current Cash Shift Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch cash shift', 500);
+  }
+};
+
+/**
+ * GET /api/admin/cash-shifts
+ * List cash shifts
+ */
+const listShifts = async (req, res) => {
+  try {
+    const { status, from, to, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    if (status && !SHIFT_STATUSES.includes(status)) {
+      return errorResponse(res, `status must be one of: ${SHIFT_STATUSES.join(', ')}`, 400);
+    }
+
+    const where = {};
+    if (status) where.status = status;
+    if (parseNullableInt(req.query.hostelId)) where.hostelId = parseNullableInt(req.query.hostelId);
+    if (parseNullableInt(req.query.userId)) where.userId = parseNullableInt(req.query.userId);
+    if (isStaffOnly(req)) where.userId = req.user?.id;
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return errorResponse(res, 'Invalid date range', 400);
+    }
+    if (fromDate || toDate) {
+      where.openedAt = {};
+      if (fromDate) where.openedAt.gte = fromDate;
+      if (toDate) where.openedAt.lte = toDate;
+    }
+
+    const [shifts, total] = await Promise.all([
+      prisma.cashShift.findMany({
+        where,
+        include: shiftInclude,
+        orderBy: { openedAt: 'desc' },
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.cashShift.count({ where }),
+    ]);
+
+    return successResponse(res, {
+      shifts,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Cash shifts fetched successfully');
+  } catch (error) {
+    console.error('List Cash Shifts Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch cash shifts', 500);
+  }
+};
+
+/**
+ * GET /api/admin/cash-shifts/variance-report
+ * Cash taken, shortages and overages per collector over closed shifts
+ */
+const getVarianceReport = async (req, res) => {
+  try {
+    const fromDate = parseDate(req.query.from);
+    const toDate = parseDate(req.query.to);
+    if (fromDate === undefined || toDate === undefined) {
+      return errorResponse(res, 'Invalid date range', 400);
+    }
+
+    const report = await getCollectorVarianceReport({
+      hostelId: parseNullableInt(req.query.hostelId),
+      userId: parseNullableInt(req.query.userId),
+      from: fromDate,
+      to: toDate,
+    });
+
+    return successResponse(res, report, 'Cash variance report fetched successfully');
+  } catch (error) {
+    console.error('Cash Variance Report Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch cash variance report', 500);
+  }
+};
+
+/**
+ * GET /api/admin/cash-shifts/:id
+ * Get a shift with the receipts taken into it
+ */
+const getShiftById = async (req, res) => {
+  try {
+    const shiftId = parseNullableInt(req.params.id);
+    if (!shiftId) {
+      return errorResponse(res, 'Valid cash shift id is required', 400);
+    }
+
+    const shift = await prisma.cashShift.findUnique({
+      where: { id: shiftId },
+      include: {
+        ...shiftInclude,
+        receipts: {
+          select: {
+            id: true,
+            receiptNumber: true,
+            amount: true,
+            issuedAt: true,
+            paymentId: true,
+            voidedAt: true,
+            voidReason: true,
+            tenant: { select: { id: true, name: true } },
+          },
+          orderBy: { issuedAt: 'asc' },
+        },
+      },
+    });
+    if (!shift || (isStaffOnly(req) && shift.userId !== req.user?.id)) {
+      return errorResponse(res, 'Cash shift not found', 404);
+    }
+
+    const summary = shift.status === 'open' ? await summarizeShiftCash(shiftId) : null;
+    return successResponse(res, {
+      ...shift,
+      ...(summary ? { ...summary, expectedCash: Math.round((shift.openingFloat + summary.cashCollected) * 100) / 100 } : {}),
+    }, 'Cash shift fetched successfully');
+  } catch (error) {
+    console.error('Get Cash Shift Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch cash shift', 500);
+  }
+};
+
+/**
+ * POST /api/admin/cash-shifts/:id/close
+ * Close a shift with the counted cash; staff close their own, managers anyone's
+ */
+const closeShift = async (req, res) => {
+  try {
+    const shiftId = parseNullableInt(req.params.id);
+    if (!shiftId) {
+      return errorResponse(res, 'Valid cash shift id is required', 400);
+    }
+
+    const shift = await prisma.cashShift.findUnique({ where: { id: shiftId }, select: { id: true, userId: true } });
+    if (!shift || (isStaffOnly(req) && shift.userId !== req.user?.id)) {
+      return errorResponse(res, 'Cash shift not found', 404);
+    }
+
+    const { countedCash, denominations, note } = req.body || {};
+    if (denominations !== undefined && denominations !== null && (typeof denominations !== 'object' || Array.isArray(denominations))) {
+      return errorResponse(res, 'denominations must be an object of note value to pieces', 400);
+    }
+
+    const closed = await closeCashShift(shiftId, {
+      countedCash,
+      denominations: denominations || null,
+      note,
+      closedBy: req.user?.id || null,
+    });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'cash_shift',
+      description: `Closed cash shift ${closed.shiftNumber}: expected ${closed.expectedCash}, counted ${closed.countedCash}, variance ${closed.variance}`,
+    });
+
+    return successResponse(res, closed, 'Cash shift closed successfully');
+  } catch (error) {
+    console.error('Close Cash Shift Error:', error);
+    return errorResponse(res, error.message || 'Failed to close cash shift', 400);
+  }
+};
+
+/**
+ * POST /api/admin/cash-shifts/:id/approve
+ * Manager sign-off of a closed shift
+ */
+const approveShift = async (req, res) => {
+  try {
+    const shiftId = parseNullableInt(req.params.id);
+    if (!shiftId) {
+      return errorResponse(res, 'Valid cash shift id is required', 400);
+    }
+
+    const approved = await approveCashShift(shiftId, { approvedBy: req.user?.id, note: req.body?.note });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'cash_shift',
+      description: `Signed off cash shift ${approved.shiftNumber} with a variance of ${approved.variance}`,
+    });
+
+    return successResponse(res, approved, 'Cash shift signed off successfully');
+  } catch (error) {
+    console.error('Approve Cash Shift Error:', error);
+    return errorResponse(res, error.message || 'Failed to sign off cash shift', 400);
+  }
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  listShifts,
+  getVarianceReport,
+  getShiftById,
+  closeShift,
+  approveShift,
+};
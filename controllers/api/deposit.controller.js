@@ -0,0 +1,327 @@
+// ===============================
+// Security Deposit Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+    normalizeDeductions,
+    computeDepositSettlement,
+    settleDeposit,
+    getDepositsHeld
+} = require('../../Helper/deposit.helper');
+const {
+    hostelAccessSelect,
+    buildHostelScopeFilter,
+    canAccessHostel,
+    ensureHostelAccess
+} = require('../../Helper/hostel-access.helper');
+
+const ensureAllocationAccess = async (req, allocationId) => {
+    const allocation = await prisma.allocation.findUnique({
+        where: { id: allocationId },
+        include: {
+            hostel: { select: hostelAccessSelect }
+        }
+    });
+
+    if (!allocation) {
+        return { ok: false, status: 404, message: "Allocation not found" };
+    }
+
+    if (!canAccessHostel(req, allocation.hostel)) {
+        return { ok: false, status: 403, message: "You are not allowed to manage this allocation" };
+    }
+
+    return { ok: true, allocation };
+};
+
+const parseAllocationId = (req) => {
+    const allocationId = parseInt(req.params.allocationId, 10);
+    return Number.isNaN(allocationId) ? null : allocationId;
+};
+
+// Turn a stored settlement into a printable statement
+const buildSettlementStatement = (settlement) => {
+    const { allocation, tenant, hostel } = settlement;
+
+    return {
+        statementNumber: `DS-${settlement.hostelId}-${String(settlement.id).padStart(6, '0')}`,
+        settledAt: settlement.settledAt,
+        settledBy: settlement.settler || null,
+        hostel: { id: hostel.id, name: hostel.name },
+        tenant: { id: tenant.id, name: tenant.name, phone: tenant.phone, cnicNumber: tenant.cnicNumber },
+        stay: {
+            allocationId: allocation.id,
+            room: allocation.room?.roomNumber || null,
+            bed: allocation.bed?.bedNumber || null,
+            checkInDate: allocation.checkInDate,
+            checkOutDate: allocation.checkOutDate,
+            agreedDeposit: allocation.depositAmount
+        },
+        lines: settlement.deductions.map((line) => ({
+            type: line.type,
+            description: line.description,
+            amount: line.amount,
+            deductedFromDeposit: line.coveredAmount,
+            billedToTenant: line.type === 'unpaid_dues' ? 0 : Math.round((line.amount - line.coveredAmount) * 100) / 100,
+            paymentId: line.paymentId
+        })),
+        totals: {
+            depositHeld: settlement.depositHeld,
+            totalDeductions: settlement.totalDeductions,
+            appliedToDues: settlement.appliedToDues,
+            retainedForDamages: settlement.retainedForDamages,
+            refundAmount: settlement.refundAmount,
+            shortfallAmount: settlement.shortfallAmount
+        },
+        refund: settlement.refundAmount > 0
+            ? {
+                amount: settlement.refundAmount,
+                method: settlement.refundMethod,
+                transactionId: settlement.refundTransactionId,
+                status: settlement.refundTransaction?.status || null
+            }
+            : null,
+        remarks: settlement.remarks
+    };
+};
+
+const settlementInclude = {
+    deductions: { orderBy: { id: 'asc' } },
+    allocation: {
+        select: {
+            id: true,
+            checkInDate: true,
+            checkOutDate: true,
+            depositAmount: true,
+            room: { select: { roomNumber: true } },
+            bed: { select: { bedNumber: true } }
+        }
+    },
+    tenant: { select: { id: true, name: true, phone: true, cnicNumber: true } },
+    hostel: { select: { id: true, name: true } },
+    settler: { select: { id: true, username: true, email: true } },
+    refundTransaction: { select: { id: true, status: true, paymentMethod: true } }
+};
+
+// ===================================
+// PREVIEW DEPOSIT SETTLEMENT
+// ===================================
+const previewDepositSettlement = async (req, res) => {
+    try {
+        const allocationId = parseAllocationId(req);
+        if (!allocationId) {
+            return errorResponse(res, "Invalid allocation id", 400);
+        }
+
+        const access = await ensureAllocationAccess(req, allocationId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { deductions, deductUnpaidDues } = req.body;
+
+        const plan = await computeDepositSettlement(prisma, access.allocation, {
+            deductions: normalizeDeductions(deductions),
+            deductUnpaidDues: deductUnpaidDues !== false && deductUnpaidDues !== 'false'
+        });
+
+        return successResponse(res, plan, "Deposit settlement preview generated", 200);
+    } catch (err) {
+        console.error("Preview Deposit Settlement Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// SETTLE DEPOSIT (already checked out)
+// ===================================
+const settleCheckedOutDeposit = async (req, res) => {
+    try {
+        const allocationId = parseAllocationId(req);
+        if (!allocationId) {
+            return errorResponse(res, "Invalid allocation id", 400);
+        }
+
+        const access = await ensureAllocationAccess(req, allocationId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        if (access.allocation.status !== 'checked_out') {
+            return errorResponse(res, "Deposits are settled at checkout; check the tenant out instead", 400);
+        }
+
+        const { deductions, deductUnpaidDues, refundMethod, remarks } = req.body;
+        const depositDeductions = normalizeDeductions(deductions);
+
+        const settlement = await prisma.$transaction((tx) => settleDeposit(tx, access.allocation, {
+            deductions: depositDeductions,
+            deductUnpaidDues: deductUnpaidDues !== false && deductUnpaidDues !== 'false',
+            refundMethod: refundMethod || 'cash',
+            remarks: remarks || null,
+            userId: req.userId || null
+        }));
+
+        await writeLog({
+            userId: req.userId,
+            action: "settle",
+            module: "deposits",
+            description: `Settled deposit for allocation #${allocationId}: held ${settlement.depositHeld}, refunded ${settlement.refundAmount}`
+        });
+
+        return successResponse(res, settlement, "Deposit settled successfully", 201);
+    } catch (err) {
+        console.error("Settle Deposit Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET SETTLEMENT STATEMENT
+// ===================================
+const getDepositSettlementStatement = async (req, res) => {
+    try {
+        const allocationId = parseAllocationId(req);
+        if (!allocationId) {
+            return errorResponse(res, "Invalid allocation id", 400);
+        }
+
+        const access = await ensureAllocationAccess(req, allocationId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const settlement = await prisma.depositSettlement.findUnique({
+            where: { allocationId },
+            include: settlementInclude
+        });
+
+        if (!settlement) {
+            return errorResponse(res, "Deposit has not been settled for this allocation", 404);
+        }
+
+        return successResponse(res, buildSettlementStatement(settlement), "Deposit settlement statement retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Deposit Statement Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET DEPOSITS HELD (LIABILITY REPORT)
+// ===================================
+const getDepositsHeldReport = async (req, res) => {
+    try {
+        const { hostelId } = req.query;
+
+        let parsedHostelId = null;
+        if (hostelId) {
+            parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+        }
+
+        const report = await getDepositsHeld({
+            hostelId: parsedHostelId,
+            hostelScope: buildHostelScopeFilter(req)
+        });
+
+        return successResponse(res, report, "Deposits held retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Deposits Held Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET DEPOSIT SETTLEMENTS
+// ===================================
+const getDepositSettlements = async (req, res) => {
+    try {
+        const { hostelId, tenantId, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const skip = (pageNum - 1) * limitNum;
+
+        const where = {};
+        if (tenantId) where.tenantId = parseInt(tenantId, 10);
+        if (startDate || endDate) {
+            where.settledAt = {};
+            if (startDate) where.settledAt.gte = new Date(startDate);
+            if (endDate) where.settledAt.lte = new Date(endDate);
+        }
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const [settlements, total, totals] = await Promise.all([
+            prisma.depositSettlement.findMany({
+                where,
+                include: settlementInclude,
+                orderBy: { settledAt: 'desc' },
+                take: limitNum,
+                skip
+            }),
+            prisma.depositSettlement.count({ where }),
+            prisma.depositSettlement.aggregate({
+                where,
+                _sum: {
+                    depositHeld: true,
+                    appliedToDues: true,
+                    retainedForDamages: true,
+                    refundAmount: true,
+                    shortfallAmount: true
+                }
+            })
+        ]);
+
+        return successResponse(res, {
+            settlements: settlements.map(buildSettlementStatement),
+            summary: {
+                depositHeld: totals._sum.depositHeld || 0,
+                appliedToDues: totals._sum.appliedToDues || 0,
+                retainedForDamages: totals._sum.retainedForDamages || 0,
+                refunded: totals._sum.refundAmount || 0,
+                shortfall: totals._sum.shortfallAmount || 0
+            },
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Deposit settlements retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Deposit Settlements Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    previewDepositSettlement,
+    settleCheckedOutDeposit,
+    getDepositSettlementStatement,
+    getDepositsHeldReport,
+    getDepositSettlements
+};
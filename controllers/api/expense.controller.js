@@ -1,5 +1,7 @@
 const { prisma } = require('../../config/db');
 const { successResponse, errorResponse } = require('../../Helper/helper');
+const { recordAlertActivity } = require('../../Helper/alert-activity.helper');
+const { syncExpenseJournal } = require('../../Helper/general-ledger.helper');
 
 /**
  * =====================================================
@@ -48,19 +50,23 @@ const createExpense = async (req, res) => {
     const parsedAmount = parseFloat(amount);
     const expenseType = type || 'expense';
 
-    // Create expense
-    const expense = await prisma.expense.create({
-      data: {
-        title: title.trim(),
-        category: category.trim(),
-        amount: parsedAmount,
-        type: expenseType,
-        date: new Date(date),
-        hostelId: parsedHostelId,
-      },
-      include: {
-        hostel: { select: { id: true, name: true } },
-      },
+    // Create expense and book it
+    const expense = await prisma.$transaction(async (tx) => {
+      const created = await tx.expense.create({
+        data: {
+          title: title.trim(),
+          category: category.trim(),
+          amount: parsedAmount,
+          type: expenseType,
+          date: new Date(date),
+          hostelId: parsedHostelId,
+        },
+        include: {
+          hostel: { select: { id: true, name: true } },
+        },
+      });
+      await syncExpenseJournal(tx, created.id);
+      return created;
     });
 
     return successResponse(res, expense, 'Expense created successfully', 201);
@@ -235,12 +241,16 @@ const updateExpense = async (req, res) => {
       updateData.hostelId = parseNullableInt(hostelId);
     }
 
-    const updated = await prisma.expense.update({
-      where: { id: expenseId },
-      data: updateData,
-      include: {
-        hostel: { select: { id: true, name: true } },
-      },
+    const updated = await prisma.$transaction(async (tx) => {
+      const expense = await tx.expense.update({
+        where: { id: expenseId },
+        data: updateData,
+        include: {
+          hostel: { select: { id: true, name: true } },
+        },
+      });
+      await syncExpenseJournal(tx, expense.id);
+      return expense;
     });
 
     return successResponse(res, updated, 'Expense updated successfully');
@@ -270,8 +280,12 @@ const deleteExpense = async (req, res) => {
       return errorResponse(res, 'Expense not found', 404);
     }
 
-    await prisma.expense.delete({
-      where: { id: expenseId },
+    // The journal entry is reversed, not deleted
+    await prisma.$transaction(async (tx) => {
+      await tx.expense.delete({
+        where: { id: expenseId },
+      });
+      await syncExpenseJournal(tx, expenseId);
     });
 
     return successResponse(res, null, 'Expense deleted successfully');
@@ -325,6 +339,17 @@ const updateExpenseStatus = async (req, res) => {
         data: { status: alertStatus },
       });
 
+      if (alertStatus !== relatedAlert.status) {
+        await recordAlertActivity({
+          alertId: relatedAlert.id,
+          type: 'status_change',
+          fromValue: relatedAlert.status,
+          toValue: alertStatus,
+          message: `Bill marked ${status}`,
+          createdBy: req.userId || null,
+        });
+      }
+
       return successResponse(res, { id: relatedAlert.id, status: alertStatus }, 'Bill status updated successfully');
     }
 
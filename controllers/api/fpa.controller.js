@@ -1,5 +1,6 @@
 const { prisma } = require('../../config/db');
 const { successResponse, errorResponse } = require('../../Helper/helper');
+const { saveFPARecord } = require('../../Helper/fpa.helper');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
@@ -253,23 +254,7 @@ const generateFPASummary = async (req, res) => {
       ...(parsedHostelId ? { hostelId: parsedHostelId } : {}),
     };
 
-    // Find existing FPA record
-    const existingFPA = await prisma.fPA.findFirst({
-      where: {
-        month: monthNum.toString(),
-        year: yearNum,
-        ...(parsedHostelId ? { hostelId: parsedHostelId } : { hostelId: null }),
-      },
-    });
-
-    const fpa = existingFPA
-      ? await prisma.fPA.update({
-          where: { id: existingFPA.id },
-          data: fpaData,
-        })
-      : await prisma.fPA.create({
-          data: fpaData,
-        });
+    const fpa = await saveFPARecord(fpaData);
 
     // ===== 8️⃣ Return Comprehensive Response (Dashboard Format) =====
     return successResponse(res, {
@@ -0,0 +1,411 @@
+const { prisma } = require('../../config/db');
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+  ACCOUNT_TYPES,
+  ensureChartOfAccounts,
+  postJournal,
+  reverseJournal,
+} = require('../../Helper/general-ledger.helper');
+
+/**
+ * =====================================================
+ * GENERAL LEDGER CONTROLLER - Chart of Accounts & Journals
+ * =====================================================
+ *
+ * Journals for payments, expenses, refunds and vendor documents are posted
+ * by general-ledger.helper.js as those documents change. Here accounts can
+ * be added to a hostel's chart and manual journals posted or reversed.
+ */
+
+const parseNullableInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const journalInclude = {
+  hostel: { select: { id: true, name: true } },
+  creator: { select: { id: true, username: true } },
+  reversalOf: { select: { id: true, entryNumber: true } },
+  reversal: { select: { id: true, entryNumber: true, entryDate: true } },
+  lines: {
+    include: { account: { select: { id: true, code: true, name: true, type: true } } },
+    orderBy: { id: 'asc' },
+  },
+};
+
+const serializeJournal = (entry) => {
+  const totalDebit = entry.lines.reduce((sum, line) => sum + line.debit, 0);
+  return { ...entry, total: Math.round(totalDebit * 100) / 100 };
+};
+
+/**
+ * GET /api/admin/ledger-accounts
+ * A hostel's chart of accounts with balances; the system accounts are created on first view
+ */
+const listLedgerAccounts = async (req, res) => {
+  try {
+    const { type, includeInactive } = req.query;
+    const hostelId = parseNullableInt(req.query.hostelId);
+
+    if (type && !ACCOUNT_TYPES.includes(type)) {
+      return errorResponse(res, `type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400);
+    }
+    if (hostelId) {
+      const hostel = await prisma.hostel.findUnique({ where: { id: hostelId }, select: { id: true } });
+      if (!hostel) {
+        return errorResponse(res, 'Hostel not found', 404);
+      }
+    }
+
+    await ensureChartOfAccounts(hostelId);
+
+    const where = { hostelId };
+    if (type) where.type = type;
+    if (includeInactive !== 'true') where.isActive = true;
+
+    const accounts = await prisma.ledgerAccount.findMany({ where, orderBy: [{ code: 'asc' }, { id: 'asc' }] });
+    const sums = await prisma.journalLine.groupBy({
+      by: ['accountId'],
+      where: { accountId: { in: accounts.map((account) => account.id) } },
+      _sum: { debit: true, credit: true },
+    });
+    const sumsByAccount = new Map(sums.map((row) => [row.accountId, row._sum]));
+
+    return successResponse(res, {
+      hostelId,
+      accounts: accounts.map((account) => {
+        const sum = sumsByAccount.get(account.id) || {};
+        const net = (sum.debit || 0) - (sum.credit || 0);
+        return {
+          ...account,
+          debit: sum.debit || 0,
+          credit: sum.credit || 0,
+          balance: Math.round((['asset', 'expense'].includes(account.type) ? net : -net) * 100) / 100,
+        };
+      }),
+    }, 'Ledger accounts fetched successfully');
+  } catch (error) {
+    console.error('List Ledger Accounts Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch ledger accounts', 500);
+  }
+};
+
+/**
+ * POST /api/admin/ledger-accounts
+ * Add an account to a hostel's chart (hostelId omitted: the chart for money without a hostel)
+ */
+const createLedgerAccount = async (req, res) => {
+  try {
+    const { code, name, type, description } = req.body || {};
+    const hostelId = parseNullableInt(req.body?.hostelId);
+
+    if (!code || !String(code).trim() || !name || !String(name).trim()) {
+      return errorResponse(res, 'code and name are required', 400);
+    }
+    if (!ACCOUNT_TYPES.includes(type)) {
+      return errorResponse(res, `type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400);
+    }
+
+    await ensureChartOfAccounts(hostelId);
+
+    const duplicate = await prisma.ledgerAccount.findFirst({ where: { hostelId, code: String(code).trim() } });
+    if (duplicate) {
+      return errorResponse(res, `Account code ${duplicate.code} is already used by "${duplicate.name}"`, 400);
+    }
+
+    const account = await prisma.ledgerAccount.create({
+      data: {
+        hostelId,
+        code: String(code).trim().slice(0, 20),
+        name: String(name).trim().slice(0, 150),
+        type,
+        description: description ? String(description).slice(0, 500) : null,
+      },
+    });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'general_ledger',
+      description: `Added ${type} account ${account.code} ${account.name}${hostelId ? ` to hostel #${hostelId}` : ''}`,
+    });
+
+    return successResponse(res, account, 'Ledger account created successfully', 201);
+  } catch (error) {
+    console.error('Create Ledger Account Error:', error);
+    return errorResponse(res, error.message || 'Failed to create ledger account', 400);
+  }
+};
+
+/**
+ * PUT /api/admin/ledger-accounts/:id
+ * Rename or deactivate an account; the code and type are fixed once it has entries
+ */
+const updateLedgerAccount = async (req, res) => {
+  try {
+    const accountId = parseNullableInt(req.params.id);
+    if (!accountId) {
+      return errorResponse(res, 'Valid account id is required', 400);
+    }
+
+    const account = await prisma.ledgerAccount.findUnique({ where: { id: accountId } });
+    if (!account) {
+      return errorResponse(res, 'Ledger account not found', 404);
+    }
+
+    const { code, name, type, description, isActive } = req.body || {};
+    const data = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) return errorResponse(res, 'name cannot be empty', 400);
+      data.name = String(name).trim().slice(0, 150);
+    }
+    if (description !== undefined) data.description = description ? String(description).slice(0, 500) : null;
+    if (isActive !== undefined) {
+      data.isActive = isActive === true || isActive === 'true';
+      if (!data.isActive && account.systemKey) {
+        return errorResponse(res, 'System accounts are used for posting and cannot be deactivated', 400);
+      }
+    }
+
+    if ((code !== undefined && String(code).trim() !== account.code) || (type !== undefined && type !== account.type)) {
+      const lines = await prisma.journalLine.count({ where: { accountId } });
+      if (lines) {
+        return errorResponse(res, 'The code and type of an account with entries cannot be changed', 400);
+      }
+      if (account.systemKey) {
+        return errorResponse(res, 'The code and type of a system account cannot be changed', 400);
+      }
+      if (code !== undefined) {
+        const duplicate = await prisma.ledgerAccount.findFirst({
+          where: { hostelId: account.hostelId, code: String(code).trim(), id: { not: accountId } },
+        });
+        if (duplicate) return errorResponse(res, `Account code ${duplicate.code} is already used by "${duplicate.name}"`, 400);
+        data.code = String(code).trim().slice(0, 20);
+      }
+      if (type !== undefined) {
+        if (!ACCOUNT_TYPES.includes(type)) return errorResponse(res, `type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400);
+        data.type = type;
+      }
+    }
+
+    const updated = await prisma.ledgerAccount.update({ where: { id: accountId }, data });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'general_ledger',
+      description: `Updated ledger account ${updated.code} ${updated.name}`,
+    });
+
+    return successResponse(res, updated, 'Ledger account updated successfully');
+  } catch (error) {
+    console.error('Update Ledger Account Error:', error);
+    return errorResponse(res, error.message || 'Failed to update ledger account', 400);
+  }
+};
+
+/**
+ * GET /api/admin/journal-entries
+ * List journal entries; filter by source document or by an account they touch
+ */
+const listJournalEntries = async (req, res) => {
+  try {
+    const { sourceType, from, to, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const where = {};
+    if (parseNullableInt(req.query.hostelId)) where.hostelId = parseNullableInt(req.query.hostelId);
+    if (sourceType) where.sourceType = sourceType;
+    if (parseNullableInt(req.query.sourceId)) where.sourceId = parseNullableInt(req.query.sourceId);
+    if (parseNullableInt(req.query.accountId)) where.lines = { some: { accountId: parseNullableInt(req.query.accountId) } };
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return errorResponse(res, 'Invalid date range', 400);
+    }
+    if (fromDate || toDate) {
+      where.entryDate = {};
+      if (fromDate) where.entryDate.gte = fromDate;
+      if (toDate) where.entryDate.lte = toDate;
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.journalEntry.findMany({
+        where,
+        include: journalInclude,
+        orderBy: [{ entryDate: 'desc' }, { id: 'desc' }],
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.journalEntry.count({ where }),
+    ]);
+
+    return successResponse(res, {
+      entries: entries.map(serializeJournal),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Journal entries fetched successfully');
+  } catch (error) {
+    console.error('List Journal Entries Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch journal entries', 500);
+  }
+};
+
+/**
+ * GET /api/admin/journal-entries/:id
+ * Get a journal entry with its lines
+ */
+const getJournalEntryById = async (req, res) => {
+  try {
+    const entryId = parseNullableInt(req.params.id);
+    if (!entryId) {
+      return errorResponse(res, 'Valid journal entry id is required', 400);
+    }
+
+    const entry = await prisma.journalEntry.findUnique({ where: { id: entryId }, include: journalInclude });
+    if (!entry) {
+      return errorResponse(res, 'Journal entry not found', 404);
+    }
+
+    return successResponse(res, serializeJournal(entry), 'Journal entry fetched successfully');
+  } catch (error) {
+    console.error('Get Journal Entry Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch journal entry', 500);
+  }
+};
+
+/**
+ * POST /api/admin/journal-entries
+ * Post a manual journal (opening balances, owner drawings, corrections); debits must equal credits
+ */
+const createJournalEntry = async (req, res) => {
+  try {
+    const { memo, lines } = req.body || {};
+    const hostelId = parseNullableInt(req.body?.hostelId);
+    const entryDate = parseDate(req.body?.entryDate);
+
+    if (entryDate === undefined) {
+      return errorResponse(res, 'Invalid entryDate', 400);
+    }
+    if (!memo || !String(memo).trim()) {
+      return errorResponse(res, 'memo is required', 400);
+    }
+    if (!Array.isArray(lines) || lines.length < 2) {
+      return errorResponse(res, 'At least two lines are required', 400);
+    }
+
+    const accountIds = [...new Set(lines.map((line) => parseNullableInt(line.accountId)))];
+    if (accountIds.includes(null)) {
+      return errorResponse(res, 'Every line needs an accountId', 400);
+    }
+    const accounts = await prisma.ledgerAccount.findMany({ where: { id: { in: accountIds } } });
+    const invalid = accountIds.filter((id) => {
+      const account = accounts.find((item) => item.id === id);
+      return !account || !account.isActive || account.hostelId !== hostelId;
+    });
+    if (invalid.length) {
+      return errorResponse(res, `Accounts ${invalid.join(', ')} are not active accounts on this chart`, 400);
+    }
+
+    const entry = await prisma.$transaction((tx) => postJournal(tx, {
+      hostelId,
+      entryDate: entryDate || new Date(),
+      memo: String(memo).trim(),
+      sourceType: 'manual',
+      createdBy: req.user?.id || null,
+      lines: lines.map((line) => ({
+        accountId: parseNullableInt(line.accountId),
+        debit: Number(line.debit) || 0,
+        credit: Number(line.credit) || 0,
+        description: line.description,
+      })),
+    }));
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'general_ledger',
+      description: `Posted manual journal ${entry.entryNumber}: ${String(memo).trim()}`,
+    });
+
+    const created = await prisma.journalEntry.findUnique({ where: { id: entry.id }, include: journalInclude });
+    return successResponse(res, serializeJournal(created), 'Journal entry posted successfully', 201);
+  } catch (error) {
+    console.error('Create Journal Entry Error:', error);
+    return errorResponse(res, error.message || 'Failed to post journal entry', 400);
+  }
+};
+
+/**
+ * POST /api/admin/journal-entries/:id/reverse
+ * Reverse a manual journal; posted journals follow their documents and are corrected there
+ */
+const reverseJournalEntry = async (req, res) => {
+  try {
+    const entryId = parseNullableInt(req.params.id);
+    if (!entryId) {
+      return errorResponse(res, 'Valid journal entry id is required', 400);
+    }
+
+    const { reason } = req.body || {};
+    if (!reason || !String(reason).trim()) {
+      return errorResponse(res, 'A reason is required', 400);
+    }
+
+    const entry = await prisma.journalEntry.findUnique({ where: { id: entryId } });
+    if (!entry) {
+      return errorResponse(res, 'Journal entry not found', 404);
+    }
+    if (entry.sourceType !== 'manual') {
+      return errorResponse(res, `This entry was posted from a ${entry.sourceType.replace(/_/g, ' ')}; change that instead`, 400);
+    }
+
+    const entryDate = parseDate(req.body?.entryDate);
+    if (entryDate === undefined) {
+      return errorResponse(res, 'Invalid entryDate', 400);
+    }
+
+    const reversal = await prisma.$transaction((tx) => reverseJournal(tx, entryId, {
+      entryDate: entryDate || new Date(),
+      memo: `Reversal of ${entry.entryNumber}: ${String(reason).trim()}`,
+      createdBy: req.user?.id || null,
+    }));
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'general_ledger',
+      description: `Reversed journal ${entry.entryNumber} with ${reversal.entryNumber}: ${String(reason).trim()}`,
+    });
+
+    const created = await prisma.journalEntry.findUnique({ where: { id: reversal.id }, include: journalInclude });
+    return successResponse(res, serializeJournal(created), 'Journal entry reversed successfully', 201);
+  } catch (error) {
+    console.error('Reverse Journal Entry Error:', error);
+    return errorResponse(res, error.message || 'Failed to reverse journal entry', 400);
+  }
+};
+
+module.exports = {
+  listLedgerAccounts,
+  createLedgerAccount,
+  updateLedgerAccount,
+  listJournalEntries,
+  getJournalEntryById,
+  createJournalEntry,
+  reverseJournalEntry,
+};
@@ -1,5 +1,7 @@
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { planHostelLayout, applyHostelLayout, exportHostelLayout } = require('../../Helper/hostel-layout.helper');
 
 const HOSTEL_CATEGORY_CONFIG = {
   home2: {
@@ -587,6 +589,92 @@ const getHostelArchitecture = async (req, res) => {
   }
 };
 
+const getHostelLayout = async (req, res) => {
+  try {
+    const hostelId = Number(req.params.id);
+    if (!Number.isFinite(hostelId)) {
+      return errorResponse(res, 'Invalid hostel id', 400);
+    }
+
+    if (!await ensureHostelAccess(req, hostelId)) {
+      return errorResponse(res, 'Hostel not found', 404);
+    }
+
+    const layout = await exportHostelLayout(hostelId);
+    return successResponse(res, layout, 'Hostel layout retrieved successfully', 200);
+  } catch (error) {
+    console.error('Get Hostel Layout Error:', error);
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+// Builds floors, rooms and beds from { layout } or { cloneFromHostelId };
+// dryRun returns the plan without writing anything
+const buildHostelLayout = async (req, res) => {
+  try {
+    const hostelId = Number(req.params.id);
+    if (!Number.isFinite(hostelId)) {
+      return errorResponse(res, 'Invalid hostel id', 400);
+    }
+
+    if (!await ensureHostelAccess(req, hostelId)) {
+      return errorResponse(res, 'Hostel not found', 404);
+    }
+
+    const { layout: layoutInput, cloneFromHostelId, dryRun } = req.body || {};
+    const isDryRun = dryRun === true || dryRun === 'true';
+
+    let layout = layoutInput;
+    if (cloneFromHostelId !== undefined && cloneFromHostelId !== null && cloneFromHostelId !== '') {
+      const sourceHostelId = Number(cloneFromHostelId);
+      if (!Number.isFinite(sourceHostelId)) {
+        return errorResponse(res, 'Invalid cloneFromHostelId', 400);
+      }
+      if (sourceHostelId === hostelId) {
+        return errorResponse(res, 'A hostel cannot be cloned into itself', 400);
+      }
+      if (!await ensureHostelAccess(req, sourceHostelId)) {
+        return errorResponse(res, 'Source hostel not found', 404);
+      }
+      layout = await exportHostelLayout(sourceHostelId);
+    }
+
+    if (!layout || typeof layout !== 'object') {
+      return errorResponse(res, 'layout or cloneFromHostelId is required', 400);
+    }
+
+    if (isDryRun) {
+      const plan = await planHostelLayout(hostelId, layout);
+      return successResponse(res, { dryRun: true, ...plan }, 'Hostel layout preview generated', 200);
+    }
+
+    let plan;
+    try {
+      plan = await applyHostelLayout(hostelId, layout);
+    } catch (error) {
+      if (error.plan) {
+        return errorResponse(res, error.message, error.plan.errors.length ? 400 : 409);
+      }
+      throw error;
+    }
+
+    await writeLog({
+      userId: req.userId,
+      action: 'create',
+      module: 'hostel',
+      description: `Built ${plan.totals.newFloors} floor(s), ${plan.totals.rooms} room(s) and ${plan.totals.beds} bed(s) in hostel #${hostelId}${cloneFromHostelId ? ` from hostel #${cloneFromHostelId}` : ''}`,
+    });
+
+    return successResponse(res, { dryRun: false, ...plan }, 'Hostel layout built successfully', 201);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'A floor, room or bed number in the layout already exists', 409);
+    }
+    console.error('Build Hostel Layout Error:', error);
+    return errorResponse(res, error.message, 400);
+  }
+};
+
 const createHostel = async (req, res) => {
   try {
     // Check if user is admin or owner - only these roles can create hostels
@@ -1240,5 +1328,7 @@ module.exports = {
   deleteHostel,
   getHostelStats,
   getHostelArchitecture,
+  getHostelLayout,
+  buildHostelLayout,
   getHostelCategories,
 };
\ No newline at end of file
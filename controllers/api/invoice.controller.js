@@ -0,0 +1,146 @@
+// ===============================
+// Invoice Controller (Rent Billing)
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { generateRentInvoices, toBillingMonth, parseBillingMonth } = require('../../Helper/billing.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+// ===================================
+// GENERATE MONTHLY RENT INVOICES
+// ===================================
+const generateMonthlyRentInvoices = async (req, res) => {
+    try {
+        const { forMonth, hostelId, dryRun } = req.body;
+        const billingMonth = forMonth || toBillingMonth();
+
+        if (!parseBillingMonth(billingMonth)) {
+            return errorResponse(res, "forMonth must be in YYYY-MM format", 400);
+        }
+
+        let parsedHostelId = null;
+        if (hostelId) {
+            parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+        }
+
+        const isDryRun = dryRun === true || dryRun === 'true';
+
+        const result = await generateRentInvoices({
+            forMonth: billingMonth,
+            hostelId: parsedHostelId,
+            hostelScope: buildHostelScopeFilter(req),
+            dryRun: isDryRun
+        });
+
+        if (!isDryRun) {
+            await writeLog({
+                userId: req.userId,
+                action: "generate",
+                module: "billing",
+                description: `Generated ${result.created.length} rent invoice(s) for ${billingMonth}${parsedHostelId ? ` (hostel ${parsedHostelId})` : ''}`
+            });
+        }
+
+        return successResponse(
+            res,
+            result,
+            isDryRun ? "Rent invoice preview generated" : "Rent invoices generated successfully",
+            isDryRun ? 200 : 201
+        );
+    } catch (err) {
+        console.error("Generate Rent Invoices Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET RENT INVOICES
+// ===================================
+const getRentInvoices = async (req, res) => {
+    try {
+        const { forMonth, hostelId, tenantId, status, page = 1, limit = 20 } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const skip = (pageNum - 1) * limitNum;
+
+        // Rent charges are rent payments created with a due date
+        const where = {
+            paymentType: 'rent',
+            dueDate: { not: null }
+        };
+        if (forMonth) where.forMonth = forMonth;
+        if (tenantId) where.tenantId = parseInt(tenantId, 10);
+        if (status) where.status = status;
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const [invoices, total, totals] = await Promise.all([
+            prisma.payment.findMany({
+                where,
+                include: {
+                    tenant: { select: { id: true, name: true, phone: true } },
+                    hostel: { select: { id: true, name: true } },
+                    allocation: {
+                        select: {
+                            id: true,
+                            checkInDate: true,
+                            checkOutDate: true,
+                            bed: { select: { bedNumber: true } },
+                            room: { select: { roomNumber: true } }
+                        }
+                    }
+                },
+                orderBy: [{ dueDate: 'desc' }, { id: 'desc' }],
+                take: limitNum,
+                skip
+            }),
+            prisma.payment.count({ where }),
+            prisma.payment.aggregate({
+                where,
+                _sum: { amount: true }
+            })
+        ]);
+
+        return successResponse(res, {
+            invoices,
+            totalAmount: totals._sum.amount || 0,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Rent invoices retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Rent Invoices Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    generateMonthlyRentInvoices,
+    getRentInvoices
+};
@@ -0,0 +1,244 @@
+// ===============================
+// Scheduled Job Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { getJobDefinition } = require('../../Helper/scheduled-jobs.helper');
+const { syncJobDefinitions, runJob } = require('../../Helper/scheduler.helper');
+
+const MINUTE_MS = 60 * 1000;
+
+const runInclude = {
+    job: { select: { id: true, key: true, name: true } },
+    triggeredByUser: { select: { id: true, username: true, email: true } }
+};
+
+const parsePagination = (query) => {
+    const pageNum = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+    return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// ===================================
+// GET JOBS
+// ===================================
+const getJobs = async (req, res) => {
+    try {
+        await syncJobDefinitions();
+
+        const jobs = await prisma.scheduledJob.findMany({
+            include: {
+                runs: {
+                    orderBy: { startedAt: 'desc' },
+                    take: 1
+                },
+                _count: {
+                    select: { runs: { where: { status: 'failed' } } }
+                }
+            },
+            orderBy: { key: 'asc' }
+        });
+
+        const now = new Date();
+        const data = jobs.map(({ runs, _count, ...job }) => ({
+            ...job,
+            isRegistered: Boolean(getJobDefinition(job.key)),
+            isRunning: Boolean(job.lockedUntil && job.lockedUntil > now),
+            lastRun: runs[0] || null,
+            failedRuns: _count.runs
+        }));
+
+        return successResponse(res, data, "Scheduled jobs retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Jobs Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE JOB (interval / enabled)
+// ===================================
+const updateJob = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { intervalMinutes, isEnabled } = req.body;
+
+        const job = await prisma.scheduledJob.findUnique({ where: { key } });
+        if (!job) {
+            return errorResponse(res, "Job not found", 404);
+        }
+
+        const data = {};
+
+        if (intervalMinutes !== undefined) {
+            const minutes = parseInt(intervalMinutes, 10);
+            if (Number.isNaN(minutes) || minutes < 1) {
+                return errorResponse(res, "intervalMinutes must be a positive whole number", 400);
+            }
+            data.intervalMinutes = minutes;
+            data.nextRunAt = new Date((job.lastRunAt || new Date()).getTime() + minutes * MINUTE_MS);
+        }
+
+        if (isEnabled !== undefined) {
+            data.isEnabled = isEnabled === true || isEnabled === 'true';
+            if (data.isEnabled && !job.nextRunAt && !data.nextRunAt) {
+                data.nextRunAt = new Date();
+            }
+        }
+
+        const updated = await prisma.scheduledJob.update({
+            where: { id: job.id },
+            data
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "jobs",
+            description: `Updated job "${key}": every ${updated.intervalMinutes} min, ${updated.isEnabled ? 'enabled' : 'disabled'}`
+        });
+
+        return successResponse(res, updated, "Scheduled job updated successfully", 200);
+    } catch (err) {
+        console.error("Update Job Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// TRIGGER JOB MANUALLY
+// ===================================
+const triggerJob = async (req, res) => {
+    try {
+        const { key } = req.params;
+
+        if (!getJobDefinition(key)) {
+            return errorResponse(res, "Job not found", 404);
+        }
+
+        const outcome = await runJob(key, { trigger: 'manual', userId: req.userId || null });
+
+        if (outcome.skipped) {
+            return errorResponse(res, `Job is already running${outcome.lockedBy ? ` on ${outcome.lockedBy}` : ''}`, 409);
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "run",
+            module: "jobs",
+            description: `Ran job "${key}" manually: ${outcome.run.status}`
+        });
+
+        const run = await prisma.jobRun.findUnique({
+            where: { id: outcome.run.id },
+            include: runInclude
+        });
+
+        return successResponse(
+            res,
+            run,
+            run.status === 'succeeded' ? "Job completed successfully" : "Job failed",
+            200
+        );
+    } catch (err) {
+        console.error("Trigger Job Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET JOB RUN HISTORY
+// ===================================
+const getJobRuns = async (req, res) => {
+    try {
+        const { key } = req.params;
+        const { status, trigger } = req.query;
+        const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+        const job = await prisma.scheduledJob.findUnique({ where: { key } });
+        if (!job) {
+            return errorResponse(res, "Job not found", 404);
+        }
+
+        const where = { jobId: job.id };
+        if (status) where.status = status;
+        if (trigger) where.trigger = trigger;
+
+        const [runs, total] = await Promise.all([
+            prisma.jobRun.findMany({
+                where,
+                include: runInclude,
+                orderBy: { startedAt: 'desc' },
+                take: limitNum,
+                skip
+            }),
+            prisma.jobRun.count({ where })
+        ]);
+
+        return successResponse(res, {
+            job,
+            runs,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Job runs retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Job Runs Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET FAILED RUNS (ALL JOBS)
+// ===================================
+const getJobFailures = async (req, res) => {
+    try {
+        const { key, startDate, endDate } = req.query;
+        const { pageNum, limitNum, skip } = parsePagination(req.query);
+
+        const where = { status: 'failed' };
+        if (key) where.job = { key };
+        if (startDate || endDate) {
+            where.startedAt = {};
+            if (startDate) where.startedAt.gte = new Date(startDate);
+            if (endDate) where.startedAt.lte = new Date(endDate);
+        }
+
+        const [runs, total] = await Promise.all([
+            prisma.jobRun.findMany({
+                where,
+                include: runInclude,
+                orderBy: { startedAt: 'desc' },
+                take: limitNum,
+                skip
+            }),
+            prisma.jobRun.count({ where })
+        ]);
+
+        return successResponse(res, {
+            runs,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Failed job runs retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Job Failures Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    getJobs,
+    updateJob,
+    triggerJob,
+    getJobRuns,
+    getJobFailures
+};
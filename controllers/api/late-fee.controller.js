@@ -0,0 +1,191 @@
+// ===============================
+// Late Fee Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { assessLateFees, resolveLateFee } = require('../../Helper/late-fee.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+// ===================================
+// ASSESS LATE FEES
+// ===================================
+const runLateFeeAssessment = async (req, res) => {
+    try {
+        const { hostelId, asOf, dryRun } = req.body;
+
+        let parsedHostelId = null;
+        if (hostelId) {
+            parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+        }
+
+        const isDryRun = dryRun === true || dryRun === 'true';
+
+        const result = await assessLateFees({
+            asOf: asOf ? new Date(asOf) : new Date(),
+            hostelId: parsedHostelId,
+            hostelScope: buildHostelScopeFilter(req),
+            dryRun: isDryRun
+        });
+
+        if (!isDryRun) {
+            await writeLog({
+                userId: req.userId,
+                action: "assess",
+                module: "late_fees",
+                description: `Marked ${result.markedOverdue.length} charge(s) overdue and raised ${result.lateFees.length} late fee(s)`
+            });
+        }
+
+        return successResponse(
+            res,
+            result,
+            isDryRun ? "Late fee preview generated" : "Late fees assessed successfully",
+            200
+        );
+    } catch (err) {
+        console.error("Assess Late Fees Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET LATE FEES
+// ===================================
+const getLateFees = async (req, res) => {
+    try {
+        const { tenantId, hostelId, status, page = 1, limit = 20 } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+        const skip = (pageNum - 1) * limitNum;
+
+        const where = {};
+        if (tenantId) where.tenantId = parseInt(tenantId, 10);
+        if (status) where.status = status;
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.charge = { hostel: hostelScope };
+        }
+
+        const [lateFees, total, totals] = await Promise.all([
+            prisma.lateFee.findMany({
+                where,
+                include: {
+                    tenant: { select: { id: true, name: true, phone: true } },
+                    charge: { select: { id: true, amount: true, forMonth: true, dueDate: true, status: true } },
+                    penalty: { select: { id: true, amount: true, status: true } },
+                    resolver: { select: { id: true, username: true, email: true } }
+                },
+                orderBy: { createdAt: 'desc' },
+                take: limitNum,
+                skip
+            }),
+            prisma.lateFee.count({ where }),
+            prisma.lateFee.groupBy({
+                by: ['status'],
+                where,
+                _sum: { amount: true },
+                _count: { _all: true }
+            })
+        ]);
+
+        return successResponse(res, {
+            lateFees,
+            summary: totals.map((group) => ({
+                status: group.status,
+                amount: group._sum.amount || 0,
+                count: group._count._all
+            })),
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Late fees retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Late Fees Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// WAIVE / REVERSE LATE FEE
+// ===================================
+const buildResolveHandler = (status) => async (req, res) => {
+    try {
+        const lateFeeId = parseInt(req.params.id, 10);
+        if (Number.isNaN(lateFeeId)) {
+            return errorResponse(res, "Invalid late fee id", 400);
+        }
+
+        const { reason } = req.body;
+        if (!reason || !String(reason).trim()) {
+            return errorResponse(res, "A reason is required", 400);
+        }
+
+        const existing = await prisma.lateFee.findUnique({
+            where: { id: lateFeeId },
+            select: { id: true, hostelId: true }
+        });
+
+        if (!existing) {
+            return errorResponse(res, "Late fee not found", 404);
+        }
+
+        if (existing.hostelId) {
+            const access = await ensureHostelAccess(req, existing.hostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+        }
+
+        const lateFee = await resolveLateFee(lateFeeId, {
+            status,
+            userId: req.userId,
+            reason: String(reason).trim()
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: status === 'waived' ? "waive" : "reverse",
+            module: "late_fees",
+            description: `Late fee #${lateFeeId} ${status}: ${lateFee.resolutionReason}`
+        });
+
+        return successResponse(res, lateFee, `Late fee ${status} successfully`, 200);
+    } catch (err) {
+        console.error("Resolve Late Fee Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+const waiveLateFee = buildResolveHandler('waived');
+const reverseLateFee = buildResolveHandler('reversed');
+
+module.exports = {
+    runLateFeeAssessment,
+    getLateFees,
+    waiveLateFee,
+    reverseLateFee
+};
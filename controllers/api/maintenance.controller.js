@@ -0,0 +1,603 @@
+// ===============================
+// Maintenance Work Order Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { recordAlertActivity } = require('../../Helper/alert-activity.helper');
+const {
+    OPEN_WORK_ORDER_STATUSES,
+    PHOTO_STAGES,
+    computeWorkOrderCosts,
+    openWorkOrder,
+    changeWorkOrderStatus
+} = require('../../Helper/maintenance.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const ensureWorkOrderAccess = async (req, workOrderId) => {
+    const workOrder = await prisma.maintenanceWorkOrder.findUnique({ where: { id: workOrderId } });
+    if (!workOrder) {
+        return { ok: false, status: 404, message: "Work order not found" };
+    }
+
+    const access = await ensureHostelAccess(req, workOrder.hostelId);
+    if (!access.ok) {
+        return access;
+    }
+
+    return { ok: true, workOrder };
+};
+
+const workOrderInclude = {
+    hostel: { select: { id: true, name: true } },
+    room: { select: { id: true, roomNumber: true, status: true } },
+    bed: { select: { id: true, bedNumber: true, status: true } },
+    alert: { select: { id: true, title: true, status: true } },
+    assignedEmployee: {
+        select: {
+            id: true,
+            employeeCode: true,
+            user: { select: { id: true, username: true, phone: true } }
+        }
+    },
+    assignedVendor: { select: { id: true, name: true, companyName: true, phone: true } },
+    creator: { select: { id: true, username: true } },
+    completer: { select: { id: true, username: true } }
+};
+
+const parseOptionalDate = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    return new Date(value);
+};
+
+const isInvalidDate = (value) => value instanceof Date && Number.isNaN(value.getTime());
+
+/**
+ * Check an employee / vendor can work on orders in this hostel
+ * @returns {String|null} Error message
+ */
+const validateAssignees = async (hostelId, { employeeId, vendorId }) => {
+    if (employeeId) {
+        const employee = await prisma.employee.findUnique({
+            where: { id: employeeId },
+            select: { id: true, hostelId: true, status: true }
+        });
+        if (!employee || (employee.hostelId && employee.hostelId !== hostelId)) {
+            return "Employee not found for this hostel";
+        }
+        if (employee.status !== 'active') {
+            return "Employee is not active";
+        }
+    }
+
+    if (vendorId) {
+        const vendor = await prisma.vendor.findUnique({
+            where: { id: vendorId },
+            select: { id: true, hostelId: true, status: true }
+        });
+        if (!vendor || (vendor.hostelId && vendor.hostelId !== hostelId)) {
+            return "Vendor not found for this hostel";
+        }
+        if (vendor.status && vendor.status !== 'active') {
+            return "Vendor is not active";
+        }
+    }
+
+    return null;
+};
+
+// ===================================
+// CREATE WORK ORDER
+// ===================================
+const createWorkOrder = async (req, res) => {
+    try {
+        const {
+            roomId,
+            bedId,
+            alertId,
+            title,
+            description,
+            category,
+            priority,
+            scheduledFor,
+            expectedCompletionDate,
+            notes,
+            assignedEmployeeId,
+            assignedVendorId
+        } = req.body;
+
+        let parsedRoomId = roomId ? parseInt(roomId, 10) : null;
+        const parsedBedId = bedId ? parseInt(bedId, 10) : null;
+        const parsedAlertId = alertId ? parseInt(alertId, 10) : null;
+        const employeeId = assignedEmployeeId ? parseInt(assignedEmployeeId, 10) : null;
+        const vendorId = assignedVendorId ? parseInt(assignedVendorId, 10) : null;
+
+        if ([parsedRoomId, parsedBedId, parsedAlertId, employeeId, vendorId].some(Number.isNaN)) {
+            return errorResponse(res, "roomId, bedId, alertId, assignedEmployeeId and assignedVendorId must be numbers", 400);
+        }
+        if (priority && !PRIORITIES.includes(priority)) {
+            return errorResponse(res, `priority must be one of: ${PRIORITIES.join(', ')}`, 400);
+        }
+
+        // An order raised from a maintenance alert takes its room, title and priority
+        let alert = null;
+        if (parsedAlertId) {
+            alert = await prisma.alert.findUnique({
+                where: { id: parsedAlertId },
+                select: { id: true, type: true, title: true, description: true, priority: true, roomId: true, hostelId: true }
+            });
+            if (!alert || alert.type !== 'maintenance') {
+                return errorResponse(res, "Maintenance alert not found", 404);
+            }
+            parsedRoomId = parsedRoomId || alert.roomId;
+        }
+
+        let bed = null;
+        if (parsedBedId) {
+            bed = await prisma.bed.findUnique({ where: { id: parsedBedId }, select: { id: true, roomId: true } });
+            if (!bed || (parsedRoomId && bed.roomId !== parsedRoomId)) {
+                return errorResponse(res, "Bed not found in this room", 404);
+            }
+            parsedRoomId = bed.roomId;
+        }
+
+        if (!parsedRoomId) {
+            return errorResponse(res, "roomId or bedId is required", 400);
+        }
+
+        const room = await prisma.room.findUnique({ where: { id: parsedRoomId }, select: { id: true, hostelId: true } });
+        if (!room) {
+            return errorResponse(res, "Room not found", 404);
+        }
+        if (alert?.hostelId && alert.hostelId !== room.hostelId) {
+            return errorResponse(res, "The alert belongs to another hostel", 400);
+        }
+
+        const access = await ensureHostelAccess(req, room.hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const orderTitle = title || alert?.title;
+        if (!orderTitle) {
+            return errorResponse(res, "title is required", 400);
+        }
+
+        const scheduledDate = parseOptionalDate(scheduledFor);
+        const expectedDate = parseOptionalDate(expectedCompletionDate);
+        if (isInvalidDate(scheduledDate) || isInvalidDate(expectedDate)) {
+            return errorResponse(res, "Invalid scheduledFor or expectedCompletionDate", 400);
+        }
+
+        const assigneeError = await validateAssignees(room.hostelId, { employeeId, vendorId });
+        if (assigneeError) {
+            return errorResponse(res, assigneeError, 400);
+        }
+
+        const created = await openWorkOrder({
+            hostelId: room.hostelId,
+            roomId: room.id,
+            bedId: bed?.id || null,
+            alertId: alert?.id || null,
+            title: String(orderTitle).slice(0, 255),
+            description: description || alert?.description || null,
+            category: category || null,
+            priority: priority || alert?.priority || 'medium',
+            scheduledFor: scheduledDate || null,
+            expectedCompletionDate: expectedDate || null,
+            notes: notes || null,
+            assignedEmployeeId: employeeId,
+            assignedVendorId: vendorId
+        }, { userId: req.userId || null });
+
+        if (alert) {
+            const started = await prisma.alert.updateMany({
+                where: { id: alert.id, status: 'pending' },
+                data: { status: 'in_progress', acknowledgedAt: new Date() }
+            });
+            if (started.count) {
+                await recordAlertActivity({
+                    alertId: alert.id,
+                    type: 'status_change',
+                    fromValue: 'pending',
+                    toValue: 'in_progress',
+                    message: `Work order ${created.workOrderNumber} opened`,
+                    createdBy: req.userId || null
+                });
+            }
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "maintenance",
+            description: `Opened work order ${created.workOrderNumber} for room #${created.roomId}${created.bedId ? ` bed #${created.bedId}` : ''}`
+        });
+
+        const workOrder = await prisma.maintenanceWorkOrder.findUnique({
+            where: { id: created.id },
+            include: workOrderInclude
+        });
+
+        return successResponse(res, workOrder, "Work order created successfully", 201);
+    } catch (err) {
+        console.error("Create Work Order Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET WORK ORDERS
+// ===================================
+const getWorkOrders = async (req, res) => {
+    try {
+        const {
+            hostelId,
+            roomId,
+            bedId,
+            status,
+            priority,
+            category,
+            assignedEmployeeId,
+            assignedVendorId,
+            openOnly,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const where = {};
+        if (roomId) where.roomId = parseInt(roomId, 10);
+        if (bedId) where.bedId = parseInt(bedId, 10);
+        if (priority) where.priority = priority;
+        if (category) where.category = category;
+        if (assignedEmployeeId) where.assignedEmployeeId = parseInt(assignedEmployeeId, 10);
+        if (assignedVendorId) where.assignedVendorId = parseInt(assignedVendorId, 10);
+        if (status) {
+            where.status = status;
+        } else if (openOnly === 'true') {
+            where.status = { in: OPEN_WORK_ORDER_STATUSES };
+        }
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const [workOrders, total] = await Promise.all([
+            prisma.maintenanceWorkOrder.findMany({
+                where,
+                include: workOrderInclude,
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                take: limitNum,
+                skip: (pageNum - 1) * limitNum
+            }),
+            prisma.maintenanceWorkOrder.count({ where })
+        ]);
+
+        return successResponse(res, {
+            workOrders,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Work orders retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Work Orders Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET WORK ORDER
+// ===================================
+const getWorkOrderById = async (req, res) => {
+    try {
+        const workOrderId = parseInt(req.params.id, 10);
+        if (Number.isNaN(workOrderId)) {
+            return errorResponse(res, "Invalid work order id", 400);
+        }
+
+        const access = await ensureWorkOrderAccess(req, workOrderId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const workOrder = await prisma.maintenanceWorkOrder.findUnique({
+            where: { id: workOrderId },
+            include: workOrderInclude
+        });
+
+        return successResponse(res, workOrder, "Work order retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Work Order Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE WORK ORDER DETAILS
+// ===================================
+const updateWorkOrder = async (req, res) => {
+    try {
+        const workOrderId = parseInt(req.params.id, 10);
+        if (Number.isNaN(workOrderId)) {
+            return errorResponse(res, "Invalid work order id", 400);
+        }
+
+        const access = await ensureWorkOrderAccess(req, workOrderId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+        if (!OPEN_WORK_ORDER_STATUSES.includes(access.workOrder.status)) {
+            return errorResponse(res, `A ${access.workOrder.status} work order cannot be edited`, 400);
+        }
+
+        const { title, description, category, priority, scheduledFor, expectedCompletionDate, notes } = req.body;
+        if (priority && !PRIORITIES.includes(priority)) {
+            return errorResponse(res, `priority must be one of: ${PRIORITIES.join(', ')}`, 400);
+        }
+
+        const data = {
+            title: title ? String(title).slice(0, 255) : undefined,
+            description: description === undefined ? undefined : (description || null),
+            category: category === undefined ? undefined : (category || null),
+            priority: priority || undefined,
+            scheduledFor: parseOptionalDate(scheduledFor),
+            expectedCompletionDate: parseOptionalDate(expectedCompletionDate),
+            notes: notes === undefined ? undefined : (notes || null)
+        };
+        if (isInvalidDate(data.scheduledFor) || isInvalidDate(data.expectedCompletionDate)) {
+            return errorResponse(res, "Invalid scheduledFor or expectedCompletionDate", 400);
+        }
+
+        const workOrder = await prisma.maintenanceWorkOrder.update({
+            where: { id: workOrderId },
+            data,
+            include: workOrderInclude
+        });
+
+        return successResponse(res, workOrder, "Work order updated successfully", 200);
+    } catch (err) {
+        console.error("Update Work Order Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// ASSIGN WORK ORDER
+// ===================================
+const assignWorkOrder = async (req, res) => {
+    try {
+        const workOrderId = parseInt(req.params.id, 10);
+        if (Number.isNaN(workOrderId)) {
+            return errorResponse(res, "Invalid work order id", 400);
+        }
+
+        const access = await ensureWorkOrderAccess(req, workOrderId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+        const existing = access.workOrder;
+        if (!OPEN_WORK_ORDER_STATUSES.includes(existing.status)) {
+            return errorResponse(res, `A ${existing.status} work order cannot be reassigned`, 400);
+        }
+
+        const { employeeId, vendorId } = req.body;
+        const parsedEmployeeId = employeeId ? parseInt(employeeId, 10) : null;
+        const parsedVendorId = vendorId ? parseInt(vendorId, 10) : null;
+        if (Number.isNaN(parsedEmployeeId) || Number.isNaN(parsedVendorId)) {
+            return errorResponse(res, "employeeId and vendorId must be numbers", 400);
+        }
+        if (!parsedEmployeeId && !parsedVendorId) {
+            return errorResponse(res, "employeeId or vendorId is required", 400);
+        }
+
+        const assigneeError = await validateAssignees(existing.hostelId, { employeeId: parsedEmployeeId, vendorId: parsedVendorId });
+        if (assigneeError) {
+            return errorResponse(res, assigneeError, 400);
+        }
+
+        await prisma.maintenanceWorkOrder.update({
+            where: { id: workOrderId },
+            data: {
+                assignedEmployeeId: parsedEmployeeId,
+                assignedVendorId: parsedVendorId,
+                assignedAt: new Date()
+            }
+        });
+
+        if (existing.status === 'open') {
+            await changeWorkOrderStatus(workOrderId, 'assigned', { userId: req.userId || null });
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "maintenance",
+            description: `Assigned work order ${existing.workOrderNumber}${parsedEmployeeId ? ` to employee #${parsedEmployeeId}` : ''}${parsedVendorId ? ` to vendor #${parsedVendorId}` : ''}`
+        });
+
+        const workOrder = await prisma.maintenanceWorkOrder.findUnique({
+            where: { id: workOrderId },
+            include: workOrderInclude
+        });
+
+        return successResponse(res, workOrder, "Work order assigned successfully", 200);
+    } catch (err) {
+        console.error("Assign Work Order Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE WORK ORDER STATUS
+// ===================================
+const updateWorkOrderStatus = async (req, res) => {
+    try {
+        const workOrderId = parseInt(req.params.id, 10);
+        if (Number.isNaN(workOrderId)) {
+            return errorResponse(res, "Invalid work order id", 400);
+        }
+
+        const access = await ensureWorkOrderAccess(req, workOrderId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { status, note, resolution } = req.body;
+        if (!status) {
+            return errorResponse(res, "status is required", 400);
+        }
+
+        const { releasedBedIds } = await changeWorkOrderStatus(workOrderId, status, {
+            userId: req.userId || null,
+            note: note || null,
+            resolution: resolution || null
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "maintenance",
+            description: `Moved work order ${access.workOrder.workOrderNumber} from ${access.workOrder.status} to ${status}`
+        });
+
+        const workOrder = await prisma.maintenanceWorkOrder.findUnique({
+            where: { id: workOrderId },
+            include: workOrderInclude
+        });
+
+        return successResponse(res, { ...workOrder, releasedBedIds }, "Work order status updated successfully", 200);
+    } catch (err) {
+        console.error("Update Work Order Status Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// RECORD WORK ORDER COSTS
+// ===================================
+const updateWorkOrderCosts = async (req, res) => {
+    try {
+        const workOrderId = parseInt(req.params.id, 10);
+        if (Number.isNaN(workOrderId)) {
+            return errorResponse(res, "Invalid work order id", 400);
+        }
+
+        const access = await ensureWorkOrderAccess(req, workOrderId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+        if (access.workOrder.status === 'cancelled') {
+            return errorResponse(res, "A cancelled work order cannot take costs", 400);
+        }
+
+        // Lists not sent keep their current lines
+        const { parts, labour } = req.body;
+        const costs = computeWorkOrderCosts(
+            parts === undefined ? (access.workOrder.parts || []) : parts,
+            labour === undefined ? (access.workOrder.labour || []) : labour
+        );
+        if (costs.error) {
+            return errorResponse(res, costs.error, 400);
+        }
+
+        const workOrder = await prisma.maintenanceWorkOrder.update({
+            where: { id: workOrderId },
+            data: costs,
+            include: workOrderInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "maintenance",
+            description: `Recorded costs of ${workOrder.totalCost} on work order ${workOrder.workOrderNumber}`
+        });
+
+        return successResponse(res, workOrder, "Work order costs updated successfully", 200);
+    } catch (err) {
+        console.error("Update Work Order Costs Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// ADD WORK ORDER PHOTOS
+// ===================================
+const addWorkOrderPhotos = async (req, res) => {
+    try {
+        const workOrderId = parseInt(req.params.id, 10);
+        if (Number.isNaN(workOrderId)) {
+            return errorResponse(res, "Invalid work order id", 400);
+        }
+
+        const access = await ensureWorkOrderAccess(req, workOrderId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const files = req.files || [];
+        if (!files.length) {
+            return errorResponse(res, "At least one photo is required", 400);
+        }
+
+        const stage = req.body.stage || 'during';
+        if (!PHOTO_STAGES.includes(stage)) {
+            return errorResponse(res, `stage must be one of: ${PHOTO_STAGES.join(', ')}`, 400);
+        }
+
+        const uploaded = files.map((file) => ({
+            url: `/uploads/work-orders/${file.filename}`,
+            filename: file.filename,
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            stage,
+            uploadedBy: req.userId || null,
+            uploadedAt: new Date().toISOString()
+        }));
+
+        const existingPhotos = Array.isArray(access.workOrder.photos) ? access.workOrder.photos : [];
+        const workOrder = await prisma.maintenanceWorkOrder.update({
+            where: { id: workOrderId },
+            data: { photos: [...existingPhotos, ...uploaded] },
+            include: workOrderInclude
+        });
+
+        return successResponse(res, workOrder, "Photos added successfully", 201);
+    } catch (err) {
+        console.error("Add Work Order Photos Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createWorkOrder,
+    getWorkOrders,
+    getWorkOrderById,
+    updateWorkOrder,
+    assignWorkOrder,
+    updateWorkOrderStatus,
+    updateWorkOrderCosts,
+    addWorkOrderPhotos
+};
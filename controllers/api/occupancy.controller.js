@@ -0,0 +1,89 @@
+// ===============================
+// Occupancy Integrity Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { writeLog } = require('../../Helper/audit.helper');
+const { reconcileOccupancy } = require('../../Helper/occupancy.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+/**
+ * Hostel filter for a report: one hostel when hostelId is given, otherwise
+ * every hostel the user can see
+ * @returns {Object} { where } or { error, status }
+ */
+const resolveHostelFilter = async (req, hostelId) => {
+    if (hostelId === undefined || hostelId === null || hostelId === '') {
+        return { where: buildHostelScopeFilter(req) };
+    }
+
+    const parsedHostelId = parseInt(hostelId, 10);
+    if (Number.isNaN(parsedHostelId)) {
+        return { error: "Invalid hostel id", status: 400 };
+    }
+
+    const access = await ensureHostelAccess(req, parsedHostelId);
+    if (!access.ok) {
+        return { error: access.message, status: access.status };
+    }
+
+    return { where: { id: parsedHostelId } };
+};
+
+// ===================================
+// OCCUPANCY INTEGRITY REPORT
+// ===================================
+const getOccupancyIntegrity = async (req, res) => {
+    try {
+        const filter = await resolveHostelFilter(req, req.query.hostelId);
+        if (filter.error) {
+            return errorResponse(res, filter.error, filter.status);
+        }
+
+        const report = await reconcileOccupancy({ where: filter.where });
+
+        // Hostels without findings are left out unless asked for
+        if (req.query.includeClean !== 'true') {
+            report.hostels = report.hostels.filter((hostel) => hostel.summary.issues > 0);
+        }
+
+        return successResponse(res, report, "Occupancy integrity report generated", 200);
+    } catch (err) {
+        console.error("Get Occupancy Integrity Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// REPAIR OCCUPANCY
+// ===================================
+const repairOccupancy = async (req, res) => {
+    try {
+        const filter = await resolveHostelFilter(req, req.body?.hostelId);
+        if (filter.error) {
+            return errorResponse(res, filter.error, filter.status);
+        }
+
+        const report = await reconcileOccupancy({ where: filter.where, repair: true });
+        report.hostels = report.hostels.filter((hostel) => hostel.summary.issues > 0);
+
+        if (report.summary.repaired > 0) {
+            await writeLog({
+                userId: req.userId,
+                action: "update",
+                module: "occupancy",
+                description: `Repaired ${report.summary.repaired} occupancy issue(s) across ${report.hostels.length} hostel(s); ${report.summary.needsReview} left for review`
+            });
+        }
+
+        return successResponse(res, report, "Occupancy repaired successfully", 200);
+    } catch (err) {
+        console.error("Repair Occupancy Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    getOccupancyIntegrity,
+    repairOccupancy
+};
@@ -2,8 +2,30 @@
 // Payment Controller
 // ===============================
 
+const PDFDocument = require('pdfkit');
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
+const {
+    postLedgerEntry,
+    applyToOpenCharges,
+    settleOpenCharges,
+    refreshAllocationPaymentStatus,
+    syncTenantBalances
+} = require('../../Helper/ledger.helper');
+const { issueReceipt, attachReceiptToPayment, voidReceiptsForPayment, renderReceiptPdf } = require('../../Helper/receipt.helper');
+const { syncChargeJournal, syncTransactionJournal } = require('../../Helper/general-ledger.helper');
+const { resolveCashShift } = require('../../Helper/cash-shift.helper');
+
+// Map payment type to transaction type (all payments are RECEIVABLE - money coming in)
+const TRANSACTION_TYPE_MAPPING = {
+    'rent': 'rent_received',
+    'deposit': 'deposit_received',
+    'maintenance': 'maintenance_received',
+    'electricity': 'dues_received',
+    'water': 'dues_received',
+    'late_fee': 'dues_received',
+    'other': 'other_received'
+};
 
 const buildHostelScopeFilter = (req) => {
     if (req.userRole === 'owner') {
@@ -40,7 +62,7 @@ const ensurePaymentAccess = async (req, paymentId) => {
     if (req.userRole === 'admin' || req.userRole === 'staff') {
         return prisma.payment.findUnique({
             where: { id: paymentId },
-            select: { id: true, hostelId: true }
+            select: { id: true, hostelId: true, receiptNumber: true }
         });
     }
 
@@ -50,7 +72,7 @@ const ensurePaymentAccess = async (req, paymentId) => {
             id: paymentId,
             hostel: scope
         },
-        select: { id: true, hostelId: true }
+        select: { id: true, hostelId: true, receiptNumber: true }
     });
 };
 
@@ -153,17 +175,6 @@ const recordPayment = async (req, res) => {
             }
         }
 
-        // Check if receipt number already exists
-        if (receiptNumber) {
-            const existingReceipt = await prisma.payment.findUnique({
-                where: { receiptNumber: receiptNumber }
-            });
-
-            if (existingReceipt) {
-                return errorResponse(res, "Receipt number already exists", 400);
-            }
-        }
-
         if (allocationId) {
             const allocationAccess = await ensureAllocationAccess(req, parseInt(allocationId));
             if (!allocationAccess.ok) {
@@ -174,82 +185,188 @@ const recordPayment = async (req, res) => {
             }
         }
 
-        // Use transaction to update tenant totals and booking status
-        const payment = await prisma.$transaction(async (tx) => {
-            // Create payment
-            const newPayment = await tx.payment.create({
-                data: {
-                    tenant: tenantId ? { connect: { id: parseInt(tenantId) } } : undefined,
-                    hostel: { connect: { id: parsedHostelId } },
-                    allocation: allocationId ? { connect: { id: parseInt(allocationId) } } : undefined,
-                    booking: bookingId ? { connect: { id: parseInt(bookingId) } } : undefined,
-                    collector: req.userId ? { connect: { id: parseInt(req.userId) } } : undefined,
-                    amount: parseFloat(amount),
-                    paymentType: paymentType,
-                    paymentMethod: paymentMethod,
-                    paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
-                    forMonth: forMonth || null,
-                    forPeriod: forPeriod || null,
-                    transactionId: transactionId || null,
-                    receiptNumber: receiptNumber || null,
-                    status: 'paid',
-                    remarks: remarks || null,
-                    attachments: attachments || null
-                }
+        const parsedTenantId = tenantId ? parseInt(tenantId) : null;
+        const parsedAmount = parseFloat(amount);
+        const settledOn = paymentDate ? new Date(paymentDate) : new Date();
+        const collectorId = req.userId ? parseInt(req.userId) : null;
+
+        // Tenant dues payments settle open charges oldest first; deposits and
+        // booking advances are recorded as they are
+        const appliesToDues = Boolean(parsedTenantId) && !bookingId && paymentType !== 'deposit';
+
+        // Use transaction to update tenant ledger and booking status
+        const { payment, applications, receipt } = await prisma.$transaction(async (tx) => {
+            let applications = [];
+            let unappliedAmount = parsedAmount;
+
+            // Cash goes into the collector's open drawer shift; staff cannot take
+            // cash without one. Resolved here so the shift cannot close underneath
+            const cashShift = paymentMethod === 'cash'
+                ? await resolveCashShift({
+                    userId: collectorId,
+                    hostelId: parsedHostelId,
+                    required: !req.isAdmin && req.userRole?.roleName === 'staff'
+                }, tx)
+                : null;
+
+            // Receipt numbers come from the hostel's gap-free sequence; a
+            // receiptNumber sent by the client is kept as an external reference
+            const receipt = await issueReceipt(tx, {
+                hostelId: parsedHostelId,
+                tenantId: parsedTenantId,
+                amount: parsedAmount,
+                paymentMethod,
+                source: 'manual',
+                reference: receiptNumber || transactionId || null,
+                issuedBy: collectorId,
+                issuedAt: settledOn,
+                cashShiftId: cashShift ? cashShift.id : null
             });
 
-            // Map payment type to transaction type (all payments are RECEIVABLE - money coming in)
-            const transactionTypeMapping = {
-                'rent': 'rent_received',
-                'deposit': 'deposit_received',
-                'maintenance': 'maintenance_received',
-                'electricity': 'dues_received',
-                'water': 'dues_received',
-                'other': 'other_received'
-            };
-            
-            const transactionType = transactionTypeMapping[paymentType] || 'other_received';
-
-            // Automatically create transaction when payment status is 'paid'
-            await tx.transaction.create({
-                data: {
-                    paymentId: newPayment.id,
-                    tenantId: tenantId ? parseInt(tenantId) : null,
-                    hostelId: hostelId ? parseInt(hostelId) : null,
-                    gateway: 'manual',
-                    transactionType: transactionType,  // Use mapped receivable type
-                    amount: parseFloat(amount),
-                    currency: 'PKR',
-                    fee: 0,
-                    gatewayRef: transactionId || null,
-                    orderId: receiptNumber || null,
-                    status: 'completed',
-                    responseCode: '200',
-                    responseMessage: `Payment received: ${paymentType}`,
-                    paymentMethod: paymentMethod,
-                    ipAddress: req.ip || null,
-                    userAgent: req.headers['user-agent'] || null
+            if (appliesToDues) {
+                const result = await applyToOpenCharges(tx, {
+                    tenantId: parsedTenantId,
+                    amount: parsedAmount,
+                    settlement: {
+                        paymentMethod,
+                        paymentDate: settledOn,
+                        collectedBy: collectorId,
+                        transactionId: transactionId || null
+                    }
+                });
+                applications = result.applications;
+                unappliedAmount = result.remaining;
+
+                for (const application of applications) {
+                    const appliedTransaction = await tx.transaction.create({
+                        data: {
+                            paymentId: application.chargeId,
+                            receiptId: receipt.id,
+                            tenantId: parsedTenantId,
+                            hostelId: application.hostelId || parsedHostelId,
+                            gateway: 'manual',
+                            transactionType: TRANSACTION_TYPE_MAPPING[application.paymentType] || 'other_received',
+                            amount: application.applied,
+                            currency: 'PKR',
+                            fee: 0,
+                            gatewayRef: transactionId || null,
+                            orderId: receiptNumber || null,
+                            status: 'completed',
+                            responseCode: '200',
+                            responseMessage: `Payment applied to ${application.paymentType || 'charge'} #${application.chargeId}`,
+                            paymentMethod: paymentMethod,
+                            ipAddress: req.ip || null,
+                            userAgent: req.headers['user-agent'] || null
+                        }
+                    });
+                    await syncTransactionJournal(tx, appliedTransaction.id, { createdBy: collectorId });
+
+                    await postLedgerEntry(tx, {
+                        tenantId: parsedTenantId,
+                        hostelId: application.hostelId || parsedHostelId,
+                        allocationId: application.allocationId,
+                        paymentId: application.chargeId,
+                        entryType: 'payment',
+                        amount: -application.applied,
+                        description: `Payment received (${paymentMethod}) for ${application.paymentType || 'charge'}${application.forMonth ? ` ${application.forMonth}` : ''}`,
+                        reference: receipt.receiptNumber,
+                        entryDate: settledOn,
+                        createdBy: collectorId
+                    });
                 }
-            });
+            }
 
-            // Update tenant's totalPaid (if tenant exists)
-            if (tenantId) {
-                await tx.tenant.update({
-                    where: { id: parseInt(tenantId) },
+            // Whatever is not applied to a charge is kept as its own paid record
+            // (for dues payments this is advance credit)
+            let newPayment = null;
+            if (unappliedAmount > 0) {
+                newPayment = await tx.payment.create({
                     data: {
-                        totalPaid: { increment: parseFloat(amount) }
+                        tenant: parsedTenantId ? { connect: { id: parsedTenantId } } : undefined,
+                        hostel: { connect: { id: parsedHostelId } },
+                        allocation: allocationId ? { connect: { id: parseInt(allocationId) } } : undefined,
+                        booking: bookingId ? { connect: { id: parseInt(bookingId) } } : undefined,
+                        collector: collectorId ? { connect: { id: collectorId } } : undefined,
+                        amount: unappliedAmount,
+                        amountPaid: unappliedAmount,
+                        paymentType: paymentType,
+                        paymentMethod: paymentMethod,
+                        paymentDate: settledOn,
+                        forMonth: forMonth || null,
+                        forPeriod: forPeriod || null,
+                        transactionId: transactionId || null,
+                        receiptNumber: receipt.receiptNumber,
+                        status: 'paid',
+                        remarks: applications.length
+                            ? [remarks, 'Advance held as credit'].filter(Boolean).join(' - ')
+                            : (remarks || null),
+                        attachments: attachments || null
                     }
                 });
-            }
 
-            // Update allocation payment status (if allocation exists)
-            if (allocationId) {
-                await tx.allocation.update({
-                    where: { id: parseInt(allocationId) },
+                // Automatically create transaction when payment status is 'paid'
+                const paymentTransaction = await tx.transaction.create({
                     data: {
-                        paymentStatus: 'paid'
+                        paymentId: newPayment.id,
+                        receiptId: receipt.id,
+                        tenantId: parsedTenantId,
+                        hostelId: parsedHostelId,
+                        gateway: 'manual',
+                        transactionType: TRANSACTION_TYPE_MAPPING[paymentType] || 'other_received',
+                        amount: unappliedAmount,
+                        currency: 'PKR',
+                        fee: 0,
+                        gatewayRef: transactionId || null,
+                        orderId: receiptNumber || null,
+                        status: 'completed',
+                        responseCode: '200',
+                        responseMessage: `Payment received: ${paymentType}`,
+                        paymentMethod: paymentMethod,
+                        ipAddress: req.ip || null,
+                        userAgent: req.headers['user-agent'] || null
                     }
                 });
+                await syncTransactionJournal(tx, paymentTransaction.id, { createdBy: collectorId });
+
+                if (appliesToDues) {
+                    await postLedgerEntry(tx, {
+                        tenantId: parsedTenantId,
+                        hostelId: parsedHostelId,
+                        allocationId: allocationId ? parseInt(allocationId) : null,
+                        paymentId: newPayment.id,
+                        entryType: 'payment',
+                        amount: -unappliedAmount,
+                        description: applications.length
+                            ? `Advance payment (${paymentMethod}) held as credit`
+                            : `Payment received (${paymentMethod}) for ${paymentType}${forMonth ? ` ${forMonth}` : ''}`,
+                        reference: receipt.receiptNumber,
+                        entryDate: settledOn,
+                        createdBy: collectorId
+                    });
+                }
+            }
+
+            // Booking advances paid by a known tenant are carried as credit
+            if (parsedTenantId && bookingId && paymentType !== 'deposit') {
+                await postLedgerEntry(tx, {
+                    tenantId: parsedTenantId,
+                    hostelId: parsedHostelId,
+                    paymentId: newPayment.id,
+                    entryType: 'credit',
+                    amount: -parsedAmount,
+                    description: `Booking advance${booking?.bookingCode ? ` ${booking.bookingCode}` : ''}`,
+                    reference: receipt.receiptNumber,
+                    entryDate: settledOn,
+                    createdBy: collectorId
+                });
+                await settleOpenCharges(tx, parsedTenantId);
+            }
+
+            // Update allocation payment status from its remaining charges
+            const touchedAllocations = new Set(applications.map((a) => a.allocationId).filter(Boolean));
+            if (allocationId) touchedAllocations.add(parseInt(allocationId));
+            for (const touchedAllocationId of touchedAllocations) {
+                await refreshAllocationPaymentStatus(tx, touchedAllocationId);
             }
 
             // Update booking payment status and advance paid (if booking exists)
@@ -297,7 +414,19 @@ const recordPayment = async (req, res) => {
                 });
             }
 
-            return newPayment;
+            // Tenant totals are derived from the ledger
+            if (parsedTenantId) {
+                await syncTenantBalances(tx, parsedTenantId);
+            }
+
+            const primaryPaymentId = newPayment ? newPayment.id : applications[0].chargeId;
+            await attachReceiptToPayment(tx, receipt, primaryPaymentId);
+
+            return {
+                payment: { id: primaryPaymentId },
+                applications,
+                receipt
+            };
         });
 
         // Fetch payment with relations including transactions
@@ -336,7 +465,14 @@ const recordPayment = async (req, res) => {
             }
         });
 
-        return successResponse(res, populatedPayment, "Payment recorded successfully and transaction created automatically", 201);
+        return successResponse(
+            res,
+            { ...populatedPayment, appliedTo: applications, receipt },
+            applications.length
+                ? `Payment applied to ${applications.length} open charge(s)`
+                : "Payment recorded successfully and transaction created automatically",
+            201
+        );
     } catch (err) {
         console.error("Record Payment Error:", err);
         return errorResponse(res, err.message, 400);
@@ -528,7 +664,8 @@ const getPaymentById = async (req, res) => {
                         status: true,
                         responseCode: true,
                         responseMessage: true,
-                        createdAt: true
+                        createdAt: true,
+                        receipt: { select: { id: true, receiptNumber: true } }
                     }
                 }
             }
@@ -553,6 +690,77 @@ const getPaymentById = async (req, res) => {
     }
 };
 
+// ===================================
+// GET PAYMENT RECEIPT (PDF)
+// ===================================
+const getPaymentReceipt = async (req, res) => {
+    try {
+        const paymentId = parseInt(req.params.id, 10);
+        if (Number.isNaN(paymentId)) {
+            return errorResponse(res, "Invalid payment id", 400);
+        }
+
+        const paymentAccess = await ensurePaymentAccess(req, paymentId);
+        if (!paymentAccess) {
+            return errorResponse(res, "Payment not found", 404);
+        }
+
+        // A charge paid in instalments has one receipt per instalment; default to the latest
+        const { receiptNumber } = req.query;
+        const where = {
+            OR: [{ paymentId }, { transactions: { some: { paymentId } } }]
+        };
+        if (receiptNumber) {
+            where.receiptNumber = String(receiptNumber);
+        }
+
+        const receipt = await prisma.paymentReceipt.findFirst({
+            where,
+            orderBy: { issuedAt: 'desc' },
+            include: {
+                hostel: { select: { id: true, name: true } },
+                tenant: { select: { id: true, name: true, phone: true } },
+                issuer: { select: { id: true, username: true } },
+                payment: { select: { id: true, paymentType: true, forMonth: true } },
+                transactions: {
+                    orderBy: { id: 'asc' },
+                    select: {
+                        id: true,
+                        amount: true,
+                        payment: { select: { id: true, paymentType: true, forMonth: true } }
+                    }
+                }
+            }
+        });
+
+        if (!receipt) {
+            return errorResponse(res, "No receipt has been issued for this payment", 404);
+        }
+
+        const brandingSettings = await prisma.setting.findMany({
+            where: { key: { in: ['company_name', 'company_logo', 'primary_phone', 'primary_email'] } }
+        });
+        const branding = brandingSettings.reduce((acc, setting) => {
+            const field = setting.key.replace(/_(\w)/g, (_, c) => c.toUpperCase());
+            acc[field] = setting.value;
+            return acc;
+        }, {});
+
+        const doc = new PDFDocument({ margin: 50, size: 'A5' });
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="Receipt_${receipt.receiptNumber}.pdf"`);
+        doc.pipe(res);
+        renderReceiptPdf(doc, receipt, branding);
+        doc.end();
+    } catch (err) {
+        console.error("Get Payment Receipt Error:", err);
+        if (res.headersSent) {
+            return res.end();
+        }
+        return errorResponse(res, err.message, 400);
+    }
+};
+
 // ===================================
 // UPDATE PAYMENT
 // ===================================
@@ -567,7 +775,6 @@ const updatePayment = async (req, res) => {
         if (updates.forMonth !== undefined) updateData.forMonth = updates.forMonth;
         if (updates.forPeriod !== undefined) updateData.forPeriod = updates.forPeriod;
         if (updates.transactionId !== undefined) updateData.transactionId = updates.transactionId;
-        if (updates.receiptNumber !== undefined) updateData.receiptNumber = updates.receiptNumber;
         if (updates.status !== undefined) updateData.status = updates.status;
         if (updates.remarks !== undefined) updateData.remarks = updates.remarks;
         if (updates.attachments !== undefined) updateData.attachments = updates.attachments;
@@ -582,13 +789,30 @@ const updatePayment = async (req, res) => {
             return errorResponse(res, "Payment not found", 404);
         }
 
-        const payment = await prisma.payment.update({
-            where: { id: paymentId },
-            data: updateData,
-            include: {
-                tenant: { select: { name: true } },
-                hostel: { select: { name: true } }
+        if (updates.receiptNumber !== undefined && updates.receiptNumber !== paymentAccess.receiptNumber) {
+            return errorResponse(res, "Receipt numbers are issued automatically and cannot be changed", 400);
+        }
+
+        const payment = await prisma.$transaction(async (tx) => {
+            const updated = await tx.payment.update({
+                where: { id: paymentId },
+                data: updateData,
+                include: {
+                    tenant: { select: { name: true } },
+                    hostel: { select: { name: true } },
+                    transactions: { select: { id: true } }
+                }
+            });
+
+            // A waived charge or a moved payment date changes what is on the books
+            const changedBy = req.userId ? parseInt(req.userId) : null;
+            await syncChargeJournal(tx, paymentId, { createdBy: changedBy });
+            for (const transaction of updated.transactions) {
+                await syncTransactionJournal(tx, transaction.id, { createdBy: changedBy });
             }
+
+            const { transactions, ...rest } = updated;
+            return rest;
         });
 
         return successResponse(res, payment, "Payment updated successfully", 200);
@@ -627,19 +851,32 @@ const deletePayment = async (req, res) => {
         }
 
         // Use transaction to update tenant totals
-        await prisma.$transaction(async (tx) => {
-            // Delete payment
+        const receipts = await prisma.$transaction(async (tx) => {
+            // Receipts keep their numbers; they are voided, never deleted, and
+            // re-issued for any other charges they also covered
+            const voidedReceipts = await voidReceiptsForPayment(tx, paymentId, `Payment #${paymentId} deleted`);
+
+            const transactions = await tx.transaction.findMany({
+                where: { paymentId },
+                select: { id: true }
+            });
+
+            // Delete payment (its ledger entries are removed with it)
             await tx.payment.delete({
                 where: { id: paymentId }
             });
 
-            // Update tenant's totalPaid
-            await tx.tenant.update({
-                where: { id: payment.tenantId },
-                data: {
-                    totalPaid: { decrement: payment.amount }
-                }
-            });
+            // Journals are kept and reversed instead
+            const deletedBy = req.userId ? parseInt(req.userId) : null;
+            await syncChargeJournal(tx, paymentId, { createdBy: deletedBy });
+            for (const transaction of transactions) {
+                await syncTransactionJournal(tx, transaction.id, { createdBy: deletedBy });
+            }
+
+            if (!payment.tenantId) return voidedReceipts;
+
+            // Re-derive tenant's totalPaid / totalDue from what is left on the ledger
+            await syncTenantBalances(tx, payment.tenantId);
 
             // If it was a deposit payment, update securityDeposit
             if (payment.paymentType === 'deposit') {
@@ -650,9 +887,11 @@ const deletePayment = async (req, res) => {
                     }
                 });
             }
+
+            return voidedReceipts;
         });
 
-        return successResponse(res, null, "Payment deleted successfully", 200);
+        return successResponse(res, { receipts }, "Payment deleted successfully", 200);
     } catch (err) {
         console.error("Delete Payment Error:", err);
         return errorResponse(res, err.message, 400);
@@ -790,8 +1029,11 @@ const getPendingPayments = async (req, res) => {
                 payments: {
                     select: {
                         amount: true,
+                        amountPaid: true,
                         paymentDate: true,
-                        paymentType: true
+                        paymentType: true,
+                        status: true,
+                        dueDate: true
                     },
                     orderBy: { paymentDate: 'desc' }
                 }
@@ -800,17 +1042,24 @@ const getPendingPayments = async (req, res) => {
 
         // Calculate pending amounts
         const pendingPayments = activeAllocations.map(allocation => {
-            const totalRent = allocation.rentAmount;
+            // Generated rent invoices (charges with a due date) replace the flat rent once they exist
+            const rentCharges = allocation.payments.filter(p => p.paymentType === 'rent' && p.dueDate);
+            const totalRent = rentCharges.length
+                ? rentCharges.reduce((sum, p) => sum + p.amount, 0)
+                : allocation.rentAmount;
             const totalDeposit = allocation.depositAmount;
             const totalExpected = totalRent + totalDeposit;
 
-            const rentPaid = allocation.payments
+            // Partially settled charges count with what has been paid on them so far
+            const paidPayments = allocation.payments.filter(p => (p.amountPaid || 0) > 0 && p.status !== 'waived');
+
+            const rentPaid = paidPayments
                 .filter(p => p.paymentType === 'rent')
-                .reduce((sum, p) => sum + p.amount, 0);
+                .reduce((sum, p) => sum + p.amountPaid, 0);
 
-            const depositPaid = allocation.payments
+            const depositPaid = paidPayments
                 .filter(p => p.paymentType === 'deposit')
-                .reduce((sum, p) => sum + p.amount, 0);
+                .reduce((sum, p) => sum + p.amountPaid, 0);
 
             const totalPaid = rentPaid + depositPaid;
             const pendingAmount = totalExpected - totalPaid;
@@ -832,7 +1081,8 @@ const getPendingPayments = async (req, res) => {
                     depositPaid,
                     totalPaid,
                     pendingAmount,
-                    lastPaymentDate: allocation.payments[0]?.paymentDate || null
+                    openInvoices: rentCharges.filter(p => !['paid', 'waived'].includes(p.status)).length,
+                    lastPaymentDate: paidPayments[0]?.paymentDate || null
                 },
                 status: pendingAmount > 0 ? 'pending' : 'paid'
             };
@@ -856,6 +1106,7 @@ module.exports = {
     recordPayment,
     getAllPayments,
     getPaymentById,
+    getPaymentReceipt,
     updatePayment,
     deletePayment,
     getPaymentSummary,
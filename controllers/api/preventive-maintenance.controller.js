@@ -0,0 +1,415 @@
+// ===============================
+// Preventive Maintenance Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+    occurrenceDate,
+    validatePreventivePlan,
+    scheduleNextOccurrence,
+    getPreventiveCompliance
+} = require('../../Helper/preventive-maintenance.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const SCHEDULE_FIELDS = ['frequency', 'intervalCount', 'startDate', 'endDate'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const planInclude = {
+    hostel: { select: { id: true, name: true } },
+    floor: { select: { id: true, floorNumber: true, floorName: true } },
+    room: { select: { id: true, roomNumber: true } },
+    assignee: { select: { id: true, username: true, email: true } },
+    creator: { select: { id: true, username: true } }
+};
+
+const parseOptionalInt = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? NaN : parsed;
+};
+
+const parseOptionalDate = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    return new Date(value);
+};
+
+/**
+ * Read plan fields from a request body; fields not sent stay undefined
+ */
+const readPlanFields = (body) => {
+    const fields = {
+        name: body.name,
+        description: body.description === undefined ? undefined : (body.description || null),
+        category: body.category === undefined ? undefined : (body.category || null),
+        hostelId: parseOptionalInt(body.hostelId),
+        floorId: parseOptionalInt(body.floorId),
+        roomId: parseOptionalInt(body.roomId),
+        frequency: body.frequency,
+        intervalCount: parseOptionalInt(body.intervalCount),
+        startDate: parseOptionalDate(body.startDate),
+        endDate: parseOptionalDate(body.endDate),
+        leadDays: parseOptionalInt(body.leadDays),
+        graceDays: parseOptionalInt(body.graceDays),
+        priority: body.priority,
+        assignedTo: parseOptionalInt(body.assignedTo),
+        isActive: body.isActive === undefined ? undefined : (body.isActive === true || body.isActive === 'true'),
+        notes: body.notes === undefined ? undefined : (body.notes || null)
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Validate a complete plan and resolve its hostel / floor / room scope
+ * @returns {Object} { error, status } or { plan }
+ */
+const preparePlan = async (req, plan) => {
+    if (['hostelId', 'floorId', 'roomId', 'intervalCount', 'leadDays', 'graceDays', 'assignedTo'].some((key) => Number.isNaN(plan[key]))) {
+        return { error: "hostelId, floorId, roomId, intervalCount, leadDays, graceDays and assignedTo must be whole numbers", status: 400 };
+    }
+    if (plan.priority && !PRIORITIES.includes(plan.priority)) {
+        return { error: `priority must be one of: ${PRIORITIES.join(', ')}`, status: 400 };
+    }
+
+    plan.intervalCount = plan.intervalCount ?? 1;
+    plan.leadDays = plan.leadDays ?? 7;
+    plan.graceDays = plan.graceDays ?? 0;
+
+    const invalid = validatePreventivePlan(plan);
+    if (invalid) {
+        return { error: invalid, status: 400 };
+    }
+
+    // A room or floor fixes the hostel and, for a room, the floor
+    if (plan.roomId) {
+        const room = await prisma.room.findUnique({ where: { id: plan.roomId }, select: { hostelId: true, floorId: true } });
+        if (!room || (plan.hostelId && room.hostelId !== plan.hostelId) || (plan.floorId && room.floorId !== plan.floorId)) {
+            return { error: "Room not found in this hostel / floor", status: 404 };
+        }
+        plan.hostelId = room.hostelId;
+        plan.floorId = room.floorId;
+    } else if (plan.floorId) {
+        const floor = await prisma.floor.findUnique({ where: { id: plan.floorId }, select: { hostelId: true } });
+        if (!floor || (plan.hostelId && floor.hostelId !== plan.hostelId)) {
+            return { error: "Floor not found in this hostel", status: 404 };
+        }
+        plan.hostelId = floor.hostelId;
+    }
+
+    if (!plan.hostelId) {
+        return { error: "hostelId, floorId or roomId is required", status: 400 };
+    }
+
+    const access = await ensureHostelAccess(req, plan.hostelId);
+    if (!access.ok) {
+        return { error: access.message, status: access.status };
+    }
+
+    if (plan.assignedTo) {
+        const user = await prisma.user.findUnique({ where: { id: plan.assignedTo }, select: { id: true } });
+        if (!user) {
+            return { error: "Assigned user not found", status: 404 };
+        }
+    }
+
+    return { plan };
+};
+
+const toPlanData = (plan) => ({
+    name: plan.name,
+    description: plan.description || null,
+    category: plan.category || null,
+    hostelId: plan.hostelId,
+    floorId: plan.floorId || null,
+    roomId: plan.roomId || null,
+    frequency: plan.frequency,
+    intervalCount: plan.intervalCount,
+    startDate: plan.startDate,
+    endDate: plan.endDate || null,
+    leadDays: plan.leadDays,
+    graceDays: plan.graceDays,
+    priority: plan.priority || 'medium',
+    assignedTo: plan.assignedTo || null,
+    isActive: plan.isActive !== false,
+    notes: plan.notes || null
+});
+
+/**
+ * The next few due dates of a plan, for previews
+ */
+const upcomingDueDates = (plan, count = 5) => {
+    if (!plan.nextDueDate) return [];
+    const end = plan.endDate ? new Date(plan.endDate) : null;
+    const dates = [];
+    for (let n = plan.occurrenceCount; dates.length < count; n++) {
+        const dueDate = occurrenceDate(plan, n);
+        if (end && dueDate > end) break;
+        dates.push(dueDate);
+    }
+    return dates;
+};
+
+// ===================================
+// CREATE PREVENTIVE PLAN
+// ===================================
+const createPreventivePlan = async (req, res) => {
+    try {
+        const prepared = await preparePlan(req, readPlanFields(req.body));
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, prepared.status);
+        }
+
+        const data = toPlanData(prepared.plan);
+        const plan = await prisma.preventiveMaintenancePlan.create({
+            data: {
+                ...data,
+                ...scheduleNextOccurrence(data),
+                createdBy: req.userId || null
+            },
+            include: planInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "maintenance",
+            description: `Created preventive maintenance plan "${plan.name}" (#${plan.id}) for hostel #${plan.hostelId}`
+        });
+
+        return successResponse(res, { ...plan, upcomingDueDates: upcomingDueDates(plan) }, "Preventive maintenance plan created successfully", 201);
+    } catch (err) {
+        console.error("Create Preventive Plan Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET PREVENTIVE PLANS
+// ===================================
+const getPreventivePlans = async (req, res) => {
+    try {
+        const { hostelId, floorId, roomId, frequency, isActive } = req.query;
+
+        const where = {};
+        if (floorId) where.floorId = parseInt(floorId, 10);
+        if (roomId) where.roomId = parseInt(roomId, 10);
+        if (frequency) where.frequency = frequency;
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const plans = await prisma.preventiveMaintenancePlan.findMany({
+            where,
+            include: planInclude,
+            orderBy: [{ isActive: 'desc' }, { nextDueDate: 'asc' }, { id: 'asc' }]
+        });
+
+        return successResponse(res, plans, "Preventive maintenance plans retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Preventive Plans Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET PREVENTIVE PLAN
+// ===================================
+const getPreventivePlanById = async (req, res) => {
+    try {
+        const planId = parseInt(req.params.id, 10);
+        if (Number.isNaN(planId)) {
+            return errorResponse(res, "Invalid plan id", 400);
+        }
+
+        const plan = await prisma.preventiveMaintenancePlan.findUnique({
+            where: { id: planId },
+            include: {
+                ...planInclude,
+                alerts: {
+                    select: { id: true, title: true, status: true, dueDate: true, resolvedAt: true, assignedTo: true },
+                    orderBy: { dueDate: 'desc' },
+                    take: 12
+                }
+            }
+        });
+        if (!plan) {
+            return errorResponse(res, "Preventive maintenance plan not found", 404);
+        }
+
+        const access = await ensureHostelAccess(req, plan.hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        return successResponse(res, { ...plan, upcomingDueDates: upcomingDueDates(plan) }, "Preventive maintenance plan retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Preventive Plan Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE PREVENTIVE PLAN
+// ===================================
+const updatePreventivePlan = async (req, res) => {
+    try {
+        const planId = parseInt(req.params.id, 10);
+        if (Number.isNaN(planId)) {
+            return errorResponse(res, "Invalid plan id", 400);
+        }
+
+        const existing = await prisma.preventiveMaintenancePlan.findUnique({ where: { id: planId } });
+        if (!existing) {
+            return errorResponse(res, "Preventive maintenance plan not found", 404);
+        }
+
+        const currentAccess = await ensureHostelAccess(req, existing.hostelId);
+        if (!currentAccess.ok) {
+            return errorResponse(res, currentAccess.message, currentAccess.status);
+        }
+
+        const fields = readPlanFields(req.body);
+        const prepared = await preparePlan(req, { ...existing, ...fields });
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, prepared.status);
+        }
+
+        const data = toPlanData(prepared.plan);
+
+        // A new schedule continues after the last alert already raised
+        const scheduleChanged = SCHEDULE_FIELDS.some((key) => fields[key] !== undefined);
+        if (scheduleChanged || (data.isActive && !existing.isActive)) {
+            const lastAlert = await prisma.alert.findFirst({
+                where: { preventivePlanId: planId },
+                orderBy: { dueDate: 'desc' },
+                select: { dueDate: true }
+            });
+            Object.assign(data, scheduleNextOccurrence(data, lastAlert?.dueDate || null));
+        }
+
+        const plan = await prisma.preventiveMaintenancePlan.update({
+            where: { id: planId },
+            data,
+            include: planInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "maintenance",
+            description: `Updated preventive maintenance plan "${plan.name}" (#${plan.id})`
+        });
+
+        return successResponse(res, { ...plan, upcomingDueDates: upcomingDueDates(plan) }, "Preventive maintenance plan updated successfully", 200);
+    } catch (err) {
+        console.error("Update Preventive Plan Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// DELETE PREVENTIVE PLAN
+// ===================================
+// Alerts already raised stay, unlinked from the plan
+const deletePreventivePlan = async (req, res) => {
+    try {
+        const planId = parseInt(req.params.id, 10);
+        if (Number.isNaN(planId)) {
+            return errorResponse(res, "Invalid plan id", 400);
+        }
+
+        const existing = await prisma.preventiveMaintenancePlan.findUnique({ where: { id: planId } });
+        if (!existing) {
+            return errorResponse(res, "Preventive maintenance plan not found", 404);
+        }
+
+        const access = await ensureHostelAccess(req, existing.hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        await prisma.preventiveMaintenancePlan.delete({ where: { id: planId } });
+
+        await writeLog({
+            userId: req.userId,
+            action: "delete",
+            module: "maintenance",
+            description: `Deleted preventive maintenance plan "${existing.name}" (#${existing.id})`
+        });
+
+        return successResponse(res, null, "Preventive maintenance plan deleted successfully", 200);
+    } catch (err) {
+        console.error("Delete Preventive Plan Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// PREVENTIVE MAINTENANCE COMPLIANCE
+// ===================================
+const getPreventiveComplianceReport = async (req, res) => {
+    try {
+        const { hostelId, planId, from, to } = req.query;
+
+        const now = new Date();
+        const toDate = to ? new Date(to) : now;
+        const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 90 * DAY_MS);
+        if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate > toDate) {
+            return errorResponse(res, "Invalid from / to range", 400);
+        }
+        // "to" covers the whole day
+        const toEnd = to ? new Date(Date.UTC(toDate.getUTCFullYear(), toDate.getUTCMonth(), toDate.getUTCDate()) + DAY_MS - 1) : toDate;
+
+        const planWhere = {};
+        if (planId) planWhere.id = parseInt(planId, 10);
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            planWhere.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            planWhere.hostel = hostelScope;
+        }
+
+        const report = await getPreventiveCompliance({ planWhere, from: fromDate, to: toEnd, now });
+
+        return successResponse(res, report, "Preventive maintenance compliance retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Preventive Compliance Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createPreventivePlan,
+    getPreventivePlans,
+    getPreventivePlanById,
+    updatePreventivePlan,
+    deletePreventivePlan,
+    getPreventiveComplianceReport
+};
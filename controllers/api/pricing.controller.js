@@ -0,0 +1,317 @@
+// ===============================
+// Pricing Rules Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const { validatePricingRule, quoteStay } = require('../../Helper/pricing.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+const ROOM_TYPES = ['single', 'double', 'triple', 'quad', 'dormitory', 'suite'];
+const HOSTEL_CATEGORIES = ['luxury', 'back_pack', 'home2'];
+
+// Rules without a hostel apply everywhere, so only admins manage them
+const ensureRuleScopeAccess = async (req, hostelId) => {
+    if (!hostelId) {
+        return req.isAdmin === true || req.userRole?.roleName?.toLowerCase() === 'admin'
+            ? { ok: true }
+            : { ok: false, status: 403, message: "Only admins can manage rules for all hostels" };
+    }
+    return ensureHostelAccess(req, hostelId);
+};
+
+const ruleInclude = {
+    hostel: { select: { id: true, name: true } },
+    room: { select: { id: true, roomNumber: true } },
+    creator: { select: { id: true, username: true } }
+};
+
+const parseOptionalInt = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? NaN : parsed;
+};
+
+const parseOptionalDate = (value) => {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    return new Date(value);
+};
+
+/**
+ * Read rule fields from a request body; fields not sent stay undefined
+ */
+const readRuleFields = (body) => {
+    const fields = {
+        name: body.name,
+        ruleType: body.ruleType,
+        adjustmentType: body.adjustmentType,
+        value: body.value === undefined ? undefined : Number(body.value),
+        hostelId: parseOptionalInt(body.hostelId),
+        roomId: parseOptionalInt(body.roomId),
+        roomType: body.roomType === '' ? null : body.roomType,
+        hostelCategory: body.hostelCategory === '' ? null : body.hostelCategory,
+        startDate: parseOptionalDate(body.startDate),
+        endDate: parseOptionalDate(body.endDate),
+        daysOfWeek: body.daysOfWeek === '' ? null : body.daysOfWeek,
+        minNights: parseOptionalInt(body.minNights),
+        priority: parseOptionalInt(body.priority),
+        isActive: body.isActive === undefined ? undefined : (body.isActive === true || body.isActive === 'true'),
+        notes: body.notes === undefined ? undefined : (body.notes || null)
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Validate a complete rule and resolve its room / hostel scope
+ * @returns {Object} { error, status } or { rule }
+ */
+const prepareRule = async (req, rule) => {
+    if (Number.isNaN(rule.hostelId) || Number.isNaN(rule.roomId) || Number.isNaN(rule.minNights) || Number.isNaN(rule.priority)) {
+        return { error: "hostelId, roomId, minNights and priority must be whole numbers", status: 400 };
+    }
+    if (rule.roomType && !ROOM_TYPES.includes(rule.roomType)) {
+        return { error: `roomType must be one of: ${ROOM_TYPES.join(', ')}`, status: 400 };
+    }
+    if (rule.hostelCategory && !HOSTEL_CATEGORIES.includes(rule.hostelCategory)) {
+        return { error: `hostelCategory must be one of: ${HOSTEL_CATEGORIES.join(', ')}`, status: 400 };
+    }
+    if ((rule.startDate && Number.isNaN(rule.startDate.getTime())) || (rule.endDate && Number.isNaN(rule.endDate.getTime()))) {
+        return { error: "Invalid startDate or endDate", status: 400 };
+    }
+
+    const invalid = validatePricingRule(rule);
+    if (invalid) {
+        return { error: invalid, status: 400 };
+    }
+
+    // A room rule always belongs to the room's hostel
+    if (rule.roomId) {
+        const room = await prisma.room.findUnique({
+            where: { id: rule.roomId },
+            select: { id: true, hostelId: true }
+        });
+        if (!room || (rule.hostelId && room.hostelId !== rule.hostelId)) {
+            return { error: "Room not found in this hostel", status: 404 };
+        }
+        rule.hostelId = room.hostelId;
+    }
+
+    const access = await ensureRuleScopeAccess(req, rule.hostelId || null);
+    if (!access.ok) {
+        return { error: access.message, status: access.status };
+    }
+
+    return { rule };
+};
+
+const toRuleData = (rule) => ({
+    name: rule.name,
+    ruleType: rule.ruleType,
+    adjustmentType: rule.adjustmentType,
+    value: rule.value,
+    hostelId: rule.hostelId || null,
+    roomId: rule.roomId || null,
+    roomType: rule.roomType || null,
+    hostelCategory: rule.hostelCategory || null,
+    startDate: rule.ruleType === 'seasonal' ? rule.startDate : null,
+    endDate: rule.ruleType === 'seasonal' ? rule.endDate : null,
+    daysOfWeek: rule.ruleType === 'day_of_week' ? rule.daysOfWeek : null,
+    minNights: rule.ruleType === 'long_stay' ? rule.minNights : null,
+    priority: rule.priority || 0,
+    isActive: rule.isActive !== false,
+    notes: rule.notes || null
+});
+
+// ===================================
+// CREATE PRICING RULE
+// ===================================
+const createPricingRule = async (req, res) => {
+    try {
+        const prepared = await prepareRule(req, readRuleFields(req.body));
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, prepared.status);
+        }
+
+        const rule = await prisma.pricingRule.create({
+            data: {
+                ...toRuleData(prepared.rule),
+                createdBy: req.userId || null
+            },
+            include: ruleInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "pricing",
+            description: `Created ${rule.ruleType} pricing rule "${rule.name}" (#${rule.id})${rule.hostelId ? ` for hostel #${rule.hostelId}` : ''}`
+        });
+
+        return successResponse(res, rule, "Pricing rule created successfully", 201);
+    } catch (err) {
+        console.error("Create Pricing Rule Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET PRICING RULES
+// ===================================
+const getPricingRules = async (req, res) => {
+    try {
+        const { hostelId, roomId, ruleType, isActive } = req.query;
+
+        const where = {};
+        if (roomId) where.roomId = parseInt(roomId, 10);
+        if (ruleType) where.ruleType = ruleType;
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            // Rules for all hostels apply here too
+            where.OR = [{ hostelId: parsedHostelId }, { hostelId: null }];
+        } else if (Object.keys(hostelScope).length) {
+            where.OR = [{ hostel: hostelScope }, { hostelId: null }];
+        }
+
+        const rules = await prisma.pricingRule.findMany({
+            where,
+            include: ruleInclude,
+            orderBy: [{ ruleType: 'asc' }, { priority: 'desc' }, { id: 'desc' }]
+        });
+
+        return successResponse(res, rules, "Pricing rules retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Pricing Rules Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE PRICING RULE
+// ===================================
+const updatePricingRule = async (req, res) => {
+    try {
+        const ruleId = parseInt(req.params.id, 10);
+        if (Number.isNaN(ruleId)) {
+            return errorResponse(res, "Invalid pricing rule id", 400);
+        }
+
+        const existing = await prisma.pricingRule.findUnique({ where: { id: ruleId } });
+        if (!existing) {
+            return errorResponse(res, "Pricing rule not found", 404);
+        }
+
+        const currentAccess = await ensureRuleScopeAccess(req, existing.hostelId);
+        if (!currentAccess.ok) {
+            return errorResponse(res, currentAccess.message, currentAccess.status);
+        }
+
+        const prepared = await prepareRule(req, { ...existing, ...readRuleFields(req.body) });
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, prepared.status);
+        }
+
+        const rule = await prisma.pricingRule.update({
+            where: { id: ruleId },
+            data: toRuleData(prepared.rule),
+            include: ruleInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "pricing",
+            description: `Updated pricing rule "${rule.name}" (#${rule.id})`
+        });
+
+        return successResponse(res, rule, "Pricing rule updated successfully", 200);
+    } catch (err) {
+        console.error("Update Pricing Rule Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// DELETE PRICING RULE
+// ===================================
+const deletePricingRule = async (req, res) => {
+    try {
+        const ruleId = parseInt(req.params.id, 10);
+        if (Number.isNaN(ruleId)) {
+            return errorResponse(res, "Invalid pricing rule id", 400);
+        }
+
+        const existing = await prisma.pricingRule.findUnique({ where: { id: ruleId } });
+        if (!existing) {
+            return errorResponse(res, "Pricing rule not found", 404);
+        }
+
+        const access = await ensureRuleScopeAccess(req, existing.hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        await prisma.pricingRule.delete({ where: { id: ruleId } });
+
+        await writeLog({
+            userId: req.userId,
+            action: "delete",
+            module: "pricing",
+            description: `Deleted pricing rule "${existing.name}" (#${existing.id})`
+        });
+
+        return successResponse(res, null, "Pricing rule deleted successfully", 200);
+    } catch (err) {
+        console.error("Delete Pricing Rule Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET QUOTE (bed or room, date range)
+// ===================================
+const getQuote = async (req, res) => {
+    try {
+        const { bedId, roomId, checkInDate, checkOutDate } = req.query;
+
+        if (!checkInDate || !checkOutDate) {
+            return errorResponse(res, "checkInDate and checkOutDate are required", 400);
+        }
+        if (!bedId && !roomId) {
+            return errorResponse(res, "bedId or roomId is required", 400);
+        }
+
+        const quote = await quoteStay({
+            bedId: bedId ? parseInt(bedId, 10) : null,
+            roomId: roomId ? parseInt(roomId, 10) : null,
+            checkInDate,
+            checkOutDate
+        });
+
+        return successResponse(res, quote, "Quote calculated successfully", 200);
+    } catch (err) {
+        console.error("Get Quote Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createPricingRule,
+    getPricingRules,
+    updatePricingRule,
+    deletePricingRule,
+    getQuote
+};
@@ -0,0 +1,698 @@
+// ===============================
+// Purchasing Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+    DEMAND_STATUSES,
+    getApprovalRequirement,
+    createPurchaseDemand: raisePurchaseDemand,
+    reviseDemandItems,
+    approvePurchaseDemand: recordDemandApproval,
+    closePurchaseDemand,
+    findQuoteVendors,
+    requestQuotes,
+    recordQuote,
+    issuePurchaseOrder: issueOrderFromQuote,
+    receivePurchaseOrder: receiveOrder
+} = require('../../Helper/purchase.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const ORDER_STATUSES = ['issued', 'delivered', 'cancelled'];
+
+/**
+ * Approval level the caller holds for a hostel: admins and the hostel's
+ * owner approve at owner level, the hostel's manager at manager level
+ * @returns {String|null} owner | manager | null
+ */
+const getApprovalLevel = async (req, hostelId) => {
+    const roleName = req.userRole?.roleName?.toLowerCase();
+    if (req.isAdmin === true || roleName === 'admin') return 'owner';
+
+    const hostel = await prisma.hostel.findUnique({
+        where: { id: hostelId },
+        select: { managedBy: true, owner: { select: { userId: true } } }
+    });
+    if (!hostel) return null;
+
+    if (roleName === 'owner' && hostel.owner?.userId === req.userId) return 'owner';
+    if (roleName === 'manager' && hostel.managedBy === req.userId) return 'manager';
+    return null;
+};
+
+const demandInclude = {
+    hostel: { select: { id: true, name: true } },
+    service: { select: { id: true, name: true } },
+    alert: { select: { id: true, title: true, status: true } },
+    requester: { select: { id: true, username: true } },
+    managerApprover: { select: { id: true, username: true } },
+    ownerApprover: { select: { id: true, username: true } },
+    rejecter: { select: { id: true, username: true } },
+    purchaseOrder: { select: { id: true, poNumber: true, status: true, totalAmount: true } }
+};
+
+const orderInclude = {
+    hostel: { select: { id: true, name: true } },
+    vendor: { select: { id: true, name: true, companyName: true } },
+    demand: { select: { id: true, demandNumber: true, title: true } },
+    issuer: { select: { id: true, username: true } },
+    receiver: { select: { id: true, username: true } },
+    expense: { select: { id: true, title: true, amount: true, date: true } }
+};
+
+const parseId = (value) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Load a demand and check the caller may work on its hostel
+ * @returns {Object} { demand } or { error, status }
+ */
+const loadDemand = async (req) => {
+    const demandId = parseId(req.params.id);
+    if (!demandId) {
+        return { error: "Invalid purchase demand id", status: 400 };
+    }
+
+    const demand = await prisma.purchaseDemand.findUnique({ where: { id: demandId } });
+    if (!demand) {
+        return { error: "Purchase demand not found", status: 404 };
+    }
+
+    const access = await ensureHostelAccess(req, demand.hostelId);
+    if (!access.ok) {
+        return { error: access.message, status: access.status };
+    }
+
+    return { demand };
+};
+
+const getDemandDetails = (demandId) => prisma.purchaseDemand.findUnique({
+    where: { id: demandId },
+    include: {
+        ...demandInclude,
+        quotes: {
+            include: { vendor: { select: { id: true, name: true, companyName: true, email: true, phone: true } } },
+            orderBy: [{ totalAmount: 'asc' }, { id: 'asc' }]
+        }
+    }
+});
+
+// ===================================
+// RAISE PURCHASE DEMAND
+// ===================================
+const createPurchaseDemand = async (req, res) => {
+    try {
+        const { title, description, category, priority, items, neededBy, notes } = req.body;
+
+        const hostelId = parseId(req.body.hostelId);
+        if (!hostelId) {
+            return errorResponse(res, "hostelId is required", 400);
+        }
+        if (priority && !PRIORITIES.includes(priority)) {
+            return errorResponse(res, `priority must be one of: ${PRIORITIES.join(', ')}`, 400);
+        }
+
+        const access = await ensureHostelAccess(req, hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const serviceId = req.body.serviceId ? parseId(req.body.serviceId) : null;
+        if (serviceId) {
+            const service = await prisma.service.findUnique({ where: { id: serviceId }, select: { isActive: true } });
+            if (!service || !service.isActive) {
+                return errorResponse(res, "Service not found or inactive", 404);
+            }
+        }
+
+        // A demand may be raised from a maintenance alert, usually a purchase_demand one
+        const alertId = req.body.alertId ? parseId(req.body.alertId) : null;
+        let alert = null;
+        if (alertId) {
+            alert = await prisma.alert.findUnique({
+                where: { id: alertId },
+                select: { id: true, title: true, description: true, type: true, hostelId: true, priority: true }
+            });
+            if (!alert || alert.type !== 'maintenance' || (alert.hostelId && alert.hostelId !== hostelId)) {
+                return errorResponse(res, "Maintenance alert not found for this hostel", 404);
+            }
+        }
+
+        if (!title && !alert) {
+            return errorResponse(res, "title is required", 400);
+        }
+
+        const neededByDate = neededBy ? new Date(neededBy) : null;
+        if (neededByDate && Number.isNaN(neededByDate.getTime())) {
+            return errorResponse(res, "Invalid neededBy date", 400);
+        }
+
+        const demand = await raisePurchaseDemand({
+            hostelId,
+            serviceId,
+            alertId,
+            title: String(title || alert.title).slice(0, 255),
+            description: description || alert?.description || null,
+            category: category || null,
+            priority: priority || alert?.priority || 'medium',
+            items,
+            neededBy: neededByDate,
+            notes: notes || null
+        }, { userId: req.userId || null });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "purchasing",
+            description: `Raised purchase demand ${demand.demandNumber} (${demand.estimatedTotal}) for hostel #${hostelId}`
+        });
+
+        return successResponse(res, await getDemandDetails(demand.id), "Purchase demand raised successfully", 201);
+    } catch (err) {
+        console.error("Create Purchase Demand Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET PURCHASE DEMANDS
+// ===================================
+const getPurchaseDemands = async (req, res) => {
+    try {
+        const { hostelId, status, serviceId, awaiting, page = 1, limit = 20 } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const where = {};
+        if (status) {
+            if (!DEMAND_STATUSES.includes(status)) {
+                return errorResponse(res, `status must be one of: ${DEMAND_STATUSES.join(', ')}`, 400);
+            }
+            where.status = status;
+        }
+        if (serviceId) where.serviceId = parseInt(serviceId, 10);
+
+        // Demands waiting on a manager or an owner
+        if (awaiting === 'manager') {
+            Object.assign(where, { status: 'pending_approval', managerApprovedAt: null });
+        } else if (awaiting === 'owner') {
+            Object.assign(where, { status: 'pending_approval', requiresOwnerApproval: true, ownerApprovedAt: null });
+        }
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const [demands, total] = await Promise.all([
+            prisma.purchaseDemand.findMany({
+                where,
+                include: { ...demandInclude, _count: { select: { quotes: true } } },
+                orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+                take: limitNum,
+                skip: (pageNum - 1) * limitNum
+            }),
+            prisma.purchaseDemand.count({ where })
+        ]);
+
+        return successResponse(res, {
+            demands,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Purchase demands retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Purchase Demands Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET PURCHASE DEMAND
+// ===================================
+const getPurchaseDemandById = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+
+        const demand = await getDemandDetails(loaded.demand.id);
+
+        // Assigned vendors not asked for a quote yet
+        const askedVendorIds = new Set(demand.quotes.map((quote) => quote.vendorId));
+        const eligibleVendors = (await findQuoteVendors(demand)).filter((vendor) => !askedVendorIds.has(vendor.id));
+
+        return successResponse(res, { ...demand, eligibleVendors }, "Purchase demand retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Purchase Demand Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE PURCHASE DEMAND
+// ===================================
+// New items restart approval; other fields can change until ordering
+const updatePurchaseDemand = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        if (!['pending_approval', 'rejected', 'approved', 'quoting'].includes(demand.status)) {
+            return errorResponse(res, `A ${demand.status} demand cannot be changed`, 400);
+        }
+
+        const { title, description, category, priority, neededBy, notes } = req.body;
+        if (priority && !PRIORITIES.includes(priority)) {
+            return errorResponse(res, `priority must be one of: ${PRIORITIES.join(', ')}`, 400);
+        }
+
+        const data = {};
+        if (title) data.title = String(title).slice(0, 255);
+        if (description !== undefined) data.description = description || null;
+        if (category !== undefined) data.category = category || null;
+        if (priority) data.priority = priority;
+        if (notes !== undefined) data.notes = notes || null;
+        if (neededBy !== undefined) {
+            data.neededBy = neededBy ? new Date(neededBy) : null;
+            if (data.neededBy && Number.isNaN(data.neededBy.getTime())) {
+                return errorResponse(res, "Invalid neededBy date", 400);
+            }
+        }
+        if (req.body.serviceId !== undefined) {
+            data.serviceId = req.body.serviceId ? parseId(req.body.serviceId) : null;
+            if (data.serviceId && !(await prisma.service.findUnique({ where: { id: data.serviceId }, select: { id: true } }))) {
+                return errorResponse(res, "Service not found", 404);
+            }
+        }
+
+        if (Object.keys(data).length) {
+            await prisma.purchaseDemand.update({ where: { id: demand.id }, data });
+        }
+        if (req.body.items !== undefined) {
+            await reviseDemandItems(demand.id, req.body.items, { userId: req.userId || null });
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "purchasing",
+            description: `Updated purchase demand ${demand.demandNumber}${req.body.items !== undefined ? ' (items changed, approval restarted)' : ''}`
+        });
+
+        return successResponse(res, await getDemandDetails(demand.id), "Purchase demand updated successfully", 200);
+    } catch (err) {
+        console.error("Update Purchase Demand Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// APPROVE PURCHASE DEMAND
+// ===================================
+const approvePurchaseDemand = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        const level = await getApprovalLevel(req, demand.hostelId);
+        if (!level) {
+            return errorResponse(res, "Only this hostel's manager or owner can approve its purchase demands", 403);
+        }
+
+        const updated = await recordDemandApproval(demand.id, { level, userId: req.userId || null, note: req.body.note || null });
+
+        await writeLog({
+            userId: req.userId,
+            action: "approve",
+            module: "purchasing",
+            description: `Approved purchase demand ${demand.demandNumber} at ${level} level${updated.status === 'approved' ? '' : '; waiting for owner approval'}`
+        });
+
+        return successResponse(res, await getDemandDetails(demand.id),
+            updated.status === 'approved' ? "Purchase demand approved" : "Approval recorded; waiting for owner approval", 200);
+    } catch (err) {
+        console.error("Approve Purchase Demand Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// REJECT PURCHASE DEMAND
+// ===================================
+const rejectPurchaseDemand = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        if (!(await getApprovalLevel(req, demand.hostelId))) {
+            return errorResponse(res, "Only this hostel's manager or owner can reject its purchase demands", 403);
+        }
+        if (!req.body.reason) {
+            return errorResponse(res, "reason is required", 400);
+        }
+
+        await closePurchaseDemand(demand.id, 'rejected', { userId: req.userId || null, reason: req.body.reason });
+
+        await writeLog({
+            userId: req.userId,
+            action: "reject",
+            module: "purchasing",
+            description: `Rejected purchase demand ${demand.demandNumber}: ${req.body.reason}`
+        });
+
+        return successResponse(res, await getDemandDetails(demand.id), "Purchase demand rejected", 200);
+    } catch (err) {
+        console.error("Reject Purchase Demand Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// CANCEL PURCHASE DEMAND
+// ===================================
+const cancelPurchaseDemand = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        await closePurchaseDemand(demand.id, 'cancelled', { userId: req.userId || null, reason: req.body.reason || null });
+
+        await writeLog({
+            userId: req.userId,
+            action: "cancel",
+            module: "purchasing",
+            description: `Cancelled purchase demand ${demand.demandNumber}`
+        });
+
+        return successResponse(res, await getDemandDetails(demand.id), "Purchase demand cancelled", 200);
+    } catch (err) {
+        console.error("Cancel Purchase Demand Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// REQUEST VENDOR QUOTES
+// ===================================
+const requestVendorQuotes = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        let vendorIds = null;
+        if (req.body.vendorIds !== undefined) {
+            if (!Array.isArray(req.body.vendorIds) || req.body.vendorIds.some((id) => !parseId(id))) {
+                return errorResponse(res, "vendorIds must be a list of vendor ids", 400);
+            }
+            vendorIds = req.body.vendorIds.map(parseId);
+        }
+
+        const result = await requestQuotes(demand.id, { vendorIds, userId: req.userId || null });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "purchasing",
+            description: `Requested ${result.quotes.length} quote(s) for purchase demand ${demand.demandNumber}`
+        });
+
+        return successResponse(res, result.quotes, `Quotes requested from ${result.quotes.length} vendor(s)`, 201);
+    } catch (err) {
+        console.error("Request Vendor Quotes Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// RECORD VENDOR QUOTE
+// ===================================
+const recordVendorQuote = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        const quoteId = parseId(req.params.quoteId);
+        const quote = quoteId ? await prisma.purchaseQuote.findUnique({ where: { id: quoteId }, select: { demandId: true } }) : null;
+        if (!quote || quote.demandId !== demand.id) {
+            return errorResponse(res, "Quote not found for this demand", 404);
+        }
+
+        const { items, totalAmount, deliveryDays, validUntil, notes, attachments } = req.body;
+        const validUntilDate = validUntil ? new Date(validUntil) : null;
+        if (validUntilDate && Number.isNaN(validUntilDate.getTime())) {
+            return errorResponse(res, "Invalid validUntil date", 400);
+        }
+
+        const updated = await recordQuote(quoteId, {
+            items,
+            totalAmount,
+            deliveryDays: deliveryDays !== undefined && deliveryDays !== null && deliveryDays !== '' ? parseInt(deliveryDays, 10) : null,
+            validUntil: validUntilDate,
+            notes,
+            attachments
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "purchasing",
+            description: `Recorded quote #${updated.id} (${updated.totalAmount}) from vendor #${updated.vendorId} for ${demand.demandNumber}`
+        });
+
+        return successResponse(res, updated, "Quote recorded successfully", 200);
+    } catch (err) {
+        console.error("Record Vendor Quote Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// ISSUE PURCHASE ORDER
+// ===================================
+const issuePurchaseOrder = async (req, res) => {
+    try {
+        const loaded = await loadDemand(req);
+        if (loaded.error) {
+            return errorResponse(res, loaded.error, loaded.status);
+        }
+        const { demand } = loaded;
+
+        const quoteId = parseId(req.body.quoteId);
+        if (!quoteId) {
+            return errorResponse(res, "quoteId is required", 400);
+        }
+
+        const expectedDeliveryDate = req.body.expectedDeliveryDate ? new Date(req.body.expectedDeliveryDate) : null;
+        if (expectedDeliveryDate && Number.isNaN(expectedDeliveryDate.getTime())) {
+            return errorResponse(res, "Invalid expectedDeliveryDate", 400);
+        }
+
+        const order = await issueOrderFromQuote(demand.id, {
+            quoteId,
+            expectedDeliveryDate,
+            notes: req.body.notes || null,
+            userId: req.userId || null
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "purchasing",
+            description: `Issued purchase order ${order.poNumber} (${order.totalAmount}) to vendor #${order.vendorId} for ${demand.demandNumber}`
+        });
+
+        const purchaseOrder = await prisma.purchaseOrder.findUnique({ where: { id: order.id }, include: orderInclude });
+        return successResponse(res, purchaseOrder, "Purchase order issued successfully", 201);
+    } catch (err) {
+        console.error("Issue Purchase Order Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET PURCHASE ORDERS
+// ===================================
+const getPurchaseOrders = async (req, res) => {
+    try {
+        const { hostelId, vendorId, status, page = 1, limit = 20 } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const where = {};
+        if (vendorId) where.vendorId = parseInt(vendorId, 10);
+        if (status) {
+            if (!ORDER_STATUSES.includes(status)) {
+                return errorResponse(res, `status must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+            }
+            where.status = status;
+        }
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const [orders, total] = await Promise.all([
+            prisma.purchaseOrder.findMany({
+                where,
+                include: orderInclude,
+                orderBy: [{ issuedAt: 'desc' }, { id: 'desc' }],
+                take: limitNum,
+                skip: (pageNum - 1) * limitNum
+            }),
+            prisma.purchaseOrder.count({ where })
+        ]);
+
+        return successResponse(res, {
+            orders,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Purchase orders retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Purchase Orders Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// RECEIVE PURCHASE ORDER
+// ===================================
+const receivePurchaseOrder = async (req, res) => {
+    try {
+        const orderId = parseId(req.params.id);
+        if (!orderId) {
+            return errorResponse(res, "Invalid purchase order id", 400);
+        }
+
+        const existing = await prisma.purchaseOrder.findUnique({ where: { id: orderId }, select: { hostelId: true, poNumber: true } });
+        if (!existing) {
+            return errorResponse(res, "Purchase order not found", 404);
+        }
+
+        const access = await ensureHostelAccess(req, existing.hostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { deliveredAt, amount, notes } = req.body;
+        const deliveredDate = deliveredAt ? new Date(deliveredAt) : null;
+        if (deliveredDate && Number.isNaN(deliveredDate.getTime())) {
+            return errorResponse(res, "Invalid deliveredAt date", 400);
+        }
+        if (amount !== undefined && amount !== null && amount !== '' && !Number.isFinite(Number(amount))) {
+            return errorResponse(res, "amount must be a number", 400);
+        }
+
+        const { expense, bill } = await receiveOrder(orderId, {
+            deliveredAt: deliveredDate,
+            amount: amount !== undefined && amount !== null && amount !== '' ? Number(amount) : null,
+            notes: notes || null,
+            userId: req.userId || null
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "purchasing",
+            description: `Received purchase order ${existing.poNumber}; posted expense #${expense.id} (${expense.amount})${bill ? ` and vendor bill ${bill.billNumber}` : ''}`
+        });
+
+        const order = await prisma.purchaseOrder.findUnique({ where: { id: orderId }, include: orderInclude });
+        return successResponse(res, order, "Purchase order received successfully", 200);
+    } catch (err) {
+        console.error("Receive Purchase Order Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// APPROVAL THRESHOLDS
+// ===================================
+// Which approvals a demand of a given total would need
+const getApprovalThresholds = async (req, res) => {
+    try {
+        const amount = Number(req.query.amount);
+        if (!Number.isFinite(amount) || amount < 0) {
+            return errorResponse(res, "amount must be zero or more", 400);
+        }
+
+        const requirement = await getApprovalRequirement(amount);
+        return successResponse(res, {
+            amount,
+            approvals: requirement.autoApprove ? [] : (requirement.requiresOwnerApproval ? ['manager', 'owner'] : ['manager'])
+        }, "Approval requirement retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Approval Thresholds Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createPurchaseDemand,
+    getPurchaseDemands,
+    getPurchaseDemandById,
+    updatePurchaseDemand,
+    approvePurchaseDemand,
+    rejectPurchaseDemand,
+    cancelPurchaseDemand,
+    requestVendorQuotes,
+    recordVendorQuote,
+    issuePurchaseOrder,
+    getPurchaseOrders,
+    receivePurchaseOrder,
+    getApprovalThresholds
+};
@@ -4,6 +4,7 @@
 
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
+const { openWorkOrder } = require('../../Helper/maintenance.helper');
 
 const getHostelAccessFilter = (req) => {
     if (req.userRole === 'owner') {
@@ -546,6 +547,7 @@ const updateRoomStatus = async (req, res) => {
 // ===================================
 // SCHEDULE MAINTENANCE
 // ===================================
+// Opens a room-level work order (see maintenance.controller.js)
 const scheduleMaintenance = async (req, res) => {
     try {
         const { id } = req.params;
@@ -560,38 +562,25 @@ const scheduleMaintenance = async (req, res) => {
             return errorResponse(res, "Invalid room id", 400);
         }
 
+        const scheduledFor = new Date(date);
+        if (Number.isNaN(scheduledFor.getTime())) {
+            return errorResponse(res, "Invalid date", 400);
+        }
+
         const access = await assertRoomAccess(req, roomId);
         if (!access.ok) {
             return errorResponse(res, access.message, access.status);
         }
 
-        // Get current room data
-        const currentRoom = await prisma.room.findUnique({
-            where: { id: roomId }
-        });
-
-        if (!currentRoom) {
-            return errorResponse(res, "Room not found", 404);
-        }
-
-        // Add new maintenance schedule
-        const updatedSchedule = [
-            ...(currentRoom.maintenanceSchedule || []),
-            {
-                date: new Date(date),
-                description,
-                status: 'scheduled'
-            }
-        ];
-
-        const room = await prisma.room.update({
-            where: { id: roomId },
-            data: {
-                maintenanceSchedule: updatedSchedule
-            }
-        });
+        const workOrder = await openWorkOrder({
+            hostelId: access.room.hostelId,
+            roomId,
+            title: String(description).slice(0, 255),
+            description,
+            scheduledFor
+        }, { userId: req.userId || null });
 
-        return successResponse(res, room, "Maintenance scheduled successfully", 200);
+        return successResponse(res, workOrder, "Maintenance scheduled successfully", 200);
     } catch (err) {
         console.error("Schedule Maintenance Error:", err);
         return errorResponse(res, err.message, 400);
@@ -17,6 +17,11 @@
 
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
+const { postLedgerEntry, settleOpenCharges, syncTenantBalances } = require('../../Helper/ledger.helper');
+const { syncTransactionJournal, syncGatewayRefundJournal } = require('../../Helper/general-ledger.helper');
+const { issueReceipt } = require('../../Helper/receipt.helper');
+const { quoteStay } = require('../../Helper/pricing.helper');
+const { roundAmount } = require('../../utils/normalize');
 const {
     createCheckoutSession,
     verifyWebhookSignature,
@@ -100,6 +105,30 @@ const createStripeCheckoutSession = async (req, res) => {
             return errorResponse(res, 'Booking is already fully paid', 400);
         }
 
+        // Bookings not priced by the server yet (older bookings, or booked for a whole
+        // hostel and since given a room) are quoted now; the stored total is charged
+        if (!booking.pricingQuote) {
+            if (!booking.bedId && !booking.roomId) {
+                return errorResponse(res, 'Assign a room or bed to the booking before taking payment', 400);
+            }
+
+            const pricingQuote = await quoteStay({
+                bedId: booking.bedId,
+                roomId: booking.bedId ? null : booking.roomId,
+                checkInDate: booking.checkInDate,
+                checkOutDate: booking.checkOutDate
+            });
+
+            await prisma.booking.update({
+                where: { id: booking.id },
+                data: {
+                    totalAmount: pricingQuote.total,
+                    pricingQuote
+                }
+            });
+            booking.totalAmount = pricingQuote.total;
+        }
+
         // Calculate amount to charge (remaining amount if partial payment exists)
         const remainingAmount = (booking.totalAmount || 0) - (booking.advancePaid || 0);
 
@@ -281,8 +310,8 @@ const handleCheckoutSessionCompleted = async (session) => {
                     paymentMethod: 'stripe',
                     paymentDate: new Date(),
                     transactionId: session.payment_intent,
-                    receiptNumber: `STRIPE-${session.id.slice(-10).toUpperCase()}`,
                     status: 'paid',
+                    amountPaid: amountPaid,
                     remarks: `Stripe payment - Session: ${session.id}`
                 }
             });
@@ -327,6 +356,24 @@ const handleCheckoutSessionCompleted = async (session) => {
 
             console.log('✅ Transaction record created:', transaction.id);
 
+            await syncTransactionJournal(tx, transaction.id);
+
+            // Receipt number from the hostel's gap-free sequence
+            const receipt = booking.hostelId ? await issueReceipt(tx, {
+                hostelId: booking.hostelId,
+                tenantId: booking.tenantId,
+                paymentId: payment.id,
+                amount: amountPaid,
+                paymentMethod: 'stripe',
+                source: 'stripe',
+                reference: session.payment_intent,
+                transactionIds: [transaction.id]
+            }) : null;
+
+            if (receipt) {
+                console.log('✅ Receipt issued:', receipt.receiptNumber);
+            }
+
             // 3. Update Booking status
             const newBookingStatus = booking.status === 'pending' ? 'confirmed' : booking.status;
             
@@ -343,16 +390,21 @@ const handleCheckoutSessionCompleted = async (session) => {
 
             console.log(`✅ Booking ${booking.bookingCode} updated: ${booking.status} → ${newBookingStatus}`);
 
-            // 4. Update Tenant totals (if tenant exists)
-            if (booking.tenantId) {
-                await tx.tenant.update({
-                    where: { id: booking.tenantId },
-                    data: {
-                        totalPaid: { increment: amountPaid }
-                    }
+            // 4. Carry the advance on the tenant ledger (if tenant exists)
+            if (booking.tenantId && paymentType !== 'deposit') {
+                await postLedgerEntry(tx, {
+                    tenantId: booking.tenantId,
+                    hostelId: booking.hostelId,
+                    paymentId: payment.id,
+                    entryType: 'credit',
+                    amount: -amountPaid,
+                    description: booking.bookingCode ? `Booking advance ${booking.bookingCode} (Stripe)` : 'Booking advance (Stripe)',
+                    reference: receipt?.receiptNumber || null
                 });
+                await settleOpenCharges(tx, booking.tenantId);
+                await syncTenantBalances(tx, booking.tenantId);
 
-                console.log('✅ Tenant totalPaid updated');
+                console.log('✅ Tenant ledger updated');
             }
 
             // 5. If payment type is deposit, update tenant's security deposit
@@ -441,13 +493,16 @@ const handlePaymentIntentFailed = async (paymentIntent) => {
         });
 
         if (transaction) {
-            await prisma.transaction.update({
-                where: { id: transaction.id },
-                data: {
-                    status: 'failed',
-                    responseCode: paymentIntent.last_payment_error?.code || 'failed',
-                    responseMessage: paymentIntent.last_payment_error?.message || 'Payment failed'
-                }
+            await prisma.$transaction(async (tx) => {
+                await tx.transaction.update({
+                    where: { id: transaction.id },
+                    data: {
+                        status: 'failed',
+                        responseCode: paymentIntent.last_payment_error?.code || 'failed',
+                        responseMessage: paymentIntent.last_payment_error?.message || 'Payment failed'
+                    }
+                });
+                await syncTransactionJournal(tx, transaction.id);
             });
 
             console.log('✅ Transaction marked as failed');
@@ -468,7 +523,8 @@ const handleChargeRefunded = async (charge) => {
     try {
         console.log('💸 Processing charge.refunded:', charge.id);
 
-        const refundAmount = charge.amount_refunded / 100; // Convert to PKR
+        // amount_refunded is the running total for the charge, not this refund
+        const refundedTotal = roundAmount(charge.amount_refunded / 100); // Convert to PKR
 
         // Find the original transaction
         const transaction = await prisma.transaction.findFirst({
@@ -477,54 +533,88 @@ const handleChargeRefunded = async (charge) => {
         });
 
         if (transaction && transaction.payment) {
-            await prisma.$transaction(async (tx) => {
-                // Update transaction status
+            const refundAmount = await prisma.$transaction(async (tx) => {
+                // Lock the transaction so a redelivered event waits and then finds nothing new
                 await tx.transaction.update({
                     where: { id: transaction.id },
+                    data: { updatedAt: new Date() }
+                });
+
+                const current = await tx.transaction.findUnique({
+                    where: { id: transaction.id },
+                    include: { payment: true }
+                });
+
+                // Only the part refunded since the last event is new
+                const refundAmount = roundAmount(refundedTotal - (current.refundedAmount || 0));
+                if (refundAmount <= 0) return 0;
+
+                const fullyRefunded = refundedTotal >= roundAmount(current.amount || 0);
+
+                // Update transaction status
+                await tx.transaction.update({
+                    where: { id: current.id },
                     data: {
-                        status: 'refunded',
-                        responseMessage: 'Payment refunded'
+                        refundedAmount: refundedTotal,
+                        status: fullyRefunded ? 'refunded' : current.status,
+                        responseMessage: fullyRefunded ? 'Payment refunded' : `Partially refunded: ${refundedTotal} PKR`
                     }
                 });
 
                 // Update payment status
+                const amountPaid = roundAmount(Math.max(0, (current.payment.amountPaid || 0) - refundAmount));
                 await tx.payment.update({
-                    where: { id: transaction.payment.id },
+                    where: { id: current.payment.id },
                     data: {
-                        status: 'pending',
+                        status: amountPaid > 0 ? 'partial' : 'pending',
+                        amountPaid,
                         remarks: `Refund processed: ${refundAmount} PKR`
                     }
                 });
 
                 // Update booking if exists
-                if (transaction.payment.bookingId) {
+                if (current.payment.bookingId) {
                     const booking = await tx.booking.findUnique({
-                        where: { id: transaction.payment.bookingId }
+                        where: { id: current.payment.bookingId }
                     });
 
                     if (booking) {
+                        const advancePaid = roundAmount(Math.max(0, (booking.advancePaid || 0) - refundAmount));
                         await tx.booking.update({
                             where: { id: booking.id },
                             data: {
-                                advancePaid: Math.max(0, (booking.advancePaid || 0) - refundAmount),
-                                paymentStatus: 'pending'
+                                advancePaid,
+                                paymentStatus: advancePaid > 0 ? 'partial' : 'pending'
                             }
                         });
                     }
                 }
 
-                // Update tenant totals
-                if (transaction.tenantId) {
-                    await tx.tenant.update({
-                        where: { id: transaction.tenantId },
-                        data: {
-                            totalPaid: { decrement: refundAmount }
-                        }
+                // Take the refunded amount back off the tenant ledger
+                if (current.tenantId && current.payment.paymentType !== 'deposit') {
+                    await postLedgerEntry(tx, {
+                        tenantId: current.tenantId,
+                        hostelId: current.hostelId,
+                        paymentId: current.payment.id,
+                        entryType: 'adjustment',
+                        amount: refundAmount,
+                        description: 'Stripe refund',
+                        reference: charge.id
                     });
+                    await syncTenantBalances(tx, current.tenantId);
                 }
+
+                // The journal carries the running total, so a second partial refund tops it up
+                await syncGatewayRefundJournal(tx, current.id, refundedTotal);
+
+                return refundAmount;
             });
 
-            console.log('✅ Refund processed successfully');
+            if (refundAmount > 0) {
+                console.log('✅ Refund processed successfully');
+            } else {
+                console.log('ℹ️ Refund already recorded for charge:', charge.id);
+            }
         }
 
     } catch (error) {
@@ -1,6 +1,19 @@
 const { successResponse, errorResponse } = require('../../Helper/helper');
 const { prisma } = require('../../config/db');
 const path = require('path');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+  OPEN_CHARGE_STATUSES,
+  LEDGER_ENTRY_TYPES,
+  postLedgerEntry,
+  getLedgerTotals,
+  getAvailableCredit,
+  settleOpenCharges,
+  refreshAllocationPaymentStatus,
+  syncTenantBalances
+} = require('../../Helper/ledger.helper');
+const { postTenantAdjustmentJournal } = require('../../Helper/general-ledger.helper');
+const { roundAmount } = require('../../utils/normalize');
 
 const buildHostelScopeFilter = (req) => {
   if (req.userRole === 'owner') {
@@ -1586,16 +1599,25 @@ const getTenantFinancialSummary = async (req, res) => {
       ? { tenantId, hostel: hostelFilter }
       : { tenantId };
 
-    const [paidAggregate, pendingAggregate, recentPayment] = await Promise.all([
+    const lateFeeWhere = Object.keys(hostelFilter).length
+      ? { tenantId, charge: { hostel: hostelFilter } }
+      : { tenantId };
+
+    // Deposits are held, not dues, so they stay out of the totals like they stay off the ledger
+    const duesWhere = {
+      ...paymentWhere,
+      OR: [{ paymentType: null }, { paymentType: { not: 'deposit' } }]
+    };
+
+    const [paidAggregate, openCharges, recentPayment, lateFeeGroups] = await Promise.all([
       prisma.payment.aggregate({
-        where: { ...paymentWhere, status: 'paid' },
-        _sum: { amount: true },
+        where: { ...duesWhere, amountPaid: { gt: 0 } },
+        _sum: { amountPaid: true },
         _count: { _all: true }
       }),
-      prisma.payment.aggregate({
-        where: { ...paymentWhere, status: { in: ['pending', 'partial', 'overdue'] } },
-        _sum: { amount: true },
-        _count: { _all: true }
+      prisma.payment.findMany({
+        where: { ...duesWhere, status: { in: OPEN_CHARGE_STATUSES } },
+        select: { amount: true, amountPaid: true }
       }),
       prisma.payment.findFirst({
         where: paymentWhere,
@@ -1607,18 +1629,40 @@ const getTenantFinancialSummary = async (req, res) => {
           createdAt: true,
           hostel: { select: { id: true, name: true } }
         }
+      }),
+      prisma.lateFee.groupBy({
+        by: ['status'],
+        where: lateFeeWhere,
+        _sum: { amount: true },
+        _count: { _all: true }
       })
     ]);
 
+    const lateFees = ['applied', 'waived', 'reversed'].reduce((acc, status) => {
+      const group = lateFeeGroups.find((g) => g.status === status);
+      acc[status] = {
+        amount: group?._sum.amount || 0,
+        count: group?._count._all || 0
+      };
+      return acc;
+    }, {});
+
+    // Only the unpaid part of a partly paid charge is outstanding; the paid part counts as paid
+    const outstandingAmount = openCharges.reduce(
+      (sum, charge) => sum + Math.max((charge.amount || 0) - (charge.amountPaid || 0), 0),
+      0
+    );
+
     const summary = {
       tenant,
       payments: {
-        totalPaidAmount: paidAggregate._sum.amount || 0,
+        totalPaidAmount: roundAmount(paidAggregate._sum.amountPaid || 0),
         totalPaidCount: paidAggregate._count._all,
-        outstandingAmount: pendingAggregate._sum.amount || 0,
-        outstandingCount: pendingAggregate._count._all,
+        outstandingAmount: roundAmount(outstandingAmount),
+        outstandingCount: openCharges.length,
         lastPayment: recentPayment || null
-      }
+      },
+      lateFees
     };
 
     return successResponse(res, summary, "Tenant financial summary retrieved successfully");
@@ -1628,6 +1672,185 @@ const getTenantFinancialSummary = async (req, res) => {
   }
 };
 
+// ======================================================
+// GET TENANT LEDGER
+// ======================================================
+const getTenantLedger = async (req, res) => {
+  try {
+    const tenantId = parseInt(req.params.id, 10);
+    if (Number.isNaN(tenantId)) {
+      return errorResponse(res, "Invalid tenant id", 400);
+    }
+
+    const tenantAccess = await ensureTenantAccess(req, tenantId);
+    if (!tenantAccess) {
+      return errorResponse(res, "Tenant not found", 404);
+    }
+
+    const { startDate, endDate, entryType } = req.query;
+
+    if (entryType && !LEDGER_ENTRY_TYPES.includes(String(entryType))) {
+      return errorResponse(res, `entryType must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`, 400);
+    }
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : null;
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return errorResponse(res, "Invalid date range", 400);
+    }
+
+    const where = { tenantId };
+    if (from || to) {
+      where.entryDate = {};
+      if (from) where.entryDate.gte = from;
+      if (to) where.entryDate.lte = to;
+    }
+    if (entryType) {
+      where.entryType = String(entryType);
+    }
+
+    const [tenant, entries, openingAggregate, totals, availableCredit, openCharges] = await Promise.all([
+      prisma.tenant.findUnique({
+        where: { id: tenantId },
+        select: { id: true, name: true, phone: true, totalPaid: true, totalDue: true, securityDeposit: true }
+      }),
+      prisma.tenantLedgerEntry.findMany({
+        where,
+        orderBy: [{ entryDate: 'asc' }, { id: 'asc' }],
+        include: {
+          payment: {
+            select: { id: true, paymentType: true, forMonth: true, status: true, amount: true, amountPaid: true, receiptNumber: true }
+          },
+          creator: { select: { id: true, username: true } }
+        }
+      }),
+      from && !entryType
+        ? prisma.tenantLedgerEntry.aggregate({
+          where: { tenantId, entryDate: { lt: from } },
+          _sum: { amount: true }
+        })
+        : Promise.resolve({ _sum: { amount: 0 } }),
+      getLedgerTotals(prisma, tenantId),
+      getAvailableCredit(prisma, tenantId),
+      prisma.payment.findMany({
+        where: { tenantId, status: { in: OPEN_CHARGE_STATUSES }, dueDate: { not: null } },
+        orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+        select: {
+          id: true,
+          paymentType: true,
+          forMonth: true,
+          dueDate: true,
+          amount: true,
+          amountPaid: true,
+          status: true
+        }
+      })
+    ]);
+
+    // Running balance; when filtering by type it only adds up the shown entries
+    const openingBalance = openingAggregate._sum.amount || 0;
+    let runningBalance = openingBalance;
+    const ledger = entries.map((entry) => {
+      runningBalance = Math.round((runningBalance + entry.amount) * 100) / 100;
+      return { ...entry, runningBalance };
+    });
+
+    return successResponse(
+      res,
+      {
+        tenant,
+        openingBalance,
+        closingBalance: runningBalance,
+        entries: ledger,
+        summary: {
+          totalCharges: totals.charge,
+          totalPayments: -totals.payment,
+          totalAdjustments: totals.adjustment,
+          totalCredits: -totals.credit,
+          balance: totals.balance,
+          totalDue: Math.max(totals.balance, 0),
+          advanceCredit: Math.max(-totals.balance, 0),
+          unappliedCredit: availableCredit
+        },
+        openCharges: openCharges.map((charge) => ({
+          ...charge,
+          outstanding: Math.round(((charge.amount || 0) - (charge.amountPaid || 0)) * 100) / 100
+        }))
+      },
+      "Tenant ledger retrieved successfully"
+    );
+  } catch (err) {
+    console.error("Get Tenant Ledger Error:", err);
+    return errorResponse(res, err.message);
+  }
+};
+
+// ======================================================
+// POST TENANT LEDGER ADJUSTMENT
+// ======================================================
+const postTenantLedgerAdjustment = async (req, res) => {
+  try {
+    const tenantId = parseInt(req.params.id, 10);
+    if (Number.isNaN(tenantId)) {
+      return errorResponse(res, "Invalid tenant id", 400);
+    }
+
+    const tenantAccess = await ensureTenantAccess(req, tenantId);
+    if (!tenantAccess) {
+      return errorResponse(res, "Tenant not found", 404);
+    }
+
+    const { entryType = 'adjustment', amount, description, reference, hostelId } = req.body;
+    const parsedAmount = parseFloat(amount);
+
+    if (!['adjustment', 'credit'].includes(entryType)) {
+      return errorResponse(res, "Only adjustment and credit entries can be posted manually", 400);
+    }
+    if (!Number.isFinite(parsedAmount) || parsedAmount === 0) {
+      return errorResponse(res, "A non-zero amount is required", 400);
+    }
+    if (entryType === 'credit' && parsedAmount > 0) {
+      return errorResponse(res, "Credit amounts must be negative", 400);
+    }
+    if (!description || !String(description).trim()) {
+      return errorResponse(res, "A description is required", 400);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const entry = await postLedgerEntry(tx, {
+        tenantId,
+        hostelId: hostelId ? parseInt(hostelId, 10) : null,
+        entryType,
+        amount: parsedAmount,
+        description: String(description).trim(),
+        reference: reference || null,
+        createdBy: req.userId
+      });
+      await postTenantAdjustmentJournal(tx, entry, { createdBy: req.userId });
+
+      const { applications } = await settleOpenCharges(tx, tenantId);
+      for (const allocationId of new Set(applications.map((a) => a.allocationId).filter(Boolean))) {
+        await refreshAllocationPaymentStatus(tx, allocationId);
+      }
+
+      const balances = await syncTenantBalances(tx, tenantId);
+      return { entry, appliedTo: applications, balances };
+    });
+
+    await writeLog({
+      userId: req.userId,
+      action: "create",
+      module: "tenant_ledger",
+      description: `Posted ${entryType} of ${parsedAmount} to tenant #${tenantId}: ${String(description).trim()}`
+    });
+
+    return successResponse(res, result, "Ledger entry posted successfully", 201);
+  } catch (err) {
+    console.error("Post Tenant Ledger Adjustment Error:", err);
+    return errorResponse(res, err.message);
+  }
+};
+
 // ======================================================
 // GET ACTIVE TENANTS
 // ======================================================
@@ -2088,6 +2311,8 @@ module.exports = {
   getTenantById,
   getTenantPaymentHistory,
   getTenantFinancialSummary,
+  getTenantLedger,
+  postTenantLedgerAdjustment,
   getActiveTenants,
   listTenants,
   tenantDetails,
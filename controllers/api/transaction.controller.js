@@ -1,5 +1,6 @@
 const { PrismaClient } = require('@prisma/client');
 const { successResponse, errorResponse } = require('../../Helper/helper');
+const { syncTransactionJournal, getTransactionCashMovements } = require('../../Helper/general-ledger.helper');
 const prisma = new PrismaClient();
 
 /**
@@ -25,6 +26,9 @@ const prisma = new PrismaClient();
  * - other_paid
  * 
  * This ensures clear distinction between money in vs money out.
+ * Once a transaction is on the general ledger, its category and sign
+ * come from the cash it actually moved; the type names above are only
+ * a fallback for transactions with nothing booked.
  */
 
 // =================== HELPER FUNCTIONS ===================
@@ -62,6 +66,29 @@ const getSignedAmount = (amount, category) => {
     return category === 'payable' ? -absAmount : absAmount;
 };
 
+/**
+ * Add category and signed amount to transactions, from their journal
+ * entries where booked (money into cash/bank is receivable, out is payable)
+ */
+const withCategories = async (transactions) => {
+    const movements = await getTransactionCashMovements(transactions.map(t => t.id));
+
+    return transactions.map(t => {
+        const movement = movements.get(t.id);
+        let category = getTransactionCategory(t.transactionType);
+        if (movement > 0) category = 'receivable';
+        if (movement < 0) category = 'payable';
+
+        return {
+            ...t,
+            category,
+            signedAmount: getSignedAmount(t.amount, category)
+        };
+    });
+};
+
+const withCategory = async (transaction) => (await withCategories([transaction]))[0];
+
 // =================== CREATE TRANSACTION ===================
 exports.createTransaction = async (req, res) => {
     try {
@@ -102,67 +129,64 @@ exports.createTransaction = async (req, res) => {
             }
         }
 
-        // Determine category (receivable/payable)
-        const category = getTransactionCategory(transactionType);
-
-        // Create transaction
-        const transaction = await prisma.transaction.create({
-            data: {
-                paymentId: paymentId ? parseInt(paymentId) : null,
-                tenantId: tenantId ? parseInt(tenantId) : null,
-                hostelId: hostelId ? parseInt(hostelId) : null,
-                gateway: gateway || 'manual',
-                transactionType,
-                amount: parseFloat(amount),
-                currency: currency || 'PKR',
-                fee: fee ? parseFloat(fee) : 0,
-                gatewayRef,
-                orderId,
-                merchantTxnId,
-                status: status || 'completed',
-                responseCode,
-                responseMessage,
-                rawResponse,
-                paymentMethod: paymentMethod || 'cash',
-                ipAddress,
-                userAgent
-            },
-            include: {
-                payment: {
-                    include: {
-                        tenant: {
-                            select: {
-                                id: true,
-                                name: true,
-                                email: true,
-                                phone: true
+        // Create transaction and book it
+        const transaction = await prisma.$transaction(async (tx) => {
+            const created = await tx.transaction.create({
+                data: {
+                    paymentId: paymentId ? parseInt(paymentId) : null,
+                    tenantId: tenantId ? parseInt(tenantId) : null,
+                    hostelId: hostelId ? parseInt(hostelId) : null,
+                    gateway: gateway || 'manual',
+                    transactionType,
+                    amount: parseFloat(amount),
+                    currency: currency || 'PKR',
+                    fee: fee ? parseFloat(fee) : 0,
+                    gatewayRef,
+                    orderId,
+                    merchantTxnId,
+                    status: status || 'completed',
+                    responseCode,
+                    responseMessage,
+                    rawResponse,
+                    paymentMethod: paymentMethod || 'cash',
+                    ipAddress,
+                    userAgent
+                },
+                include: {
+                    payment: {
+                        include: {
+                            tenant: {
+                                select: {
+                                    id: true,
+                                    name: true,
+                                    email: true,
+                                    phone: true
+                                }
                             }
                         }
-                    }
-                },
-                tenant: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true,
-                        phone: true
-                    }
-                },
-                hostel: {
-                    select: {
-                        id: true,
-                        name: true
+                    },
+                    tenant: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true,
+                            phone: true
+                        }
+                    },
+                    hostel: {
+                        select: {
+                            id: true,
+                            name: true
+                        }
                     }
                 }
-            }
+            });
+            await syncTransactionJournal(tx, created.id);
+            return created;
         });
 
         // Add category to response
-        const responseData = {
-            ...transaction,
-            category,
-            signedAmount: getSignedAmount(transaction.amount, category)
-        };
+        const responseData = await withCategory(transaction);
 
         return successResponse(res, responseData, 'Transaction created successfully', 201);
 
@@ -264,14 +288,7 @@ exports.getAllTransactions = async (req, res) => {
         ]);
 
         // Add category and signed amount to each transaction
-        const enrichedTransactions = transactions.map(t => {
-            const transactionCategory = getTransactionCategory(t.transactionType);
-            return {
-                ...t,
-                category: transactionCategory,
-                signedAmount: getSignedAmount(t.amount, transactionCategory)
-            };
-        });
+        const enrichedTransactions = await withCategories(transactions);
 
         // Filter by category if specified
         const filteredTransactions = category 
@@ -347,12 +364,7 @@ exports.getTransactionById = async (req, res) => {
         }
 
         // Add category and signed amount
-        const category = getTransactionCategory(transaction.transactionType);
-        const responseData = {
-            ...transaction,
-            category,
-            signedAmount: getSignedAmount(transaction.amount, category)
-        };
+        const responseData = await withCategory(transaction);
 
         return successResponse(res, responseData, 'Transaction fetched successfully', 200);
 
@@ -389,14 +401,7 @@ exports.getTransactionsByPaymentId = async (req, res) => {
         });
 
         // Add category to each
-        const enrichedTransactions = transactions.map(t => {
-            const category = getTransactionCategory(t.transactionType);
-            return {
-                ...t,
-                category,
-                signedAmount: getSignedAmount(t.amount, category)
-            };
-        });
+        const enrichedTransactions = await withCategories(transactions);
 
         return successResponse(res, {
             transactions: enrichedTransactions,
@@ -445,14 +450,7 @@ exports.getTransactionsByTenantId = async (req, res) => {
         ]);
 
         // Add category to each
-        const enrichedTransactions = transactions.map(t => {
-            const category = getTransactionCategory(t.transactionType);
-            return {
-                ...t,
-                category,
-                signedAmount: getSignedAmount(t.amount, category)
-            };
-        });
+        const enrichedTransactions = await withCategories(transactions);
 
         return successResponse(res, {
             transactions: enrichedTransactions,
@@ -502,34 +500,34 @@ exports.updateTransactionStatus = async (req, res) => {
         if (rawResponse !== undefined) updateData.rawResponse = rawResponse;
         if (gatewayRef !== undefined) updateData.gatewayRef = gatewayRef;
 
-        const transaction = await prisma.transaction.update({
-            where: { id: parseInt(id) },
-            data: updateData,
-            include: {
-                payment: {
-                    select: {
-                        id: true,
-                        amount: true,
-                        paymentType: true
-                    }
-                },
-                tenant: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
+        // A completed transaction goes on the books, a failed or cancelled one comes off
+        const transaction = await prisma.$transaction(async (tx) => {
+            const updated = await tx.transaction.update({
+                where: { id: parseInt(id) },
+                data: updateData,
+                include: {
+                    payment: {
+                        select: {
+                            id: true,
+                            amount: true,
+                            paymentType: true
+                        }
+                    },
+                    tenant: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
                     }
                 }
-            }
+            });
+            await syncTransactionJournal(tx, updated.id);
+            return updated;
         });
 
         // Add category
-        const category = getTransactionCategory(transaction.transactionType);
-        const responseData = {
-            ...transaction,
-            category,
-            signedAmount: getSignedAmount(transaction.amount, category)
-        };
+        const responseData = await withCategory(transaction);
 
         return successResponse(res, responseData, 'Transaction status updated successfully', 200);
 
@@ -574,34 +572,33 @@ exports.updateTransaction = async (req, res) => {
         if (rawResponse !== undefined) updateData.rawResponse = rawResponse;
         if (fee !== undefined) updateData.fee = parseFloat(fee);
 
-        const transaction = await prisma.transaction.update({
-            where: { id: parseInt(id) },
-            data: updateData,
-            include: {
-                payment: true,
-                tenant: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
-                    }
-                },
-                hostel: {
-                    select: {
-                        id: true,
-                        name: true
+        const transaction = await prisma.$transaction(async (tx) => {
+            const updated = await tx.transaction.update({
+                where: { id: parseInt(id) },
+                data: updateData,
+                include: {
+                    payment: true,
+                    tenant: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
+                    },
+                    hostel: {
+                        select: {
+                            id: true,
+                            name: true
+                        }
                     }
                 }
-            }
+            });
+            await syncTransactionJournal(tx, updated.id);
+            return updated;
         });
 
         // Add category
-        const category = getTransactionCategory(transaction.transactionType);
-        const responseData = {
-            ...transaction,
-            category,
-            signedAmount: getSignedAmount(transaction.amount, category)
-        };
+        const responseData = await withCategory(transaction);
 
         return successResponse(res, responseData, 'Transaction updated successfully', 200);
 
@@ -625,9 +622,12 @@ exports.deleteTransaction = async (req, res) => {
             return errorResponse(res, 'Transaction not found', 404);
         }
 
-        // Delete transaction
-        await prisma.transaction.delete({
-            where: { id: parseInt(id) }
+        // Delete transaction; its journal entries are reversed, not deleted
+        await prisma.$transaction(async (tx) => {
+            await tx.transaction.delete({
+                where: { id: parseInt(id) }
+            });
+            await syncTransactionJournal(tx, transaction.id);
         });
 
         return successResponse(res, null, 'Transaction deleted successfully', 200);
@@ -694,6 +694,7 @@ exports.getTransactionStatistics = async (req, res) => {
             prisma.transaction.findMany({
                 where: { ...filters, status: 'completed' },
                 select: {
+                    id: true,
                     amount: true,
                     transactionType: true,
                     fee: true
@@ -707,8 +708,8 @@ exports.getTransactionStatistics = async (req, res) => {
         let receivableCount = 0;
         let payableCount = 0;
 
-        allTransactions.forEach(t => {
-            const category = getTransactionCategory(t.transactionType);
+        (await withCategories(allTransactions)).forEach(t => {
+            const { category } = t;
             if (category === 'receivable') {
                 totalReceivable += t.amount || 0;
                 receivableCount++;
@@ -789,9 +790,7 @@ exports.getReceivablesSummary = async (req, res) => {
         });
 
         // Filter only receivables
-        const receivables = transactions.filter(t => 
-            getTransactionCategory(t.transactionType) === 'receivable'
-        );
+        const receivables = (await withCategories(transactions)).filter(t => t.category === 'receivable');
 
         const totalReceivable = receivables.reduce((sum, t) => sum + (t.amount || 0), 0);
 
@@ -851,9 +850,7 @@ exports.getPayablesSummary = async (req, res) => {
         });
 
         // Filter only payables
-        const payables = transactions.filter(t => 
-            getTransactionCategory(t.transactionType) === 'payable'
-        );
+        const payables = (await withCategories(transactions)).filter(t => t.category === 'payable');
 
         const totalPayable = payables.reduce((sum, t) => sum + (t.amount || 0), 0);
 
@@ -915,14 +912,18 @@ exports.handleWebhook = async (req, res) => {
         }
 
         // Update transaction status
-        const updatedTransaction = await prisma.transaction.update({
-            where: { id: transaction.id },
-            data: {
-                status: status || 'completed',
-                responseCode,
-                responseMessage,
-                rawResponse: rawResponse || req.body
-            }
+        const updatedTransaction = await prisma.$transaction(async (tx) => {
+            const updated = await tx.transaction.update({
+                where: { id: transaction.id },
+                data: {
+                    status: status || 'completed',
+                    responseCode,
+                    responseMessage,
+                    rawResponse: rawResponse || req.body
+                }
+            });
+            await syncTransactionJournal(tx, updated.id);
+            return updated;
         });
 
         return successResponse(res, updatedTransaction, 'Webhook processed successfully', 200);
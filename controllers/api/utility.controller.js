@@ -0,0 +1,432 @@
+// ===============================
+// Utility Metering Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+    resolveUnitRate,
+    splitMeterReading,
+    recordMeterReading,
+    billMeterReading
+} = require('../../Helper/utility.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+const UTILITY_TYPES = ['electricity', 'water'];
+const METER_SCOPES = ['room', 'floor'];
+
+const ensureMeterAccess = async (req, meterId) => {
+    const meter = await prisma.utilityMeter.findUnique({ where: { id: meterId } });
+    if (!meter) {
+        return { ok: false, status: 404, message: "Meter not found" };
+    }
+
+    const access = await ensureHostelAccess(req, meter.hostelId);
+    if (!access.ok) {
+        return access;
+    }
+
+    return { ok: true, meter };
+};
+
+const meterInclude = {
+    hostel: { select: { id: true, name: true } },
+    floor: { select: { id: true, floorNumber: true, floorName: true } },
+    room: { select: { id: true, roomNumber: true } }
+};
+
+// ===================================
+// CREATE METER
+// ===================================
+const createMeter = async (req, res) => {
+    try {
+        const { hostelId, scope, utilityType, roomId, floorId, meterNumber, unitRate, fixedCharge, notes } = req.body;
+
+        const parsedHostelId = parseInt(hostelId, 10);
+        if (Number.isNaN(parsedHostelId)) {
+            return errorResponse(res, "hostelId is required", 400);
+        }
+        if (!METER_SCOPES.includes(scope)) {
+            return errorResponse(res, `scope must be one of: ${METER_SCOPES.join(', ')}`, 400);
+        }
+        if (!UTILITY_TYPES.includes(utilityType)) {
+            return errorResponse(res, `utilityType must be one of: ${UTILITY_TYPES.join(', ')}`, 400);
+        }
+
+        const access = await ensureHostelAccess(req, parsedHostelId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        let meterFloorId = null;
+        let meterRoomId = null;
+
+        if (scope === 'room') {
+            const room = await prisma.room.findUnique({
+                where: { id: parseInt(roomId, 10) || 0 },
+                select: { id: true, hostelId: true, floorId: true }
+            });
+            if (!room || room.hostelId !== parsedHostelId) {
+                return errorResponse(res, "Room not found in this hostel", 404);
+            }
+            meterRoomId = room.id;
+            meterFloorId = room.floorId;
+        } else {
+            const floor = await prisma.floor.findUnique({
+                where: { id: parseInt(floorId, 10) || 0 },
+                select: { id: true, hostelId: true }
+            });
+            if (!floor || floor.hostelId !== parsedHostelId) {
+                return errorResponse(res, "Floor not found in this hostel", 404);
+            }
+            meterFloorId = floor.id;
+        }
+
+        const duplicate = await prisma.utilityMeter.findFirst({
+            where: {
+                hostelId: parsedHostelId,
+                scope,
+                utilityType,
+                isActive: true,
+                ...(scope === 'room' ? { roomId: meterRoomId } : { floorId: meterFloorId })
+            },
+            select: { id: true }
+        });
+        if (duplicate) {
+            return errorResponse(res, `An active ${utilityType} meter already exists for this ${scope}`, 400);
+        }
+
+        if (unitRate !== undefined && unitRate !== null && unitRate !== '' && !(Number(unitRate) >= 0)) {
+            return errorResponse(res, "unitRate must be a non-negative number", 400);
+        }
+        if (fixedCharge !== undefined && !(Number(fixedCharge) >= 0)) {
+            return errorResponse(res, "fixedCharge must be a non-negative number", 400);
+        }
+
+        const meter = await prisma.utilityMeter.create({
+            data: {
+                hostelId: parsedHostelId,
+                floorId: meterFloorId,
+                roomId: meterRoomId,
+                scope,
+                utilityType,
+                meterNumber: meterNumber || null,
+                unitRate: unitRate !== undefined && unitRate !== null && unitRate !== '' ? Number(unitRate) : null,
+                fixedCharge: fixedCharge !== undefined ? Number(fixedCharge) : 0,
+                notes: notes || null
+            },
+            include: meterInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "utilities",
+            description: `Added ${utilityType} meter #${meter.id} (${scope}) to hostel #${parsedHostelId}`
+        });
+
+        return successResponse(res, meter, "Meter created successfully", 201);
+    } catch (err) {
+        console.error("Create Meter Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET METERS
+// ===================================
+const getMeters = async (req, res) => {
+    try {
+        const { hostelId, floorId, roomId, utilityType, isActive } = req.query;
+
+        const where = {};
+        if (floorId) where.floorId = parseInt(floorId, 10);
+        if (roomId) where.roomId = parseInt(roomId, 10);
+        if (utilityType) where.utilityType = utilityType;
+        if (isActive !== undefined) where.isActive = isActive === 'true';
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            const access = await ensureHostelAccess(req, parsedHostelId);
+            if (!access.ok) {
+                return errorResponse(res, access.message, access.status);
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const meters = await prisma.utilityMeter.findMany({
+            where,
+            include: {
+                ...meterInclude,
+                readings: {
+                    orderBy: { periodEnd: 'desc' },
+                    take: 1
+                }
+            },
+            orderBy: [{ hostelId: 'asc' }, { id: 'asc' }]
+        });
+
+        const data = await Promise.all(meters.map(async ({ readings, ...meter }) => ({
+            ...meter,
+            effectiveUnitRate: await resolveUnitRate(meter),
+            lastReading: readings[0] || null
+        })));
+
+        return successResponse(res, data, "Meters retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Meters Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// UPDATE METER
+// ===================================
+const updateMeter = async (req, res) => {
+    try {
+        const meterId = parseInt(req.params.id, 10);
+        if (Number.isNaN(meterId)) {
+            return errorResponse(res, "Invalid meter id", 400);
+        }
+
+        const access = await ensureMeterAccess(req, meterId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { meterNumber, unitRate, fixedCharge, isActive, notes } = req.body;
+        const data = {};
+
+        if (meterNumber !== undefined) data.meterNumber = meterNumber || null;
+        if (unitRate !== undefined) {
+            if (unitRate !== null && unitRate !== '' && !(Number(unitRate) >= 0)) {
+                return errorResponse(res, "unitRate must be a non-negative number", 400);
+            }
+            data.unitRate = unitRate === null || unitRate === '' ? null : Number(unitRate);
+        }
+        if (fixedCharge !== undefined) {
+            if (!(Number(fixedCharge) >= 0)) {
+                return errorResponse(res, "fixedCharge must be a non-negative number", 400);
+            }
+            data.fixedCharge = Number(fixedCharge);
+        }
+        if (isActive !== undefined) data.isActive = isActive === true || isActive === 'true';
+        if (notes !== undefined) data.notes = notes || null;
+
+        const meter = await prisma.utilityMeter.update({
+            where: { id: meterId },
+            data,
+            include: meterInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "utilities",
+            description: `Updated ${meter.utilityType} meter #${meter.id}`
+        });
+
+        return successResponse(res, meter, "Meter updated successfully", 200);
+    } catch (err) {
+        console.error("Update Meter Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// RECORD METER READING
+// ===================================
+const recordReading = async (req, res) => {
+    try {
+        const meterId = parseInt(req.params.id, 10);
+        if (Number.isNaN(meterId)) {
+            return errorResponse(res, "Invalid meter id", 400);
+        }
+
+        const access = await ensureMeterAccess(req, meterId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { currentReading, readingDate, previousReading, periodStart, photoUrl, notes } = req.body;
+
+        const reading = await recordMeterReading(access.meter, {
+            currentReading,
+            readingDate,
+            previousReading,
+            periodStart,
+            photoUrl,
+            notes,
+            userId: req.userId || null
+        });
+
+        const split = await splitMeterReading(access.meter, reading);
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "utilities",
+            description: `Recorded reading ${reading.currentReading} on meter #${meterId}: ${reading.unitsConsumed} units, ${reading.totalAmount}`
+        });
+
+        return successResponse(res, { ...reading, split }, "Meter reading recorded successfully", 201);
+    } catch (err) {
+        console.error("Record Meter Reading Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET METER READINGS
+// ===================================
+const getMeterReadings = async (req, res) => {
+    try {
+        const meterId = parseInt(req.params.id, 10);
+        if (Number.isNaN(meterId)) {
+            return errorResponse(res, "Invalid meter id", 400);
+        }
+
+        const access = await ensureMeterAccess(req, meterId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { status, page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const where = { meterId };
+        if (status) where.status = status;
+
+        const [readings, total] = await Promise.all([
+            prisma.meterReading.findMany({
+                where,
+                include: {
+                    recorder: { select: { id: true, username: true } },
+                    charges: { select: { id: true, tenantId: true, amount: true, amountPaid: true, status: true } }
+                },
+                orderBy: { periodEnd: 'desc' },
+                take: limitNum,
+                skip: (pageNum - 1) * limitNum
+            }),
+            prisma.meterReading.count({ where })
+        ]);
+
+        return successResponse(res, {
+            meter: access.meter,
+            readings,
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Meter readings retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Meter Readings Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+const loadReadingWithAccess = async (req) => {
+    const readingId = parseInt(req.params.id, 10);
+    if (Number.isNaN(readingId)) {
+        return { ok: false, status: 400, message: "Invalid reading id" };
+    }
+
+    const reading = await prisma.meterReading.findUnique({
+        where: { id: readingId },
+        include: { meter: true }
+    });
+    if (!reading) {
+        return { ok: false, status: 404, message: "Meter reading not found" };
+    }
+
+    const access = await ensureHostelAccess(req, reading.meter.hostelId);
+    if (!access.ok) {
+        return access;
+    }
+
+    return { ok: true, reading };
+};
+
+// ===================================
+// PREVIEW READING SPLIT
+// ===================================
+const previewReadingSplit = async (req, res) => {
+    try {
+        const access = await loadReadingWithAccess(req);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { reading } = access;
+
+        // Billed readings show the split that was actually charged
+        if (reading.status === 'billed') {
+            return successResponse(res, {
+                reading,
+                shares: reading.split || [],
+                billed: true
+            }, "Meter reading split retrieved successfully", 200);
+        }
+
+        const split = await splitMeterReading(reading.meter, reading);
+
+        return successResponse(res, { reading, ...split, billed: false }, "Meter reading split retrieved successfully", 200);
+    } catch (err) {
+        console.error("Preview Reading Split Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// BILL METER READING
+// ===================================
+const billReading = async (req, res) => {
+    try {
+        const access = await loadReadingWithAccess(req);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const dryRun = req.body?.dryRun === true || req.body?.dryRun === 'true';
+        const result = await billMeterReading(access.reading.id, { dryRun });
+
+        if (!dryRun) {
+            await writeLog({
+                userId: req.userId,
+                action: "create",
+                module: "utilities",
+                description: `Billed meter reading #${access.reading.id}: ${result.charges.length} charge(s) totalling ${access.reading.totalAmount}`
+            });
+        }
+
+        return successResponse(
+            res,
+            result,
+            dryRun ? "Meter reading billing preview generated" : "Meter reading billed successfully",
+            dryRun ? 200 : 201
+        );
+    } catch (err) {
+        console.error("Bill Meter Reading Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createMeter,
+    getMeters,
+    updateMeter,
+    recordReading,
+    getMeterReadings,
+    previewReadingSplit,
+    billReading
+};
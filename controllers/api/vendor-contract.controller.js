@@ -0,0 +1,394 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/db');
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+  CONTRACT_STATUSES,
+  createVendorContract: postVendorContract,
+  updateVendorContract: reviseVendorContract,
+  renewVendorContract: renewContract,
+  terminateVendorContract: terminateContract,
+  getVendorRateCard: buildVendorRateCard,
+} = require('../../Helper/vendor-contract.helper');
+
+/**
+ * =====================================================
+ * VENDOR CONTRACT CONTROLLER - Contracts & Rate Cards
+ * =====================================================
+ *
+ * Vendor contracts with SLA terms, contracted service rates and renewal
+ * dates. Bills are checked against the rates in vendor-contract.helper.js.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseNullableInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+const contractInclude = {
+  vendor: { select: { id: true, name: true, companyName: true } },
+  hostel: { select: { id: true, name: true } },
+  creator: { select: { id: true, username: true } },
+  rates: {
+    include: { service: { select: { id: true, name: true, category: true, price: true, priceUnit: true } } },
+    orderBy: { serviceId: 'asc' },
+  },
+};
+
+const serializeContract = (contract, now = new Date()) => ({
+  ...contract,
+  daysToEnd: contract.status === 'active' ? Math.ceil((contract.endDate - now) / DAY_MS) : null,
+});
+
+/**
+ * Read the contract fields shared by create and update
+ * @returns {Object} { data } or { error }
+ */
+const readContractBody = (body, { partial = false } = {}) => {
+  const data = {};
+  const { hostelId, title, status, startDate, endDate, autoRenew, renewalTermMonths, renewalNoticeDays, slaTerms, terms, attachments, notes } = body;
+
+  if (hostelId !== undefined) data.hostelId = parseNullableInt(hostelId);
+  if (title !== undefined || !partial) {
+    if (!title) return { error: 'title is required' };
+    data.title = String(title).slice(0, 255);
+  }
+  if (status !== undefined) {
+    if (!['draft', 'active'].includes(status)) return { error: 'status must be draft or active' };
+    data.status = status;
+  }
+  if (startDate !== undefined || !partial) {
+    data.startDate = parseDate(startDate);
+    if (!data.startDate) return { error: 'Valid startDate is required' };
+  }
+  if (endDate !== undefined || !partial) {
+    data.endDate = parseDate(endDate);
+    if (!data.endDate) return { error: 'Valid endDate is required' };
+  }
+  if (autoRenew !== undefined) data.autoRenew = parseBoolean(autoRenew);
+  if (renewalTermMonths !== undefined) {
+    data.renewalTermMonths = parseNullableInt(renewalTermMonths);
+    if (data.renewalTermMonths !== null && data.renewalTermMonths <= 0) return { error: 'renewalTermMonths must be more than zero' };
+  }
+  if (renewalNoticeDays !== undefined) {
+    data.renewalNoticeDays = parseNullableInt(renewalNoticeDays);
+    if (data.renewalNoticeDays !== null && data.renewalNoticeDays < 0) return { error: 'renewalNoticeDays cannot be negative' };
+  }
+  if (slaTerms !== undefined) data.slaTerms = slaTerms || Prisma.DbNull;
+  if (terms !== undefined) data.terms = terms || null;
+  if (attachments !== undefined) data.attachments = attachments || Prisma.DbNull;
+  if (notes !== undefined) data.notes = notes || null;
+
+  return { data };
+};
+
+/**
+ * POST /api/admin/vendor-contracts
+ * Create a vendor contract with its rate card; rates left out default to the service's list price
+ */
+const createVendorContract = async (req, res) => {
+  try {
+    const { vendorId, rates = [] } = req.body || {};
+
+    const parsedVendorId = parseNullableInt(vendorId);
+    if (!parsedVendorId) {
+      return errorResponse(res, 'Valid vendorId is required', 400);
+    }
+    if (!Array.isArray(rates)) {
+      return errorResponse(res, 'rates must be an array', 400);
+    }
+    const { data, error } = readContractBody(req.body || {});
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const contract = await postVendorContract({ ...data, vendorId: parsedVendorId }, rates, { userId: req.user?.id || null });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'vendor_contracts',
+      description: `Created vendor contract ${contract.contractNumber} for vendor #${contract.vendorId} (${contract.startDate.toISOString().slice(0, 10)} to ${contract.endDate.toISOString().slice(0, 10)}, ${rates.length} rate(s))`,
+    });
+
+    const created = await prisma.vendorContract.findUnique({ where: { id: contract.id }, include: contractInclude });
+    return successResponse(res, serializeContract(created), 'Vendor contract created successfully', 201);
+  } catch (error) {
+    console.error('Create Vendor Contract Error:', error);
+    return errorResponse(res, error.message || 'Failed to create vendor contract', 400);
+  }
+};
+
+/**
+ * GET /api/admin/vendor-contracts
+ * List vendor contracts; expiringWithinDays lists active contracts ending soon
+ */
+const listVendorContracts = async (req, res) => {
+  try {
+    const { vendorId, hostelId, status, expiringWithinDays, search, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const now = new Date();
+
+    const where = {};
+    if (parseNullableInt(vendorId)) where.vendorId = parseNullableInt(vendorId);
+    if (parseNullableInt(hostelId)) where.hostelId = parseNullableInt(hostelId);
+    if (status) {
+      if (!CONTRACT_STATUSES.includes(status)) {
+        return errorResponse(res, `status must be one of: ${CONTRACT_STATUSES.join(', ')}`, 400);
+      }
+      where.status = status;
+    }
+    if (expiringWithinDays !== undefined) {
+      const days = parseNullableInt(expiringWithinDays);
+      if (days === null || days < 0) {
+        return errorResponse(res, 'expiringWithinDays must be zero or more', 400);
+      }
+      where.status = 'active';
+      where.endDate = { gte: now, lte: new Date(now.getTime() + days * DAY_MS) };
+    }
+    if (search && search.trim()) {
+      const term = search.trim();
+      where.OR = [
+        { contractNumber: { contains: term } },
+        { title: { contains: term } },
+        { vendor: { name: { contains: term } } },
+      ];
+    }
+
+    const [contracts, total] = await Promise.all([
+      prisma.vendorContract.findMany({
+        where,
+        include: {
+          vendor: { select: { id: true, name: true, companyName: true } },
+          hostel: { select: { id: true, name: true } },
+          _count: { select: { rates: true, bills: true } },
+        },
+        orderBy: [{ endDate: 'asc' }, { id: 'asc' }],
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.vendorContract.count({ where }),
+    ]);
+
+    return successResponse(res, {
+      contracts: contracts.map((contract) => serializeContract(contract, now)),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Vendor contracts fetched successfully');
+  } catch (error) {
+    console.error('List Vendor Contracts Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor contracts', 500);
+  }
+};
+
+/**
+ * GET /api/admin/vendor-contracts/:id
+ * Get a vendor contract with its rate card and the bills that went over it
+ */
+const getVendorContractById = async (req, res) => {
+  try {
+    const contractId = parseNullableInt(req.params.id);
+    if (!contractId) {
+      return errorResponse(res, 'Valid contract id is required', 400);
+    }
+
+    const contract = await prisma.vendorContract.findUnique({
+      where: { id: contractId },
+      include: {
+        ...contractInclude,
+        terminator: { select: { id: true, username: true } },
+      },
+    });
+    if (!contract) {
+      return errorResponse(res, 'Vendor contract not found', 404);
+    }
+
+    const [overchargedBills, billTotals] = await Promise.all([
+      prisma.vendorBill.findMany({
+        where: { contractId, rateStatus: 'overcharged', status: { not: 'cancelled' } },
+        select: { id: true, billNumber: true, billDate: true, amount: true, overchargeAmount: true, status: true },
+        orderBy: { billDate: 'desc' },
+      }),
+      prisma.vendorBill.aggregate({
+        where: { contractId, status: { not: 'cancelled' } },
+        _sum: { amount: true, overchargeAmount: true },
+        _count: { id: true },
+      }),
+    ]);
+
+    return successResponse(res, {
+      ...serializeContract(contract),
+      overchargedBills,
+      billSummary: {
+        bills: billTotals._count.id,
+        billed: billTotals._sum.amount || 0,
+        overcharged: billTotals._sum.overchargeAmount || 0,
+      },
+    }, 'Vendor contract fetched successfully');
+  } catch (error) {
+    console.error('Get Vendor Contract Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor contract', 500);
+  }
+};
+
+/**
+ * PUT /api/admin/vendor-contracts/:id
+ * Update a draft or active contract; rates, when sent, replace the whole rate card
+ */
+const updateVendorContract = async (req, res) => {
+  try {
+    const contractId = parseNullableInt(req.params.id);
+    if (!contractId) {
+      return errorResponse(res, 'Valid contract id is required', 400);
+    }
+
+    const { rates } = req.body || {};
+    if (rates !== undefined && !Array.isArray(rates)) {
+      return errorResponse(res, 'rates must be an array', 400);
+    }
+    const { data, error } = readContractBody(req.body || {}, { partial: true });
+    if (error) {
+      return errorResponse(res, error, 400);
+    }
+
+    const contract = await reviseVendorContract(contractId, data, rates);
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'vendor_contracts',
+      description: `Updated vendor contract ${contract.contractNumber}${rates !== undefined ? ` (rate card replaced, ${rates.length} rate(s))` : ''}`,
+    });
+
+    const updated = await prisma.vendorContract.findUnique({ where: { id: contractId }, include: contractInclude });
+    return successResponse(res, serializeContract(updated), 'Vendor contract updated successfully');
+  } catch (error) {
+    console.error('Update Vendor Contract Error:', error);
+    return errorResponse(res, error.message || 'Failed to update vendor contract', 400);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-contracts/:id/renew
+ * Renew a contract for another term, or up to the given endDate
+ */
+const renewVendorContract = async (req, res) => {
+  try {
+    const contractId = parseNullableInt(req.params.id);
+    if (!contractId) {
+      return errorResponse(res, 'Valid contract id is required', 400);
+    }
+    const endDate = parseDate(req.body?.endDate);
+    if (endDate === undefined) {
+      return errorResponse(res, 'Invalid endDate', 400);
+    }
+
+    const contract = await renewContract(contractId, { endDate, userId: req.user?.id || null });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'vendor_contracts',
+      description: `Renewed vendor contract ${contract.contractNumber} until ${contract.endDate.toISOString().slice(0, 10)}`,
+    });
+
+    const renewed = await prisma.vendorContract.findUnique({ where: { id: contractId }, include: contractInclude });
+    return successResponse(res, serializeContract(renewed), 'Vendor contract renewed successfully');
+  } catch (error) {
+    console.error('Renew Vendor Contract Error:', error);
+    return errorResponse(res, error.message || 'Failed to renew vendor contract', 400);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-contracts/:id/terminate
+ * End a contract early; bills dated before termination are still checked against it
+ */
+const terminateVendorContract = async (req, res) => {
+  try {
+    const contractId = parseNullableInt(req.params.id);
+    if (!contractId) {
+      return errorResponse(res, 'Valid contract id is required', 400);
+    }
+    const reason = req.body?.reason;
+    if (!reason) {
+      return errorResponse(res, 'reason is required', 400);
+    }
+
+    const contract = await terminateContract(contractId, { userId: req.user?.id || null, reason });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'vendor_contracts',
+      description: `Terminated vendor contract ${contract.contractNumber}: ${reason}`,
+    });
+
+    return successResponse(res, serializeContract(contract), 'Vendor contract terminated successfully');
+  } catch (error) {
+    console.error('Terminate Vendor Contract Error:', error);
+    return errorResponse(res, error.message || 'Failed to terminate vendor contract', 400);
+  }
+};
+
+/**
+ * GET /api/admin/vendors/:id/rate-card
+ * Contracted rates of a vendor for a hostel on a date (default: today)
+ */
+const getVendorRateCard = async (req, res) => {
+  try {
+    const vendorId = parseNullableInt(req.params.id);
+    if (!vendorId) {
+      return errorResponse(res, 'Valid vendor id is required', 400);
+    }
+    const date = parseDate(req.query.date);
+    if (date === undefined) {
+      return errorResponse(res, 'Invalid date', 400);
+    }
+
+    const vendor = await prisma.vendor.findUnique({ where: { id: vendorId }, select: { id: true, name: true } });
+    if (!vendor) {
+      return errorResponse(res, 'Vendor not found', 404);
+    }
+
+    const rateCard = await buildVendorRateCard(vendorId, {
+      hostelId: parseNullableInt(req.query.hostelId),
+      date: date || new Date(),
+    });
+
+    return successResponse(res, {
+      vendor,
+      contract: rateCard?.contract || null,
+      rates: rateCard?.rates || [],
+    }, rateCard ? 'Vendor rate card fetched successfully' : 'No active contract for this vendor');
+  } catch (error) {
+    console.error('Get Vendor Rate Card Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor rate card', 500);
+  }
+};
+
+module.exports = {
+  createVendorContract,
+  listVendorContracts,
+  getVendorContractById,
+  updateVendorContract,
+  renewVendorContract,
+  terminateVendorContract,
+  getVendorRateCard,
+};
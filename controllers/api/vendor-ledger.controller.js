@@ -0,0 +1,599 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../../config/db');
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+  OPEN_BILL_STATUSES,
+  createVendorBill: postVendorBill,
+  updateVendorBill: reviseVendorBill,
+  cancelVendorBill: cancelBill,
+  recordVendorPayment: postVendorPayment,
+  applyVendorPayment: applyPayment,
+  voidVendorPayment: voidPayment,
+  agingBucket,
+  getVendorStatement: buildVendorStatement,
+} = require('../../Helper/vendor-ledger.helper');
+const { applyBillRateCheck } = require('../../Helper/vendor-contract.helper');
+
+/**
+ * =====================================================
+ * VENDOR LEDGER CONTROLLER - Bills & Payments
+ * =====================================================
+ *
+ * Vendor bills, payments applied against them, and vendor statements.
+ * Vendor totals are recomputed from these records (see vendor-ledger.helper.js).
+ */
+
+const BILL_STATUSES = ['open', 'partially_paid', 'paid', 'cancelled'];
+const RATE_STATUSES = ['unchecked', 'within_contract', 'overcharged'];
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'upi', 'cheque', 'online', 'stripe'];
+
+const parseNullableInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const parseNullableFloat = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Read [{ billId, amount? }] from a request body
+ * @returns {Array|null|undefined} null when not sent, undefined when invalid
+ */
+const parseAllocations = (value) => {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) return undefined;
+
+  const allocations = value.map((entry) => ({
+    billId: parseNullableInt(entry?.billId),
+    amount: parseNullableFloat(entry?.amount) ?? undefined,
+  }));
+  if (allocations.some((entry) => !entry.billId)) return undefined;
+  if (new Set(allocations.map((entry) => entry.billId)).size !== allocations.length) return undefined;
+  return allocations;
+};
+
+const billInclude = {
+  vendor: { select: { id: true, name: true, companyName: true, paymentTerms: true } },
+  hostel: { select: { id: true, name: true } },
+  purchaseOrder: { select: { id: true, poNumber: true } },
+  contract: { select: { id: true, contractNumber: true, title: true } },
+  creator: { select: { id: true, username: true } },
+};
+
+const serializeBill = (bill, asOf = new Date()) => {
+  const outstanding = Math.round((bill.amount - bill.amountPaid) * 100) / 100;
+  const isOpen = OPEN_BILL_STATUSES.includes(bill.status);
+  return {
+    ...bill,
+    outstanding: isOpen ? outstanding : 0,
+    isOverdue: isOpen && outstanding > 0 && bill.dueDate < asOf,
+    agingBucket: isOpen && outstanding > 0 ? agingBucket(bill.dueDate, asOf) : null,
+  };
+};
+
+/**
+ * POST /api/admin/vendor-bills
+ * Record a bill from a vendor; the due date follows the vendor's payment terms unless given.
+ * Lines naming a serviceId are checked against the vendor's contract rates.
+ */
+const createVendorBill = async (req, res) => {
+  try {
+    const { vendorId, hostelId, vendorInvoiceNumber, description, billDate, dueDate, amount, items, attachments, notes } =
+      req.body || {};
+
+    const parsedVendorId = parseNullableInt(vendorId);
+    if (!parsedVendorId) {
+      return errorResponse(res, 'Valid vendorId is required', 400);
+    }
+    if (!description) {
+      return errorResponse(res, 'description is required', 400);
+    }
+    if (items !== undefined && !Array.isArray(items)) {
+      return errorResponse(res, 'items must be an array', 400);
+    }
+    const parsedAmount = parseNullableFloat(amount);
+    if (parsedAmount === null ? !items?.length : parsedAmount <= 0) {
+      return errorResponse(res, 'amount must be more than zero, or send items to total', 400);
+    }
+    const parsedBillDate = parseDate(billDate);
+    const parsedDueDate = parseDate(dueDate);
+    if (parsedBillDate === undefined || parsedDueDate === undefined) {
+      return errorResponse(res, 'Invalid billDate or dueDate', 400);
+    }
+
+    const bill = await postVendorBill(
+      {
+        vendorId: parsedVendorId,
+        hostelId: parseNullableInt(hostelId),
+        vendorInvoiceNumber: vendorInvoiceNumber || null,
+        description,
+        billDate: parsedBillDate,
+        dueDate: parsedDueDate,
+        amount: parsedAmount ?? undefined,
+        items: items?.length ? items : undefined,
+        attachments: attachments || null,
+        notes: notes || null,
+      },
+      { userId: req.user?.id || null },
+    );
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'vendor_ledger',
+      description: `Recorded vendor bill ${bill.billNumber} (${bill.amount}) for vendor #${bill.vendorId}, due ${bill.dueDate.toISOString().slice(0, 10)}${bill.rateStatus === 'overcharged' ? `, ${bill.overchargeAmount} above contract rates` : ''}`,
+    });
+
+    const created = await prisma.vendorBill.findUnique({ where: { id: bill.id }, include: billInclude });
+    return successResponse(res, serializeBill(created), 'Vendor bill recorded successfully', 201);
+  } catch (error) {
+    console.error('Create Vendor Bill Error:', error);
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'This vendor invoice number has already been recorded for the vendor', 409);
+    }
+    return errorResponse(res, error.message || 'Failed to record vendor bill', 400);
+  }
+};
+
+/**
+ * GET /api/admin/vendor-bills
+ * List vendor bills with what is outstanding and how overdue it is
+ */
+const listVendorBills = async (req, res) => {
+  try {
+    const { vendorId, hostelId, status, rateStatus, overdue, search, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const asOf = new Date();
+
+    const where = {};
+    if (parseNullableInt(vendorId)) where.vendorId = parseNullableInt(vendorId);
+    if (parseNullableInt(hostelId)) where.hostelId = parseNullableInt(hostelId);
+    if (status) {
+      if (!BILL_STATUSES.includes(status)) {
+        return errorResponse(res, `status must be one of: ${BILL_STATUSES.join(', ')}`, 400);
+      }
+      where.status = status;
+    }
+    if (rateStatus) {
+      if (!RATE_STATUSES.includes(rateStatus)) {
+        return errorResponse(res, `rateStatus must be one of: ${RATE_STATUSES.join(', ')}`, 400);
+      }
+      where.rateStatus = rateStatus;
+    }
+    if (overdue === 'true') {
+      where.status = { in: OPEN_BILL_STATUSES };
+      where.dueDate = { lt: asOf };
+    }
+    if (search && search.trim()) {
+      const term = search.trim();
+      where.OR = [
+        { billNumber: { contains: term } },
+        { vendorInvoiceNumber: { contains: term } },
+        { description: { contains: term } },
+        { vendor: { name: { contains: term } } },
+      ];
+    }
+
+    const [bills, total, totals] = await Promise.all([
+      prisma.vendorBill.findMany({
+        where,
+        include: billInclude,
+        orderBy: [{ dueDate: 'asc' }, { id: 'asc' }],
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.vendorBill.count({ where }),
+      prisma.vendorBill.aggregate({
+        // Outstanding across every open bill matching the other filters
+        where: { ...where, status: OPEN_BILL_STATUSES.includes(where.status) ? where.status : { in: OPEN_BILL_STATUSES } },
+        _sum: { amount: true, amountPaid: true },
+      }),
+    ]);
+
+    return successResponse(res, {
+      bills: bills.map((bill) => serializeBill(bill, asOf)),
+      summary: {
+        outstanding: Math.round(((totals._sum.amount || 0) - (totals._sum.amountPaid || 0)) * 100) / 100,
+      },
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Vendor bills fetched successfully');
+  } catch (error) {
+    console.error('List Vendor Bills Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor bills', 500);
+  }
+};
+
+/**
+ * GET /api/admin/vendor-bills/:id
+ * Get a vendor bill with the payments applied to it
+ */
+const getVendorBillById = async (req, res) => {
+  try {
+    const billId = parseNullableInt(req.params.id);
+    if (!billId) {
+      return errorResponse(res, 'Valid bill id is required', 400);
+    }
+
+    const bill = await prisma.vendorBill.findUnique({
+      where: { id: billId },
+      include: {
+        ...billInclude,
+        canceller: { select: { id: true, username: true } },
+        allocations: {
+          include: {
+            payment: {
+              select: { id: true, paymentNumber: true, paymentDate: true, paymentMethod: true, referenceNumber: true, amount: true },
+            },
+          },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+    if (!bill) {
+      return errorResponse(res, 'Vendor bill not found', 404);
+    }
+
+    return successResponse(res, serializeBill(bill), 'Vendor bill fetched successfully');
+  } catch (error) {
+    console.error('Get Vendor Bill Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor bill', 500);
+  }
+};
+
+/**
+ * PUT /api/admin/vendor-bills/:id
+ * Update a vendor bill; the amount cannot drop below what has been paid.
+ * New items replace the lines (and the amount, unless one is sent) and are re-checked against contract rates.
+ */
+const updateVendorBill = async (req, res) => {
+  try {
+    const billId = parseNullableInt(req.params.id);
+    if (!billId) {
+      return errorResponse(res, 'Valid bill id is required', 400);
+    }
+
+    const { hostelId, vendorInvoiceNumber, description, billDate, dueDate, amount, items, attachments, notes } = req.body || {};
+    const updates = {};
+    if (hostelId !== undefined) updates.hostelId = parseNullableInt(hostelId);
+    if (vendorInvoiceNumber !== undefined) updates.vendorInvoiceNumber = vendorInvoiceNumber || null;
+    if (description !== undefined) {
+      if (!description) return errorResponse(res, 'description cannot be empty', 400);
+      updates.description = String(description).slice(0, 500);
+    }
+    if (attachments !== undefined) updates.attachments = attachments || Prisma.DbNull;
+    if (notes !== undefined) updates.notes = notes || null;
+    if (items !== undefined) {
+      if (items !== null && !Array.isArray(items)) return errorResponse(res, 'items must be an array or null', 400);
+      updates.items = items?.length ? items : null;
+    }
+    if (amount !== undefined) {
+      updates.amount = parseNullableFloat(amount);
+      if (updates.amount === null || updates.amount <= 0) {
+        return errorResponse(res, 'amount must be more than zero', 400);
+      }
+    }
+    if (billDate !== undefined || dueDate !== undefined) {
+      updates.billDate = parseDate(billDate);
+      updates.dueDate = parseDate(dueDate);
+      if (updates.billDate === undefined || updates.dueDate === undefined) {
+        return errorResponse(res, 'Invalid billDate or dueDate', 400);
+      }
+    }
+
+    const bill = await reviseVendorBill(billId, updates);
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'vendor_ledger',
+      description: `Updated vendor bill ${bill.billNumber}${updates.amount !== undefined ? ` (amount ${bill.amount})` : ''}`,
+    });
+
+    const updated = await prisma.vendorBill.findUnique({ where: { id: billId }, include: billInclude });
+    return successResponse(res, serializeBill(updated), 'Vendor bill updated successfully');
+  } catch (error) {
+    console.error('Update Vendor Bill Error:', error);
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'This vendor invoice number has already been recorded for the vendor', 409);
+    }
+    return errorResponse(res, error.message || 'Failed to update vendor bill', 400);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-bills/:id/rate-check
+ * Check a vendor bill's lines against the contract rates again, e.g. after the rate card changed
+ */
+const checkVendorBillRates = async (req, res) => {
+  try {
+    const billId = parseNullableInt(req.params.id);
+    if (!billId) {
+      return errorResponse(res, 'Valid bill id is required', 400);
+    }
+
+    const bill = await prisma.$transaction((tx) => applyBillRateCheck(billId, { client: tx }));
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'vendor_ledger',
+      description: `Checked vendor bill ${bill.billNumber} against contract rates: ${bill.rateStatus}${bill.overchargeAmount ? ` (${bill.overchargeAmount} over)` : ''}`,
+    });
+
+    const checked = await prisma.vendorBill.findUnique({ where: { id: billId }, include: billInclude });
+    return successResponse(res, serializeBill(checked), 'Vendor bill rates checked successfully');
+  } catch (error) {
+    console.error('Check Vendor Bill Rates Error:', error);
+    return errorResponse(res, error.message || 'Failed to check vendor bill rates', 400);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-bills/:id/cancel
+ * Cancel a vendor bill; payments applied to it become vendor credit
+ */
+const cancelVendorBill = async (req, res) => {
+  try {
+    const billId = parseNullableInt(req.params.id);
+    if (!billId) {
+      return errorResponse(res, 'Valid bill id is required', 400);
+    }
+
+    const bill = await cancelBill(billId, { userId: req.user?.id || null, reason: req.body?.reason || null });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'cancel',
+      module: 'vendor_ledger',
+      description: `Cancelled vendor bill ${bill.billNumber} (${bill.amount})${bill.cancelReason ? `: ${bill.cancelReason}` : ''}`,
+    });
+
+    return successResponse(res, serializeBill(bill), 'Vendor bill cancelled successfully');
+  } catch (error) {
+    console.error('Cancel Vendor Bill Error:', error);
+    return errorResponse(res, error.message || 'Failed to cancel vendor bill', 400);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-payments
+ * Record a payment to a vendor and apply it to bills
+ */
+const recordVendorPayment = async (req, res) => {
+  try {
+    const { vendorId, hostelId, amount, paymentDate, paymentMethod, referenceNumber, notes } = req.body || {};
+
+    const parsedVendorId = parseNullableInt(vendorId);
+    if (!parsedVendorId) {
+      return errorResponse(res, 'Valid vendorId is required', 400);
+    }
+    const parsedAmount = parseNullableFloat(amount);
+    if (parsedAmount === null || parsedAmount <= 0) {
+      return errorResponse(res, 'amount must be more than zero', 400);
+    }
+    if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+      return errorResponse(res, `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`, 400);
+    }
+    const parsedPaymentDate = parseDate(paymentDate);
+    if (parsedPaymentDate === undefined) {
+      return errorResponse(res, 'Invalid paymentDate', 400);
+    }
+    const allocations = parseAllocations(req.body?.allocations);
+    if (allocations === undefined) {
+      return errorResponse(res, 'allocations must be a list of { billId, amount? } with each bill once', 400);
+    }
+
+    const payment = await postVendorPayment(
+      {
+        vendorId: parsedVendorId,
+        hostelId: parseNullableInt(hostelId),
+        amount: parsedAmount,
+        paymentDate: parsedPaymentDate,
+        paymentMethod: paymentMethod || null,
+        referenceNumber: referenceNumber || null,
+        notes: notes || null,
+      },
+      allocations,
+      { userId: req.user?.id || null },
+    );
+
+    const applied = payment.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+    const unapplied = Math.round((payment.amount - applied) * 100) / 100;
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'create',
+      module: 'vendor_ledger',
+      description: `Recorded vendor payment ${payment.paymentNumber} (${payment.amount}) to vendor #${payment.vendorId} against ${payment.allocations.length} bill(s)${unapplied > 0 ? `; ${unapplied} kept as credit` : ''}`,
+    });
+
+    return successResponse(res, { ...payment, unapplied }, 'Vendor payment recorded successfully', 201);
+  } catch (error) {
+    console.error('Record Vendor Payment Error:', error);
+    return errorResponse(res, error.message || 'Failed to record vendor payment', 400);
+  }
+};
+
+/**
+ * GET /api/admin/vendor-payments
+ * List vendor payments with the bills they were applied to
+ */
+const listVendorPayments = async (req, res) => {
+  try {
+    const { vendorId, hostelId, includeVoided, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNumber = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const where = {};
+    if (parseNullableInt(vendorId)) where.vendorId = parseNullableInt(vendorId);
+    if (parseNullableInt(hostelId)) where.hostelId = parseNullableInt(hostelId);
+    if (includeVoided !== 'true') where.voidedAt = null;
+    if (startDate || endDate) {
+      where.paymentDate = {
+        ...(startDate ? { gte: new Date(startDate) } : {}),
+        ...(endDate ? { lte: new Date(endDate) } : {}),
+      };
+    }
+
+    const [payments, total] = await Promise.all([
+      prisma.vendorPayment.findMany({
+        where,
+        include: {
+          vendor: { select: { id: true, name: true, companyName: true } },
+          hostel: { select: { id: true, name: true } },
+          recorder: { select: { id: true, username: true } },
+          allocations: { include: { bill: { select: { id: true, billNumber: true, status: true } } } },
+        },
+        orderBy: [{ paymentDate: 'desc' }, { id: 'desc' }],
+        skip: (pageNumber - 1) * limitNumber,
+        take: limitNumber,
+      }),
+      prisma.vendorPayment.count({ where }),
+    ]);
+
+    return successResponse(res, {
+      payments: payments.map((payment) => ({
+        ...payment,
+        unapplied: payment.voidedAt
+          ? 0
+          : Math.round((payment.amount - payment.allocations.reduce((sum, allocation) => sum + allocation.amount, 0)) * 100) / 100,
+      })),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: limitNumber,
+        pages: Math.ceil(total / limitNumber),
+      },
+    }, 'Vendor payments fetched successfully');
+  } catch (error) {
+    console.error('List Vendor Payments Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor payments', 500);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-payments/:id/apply
+ * Apply a payment's unapplied amount (vendor credit) to bills
+ */
+const applyVendorPayment = async (req, res) => {
+  try {
+    const paymentId = parseNullableInt(req.params.id);
+    if (!paymentId) {
+      return errorResponse(res, 'Valid payment id is required', 400);
+    }
+    const allocations = parseAllocations(req.body?.allocations);
+    if (allocations === undefined) {
+      return errorResponse(res, 'allocations must be a list of { billId, amount? } with each bill once', 400);
+    }
+
+    const result = await applyPayment(paymentId, allocations);
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'update',
+      module: 'vendor_ledger',
+      description: `Applied vendor payment #${paymentId} to ${result.allocations.length} bill(s); ${result.unapplied} left unapplied`,
+    });
+
+    return successResponse(res, result, 'Vendor payment applied successfully');
+  } catch (error) {
+    console.error('Apply Vendor Payment Error:', error);
+    return errorResponse(res, error.message || 'Failed to apply vendor payment', 400);
+  }
+};
+
+/**
+ * POST /api/admin/vendor-payments/:id/void
+ * Void a vendor payment; the bills it paid are open again
+ */
+const voidVendorPayment = async (req, res) => {
+  try {
+    const paymentId = parseNullableInt(req.params.id);
+    if (!paymentId) {
+      return errorResponse(res, 'Valid payment id is required', 400);
+    }
+    if (!req.body?.reason) {
+      return errorResponse(res, 'reason is required', 400);
+    }
+
+    const payment = await voidPayment(paymentId, { userId: req.user?.id || null, reason: req.body.reason });
+
+    await writeLog({
+      userId: req.user?.id,
+      action: 'void',
+      module: 'vendor_ledger',
+      description: `Voided vendor payment ${payment.paymentNumber} (${payment.amount}): ${payment.voidReason}`,
+    });
+
+    return successResponse(res, payment, 'Vendor payment voided successfully');
+  } catch (error) {
+    console.error('Void Vendor Payment Error:', error);
+    return errorResponse(res, error.message || 'Failed to void vendor payment', 400);
+  }
+};
+
+/**
+ * GET /api/admin/vendors/:id/statement
+ * Bills and payments of a vendor with a running balance, unapplied credit and aging
+ */
+const getVendorStatement = async (req, res) => {
+  try {
+    const vendorId = parseNullableInt(req.params.id);
+    if (!vendorId) {
+      return errorResponse(res, 'Valid vendor id is required', 400);
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    const asOf = parseDate(req.query.asOf);
+    if (from === undefined || to === undefined || asOf === undefined) {
+      return errorResponse(res, 'Invalid from, to or asOf date', 400);
+    }
+
+    const vendor = await prisma.vendor.findUnique({
+      where: { id: vendorId },
+      select: { id: true, name: true, companyName: true, paymentTerms: true, totalPayable: true, totalPaid: true, balance: true },
+    });
+    if (!vendor) {
+      return errorResponse(res, 'Vendor not found', 404);
+    }
+
+    const statement = await buildVendorStatement(vendorId, { from, to, asOf: asOf || new Date() });
+
+    return successResponse(res, { vendor, ...statement }, 'Vendor statement fetched successfully');
+  } catch (error) {
+    console.error('Get Vendor Statement Error:', error);
+    return errorResponse(res, error.message || 'Failed to fetch vendor statement', 500);
+  }
+};
+
+module.exports = {
+  createVendorBill,
+  listVendorBills,
+  getVendorBillById,
+  updateVendorBill,
+  checkVendorBillRates,
+  cancelVendorBill,
+  recordVendorPayment,
+  listVendorPayments,
+  applyVendorPayment,
+  voidVendorPayment,
+  getVendorStatement,
+};
@@ -463,12 +463,14 @@ const getAllServices = async (req, res) => {
 
 /**
  * GET /api/admin/vendor/management/vendors
- * Get all available vendors for assignment
+ * Get all available vendors for assignment; with serviceId, only the vendors
+ * assigned to that service, best performance score first
  */
 const getAvailableVendors = async (req, res) => {
   try {
-    const { search, hostelId, status = 'active' } = req.query;
+    const { search, hostelId, serviceId, status = 'active' } = req.query;
     const parsedHostelId = parseNullableInt(hostelId);
+    const parsedServiceId = parseNullableInt(serviceId);
 
     const where = {
       status: status === 'all' ? undefined : status,
@@ -492,6 +494,16 @@ const getAvailableVendors = async (req, res) => {
       ];
     }
 
+    if (parsedServiceId) {
+      where.serviceAssignments = {
+        some: {
+          serviceId: parsedServiceId,
+          isActive: true,
+          ...(parsedHostelId ? { OR: [{ hostelId: parsedHostelId }, { hostelId: null }] } : {}),
+        },
+      };
+    }
+
     const vendors = await prisma.vendor.findMany({
       where,
       orderBy: { name: 'asc' },
@@ -503,6 +515,7 @@ const getAvailableVendors = async (req, res) => {
         phone: true,
         status: true,
         category: true,
+        performanceScore: true,
         hostel: {
           select: {
             id: true,
@@ -512,7 +525,16 @@ const getAvailableVendors = async (req, res) => {
       },
     });
 
-    return successResponse(res, vendors, 'Vendors retrieved successfully', 200);
+    if (!parsedServiceId) {
+      return successResponse(res, vendors, 'Vendors retrieved successfully', 200);
+    }
+
+    // Unscored vendors go after every scored one, by name
+    const ranked = [...vendors]
+      .sort((a, b) => (b.performanceScore ?? -1) - (a.performanceScore ?? -1))
+      .map((vendor, index) => ({ ...vendor, rank: index + 1 }));
+
+    return successResponse(res, ranked, 'Vendors retrieved successfully', 200);
   } catch (error) {
     console.error('Get Available Vendors Error:', error);
     return errorResponse(res, error.message || 'Failed to fetch vendors', 500);
@@ -1,5 +1,7 @@
 const { prisma } = require('../../config/db');
 const { successResponse, errorResponse } = require('../../Helper/helper');
+const { syncVendorBalance } = require('../../Helper/vendor-ledger.helper');
+const { refreshVendorScores, getVendorScorecard: buildVendorScorecard } = require('../../Helper/vendor-score.helper');
 
 const ALLOWED_STATUSES = ['active', 'inactive', 'blacklisted', 'pending'];
 const STATUS_LABELS = {
@@ -208,6 +210,10 @@ const serializeVendor = (vendor, metricMaps = {}) => {
       average: rating.average,
       totalReviews: rating.totalReviews || 0,
     },
+    performance: {
+      score: vendor.performanceScore ?? null,
+      scoredAt: vendor.performanceScoredAt ?? null,
+    },
     createdAt: vendor.createdAt,
     updatedAt: vendor.updatedAt,
   };
@@ -660,22 +666,23 @@ const deleteVendor = async (req, res) => {
   }
 };
 
-const updateVendorFinancials = async (req, res) => {
+// Totals are derived from vendor bills and payments (see vendor-ledger.helper.js)
+const recalculateVendorFinancials = async (req, res) => {
   try {
     const vendorId = parseNullableInt(req.params.id);
     if (!vendorId) {
       return errorResponse(res, 'Valid vendor id is required', 400);
     }
 
-    const { deltaPayable = 0, deltaPaid = 0 } = req.body || {};
+    const existing = await prisma.vendor.findUnique({ where: { id: vendorId }, select: { id: true } });
+    if (!existing) {
+      return errorResponse(res, 'Vendor not found', 404);
+    }
 
-    const vendor = await prisma.vendor.update({
+    await syncVendorBalance(vendorId);
+
+    const vendor = await prisma.vendor.findUnique({
       where: { id: vendorId },
-      data: {
-        totalPayable: { increment: parseFloat(deltaPayable) },
-        totalPaid: { increment: parseFloat(deltaPaid) },
-        balance: { increment: parseFloat(deltaPayable) - parseFloat(deltaPaid) },
-      },
       include: {
         hostel: { select: { id: true, name: true } },
       },
@@ -684,10 +691,10 @@ const updateVendorFinancials = async (req, res) => {
     const metricMaps = await fetchVendorMetrics([vendor.id]);
     const serialized = serializeVendor(vendor, metricMaps);
 
-    return successResponse(res, serialized, 'Vendor financials updated');
+    return successResponse(res, serialized, 'Vendor financials recalculated');
   } catch (error) {
-    console.error('Update Vendor Financials Error:', error);
-    const errorMessage = error.message || 'Failed to update vendor financials';
+    console.error('Recalculate Vendor Financials Error:', error);
+    const errorMessage = error.message || 'Failed to recalculate vendor financials';
     return errorResponse(res, errorMessage, 500);
   }
 };
@@ -704,18 +711,30 @@ const recordVendorScore = async (req, res) => {
     if (score === undefined || score === null) {
       return errorResponse(res, 'Score is required', 400);
     }
+    const numericScore = Number(score);
+    if (!Number.isFinite(numericScore) || numericScore < 1 || numericScore > 5) {
+      return errorResponse(res, 'Score must be between 1 and 5', 400);
+    }
+
+    const vendor = await prisma.vendor.findUnique({ where: { id: vendorId }, select: { id: true } });
+    if (!vendor) {
+      return errorResponse(res, 'Vendor not found', 404);
+    }
 
     const payload = await prisma.scoreCard.create({
       data: {
         entityType: 'vendor',
         entityId: vendorId,
-        score: Number(score),
+        score: numericScore,
         criteria: criteria ? JSON.stringify(criteria) : null,
         remarks: remarks || null,
         recordedBy: req.user?.id || null,
       },
     });
 
+    // Blend the rating into this month's scorecard straight away
+    await refreshVendorScores({ vendorIds: [vendorId] });
+
     return successResponse(res, payload, 'Vendor score recorded successfully', 201);
   } catch (error) {
     console.error('Record Vendor Score Error:', error);
@@ -756,14 +775,45 @@ const getVendorScores = async (req, res) => {
   }
 };
 
+const getVendorScorecard = async (req, res) => {
+  try {
+    const vendorId = parseNullableInt(req.params.id);
+    if (!vendorId) {
+      return errorResponse(res, 'Valid vendor id is required', 400);
+    }
+
+    const months = parseNullableInt(req.query.months);
+    if (months !== null && (months < 1 || months > 36)) {
+      return errorResponse(res, 'months must be between 1 and 36', 400);
+    }
+
+    const vendor = await prisma.vendor.findUnique({
+      where: { id: vendorId },
+      select: { id: true, name: true, performanceScore: true, performanceScoredAt: true },
+    });
+    if (!vendor) {
+      return errorResponse(res, 'Vendor not found', 404);
+    }
+
+    const scorecard = await buildVendorScorecard(vendorId, { months });
+
+    return successResponse(res, { vendor, ...scorecard }, 'Vendor scorecard fetched successfully');
+  } catch (error) {
+    console.error('Get Vendor Scorecard Error:', error);
+    const errorMessage = error.message || 'Failed to fetch vendor scorecard';
+    return errorResponse(res, errorMessage, 500);
+  }
+};
+
 module.exports = {
   createVendor,
   listVendors,
   getVendorById,
   updateVendor,
   deleteVendor,
-  updateVendorFinancials,
+  recalculateVendorFinancials,
   recordVendorScore,
   getVendorScores,
+  getVendorScorecard,
 };
 
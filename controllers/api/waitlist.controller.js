@@ -0,0 +1,469 @@
+// ===============================
+// Waitlist Controller
+// ===============================
+
+const { successResponse, errorResponse } = require('../../Helper/helper');
+const { prisma } = require('../../config/db');
+const { writeLog } = require('../../Helper/audit.helper');
+const {
+    isHostelTypeCompatible,
+    offerBedToWaitingEntry,
+    closeOffer,
+    acceptOffer
+} = require('../../Helper/waitlist.helper');
+const { buildHostelScopeFilter, ensureHostelAccess } = require('../../Helper/hostel-access.helper');
+
+const ROOM_TYPES = ['single', 'double', 'triple', 'quad', 'dormitory', 'suite'];
+const HOSTEL_TYPES = ['boys', 'girls', 'family', 'mixed'];
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// Prospects (role "user") only see and manage their own entries
+const isProspect = (req) => !req.isAdmin && req.userRole?.roleName?.toLowerCase() === 'user';
+
+const ensureEntryAccess = async (req, entryId) => {
+    const entry = await prisma.waitlistEntry.findUnique({ where: { id: entryId } });
+    if (!entry) {
+        return { ok: false, status: 404, message: "Waitlist entry not found" };
+    }
+
+    if (isProspect(req)) {
+        return entry.userId === req.userId
+            ? { ok: true, entry }
+            : { ok: false, status: 403, message: "You are not allowed to manage this waitlist entry" };
+    }
+
+    const access = await ensureHostelAccess(req, entry.hostelId);
+    if (!access.ok) {
+        return access;
+    }
+
+    return { ok: true, entry };
+};
+
+const entryInclude = {
+    hostel: { select: { id: true, name: true } },
+    offeredBed: {
+        select: {
+            id: true,
+            bedNumber: true,
+            room: { select: { id: true, roomNumber: true, roomType: true } }
+        }
+    },
+    booking: { select: { id: true, bookingCode: true, status: true } },
+    tenant: { select: { id: true, name: true } }
+};
+
+// Place in line among the waiting entries of the same hostel (1 = next)
+const withPositions = async (entries) => Promise.all(entries.map(async (entry) => ({
+    ...entry,
+    position: entry.status === 'waiting'
+        ? await prisma.waitlistEntry.count({
+            where: {
+                hostelId: entry.hostelId,
+                status: 'waiting',
+                OR: [
+                    { createdAt: { lt: entry.createdAt } },
+                    { createdAt: entry.createdAt, id: { lt: entry.id } }
+                ]
+            }
+        }) + 1
+        : null
+})));
+
+// ===================================
+// JOIN WAITLIST
+// ===================================
+const createWaitlistEntry = async (req, res) => {
+    try {
+        const {
+            hostelId,
+            roomType,
+            hostelType,
+            moveInFrom,
+            moveInTo,
+            numberOfGuests = 1,
+            tenantId,
+            customerName,
+            customerPhone,
+            customerEmail,
+            customerCnic,
+            notes
+        } = req.body;
+
+        const parsedHostelId = parseInt(hostelId, 10);
+        if (Number.isNaN(parsedHostelId)) {
+            return errorResponse(res, "hostelId is required", 400);
+        }
+        if (roomType && !ROOM_TYPES.includes(roomType)) {
+            return errorResponse(res, `roomType must be one of: ${ROOM_TYPES.join(', ')}`, 400);
+        }
+        if (hostelType && !HOSTEL_TYPES.includes(hostelType)) {
+            return errorResponse(res, `hostelType must be one of: ${HOSTEL_TYPES.join(', ')}`, 400);
+        }
+
+        const from = new Date(moveInFrom);
+        const to = new Date(moveInTo);
+        if (!moveInFrom || !moveInTo || Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+            return errorResponse(res, "moveInFrom and moveInTo are required", 400);
+        }
+        if (to < from) {
+            return errorResponse(res, "moveInTo must be on or after moveInFrom", 400);
+        }
+        if (to < new Date()) {
+            return errorResponse(res, "The move-in window has already passed", 400);
+        }
+
+        const prospect = isProspect(req);
+        const access = prospect
+            ? { ok: true, hostel: await prisma.hostel.findUnique({ where: { id: parsedHostelId }, select: { id: true, type: true } }) }
+            : await ensureHostelAccess(req, parsedHostelId, { select: { type: true } });
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+        if (!access.hostel) {
+            return errorResponse(res, "Hostel not found", 404);
+        }
+        if (!isHostelTypeCompatible(access.hostel.type, hostelType)) {
+            return errorResponse(res, `This hostel does not take ${hostelType} residents`, 400);
+        }
+
+        let tenant = null;
+        if (tenantId && !prospect) {
+            tenant = await prisma.tenant.findUnique({ where: { id: parseInt(tenantId, 10) || 0 } });
+            if (!tenant) {
+                return errorResponse(res, "Tenant not found", 404);
+            }
+        }
+
+        const name = customerName || tenant?.name;
+        const phone = customerPhone || tenant?.phone;
+        if (!name || !phone) {
+            return errorResponse(res, "Customer name and phone are required", 400);
+        }
+
+        const prospectUserId = prospect ? req.userId : (tenant?.userId || null);
+        if (prospectUserId) {
+            const duplicate = await prisma.waitlistEntry.findFirst({
+                where: { hostelId: parsedHostelId, userId: prospectUserId, status: { in: OPEN_STATUSES } },
+                select: { id: true }
+            });
+            if (duplicate) {
+                return errorResponse(res, "Already on the waitlist for this hostel", 400);
+            }
+        }
+
+        const entry = await prisma.waitlistEntry.create({
+            data: {
+                hostelId: parsedHostelId,
+                roomType: roomType || null,
+                hostelType: hostelType || null,
+                moveInFrom: from,
+                moveInTo: to,
+                numberOfGuests: parseInt(numberOfGuests, 10) || 1,
+                userId: prospectUserId,
+                tenantId: tenant?.id || null,
+                customerName: name,
+                customerPhone: phone,
+                customerEmail: customerEmail || tenant?.email || null,
+                customerCnic: customerCnic || tenant?.cnicNumber || null,
+                notes: notes || null,
+                createdBy: req.userId || null
+            },
+            include: entryInclude
+        });
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "waitlist",
+            description: `Added ${entry.customerName} to the waitlist of hostel #${parsedHostelId} (entry #${entry.id})`
+        });
+
+        const [withPosition] = await withPositions([entry]);
+        return successResponse(res, withPosition, "Added to waitlist successfully", 201);
+    } catch (err) {
+        console.error("Create Waitlist Entry Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET WAITLIST
+// ===================================
+const getWaitlist = async (req, res) => {
+    try {
+        const { hostelId, status, roomType, page = 1, limit = 20 } = req.query;
+
+        const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        const where = {};
+        if (status) where.status = status;
+        if (roomType) where.roomType = roomType;
+
+        if (isProspect(req)) {
+            where.userId = req.userId;
+        }
+
+        const hostelScope = buildHostelScopeFilter(req);
+        if (hostelId) {
+            const parsedHostelId = parseInt(hostelId, 10);
+            if (Number.isNaN(parsedHostelId)) {
+                return errorResponse(res, "Invalid hostel id", 400);
+            }
+            if (!isProspect(req)) {
+                const access = await ensureHostelAccess(req, parsedHostelId);
+                if (!access.ok) {
+                    return errorResponse(res, access.message, access.status);
+                }
+            }
+            where.hostelId = parsedHostelId;
+        } else if (Object.keys(hostelScope).length) {
+            where.hostel = hostelScope;
+        }
+
+        const [entries, total] = await Promise.all([
+            prisma.waitlistEntry.findMany({
+                where,
+                include: entryInclude,
+                orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+                take: limitNum,
+                skip: (pageNum - 1) * limitNum
+            }),
+            prisma.waitlistEntry.count({ where })
+        ]);
+
+        return successResponse(res, {
+            entries: await withPositions(entries),
+            pagination: {
+                total,
+                page: pageNum,
+                limit: limitNum,
+                pages: Math.ceil(total / limitNum)
+            }
+        }, "Waitlist retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Waitlist Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// GET WAITLIST ENTRY
+// ===================================
+const getWaitlistEntry = async (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id, 10);
+        if (Number.isNaN(entryId)) {
+            return errorResponse(res, "Invalid waitlist entry id", 400);
+        }
+
+        const access = await ensureEntryAccess(req, entryId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const entry = await prisma.waitlistEntry.findUnique({
+            where: { id: entryId },
+            include: entryInclude
+        });
+
+        const [withPosition] = await withPositions([entry]);
+        return successResponse(res, withPosition, "Waitlist entry retrieved successfully", 200);
+    } catch (err) {
+        console.error("Get Waitlist Entry Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// OFFER A BED (staff)
+// ===================================
+const offerWaitlistBed = async (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id, 10);
+        if (Number.isNaN(entryId)) {
+            return errorResponse(res, "Invalid waitlist entry id", 400);
+        }
+
+        const access = await ensureEntryAccess(req, entryId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { bedId } = req.body;
+        const result = await offerBedToWaitingEntry(entryId, {
+            bedId: bedId ? parseInt(bedId, 10) : null,
+            userId: req.userId || null
+        });
+        if (result.error) {
+            return errorResponse(res, result.error, result.status || 400);
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "waitlist",
+            description: `Offered bed #${result.entry.offeredBedId} to waitlist entry #${entryId}`
+        });
+
+        const entry = await prisma.waitlistEntry.findUnique({ where: { id: entryId }, include: entryInclude });
+        return successResponse(res, entry, "Bed offered successfully", 200);
+    } catch (err) {
+        console.error("Offer Waitlist Bed Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// ACCEPT OFFER (creates a booking)
+// ===================================
+const acceptWaitlistOffer = async (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id, 10);
+        if (Number.isNaN(entryId)) {
+            return errorResponse(res, "Invalid waitlist entry id", 400);
+        }
+
+        const access = await ensureEntryAccess(req, entryId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { checkInDate, checkOutDate } = req.body;
+        const result = await acceptOffer(entryId, {
+            checkInDate,
+            checkOutDate,
+            bookingType: isProspect(req) ? 'online' : 'admin',
+            userId: req.userId || null
+        });
+        if (result.error) {
+            return errorResponse(res, result.error, result.status || 400);
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "create",
+            module: "waitlist",
+            description: `Waitlist entry #${entryId} accepted bed #${result.booking.bedId}: booking ${result.booking.bookingCode}`
+        });
+
+        const entry = await prisma.waitlistEntry.findUnique({ where: { id: entryId }, include: entryInclude });
+        return successResponse(res, { entry, booking: result.booking }, "Offer accepted and booking created successfully", 201);
+    } catch (err) {
+        console.error("Accept Waitlist Offer Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// DECLINE OFFER
+// ===================================
+const declineWaitlistOffer = async (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id, 10);
+        if (Number.isNaN(entryId)) {
+            return errorResponse(res, "Invalid waitlist entry id", 400);
+        }
+
+        const access = await ensureEntryAccess(req, entryId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+        if (access.entry.status !== 'offered') {
+            return errorResponse(res, `Entry is ${access.entry.status}, there is no open offer to decline`, 400);
+        }
+
+        const { reason } = req.body;
+        const result = await closeOffer(access.entry, 'declined', {
+            userId: req.userId || null,
+            notes: `Declined bed #${access.entry.offeredBedId}${reason ? `: ${reason}` : ''}`
+        });
+        if (!result) {
+            return errorResponse(res, "The offer is no longer open", 400);
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "update",
+            module: "waitlist",
+            description: `Waitlist entry #${entryId} declined bed #${access.entry.offeredBedId}`
+        });
+
+        return successResponse(res, {
+            entry: result.entry,
+            nextOfferEntryId: result.nextOffer?.id || null
+        }, "Offer declined successfully", 200);
+    } catch (err) {
+        console.error("Decline Waitlist Offer Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+// ===================================
+// LEAVE / CANCEL WAITLIST ENTRY
+// ===================================
+const cancelWaitlistEntry = async (req, res) => {
+    try {
+        const entryId = parseInt(req.params.id, 10);
+        if (Number.isNaN(entryId)) {
+            return errorResponse(res, "Invalid waitlist entry id", 400);
+        }
+
+        const access = await ensureEntryAccess(req, entryId);
+        if (!access.ok) {
+            return errorResponse(res, access.message, access.status);
+        }
+
+        const { entry } = access;
+        const { reason } = req.body;
+        const note = reason ? `Cancelled: ${reason}` : 'Cancelled';
+
+        if (!OPEN_STATUSES.includes(entry.status)) {
+            return errorResponse(res, `Entry is already ${entry.status}`, 400);
+        }
+
+        let nextOfferEntryId = null;
+        if (entry.status === 'offered') {
+            const result = await closeOffer(entry, 'cancelled', { userId: req.userId || null, notes: note });
+            if (!result) {
+                return errorResponse(res, "The entry changed in the meantime, try again", 400);
+            }
+            nextOfferEntryId = result.nextOffer?.id || null;
+        } else {
+            const cancelled = await prisma.waitlistEntry.updateMany({
+                where: { id: entryId, status: 'waiting' },
+                data: {
+                    status: 'cancelled',
+                    notes: entry.notes ? `${entry.notes}\n${note}` : note
+                }
+            });
+            if (!cancelled.count) {
+                return errorResponse(res, "The entry changed in the meantime, try again", 400);
+            }
+        }
+
+        await writeLog({
+            userId: req.userId,
+            action: "delete",
+            module: "waitlist",
+            description: `Cancelled waitlist entry #${entryId}`
+        });
+
+        const updated = await prisma.waitlistEntry.findUnique({ where: { id: entryId }, include: entryInclude });
+        return successResponse(res, { entry: updated, nextOfferEntryId }, "Waitlist entry cancelled successfully", 200);
+    } catch (err) {
+        console.error("Cancel Waitlist Entry Error:", err);
+        return errorResponse(res, err.message, 400);
+    }
+};
+
+module.exports = {
+    createWaitlistEntry,
+    getWaitlist,
+    getWaitlistEntry,
+    offerWaitlistBed,
+    acceptWaitlistOffer,
+    declineWaitlistOffer,
+    cancelWaitlistEntry
+};
@@ -0,0 +1,7 @@
+-- Rent invoicing: billed charges carry a due date
+
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `dueDate` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Payment_dueDate_idx` ON `Payment`(`dueDate`);
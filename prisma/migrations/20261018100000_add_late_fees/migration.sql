@@ -0,0 +1,50 @@
+-- Late fee engine: penalty lines, waived status and the LateFee register
+
+-- AlterTable
+ALTER TABLE `Payment`
+    MODIFY `paymentType` ENUM('rent', 'deposit', 'maintenance', 'electricity', 'water', 'late_fee', 'other') NULL,
+    MODIFY `status` ENUM('pending', 'paid', 'partial', 'overdue', 'waived') NULL DEFAULT 'paid';
+
+-- AlterTable
+ALTER TABLE `Allocation` MODIFY `paymentStatus` ENUM('pending', 'paid', 'partial', 'overdue', 'waived') NOT NULL DEFAULT 'pending';
+
+-- AlterTable
+ALTER TABLE `Booking` MODIFY `paymentStatus` ENUM('pending', 'paid', 'partial', 'overdue', 'waived') NULL DEFAULT 'pending';
+
+-- CreateTable
+CREATE TABLE `LateFee` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenantId` INTEGER NOT NULL,
+    `hostelId` INTEGER NULL,
+    `chargeId` INTEGER NOT NULL,
+    `penaltyPaymentId` INTEGER NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `percentage` DOUBLE NOT NULL,
+    `daysLate` INTEGER NOT NULL,
+    `graceDays` INTEGER NOT NULL,
+    `status` ENUM('applied', 'waived', 'reversed') NOT NULL DEFAULT 'applied',
+    `resolvedBy` INTEGER NULL,
+    `resolvedAt` DATETIME(3) NULL,
+    `resolutionReason` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `LateFee_penaltyPaymentId_key`(`penaltyPaymentId`),
+    INDEX `LateFee_tenantId_idx`(`tenantId`),
+    INDEX `LateFee_hostelId_idx`(`hostelId`),
+    INDEX `LateFee_chargeId_idx`(`chargeId`),
+    INDEX `LateFee_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `LateFee` ADD CONSTRAINT `LateFee_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `LateFee` ADD CONSTRAINT `LateFee_chargeId_fkey` FOREIGN KEY (`chargeId`) REFERENCES `Payment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `LateFee` ADD CONSTRAINT `LateFee_penaltyPaymentId_fkey` FOREIGN KEY (`penaltyPaymentId`) REFERENCES `Payment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `LateFee` ADD CONSTRAINT `LateFee_resolvedBy_fkey` FOREIGN KEY (`resolvedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `amountPaid` DOUBLE NOT NULL DEFAULT 0;
+
+-- Backfill: payments already marked paid are fully settled
+UPDATE `Payment` SET `amountPaid` = COALESCE(`amount`, 0) WHERE `status` = 'paid';
+
+-- CreateTable
+CREATE TABLE `TenantLedgerEntry` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tenantId` INTEGER NOT NULL,
+    `hostelId` INTEGER NULL,
+    `allocationId` INTEGER NULL,
+    `paymentId` INTEGER NULL,
+    `entryType` ENUM('charge', 'payment', 'adjustment', 'credit') NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `description` VARCHAR(500) NULL,
+    `reference` VARCHAR(100) NULL,
+    `entryDate` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `TenantLedgerEntry_tenantId_entryDate_idx`(`tenantId`, `entryDate`),
+    INDEX `TenantLedgerEntry_hostelId_idx`(`hostelId`),
+    INDEX `TenantLedgerEntry_paymentId_idx`(`paymentId`),
+    INDEX `TenantLedgerEntry_entryType_idx`(`entryType`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `TenantLedgerEntry` ADD CONSTRAINT `TenantLedgerEntry_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `TenantLedgerEntry` ADD CONSTRAINT `TenantLedgerEntry_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `TenantLedgerEntry` ADD CONSTRAINT `TenantLedgerEntry_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
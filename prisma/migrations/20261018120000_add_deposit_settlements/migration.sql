@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE `DepositSettlement` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `allocationId` INTEGER NOT NULL,
+    `tenantId` INTEGER NOT NULL,
+    `hostelId` INTEGER NOT NULL,
+    `depositHeld` DOUBLE NOT NULL,
+    `totalDeductions` DOUBLE NOT NULL DEFAULT 0,
+    `appliedToDues` DOUBLE NOT NULL DEFAULT 0,
+    `retainedForDamages` DOUBLE NOT NULL DEFAULT 0,
+    `refundAmount` DOUBLE NOT NULL DEFAULT 0,
+    `shortfallAmount` DOUBLE NOT NULL DEFAULT 0,
+    `refundMethod` ENUM('cash', 'card', 'bank_transfer', 'upi', 'cheque', 'online', 'stripe') NULL,
+    `refundTransactionId` INTEGER NULL,
+    `remarks` TEXT NULL,
+    `settledBy` INTEGER NULL,
+    `settledAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `DepositSettlement_allocationId_key`(`allocationId`),
+    UNIQUE INDEX `DepositSettlement_refundTransactionId_key`(`refundTransactionId`),
+    INDEX `DepositSettlement_tenantId_idx`(`tenantId`),
+    INDEX `DepositSettlement_hostelId_idx`(`hostelId`),
+    INDEX `DepositSettlement_settledAt_idx`(`settledAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `DepositDeduction` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `settlementId` INTEGER NOT NULL,
+    `type` ENUM('unpaid_dues', 'damage', 'cleaning', 'key_loss', 'other') NOT NULL,
+    `description` VARCHAR(500) NULL,
+    `amount` DOUBLE NOT NULL,
+    `coveredAmount` DOUBLE NOT NULL DEFAULT 0,
+    `paymentId` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `DepositDeduction_settlementId_idx`(`settlementId`),
+    INDEX `DepositDeduction_paymentId_idx`(`paymentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `DepositSettlement` ADD CONSTRAINT `DepositSettlement_allocationId_fkey` FOREIGN KEY (`allocationId`) REFERENCES `Allocation`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DepositSettlement` ADD CONSTRAINT `DepositSettlement_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DepositSettlement` ADD CONSTRAINT `DepositSettlement_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DepositSettlement` ADD CONSTRAINT `DepositSettlement_refundTransactionId_fkey` FOREIGN KEY (`refundTransactionId`) REFERENCES `Transaction`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DepositSettlement` ADD CONSTRAINT `DepositSettlement_settledBy_fkey` FOREIGN KEY (`settledBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DepositDeduction` ADD CONSTRAINT `DepositDeduction_settlementId_fkey` FOREIGN KEY (`settlementId`) REFERENCES `DepositSettlement`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DepositDeduction` ADD CONSTRAINT `DepositDeduction_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE `Transaction` ADD COLUMN `receiptId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `ReceiptSequence` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hostelId` INTEGER NOT NULL,
+    `year` INTEGER NOT NULL,
+    `lastNumber` INTEGER NOT NULL DEFAULT 0,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ReceiptSequence_hostelId_year_key`(`hostelId`, `year`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `PaymentReceipt` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `receiptNumber` VARCHAR(50) NOT NULL,
+    `hostelId` INTEGER NOT NULL,
+    `year` INTEGER NOT NULL,
+    `sequence` INTEGER NOT NULL,
+    `tenantId` INTEGER NULL,
+    `paymentId` INTEGER NULL,
+    `amount` DOUBLE NOT NULL,
+    `paymentMethod` ENUM('cash', 'card', 'bank_transfer', 'upi', 'cheque', 'online', 'stripe') NULL,
+    `source` VARCHAR(20) NOT NULL DEFAULT 'manual',
+    `reference` VARCHAR(255) NULL,
+    `issuedBy` INTEGER NULL,
+    `issuedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `voidedAt` DATETIME(3) NULL,
+    `voidReason` VARCHAR(500) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `PaymentReceipt_receiptNumber_key`(`receiptNumber`),
+    UNIQUE INDEX `PaymentReceipt_hostelId_year_sequence_key`(`hostelId`, `year`, `sequence`),
+    INDEX `PaymentReceipt_tenantId_idx`(`tenantId`),
+    INDEX `PaymentReceipt_paymentId_idx`(`paymentId`),
+    INDEX `PaymentReceipt_issuedAt_idx`(`issuedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Transaction_receiptId_idx` ON `Transaction`(`receiptId`);
+
+-- AddForeignKey
+ALTER TABLE `ReceiptSequence` ADD CONSTRAINT `ReceiptSequence_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PaymentReceipt` ADD CONSTRAINT `PaymentReceipt_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PaymentReceipt` ADD CONSTRAINT `PaymentReceipt_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PaymentReceipt` ADD CONSTRAINT `PaymentReceipt_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PaymentReceipt` ADD CONSTRAINT `PaymentReceipt_issuedBy_fkey` FOREIGN KEY (`issuedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Transaction` ADD CONSTRAINT `Transaction_receiptId_fkey` FOREIGN KEY (`receiptId`) REFERENCES `PaymentReceipt`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
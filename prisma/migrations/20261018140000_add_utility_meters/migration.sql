@@ -0,0 +1,71 @@
+-- AlterTable
+ALTER TABLE `Payment` ADD COLUMN `meterReadingId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `UtilityMeter` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hostelId` INTEGER NOT NULL,
+    `floorId` INTEGER NULL,
+    `roomId` INTEGER NULL,
+    `scope` ENUM('room', 'floor') NOT NULL,
+    `utilityType` ENUM('electricity', 'water') NOT NULL,
+    `meterNumber` VARCHAR(100) NULL,
+    `unitRate` DOUBLE NULL,
+    `fixedCharge` DOUBLE NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `UtilityMeter_hostelId_idx`(`hostelId`),
+    INDEX `UtilityMeter_floorId_idx`(`floorId`),
+    INDEX `UtilityMeter_roomId_idx`(`roomId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `MeterReading` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `meterId` INTEGER NOT NULL,
+    `periodStart` DATETIME(3) NOT NULL,
+    `periodEnd` DATETIME(3) NOT NULL,
+    `previousReading` DOUBLE NOT NULL,
+    `currentReading` DOUBLE NOT NULL,
+    `unitsConsumed` DOUBLE NOT NULL,
+    `unitRate` DOUBLE NOT NULL,
+    `fixedCharge` DOUBLE NOT NULL DEFAULT 0,
+    `totalAmount` DOUBLE NOT NULL,
+    `status` ENUM('recorded', 'billed') NOT NULL DEFAULT 'recorded',
+    `billedAt` DATETIME(3) NULL,
+    `split` JSON NULL,
+    `photoUrl` VARCHAR(500) NULL,
+    `notes` TEXT NULL,
+    `recordedBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `MeterReading_meterId_periodEnd_idx`(`meterId`, `periodEnd`),
+    INDEX `MeterReading_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Payment_meterReadingId_idx` ON `Payment`(`meterReadingId`);
+
+-- AddForeignKey
+ALTER TABLE `Payment` ADD CONSTRAINT `Payment_meterReadingId_fkey` FOREIGN KEY (`meterReadingId`) REFERENCES `MeterReading`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `UtilityMeter` ADD CONSTRAINT `UtilityMeter_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `UtilityMeter` ADD CONSTRAINT `UtilityMeter_floorId_fkey` FOREIGN KEY (`floorId`) REFERENCES `Floor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `UtilityMeter` ADD CONSTRAINT `UtilityMeter_roomId_fkey` FOREIGN KEY (`roomId`) REFERENCES `Room`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MeterReading` ADD CONSTRAINT `MeterReading_meterId_fkey` FOREIGN KEY (`meterId`) REFERENCES `UtilityMeter`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MeterReading` ADD CONSTRAINT `MeterReading_recordedBy_fkey` FOREIGN KEY (`recordedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
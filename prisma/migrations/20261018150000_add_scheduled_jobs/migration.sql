@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE `ScheduledJob` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `key` VARCHAR(100) NOT NULL,
+    `name` VARCHAR(255) NOT NULL,
+    `description` TEXT NULL,
+    `intervalMinutes` INTEGER NOT NULL,
+    `isEnabled` BOOLEAN NOT NULL DEFAULT true,
+    `nextRunAt` DATETIME(3) NULL,
+    `lastRunAt` DATETIME(3) NULL,
+    `lastStatus` ENUM('running', 'succeeded', 'failed') NULL,
+    `lockedBy` VARCHAR(255) NULL,
+    `lockedUntil` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `ScheduledJob_key_key`(`key`),
+    INDEX `ScheduledJob_isEnabled_nextRunAt_idx`(`isEnabled`, `nextRunAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `JobRun` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jobId` INTEGER NOT NULL,
+    `trigger` ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+    `status` ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+    `instanceId` VARCHAR(255) NOT NULL,
+    `triggeredBy` INTEGER NULL,
+    `startedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finishedAt` DATETIME(3) NULL,
+    `durationMs` INTEGER NULL,
+    `result` JSON NULL,
+    `error` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `JobRun_jobId_startedAt_idx`(`jobId`, `startedAt`),
+    INDEX `JobRun_status_startedAt_idx`(`status`, `startedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `JobRun` ADD CONSTRAINT `JobRun_jobId_fkey` FOREIGN KEY (`jobId`) REFERENCES `ScheduledJob`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `JobRun` ADD CONSTRAINT `JobRun_triggeredBy_fkey` FOREIGN KEY (`triggeredBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
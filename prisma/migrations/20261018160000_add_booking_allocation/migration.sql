@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Booking` ADD COLUMN `allocationId` INTEGER NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Booking_allocationId_key` ON `Booking`(`allocationId`);
+
+-- AddForeignKey
+ALTER TABLE `Booking` ADD CONSTRAINT `Booking_allocationId_fkey` FOREIGN KEY (`allocationId`) REFERENCES `Allocation`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE `Booking` ADD COLUMN `pricingQuote` JSON NULL;
+
+-- CreateTable
+CREATE TABLE `PricingRule` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(255) NOT NULL,
+    `ruleType` ENUM('base_rate', 'seasonal', 'day_of_week', 'long_stay') NOT NULL,
+    `adjustmentType` ENUM('percentage', 'fixed_amount', 'set_rate') NOT NULL,
+    `value` DOUBLE NOT NULL,
+    `hostelId` INTEGER NULL,
+    `roomId` INTEGER NULL,
+    `roomType` ENUM('single', 'double', 'triple', 'quad', 'dormitory', 'suite') NULL,
+    `hostelCategory` ENUM('luxury', 'back_pack', 'home2') NULL,
+    `startDate` DATETIME(3) NULL,
+    `endDate` DATETIME(3) NULL,
+    `daysOfWeek` JSON NULL,
+    `minNights` INTEGER NULL,
+    `priority` INTEGER NOT NULL DEFAULT 0,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `PricingRule_ruleType_isActive_idx`(`ruleType`, `isActive`),
+    INDEX `PricingRule_hostelId_idx`(`hostelId`),
+    INDEX `PricingRule_roomId_idx`(`roomId`),
+    INDEX `PricingRule_createdBy_idx`(`createdBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PricingRule` ADD CONSTRAINT `PricingRule_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PricingRule` ADD CONSTRAINT `PricingRule_roomId_fkey` FOREIGN KEY (`roomId`) REFERENCES `Room`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PricingRule` ADD CONSTRAINT `PricingRule_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
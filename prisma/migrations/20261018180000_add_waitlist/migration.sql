@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE `WaitlistEntry` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hostelId` INTEGER NOT NULL,
+    `roomType` ENUM('single', 'double', 'triple', 'quad', 'dormitory', 'suite') NULL,
+    `hostelType` ENUM('boys', 'girls', 'family', 'mixed') NULL,
+    `moveInFrom` DATETIME(3) NOT NULL,
+    `moveInTo` DATETIME(3) NOT NULL,
+    `numberOfGuests` INTEGER NOT NULL DEFAULT 1,
+    `userId` INTEGER NULL,
+    `tenantId` INTEGER NULL,
+    `customerName` VARCHAR(255) NOT NULL,
+    `customerPhone` VARCHAR(50) NOT NULL,
+    `customerEmail` VARCHAR(255) NULL,
+    `customerCnic` VARCHAR(20) NULL,
+    `status` ENUM('waiting', 'offered', 'booked', 'declined', 'expired', 'cancelled') NOT NULL DEFAULT 'waiting',
+    `offeredBedId` INTEGER NULL,
+    `offeredAt` DATETIME(3) NULL,
+    `offerExpiresAt` DATETIME(3) NULL,
+    `offerCount` INTEGER NOT NULL DEFAULT 0,
+    `bookingId` INTEGER NULL,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `WaitlistEntry_bookingId_key`(`bookingId`),
+    INDEX `WaitlistEntry_hostelId_status_createdAt_idx`(`hostelId`, `status`, `createdAt`),
+    INDEX `WaitlistEntry_status_offerExpiresAt_idx`(`status`, `offerExpiresAt`),
+    INDEX `WaitlistEntry_offeredBedId_idx`(`offeredBedId`),
+    INDEX `WaitlistEntry_userId_idx`(`userId`),
+    INDEX `WaitlistEntry_tenantId_idx`(`tenantId`),
+    INDEX `WaitlistEntry_createdBy_idx`(`createdBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `WaitlistEntry` ADD CONSTRAINT `WaitlistEntry_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WaitlistEntry` ADD CONSTRAINT `WaitlistEntry_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WaitlistEntry` ADD CONSTRAINT `WaitlistEntry_tenantId_fkey` FOREIGN KEY (`tenantId`) REFERENCES `Tenant`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WaitlistEntry` ADD CONSTRAINT `WaitlistEntry_offeredBedId_fkey` FOREIGN KEY (`offeredBedId`) REFERENCES `Bed`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WaitlistEntry` ADD CONSTRAINT `WaitlistEntry_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `Booking`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `WaitlistEntry` ADD CONSTRAINT `WaitlistEntry_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
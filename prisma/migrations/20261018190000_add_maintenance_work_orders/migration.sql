@@ -0,0 +1,98 @@
+-- CreateTable
+CREATE TABLE `MaintenanceWorkOrder` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `workOrderNumber` VARCHAR(50) NOT NULL,
+    `hostelId` INTEGER NOT NULL,
+    `roomId` INTEGER NOT NULL,
+    `bedId` INTEGER NULL,
+    `alertId` INTEGER NULL,
+    `title` VARCHAR(255) NOT NULL,
+    `description` TEXT NULL,
+    `category` VARCHAR(100) NULL,
+    `priority` ENUM('low', 'medium', 'high', 'urgent') NOT NULL DEFAULT 'medium',
+    `status` ENUM('open', 'assigned', 'in_progress', 'on_hold', 'completed', 'cancelled') NOT NULL DEFAULT 'open',
+    `holdsUnit` BOOLEAN NOT NULL DEFAULT false,
+    `scheduledFor` DATETIME(3) NULL,
+    `expectedCompletionDate` DATETIME(3) NULL,
+    `startedAt` DATETIME(3) NULL,
+    `completedAt` DATETIME(3) NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `assignedEmployeeId` INTEGER NULL,
+    `assignedVendorId` INTEGER NULL,
+    `assignedAt` DATETIME(3) NULL,
+    `parts` JSON NULL,
+    `labour` JSON NULL,
+    `partsCost` DOUBLE NOT NULL DEFAULT 0,
+    `labourCost` DOUBLE NOT NULL DEFAULT 0,
+    `totalCost` DOUBLE NOT NULL DEFAULT 0,
+    `photos` JSON NULL,
+    `statusHistory` JSON NULL,
+    `resolution` TEXT NULL,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `completedBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `MaintenanceWorkOrder_workOrderNumber_key`(`workOrderNumber`),
+    INDEX `MaintenanceWorkOrder_hostelId_status_idx`(`hostelId`, `status`),
+    INDEX `MaintenanceWorkOrder_roomId_status_idx`(`roomId`, `status`),
+    INDEX `MaintenanceWorkOrder_bedId_status_idx`(`bedId`, `status`),
+    INDEX `MaintenanceWorkOrder_alertId_idx`(`alertId`),
+    INDEX `MaintenanceWorkOrder_assignedEmployeeId_idx`(`assignedEmployeeId`),
+    INDEX `MaintenanceWorkOrder_assignedVendorId_idx`(`assignedVendorId`),
+    INDEX `MaintenanceWorkOrder_scheduledFor_idx`(`scheduledFor`),
+    INDEX `MaintenanceWorkOrder_createdBy_idx`(`createdBy`),
+    INDEX `MaintenanceWorkOrder_completedBy_idx`(`completedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Move Room.maintenanceSchedule entries into work orders. They never held
+-- their room, so holdsUnit stays false.
+INSERT INTO `MaintenanceWorkOrder` (`workOrderNumber`, `hostelId`, `roomId`, `title`, `description`, `status`, `scheduledFor`, `completedAt`, `createdAt`, `updatedAt`)
+SELECT
+    CONCAT('WO-LEGACY-', r.`id`, '-', jt.`ord`),
+    r.`hostelId`,
+    r.`id`,
+    LEFT(COALESCE(NULLIF(jt.`description`, ''), 'Scheduled maintenance'), 255),
+    jt.`description`,
+    CASE jt.`status` WHEN 'completed' THEN 'completed' WHEN 'in_progress' THEN 'in_progress' ELSE 'open' END,
+    STR_TO_DATE(LEFT(jt.`date`, 19), '%Y-%m-%dT%H:%i:%s'),
+    CASE jt.`status` WHEN 'completed' THEN STR_TO_DATE(LEFT(jt.`date`, 19), '%Y-%m-%dT%H:%i:%s') ELSE NULL END,
+    CURRENT_TIMESTAMP(3),
+    CURRENT_TIMESTAMP(3)
+FROM `Room` r,
+    JSON_TABLE(r.`maintenanceSchedule`, '$[*]' COLUMNS (
+        `ord` FOR ORDINALITY,
+        `date` VARCHAR(64) PATH '$.date',
+        `description` TEXT PATH '$.description',
+        `status` VARCHAR(32) PATH '$.status'
+    )) jt
+WHERE JSON_TYPE(r.`maintenanceSchedule`) = 'ARRAY';
+
+-- AlterTable
+ALTER TABLE `Room` DROP COLUMN `maintenanceSchedule`;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_roomId_fkey` FOREIGN KEY (`roomId`) REFERENCES `Room`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_bedId_fkey` FOREIGN KEY (`bedId`) REFERENCES `Bed`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_alertId_fkey` FOREIGN KEY (`alertId`) REFERENCES `Alert`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_assignedEmployeeId_fkey` FOREIGN KEY (`assignedEmployeeId`) REFERENCES `Employee`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_assignedVendorId_fkey` FOREIGN KEY (`assignedVendorId`) REFERENCES `Vendor`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `MaintenanceWorkOrder` ADD CONSTRAINT `MaintenanceWorkOrder_completedBy_fkey` FOREIGN KEY (`completedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
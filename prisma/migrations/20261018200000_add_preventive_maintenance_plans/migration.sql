@@ -0,0 +1,59 @@
+-- AlterTable
+ALTER TABLE `Alert` MODIFY `maintenanceType` ENUM('room_cleaning', 'repairs', 'purchase_demand', 'preventive') NULL,
+    ADD COLUMN `preventivePlanId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `PreventiveMaintenancePlan` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(255) NOT NULL,
+    `description` TEXT NULL,
+    `category` VARCHAR(100) NULL,
+    `hostelId` INTEGER NOT NULL,
+    `floorId` INTEGER NULL,
+    `roomId` INTEGER NULL,
+    `frequency` ENUM('daily', 'weekly', 'monthly', 'quarterly', 'yearly') NOT NULL,
+    `intervalCount` INTEGER NOT NULL DEFAULT 1,
+    `startDate` DATETIME(3) NOT NULL,
+    `endDate` DATETIME(3) NULL,
+    `leadDays` INTEGER NOT NULL DEFAULT 7,
+    `graceDays` INTEGER NOT NULL DEFAULT 0,
+    `priority` ENUM('low', 'medium', 'high', 'urgent') NOT NULL DEFAULT 'medium',
+    `assignedTo` INTEGER NULL,
+    `occurrenceCount` INTEGER NOT NULL DEFAULT 0,
+    `nextDueDate` DATETIME(3) NULL,
+    `lastGeneratedAt` DATETIME(3) NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `PreventiveMaintenancePlan_hostelId_isActive_idx`(`hostelId`, `isActive`),
+    INDEX `PreventiveMaintenancePlan_isActive_nextDueDate_idx`(`isActive`, `nextDueDate`),
+    INDEX `PreventiveMaintenancePlan_floorId_idx`(`floorId`),
+    INDEX `PreventiveMaintenancePlan_roomId_idx`(`roomId`),
+    INDEX `PreventiveMaintenancePlan_assignedTo_idx`(`assignedTo`),
+    INDEX `PreventiveMaintenancePlan_createdBy_idx`(`createdBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Alert_preventivePlanId_dueDate_key` ON `Alert`(`preventivePlanId`, `dueDate`);
+
+-- AddForeignKey
+ALTER TABLE `Alert` ADD CONSTRAINT `Alert_preventivePlanId_fkey` FOREIGN KEY (`preventivePlanId`) REFERENCES `PreventiveMaintenancePlan`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PreventiveMaintenancePlan` ADD CONSTRAINT `PreventiveMaintenancePlan_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PreventiveMaintenancePlan` ADD CONSTRAINT `PreventiveMaintenancePlan_floorId_fkey` FOREIGN KEY (`floorId`) REFERENCES `Floor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PreventiveMaintenancePlan` ADD CONSTRAINT `PreventiveMaintenancePlan_roomId_fkey` FOREIGN KEY (`roomId`) REFERENCES `Room`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PreventiveMaintenancePlan` ADD CONSTRAINT `PreventiveMaintenancePlan_assignedTo_fkey` FOREIGN KEY (`assignedTo`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PreventiveMaintenancePlan` ADD CONSTRAINT `PreventiveMaintenancePlan_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
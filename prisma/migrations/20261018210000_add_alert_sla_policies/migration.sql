@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE `Alert` ADD COLUMN `acknowledgedAt` DATETIME(3) NULL,
+    ADD COLUMN `slaPolicyId` INTEGER NULL,
+    ADD COLUMN `acknowledgeDueAt` DATETIME(3) NULL,
+    ADD COLUMN `resolveDueAt` DATETIME(3) NULL,
+    ADD COLUMN `acknowledgeBreachedAt` DATETIME(3) NULL,
+    ADD COLUMN `resolveBreachedAt` DATETIME(3) NULL,
+    ADD COLUMN `escalationCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lastEscalatedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `AlertSlaPolicy` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `type` ENUM('bill', 'rent', 'payable', 'receivable', 'maintenance') NOT NULL,
+    `priority` ENUM('low', 'medium', 'high', 'urgent') NOT NULL,
+    `hostelId` INTEGER NULL,
+    `acknowledgeMinutes` INTEGER NULL,
+    `resolveMinutes` INTEGER NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `AlertSlaPolicy_type_priority_isActive_idx`(`type`, `priority`, `isActive`),
+    INDEX `AlertSlaPolicy_hostelId_idx`(`hostelId`),
+    INDEX `AlertSlaPolicy_createdBy_idx`(`createdBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Alert_slaPolicyId_idx` ON `Alert`(`slaPolicyId`);
+
+-- CreateIndex
+CREATE INDEX `Alert_status_resolveDueAt_idx` ON `Alert`(`status`, `resolveDueAt`);
+
+-- AddForeignKey
+ALTER TABLE `Alert` ADD CONSTRAINT `Alert_slaPolicyId_fkey` FOREIGN KEY (`slaPolicyId`) REFERENCES `AlertSlaPolicy`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AlertSlaPolicy` ADD CONSTRAINT `AlertSlaPolicy_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AlertSlaPolicy` ADD CONSTRAINT `AlertSlaPolicy_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
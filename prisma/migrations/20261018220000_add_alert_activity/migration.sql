@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE `AlertActivity` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `alertId` INTEGER NOT NULL,
+    `type` ENUM('created', 'comment', 'status_change', 'assignment', 'priority_change', 'escalation') NOT NULL,
+    `fromValue` VARCHAR(100) NULL,
+    `toValue` VARCHAR(100) NULL,
+    `message` TEXT NULL,
+    `attachments` JSON NULL,
+    `metadata` JSON NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `AlertActivity_alertId_createdAt_idx`(`alertId`, `createdAt`),
+    INDEX `AlertActivity_type_idx`(`type`),
+    INDEX `AlertActivity_createdBy_idx`(`createdBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `AlertActivity` ADD CONSTRAINT `AlertActivity_alertId_fkey` FOREIGN KEY (`alertId`) REFERENCES `Alert`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AlertActivity` ADD CONSTRAINT `AlertActivity_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill existing alerts from what they record today. Entries whose time
+-- is not known are placed at the alert's last update and marked "backfilled".
+INSERT INTO `AlertActivity` (`alertId`, `type`, `toValue`, `createdBy`, `createdAt`)
+SELECT `id`, 'created', 'pending', `createdBy`, `createdAt` FROM `Alert`;
+
+INSERT INTO `AlertActivity` (`alertId`, `type`, `toValue`, `metadata`, `createdAt`)
+SELECT `id`, 'assignment', CAST(`assignedTo` AS CHAR), JSON_OBJECT('backfilled', true), `updatedAt`
+FROM `Alert` WHERE `assignedTo` IS NOT NULL;
+
+INSERT INTO `AlertActivity` (`alertId`, `type`, `fromValue`, `toValue`, `createdBy`, `metadata`, `createdAt`)
+SELECT `id`, 'status_change', 'pending', `status`,
+    CASE WHEN `status` = 'resolved' THEN `resolvedBy` ELSE NULL END,
+    JSON_OBJECT('backfilled', true),
+    COALESCE(CASE WHEN `status` = 'resolved' THEN `resolvedAt` END, `acknowledgedAt`, `updatedAt`)
+FROM `Alert` WHERE `status` <> 'pending';
+
+INSERT INTO `AlertActivity` (`alertId`, `type`, `message`, `metadata`, `createdAt`)
+SELECT `id`, 'comment', `remarks`, JSON_OBJECT('backfilled', true, 'source', 'remarks'), `updatedAt`
+FROM `Alert` WHERE `remarks` IS NOT NULL AND `remarks` <> '';
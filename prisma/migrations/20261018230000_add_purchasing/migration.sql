@@ -0,0 +1,143 @@
+-- CreateTable
+CREATE TABLE `PurchaseDemand` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `demandNumber` VARCHAR(30) NOT NULL,
+    `hostelId` INTEGER NOT NULL,
+    `serviceId` INTEGER NULL,
+    `alertId` INTEGER NULL,
+    `title` VARCHAR(255) NOT NULL,
+    `description` TEXT NULL,
+    `category` VARCHAR(100) NULL,
+    `priority` ENUM('low', 'medium', 'high', 'urgent') NOT NULL DEFAULT 'medium',
+    `items` JSON NOT NULL,
+    `estimatedTotal` DOUBLE NOT NULL,
+    `neededBy` DATETIME(3) NULL,
+    `status` ENUM('pending_approval', 'approved', 'rejected', 'quoting', 'ordered', 'delivered', 'cancelled') NOT NULL DEFAULT 'pending_approval',
+    `requiresOwnerApproval` BOOLEAN NOT NULL DEFAULT false,
+    `managerApprovedBy` INTEGER NULL,
+    `managerApprovedAt` DATETIME(3) NULL,
+    `ownerApprovedBy` INTEGER NULL,
+    `ownerApprovedAt` DATETIME(3) NULL,
+    `rejectedBy` INTEGER NULL,
+    `rejectedAt` DATETIME(3) NULL,
+    `rejectionReason` TEXT NULL,
+    `statusHistory` JSON NULL,
+    `notes` TEXT NULL,
+    `requestedBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `PurchaseDemand_demandNumber_key`(`demandNumber`),
+    INDEX `PurchaseDemand_hostelId_status_idx`(`hostelId`, `status`),
+    INDEX `PurchaseDemand_status_idx`(`status`),
+    INDEX `PurchaseDemand_serviceId_idx`(`serviceId`),
+    INDEX `PurchaseDemand_alertId_idx`(`alertId`),
+    INDEX `PurchaseDemand_requestedBy_idx`(`requestedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `PurchaseQuote` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `demandId` INTEGER NOT NULL,
+    `vendorId` INTEGER NOT NULL,
+    `status` ENUM('requested', 'received', 'accepted', 'declined') NOT NULL DEFAULT 'requested',
+    `items` JSON NULL,
+    `totalAmount` DOUBLE NULL,
+    `deliveryDays` INTEGER NULL,
+    `validUntil` DATETIME(3) NULL,
+    `notes` TEXT NULL,
+    `attachments` JSON NULL,
+    `requestedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `receivedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `PurchaseQuote_vendorId_idx`(`vendorId`),
+    INDEX `PurchaseQuote_status_idx`(`status`),
+    UNIQUE INDEX `PurchaseQuote_demandId_vendorId_key`(`demandId`, `vendorId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `PurchaseOrder` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `poNumber` VARCHAR(30) NOT NULL,
+    `demandId` INTEGER NOT NULL,
+    `quoteId` INTEGER NULL,
+    `vendorId` INTEGER NOT NULL,
+    `hostelId` INTEGER NOT NULL,
+    `status` ENUM('issued', 'delivered', 'cancelled') NOT NULL DEFAULT 'issued',
+    `items` JSON NOT NULL,
+    `totalAmount` DOUBLE NOT NULL,
+    `expectedDeliveryDate` DATETIME(3) NULL,
+    `issuedBy` INTEGER NULL,
+    `issuedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `deliveredAt` DATETIME(3) NULL,
+    `receivedBy` INTEGER NULL,
+    `deliveredAmount` DOUBLE NULL,
+    `deliveryNotes` TEXT NULL,
+    `expenseId` INTEGER NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `PurchaseOrder_poNumber_key`(`poNumber`),
+    UNIQUE INDEX `PurchaseOrder_demandId_key`(`demandId`),
+    UNIQUE INDEX `PurchaseOrder_quoteId_key`(`quoteId`),
+    UNIQUE INDEX `PurchaseOrder_expenseId_key`(`expenseId`),
+    INDEX `PurchaseOrder_vendorId_status_idx`(`vendorId`, `status`),
+    INDEX `PurchaseOrder_hostelId_status_idx`(`hostelId`, `status`),
+    INDEX `PurchaseOrder_issuedBy_idx`(`issuedBy`),
+    INDEX `PurchaseOrder_receivedBy_idx`(`receivedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_serviceId_fkey` FOREIGN KEY (`serviceId`) REFERENCES `Service`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_alertId_fkey` FOREIGN KEY (`alertId`) REFERENCES `Alert`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_requestedBy_fkey` FOREIGN KEY (`requestedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_managerApprovedBy_fkey` FOREIGN KEY (`managerApprovedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_ownerApprovedBy_fkey` FOREIGN KEY (`ownerApprovedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseDemand` ADD CONSTRAINT `PurchaseDemand_rejectedBy_fkey` FOREIGN KEY (`rejectedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseQuote` ADD CONSTRAINT `PurchaseQuote_demandId_fkey` FOREIGN KEY (`demandId`) REFERENCES `PurchaseDemand`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseQuote` ADD CONSTRAINT `PurchaseQuote_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_demandId_fkey` FOREIGN KEY (`demandId`) REFERENCES `PurchaseDemand`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_quoteId_fkey` FOREIGN KEY (`quoteId`) REFERENCES `PurchaseQuote`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_expenseId_fkey` FOREIGN KEY (`expenseId`) REFERENCES `Expense`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_issuedBy_fkey` FOREIGN KEY (`issuedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `PurchaseOrder` ADD CONSTRAINT `PurchaseOrder_receivedBy_fkey` FOREIGN KEY (`receivedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,153 @@
+-- CreateTable
+CREATE TABLE `VendorBill` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `billNumber` VARCHAR(30) NOT NULL,
+    `vendorId` INTEGER NOT NULL,
+    `hostelId` INTEGER NULL,
+    `purchaseOrderId` INTEGER NULL,
+    `vendorInvoiceNumber` VARCHAR(100) NULL,
+    `description` VARCHAR(500) NOT NULL,
+    `billDate` DATETIME(3) NOT NULL,
+    `dueDate` DATETIME(3) NOT NULL,
+    `paymentTerms` ENUM('prepaid', 'cod', 'net15', 'net30', 'net45', 'net60') NULL,
+    `amount` DOUBLE NOT NULL,
+    `amountPaid` DOUBLE NOT NULL DEFAULT 0,
+    `status` ENUM('open', 'partially_paid', 'paid', 'cancelled') NOT NULL DEFAULT 'open',
+    `attachments` JSON NULL,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `cancelledAt` DATETIME(3) NULL,
+    `cancelledBy` INTEGER NULL,
+    `cancelReason` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `VendorBill_billNumber_key`(`billNumber`),
+    UNIQUE INDEX `VendorBill_purchaseOrderId_key`(`purchaseOrderId`),
+    INDEX `VendorBill_vendorId_status_idx`(`vendorId`, `status`),
+    INDEX `VendorBill_hostelId_status_idx`(`hostelId`, `status`),
+    INDEX `VendorBill_status_dueDate_idx`(`status`, `dueDate`),
+    INDEX `VendorBill_createdBy_idx`(`createdBy`),
+    INDEX `VendorBill_cancelledBy_idx`(`cancelledBy`),
+    UNIQUE INDEX `VendorBill_vendorId_vendorInvoiceNumber_key`(`vendorId`, `vendorInvoiceNumber`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `VendorPayment` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `paymentNumber` VARCHAR(30) NOT NULL,
+    `vendorId` INTEGER NOT NULL,
+    `hostelId` INTEGER NULL,
+    `amount` DOUBLE NOT NULL,
+    `paymentDate` DATETIME(3) NOT NULL,
+    `paymentMethod` ENUM('cash', 'card', 'bank_transfer', 'upi', 'cheque', 'online', 'stripe') NULL,
+    `referenceNumber` VARCHAR(100) NULL,
+    `notes` TEXT NULL,
+    `recordedBy` INTEGER NULL,
+    `voidedAt` DATETIME(3) NULL,
+    `voidedBy` INTEGER NULL,
+    `voidReason` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `VendorPayment_paymentNumber_key`(`paymentNumber`),
+    INDEX `VendorPayment_vendorId_paymentDate_idx`(`vendorId`, `paymentDate`),
+    INDEX `VendorPayment_hostelId_idx`(`hostelId`),
+    INDEX `VendorPayment_recordedBy_idx`(`recordedBy`),
+    INDEX `VendorPayment_voidedBy_idx`(`voidedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `VendorPaymentAllocation` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `paymentId` INTEGER NOT NULL,
+    `billId` INTEGER NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `VendorPaymentAllocation_paymentId_idx`(`paymentId`),
+    INDEX `VendorPaymentAllocation_billId_idx`(`billId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `VendorBill` ADD CONSTRAINT `VendorBill_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorBill` ADD CONSTRAINT `VendorBill_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorBill` ADD CONSTRAINT `VendorBill_purchaseOrderId_fkey` FOREIGN KEY (`purchaseOrderId`) REFERENCES `PurchaseOrder`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorBill` ADD CONSTRAINT `VendorBill_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorBill` ADD CONSTRAINT `VendorBill_cancelledBy_fkey` FOREIGN KEY (`cancelledBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorPayment` ADD CONSTRAINT `VendorPayment_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorPayment` ADD CONSTRAINT `VendorPayment_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorPayment` ADD CONSTRAINT `VendorPayment_recordedBy_fkey` FOREIGN KEY (`recordedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorPayment` ADD CONSTRAINT `VendorPayment_voidedBy_fkey` FOREIGN KEY (`voidedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorPaymentAllocation` ADD CONSTRAINT `VendorPaymentAllocation_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `VendorPayment`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorPaymentAllocation` ADD CONSTRAINT `VendorPaymentAllocation_billId_fkey` FOREIGN KEY (`billId`) REFERENCES `VendorBill`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: carry each vendor's existing totals over as an opening bill and an
+-- opening payment applied to it, so recomputed balances match the old figures
+INSERT INTO `VendorBill` (`billNumber`, `vendorId`, `hostelId`, `description`, `billDate`, `dueDate`, `paymentTerms`, `amount`, `amountPaid`, `status`, `notes`, `updatedAt`)
+SELECT
+    CONCAT('VB-OPEN-', `id`),
+    `id`,
+    `hostelId`,
+    'Opening balance',
+    `updatedAt`,
+    `updatedAt`,
+    `paymentTerms`,
+    ROUND(`totalPayable`, 2),
+    ROUND(LEAST(COALESCE(`totalPaid`, 0), `totalPayable`), 2),
+    CASE
+        WHEN COALESCE(`totalPaid`, 0) >= `totalPayable` THEN 'paid'
+        WHEN COALESCE(`totalPaid`, 0) > 0 THEN 'partially_paid'
+        ELSE 'open'
+    END,
+    'Carried over from the vendor totals before bills were tracked',
+    CURRENT_TIMESTAMP(3)
+FROM `Vendor`
+WHERE COALESCE(`totalPayable`, 0) > 0;
+
+INSERT INTO `VendorPayment` (`paymentNumber`, `vendorId`, `hostelId`, `amount`, `paymentDate`, `notes`, `updatedAt`)
+SELECT
+    CONCAT('VP-OPEN-', `id`),
+    `id`,
+    `hostelId`,
+    ROUND(`totalPaid`, 2),
+    `updatedAt`,
+    'Carried over from the vendor totals before payments were tracked',
+    CURRENT_TIMESTAMP(3)
+FROM `Vendor`
+WHERE COALESCE(`totalPaid`, 0) > 0;
+
+INSERT INTO `VendorPaymentAllocation` (`paymentId`, `billId`, `amount`)
+SELECT `p`.`id`, `b`.`id`, `b`.`amountPaid`
+FROM `VendorPayment` `p`
+INNER JOIN `VendorBill` `b` ON `b`.`billNumber` = CONCAT('VB-OPEN-', `p`.`vendorId`)
+WHERE `p`.`paymentNumber` = CONCAT('VP-OPEN-', `p`.`vendorId`) AND `b`.`amountPaid` > 0;
+
+UPDATE `Vendor`
+SET
+    `totalPayable` = ROUND(COALESCE(`totalPayable`, 0), 2),
+    `totalPaid` = ROUND(COALESCE(`totalPaid`, 0), 2),
+    `balance` = ROUND(COALESCE(`totalPayable`, 0) - COALESCE(`totalPaid`, 0), 2);
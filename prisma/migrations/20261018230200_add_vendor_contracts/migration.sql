@@ -0,0 +1,83 @@
+-- AlterTable
+ALTER TABLE `VendorBill` ADD COLUMN `items` JSON NULL,
+    ADD COLUMN `contractId` INTEGER NULL,
+    ADD COLUMN `rateStatus` ENUM('unchecked', 'within_contract', 'overcharged') NOT NULL DEFAULT 'unchecked',
+    ADD COLUMN `overchargeAmount` DOUBLE NULL,
+    ADD COLUMN `rateCheck` JSON NULL,
+    ADD COLUMN `rateCheckedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `VendorContract` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `contractNumber` VARCHAR(30) NOT NULL,
+    `vendorId` INTEGER NOT NULL,
+    `hostelId` INTEGER NULL,
+    `title` VARCHAR(255) NOT NULL,
+    `status` ENUM('draft', 'active', 'expired', 'terminated') NOT NULL DEFAULT 'active',
+    `startDate` DATETIME(3) NOT NULL,
+    `endDate` DATETIME(3) NOT NULL,
+    `autoRenew` BOOLEAN NOT NULL DEFAULT false,
+    `renewalTermMonths` INTEGER NULL,
+    `renewalNoticeDays` INTEGER NULL,
+    `renewalAlertedAt` DATETIME(3) NULL,
+    `renewalCount` INTEGER NOT NULL DEFAULT 0,
+    `renewalHistory` JSON NULL,
+    `slaTerms` JSON NULL,
+    `terms` TEXT NULL,
+    `attachments` JSON NULL,
+    `notes` TEXT NULL,
+    `createdBy` INTEGER NULL,
+    `terminatedAt` DATETIME(3) NULL,
+    `terminatedBy` INTEGER NULL,
+    `terminationReason` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `VendorContract_contractNumber_key`(`contractNumber`),
+    INDEX `VendorContract_vendorId_status_idx`(`vendorId`, `status`),
+    INDEX `VendorContract_hostelId_status_idx`(`hostelId`, `status`),
+    INDEX `VendorContract_status_endDate_idx`(`status`, `endDate`),
+    INDEX `VendorContract_createdBy_idx`(`createdBy`),
+    INDEX `VendorContract_terminatedBy_idx`(`terminatedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `VendorContractRate` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `contractId` INTEGER NOT NULL,
+    `serviceId` INTEGER NOT NULL,
+    `rate` DOUBLE NOT NULL,
+    `priceUnit` VARCHAR(50) NULL,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `VendorContractRate_serviceId_idx`(`serviceId`),
+    UNIQUE INDEX `VendorContractRate_contractId_serviceId_key`(`contractId`, `serviceId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `VendorBill_contractId_rateStatus_idx` ON `VendorBill`(`contractId`, `rateStatus`);
+
+-- AddForeignKey
+ALTER TABLE `VendorBill` ADD CONSTRAINT `VendorBill_contractId_fkey` FOREIGN KEY (`contractId`) REFERENCES `VendorContract`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorContract` ADD CONSTRAINT `VendorContract_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorContract` ADD CONSTRAINT `VendorContract_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorContract` ADD CONSTRAINT `VendorContract_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorContract` ADD CONSTRAINT `VendorContract_terminatedBy_fkey` FOREIGN KEY (`terminatedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorContractRate` ADD CONSTRAINT `VendorContractRate_contractId_fkey` FOREIGN KEY (`contractId`) REFERENCES `VendorContract`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `VendorContractRate` ADD CONSTRAINT `VendorContractRate_serviceId_fkey` FOREIGN KEY (`serviceId`) REFERENCES `Service`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
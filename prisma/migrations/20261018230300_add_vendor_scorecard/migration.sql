@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE `Vendor` ADD COLUMN `performanceScore` DOUBLE NULL,
+    ADD COLUMN `performanceScoredAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `MaintenanceWorkOrder` ADD COLUMN `reopenCount` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `lastReopenedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `VendorScoreSnapshot` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `vendorId` INTEGER NOT NULL,
+    `period` VARCHAR(7) NOT NULL,
+    `jobsCompleted` INTEGER NOT NULL DEFAULT 0,
+    `jobsWithDeadline` INTEGER NOT NULL DEFAULT 0,
+    `jobsOnTime` INTEGER NOT NULL DEFAULT 0,
+    `jobsReopened` INTEGER NOT NULL DEFAULT 0,
+    `jobsStarted` INTEGER NOT NULL DEFAULT 0,
+    `avgResponseHours` DOUBLE NULL,
+    `billsRecorded` INTEGER NOT NULL DEFAULT 0,
+    `billsDisputed` INTEGER NOT NULL DEFAULT 0,
+    `manualScore` DOUBLE NULL,
+    `manualCount` INTEGER NOT NULL DEFAULT 0,
+    `components` JSON NULL,
+    `autoScore` DOUBLE NULL,
+    `score` DOUBLE NULL,
+    `computedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `VendorScoreSnapshot_period_idx`(`period`),
+    UNIQUE INDEX `VendorScoreSnapshot_vendorId_period_key`(`vendorId`, `period`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Vendor_performanceScore_idx` ON `Vendor`(`performanceScore`);
+
+-- AddForeignKey
+ALTER TABLE `VendorScoreSnapshot` ADD CONSTRAINT `VendorScoreSnapshot_vendorId_fkey` FOREIGN KEY (`vendorId`) REFERENCES `Vendor`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,73 @@
+-- CreateTable
+CREATE TABLE `LedgerAccount` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hostelId` INTEGER NULL,
+    `code` VARCHAR(20) NOT NULL,
+    `name` VARCHAR(150) NOT NULL,
+    `type` ENUM('asset', 'liability', 'equity', 'revenue', 'expense') NOT NULL,
+    `systemKey` VARCHAR(100) NULL,
+    `description` VARCHAR(500) NULL,
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `LedgerAccount_type_idx`(`type`),
+    UNIQUE INDEX `LedgerAccount_hostelId_code_key`(`hostelId`, `code`),
+    UNIQUE INDEX `LedgerAccount_hostelId_systemKey_key`(`hostelId`, `systemKey`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `JournalEntry` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `entryNumber` VARCHAR(30) NOT NULL,
+    `hostelId` INTEGER NULL,
+    `entryDate` DATETIME(3) NOT NULL,
+    `memo` VARCHAR(500) NOT NULL,
+    `sourceType` VARCHAR(30) NOT NULL,
+    `sourceId` INTEGER NULL,
+    `reversalOfId` INTEGER NULL,
+    `reversedAt` DATETIME(3) NULL,
+    `createdBy` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `JournalEntry_entryNumber_key`(`entryNumber`),
+    UNIQUE INDEX `JournalEntry_reversalOfId_key`(`reversalOfId`),
+    INDEX `JournalEntry_sourceType_sourceId_idx`(`sourceType`, `sourceId`),
+    INDEX `JournalEntry_hostelId_entryDate_idx`(`hostelId`, `entryDate`),
+    INDEX `JournalEntry_entryDate_idx`(`entryDate`),
+    INDEX `JournalEntry_createdBy_idx`(`createdBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `JournalLine` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `journalEntryId` INTEGER NOT NULL,
+    `accountId` INTEGER NOT NULL,
+    `debit` DOUBLE NOT NULL DEFAULT 0,
+    `credit` DOUBLE NOT NULL DEFAULT 0,
+    `description` VARCHAR(500) NULL,
+
+    INDEX `JournalLine_journalEntryId_idx`(`journalEntryId`),
+    INDEX `JournalLine_accountId_idx`(`accountId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `LedgerAccount` ADD CONSTRAINT `LedgerAccount_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `JournalEntry` ADD CONSTRAINT `JournalEntry_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `JournalEntry` ADD CONSTRAINT `JournalEntry_reversalOfId_fkey` FOREIGN KEY (`reversalOfId`) REFERENCES `JournalEntry`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `JournalEntry` ADD CONSTRAINT `JournalEntry_createdBy_fkey` FOREIGN KEY (`createdBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `JournalLine` ADD CONSTRAINT `JournalLine_journalEntryId_fkey` FOREIGN KEY (`journalEntryId`) REFERENCES `JournalEntry`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `JournalLine` ADD CONSTRAINT `JournalLine_accountId_fkey` FOREIGN KEY (`accountId`) REFERENCES `LedgerAccount`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,96 @@
+-- CreateTable
+CREATE TABLE `BankAccount` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hostelId` INTEGER NOT NULL,
+    `name` VARCHAR(150) NOT NULL,
+    `bankName` VARCHAR(150) NULL,
+    `accountNumber` VARCHAR(50) NOT NULL,
+    `currency` VARCHAR(10) NOT NULL DEFAULT 'PKR',
+    `isActive` BOOLEAN NOT NULL DEFAULT true,
+    `notes` TEXT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `BankAccount_hostelId_accountNumber_key`(`hostelId`, `accountNumber`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `BankStatement` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `bankAccountId` INTEGER NOT NULL,
+    `fileName` VARCHAR(255) NULL,
+    `format` ENUM('csv', 'ofx') NOT NULL,
+    `periodStart` DATETIME(3) NULL,
+    `periodEnd` DATETIME(3) NULL,
+    `openingBalance` DOUBLE NULL,
+    `closingBalance` DOUBLE NULL,
+    `lineCount` INTEGER NOT NULL DEFAULT 0,
+    `duplicateCount` INTEGER NOT NULL DEFAULT 0,
+    `importedBy` INTEGER NULL,
+    `importedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `BankStatement_bankAccountId_importedAt_idx`(`bankAccountId`, `importedAt`),
+    INDEX `BankStatement_importedBy_idx`(`importedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `BankStatementLine` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `statementId` INTEGER NOT NULL,
+    `bankAccountId` INTEGER NOT NULL,
+    `externalId` VARCHAR(100) NOT NULL,
+    `postedAt` DATETIME(3) NOT NULL,
+    `amount` DOUBLE NOT NULL,
+    `description` VARCHAR(500) NULL,
+    `reference` VARCHAR(150) NULL,
+    `balance` DOUBLE NULL,
+    `status` ENUM('unmatched', 'suggested', 'matched', 'ignored') NOT NULL DEFAULT 'unmatched',
+    `matchType` ENUM('payment', 'transaction', 'expense') NULL,
+    `paymentId` INTEGER NULL,
+    `transactionId` INTEGER NULL,
+    `expenseId` INTEGER NULL,
+    `matchScore` DOUBLE NULL,
+    `matchNote` VARCHAR(500) NULL,
+    `matchedBy` INTEGER NULL,
+    `matchedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `BankStatementLine_paymentId_key`(`paymentId`),
+    UNIQUE INDEX `BankStatementLine_transactionId_key`(`transactionId`),
+    UNIQUE INDEX `BankStatementLine_expenseId_key`(`expenseId`),
+    INDEX `BankStatementLine_statementId_idx`(`statementId`),
+    INDEX `BankStatementLine_bankAccountId_status_postedAt_idx`(`bankAccountId`, `status`, `postedAt`),
+    INDEX `BankStatementLine_matchedBy_idx`(`matchedBy`),
+    UNIQUE INDEX `BankStatementLine_bankAccountId_externalId_key`(`bankAccountId`, `externalId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `BankAccount` ADD CONSTRAINT `BankAccount_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatement` ADD CONSTRAINT `BankStatement_bankAccountId_fkey` FOREIGN KEY (`bankAccountId`) REFERENCES `BankAccount`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatement` ADD CONSTRAINT `BankStatement_importedBy_fkey` FOREIGN KEY (`importedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_statementId_fkey` FOREIGN KEY (`statementId`) REFERENCES `BankStatement`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_bankAccountId_fkey` FOREIGN KEY (`bankAccountId`) REFERENCES `BankAccount`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_transactionId_fkey` FOREIGN KEY (`transactionId`) REFERENCES `Transaction`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_expenseId_fkey` FOREIGN KEY (`expenseId`) REFERENCES `Expense`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_matchedBy_fkey` FOREIGN KEY (`matchedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
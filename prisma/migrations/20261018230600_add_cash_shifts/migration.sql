@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE `PaymentReceipt` ADD COLUMN `cashShiftId` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `CashShift` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shiftNumber` VARCHAR(30) NOT NULL,
+    `hostelId` INTEGER NOT NULL,
+    `userId` INTEGER NOT NULL,
+    `status` ENUM('open', 'closed', 'approved') NOT NULL DEFAULT 'open',
+    `openingFloat` DOUBLE NOT NULL DEFAULT 0,
+    `openedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `openNote` VARCHAR(500) NULL,
+    `closedAt` DATETIME(3) NULL,
+    `closedBy` INTEGER NULL,
+    `cashCollected` DOUBLE NULL,
+    `expectedCash` DOUBLE NULL,
+    `countedCash` DOUBLE NULL,
+    `variance` DOUBLE NULL,
+    `denominations` JSON NULL,
+    `closeNote` TEXT NULL,
+    `approvedBy` INTEGER NULL,
+    `approvedAt` DATETIME(3) NULL,
+    `approvalNote` VARCHAR(500) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `CashShift_shiftNumber_key`(`shiftNumber`),
+    INDEX `CashShift_userId_status_idx`(`userId`, `status`),
+    INDEX `CashShift_hostelId_openedAt_idx`(`hostelId`, `openedAt`),
+    INDEX `CashShift_status_idx`(`status`),
+    INDEX `CashShift_closedBy_idx`(`closedBy`),
+    INDEX `CashShift_approvedBy_idx`(`approvedBy`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `PaymentReceipt_cashShiftId_idx` ON `PaymentReceipt`(`cashShiftId`);
+
+-- AddForeignKey
+ALTER TABLE `PaymentReceipt` ADD CONSTRAINT `PaymentReceipt_cashShiftId_fkey` FOREIGN KEY (`cashShiftId`) REFERENCES `CashShift`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CashShift` ADD CONSTRAINT `CashShift_hostelId_fkey` FOREIGN KEY (`hostelId`) REFERENCES `Hostel`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CashShift` ADD CONSTRAINT `CashShift_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CashShift` ADD CONSTRAINT `CashShift_closedBy_fkey` FOREIGN KEY (`closedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `CashShift` ADD CONSTRAINT `CashShift_approvedBy_fkey` FOREIGN KEY (`approvedBy`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
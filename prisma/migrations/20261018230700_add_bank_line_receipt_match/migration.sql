@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `BankStatementLine` ADD COLUMN `receiptId` INTEGER NULL,
+    MODIFY `matchType` ENUM('payment', 'transaction', 'expense', 'receipt') NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `BankStatementLine_receiptId_key` ON `BankStatementLine`(`receiptId`);
+
+-- AddForeignKey
+ALTER TABLE `BankStatementLine` ADD CONSTRAINT `BankStatementLine_receiptId_fkey` FOREIGN KEY (`receiptId`) REFERENCES `PaymentReceipt`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `Transaction` ADD COLUMN `refundedAmount` DOUBLE NULL DEFAULT 0;
+
+-- Backfill refunded transactions from their refund journal, or the full amount when none was posted
+UPDATE `Transaction` t
+SET t.`refundedAmount` = COALESCE((
+    SELECT SUM(l.`debit`)
+    FROM `JournalEntry` e
+    JOIN `JournalLine` l ON l.`journalEntryId` = e.`id`
+    WHERE e.`sourceType` = 'transaction_refund'
+      AND e.`sourceId` = t.`id`
+      AND e.`reversalOfId` IS NULL
+      AND e.`reversedAt` IS NULL
+), t.`amount`, 0)
+WHERE t.`status` = 'refunded';
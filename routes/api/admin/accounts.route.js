@@ -6,6 +6,9 @@ const {
   getPayables,
   getReceivables,
   getPayablesSummary,
+  getTrialBalanceReport,
+  getBalanceSheetReport,
+  getProfitAndLossReport,
 } = require('../../../controllers/api/accounts.controller');
 
 // All routes require authentication and admin/manager role
@@ -32,6 +35,47 @@ router.use(authenticate, authorize('admin', 'manager'));
  */
 router.get('/accounts/summary', getFinancialSummary);
 
+// =====================================================
+// FINANCIAL STATEMENTS - From the general ledger
+// =====================================================
+
+/**
+ * Trial Balance
+ * GET /api/admin/accounts/trial-balance
+ *
+ * Query Parameters:
+ * - hostelId (optional): One hostel's chart (default: all hostels, consolidated by account code)
+ * - asOf (optional): Date to balance at (default: now)
+ *
+ * Returns: Each account's debit or credit balance, the totals and whether they agree
+ */
+router.get('/accounts/trial-balance', getTrialBalanceReport);
+
+/**
+ * Balance Sheet
+ * GET /api/admin/accounts/balance-sheet
+ *
+ * Query Parameters:
+ * - hostelId (optional): Filter by hostel ID
+ * - asOf (optional): Date of the balance sheet (default: now)
+ *
+ * Returns: Assets, liabilities and equity (with earnings to date), and whether they balance
+ */
+router.get('/accounts/balance-sheet', getBalanceSheetReport);
+
+/**
+ * Profit and Loss
+ * GET /api/admin/accounts/profit-and-loss
+ *
+ * Query Parameters:
+ * - hostelId (optional): Filter by hostel ID
+ * - startDate (optional): Start of the period (default: the first entry)
+ * - endDate (optional): End of the period (default: now)
+ *
+ * Returns: Revenue and expense accounts, their totals and net income
+ */
+router.get('/accounts/profit-and-loss', getProfitAndLossReport);
+
 /**
  * Payables Summary
  * GET /api/admin/accounts/payables/summary
@@ -98,8 +142,11 @@ router.get('/accounts/payable/bills', (req, res, next) => {
  * - search (optional): Search by reference, tenant, or description
  * - page (optional): Page number for pagination (default: 1)
  * - limit (optional): Items per page (default: 20)
+ * - asOf (optional): Date to age open bills at (default: today)
  * 
- * Returns: List of vendor payables with pagination and summary
+ * Returns: Vendors with outstanding bill amounts aged by days past due
+ * (current, 0-30, 31-60, 61-90, 90+), an aging total across all matching
+ * vendors, pagination and summary
  */
 router.get('/accounts/payable/vendor', (req, res, next) => {
   req.query.type = 'vendor';
@@ -0,0 +1,31 @@
+// ===============================
+// Alert SLA Policies Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    createSlaPolicy,
+    getSlaPolicies,
+    updateSlaPolicy,
+    deleteSlaPolicy
+} = require('../../../controllers/api/alert-sla.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Add an SLA policy; leave hostelId empty for a policy that applies to all hostels (admin only) (Admin, Manager & Owner)
+// Body: { type: bill|rent|payable|receivable|maintenance, priority: low|medium|high|urgent,
+//         acknowledgeMinutes?, resolveMinutes?, hostelId?, isActive?, notes? }
+router.post('/alert-sla-policies', authenticate, authorize('admin', 'manager', 'owner'), createSlaPolicy);
+
+// List SLA policies, including those for all hostels (Admin, Manager & Owner)
+// Query params: hostelId, type, priority, isActive
+router.get('/alert-sla-policies', authenticate, authorize('admin', 'manager', 'owner'), getSlaPolicies);
+
+// Update an SLA policy; alerts already given deadlines keep them (Admin, Manager & Owner)
+// Body: any field accepted on create
+router.put('/alert-sla-policies/:id', authenticate, authorize('admin', 'manager', 'owner'), updateSlaPolicy);
+
+// Delete an SLA policy (Admin, Manager & Owner)
+router.delete('/alert-sla-policies/:id', authenticate, authorize('admin', 'manager', 'owner'), deleteSlaPolicy);
+
+module.exports = router;
@@ -1,4 +1,7 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
 const router = express.Router();
 const {
     createAlert,
@@ -7,12 +10,38 @@ const {
     updateAlert,
     updateAlertStatus,
     assignAlert,
+    addAlertComment,
     deleteAlert,
     getAlertStats,
     getOverdueAlerts,
     getUnassignedAlerts
 } = require('../../../controllers/api/alert.controller');
-// const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// ===============================
+// MULTER CONFIG (comment attachments)
+// ===============================
+const attachmentsDir = path.join(__dirname, '../../../uploads/alerts');
+
+if (!fs.existsSync(attachmentsDir)) {
+    fs.mkdirSync(attachmentsDir, { recursive: true });
+}
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, attachmentsDir),
+        filename: (req, file, cb) => {
+            const ext = path.extname(file.originalname);
+            cb(null, `alert-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`);
+        }
+    }),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+    fileFilter: (req, file, cb) => {
+        const allowed = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp', 'image/heic', 'application/pdf'];
+        if (allowed.includes(file.mimetype)) cb(null, true);
+        else cb(new Error('Invalid file type. Allowed: JPG, PNG, WEBP, HEIC, PDF'));
+    }
+});
 
 /**
  * =====================================================
@@ -21,8 +50,9 @@ const {
  * 
  * Base path: /api/admin/alerts
  * 
- * Note: Uncomment authentication middleware when ready
- * Use: authenticate, authorize(['admin', 'manager'])
+ * Routes that write to the activity timeline require a signed-in admin or
+ * manager so every entry records who made it. Uncomment authentication on
+ * the rest when ready.
  */
 
 // ==================== ALERT STATISTICS ====================
@@ -33,7 +63,8 @@ const {
  * @access  Admin, Manager
  * @query   hostelId? - Filter by hostel ID
  * @query   type? - Filter by type (bill|maintenance) before counting
- * @returns { danger, warning, info, tabs: { bills, maintenance }, total, pending, overdue, ... }
+ * @returns { danger, warning, info, tabs: { bills, maintenance }, total, pending, overdue, ...,
+ *            sla: { tracked, escalated, acknowledge: { met, breached, pending, complianceRate, averageMinutes }, resolve: { ... } } }
  */
 router.get('/alerts/stats', getAlertStats);
 
@@ -42,9 +73,10 @@ router.get('/alerts/stats', getAlertStats);
  * @desc    Get all overdue alerts (status not resolved and dueDate < now)
  * @access  Admin, Manager
  * @query   hostelId? - Filter by hostel ID
+ * @query   source? - preventive (raised from a maintenance plan) | adhoc
  * @query   page? - Page number (default: 1)
  * @query   limit? - Items per page (default: 20)
- * @returns { alerts: [], pagination: { total, page, limit, totalPages } }
+ * @returns { alerts: [], preventive: { overdue, plans: [] }, pagination: { total, page, limit, totalPages } }
  */
 router.get('/alerts/overdue', getOverdueAlerts);
 
@@ -95,14 +127,19 @@ router.get('/alerts', getAllAlerts);
  *           assignedTo? (user ID or name string), metadata?, attachments?, remarks? }
  * @returns { id, type, severity, title, description, status, assignedTo, created, ... }
  */
-router.post('/alerts', createAlert);
+router.post('/alerts', authenticate, authorize('admin', 'manager'), createAlert);
 
 /**
  * @route   GET /api/admin/alerts/:id
- * @desc    Get single alert by ID with full details
+ * @desc    Get single alert by ID with full details and its activity timeline
  * @access  Admin, Manager
  * @params  id - Alert ID
- * @returns { id, type, severity, title, description, status, assignedTo, assignedUser, ... }
+ * @query   activityType? - Comma-separated: created|comment|status_change|assignment|priority_change|escalation
+ * @query   activityBy? - Only activity by this user ID
+ * @query   activityFrom?, activityTo? - Activity date range
+ * @query   activityOrder? - asc (default) | desc
+ * @returns { id, type, severity, title, description, status, assignedTo, assignedUser, ..., sla,
+ *            activity: [], timeline: { firstAssignedAt, unassignedMinutes, minutesInStatus, closedAt, closedBy, ... } }
  */
 router.get('/alerts/:id', getAlertById);
 
@@ -116,7 +153,7 @@ router.get('/alerts/:id', getAlertById);
  *           assignedTo? (user ID or name string), metadata?, attachments?, remarks? }
  * @returns { id, type, severity, title, description, status, assignedTo, ... }
  */
-router.put('/alerts/:id', updateAlert);
+router.put('/alerts/:id', authenticate, authorize('admin', 'manager'), updateAlert);
 
 /**
  * @route   PUT /api/admin/alerts/:id/status
@@ -126,7 +163,7 @@ router.put('/alerts/:id', updateAlert);
  * @body    { status (required), remarks? }
  * @returns { id, type, severity, title, description, status, ... }
  */
-router.put('/alerts/:id/status', updateAlertStatus);
+router.put('/alerts/:id/status', authenticate, authorize('admin', 'manager'), updateAlertStatus);
 
 /**
  * @route   PUT /api/admin/alerts/:id/assign
@@ -136,7 +173,17 @@ router.put('/alerts/:id/status', updateAlertStatus);
  * @body    { assignedTo (required) - user ID (number) or name string (e.g., "David Kim") }
  * @returns { id, type, severity, title, description, status, assignedTo, assignedUser, ... }
  */
-router.put('/alerts/:id/assign', assignAlert);
+router.put('/alerts/:id/assign', authenticate, authorize('admin', 'manager'), assignAlert);
+
+/**
+ * @route   POST /api/admin/alerts/:id/comments
+ * @desc    Add a comment to the alert timeline (multipart field "attachments", up to 5 files)
+ * @access  Admin, Manager
+ * @params  id - Alert ID
+ * @body    { message? } - a message, attachments, or both
+ * @returns { id, type, message, attachments, actor, createdAt }
+ */
+router.post('/alerts/:id/comments', authenticate, authorize('admin', 'manager'), upload.array('attachments', 5), addAlertComment);
 
 /**
  * @route   DELETE /api/admin/alerts/:id
@@ -21,7 +21,8 @@ const { authenticate, authorize } = require('../../../middleware/auth.middleware
 // Allocate tenant to bed (Admin & Manager only)
 router.post('/allocation', authenticate, authorize('admin', 'manager', 'owner'), allocateTenant);
 
-// Check out tenant (Admin & Manager only)
+// Check out tenant and settle the security deposit (Admin & Manager only)
+// Body: { checkOutDate?, notes?, deductions?: [{ type, description, amount }], deductUnpaidDues?, refundMethod?, depositRemarks? }
 router.post('/allocations/:allocationId/checkout', authenticate, authorize('admin', 'manager', 'owner'), checkOutTenant);
 
 // Transfer tenant to another bed (Admin & Manager only)
@@ -0,0 +1,160 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const {
+  listBankAccounts,
+  createBankAccount,
+  updateBankAccount,
+  importStatement,
+  autoMatchAccount,
+  getAccountReconciliation,
+  listStatements,
+  getStatementById,
+  deleteStatement,
+  listStatementLines,
+  getLineCandidates,
+  confirmMatches,
+  matchLine,
+  unmatchStatementLine,
+  ignoreStatementLine,
+} = require('../../../controllers/api/bank-reconciliation.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Statements are parsed straight from memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.ofx', '.qfx', '.txt'].includes(path.extname(file.originalname).toLowerCase())) cb(null, true);
+    else cb(new Error('Invalid file type. Allowed: CSV, OFX, QFX'));
+  },
+});
+
+// 🔒 All bank reconciliation routes are protected
+router.use(['/bank-accounts', '/bank-statements', '/bank-statement-lines'], authenticate, authorize('admin', 'manager'));
+
+// ==================== BANK ACCOUNTS ====================
+
+/**
+ * @route   GET /api/admin/bank-accounts
+ * @desc    List bank accounts with their last statement and unreconciled line count
+ * @access  Admin, Manager
+ * @query   hostelId?, includeInactive?
+ */
+router.get('/bank-accounts', listBankAccounts);
+
+/**
+ * @route   POST /api/admin/bank-accounts
+ * @desc    Add a hostel bank account
+ * @access  Admin, Manager
+ * @body    { hostelId, name, accountNumber, bankName?, currency?, notes? }
+ */
+router.post('/bank-accounts', createBankAccount);
+
+/**
+ * @route   PUT /api/admin/bank-accounts/:id
+ * @desc    Update or deactivate a bank account
+ * @access  Admin, Manager
+ * @body    { name?, bankName?, accountNumber?, currency?, notes?, isActive? }
+ */
+router.put('/bank-accounts/:id', updateBankAccount);
+
+/**
+ * @route   POST /api/admin/bank-accounts/:id/statements
+ * @desc    Import a CSV or OFX statement; lines already imported are skipped and the rest auto-matched
+ * @access  Admin, Manager
+ * @body    multipart: file, or JSON: { content, fileName? }; format? (csv|ofx), dateFormat? (DMY|MDY|YMD),
+ *          mapping? ({ date, description, reference, amount, type, debit, credit, balance } column headers)
+ */
+router.post('/bank-accounts/:id/statements', upload.single('file'), importStatement);
+
+/**
+ * @route   POST /api/admin/bank-accounts/:id/auto-match
+ * @desc    Suggest matches for the account's unmatched lines
+ * @access  Admin, Manager
+ */
+router.post('/bank-accounts/:id/auto-match', autoMatchAccount);
+
+/**
+ * @route   GET /api/admin/bank-accounts/:id/reconciliation
+ * @desc    Unreconciled statement lines and bank receipts/payments by month
+ * @access  Admin, Manager
+ * @query   from?, to? (default: the last three months)
+ */
+router.get('/bank-accounts/:id/reconciliation', getAccountReconciliation);
+
+// ==================== STATEMENTS ====================
+
+/**
+ * @route   GET /api/admin/bank-statements
+ * @desc    List imported statements
+ * @access  Admin, Manager
+ * @query   bankAccountId?, hostelId?, page?, limit?
+ */
+router.get('/bank-statements', listStatements);
+
+/**
+ * @route   GET /api/admin/bank-statements/:id
+ * @desc    Get a statement with its lines and matches
+ * @access  Admin, Manager
+ */
+router.get('/bank-statements/:id', getStatementById);
+
+/**
+ * @route   DELETE /api/admin/bank-statements/:id
+ * @desc    Delete a statement with no confirmed matches
+ * @access  Admin, Manager
+ */
+router.delete('/bank-statements/:id', deleteStatement);
+
+// ==================== STATEMENT LINES ====================
+
+/**
+ * @route   GET /api/admin/bank-statement-lines
+ * @desc    List statement lines
+ * @access  Admin, Manager
+ * @query   hostelId?, bankAccountId?, statementId?, status? (unmatched|suggested|matched|ignored), from?, to?, page?, limit?
+ */
+router.get('/bank-statement-lines', listStatementLines);
+
+/**
+ * @route   POST /api/admin/bank-statement-lines/confirm
+ * @desc    Confirm suggested matches
+ * @access  Admin, Manager
+ * @body    { lineIds? } or { bankAccountId, minScore? }
+ */
+router.post('/bank-statement-lines/confirm', confirmMatches);
+
+/**
+ * @route   GET /api/admin/bank-statement-lines/:id/candidates
+ * @desc    Receipts, payments, transactions and expenses a line could be matched to, best first
+ * @access  Admin, Manager
+ * @query   windowDays?, anyAmount?
+ */
+router.get('/bank-statement-lines/:id/candidates', getLineCandidates);
+
+/**
+ * @route   POST /api/admin/bank-statement-lines/:id/match
+ * @desc    Match a line to a record by hand
+ * @access  Admin, Manager
+ * @body    { matchType (receipt|payment|transaction|expense), recordId, note? }
+ */
+router.post('/bank-statement-lines/:id/match', matchLine);
+
+/**
+ * @route   POST /api/admin/bank-statement-lines/:id/unmatch
+ * @desc    Undo a suggestion, match or ignore
+ * @access  Admin, Manager
+ */
+router.post('/bank-statement-lines/:id/unmatch', unmatchStatementLine);
+
+/**
+ * @route   POST /api/admin/bank-statement-lines/:id/ignore
+ * @desc    Set aside a line with no record (bank charges, interest, own transfers)
+ * @access  Admin, Manager
+ * @body    { reason }
+ */
+router.post('/bank-statement-lines/:id/ignore', ignoreStatementLine);
+
+module.exports = router;
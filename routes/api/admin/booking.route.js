@@ -10,9 +10,9 @@ router.use(authenticate);
 
 /**
  * @route   POST /api/admin/bookings
- * @desc    Create new booking
+ * @desc    Create new booking; totalAmount is quoted from the pricing rules when a room or bed is given
  * @access  Admin, Manager, Staff
- * @body    { tenantId?, hostelId, roomId?, bedId?, checkInDate, checkOutDate, bookingType?, numberOfGuests?, totalAmount?, advancePaid?, paymentMethod?, customerName?, customerEmail?, customerPhone?, customerCnic?, remarks? }
+ * @body    { tenantId?, hostelId, roomId?, bedId?, checkInDate, checkOutDate, bookingType?, numberOfGuests?, advancePaid?, paymentMethod?, customerName?, customerEmail?, customerPhone?, customerCnic?, remarks? }
  */
 router.post('/bookings', 
     authorize('admin', 'manager', 'staff', 'user'), authenticate,
@@ -52,6 +52,17 @@ router.get('/bookings/available-beds',
     bookingController.getAvailableBeds
 );
 
+/**
+ * @route   GET /api/admin/bookings/availability-calendar
+ * @desc    Day-by-day free/booked/occupied/maintenance grid per bed, rolled up to room, floor and hostel
+ * @access  Admin, Manager, Staff
+ * @query   hostelId, floorId?, roomId?, startDate? (default today), endDate? (inclusive, default +29 days, max 92 days)
+ */
+router.get('/bookings/availability-calendar',
+    authorize('admin', 'manager', 'staff'),
+    bookingController.getAvailabilityCalendar
+);
+
 /**
  * @route   GET /api/admin/bookings/code/:bookingCode
  * @desc    Get booking by booking code
@@ -79,7 +90,9 @@ router.get('/bookings/:id',
  * @desc    Update booking details
  * @access  Admin, Manager, Staff
  * @params  id - Booking ID
- * @body    { checkInDate?, checkOutDate?, numberOfGuests?, remarks?, totalAmount?, advancePaid?, paymentMethod?, transactionId?, customerName?, customerEmail?, customerPhone?, customerCnic? }
+ * @body    { checkInDate?, checkOutDate?, numberOfGuests?, remarks?, priceOverride?, priceOverrideReason?, advancePaid?, paymentMethod?, transactionId?, customerName?, customerEmail?, customerPhone?, customerCnic? }
+ *          The total is re-quoted from the pricing rules when the dates change. priceOverride replaces it
+ *          (admin/manager only, priceOverrideReason required) and is logged with the quote it replaced.
  */
 router.put('/bookings/:id',
     authorize('admin', 'manager', 'staff'),
@@ -92,12 +105,26 @@ router.put('/bookings/:id',
  * @access  Admin, Manager, Staff
  * @params  id - Booking ID
  * @body    { status } - Status: pending, confirmed, checked_in, checked_out, cancelled, expired
+ *          checked_in is handled as POST /bookings/:id/check-in and accepts the same body
  */
 router.patch('/bookings/:id/status',
     authorize('admin', 'manager', 'staff'),
     bookingController.updateBookingStatus
 );
 
+/**
+ * @route   POST /api/admin/bookings/:id/check-in
+ * @desc    Check in a confirmed booking: creates the tenant (for walk-ins) and the allocation,
+ *          and carries the advance paid over as credit
+ * @access  Admin, Manager, Staff
+ * @params  id - Booking ID
+ * @body    { tenantId?, bedId?, rentAmount?, depositAmount?, checkInDate?, expectedCheckOutDate?, notes? }
+ */
+router.post('/bookings/:id/check-in',
+    authorize('admin', 'manager', 'staff'),
+    bookingController.checkInBooking
+);
+
 /**
  * @route   PATCH /api/admin/bookings/:id/cancel
  * @desc    Cancel booking
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const {
+  openShift,
+  getCurrentShift,
+  listShifts,
+  getVarianceReport,
+  getShiftById,
+  closeShift,
+  approveShift,
+} = require('../../../controllers/api/cash-shift.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// 🔒 Collectors work their own drawers; sign-off and reports are for managers
+router.use('/cash-shifts', authenticate);
+const collector = authorize('admin', 'manager', 'staff');
+const manager = authorize('admin', 'manager');
+
+/**
+ * @route   POST /api/admin/cash-shifts/open
+ * @desc    Open a cash drawer with an opening float; cash payments recorded afterwards are tied to it
+ * @access  Admin, Manager, Staff
+ * @body    { hostelId, openingFloat?, note? }
+ */
+router.post('/cash-shifts/open', collector, openShift);
+
+/**
+ * @route   GET /api/admin/cash-shifts/current
+ * @desc    The signed-in user's open shift with the cash expected in the drawer
+ * @access  Admin, Manager, Staff
+ */
+router.get('/cash-shifts/current', collector, getCurrentShift);
+
+/**
+ * @route   GET /api/admin/cash-shifts/variance-report
+ * @desc    Shortages and overages per collector over closed shifts
+ * @access  Admin, Manager
+ * @query   hostelId?, userId?, from?, to?
+ */
+router.get('/cash-shifts/variance-report', manager, getVarianceReport);
+
+/**
+ * @route   GET /api/admin/cash-shifts
+ * @desc    List cash shifts (staff see their own)
+ * @access  Admin, Manager, Staff
+ * @query   hostelId?, userId?, status? (open|closed|approved), from?, to?, page?, limit?
+ */
+router.get('/cash-shifts', collector, listShifts);
+
+/**
+ * @route   GET /api/admin/cash-shifts/:id
+ * @desc    Get a shift with its cash receipts
+ * @access  Admin, Manager, Staff
+ */
+router.get('/cash-shifts/:id', collector, getShiftById);
+
+/**
+ * @route   POST /api/admin/cash-shifts/:id/close
+ * @desc    Close a shift with the counted cash; a variance over the tolerance needs a note
+ * @access  Admin, Manager, Staff
+ * @body    { countedCash?, denominations? ({ "5000": 2, "1000": 7 }), note? }
+ */
+router.post('/cash-shifts/:id/close', collector, closeShift);
+
+/**
+ * @route   POST /api/admin/cash-shifts/:id/approve
+ * @desc    Sign off a closed shift (not by its own collector)
+ * @access  Admin, Manager
+ * @body    { note? }
+ */
+router.post('/cash-shifts/:id/approve', manager, approveShift);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// ===============================
+// Security Deposit Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    previewDepositSettlement,
+    settleCheckedOutDeposit,
+    getDepositSettlementStatement,
+    getDepositsHeldReport,
+    getDepositSettlements
+} = require('../../../controllers/api/deposit.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Preview how the deposit would be settled at checkout (Admin, Manager & Owner)
+// Body: { deductions?: [{ type, description, amount }], deductUnpaidDues? }
+router.post('/allocations/:allocationId/deposit/preview', authenticate, authorize('admin', 'manager', 'owner'), previewDepositSettlement);
+
+// Settle the deposit of an allocation checked out before settlements existed (Admin, Manager & Owner)
+// Body: { deductions?, deductUnpaidDues?, refundMethod?, remarks? }
+router.post('/allocations/:allocationId/deposit/settle', authenticate, authorize('admin', 'manager', 'owner'), settleCheckedOutDeposit);
+
+// Deposit settlement statement (Admin, Manager & Owner)
+router.get('/allocations/:allocationId/deposit/statement', authenticate, authorize('admin', 'manager', 'owner'), getDepositSettlementStatement);
+
+// Deposits still held, grouped by hostel (Admin, Manager & Owner)
+// Query params: hostelId
+router.get('/deposits/held', authenticate, authorize('admin', 'manager', 'owner'), getDepositsHeldReport);
+
+// Settled deposits (Admin, Manager & Owner)
+// Query params: hostelId, tenantId, startDate, endDate, page, limit
+router.get('/deposits/settlements', authenticate, authorize('admin', 'manager', 'owner'), getDepositSettlements);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listLedgerAccounts,
+  createLedgerAccount,
+  updateLedgerAccount,
+  listJournalEntries,
+  getJournalEntryById,
+  createJournalEntry,
+  reverseJournalEntry,
+} = require('../../../controllers/api/general-ledger.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// 🔒 All general ledger routes are protected
+router.use(['/ledger-accounts', '/journal-entries'], authenticate, authorize('admin', 'manager'));
+
+// ==================== CHART OF ACCOUNTS ====================
+
+/**
+ * @route   GET /api/admin/ledger-accounts
+ * @desc    A hostel's chart of accounts with debit, credit and balance; system accounts are created on first view
+ * @access  Admin, Manager
+ * @query   hostelId? (none = the chart for money without a hostel), type? (asset|liability|equity|revenue|expense),
+ *          includeInactive?
+ */
+router.get('/ledger-accounts', listLedgerAccounts);
+
+/**
+ * @route   POST /api/admin/ledger-accounts
+ * @desc    Add an account to a chart
+ * @access  Admin, Manager
+ * @body    { code, name, type, hostelId?, description? }
+ */
+router.post('/ledger-accounts', createLedgerAccount);
+
+/**
+ * @route   PUT /api/admin/ledger-accounts/:id
+ * @desc    Rename or deactivate an account; code and type only change while it has no entries
+ * @access  Admin, Manager
+ * @body    { name?, description?, isActive?, code?, type? }
+ */
+router.put('/ledger-accounts/:id', updateLedgerAccount);
+
+// ==================== JOURNALS ====================
+
+/**
+ * @route   GET /api/admin/journal-entries
+ * @desc    List journal entries with their lines
+ * @access  Admin, Manager
+ * @query   hostelId?, sourceType? (charge|transaction|transaction_refund|deposit_settlement|tenant_adjustment|
+ *          expense|vendor_bill|vendor_payment|manual), sourceId?, accountId?, from?, to?, page?, limit?
+ */
+router.get('/journal-entries', listJournalEntries);
+
+/**
+ * @route   GET /api/admin/journal-entries/:id
+ * @desc    Get a journal entry with its lines and reversal
+ * @access  Admin, Manager
+ */
+router.get('/journal-entries/:id', getJournalEntryById);
+
+/**
+ * @route   POST /api/admin/journal-entries
+ * @desc    Post a balanced manual journal
+ * @access  Admin, Manager
+ * @body    { memo, hostelId?, entryDate?, lines: [{ accountId, debit?, credit?, description? }] }
+ */
+router.post('/journal-entries', createJournalEntry);
+
+/**
+ * @route   POST /api/admin/journal-entries/:id/reverse
+ * @desc    Reverse a manual journal
+ * @access  Admin, Manager
+ * @body    { reason, entryDate? }
+ */
+router.post('/journal-entries/:id/reverse', reverseJournalEntry);
+
+module.exports = router;
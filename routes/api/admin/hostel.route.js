@@ -12,6 +12,8 @@ const {
   deleteHostel,
   getHostelStats,
   getHostelArchitecture,
+  getHostelLayout,
+  buildHostelLayout,
   getHostelCategories,
 } = require('../../../controllers/api/hostel.controller');
 const { authenticate, authorize } = require('../../../middleware/auth.middleware');
@@ -43,6 +45,9 @@ router.delete('/hostels/:id', authorize('admin'), deleteHostel); // Delete hoste
 router.get('/hostels/:id/stats', getHostelStats); // Get hostel statistics
 router.get('/hostels/:id/architecture', getHostelArchitecture); // Get hostel architecture
 router.get('/hostels/:id/arrangement', getHostelArchitecture); // Alias for arrangement view
+router.get('/hostels/:id/layout', getHostelLayout); // Export floors, rooms and beds as a layout template
+// Body: { layout: { floors: [{ floorNumber | floorNumbers, floorName, rooms: [{ count, roomNumberPattern, roomType, bedsPerRoom, bedType | bedTypes, bedNumberPattern, pricePerBed }] }] } | cloneFromHostelId, dryRun }
+router.post('/hostels/:id/layout', buildHostelLayout); // Build floors, rooms and beds from a layout (dryRun previews)
 
 module.exports = router;
 
@@ -0,0 +1,21 @@
+// ===============================
+// Invoice Routes (Rent Billing)
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    generateMonthlyRentInvoices,
+    getRentInvoices
+} = require('../../../controllers/api/invoice.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Generate pending rent charges for a month (Admin, Manager & Owner)
+// Body: { forMonth: "2025-10", hostelId?, dryRun? }
+router.post('/invoices/rent/generate', authenticate, authorize('admin', 'manager', 'owner'), generateMonthlyRentInvoices);
+
+// List rent charges (Admin, Manager & Owner)
+// Query params: forMonth, hostelId, tenantId, status, page, limit
+router.get('/invoices/rent', authenticate, authorize('admin', 'manager', 'owner'), getRentInvoices);
+
+module.exports = router;
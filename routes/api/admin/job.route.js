@@ -0,0 +1,34 @@
+// ===============================
+// Scheduled Job Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    getJobs,
+    updateJob,
+    triggerJob,
+    getJobRuns,
+    getJobFailures
+} = require('../../../controllers/api/job.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Scheduled jobs with their schedule, lock and last run (Admin only)
+router.get('/jobs', authenticate, authorize('admin'), getJobs);
+
+// Failed runs across all jobs (Admin only)
+// Query params: key, startDate, endDate, page, limit
+router.get('/jobs/failures', authenticate, authorize('admin'), getJobFailures);
+
+// Change the interval or enable/disable a job (Admin only)
+// Body: { intervalMinutes?, isEnabled? }
+router.put('/jobs/:key', authenticate, authorize('admin'), updateJob);
+
+// Run a job now (Admin only)
+router.post('/jobs/:key/run', authenticate, authorize('admin'), triggerJob);
+
+// Run history of a job (Admin only)
+// Query params: status, trigger, page, limit
+router.get('/jobs/:key/runs', authenticate, authorize('admin'), getJobRuns);
+
+module.exports = router;
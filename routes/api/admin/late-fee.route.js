@@ -0,0 +1,31 @@
+// ===============================
+// Late Fee Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    runLateFeeAssessment,
+    getLateFees,
+    waiveLateFee,
+    reverseLateFee
+} = require('../../../controllers/api/late-fee.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Mark overdue charges and raise late fees (Admin, Manager & Owner)
+// Body: { hostelId?, asOf?, dryRun? }
+router.post('/late-fees/assess', authenticate, authorize('admin', 'manager', 'owner'), runLateFeeAssessment);
+
+// List late fees (Admin, Manager & Owner)
+// Query params: tenantId, hostelId, status, page, limit
+router.get('/late-fees', authenticate, authorize('admin', 'manager', 'owner'), getLateFees);
+
+// Waive a late fee (Admin & Owner)
+// Body: { reason }
+router.post('/late-fees/:id/waive', authenticate, authorize('admin', 'owner'), waiveLateFee);
+
+// Reverse a late fee raised in error (Admin & Owner)
+// Body: { reason }
+router.post('/late-fees/:id/reverse', authenticate, authorize('admin', 'owner'), reverseLateFee);
+
+module.exports = router;
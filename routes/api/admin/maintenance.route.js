@@ -0,0 +1,80 @@
+// ===============================
+// Maintenance Work Order Routes
+// ===============================
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const router = express.Router();
+const {
+    createWorkOrder,
+    getWorkOrders,
+    getWorkOrderById,
+    updateWorkOrder,
+    assignWorkOrder,
+    updateWorkOrderStatus,
+    updateWorkOrderCosts,
+    addWorkOrderPhotos
+} = require('../../../controllers/api/maintenance.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// ===============================
+// MULTER CONFIG (work order photos)
+// ===============================
+const photosDir = path.join(__dirname, '../../../uploads/work-orders');
+
+if (!fs.existsSync(photosDir)) {
+    fs.mkdirSync(photosDir, { recursive: true });
+}
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, photosDir),
+        filename: (req, file, cb) => {
+            const ext = path.extname(file.originalname);
+            cb(null, `work-order-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`);
+        }
+    }),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+    fileFilter: (req, file, cb) => {
+        const allowed = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp', 'image/heic'];
+        if (allowed.includes(file.mimetype)) cb(null, true);
+        else cb(new Error('Invalid file type. Allowed: JPG, PNG, WEBP, HEIC'));
+    }
+});
+
+// Open a work order for a room or bed; the unit goes under maintenance (Admin, Manager, Owner & Staff)
+// Body: { roomId | bedId | alertId, title, description?, category?, priority?, scheduledFor?,
+//         expectedCompletionDate?, notes?, assignedEmployeeId?, assignedVendorId? }
+router.post('/work-orders', authenticate, authorize('admin', 'manager', 'owner', 'staff'), createWorkOrder);
+
+// Work orders, newest first (Admin, Manager, Owner & Staff)
+// Query params: hostelId, roomId, bedId, status, priority, category, assignedEmployeeId, assignedVendorId, openOnly, page, limit
+router.get('/work-orders', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getWorkOrders);
+
+// Single work order (Admin, Manager, Owner & Staff)
+router.get('/work-orders/:id', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getWorkOrderById);
+
+// Edit the details of an open work order (Admin, Manager, Owner & Staff)
+// Body: { title?, description?, category?, priority?, scheduledFor?, expectedCompletionDate?, notes? }
+router.put('/work-orders/:id', authenticate, authorize('admin', 'manager', 'owner', 'staff'), updateWorkOrder);
+
+// Assign an employee and/or vendor (Admin, Manager & Owner)
+// Body: { employeeId?, vendorId? }
+router.patch('/work-orders/:id/assign', authenticate, authorize('admin', 'manager', 'owner'), assignWorkOrder);
+
+// Move the order along; completing or cancelling releases the bed / room (Admin, Manager, Owner & Staff)
+// A completed order is reopened by moving it to in_progress with a note
+// Body: { status: open|assigned|in_progress|on_hold|completed|cancelled, note?, resolution? }
+router.patch('/work-orders/:id/status', authenticate, authorize('admin', 'manager', 'owner', 'staff'), updateWorkOrderStatus);
+
+// Record parts and labour; totals are recomputed (Admin, Manager, Owner & Staff)
+// Body: { parts?: [{ name, quantity, unitCost }], labour?: [{ description, hours, rate } | { description, amount }] }
+router.put('/work-orders/:id/costs', authenticate, authorize('admin', 'manager', 'owner', 'staff'), updateWorkOrderCosts);
+
+// Upload photos (multipart field "photos", up to 10) (Admin, Manager, Owner & Staff)
+// Body: { stage?: before|during|after }
+router.post('/work-orders/:id/photos', authenticate, authorize('admin', 'manager', 'owner', 'staff'), upload.array('photos', 10), addWorkOrderPhotos);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// ===============================
+// Occupancy Integrity Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    getOccupancyIntegrity,
+    repairOccupancy
+} = require('../../../controllers/api/occupancy.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Occupancy counters, bed and room statuses checked against active allocations (Admin, Manager & Owner)
+// Query params: hostelId, includeClean (true to list hostels without findings)
+router.get('/occupancy/integrity', authenticate, authorize('admin', 'manager', 'owner'), getOccupancyIntegrity);
+
+// Recompute and write the counters and statuses; issues that need a decision are only reported (Admin)
+// Body: { hostelId? } - every hostel when omitted
+router.post('/occupancy/repair', authenticate, authorize('admin'), repairOccupancy);
+
+module.exports = router;
@@ -8,6 +8,7 @@ const {
     recordPayment,
     getAllPayments,
     getPaymentById,
+    getPaymentReceipt,
     updatePayment,
     deletePayment,
     getPaymentSummary,
@@ -29,6 +30,10 @@ router.get('/payments/pending', authenticate, authorize('admin', 'manager', 'own
 // Get all payments with filters and pagination (Admin, Manager & Owner)
 router.get('/payments', authenticate, authorize('admin', 'manager', 'owner'), getAllPayments);
 
+// Download payment receipt as PDF (Admin, Manager, Owner & Staff)
+// Query params: receiptNumber (defaults to the latest receipt for the payment)
+router.get('/payment/:id/receipt', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getPaymentReceipt);
+
 // Get payment by ID (Admin, Manager & Owner)
 router.get('/payment/:id', authenticate, authorize('admin', 'manager', 'owner'), getPaymentById);
 
@@ -0,0 +1,40 @@
+// ===============================
+// Preventive Maintenance Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    createPreventivePlan,
+    getPreventivePlans,
+    getPreventivePlanById,
+    updatePreventivePlan,
+    deletePreventivePlan,
+    getPreventiveComplianceReport
+} = require('../../../controllers/api/preventive-maintenance.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Create a recurring maintenance plan for a hostel, floor or room (Admin, Manager & Owner)
+// Body: { name, hostelId | floorId | roomId, frequency: daily|weekly|monthly|quarterly|yearly, intervalCount?,
+//         startDate, endDate?, leadDays?, graceDays?, priority?, assignedTo?, category?, description?, notes? }
+router.post('/preventive-plans', authenticate, authorize('admin', 'manager', 'owner'), createPreventivePlan);
+
+// Preventive plans, next due first (Admin, Manager, Owner & Staff)
+// Query params: hostelId, floorId, roomId, frequency, isActive
+router.get('/preventive-plans', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getPreventivePlans);
+
+// On-time / late / overdue / skipped occurrences per plan (Admin, Manager & Owner)
+// Query params: hostelId, planId, from, to (default: the last 90 days)
+router.get('/preventive-plans/compliance', authenticate, authorize('admin', 'manager', 'owner'), getPreventiveComplianceReport);
+
+// Single plan with upcoming due dates and recent alerts (Admin, Manager, Owner & Staff)
+router.get('/preventive-plans/:id', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getPreventivePlanById);
+
+// Edit a plan; schedule changes continue after the last raised alert (Admin, Manager & Owner)
+// Body: any field of the create body, isActive?
+router.put('/preventive-plans/:id', authenticate, authorize('admin', 'manager', 'owner'), updatePreventivePlan);
+
+// Delete a plan; alerts already raised are kept (Admin, Manager & Owner)
+router.delete('/preventive-plans/:id', authenticate, authorize('admin', 'manager', 'owner'), deletePreventivePlan);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// ===============================
+// Pricing Rules Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    createPricingRule,
+    getPricingRules,
+    updatePricingRule,
+    deletePricingRule,
+    getQuote
+} = require('../../../controllers/api/pricing.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Price a stay in a bed or room from the active pricing rules (Admin, Manager, Owner & Staff)
+// Query params: bedId | roomId, checkInDate, checkOutDate
+router.get('/pricing/quote', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getQuote);
+
+// Add a pricing rule; leave hostelId empty for a rule that applies to all hostels (admin only) (Admin, Manager & Owner)
+// Body: { name, ruleType: base_rate|seasonal|day_of_week|long_stay, adjustmentType: percentage|fixed_amount|set_rate, value,
+//         hostelId?, roomId?, roomType?, hostelCategory?, startDate?, endDate?, daysOfWeek?, minNights?, priority?, isActive?, notes? }
+router.post('/pricing/rules', authenticate, authorize('admin', 'manager', 'owner'), createPricingRule);
+
+// List pricing rules, including those for all hostels (Admin, Manager & Owner)
+// Query params: hostelId, roomId, ruleType, isActive
+router.get('/pricing/rules', authenticate, authorize('admin', 'manager', 'owner'), getPricingRules);
+
+// Update a pricing rule (Admin, Manager & Owner)
+// Body: any field accepted on create
+router.put('/pricing/rules/:id', authenticate, authorize('admin', 'manager', 'owner'), updatePricingRule);
+
+// Delete a pricing rule (Admin, Manager & Owner)
+router.delete('/pricing/rules/:id', authenticate, authorize('admin', 'manager', 'owner'), deletePricingRule);
+
+module.exports = router;
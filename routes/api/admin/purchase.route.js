@@ -0,0 +1,76 @@
+// ===============================
+// Purchasing Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    createPurchaseDemand,
+    getPurchaseDemands,
+    getPurchaseDemandById,
+    updatePurchaseDemand,
+    approvePurchaseDemand,
+    rejectPurchaseDemand,
+    cancelPurchaseDemand,
+    requestVendorQuotes,
+    recordVendorQuote,
+    issuePurchaseOrder,
+    getPurchaseOrders,
+    receivePurchaseOrder,
+    getApprovalThresholds
+} = require('../../../controllers/api/purchase.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Raise a purchase demand; small demands are approved straight away (Admin, Manager, Owner & Staff)
+// Body: { hostelId, title, items: [{ description, quantity, unit?, estimatedUnitCost }],
+//         serviceId?, alertId?, description?, category?, priority?, neededBy?, notes? }
+router.post('/purchase-demands', authenticate, authorize('admin', 'manager', 'owner', 'staff'), createPurchaseDemand);
+
+// List purchase demands (Admin, Manager, Owner & Staff)
+// Query params: hostelId, status, serviceId, awaiting (manager|owner), page, limit
+router.get('/purchase-demands', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getPurchaseDemands);
+
+// Which approvals a demand of a given amount needs (Admin, Manager, Owner & Staff)
+// Query params: amount
+router.get('/purchase-demands/approval-thresholds', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getApprovalThresholds);
+
+// Get a purchase demand with its quotes, order and vendors still to ask (Admin, Manager, Owner & Staff)
+router.get('/purchase-demands/:id', authenticate, authorize('admin', 'manager', 'owner', 'staff'), getPurchaseDemandById);
+
+// Update a purchase demand; changing items restarts approval (Admin, Manager, Owner & Staff)
+// Body: any field accepted on create except hostelId and alertId
+router.put('/purchase-demands/:id', authenticate, authorize('admin', 'manager', 'owner', 'staff'), updatePurchaseDemand);
+
+// Approve a purchase demand as the hostel's manager or owner (Admin, Manager & Owner)
+// Body: { note? }
+router.post('/purchase-demands/:id/approve', authenticate, authorize('admin', 'manager', 'owner'), approvePurchaseDemand);
+
+// Reject a purchase demand (Admin, Manager & Owner)
+// Body: { reason }
+router.post('/purchase-demands/:id/reject', authenticate, authorize('admin', 'manager', 'owner'), rejectPurchaseDemand);
+
+// Cancel a purchase demand that has no delivered order (Admin, Manager & Owner)
+// Body: { reason? }
+router.post('/purchase-demands/:id/cancel', authenticate, authorize('admin', 'manager', 'owner'), cancelPurchaseDemand);
+
+// Ask vendors for quotes; defaults to every active vendor assigned to the demand's service (Admin, Manager & Owner)
+// Body: { vendorIds? }
+router.post('/purchase-demands/:id/quotes', authenticate, authorize('admin', 'manager', 'owner'), requestVendorQuotes);
+
+// Record a vendor's quote (Admin, Manager & Owner)
+// Body: { items?: [{ description, quantity, unitPrice }], totalAmount?, deliveryDays?, validUntil?, notes?, attachments? }
+router.put('/purchase-demands/:id/quotes/:quoteId', authenticate, authorize('admin', 'manager', 'owner'), recordVendorQuote);
+
+// Issue a purchase order from a received quote (Admin, Manager & Owner)
+// Body: { quoteId, expectedDeliveryDate?, notes? }
+router.post('/purchase-demands/:id/purchase-order', authenticate, authorize('admin', 'manager', 'owner'), issuePurchaseOrder);
+
+// List purchase orders (Admin, Manager & Owner)
+// Query params: hostelId, vendorId, status, page, limit
+router.get('/purchase-orders', authenticate, authorize('admin', 'manager', 'owner'), getPurchaseOrders);
+
+// Mark a purchase order delivered; posts an expense and a vendor bill (Admin, Manager & Owner)
+// Body: { deliveredAt?, amount?, notes? }
+router.post('/purchase-orders/:id/receive', authenticate, authorize('admin', 'manager', 'owner'), receivePurchaseOrder);
+
+module.exports = router;
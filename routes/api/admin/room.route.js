@@ -40,7 +40,8 @@ router.put('/room/:id', authenticate, authorize('admin', 'manager', 'owner'), up
 // Update room status (Admin & Manager only)
 router.put('/room/:id/status', authenticate, authorize('admin', 'manager', 'owner'), updateRoomStatus);
 
-// Schedule maintenance (Admin & Manager only)
+// Schedule maintenance: opens a room work order (Admin & Manager only)
+// Body: { date, description }
 router.post('/rooms/:id/maintenance', authenticate, authorize('admin', 'manager', 'owner'), scheduleMaintenance);
 
 // Delete room (Admin only)
@@ -16,6 +16,8 @@ const {
     deleteTenant,
     getTenantPaymentHistory,
     getTenantFinancialSummary,
+    getTenantLedger,
+    postTenantLedgerAdjustment,
     getActiveTenants,
     listTenants,
     tenantDetails,
@@ -109,6 +111,14 @@ router.get('/tenant/:id/payments', authenticate, authorize('admin', 'manager', '
 // Get tenant financial summary
 router.get('/tenant/:id/financial-summary', authenticate, authorize('admin', 'manager', 'owner'), getTenantFinancialSummary);
 
+// Get tenant running ledger (charges, payments, adjustments, credits)
+// Query params: startDate, endDate, entryType
+router.get('/tenant/:id/ledger', authenticate, authorize('admin', 'manager', 'owner'), getTenantLedger);
+
+// Post a manual adjustment or credit to the tenant ledger
+// Body: { entryType: "adjustment" | "credit", amount, description, reference?, hostelId? }
+router.post('/tenant/:id/ledger/adjustments', authenticate, authorize('admin', 'owner'), postTenantLedgerAdjustment);
+
 // Get tenant current score
 router.get('/tenant/:id/score', authenticate, authorize('admin', 'manager', 'owner'), getTenantCurrentScore);
 
@@ -0,0 +1,45 @@
+// ===============================
+// Utility Metering Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    createMeter,
+    getMeters,
+    updateMeter,
+    recordReading,
+    getMeterReadings,
+    previewReadingSplit,
+    billReading
+} = require('../../../controllers/api/utility.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Add an electricity or water meter to a room or floor (Admin, Manager & Owner)
+// Body: { hostelId, scope: room|floor, utilityType: electricity|water, roomId?, floorId?, meterNumber?, unitRate?, fixedCharge?, notes? }
+router.post('/utilities/meters', authenticate, authorize('admin', 'manager', 'owner'), createMeter);
+
+// List meters with their latest reading (Admin, Manager & Owner)
+// Query params: hostelId, floorId, roomId, utilityType, isActive
+router.get('/utilities/meters', authenticate, authorize('admin', 'manager', 'owner'), getMeters);
+
+// Update tariff, fixed charge or status of a meter (Admin, Manager & Owner)
+// Body: { meterNumber?, unitRate?, fixedCharge?, isActive?, notes? }
+router.put('/utilities/meters/:id', authenticate, authorize('admin', 'manager', 'owner'), updateMeter);
+
+// Record a reading; the period runs from the previous reading to readingDate (Admin, Manager & Owner)
+// Body: { currentReading, readingDate?, previousReading? (first reading), periodStart? (first reading), photoUrl?, notes? }
+router.post('/utilities/meters/:id/readings', authenticate, authorize('admin', 'manager', 'owner'), recordReading);
+
+// Reading history of a meter (Admin, Manager & Owner)
+// Query params: status, page, limit
+router.get('/utilities/meters/:id/readings', authenticate, authorize('admin', 'manager', 'owner'), getMeterReadings);
+
+// Per-tenant split of a reading by nights occupied (Admin, Manager & Owner)
+router.get('/utilities/readings/:id/split', authenticate, authorize('admin', 'manager', 'owner'), previewReadingSplit);
+
+// Bill a reading as pending charges on the tenants' ledgers (Admin, Manager & Owner)
+// Body: { dryRun? }
+router.post('/utilities/readings/:id/bill', authenticate, authorize('admin', 'manager', 'owner'), billReading);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createVendorContract,
+  listVendorContracts,
+  getVendorContractById,
+  updateVendorContract,
+  renewVendorContract,
+  terminateVendorContract,
+  getVendorRateCard,
+} = require('../../../controllers/api/vendor-contract.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// 🔒 All vendor contract routes are protected
+router.use(['/vendor-contracts', '/vendors/:id/rate-card'], authenticate, authorize('admin', 'manager'));
+
+// ==================== VENDOR CONTRACTS ====================
+
+/**
+ * @route   POST /api/admin/vendor-contracts
+ * @desc    Create a vendor contract with SLA terms and a rate card; rates default to the service's price
+ * @access  Admin, Manager
+ * @body    { vendorId, title, startDate, endDate, hostelId? (none = all hostels), status? (draft|active),
+ *            autoRenew?, renewalTermMonths?, renewalNoticeDays?, slaTerms?, terms?, attachments?, notes?,
+ *            rates?: [{ serviceId, rate?, priceUnit?, notes? }] }
+ */
+router.post('/vendor-contracts', createVendorContract);
+
+/**
+ * @route   GET /api/admin/vendor-contracts
+ * @desc    List vendor contracts
+ * @access  Admin, Manager
+ * @query   vendorId?, hostelId?, status? (draft|active|expired|terminated), expiringWithinDays?, search?, page?, limit?
+ */
+router.get('/vendor-contracts', listVendorContracts);
+
+/**
+ * @route   GET /api/admin/vendor-contracts/:id
+ * @desc    Get a vendor contract with its rate card and overcharged bills
+ * @access  Admin, Manager
+ */
+router.get('/vendor-contracts/:id', getVendorContractById);
+
+/**
+ * @route   PUT /api/admin/vendor-contracts/:id
+ * @desc    Update a draft or active contract; rates, when sent, replace the rate card
+ * @access  Admin, Manager
+ * @body    { title?, startDate?, endDate?, hostelId?, status?, autoRenew?, renewalTermMonths?, renewalNoticeDays?,
+ *            slaTerms?, terms?, attachments?, notes?, rates? }
+ */
+router.put('/vendor-contracts/:id', updateVendorContract);
+
+/**
+ * @route   POST /api/admin/vendor-contracts/:id/renew
+ * @desc    Renew an active or expired contract for another term
+ * @access  Admin, Manager
+ * @body    { endDate? }
+ */
+router.post('/vendor-contracts/:id/renew', renewVendorContract);
+
+/**
+ * @route   POST /api/admin/vendor-contracts/:id/terminate
+ * @desc    Terminate a contract early
+ * @access  Admin, Manager
+ * @body    { reason }
+ */
+router.post('/vendor-contracts/:id/terminate', terminateVendorContract);
+
+// ==================== RATE CARD ====================
+
+/**
+ * @route   GET /api/admin/vendors/:id/rate-card
+ * @desc    Contracted rates of a vendor for a hostel on a date
+ * @access  Admin, Manager
+ * @query   hostelId?, date?
+ */
+router.get('/vendors/:id/rate-card', getVendorRateCard);
+
+module.exports = router;
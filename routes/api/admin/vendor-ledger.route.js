@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createVendorBill,
+  listVendorBills,
+  getVendorBillById,
+  updateVendorBill,
+  checkVendorBillRates,
+  cancelVendorBill,
+  recordVendorPayment,
+  listVendorPayments,
+  applyVendorPayment,
+  voidVendorPayment,
+  getVendorStatement,
+} = require('../../../controllers/api/vendor-ledger.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// 🔒 All vendor ledger routes are protected
+router.use(['/vendor-bills', '/vendor-payments', '/vendors/:id/statement'], authenticate, authorize('admin', 'manager'));
+
+// ==================== VENDOR BILLS ====================
+
+/**
+ * @route   POST /api/admin/vendor-bills
+ * @desc    Record a vendor bill; dueDate defaults from the vendor's paymentTerms and amount from the items.
+ *          Item lines with a serviceId are checked against the vendor's contract rates
+ * @access  Admin, Manager
+ * @body    { vendorId, description, amount? | items: [{ serviceId?, description?, quantity, unitPrice }],
+ *            billDate?, dueDate?, vendorInvoiceNumber?, hostelId?, attachments?, notes? }
+ */
+router.post('/vendor-bills', createVendorBill);
+
+/**
+ * @route   GET /api/admin/vendor-bills
+ * @desc    List vendor bills with outstanding amount and aging bucket
+ * @access  Admin, Manager
+ * @query   vendorId?, hostelId?, status? (open|partially_paid|paid|cancelled),
+ *          rateStatus? (unchecked|within_contract|overcharged), overdue? (true), search?, page?, limit?
+ */
+router.get('/vendor-bills', listVendorBills);
+
+/**
+ * @route   GET /api/admin/vendor-bills/:id
+ * @desc    Get a vendor bill with the payments applied to it
+ * @access  Admin, Manager
+ */
+router.get('/vendor-bills/:id', getVendorBillById);
+
+/**
+ * @route   PUT /api/admin/vendor-bills/:id
+ * @desc    Update a vendor bill; amount cannot go below what has been paid
+ * @access  Admin, Manager
+ * @body    { description?, amount?, items?, billDate?, dueDate?, vendorInvoiceNumber?, hostelId?, attachments?, notes? }
+ */
+router.put('/vendor-bills/:id', updateVendorBill);
+
+/**
+ * @route   POST /api/admin/vendor-bills/:id/rate-check
+ * @desc    Check a vendor bill's lines against the contract rates again
+ * @access  Admin, Manager
+ */
+router.post('/vendor-bills/:id/rate-check', checkVendorBillRates);
+
+/**
+ * @route   POST /api/admin/vendor-bills/:id/cancel
+ * @desc    Cancel a vendor bill; payments applied to it become vendor credit
+ * @access  Admin, Manager
+ * @body    { reason? }
+ */
+router.post('/vendor-bills/:id/cancel', cancelVendorBill);
+
+// ==================== VENDOR PAYMENTS ====================
+
+/**
+ * @route   POST /api/admin/vendor-payments
+ * @desc    Record a payment to a vendor. Without allocations it pays the oldest due bills first;
+ *          an empty list keeps it all as vendor credit
+ * @access  Admin, Manager
+ * @body    { vendorId, amount, paymentDate?, paymentMethod?, referenceNumber?, hostelId?, notes?,
+ *            allocations?: [{ billId, amount? }] }
+ */
+router.post('/vendor-payments', recordVendorPayment);
+
+/**
+ * @route   GET /api/admin/vendor-payments
+ * @desc    List vendor payments with their bill allocations
+ * @access  Admin, Manager
+ * @query   vendorId?, hostelId?, includeVoided?, startDate?, endDate?, page?, limit?
+ */
+router.get('/vendor-payments', listVendorPayments);
+
+/**
+ * @route   POST /api/admin/vendor-payments/:id/apply
+ * @desc    Apply the unapplied part of a payment to bills
+ * @access  Admin, Manager
+ * @body    { allocations?: [{ billId, amount? }] }
+ */
+router.post('/vendor-payments/:id/apply', applyVendorPayment);
+
+/**
+ * @route   POST /api/admin/vendor-payments/:id/void
+ * @desc    Void a vendor payment; the bills it paid are open again
+ * @access  Admin, Manager
+ * @body    { reason }
+ */
+router.post('/vendor-payments/:id/void', voidVendorPayment);
+
+// ==================== VENDOR STATEMENT ====================
+
+/**
+ * @route   GET /api/admin/vendors/:id/statement
+ * @desc    Vendor bills and payments with running balance, unapplied credit and aging
+ * @access  Admin, Manager
+ * @query   from?, to?, asOf?
+ */
+router.get('/vendors/:id/statement', getVendorStatement);
+
+module.exports = router;
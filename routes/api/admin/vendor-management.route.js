@@ -160,8 +160,9 @@ router.delete('/vendor/management/services/:id', deleteService);
  * - search (optional): Search by name, company, email, or phone
  * - hostelId (optional): Filter by hostel ID (shows vendors for that hostel or global vendors)
  * - status (optional): Filter by vendor status (default: 'active', use 'all' for all statuses)
+ * - serviceId (optional): Only vendors assigned to this service, ranked by performance score
  * 
- * Returns: List of available vendors for assignment
+ * Returns: List of available vendors for assignment (with rank when serviceId is given)
  */
 router.get('/vendor/management/vendors', getAvailableVendors);
 
@@ -6,9 +6,10 @@ const {
   getVendorById,
   updateVendor,
   deleteVendor,
-  updateVendorFinancials,
+  recalculateVendorFinancials,
   recordVendorScore,
   getVendorScores,
+  getVendorScorecard,
 } = require('../../../controllers/api/vendor.controller');
 const { authenticate, authorize } = require('../../../middleware/auth.middleware');
 
@@ -62,22 +63,22 @@ router.delete('/vendors/:id', authorize('admin'), deleteVendor);
 // ==================== VENDOR FINANCIAL OPERATIONS ====================
 
 /**
- * @route   PATCH /api/admin/vendors/:id/financials
- * @desc    Update vendor financial balances (totalPayable, totalPaid, balance)
+ * @route   POST /api/admin/vendors/:id/financials/recalculate
+ * @desc    Recompute vendor totals (totalPayable, totalPaid, balance) from its bills and payments.
+ *          Amounts owed and paid are recorded as vendor bills and payments (vendor-ledger.route.js)
  * @access  Admin, Manager
  * @params  id - Vendor ID
- * @body    { deltaPayable?, deltaPaid? }
  */
-router.patch('/vendors/:id/financials', updateVendorFinancials);
+router.post('/vendors/:id/financials/recalculate', recalculateVendorFinancials);
 
 // ==================== VENDOR RATING/SCORE OPERATIONS ====================
 
 /**
  * @route   POST /api/admin/vendors/:id/score
- * @desc    Record a vendor score/rating
+ * @desc    Record a manual vendor rating; it is blended into the vendor's scorecard
  * @access  Admin, Manager
  * @params  id - Vendor ID
- * @body    { score (required), criteria?, remarks? }
+ * @body    { score (required, 1-5), criteria?, remarks? }
  */
 router.post('/vendors/:id/score', recordVendorScore);
 
@@ -90,4 +91,14 @@ router.post('/vendors/:id/score', recordVendorScore);
  */
 router.get('/vendors/:id/scores', getVendorScores);
 
+/**
+ * @route   GET /api/admin/vendors/:id/scorecard
+ * @desc    Vendor scorecard: on-time completion, reopened jobs, response time and invoice disputes
+ *          blended with manual ratings, over the scoring window and as a monthly trend
+ * @access  Admin, Manager
+ * @params  id - Vendor ID
+ * @query   months? - Months of trend to return (default: the scoring window, max: 36)
+ */
+router.get('/vendors/:id/scorecard', getVendorScorecard);
+
 module.exports = router;
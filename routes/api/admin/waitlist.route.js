@@ -0,0 +1,46 @@
+// ===============================
+// Waitlist Routes
+// ===============================
+
+const express = require('express');
+const router = express.Router();
+const {
+    createWaitlistEntry,
+    getWaitlist,
+    getWaitlistEntry,
+    offerWaitlistBed,
+    acceptWaitlistOffer,
+    declineWaitlistOffer,
+    cancelWaitlistEntry
+} = require('../../../controllers/api/waitlist.controller');
+const { authenticate, authorize } = require('../../../middleware/auth.middleware');
+
+// Join the waitlist of a hostel; users join for themselves (Admin, Manager, Owner, Staff & User)
+// Body: { hostelId, moveInFrom, moveInTo, roomType?, hostelType?: boys|girls|family|mixed, numberOfGuests?,
+//         tenantId?, customerName?, customerPhone?, customerEmail?, customerCnic?, notes? }
+router.post('/waitlist', authenticate, authorize('admin', 'manager', 'owner', 'staff', 'user'), createWaitlistEntry);
+
+// Waitlist in order, with each waiting entry's place in line; users see their own entries (Admin, Manager, Owner, Staff & User)
+// Query params: hostelId, status, roomType, page, limit
+router.get('/waitlist', authenticate, authorize('admin', 'manager', 'owner', 'staff', 'user'), getWaitlist);
+
+// Single waitlist entry (Admin, Manager, Owner, Staff & User)
+router.get('/waitlist/:id', authenticate, authorize('admin', 'manager', 'owner', 'staff', 'user'), getWaitlistEntry);
+
+// Offer a bed to a waiting entry now, holding it for waitlist_offer_hours (Admin, Manager, Owner & Staff)
+// Body: { bedId? } - first suitable bed when omitted
+router.post('/waitlist/:id/offer', authenticate, authorize('admin', 'manager', 'owner', 'staff'), offerWaitlistBed);
+
+// Accept the open offer: creates a booking for the offered bed (Admin, Manager, Owner, Staff & User)
+// Body: { checkOutDate, checkInDate? } - checkInDate defaults to the start of the move-in window
+router.post('/waitlist/:id/accept', authenticate, authorize('admin', 'manager', 'owner', 'staff', 'user'), acceptWaitlistOffer);
+
+// Decline the open offer; the bed goes to the next person in line (Admin, Manager, Owner, Staff & User)
+// Body: { reason? }
+router.post('/waitlist/:id/decline', authenticate, authorize('admin', 'manager', 'owner', 'staff', 'user'), declineWaitlistOffer);
+
+// Leave the waitlist; an offered bed goes to the next person in line (Admin, Manager, Owner, Staff & User)
+// Body: { reason? }
+router.patch('/waitlist/:id/cancel', authenticate, authorize('admin', 'manager', 'owner', 'staff', 'user'), cancelWaitlistEntry);
+
+module.exports = router;
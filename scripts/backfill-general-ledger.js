@@ -0,0 +1,110 @@
+/**
+ * Backfill Script: Journal Entries for the General Ledger
+ *
+ * Money recorded before the general ledger existed has no journal entries.
+ * This script runs the same syncs the controllers use over every source
+ * document, so each one ends up with the journal it would have posted:
+ *
+ *   charges            Payments with a dueDate
+ *   transactions       receipts, deposit refunds and manual entries
+ *   gateway refunds    refunded Stripe transactions
+ *   deposit settlements, manual tenant adjustments,
+ *   expenses, vendor bills and vendor payments
+ *
+ * Documents are booked on their own dates. Tenant opening balances from
+ * backfill-tenant-ledger.js are not journals of their own and are skipped.
+ *
+ * Safe to run more than once: documents whose journal is already up to date
+ * are left alone.
+ *
+ * Run with: node scripts/backfill-general-ledger.js
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const {
+    syncChargeJournal,
+    syncTransactionJournal,
+    syncGatewayRefundJournal,
+    syncDepositSettlementJournal,
+    postTenantAdjustmentJournal,
+    syncExpenseJournal,
+    syncVendorBillJournal,
+    syncVendorPaymentJournal
+} = require('../Helper/general-ledger.helper');
+const prisma = new PrismaClient();
+
+/**
+ * Sync every row of one kind, each in its own transaction
+ */
+async function syncAll(label, rows, sync) {
+    let synced = 0;
+    for (const row of rows) {
+        try {
+            await prisma.$transaction((tx) => sync(tx, row), { timeout: 30000 });
+            synced += 1;
+        } catch (error) {
+            console.error(`❌ ${label} #${row.id}:`, error.message);
+        }
+    }
+    console.log(`✅ ${label}: ${synced} of ${rows.length}`);
+    return synced;
+}
+
+async function main() {
+    console.log('📒 Backfilling general ledger journals...');
+
+    const charges = await prisma.payment.findMany({ where: { dueDate: { not: null } }, select: { id: true }, orderBy: { id: 'asc' } });
+    await syncAll('Charges', charges, (tx, row) => syncChargeJournal(tx, row.id));
+
+    const transactions = await prisma.transaction.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+    await syncAll('Transactions', transactions, (tx, row) => syncTransactionJournal(tx, row.id));
+
+    // The refunded amount is on the tenant ledger when the tenant was known; otherwise the whole receipt
+    const refunded = await prisma.transaction.findMany({
+        where: { status: 'refunded', paymentMethod: 'stripe' },
+        select: { id: true, amount: true, paymentId: true },
+        orderBy: { id: 'asc' }
+    });
+    await syncAll('Gateway refunds', refunded, async (tx, row) => {
+        const ledger = row.paymentId ? await tx.tenantLedgerEntry.aggregate({
+            where: { paymentId: row.paymentId, entryType: 'adjustment', description: 'Stripe refund' },
+            _sum: { amount: true }
+        }) : null;
+        return syncGatewayRefundJournal(tx, row.id, ledger?._sum.amount || row.amount);
+    });
+
+    const settlements = await prisma.depositSettlement.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+    await syncAll('Deposit settlements', settlements, (tx, row) => syncDepositSettlementJournal(tx, row.id));
+
+    const adjustments = await prisma.tenantLedgerEntry.findMany({
+        where: { paymentId: null, entryType: { in: ['adjustment', 'credit'] } },
+        orderBy: { id: 'asc' }
+    });
+    await syncAll('Tenant adjustments', adjustments, (tx, row) => postTenantAdjustmentJournal(tx, row));
+
+    const expenses = await prisma.expense.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+    await syncAll('Expenses', expenses, (tx, row) => syncExpenseJournal(tx, row.id));
+
+    const bills = await prisma.vendorBill.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+    await syncAll('Vendor bills', bills, (tx, row) => syncVendorBillJournal(tx, row.id));
+
+    const vendorPayments = await prisma.vendorPayment.findMany({ select: { id: true }, orderBy: { id: 'asc' } });
+    await syncAll('Vendor payments', vendorPayments, (tx, row) => syncVendorPaymentJournal(tx, row.id));
+}
+
+// Run the backfill
+if (require.main === module) {
+    main()
+        .then(async () => {
+            await prisma.$disconnect();
+            console.log('✨ Done!');
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('💥 General ledger backfill failed:', error);
+            await prisma.$disconnect();
+            process.exit(1);
+        });
+}
+
+module.exports = { syncAll };
@@ -0,0 +1,84 @@
+/**
+ * Backfill Script: Receipts for Historical Payments
+ *
+ * Issues sequential receipts (H{hostelId}-{year}-{000001}) for paid payments
+ * recorded before receipt numbering existed, in payment date order per hostel.
+ * A free-text receipt number already on the payment is kept as the receipt's
+ * reference.
+ *
+ * Safe to run more than once: payments that already have a receipt are skipped.
+ *
+ * Run with: node scripts/backfill-payment-receipts.js
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { issueReceipt } = require('../Helper/receipt.helper');
+const prisma = new PrismaClient();
+
+async function main() {
+    console.log('🧾 Issuing receipts for historical payments...');
+
+    const payments = await prisma.payment.findMany({
+        where: {
+            status: 'paid',
+            hostelId: { not: null },
+            receipts: { none: {} },
+            transactions: { none: { receiptId: { not: null } } }
+        },
+        orderBy: [{ paymentDate: 'asc' }, { id: 'asc' }],
+        select: {
+            id: true,
+            hostelId: true,
+            tenantId: true,
+            amount: true,
+            amountPaid: true,
+            paymentMethod: true,
+            paymentDate: true,
+            createdAt: true,
+            receiptNumber: true,
+            collectedBy: true,
+            transactions: { select: { id: true } }
+        }
+    });
+
+    let issued = 0;
+    for (const payment of payments) {
+        try {
+            const receipt = await prisma.$transaction((tx) => issueReceipt(tx, {
+                hostelId: payment.hostelId,
+                tenantId: payment.tenantId,
+                paymentId: payment.id,
+                amount: payment.amountPaid || payment.amount,
+                paymentMethod: payment.paymentMethod,
+                source: payment.paymentMethod === 'stripe' ? 'stripe' : 'manual',
+                reference: payment.receiptNumber,
+                issuedBy: payment.collectedBy,
+                issuedAt: payment.paymentDate || payment.createdAt || new Date(),
+                transactionIds: payment.transactions.map((t) => t.id)
+            }));
+            issued += 1;
+            console.log(`✅ Payment #${payment.id} → ${receipt.receiptNumber}`);
+        } catch (error) {
+            console.error(`❌ Payment #${payment.id}:`, error.message);
+        }
+    }
+
+    console.log(`\n📊 Issued ${issued} of ${payments.length} receipt(s)`);
+}
+
+// Run the backfill
+if (require.main === module) {
+    main()
+        .then(async () => {
+            await prisma.$disconnect();
+            console.log('✨ Done!');
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('💥 Receipt backfill failed:', error);
+            await prisma.$disconnect();
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,100 @@
+/**
+ * Backfill Script: Opening Balances for the Tenant Ledger
+ *
+ * Tenants created before the ledger existed only have running totals
+ * (Tenant.totalPaid / Tenant.totalDue). This script posts two opening entries
+ * for every tenant that has no ledger entries yet, so that the ledger balance
+ * matches what the tenant owed when the ledger was introduced:
+ *
+ *   charge  +(payments + totalDue)   "Opening balance - historical charges"
+ *   payment -payments                "Opening balance - historical payments"
+ *
+ * Security deposits used to be counted in totalPaid; they are kept out of the
+ * ledger, so they are subtracted from the historical payments.
+ *
+ * Safe to run more than once: tenants that already have entries are skipped.
+ *
+ * Run with: node scripts/backfill-tenant-ledger.js
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { postLedgerEntry, syncTenantBalances } = require('../Helper/ledger.helper');
+const { roundAmount } = require('../utils/normalize');
+const prisma = new PrismaClient();
+
+/**
+ * Post opening entries for a single tenant
+ */
+async function backfillTenant(tenant, openingDate) {
+    const payments = Math.max(roundAmount((tenant.totalPaid || 0) - (tenant.securityDeposit || 0)), 0);
+    const due = Math.max(roundAmount(tenant.totalDue || 0), 0);
+
+    if (payments <= 0 && due <= 0) {
+        return false;
+    }
+
+    await prisma.$transaction(async (tx) => {
+        await postLedgerEntry(tx, {
+            tenantId: tenant.id,
+            entryType: 'charge',
+            amount: payments + due,
+            description: 'Opening balance - historical charges',
+            entryDate: openingDate
+        });
+
+        if (payments > 0) {
+            await postLedgerEntry(tx, {
+                tenantId: tenant.id,
+                entryType: 'payment',
+                amount: -payments,
+                description: 'Opening balance - historical payments',
+                entryDate: openingDate
+            });
+        }
+
+        await syncTenantBalances(tx, tenant.id);
+    });
+
+    return true;
+}
+
+async function main() {
+    console.log('📒 Backfilling tenant ledger opening balances...');
+
+    const openingDate = new Date();
+    const tenants = await prisma.tenant.findMany({
+        where: { ledgerEntries: { none: {} } },
+        select: { id: true, name: true, totalPaid: true, totalDue: true, securityDeposit: true }
+    });
+
+    let posted = 0;
+    for (const tenant of tenants) {
+        try {
+            if (await backfillTenant(tenant, openingDate)) {
+                posted += 1;
+                console.log(`✅ ${tenant.name} (#${tenant.id})`);
+            }
+        } catch (error) {
+            console.error(`❌ ${tenant.name} (#${tenant.id}):`, error.message);
+        }
+    }
+
+    console.log(`\n📊 Opening balances posted for ${posted} of ${tenants.length} tenant(s)`);
+}
+
+// Run the backfill
+if (require.main === module) {
+    main()
+        .then(async () => {
+            await prisma.$disconnect();
+            console.log('✨ Done!');
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('💥 Ledger backfill failed:', error);
+            await prisma.$disconnect();
+            process.exit(1);
+        });
+}
+
+module.exports = { backfillTenant };
@@ -0,0 +1,13 @@
+// Shared by the helpers that handle money and dates. Kept free of requires
+// so any helper can load it without a circular dependency.
+
+// Money is stored to the cent
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Stays, bookings and billing periods are whole UTC days
+const startOfUtcDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+module.exports = { roundAmount, startOfUtcDay };